@@ -0,0 +1,107 @@
+const fs = require('fs');
+const { join } = require('path');
+
+// Menu and dialog strings for the main process; the renderer has its own catalogs in src/i18n
+const MESSAGES = {
+    'zh-CN': {
+        file: '文件',
+        newSession: '新建会话',
+        openProject: '打开项目',
+        chooseProjectDirectory: '选择项目目录',
+        searchSessions: '搜索会话',
+        importSessionMenu: '导入会话...',
+        importSession: '导入会话',
+        claudeSession: 'Claude 会话',
+        settings: '设置',
+        quit: '退出',
+        close: '关闭',
+        edit: '编辑',
+        undo: '撤销',
+        redo: '重做',
+        cut: '剪切',
+        copy: '复制',
+        paste: '粘贴',
+        selectAll: '全选',
+        view: '视图',
+        reload: '刷新',
+        forceReload: '强制刷新',
+        window: '窗口',
+        minimize: '最小化',
+        toggleFullscreen: '切换全屏',
+        help: '帮助',
+        about: '关于 Claude Code UI',
+        learnMore: '了解更多'
+    },
+    en: {
+        file: 'File',
+        newSession: 'New Session',
+        openProject: 'Open Project',
+        chooseProjectDirectory: 'Choose Project Directory',
+        searchSessions: 'Search Sessions',
+        importSessionMenu: 'Import Session...',
+        importSession: 'Import Session',
+        claudeSession: 'Claude Session',
+        settings: 'Settings',
+        quit: 'Quit',
+        close: 'Close',
+        edit: 'Edit',
+        undo: 'Undo',
+        redo: 'Redo',
+        cut: 'Cut',
+        copy: 'Copy',
+        paste: 'Paste',
+        selectAll: 'Select All',
+        view: 'View',
+        reload: 'Reload',
+        forceReload: 'Force Reload',
+        window: 'Window',
+        minimize: 'Minimize',
+        toggleFullscreen: 'Toggle Full Screen',
+        help: 'Help',
+        about: 'About Claude Code UI',
+        learnMore: 'Learn More'
+    }
+};
+
+const DEFAULT_LANGUAGE = 'zh-CN';
+
+function normalizeLanguage(tag) {
+    if (typeof tag !== 'string') return null;
+    const lower = tag.toLowerCase();
+    if (lower.startsWith('zh')) return 'zh-CN';
+    if (lower.startsWith('en')) return 'en';
+    return null;
+}
+
+// The renderer pushes the chosen language through IPC; it is persisted so the
+// menu is built in the right language before the renderer has loaded
+function languageFile(userDataPath) {
+    return join(userDataPath, 'language.json');
+}
+
+function loadLanguage(userDataPath, systemLocale) {
+    try {
+        const saved = JSON.parse(fs.readFileSync(languageFile(userDataPath), 'utf8'));
+        const language = normalizeLanguage(saved.language);
+        if (language) return language;
+    } catch (error) {
+        // No saved language yet
+    }
+    return normalizeLanguage(systemLocale) || DEFAULT_LANGUAGE;
+}
+
+function saveLanguage(userDataPath, language) {
+    fs.writeFileSync(languageFile(userDataPath), JSON.stringify({ language }, null, 2));
+}
+
+function createTranslator(language) {
+    const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+    return (key) => messages[key] || MESSAGES[DEFAULT_LANGUAGE][key] || key;
+}
+
+module.exports = {
+    normalizeLanguage,
+    loadLanguage,
+    saveLanguage,
+    createTranslator
+};
@@ -3,6 +3,7 @@ const { autoUpdater } = require('electron-updater');
 const { join, dirname } = require('path');
 const fs = require('fs');
 const { findAvailablePort } = require('../utils/findAvailablePort.cjs');
+const { createTranslator, loadLanguage, normalizeLanguage, saveLanguage } = require('./i18n.cjs');
 
 // 加载环境变量
 require('dotenv').config();
@@ -12,6 +13,8 @@ require('dotenv').config();
 // Keep a global reference of the window object
 let mainWindow;
 let serverProcess;
+// Module namespace of the embedded server, for its shutdown hook
+let serverModule = null;
 
 const isDevelopment = process.env.NODE_ENV === 'development';
 
@@ -293,7 +296,8 @@ async function startServer() {
 
         // Import and start the server directly in this process
         const serverPath = join(__dirname, '../server/index.js');
-        await import(serverPath);
+        serverModule = await import(serverPath);
+        serverModule.setNotificationLanguage?.(loadLanguage(app.getPath('userData'), app.getLocale()));
 
         console.log('✅ Embedded server started successfully');
 
@@ -334,24 +338,25 @@ function stopServer() {
 
 // Create application menu
 function createMenu() {
+    const t = createTranslator(loadLanguage(app.getPath('userData'), app.getLocale()));
     const template = [
         {
-            label: '文件',
+            label: t('file'),
             submenu: [
                 {
-                    label: '新建会话',
+                    label: t('newSession'),
                     accelerator: 'CmdOrCtrl+Shift+N',
                     click: () => {
                         mainWindow.webContents.send('menu-new-session');
                     }
                 },
                 {
-                    label: '打开项目',
+                    label: t('openProject'),
                     accelerator: 'CmdOrCtrl+O',
                     click: async () => {
                         const result = await dialog.showOpenDialog(mainWindow, {
                             properties: ['openDirectory'],
-                            title: '选择项目目录'
+                            title: t('chooseProjectDirectory')
                         });
 
                         if (!result.canceled && result.filePaths.length > 0) {
@@ -359,9 +364,30 @@ function createMenu() {
                         }
                     }
                 },
+                {
+                    label: t('searchSessions'),
+                    accelerator: 'CmdOrCtrl+Shift+F',
+                    click: () => {
+                        mainWindow.webContents.send('menu-search');
+                    }
+                },
+                {
+                    label: t('importSessionMenu'),
+                    click: async () => {
+                        const result = await dialog.showOpenDialog(mainWindow, {
+                            properties: ['openFile'],
+                            title: t('importSession'),
+                            filters: [{ name: t('claudeSession'), extensions: ['jsonl'] }]
+                        });
+
+                        if (!result.canceled && result.filePaths.length > 0) {
+                            mainWindow.webContents.send('menu-import-session', result.filePaths[0]);
+                        }
+                    }
+                },
                 { type: 'separator' },
                 {
-                    label: '设置',
+                    label: t('settings'),
                     accelerator: 'CmdOrCtrl+,',
                     click: () => {
                         mainWindow.webContents.send('menu-settings');
@@ -370,14 +396,14 @@ function createMenu() {
                 { type: 'separator' },
                 process.platform === 'darwin' ?
                     {
-                        label: '退出',
+                        label: t('quit'),
                         accelerator: 'CmdOrCtrl+Q',
                         click: () => {
                             app.quit();
                         }
                     } :
                     {
-                        label: '关闭',
+                        label: t('close'),
                         accelerator: 'CmdOrCtrl+W',
                         click: () => {
                             mainWindow.close();
@@ -386,90 +412,90 @@ function createMenu() {
             ]
         },
         {
-            label: '编辑',
+            label: t('edit'),
             submenu: [
                 {
-                    label: '撤销',
+                    label: t('undo'),
                     accelerator: 'CmdOrCtrl+Z',
                     role: 'undo'
                 },
                 {
-                    label: '重做',
+                    label: t('redo'),
                     accelerator: 'Shift+CmdOrCtrl+Z',
                     role: 'redo'
                 },
                 { type: 'separator' },
                 {
-                    label: '剪切',
+                    label: t('cut'),
                     accelerator: 'CmdOrCtrl+X',
                     role: 'cut'
                 },
                 {
-                    label: '复制',
+                    label: t('copy'),
                     accelerator: 'CmdOrCtrl+C',
                     role: 'copy'
                 },
                 {
-                    label: '粘贴',
+                    label: t('paste'),
                     accelerator: 'CmdOrCtrl+V',
                     role: 'paste'
                 },
                 {
-                    label: '全选',
+                    label: t('selectAll'),
                     accelerator: 'CmdOrCtrl+A',
                     role: 'selectAll'
                 }
             ]
         },
         {
-            label: '视图',
+            label: t('view'),
             submenu: [
                 { type: 'separator' },
                 {
-                    label: '刷新',
+                    label: t('reload'),
                     accelerator: 'CmdOrCtrl+R',
                     role: 'reload'
                 },
                 {
-                    label: '强制刷新',
+                    label: t('forceReload'),
                     accelerator: 'Shift+CmdOrCtrl+R',
                     role: 'forceReload'
                 },
             ]
         },
         {
-            label: '窗口',
+            label: t('window'),
             role: 'window',
             submenu: [
                 {
-                    label: '最小化',
+                    label: t('minimize'),
                     accelerator: 'CmdOrCtrl+M',
                     role: 'minimize'
                 },
                 {
-                    label: '关闭',
+                    label: t('close'),
                     accelerator: 'CmdOrCtrl+W',
                     role: 'close'
                 },
                 { type: 'separator' },
                 {
-                    label: '切换全屏',
+                    label: t('toggleFullscreen'),
                     accelerator: process.platform === 'darwin' ? 'Ctrl+Command+F' : 'F11',
                     role: 'togglefullscreen'
                 },
             ]
         },
         {
-            label: '帮助',
+            label: t('help'),
             submenu: [
                 {
-                    label: '关于 Claude Code UI',
+                    label: t('about'),
                     click: () => {
                         mainWindow.webContents.send('menu-about');
                     }
                 },
                 {
-                    label: '了解更多',
+                    label: t('learnMore'),
                     click: () => {
                         shell.openExternal('https://docs.anthropic.com/en/docs/claude-code');
                     }
@@ -505,6 +531,8 @@ app.on('window-all-closed', () => {
 
 app.on('before-quit', () => {
     stopServer();
+    // Terminals are kept while macOS keeps the app running without windows; quitting ends them
+    serverModule?.stopServer?.();
 });
 
 // IPC handlers
@@ -533,6 +561,22 @@ ipcMain.handle('install-update', () => {
     return { success: true };
 });
 
+// Persist the UI language and rebuild the menu in it
+ipcMain.handle('set-language', (event, language) => {
+    const normalized = normalizeLanguage(language);
+    if (!normalized) {
+        return { success: false, error: `Unsupported language: ${language}` };
+    }
+    try {
+        saveLanguage(app.getPath('userData'), normalized);
+        serverModule?.setNotificationLanguage?.(normalized);
+        createMenu();
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
 ipcMain.handle('show-save-dialog', async (event, options) => {
     return await dialog.showSaveDialog(mainWindow, options);
 });
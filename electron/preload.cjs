@@ -12,6 +12,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     writeFile: (filePath, content) => ipcRenderer.invoke('write-file', filePath, content),
     readFile: (filePath) => ipcRenderer.invoke('read-file', filePath),
 
+    // UI language (also used for the application menu)
+    setLanguage: (language) => ipcRenderer.invoke('set-language', language),
+
     // Configuration operations
     getAppConfig: () => ipcRenderer.invoke('get-app-config'),
     updateAppConfig: (updates) => ipcRenderer.invoke('update-app-config', updates),
@@ -47,6 +50,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
         const events = [
             'menu-new-session',
             'menu-open-project',
+            'menu-search',
+            'menu-import-session',
             'menu-settings',
             'menu-toggle-sidebar',
             'menu-about'
@@ -3,6 +3,10 @@ import crossSpawn from 'cross-spawn';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { DEFAULT_SESSION_MODEL, isValidModel, resolveCliModel } from './routes/model.js';
+import { getPermissionPromptArgs, registerPermissionChannel, unregisterPermissionChannel } from './permissions.js';
+import { USAGE_LIMIT_MARKER, getUsageLimitTracker } from './usage-monitor/usage-limit.js';
+import { describeMessageUsage } from './usage-monitor/session-usage.js';
 
 // Use cross-spawn on Windows for better command execution
 const spawnFunction = process.platform === 'win32' ? crossSpawn : spawn;
@@ -11,7 +15,7 @@ let activeClaudeProcesses = new Map(); // Track active processes by session ID
 
 async function spawnClaude(command, options = {}, ws) {
     return new Promise(async (resolve, reject) => {
-        const { sessionId, projectPath, cwd, resume, toolsSettings, permissionMode, images, background, smartCommit } = options;
+        const { sessionId, projectPath, cwd, resume, toolsSettings, permissionMode, images, background, smartCommit, model } = options;
         let capturedSessionId = sessionId; // Track session ID throughout the process
         let sessionCreatedSent = false; // Track if we've already sent session-created event
 
@@ -170,12 +174,19 @@ async function spawnClaude(command, options = {}, ws) {
             console.log('Note: MCP config check failed, proceeding without MCP support');
         }
 
-        // Add model for new sessions
-        if (!resume) {
-            args.push('--model', 'sonnet');
+        // Add model selected for this session; fall back to the default only for new sessions
+        if (model && !isValidModel(model)) {
+            console.warn(`⚠️ Ignoring unknown model "${ model }"`);
+        }
+        const selectedModel = model && isValidModel(model) ? model : (resume ? null : DEFAULT_SESSION_MODEL);
+        const cliModel = selectedModel ? resolveCliModel(selectedModel) : null;
+        if (cliModel) {
+            args.push('--model', cliModel);
+            console.log('🧠 Using model:', cliModel);
         }
 
         // We'll append --permission-mode later only if not using dangerous skip
+        let permissionKey = null;
 
         // Add tools settings flags
         // When dangerous skip is enabled, always use it and ignore permission mode
@@ -221,7 +232,15 @@ async function spawnClaude(command, options = {}, ws) {
                 }
             }
 
-            // No-op
+            // Route tool permission prompts back to the chat UI for interactive approval
+            // Background runs and smart commits have nobody to answer, so they keep the static lists
+            if (permissionMode !== 'bypassPermissions' && !background && !smartCommit && ws) {
+                permissionKey = registerPermissionChannel(ws, {
+                    getSessionId: () => capturedSessionId || sessionId
+                });
+                args.push(...getPermissionPromptArgs(permissionKey));
+                console.log('🔐 Interactive permission prompts enabled');
+            }
         }
 
         console.log('Spawning Claude CLI:', 'claude', args.map(arg => {
@@ -259,23 +278,30 @@ async function spawnClaude(command, options = {}, ws) {
                     const response = JSON.parse(line);
                     console.log('📄 Parsed JSON response:', response);
 
+                    // The final result line also carries the usage-limit text
+                    if (typeof response.result === 'string' && response.result.includes(USAGE_LIMIT_MARKER)) {
+                        getUsageLimitTracker().recordFromText(response.result);
+                    }
+
                     // Check for usage limit in parsed response
                     if (response.message && response.message.content) {
-                        let usageLimitDetected = false;
+                        let usageLimitText = null;
                         
                         if (Array.isArray(response.message.content)) {
                             for (const part of response.message.content) {
-                                if (part.type === 'text' && part.text && part.text.includes('Claude AI usage limit reached|')) {
-                                    usageLimitDetected = true;
+                                if (part.type === 'text' && part.text && part.text.includes(USAGE_LIMIT_MARKER)) {
+                                    usageLimitText = part.text;
                                     break;
                                 }
                             }
-                        } else if (typeof response.message.content === 'string' && response.message.content.includes('Claude AI usage limit reached|')) {
-                            usageLimitDetected = true;
+                        } else if (typeof response.message.content === 'string' && response.message.content.includes(USAGE_LIMIT_MARKER)) {
+                            usageLimitText = response.message.content;
                         }
                         
-                        if (usageLimitDetected) {
+                        if (usageLimitText) {
                             console.log('🚫 Usage limit detected, terminating Claude process');
+                            // The epoch after the marker is the authoritative window reset time
+                            getUsageLimitTracker().recordFromText(usageLimitText);
                             // Send the response first so client can show the error
                             ws.send(JSON.stringify({
                                 type: 'claude-response',
@@ -402,6 +428,8 @@ async function spawnClaude(command, options = {}, ws) {
                     ws.send(JSON.stringify({
                         type: 'claude-response',
                         data: response,
+                        // Priced with the server pricing table for the chat usage meter
+                        usage: response.type === 'assistant' ? describeMessageUsage(response.message) : null,
                         sessionId: capturedSessionId,
                         background: background,
                         smartCommit: smartCommit
@@ -410,8 +438,9 @@ async function spawnClaude(command, options = {}, ws) {
                     console.log('📄 Non-JSON response:', line);
                     
                     // Check for usage limit in non-JSON response
-                    if (line.includes('Claude AI usage limit reached|')) {
+                    if (line.includes(USAGE_LIMIT_MARKER)) {
                         console.log('🚫 Usage limit detected in raw output, terminating Claude process');
+                        getUsageLimitTracker().recordFromText(line);
                         // Send the response first so client can show the error
                         ws.send(JSON.stringify({
                             type: 'claude-output',
@@ -524,6 +553,9 @@ async function spawnClaude(command, options = {}, ws) {
             // Clean up process reference
             const finalSessionId = capturedSessionId || sessionId || processKey;
             activeClaudeProcesses.delete(finalSessionId);
+            if (permissionKey) {
+                unregisterPermissionChannel(permissionKey);
+            }
 
             // For smart commits, ensure we always send the correct session ID
             // Use the original sessionId (from frontend) if capturedSessionId is not available
@@ -574,6 +606,9 @@ async function spawnClaude(command, options = {}, ws) {
             // Clean up process reference on error
             const finalSessionId = capturedSessionId || sessionId || processKey;
             activeClaudeProcesses.delete(finalSessionId);
+            if (permissionKey) {
+                unregisterPermissionChannel(permissionKey);
+            }
 
             // For smart commits, ensure we always send the correct session ID
             const responseSessionId = capturedSessionId || sessionId;
@@ -0,0 +1,212 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import { promises as fs } from 'fs';
+import os from 'os';
+
+const execAsync = promisify(exec);
+
+// Get Git conventions from CLAUDE.md or .gitmessage files
+async function getGitConventions(projectPath) {
+    const conventions = {
+        format: null,
+        types: null,
+        scopes: null,
+        rules: null
+    };
+    
+    try {
+        // 1. Try project-specific .gitmessage.txt first (highest priority)
+        const gitmessageFile = path.join(projectPath, '.gitmessage.txt');
+        try {
+            const gitmessageContent = await fs.readFile(gitmessageFile, 'utf-8');
+            const gitmessageConventions = parseGitmessageTemplate(gitmessageContent);
+            if (gitmessageConventions) {
+                Object.assign(conventions, gitmessageConventions);
+                console.log('Found Git conventions in .gitmessage.txt');
+                return conventions; // Use .gitmessage.txt if found
+            }
+        } catch (error) {
+            // No .gitmessage.txt, continue
+        }
+        
+        // 2. Try app/statics/rules/.gitmessage.txt
+        const appGitmessageFile = path.join(projectPath, 'app', 'statics', 'rules', '.gitmessage.txt');
+        try {
+            const appGitmessageContent = await fs.readFile(appGitmessageFile, 'utf-8');
+            const appGitmessageConventions = parseGitmessageTemplate(appGitmessageContent);
+            if (appGitmessageConventions) {
+                Object.assign(conventions, appGitmessageConventions);
+                console.log('Found Git conventions in app/statics/rules/.gitmessage.txt');
+                return conventions;
+            }
+        } catch (error) {
+            // No app .gitmessage.txt, continue
+        }
+        
+        // 3. Try project-specific CLAUDE.md
+        const projectClaudeFile = path.join(projectPath, 'CLAUDE.md');
+        try {
+            const projectContent = await fs.readFile(projectClaudeFile, 'utf-8');
+            const projectConventions = parseGitConventions(projectContent);
+            if (projectConventions) {
+                Object.assign(conventions, projectConventions);
+                console.log('Found project-specific Git conventions in CLAUDE.md');
+            }
+        } catch (error) {
+            // No project CLAUDE.md, continue
+        }
+        
+        // 4. Try global CLAUDE.md (only if project conventions not found)
+        if (!conventions.format) {
+            const globalClaudeFile = path.join(os.homedir(), '.claude', 'CLAUDE.md');
+            try {
+                const globalContent = await fs.readFile(globalClaudeFile, 'utf-8');
+                const globalConventions = parseGitConventions(globalContent);
+                if (globalConventions) {
+                    Object.assign(conventions, globalConventions);
+                    console.log('Found global Git conventions in ~/.claude/CLAUDE.md');
+                }
+            } catch (error) {
+                // No global CLAUDE.md, use defaults
+            }
+        }
+        
+    } catch (error) {
+        console.error('Error reading Git conventions:', error);
+    }
+    
+    return conventions;
+}
+
+// Parse Git conventions from .gitmessage.txt template
+function parseGitmessageTemplate(content) {
+    try {
+        const conventions = {};
+        
+        // Extract format from template (e.g., <type>(<scope>): <subject>)
+        const formatMatch = content.match(/#\s*<type>\(<scope>\):\s*<subject>|#\s*(\w+)\((\w+)\):\s*(\w+)/i);
+        if (formatMatch) {
+            conventions.format = '<type>(<scope>): <subject>';
+        }
+        
+        // Extract types from template
+        const typesMatch = content.match(/type:\s*([^\n]+)/i);
+        if (typesMatch) {
+            // Parse types like: feat | fix | docs | style | refactor | perf | test | build | ci | chore | revert
+            const typesList = typesMatch[1].split('|').map(t => t.trim());
+            conventions.types = typesList;
+        }
+        
+        // Extract scope examples
+        const scopeMatch = content.match(/scope:.*?(如|例如|e\.g\.|such as|like)([^\n]+)/i);
+        if (scopeMatch) {
+            const scopeExamples = scopeMatch[2].split(/[、,]/).map(s => s.trim());
+            conventions.scopes = scopeExamples;
+        }
+        
+        // Extract rules from the template comments
+        const rulesLines = [];
+        const lines = content.split('\n');
+        for (const line of lines) {
+            if (line.startsWith('#') && (line.includes('不超过') || line.includes('祈使句') || line.includes('50字符') || line.includes('imperative'))) {
+                rulesLines.push(line.replace(/^#\s*/, ''));
+            }
+        }
+        if (rulesLines.length > 0) {
+            conventions.rules = rulesLines.join('\n');
+        }
+        
+        // Set default conventional commit format if types are found
+        if (conventions.types && !conventions.format) {
+            conventions.format = '<type>(<scope>): <subject>';
+        }
+        
+        return conventions;
+    } catch (error) {
+        console.error('Error parsing .gitmessage template:', error);
+        return null;
+    }
+}
+
+// Parse Git conventions from CLAUDE.md content
+function parseGitConventions(content) {
+    try {
+        // Look for Git-related sections in CLAUDE.md
+        const gitSectionMatch = content.match(/##?\s*(?:Git|git|GIT|提交|commit).*?(?=##|$)/is);
+        if (!gitSectionMatch) return null;
+        
+        const gitSection = gitSectionMatch[0];
+        
+        const conventions = {};
+        
+        // Look for commit message format
+        const formatMatch = gitSection.match(/(?:format|格式|模板).*?([`"']([^`"']+)[`"']|:\s*(.+))/is);
+        if (formatMatch) {
+            conventions.format = formatMatch[2] || formatMatch[3];
+        }
+        
+        // Look for commit types
+        const typesMatch = gitSection.match(/(?:type|类型).*?\[(.*?)\]/is);
+        if (typesMatch) {
+            conventions.types = typesMatch[1].split(',').map(t => t.trim());
+        }
+        
+        // Look for scopes
+        const scopesMatch = gitSection.match(/(?:scope|范围).*?\[(.*?)\]/is);
+        if (scopesMatch) {
+            conventions.scopes = scopesMatch[1].split(',').map(s => s.trim());
+        }
+        
+        // Look for specific rules
+        const rulesMatch = gitSection.match(/(?:rule|规则|要求).*?([\s\S]*?)(?=##|$)/is);
+        if (rulesMatch) {
+            conventions.rules = rulesMatch[1].trim();
+        }
+        
+        return Object.keys(conventions).length > 0 ? conventions : null;
+    } catch (error) {
+        console.error('Error parsing Git conventions:', error);
+        return null;
+    }
+}
+
+
+// Candidate commit templates, in lookup order after `git config commit.template`
+const TEMPLATE_FILES = ['.gitmessage', '.gitmessage.txt', path.join('app', 'statics', 'rules', '.gitmessage.txt')];
+
+/**
+ * Read the raw commit template for a project.
+ * Returns { path, content } or null when the project has none
+ */
+async function readCommitTemplate(projectPath) {
+    const candidates = [];
+
+    try {
+        const { stdout } = await execAsync('git config --get commit.template', { cwd: projectPath });
+        const configured = stdout.trim();
+        if (configured) {
+            const expanded = configured.startsWith('~') ? path.join(os.homedir(), configured.slice(1)) : configured;
+            candidates.push(path.resolve(projectPath, expanded));
+        }
+    } catch (error) {
+        // commit.template not set
+    }
+
+    candidates.push(...TEMPLATE_FILES.map(file => path.join(projectPath, file)));
+
+    for (const templatePath of candidates) {
+        try {
+            const content = await fs.readFile(templatePath, 'utf-8');
+            if (content.trim()) {
+                return { path: templatePath, content };
+            }
+        } catch (error) {
+            // Try the next location
+        }
+    }
+
+    return null;
+}
+
+export { getGitConventions, parseGitmessageTemplate, parseGitConventions, readCommitTemplate };
@@ -0,0 +1,123 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import path from 'path';
+import { promises as fs } from 'fs';
+import os from 'os';
+import { isChineseLanguage } from '../utils.js';
+
+const execAsync = promisify(exec);
+
+const CANDIDATE_COUNT = 3;
+const CANDIDATE_SEPARATOR = '===';
+
+// Strip the chatter Claude sometimes wraps around a commit message
+function extractMessage(text) {
+    let finalMessage = text.trim();
+
+    // Remove code blocks first
+    finalMessage = finalMessage.replace(/^```[a-z]*\n?|\n?```$/gm, '').trim();
+
+    // Remove common intro phrases
+    finalMessage = finalMessage.replace(/^.*?(?:commit message|提交消息|消息)(?:\s*\d+)?[:：]\s*/i, '').trim();
+    finalMessage = finalMessage.replace(/^.*?(?:here's|here is|建议|推荐).*?[:：]\s*/i, '').trim();
+
+    // Remove surrounding quotes if present
+    const quoteMatch = finalMessage.match(/^["'`]([\s\S]*)["'`]$/s);
+    if (quoteMatch && quoteMatch[1]) {
+        finalMessage = quoteMatch[1].trim();
+    }
+
+    return finalMessage.toLowerCase().startsWith('error') ? '' : finalMessage;
+}
+
+// Generate commit message candidates using Claude CLI
+async function generateWithClaudeCLI(projectPath, files, diff, conventions, language) {
+    // Prepare the prompt for Claude CLI
+    const prompt = buildClaudePrompt(files, diff, conventions, language);
+
+    // Write prompt to a temporary file to avoid shell escaping issues
+    const promptFile = path.join(os.tmpdir(), `git-prompt-${Date.now()}.txt`);
+    await fs.writeFile(promptFile, prompt, 'utf-8');
+
+    try {
+        const { stdout } = await execAsync(
+            `cat "${promptFile}" | claude`,
+            {
+                cwd: projectPath,
+                timeout: 60000, // several candidates take longer than a single message
+                maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+            }
+        );
+
+        const separator = new RegExp(`^\\s*${CANDIDATE_SEPARATOR}+\\s*$`, 'm');
+        return stdout.split(separator).map(extractMessage).filter(Boolean);
+    } finally {
+        // Clean up temporary file
+        try {
+            await fs.unlink(promptFile);
+        } catch (e) {
+            // Ignore cleanup errors
+        }
+    }
+}
+
+// Build prompt for Claude CLI
+function buildClaudePrompt(files, diff, conventions, language) {
+    const isChineseLang = isChineseLanguage(language);
+    
+    let prompt = isChineseLang 
+        ? `请为以下Git变更生成 ${CANDIDATE_COUNT} 个不同的完整规范化提交消息候选，每个都包含 header、body 和 footer。\n\n`
+        : `Please generate ${CANDIDATE_COUNT} different complete standardized commit message candidates for the following Git changes, each including header, body, and footer.\n\n`;
+    
+    // Add specific requirements for complete commit message
+    prompt += isChineseLang
+        ? `要求：\n1. 严格遵循 Conventional Commits 规范\n2. 包含完整的 header、body 和 footer\n3. header: <type>(<scope>): <subject>\n4. body: 详细说明改动内容和原因\n5. footer: 验证信息或关联信息\n6. 只返回提交消息本身\n7. 候选之间用单独一行 ${CANDIDATE_SEPARATOR} 分隔\n\n`
+        : `Requirements:\n1. Strictly follow Conventional Commits specification\n2. Include complete header, body, and footer\n3. Header: <type>(<scope>): <subject>\n4. Body: Detailed explanation of changes and reasons\n5. Footer: Verification info or related references\n6. Return only the commit messages themselves\n7. Separate candidates with a line containing only ${CANDIDATE_SEPARATOR}\n\n`;
+    
+    // Add file information with better formatting
+    prompt += isChineseLang 
+        ? `变更的文件 (${files.length} 个):\n${files.map(f => `  • ${f}`).join('\n')}\n\n`
+        : `Modified files (${files.length}):\n${files.map(f => `  • ${f}`).join('\n')}\n\n`;
+    
+    // Add conventions with examples
+    if (conventions.format) {
+        prompt += isChineseLang 
+            ? `提交消息格式: ${conventions.format}\n\n`
+            : `Commit message format: ${conventions.format}\n\n`;
+    }
+    
+    if (conventions.types) {
+        prompt += isChineseLang 
+            ? `允许的类型: ${conventions.types.join(', ')}\n\n`
+            : `Allowed types: ${conventions.types.join(', ')}\n\n`;
+    }
+    
+    // Add example format with complete footer
+    prompt += isChineseLang
+        ? '示例格式：\nfeat(components): 增强组件交互功能\n\n为组件添加新的交互特性，提高用户体验。\n包含响应式设计和可访问性优化。\n\n验证：功能测试通过，用户界面无异常。\nSigned-off-by: Developer <developer@example.com>\n\n'
+        : 'Example format:\nfeat(components): enhance component interaction functionality\n\nAdd new interactive features to components to improve user experience.\nIncludes responsive design and accessibility optimizations.\n\nVerification: Feature testing passed, user interface shows no anomalies.\nSigned-off-by: Developer <developer@example.com>\n\n';
+    
+    // Add diff with better formatting
+    const diffSample = diff.length > 2000 ? diff.substring(0, 2000) + '\n... (diff truncated)' : diff;
+    prompt += isChineseLang 
+        ? `代码变更详情:\n\`\`\`diff\n${diffSample}\n\`\`\`\n\n请生成 ${CANDIDATE_COUNT} 个完整的提交消息候选（包含 header、body、footer）：`
+        : `Code changes:\n\`\`\`diff\n${diffSample}\n\`\`\`\n\nGenerate ${CANDIDATE_COUNT} complete commit message candidates (including header, body, footer):`;
+    
+    return prompt;
+}
+
+
+export default {
+    id: 'claude-cli',
+    label: 'Claude CLI',
+    isAvailable: async ({ projectPath }) => {
+        try {
+            await execAsync('which claude', { cwd: projectPath, timeout: 5000 });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+    generate: ({ projectPath, files, diff, conventions, language }) =>
+        generateWithClaudeCLI(projectPath, files, diff, conventions, language)
+};
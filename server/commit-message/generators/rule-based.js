@@ -0,0 +1,422 @@
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { isChineseLanguage } from '../utils.js';
+
+const execAsync = promisify(exec);
+
+/**
+ * Work out type, subject and scope from the changed files and diff.
+ * Shared by the rule-based and template generators
+ */
+export function analyzeChanges(files, diff, conventions, language) {
+    const isChineseLang = isChineseLanguage(language);
+    const fileCount = files.length;
+    
+    // Analyze the diff to determine the type of change
+    const additions = (diff.match(/^\+[^+]/gm) || []).length;
+    const deletions = (diff.match(/^-[^-]/gm) || []).length;
+    
+    // Determine the primary action based on conventions or defaults
+    let action;
+    if (conventions.types && conventions.types.length > 0) {
+        // Use convention types
+        if (additions > 0 && deletions === 0) {
+            action = conventions.types.includes('feat') ? 'feat' : conventions.types.includes('add') ? 'add' : conventions.types[0];
+        } else if (deletions > 0 && additions === 0) {
+            action = conventions.types.includes('remove') ? 'remove' : conventions.types.includes('delete') ? 'delete' : 'refactor';
+        } else if (additions > deletions * 2) {
+            action = conventions.types.includes('feat') ? 'feat' : conventions.types.includes('enhance') ? 'enhance' : 'update';
+        } else if (deletions > additions * 2) {
+            action = conventions.types.includes('refactor') ? 'refactor' : 'update';
+        } else {
+            action = conventions.types.includes('fix') ? 'fix' : conventions.types.includes('update') ? 'update' : conventions.types[0];
+        }
+    } else {
+        // Use language-specific default actions
+        if (isChineseLang) {
+            if (additions > 0 && deletions === 0) {
+                action = '新增';
+            } else if (deletions > 0 && additions === 0) {
+                action = '删除';
+            } else if (additions > deletions * 2) {
+                action = '增强';
+            } else if (deletions > additions * 2) {
+                action = '重构';
+            } else {
+                action = '更新';
+            }
+        } else {
+            if (additions > 0 && deletions === 0) {
+                action = 'Add';
+            } else if (deletions > 0 && additions === 0) {
+                action = 'Remove';
+            } else if (additions > deletions * 2) {
+                action = 'Enhance';
+            } else if (deletions > additions * 2) {
+                action = 'Refactor';
+            } else {
+                action = 'Update';
+            }
+        }
+    }
+    
+    // Generate more detailed description based on files and changes
+    let description;
+    
+    // Analyze what types of files changed
+    const fileTypes = new Set();
+    const componentNames = new Set();
+    const directories = new Set();
+    
+    files.forEach(f => {
+        const parts = f.split('/');
+        const fileName = parts[parts.length - 1];
+        const ext = fileName.split('.').pop();
+        
+        // Track file types
+        if (['jsx', 'tsx'].includes(ext)) fileTypes.add('component');
+        else if (['css', 'scss', 'less'].includes(ext)) fileTypes.add('style');
+        else if (['js', 'ts'].includes(ext)) fileTypes.add('script');
+        else if (['json', 'yml', 'yaml'].includes(ext)) fileTypes.add('config');
+        else if (['md', 'txt'].includes(ext)) fileTypes.add('doc');
+        
+        // Track component/module names
+        if (parts.length > 1) {
+            directories.add(parts[0]);
+            const moduleName = parts[parts.length - 2] || parts[0];
+            componentNames.add(moduleName);
+        } else {
+            componentNames.add(fileName.replace(/\.[^.]+$/, ''));
+        }
+    });
+    
+    // Build description based on analysis
+    if (fileCount > 1) {
+        if (componentNames.size === 1) {
+            const componentName = [...componentNames][0];
+            const typeList = [...fileTypes];
+            
+            if (typeList.includes('component') && typeList.includes('style')) {
+                description = isChineseLang 
+                    ? `${componentName} 组件的功能和样式`
+                    : `${componentName} component functionality and styling`;
+            } else if (typeList.includes('component')) {
+                description = isChineseLang 
+                    ? `${componentName} 组件逻辑`
+                    : `${componentName} component logic`;
+            } else if (typeList.includes('style')) {
+                description = isChineseLang 
+                    ? `${componentName} 样式优化`
+                    : `${componentName} style improvements`;
+            } else {
+                description = isChineseLang 
+                    ? `${componentName} 模块`
+                    : `${componentName} module`;
+            }
+        } else if (directories.size === 1) {
+            const directory = [...directories][0];
+            description = isChineseLang 
+                ? `${directory} 模块的多个组件`
+                : `multiple ${directory} components`;
+        } else {
+            // Multiple components across directories
+            const mainComponents = [...componentNames].slice(0, 2).join(', ');
+            if (componentNames.size > 2) {
+                description = isChineseLang 
+                    ? `${mainComponents} 等${componentNames.size}个组件`
+                    : `${mainComponents} and ${componentNames.size - 2} more components`;
+            } else {
+                description = isChineseLang 
+                    ? `${mainComponents} 组件`
+                    : `${mainComponents} components`;
+            }
+        }
+    } else {
+        // Single file - be more specific
+        const fileName = files[0].split('/').pop();
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        const ext = fileName.split('.').pop();
+        
+        // Add context based on file type
+        if (['jsx', 'tsx'].includes(ext)) {
+            // Check if it has UI changes
+            const hasUIChanges = diff.includes('className') || diff.includes('style') || diff.includes('<div') || diff.includes('render');
+            if (hasUIChanges) {
+                description = isChineseLang 
+                    ? `${baseName} 组件的界面和交互`
+                    : `${baseName} component UI and interactions`;
+            } else {
+                description = isChineseLang 
+                    ? `${baseName} 组件逻辑`
+                    : `${baseName} component logic`;
+            }
+        } else if (['css', 'scss', 'less'].includes(ext)) {
+            description = isChineseLang 
+                ? `${baseName} 样式调整`
+                : `${baseName} style adjustments`;
+        } else if (['json', 'yml', 'yaml'].includes(ext)) {
+            description = isChineseLang 
+                ? `${baseName} 配置更新`
+                : `${baseName} configuration updates`;
+        } else if (ext === 'md') {
+            description = isChineseLang 
+                ? `${baseName} 文档更新`
+                : `${baseName} documentation updates`;
+        } else {
+            // Generic but with more context
+            if (additions > deletions) {
+                description = isChineseLang 
+                    ? `${baseName} 功能扩展`
+                    : `enhance ${baseName} functionality`;
+            } else if (deletions > additions) {
+                description = isChineseLang 
+                    ? `${baseName} 代码优化`
+                    : `optimize ${baseName} implementation`;
+            } else {
+                description = isChineseLang 
+                    ? `更新 ${baseName}`
+                    : `update ${baseName}`;
+            }
+        }
+    }
+    
+    // Determine scope based on the files
+    let scope = '';
+    // Try to determine scope from directories or component names
+    if (directories.size === 1) {
+        scope = [...directories][0];
+    } else if (componentNames.size === 1) {
+        scope = [...componentNames][0].toLowerCase();
+    } else if (fileTypes.has('component')) {
+        scope = 'components';
+    } else if (fileTypes.has('style')) {
+        scope = 'styles';
+    } else if (fileTypes.has('config')) {
+        scope = 'config';
+    } else if (conventions.scopes && conventions.scopes.length > 0) {
+        // Use first available scope from conventions if we can't determine
+        scope = conventions.scopes[0];
+    }
+
+    return {
+        isChineseLang,
+        fileCount,
+        additions,
+        deletions,
+        action,
+        description,
+        scope,
+        fileTypes,
+        directories,
+        componentNames
+    };
+}
+
+// Enhanced rule-based message generation with conventions and language support
+async function generateRuleBasedMessage(files, diff, conventions, language, projectPath) {
+    const {
+        isChineseLang,
+        fileCount,
+        additions,
+        deletions,
+        action,
+        description,
+        directories,
+        componentNames,
+        ...analysis
+    } = analyzeChanges(files, diff, conventions, language);
+
+    // Format according to conventions
+    if (conventions.format) {
+        // Handle conventional commit format: <type>(<scope>): <subject>
+        const scope = conventions.format.includes('scope') ? analysis.scope : '';
+        
+        // Build the complete commit message with header, body, and footer
+        let subject = description;
+        
+        // Build header: <type>(<scope>): <subject>
+        let header = action;
+        if (scope) {
+            header += `(${scope})`;
+        }
+        header += `: ${subject}`;
+        
+        // Build body: explain what changed and why
+        let body = '';
+        if (fileCount === 1) {
+            const fileName = files[0].split('/').pop();
+            if (action === 'feat') {
+                body = isChineseLang
+                    ? `\u4e3a ${fileName} \u6dfb\u52a0\u65b0\u529f\u80fd\uff0c\u589e\u5f3a\u7528\u6237\u4f53\u9a8c\u548c\u7cfb\u7edf\u529f\u80fd\u6027\u3002`
+                    : `Add new functionality to ${fileName} to enhance user experience and system capabilities.`;
+            } else if (action === 'fix') {
+                body = isChineseLang
+                    ? `\u4fee\u590d ${fileName} \u4e2d\u7684\u95ee\u9898\uff0c\u63d0\u9ad8\u7cfb\u7edf\u7a33\u5b9a\u6027\u548c\u53ef\u9760\u6027\u3002`
+                    : `Fix issues in ${fileName} to improve system stability and reliability.`;
+            } else if (action === 'refactor') {
+                body = isChineseLang
+                    ? `\u91cd\u6784 ${fileName} \u7684\u4ee3\u7801\u7ed3\u6784\uff0c\u63d0\u9ad8\u53ef\u8bfb\u6027\u548c\u7ef4\u62a4\u6027\u3002`
+                    : `Refactor code structure in ${fileName} to improve readability and maintainability.`;
+            } else if (action === 'style') {
+                body = isChineseLang
+                    ? `\u4f18\u5316 ${fileName} \u7684\u6837\u5f0f\u548c\u89c6\u89c9\u8868\u73b0\uff0c\u63d0\u5347\u7528\u6237\u754c\u9762\u4f53\u9a8c\u3002`
+                    : `Optimize styles and visual presentation in ${fileName} to enhance user interface experience.`;
+            } else {
+                body = isChineseLang
+                    ? `\u66f4\u65b0 ${fileName} \u7684\u5b9e\u73b0\uff0c\u4fdd\u6301\u7cfb\u7edf\u7684\u73b0\u4ee3\u5316\u548c\u9ad8\u6548\u6027\u3002`
+                    : `Update ${fileName} implementation to maintain system modernization and efficiency.`;
+            }
+        } else {
+            // Multiple files
+            const moduleCount = directories.size;
+            const componentCount = componentNames.size;
+            
+            if (action === 'feat') {
+                body = isChineseLang
+                    ? `\u5728 ${fileCount} \u4e2a\u6587\u4ef6\u4e2d\u5b9e\u73b0\u65b0\u529f\u80fd\uff0c\u6d89\u53ca ${moduleCount > 1 ? moduleCount + ' \u4e2a\u6a21\u5757' : '\u6838\u5fc3\u6a21\u5757'}\u3002\n\u589e\u5f3a\u7cfb\u7edf\u80fd\u529b\uff0c\u4f18\u5316\u7528\u6237\u4ea4\u4e92\u4f53\u9a8c\u3002`
+                    : `Implement new features across ${fileCount} files, affecting ${moduleCount > 1 ? moduleCount + ' modules' : 'core module'}.\nEnhance system capabilities and optimize user interaction experience.`;
+            } else if (action === 'fix') {
+                body = isChineseLang
+                    ? `\u4fee\u590d\u591a\u4e2a\u7ec4\u4ef6\u4e2d\u7684\u95ee\u9898\uff0c\u6d89\u53ca ${fileCount} \u4e2a\u6587\u4ef6\u3002\n\u63d0\u9ad8\u7cfb\u7edf\u7a33\u5b9a\u6027\uff0c\u786e\u4fdd\u529f\u80fd\u6b63\u5e38\u8fd0\u884c\u3002`
+                    : `Fix issues across multiple components, involving ${fileCount} files.\nImprove system stability and ensure proper functionality.`;
+            } else if (action === 'refactor') {
+                body = isChineseLang
+                    ? `\u91cd\u6784\u591a\u4e2a\u6a21\u5757\u7684\u4ee3\u7801\u7ed3\u6784\uff0c\u4f18\u5316 ${componentCount} \u4e2a\u7ec4\u4ef6\u3002\n\u63d0\u9ad8\u4ee3\u7801\u53ef\u8bfb\u6027\u548c\u7ef4\u62a4\u6027\uff0c\u4e3a\u540e\u7eed\u5f00\u53d1\u5960\u5b9a\u57fa\u7840\u3002`
+                    : `Refactor code structure across multiple modules, optimizing ${componentCount} components.\nImprove code readability and maintainability for future development.`;
+            } else {
+                body = isChineseLang
+                    ? `\u66f4\u65b0\u591a\u4e2a\u6a21\u5757\u7684\u5b9e\u73b0\uff0c\u6d89\u53ca ${fileCount} \u4e2a\u6587\u4ef6\u3002\n\u4fdd\u6301\u7cfb\u7edf\u7684\u73b0\u4ee3\u5316\u548c\u9ad8\u6548\u6027\u3002`
+                    : `Update implementation across multiple modules, involving ${fileCount} files.\nMaintain system modernization and efficiency.`;
+            }
+        }
+        
+        // Build footer according to .gitmessage.txt rules
+        let footer = '';
+        
+        // Add verification info based on action type
+        if (action === 'feat') {
+            footer = isChineseLang
+                ? '\u9a8c\u8bc1\uff1a\u529f\u80fd\u6d4b\u8bd5\u901a\u8fc7\uff0c\u7528\u6237\u754c\u9762\u65e0\u5f02\u5e38\u3002'
+                : 'Verification: Feature testing passed, user interface shows no anomalies.';
+        } else if (action === 'fix') {
+            footer = isChineseLang
+                ? '\u9a8c\u8bc1\uff1a\u95ee\u9898\u4fee\u590d\u786e\u8ba4\uff0c\u56de\u5f52\u6d4b\u8bd5\u901a\u8fc7\u3002'
+                : 'Verification: Issue fix confirmed, regression testing passed.';
+        } else if (action === 'refactor') {
+            footer = isChineseLang
+                ? '\u9a8c\u8bc1\uff1a\u91cd\u6784\u540e\u529f\u80fd\u6b63\u5e38\uff0c\u4ee3\u7801\u8d28\u91cf\u63d0\u5347\u3002'
+                : 'Verification: Functionality maintained after refactoring, code quality improved.';
+        } else if (action === 'style') {
+            footer = isChineseLang
+                ? '\u9a8c\u8bc1\uff1a\u6837\u5f0f\u66f4\u65b0\u65e0\u526f\u4f5c\u7528\uff0c\u89c6\u89c9\u6548\u679c\u7b26\u5408\u9884\u671f\u3002'
+                : 'Verification: Style updates have no side effects, visual effects meet expectations.';
+        } else if (action === 'perf') {
+            footer = isChineseLang
+                ? '\u9a8c\u8bc1\uff1a\u6027\u80fd\u4f18\u5316\u6548\u679c\u786e\u8ba4\uff0c\u65e0\u529f\u80fd\u56de\u9000\u3002'
+                : 'Verification: Performance improvements confirmed, no functional regression.';
+        } else if (action === 'docs') {
+            footer = isChineseLang
+                ? '\u9a8c\u8bc1\uff1a\u6587\u6863\u5185\u5bb9\u51c6\u786e\uff0c\u683c\u5f0f\u89c4\u8303\u3002'
+                : 'Verification: Documentation content accurate, formatting compliant.';
+        } else if (action === 'test') {
+            footer = isChineseLang
+                ? '\u9a8c\u8bc1\uff1a\u6d4b\u8bd5\u7528\u4f8b\u8986\u76d6\u5b8c\u6574\uff0c\u6267\u884c\u901a\u8fc7\u3002'
+                : 'Verification: Test cases provide complete coverage, execution passed.';
+        } else {
+            // Generic footer for other types
+            footer = isChineseLang
+                ? '\u9a8c\u8bc1\uff1a\u53d8\u66f4\u5185\u5bb9\u5df2\u786e\u8ba4\uff0c\u7cfb\u7edf\u8fd0\u884c\u6b63\u5e38\u3002'
+                : 'Verification: Changes confirmed, system operating normally.';
+        }
+        
+        // Add breaking change notice if it's a major change
+        if (additions > 50 || deletions > 50 || fileCount > 10) {
+            const breakingChange = isChineseLang
+                ? '\n\nBREAKING CHANGE: 涉及多个文件的重大变更，可能影响现有功能。'
+                : '\n\nBREAKING CHANGE: Major changes involving multiple files, may affect existing functionality.';
+            footer += breakingChange;
+        }
+        
+        // Add signed-off-by if configured (check git config)
+        if (projectPath) {
+            try {
+                const { stdout: gitUserName } = await execAsync('git config user.name', { cwd: projectPath });
+                const { stdout: gitUserEmail } = await execAsync('git config user.email', { cwd: projectPath });
+                
+                if (gitUserName.trim() && gitUserEmail.trim()) {
+                    footer += `\n\nSigned-off-by: ${gitUserName.trim()} <${gitUserEmail.trim()}>`;
+                }
+            } catch (error) {
+                // Git config not available, skip signed-off-by
+            }
+        }
+        
+        // Assemble the complete message
+        let message = header;
+        if (body) {
+            message += '\n\n' + body;
+        }
+        if (footer) {
+            message += '\n\n' + footer;
+        }
+        
+        // Full message first, then the header alone for a short commit
+        return [message, header];
+    }
+    
+    // Default format
+    return [`${action} ${description}`];
+}
+
+// Simple commit message generator (last resort when every generator fails)
+export function generateSimpleCommitMessage(files, diff) {
+    const fileCount = files.length;
+    const isMultipleFiles = fileCount > 1;
+
+    // Analyze the diff to determine the type of change
+    const additions = (diff.match(/^\+[^+]/gm) || []).length;
+    const deletions = (diff.match(/^-[^-]/gm) || []).length;
+
+    // Determine the primary action
+    let action = 'Update';
+    if (additions > 0 && deletions === 0) {
+        action = 'Add';
+    } else if (deletions > 0 && additions === 0) {
+        action = 'Remove';
+    } else if (additions > deletions * 2) {
+        action = 'Enhance';
+    } else if (deletions > additions * 2) {
+        action = 'Refactor';
+    }
+
+    // Generate message based on files
+    let message;
+    if (isMultipleFiles) {
+        const components = new Set(files.map(f => {
+            const parts = f.split('/');
+            return parts[parts.length - 2] || parts[0];
+        }));
+
+        if (components.size === 1) {
+            message = `${ action } ${ [...components][0] } component`;
+        } else {
+            message = `${ action } multiple components`;
+        }
+    } else {
+        const fileName = files[0].split('/').pop();
+        const componentName = fileName.replace(/\.(jsx?|tsx?|css|scss)$/, '');
+        message = `${ action } ${ componentName }`;
+    }
+    
+    return message;
+}
+
+export default {
+    id: 'rule-based',
+    label: '规则生成',
+    isAvailable: async () => true,
+    generate: async ({ projectPath, files, diff, conventions, language }) => {
+        const candidates = await generateRuleBasedMessage(files, diff, conventions, language, projectPath);
+        return [...candidates, generateSimpleCommitMessage(files, diff)];
+    }
+};
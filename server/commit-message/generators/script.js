@@ -0,0 +1,80 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import os from 'os';
+
+const SCRIPT_TIMEOUT = 30000;
+const CANDIDATE_SEPARATOR = /^\s*---+\s*$/m;
+
+function resolveScriptPath(scriptPath, projectPath) {
+    const expanded = scriptPath.startsWith('~') ? path.join(os.homedir(), scriptPath.slice(1)) : scriptPath;
+    return path.resolve(projectPath, expanded);
+}
+
+// Run the script with the generator context as JSON on stdin
+function runScript(scriptPath, projectPath, input) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(scriptPath, [], { cwd: projectPath, shell: false });
+        let stdout = '';
+        let stderr = '';
+
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Commit message script timed out after ${SCRIPT_TIMEOUT / 1000}s`));
+        }, SCRIPT_TIMEOUT);
+
+        child.stdout.on('data', data => {
+            stdout += data.toString();
+        });
+        child.stderr.on('data', data => {
+            stderr += data.toString();
+        });
+        child.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        child.on('close', code => {
+            clearTimeout(timer);
+            if (code === 0) {
+                resolve(stdout);
+            } else {
+                reject(new Error(stderr.trim() || `Commit message script exited with code ${code}`));
+            }
+        });
+
+        child.stdin.on('error', () => {
+            // Scripts that don't read stdin close it early
+        });
+        child.stdin.end(JSON.stringify(input));
+    });
+}
+
+/**
+ * Script output is either JSON (an array of messages or { candidates: [...] })
+ * or plain text with candidates separated by a line of dashes
+ */
+function parseScriptOutput(stdout) {
+    const trimmed = stdout.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        try {
+            const parsed = JSON.parse(trimmed);
+            const candidates = Array.isArray(parsed) ? parsed : parsed.candidates;
+            if (Array.isArray(candidates)) {
+                return candidates.map(candidate => (typeof candidate === 'string' ? candidate : candidate?.message));
+            }
+        } catch (error) {
+            // Not JSON after all, treat as text
+        }
+    }
+    return trimmed.split(CANDIDATE_SEPARATOR);
+}
+
+export default {
+    id: 'script',
+    label: '自定义脚本',
+    isAvailable: async ({ settings }) => !!settings.generatorScript,
+    generate: async ({ projectPath, files, diff, conventions, language, settings }) => {
+        const scriptPath = resolveScriptPath(settings.generatorScript, projectPath);
+        const stdout = await runScript(scriptPath, projectPath, { projectPath, files, diff, conventions, language });
+        return parseScriptOutput(stdout);
+    }
+};
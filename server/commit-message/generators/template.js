@@ -0,0 +1,65 @@
+import { readCommitTemplate } from '../conventions.js';
+import { isChineseLanguage } from '../utils.js';
+import { analyzeChanges } from './rule-based.js';
+
+// Lines starting with '#' are git comments and never end up in the commit
+function templateSkeleton(content) {
+    return content
+        .split('\n')
+        .filter(line => !line.startsWith('#'))
+        .join('\n')
+        .trim();
+}
+
+// Fill <name> and {{name}} placeholders; an empty scope also drops its parentheses
+function fillTemplate(skeleton, values) {
+    let message = skeleton;
+    if (!values.scope) {
+        message = message.replace(/\((?:<scope>|\{\{\s*scope\s*\}\})\)/g, '');
+    }
+    message = message.replace(/<(\w+)>|\{\{\s*(\w+)\s*\}\}/g, (match, angle, braces) => {
+        const key = (angle || braces).toLowerCase();
+        return key in values ? values[key] : match;
+    });
+    return message.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+async function generateFromTemplate({ projectPath, files, diff, conventions, language }) {
+    const template = await readCommitTemplate(projectPath);
+    const analysis = analyzeChanges(files, diff, conventions, language);
+    const isChineseLang = isChineseLanguage(language);
+
+    // Templates that only describe the header in comments still need one
+    const header = conventions.format || '<type>(<scope>): <subject>';
+    let skeleton = (template && templateSkeleton(template.content)) || '<body>';
+    if (!/<subject>|\{\{\s*subject\s*\}\}/i.test(skeleton)) {
+        skeleton = `${header}\n\n${skeleton}`;
+    }
+
+    const body = (isChineseLang ? '变更文件：\n' : 'Changed files:\n') + files.map(file => `- ${file}`).join('\n');
+    const values = {
+        type: analysis.action,
+        scope: conventions.format && !conventions.format.includes('scope') ? '' : analysis.scope,
+        subject: analysis.description,
+        body,
+        footer: ''
+    };
+
+    const message = fillTemplate(skeleton, values);
+    const candidates = [message, message.split('\n')[0]];
+
+    // Offer the next allowed types too, in case the detected one is off
+    const alternatives = (conventions.types || []).filter(type => type !== values.type).slice(0, 2);
+    for (const type of alternatives) {
+        candidates.push(fillTemplate(skeleton, { ...values, type }));
+    }
+    return candidates;
+}
+
+export default {
+    id: 'template',
+    label: '.gitmessage 模板',
+    isAvailable: async ({ projectPath, conventions }) =>
+        !!conventions.format || !!(await readCommitTemplate(projectPath)),
+    generate: generateFromTemplate
+};
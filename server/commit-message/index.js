@@ -0,0 +1,76 @@
+import { getGitConventions } from './conventions.js';
+import { cleanMessage, uniqueCandidates } from './utils.js';
+import claudeCliGenerator from './generators/claude-cli.js';
+import ruleBasedGenerator, { generateSimpleCommitMessage } from './generators/rule-based.js';
+import templateGenerator from './generators/template.js';
+import scriptGenerator from './generators/script.js';
+
+/**
+ * 提交消息生成器
+ * 每个生成器实现 { id, label, isAvailable(context), generate(context) }，
+ * generate 返回候选消息数组。context 包含 projectPath、files、diff、
+ * conventions（getGitConventions 的结果）、language 和 Git 设置
+ */
+const COMMIT_MESSAGE_GENERATORS = [claudeCliGenerator, ruleBasedGenerator, templateGenerator, scriptGenerator];
+
+const DEFAULT_GENERATOR = 'claude-cli';
+const MAX_CANDIDATES = 5;
+
+function getGenerator(id) {
+    return COMMIT_MESSAGE_GENERATORS.find(generator => generator.id === id);
+}
+
+// Older settings only had the useClaudeCLI switch
+function selectedGeneratorId(settings) {
+    if (settings.generator && getGenerator(settings.generator)) {
+        return settings.generator;
+    }
+    return settings.useClaudeCLI === false ? 'rule-based' : DEFAULT_GENERATOR;
+}
+
+/**
+ * Run the configured generator, falling back to the rule-based one when it is
+ * unavailable, fails or returns nothing.
+ * Returns { generator, fallbackFrom, error, candidates }
+ */
+async function generateCommitMessages({ projectPath, files, diff, settings = {} }) {
+    const conventions = await getGitConventions(projectPath);
+    const language = settings.messageLanguage || 'en';
+    const context = { projectPath, files, diff, conventions, language, settings };
+
+    const selectedId = selectedGeneratorId(settings);
+    const chain = [...new Set([selectedId, ruleBasedGenerator.id])];
+    let lastError = null;
+
+    for (const id of chain) {
+        const generator = getGenerator(id);
+        try {
+            if (!(await generator.isAvailable(context))) {
+                console.log(`Commit message generator "${ id }" is not available, trying next`);
+                continue;
+            }
+            const candidates = uniqueCandidates(await generator.generate(context)).slice(0, MAX_CANDIDATES);
+            if (candidates.length > 0) {
+                return {
+                    generator: id,
+                    fallbackFrom: id !== selectedId ? selectedId : null,
+                    error: lastError,
+                    candidates
+                };
+            }
+        } catch (error) {
+            console.log(`Commit message generator "${ id }" failed:`, error.message);
+            lastError = error.message;
+        }
+    }
+
+    // Ultimate fallback to simple generation
+    return {
+        generator: 'simple',
+        fallbackFrom: selectedId,
+        error: lastError,
+        candidates: [cleanMessage(generateSimpleCommitMessage(files, diff))]
+    };
+}
+
+export { COMMIT_MESSAGE_GENERATORS, DEFAULT_GENERATOR, generateCommitMessages };
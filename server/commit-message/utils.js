@@ -0,0 +1,26 @@
+export function isChineseLanguage(language) {
+    return language === 'zh' || language === 'zh-CN';
+}
+
+// Remove Claude Code signatures if they somehow got included
+export function cleanMessage(message) {
+    return String(message || '')
+        .replace(/🤖\s*Generated with \[Claude Code\]\(https:\/\/claude\.ai\/code\)\s*/g, '')
+        .replace(/Co-Authored-By:\s*Claude\s*<noreply@anthropic\.com>\s*/gi, '')
+        .replace(/\n+$/, '')
+        .trim();
+}
+
+// Drop empty and duplicate candidates while keeping their order
+export function uniqueCandidates(messages) {
+    const seen = new Set();
+    const result = [];
+    for (const message of messages) {
+        const cleaned = cleanMessage(message);
+        if (cleaned && !seen.has(cleaned)) {
+            seen.add(cleaned);
+            result.push(cleaned);
+        }
+    }
+    return result;
+}
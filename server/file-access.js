@@ -0,0 +1,147 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { extractProjectDirectory, loadProjectConfig, saveProjectConfig } from './projects.js';
+
+// Structured error for the file endpoints; `code` lets the client show a specific message
+export class FileAccessError extends Error {
+    constructor(code, message, status, details = {}) {
+        super(message);
+        this.name = 'FileAccessError';
+        this.code = code;
+        this.status = status;
+        this.details = details;
+    }
+
+    toJSON() {
+        return { error: this.message, code: this.code, ...this.details };
+    }
+}
+
+// Resolve symlinks; for a path that does not exist yet (a new file), resolve the
+// nearest existing ancestor and re-append the rest
+async function realpathAllowingMissing(targetPath) {
+    const missing = [];
+    let current = path.resolve(targetPath);
+    for (;;) {
+        try {
+            const resolved = await fs.realpath(current);
+            return path.join(resolved, ...missing.reverse());
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (error.code !== 'ENOENT' || parent === current) {
+                throw error;
+            }
+            missing.push(path.basename(current));
+            current = parent;
+        }
+    }
+}
+
+function isInside(root, target) {
+    const relative = path.relative(root, target);
+    return relative !== '..' && !relative.startsWith(`..${ path.sep }`) && !path.isAbsolute(relative);
+}
+
+// The project root: the original path of manually added projects, otherwise the
+// session cwd found by extractProjectDirectory. Unknown project names are rejected
+// so a crafted name cannot decode to an arbitrary directory.
+export async function getProjectRoot(projectName) {
+    if (!projectName || projectName === '.' || projectName === '..' || /[\\/]/.test(projectName)) {
+        throw new FileAccessError('PROJECT_NOT_FOUND', `Project not found: ${ projectName }`, 404);
+    }
+
+    const config = await loadProjectConfig();
+    const projectConfig = config[projectName] || {};
+    if (projectConfig.manuallyAdded && projectConfig.originalPath) {
+        return projectConfig.originalPath;
+    }
+
+    const claudeProjectsDir = process.env.CLAUDE_PROJECTS_DIR || '.claude/projects';
+    try {
+        await fs.access(path.join(process.env.HOME, claudeProjectsDir, projectName));
+    } catch (error) {
+        throw new FileAccessError('PROJECT_NOT_FOUND', `Project not found: ${ projectName }`, 404);
+    }
+    return extractProjectDirectory(projectName);
+}
+
+// Extra directories outside the project root that the user explicitly allowed
+export async function getAllowedRoots(projectName) {
+    const config = await loadProjectConfig();
+    return config[projectName]?.allowedRoots || [];
+}
+
+export async function setAllowedRoots(projectName, roots) {
+    if (!Array.isArray(roots)) {
+        throw new FileAccessError('INVALID_ALLOWED_ROOTS', 'allowedRoots must be an array of absolute paths', 400);
+    }
+
+    const normalized = [];
+    for (const root of roots) {
+        if (typeof root !== 'string' || !path.isAbsolute(root)) {
+            throw new FileAccessError('INVALID_ALLOWED_ROOTS', `Not an absolute path: ${ root }`, 400);
+        }
+        const stats = await fs.stat(root).catch(() => null);
+        if (!stats?.isDirectory()) {
+            throw new FileAccessError('INVALID_ALLOWED_ROOTS', `Not a directory: ${ root }`, 400);
+        }
+        const resolved = path.resolve(root);
+        if (!normalized.includes(resolved)) {
+            normalized.push(resolved);
+        }
+    }
+
+    // Make sure the project exists before writing settings for it
+    await getProjectRoot(projectName);
+
+    const config = await loadProjectConfig();
+    const { allowedRoots, ...otherSettings } = config[projectName] || {};
+    if (normalized.length > 0) {
+        config[projectName] = { ...otherSettings, allowedRoots: normalized };
+    } else if (Object.keys(otherSettings).length > 0) {
+        config[projectName] = otherSettings;
+    } else {
+        delete config[projectName];
+    }
+    await saveProjectConfig(config);
+    return normalized;
+}
+
+// Resolve a client supplied absolute path and make sure that, after following
+// symlinks, it stays inside the project root or one of the allowed roots
+export async function resolveProjectFilePath(projectName, filePath) {
+    if (!filePath || typeof filePath !== 'string' || !path.isAbsolute(filePath)) {
+        throw new FileAccessError('INVALID_FILE_PATH', 'Invalid file path', 400);
+    }
+
+    const projectRoot = await getProjectRoot(projectName);
+    const allowedRoots = await getAllowedRoots(projectName);
+    const roots = [];
+    for (const root of [projectRoot, ...allowedRoots]) {
+        try {
+            roots.push(await fs.realpath(root));
+        } catch (error) {
+            // Missing roots simply grant nothing
+        }
+    }
+
+    const resolvedPath = await realpathAllowingMissing(filePath);
+    if (!roots.some(root => isInside(root, resolvedPath))) {
+        throw new FileAccessError(
+            'PATH_OUTSIDE_PROJECT',
+            'Access denied: path is outside the project directory',
+            403,
+            { path: filePath, projectRoot, allowedRoots }
+        );
+    }
+    return resolvedPath;
+}
+
+// Send a FileAccessError as its structured JSON; returns false for other errors
+export function sendFileAccessError(res, error) {
+    if (!(error instanceof FileAccessError)) {
+        return false;
+    }
+    res.status(error.status).json(error);
+    return true;
+}
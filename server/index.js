@@ -6,7 +6,6 @@ import express from 'express';
 import { WebSocketServer } from 'ws';
 import http from 'http';
 import os from 'os';
-import pty from 'node-pty';
 import fetch from 'node-fetch';
 import mime from 'mime-types';
 
@@ -19,6 +18,8 @@ import {
     deleteProjectCompletely,
     deleteSession,
     extractProjectDirectory,
+    forkSession,
+    generateDisplayName,
     getProjects,
     getSessionMessages,
     getSessions,
@@ -29,6 +30,23 @@ import gitRoutes from './routes/git.js';
 import mcpRoutes from './routes/mcp.js';
 import usageRoutes from './routes/usage.js';
 import modelRoutes from './routes/model.js';
+import permissionRoutes from './routes/permissions.js';
+import searchRoutes from './routes/search.js';
+import { resolvePermissionRequest } from './permissions.js';
+import { handleProjectsChange } from './search-index.js';
+import { EXPORT_FORMATS, exportSession } from './session-export.js';
+import { formatBudgetAlert, getBudgetMonitor } from './usage-monitor/budget-alerts.js';
+import { getUsageLimitTracker } from './usage-monitor/usage-limit.js';
+import { handleUsageIndexChange } from './usage-monitor/usage-index.js';
+import { summarizeSessionUsage } from './usage-monitor/session-usage.js';
+import { DEFAULT_SOURCE_ID, getUsageSourceRegistry, parseSourceIds } from './usage-monitor/usage-sources.js';
+import { importSession, previewSessionImport } from './session-import.js';
+import { DEFAULT_LANGUAGE, i18nMiddleware, normalizeLanguage } from './utils/i18n.js';
+import { getAllowedRoots, getProjectRoot, resolveProjectFilePath, sendFileAccessError, setAllowedRoots } from './file-access.js';
+import { getLocalHistoryStore } from './local-history.js';
+import { diffLines } from './utils/diff.js';
+import { getTerminalManager, handleTerminalConnection, isValidSessionId, TERMINAL_KINDS } from './terminal-manager.js';
+import { detectProjectCommands, getProjectSnippets, saveProjectSnippets, SnippetError } from './terminal-snippets.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -102,19 +120,29 @@ async function setupProjectsWatcher() {
                         }
                     });
 
+                    // Re-check usage budgets against the new session data (throttled inside)
+                    getBudgetMonitor().scheduleEvaluation();
+
                 } catch (error) {
                     console.error('❌ Error handling project changes:', error);
                 }
             }, parseInt(process.env.WATCHER_DEBOUNCE_MS) || 300); // Configurable debounce delay
         };
 
+        // Every event is forwarded to the search and usage indexes; project broadcasts are debounced
+        const onProjectsChange = (eventType, changedPath) => {
+            handleProjectsChange(eventType, changedPath);
+            handleUsageIndexChange(eventType, changedPath);
+            debouncedUpdate(eventType, changedPath);
+        };
+
         // Set up event listeners
         projectsWatcher
-            .on('add', (filePath) => debouncedUpdate('add', filePath))
-            .on('change', (filePath) => debouncedUpdate('change', filePath))
-            .on('unlink', (filePath) => debouncedUpdate('unlink', filePath))
-            .on('addDir', (dirPath) => debouncedUpdate('addDir', dirPath))
-            .on('unlinkDir', (dirPath) => debouncedUpdate('unlinkDir', dirPath))
+            .on('add', (filePath) => onProjectsChange('add', filePath))
+            .on('change', (filePath) => onProjectsChange('change', filePath))
+            .on('unlink', (filePath) => onProjectsChange('unlink', filePath))
+            .on('addDir', (dirPath) => onProjectsChange('addDir', dirPath))
+            .on('unlinkDir', (dirPath) => onProjectsChange('unlinkDir', dirPath))
             .on('error', (error) => {
                 console.error('❌ Chokidar watcher error:', error);
             })
@@ -126,6 +154,60 @@ async function setupProjectsWatcher() {
     }
 }
 
+// Extra usage sources (other Claude config homes) only feed the usage index and budget alerts
+let usageSourcesWatcher = null;
+
+async function setupUsageSourcesWatcher() {
+    const chokidar = (await import('chokidar')).default;
+
+    if (usageSourcesWatcher) {
+        await usageSourcesWatcher.close();
+        usageSourcesWatcher = null;
+    }
+
+    // The default source is already covered by the projects watcher
+    const sourcePaths = getUsageSourceRegistry().resolve()
+        .filter(source => source.id !== DEFAULT_SOURCE_ID)
+        .map(source => path.join(source.claudeConfigDir, 'projects'));
+    if (sourcePaths.length === 0) return;
+
+    try {
+        usageSourcesWatcher = chokidar.watch(sourcePaths, {
+            ignored: [
+                '**/node_modules/**',
+                '**/.git/**',
+                '**/*.tmp',
+                '**/*.swp',
+                '**/.DS_Store'
+            ],
+            persistent: true,
+            ignoreInitial: true,
+            followSymlinks: false,
+            depth: 10,
+            awaitWriteFinish: {
+                stabilityThreshold: 100,
+                pollInterval: 50
+            }
+        });
+
+        const onUsageSourceChange = (eventType, changedPath) => {
+            handleUsageIndexChange(eventType, changedPath);
+            getBudgetMonitor().scheduleEvaluation();
+        };
+
+        usageSourcesWatcher
+            .on('add', (filePath) => onUsageSourceChange('add', filePath))
+            .on('change', (filePath) => onUsageSourceChange('change', filePath))
+            .on('unlink', (filePath) => onUsageSourceChange('unlink', filePath))
+            .on('unlinkDir', (dirPath) => onUsageSourceChange('unlinkDir', dirPath))
+            .on('error', (error) => {
+                console.error('❌ Usage sources watcher error:', error);
+            });
+    } catch (error) {
+        console.error('❌ Failed to setup usage sources watcher:', error);
+    }
+}
+
 
 const app = express();
 const server = http.createServer(app);
@@ -137,6 +219,9 @@ const wss = new WebSocketServer({
 
 app.use(express.json());
 
+// Resolve the request language for localized error messages
+app.use(i18nMiddleware);
+
 // Git API Routes
 app.use('/api/git', gitRoutes);
 
@@ -149,6 +234,12 @@ app.use('/api/usage', usageRoutes);
 // Model Configuration API Routes
 app.use('/api/model', modelRoutes);
 
+// Tool Permission API Routes (used by the permission prompt MCP bridge)
+app.use('/api/permissions', permissionRoutes);
+
+// Session Search API Routes
+app.use('/api/search', searchRoutes);
+
 // Static files served after API routes
 app.use(express.static(path.join(__dirname, '../dist')));
 
@@ -189,12 +280,79 @@ app.get('/api/projects/:projectName/sessions/:sessionId/messages', async (req, r
     try {
         const { projectName, sessionId } = req.params;
         const messages = await getSessionMessages(projectName, sessionId);
-        res.json({ messages });
+        // Token/cost totals so the chat usage meter can be restored when a session is reopened
+        res.json({ messages, usage: summarizeSessionUsage(messages) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
+// Fork a session from one of its user messages into a new session
+app.post('/api/projects/:projectName/sessions/:sessionId/fork', async (req, res) => {
+    try {
+        const { projectName, sessionId } = req.params;
+        const { messageUuid } = req.body;
+
+        if (!messageUuid) {
+            return res.status(400).json({ error: 'messageUuid is required' });
+        }
+
+        const result = await forkSession(projectName, sessionId, messageUuid);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error forking session:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Export a session as Markdown, HTML or normalized JSON
+app.get('/api/projects/:projectName/sessions/:sessionId/export', async (req, res) => {
+    try {
+        const { projectName, sessionId } = req.params;
+        const format = req.query.format || 'markdown';
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({ error: `Invalid format. Valid options: ${ Object.keys(EXPORT_FORMATS).join(', ') }` });
+        }
+
+        const { content, mimeType, fileName } = await exportSession(projectName, sessionId, format, req.language);
+        res.setHeader('Content-Type', mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${ encodeURIComponent(fileName) }`);
+        res.send(content);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Validate a session JSONL file from outside the projects folder before importing it
+app.post('/api/sessions/import/preview', async (req, res) => {
+    try {
+        const { filePath } = req.body;
+        if (!filePath) {
+            return res.status(400).json({ error: 'filePath is required' });
+        }
+        res.json(await previewSessionImport(filePath));
+    } catch (error) {
+        console.error('Error previewing session import:', error);
+        res.status(error.status || 500).json({ error: error.message, invalidLines: error.report?.invalidLines });
+    }
+});
+
+// Copy a session JSONL file into an existing or new project
+app.post('/api/sessions/import', async (req, res) => {
+    try {
+        const { filePath, targetProject, projectPath } = req.body;
+        if (!filePath) {
+            return res.status(400).json({ error: 'filePath is required' });
+        }
+        const result = await importSession(filePath, { targetProject, projectPath });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error importing session:', error);
+        res.status(error.status || 500).json({ error: error.message, invalidLines: error.report?.invalidLines });
+    }
+});
+
 // Rename project endpoint
 app.put('/api/projects/:projectName/rename', async (req, res) => {
     try {
@@ -347,16 +505,13 @@ app.get('/api/projects/:projectName/file', async (req, res) => {
 
         console.log('📄 File read request:', projectName, filePath);
 
-        // Using fsPromises from import
-
-        // Security check - ensure the path is safe and absolute
-        if (!filePath || !path.isAbsolute(filePath)) {
-            return res.status(400).json({ error: 'Invalid file path' });
-        }
+        // Security check - the path must resolve inside the project root or an allowed root
+        const resolvedPath = await resolveProjectFilePath(projectName, filePath);
 
-        const content = await fsPromises.readFile(filePath, 'utf8');
+        const content = await fsPromises.readFile(resolvedPath, 'utf8');
         res.json({ content, path: filePath });
     } catch (error) {
+        if (sendFileAccessError(res, error)) return;
         console.error('Error reading file:', error);
         if (error.code === 'ENOENT') {
             res.status(404).json({ error: 'File not found' });
@@ -376,17 +531,12 @@ app.get('/api/projects/:projectName/files/content', async (req, res) => {
 
         console.log('🖼️ Binary file serve request:', projectName, filePath);
 
-        // Using fs from import
-        // Using mime from import
-
-        // Security check - ensure the path is safe and absolute
-        if (!filePath || !path.isAbsolute(filePath)) {
-            return res.status(400).json({ error: 'Invalid file path' });
-        }
+        // Security check - the path must resolve inside the project root or an allowed root
+        const resolvedPath = await resolveProjectFilePath(projectName, filePath);
 
         // Check if file exists
         try {
-            await fsPromises.access(filePath);
+            await fsPromises.access(resolvedPath);
         } catch (error) {
             return res.status(404).json({ error: 'File not found' });
         }
@@ -396,7 +546,7 @@ app.get('/api/projects/:projectName/files/content', async (req, res) => {
         res.setHeader('Content-Type', mimeType);
 
         // Stream the file
-        const fileStream = fs.createReadStream(filePath);
+        const fileStream = fs.createReadStream(resolvedPath);
         fileStream.pipe(res);
 
         fileStream.on('error', (error) => {
@@ -407,6 +557,7 @@ app.get('/api/projects/:projectName/files/content', async (req, res) => {
         });
 
     } catch (error) {
+        if (sendFileAccessError(res, error)) return;
         console.error('Error serving binary file:', error);
         if (!res.headersSent) {
             res.status(500).json({ error: error.message });
@@ -422,28 +573,32 @@ app.put('/api/projects/:projectName/file', async (req, res) => {
 
         console.log('💾 File save request:', projectName, filePath);
 
-        // Using fsPromises from import
-
-        // Security check - ensure the path is safe and absolute
-        if (!filePath || !path.isAbsolute(filePath)) {
-            return res.status(400).json({ error: 'Invalid file path' });
-        }
+        // Security check - the path must resolve inside the project root or an allowed root
+        const resolvedPath = await resolveProjectFilePath(projectName, filePath);
 
         if (content === undefined) {
             return res.status(400).json({ error: 'Content is required' });
         }
 
-        // Create backup of original file
+        // Keep the content on disk in local history (it may have been changed outside the editor)
+        const localHistory = getLocalHistoryStore();
         try {
-            const backupPath = filePath + '.backup.' + Date.now();
-            await fsPromises.copyFile(filePath, backupPath);
-            console.log('📋 Created backup:', backupPath);
-        } catch (backupError) {
-            console.warn('Could not create backup:', backupError.message);
+            const previousContent = await fsPromises.readFile(resolvedPath, 'utf8');
+            await localHistory.record(resolvedPath, previousContent, 'before-save');
+        } catch (historyError) {
+            if (historyError.code !== 'ENOENT') {
+                console.warn('Could not record local history:', historyError.message);
+            }
         }
 
         // Write the new content
-        await fsPromises.writeFile(filePath, content, 'utf8');
+        await fsPromises.writeFile(resolvedPath, content, 'utf8');
+
+        try {
+            await localHistory.record(resolvedPath, String(content), 'save');
+        } catch (historyError) {
+            console.warn('Could not record local history:', historyError.message);
+        }
 
         res.json({
             success: true,
@@ -451,6 +606,7 @@ app.put('/api/projects/:projectName/file', async (req, res) => {
             message: 'File saved successfully'
         });
     } catch (error) {
+        if (sendFileAccessError(res, error)) return;
         console.error('Error saving file:', error);
         if (error.code === 'ENOENT') {
             res.status(404).json({ error: 'File or directory not found' });
@@ -462,32 +618,200 @@ app.put('/api/projects/:projectName/file', async (req, res) => {
     }
 });
 
-app.get('/api/projects/:projectName/files', async (req, res) => {
+// List the local history versions of a file, newest first
+app.get('/api/projects/:projectName/file/history', async (req, res) => {
+    try {
+        const { projectName } = req.params;
+        const { filePath } = req.query;
+        const resolvedPath = await resolveProjectFilePath(projectName, filePath);
+
+        const versions = await getLocalHistoryStore().list(resolvedPath);
+        res.json({ path: filePath, versions });
+    } catch (error) {
+        if (sendFileAccessError(res, error)) return;
+        console.error('Error listing local history:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Content of one local history version; with `content` in the body, also a line diff
+// from that version to the given text (the editor buffer)
+async function readHistoryVersion(req, res, filePath, compareTo) {
     try {
+        const { projectName, versionId } = req.params;
+        const resolvedPath = await resolveProjectFilePath(projectName, filePath);
+
+        const content = await getLocalHistoryStore().read(resolvedPath, versionId);
+        if (content === null) {
+            return res.status(404).json({ error: 'Version not found', code: 'VERSION_NOT_FOUND' });
+        }
 
-        // Using fsPromises from import
+        res.json({
+            id: versionId,
+            content,
+            ...(typeof compareTo === 'string' ? { diff: diffLines(content, compareTo) } : {})
+        });
+    } catch (error) {
+        if (sendFileAccessError(res, error)) return;
+        console.error('Error reading local history version:', error);
+        res.status(500).json({ error: error.message });
+    }
+}
 
-        // Use extractProjectDirectory to get the actual project path
-        let actualPath;
+app.get('/api/projects/:projectName/file/history/:versionId', (req, res) =>
+    readHistoryVersion(req, res, req.query.filePath));
+
+app.post('/api/projects/:projectName/file/history/:versionId/diff', (req, res) =>
+    readHistoryVersion(req, res, req.body.filePath, req.body.content ?? ''));
+
+// Extra directories outside the project root that the file endpoints may access
+app.get('/api/projects/:projectName/allowed-roots', async (req, res) => {
+    try {
+        res.json({ allowedRoots: await getAllowedRoots(req.params.projectName) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/projects/:projectName/allowed-roots', async (req, res) => {
+    try {
+        const allowedRoots = await setAllowedRoots(req.params.projectName, req.body.allowedRoots);
+        res.json({ success: true, allowedRoots });
+    } catch (error) {
+        if (sendFileAccessError(res, error)) return;
+        console.error('Error saving allowed roots:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Terminals of a project; the PTYs live on the server, survive WebSocket reconnects
+// and are closed after TERMINAL_IDLE_TIMEOUT_MS without an attached client
+app.get('/api/projects/:projectName/terminals', (req, res) => {
+    res.json({ terminals: getTerminalManager().list(req.params.projectName) });
+});
+
+app.post('/api/projects/:projectName/terminals', async (req, res) => {
+    try {
+        const { kind = 'shell', name, sessionId, command, cols, rows } = req.body;
+        if (!TERMINAL_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `Unknown terminal kind: ${ kind }`, code: 'INVALID_TERMINAL_KIND' });
+        }
+        if (sessionId != null && !isValidSessionId(sessionId)) {
+            return res.status(400).json({ error: 'Invalid session id', code: 'INVALID_SESSION_ID' });
+        }
+
+        const cwd = await getProjectRoot(req.params.projectName);
         try {
-            actualPath = await extractProjectDirectory(req.params.projectName);
-        } catch (error) {
-            console.error('Error extracting project directory:', error);
-            // Use improved decoding function
-            actualPath = decodeProjectPath(req.params.projectName);
+            await fsPromises.access(cwd);
+        } catch (e) {
+            return res.status(404).json({
+                error: `Project path not found: ${ cwd }`,
+                code: 'PROJECT_PATH_NOT_FOUND',
+                projectRoot: cwd
+            });
         }
 
+        const terminal = getTerminalManager().create({
+            projectName: req.params.projectName,
+            cwd,
+            kind,
+            name,
+            sessionId,
+            command,
+            cols,
+            rows
+        });
+        res.json({ terminal });
+    } catch (error) {
+        if (sendFileAccessError(res, error)) return;
+        console.error('❌ Error creating terminal:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.patch('/api/projects/:projectName/terminals/:terminalId', (req, res) => {
+    const terminal = getTerminalManager().rename(req.params.terminalId, req.body.name);
+    if (!terminal || terminal.projectName !== req.params.projectName) {
+        return res.status(404).json({ error: 'Terminal not found', code: 'TERMINAL_NOT_FOUND' });
+    }
+    res.json({ terminal });
+});
+
+// Kill a terminal's process; the terminal stays listed with its scrollback until it is closed
+app.post('/api/projects/:projectName/terminals/:terminalId/kill', (req, res) => {
+    const manager = getTerminalManager();
+    const terminal = manager.get(req.params.terminalId);
+    if (!terminal || terminal.projectName !== req.params.projectName) {
+        return res.status(404).json({ error: 'Terminal not found', code: 'TERMINAL_NOT_FOUND' });
+    }
+    manager.kill(terminal.id);
+    res.json({ terminal });
+});
+
+app.delete('/api/projects/:projectName/terminals/:terminalId', (req, res) => {
+    const manager = getTerminalManager();
+    const terminal = manager.get(req.params.terminalId);
+    if (!terminal || terminal.projectName !== req.params.projectName) {
+        return res.status(404).json({ error: 'Terminal not found', code: 'TERMINAL_NOT_FOUND' });
+    }
+    manager.close(terminal.id);
+    res.json({ success: true });
+});
+
+// Commands for the terminal palette: the project's saved snippets plus the
+// package.json scripts and Makefile targets found in its root
+app.get('/api/projects/:projectName/terminal-commands', async (req, res) => {
+    try {
+        const projectRoot = await getProjectRoot(req.params.projectName);
+        const [snippets, detected] = await Promise.all([
+            getProjectSnippets(req.params.projectName),
+            detectProjectCommands(projectRoot)
+        ]);
+        res.json({ snippets, detected });
+    } catch (error) {
+        if (sendFileAccessError(res, error)) return;
+        console.error('Error loading terminal commands:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/projects/:projectName/terminal-snippets', async (req, res) => {
+    try {
+        await getProjectRoot(req.params.projectName);
+        const snippets = await saveProjectSnippets(req.params.projectName, req.body.snippets);
+        res.json({ success: true, snippets });
+    } catch (error) {
+        if (sendFileAccessError(res, error)) return;
+        if (error instanceof SnippetError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error saving terminal snippets:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/projects/:projectName/files', async (req, res) => {
+    try {
+
+        // Same project root the file read/save endpoints are confined to
+        const actualPath = await getProjectRoot(req.params.projectName);
+
         // Check if path exists
         try {
             await fsPromises.access(actualPath);
         } catch (e) {
-            return res.status(404).json({ error: `Project path not found: ${ actualPath }` });
+            return res.status(404).json({
+                error: `Project path not found: ${ actualPath }`,
+                code: 'PROJECT_PATH_NOT_FOUND',
+                projectRoot: actualPath
+            });
         }
 
         const files = await getFileTree(actualPath, 3, 0, true);
         const hiddenFiles = files.filter(f => f.name.startsWith('.'));
         res.json(files);
     } catch (error) {
+        if (sendFileAccessError(res, error)) return;
         console.error('❌ File tree error:', error.message);
         res.status(500).json({ error: error.message });
     }
@@ -503,7 +827,7 @@ wss.on('connection', (ws, request) => {
     const pathname = urlObj.pathname;
 
     if (pathname === '/shell') {
-        handleShellConnection(ws);
+        handleTerminalConnection(ws);
     } else if (pathname === '/ws') {
         handleChatConnection(ws);
     } else {
@@ -536,13 +860,27 @@ function handleChatConnection(ws) {
                     sessionId: data.sessionId,
                     success
                 }));
+            } else if (data.type === 'permission-response') {
+                console.log('🔐 Permission response:', data.requestId, data.decision);
+                const success = resolvePermissionRequest(data.requestId, data.decision);
+                ws.send(JSON.stringify({
+                    type: 'permission-resolved',
+                    requestId: data.requestId,
+                    decision: data.decision,
+                    success
+                }));
             } else if (data.type === 'usage-subscribe') {
                 console.log('📊 Usage monitoring subscription request');
                 ws.isUsageSubscribed = true;
+                // Optional source selection; broadcasts are computed per distinct selection
+                ws.usageSources = parseSourceIds(data.sources);
                 // Send initial data
                 try {
-                    const { DataAggregator } = await import('./usage-monitor/data-aggregator.js');
-                    const aggregator = new DataAggregator();
+                    const { getDataAggregator } = await import('./usage-monitor/data-aggregator.js');
+                    const aggregator = getDataAggregator(ws.usageSources);
+                    if (!aggregator) {
+                        throw new Error('Unknown or disabled usage source');
+                    }
                     const realTimeData = await aggregator.getRealTimeData();
                     ws.send(JSON.stringify({
                         type: 'usage-data',
@@ -576,184 +914,6 @@ function handleChatConnection(ws) {
     });
 }
 
-// Handle shell WebSocket connections
-function handleShellConnection(ws) {
-    console.log('🐚 Shell client connected');
-    let shellProcess = null;
-
-    ws.on('message', async (message) => {
-        try {
-            const data = JSON.parse(message);
-            console.log('📨 Shell message received:', data.type);
-
-            if (data.type === 'init') {
-                // Initialize shell with project path and session info
-                const projectPath = data.projectPath || process.cwd();
-                const sessionId = data.sessionId;
-                const hasSession = data.hasSession;
-
-                console.log('🚀 Starting shell in:', projectPath);
-                console.log('📋 Session info:', hasSession ? `Resume session ${ sessionId }` : 'New session');
-
-                // First send a welcome message
-                const welcomeMsg = hasSession ?
-                    `\x1b[36mResuming Claude session ${ sessionId } in: ${ projectPath }\x1b[0m\r\n` :
-                    `\x1b[36mStarting new Claude session in: ${ projectPath }\x1b[0m\r\n`;
-
-                ws.send(JSON.stringify({
-                    type: 'output',
-                    data: welcomeMsg
-                }));
-
-                try {
-                    // Prepare the shell command adapted to the platform
-                    let shellCommand;
-                    if (os.platform() === 'win32') {
-                        if (hasSession && sessionId) {
-                            // Try to resume session, but with fallback to new session if it fails
-                            shellCommand = `Set-Location -Path "${ projectPath }"; claude --resume ${ sessionId }; if ($LASTEXITCODE -ne 0) { claude }`;
-                        } else {
-                            shellCommand = `Set-Location -Path "${ projectPath }"; claude`;
-                        }
-                    } else {
-                        if (hasSession && sessionId) {
-                            shellCommand = `cd "${ projectPath }" && claude --resume ${ sessionId } || claude`;
-                        } else {
-                            shellCommand = `cd "${ projectPath }" && claude`;
-                        }
-                    }
-
-                    console.log('🔧 Executing shell command:', shellCommand);
-
-                    // Use appropriate shell based on platform
-                    const shell = os.platform() === 'win32' ? 'powershell.exe' : 'bash';
-                    const shellArgs = os.platform() === 'win32' ? ['-Command', shellCommand] : ['-c', shellCommand];
-
-                    shellProcess = pty.spawn(shell, shellArgs, {
-                        name: 'xterm-256color',
-                        cols: 80,
-                        rows: 24,
-                        cwd: process.env.HOME || (os.platform() === 'win32' ? process.env.USERPROFILE : '/'),
-                        env: {
-                            ...process.env,
-                            TERM: 'xterm-256color',
-                            COLORTERM: 'truecolor',
-                            FORCE_COLOR: '3',
-                            // Override browser opening commands to echo URL for detection
-                            BROWSER: os.platform() === 'win32' ? 'echo "OPEN_URL:"' : 'echo "OPEN_URL:"'
-                        }
-                    });
-
-                    console.log('🟢 Shell process started with PTY, PID:', shellProcess.pid);
-
-                    // Handle data output
-                    shellProcess.onData((data) => {
-                        if (ws.readyState === ws.OPEN) {
-                            let outputData = data;
-
-                            // Check for various URL opening patterns
-                            const patterns = [
-                                // Direct browser opening commands
-                                /(?:xdg-open|open|start)\s+(https?:\/\/[^\s\x1b\x07]+)/g,
-                                // BROWSER environment variable override
-                                /OPEN_URL:\s*(https?:\/\/[^\s\x1b\x07]+)/g,
-                                // Git and other tools opening URLs
-                                /Opening\s+(https?:\/\/[^\s\x1b\x07]+)/gi,
-                                // General URL patterns that might be opened
-                                /Visit:\s*(https?:\/\/[^\s\x1b\x07]+)/gi,
-                                /View at:\s*(https?:\/\/[^\s\x1b\x07]+)/gi,
-                                /Browse to:\s*(https?:\/\/[^\s\x1b\x07]+)/gi
-                            ];
-
-                            patterns.forEach(pattern => {
-                                let match;
-                                while ((match = pattern.exec(data)) !== null) {
-                                    const url = match[1];
-                                    console.log('🔗 Detected URL for opening:', url);
-
-                                    // Send URL opening message to client
-                                    ws.send(JSON.stringify({
-                                        type: 'url_open',
-                                        url: url
-                                    }));
-
-                                    // Replace the OPEN_URL pattern with a user-friendly message
-                                    if (pattern.source.includes('OPEN_URL')) {
-                                        outputData = outputData.replace(match[0], `🌐 Opening in browser: ${ url }`);
-                                    }
-                                }
-                            });
-
-                            // Send regular output
-                            ws.send(JSON.stringify({
-                                type: 'output',
-                                data: outputData
-                            }));
-                        }
-                    });
-
-                    // Handle process exit
-                    shellProcess.onExit((exitCode) => {
-                        console.log('🔚 Shell process exited with code:', exitCode.exitCode, 'signal:', exitCode.signal);
-                        if (ws.readyState === ws.OPEN) {
-                            ws.send(JSON.stringify({
-                                type: 'output',
-                                data: `\r\n\x1b[33mProcess exited with code ${ exitCode.exitCode }${ exitCode.signal ? ` (${ exitCode.signal })` : '' }\x1b[0m\r\n`
-                            }));
-                        }
-                        shellProcess = null;
-                    });
-
-                } catch (spawnError) {
-                    console.error('❌ Error spawning process:', spawnError);
-                    ws.send(JSON.stringify({
-                        type: 'output',
-                        data: `\r\n\x1b[31mError: ${ spawnError.message }\x1b[0m\r\n`
-                    }));
-                }
-
-            } else if (data.type === 'input') {
-                // Send input to shell process
-                if (shellProcess && shellProcess.write) {
-                    try {
-                        shellProcess.write(data.data);
-                    } catch (error) {
-                        console.error('Error writing to shell:', error);
-                    }
-                } else {
-                    console.warn('No active shell process to send input to');
-                }
-            } else if (data.type === 'resize') {
-                // Handle terminal resize
-                if (shellProcess && shellProcess.resize) {
-                    console.log('Terminal resize requested:', data.cols, 'x', data.rows);
-                    shellProcess.resize(data.cols, data.rows);
-                }
-            }
-        } catch (error) {
-            console.error('❌ Shell WebSocket error:', error.message);
-            if (ws.readyState === ws.OPEN) {
-                ws.send(JSON.stringify({
-                    type: 'output',
-                    data: `\r\n\x1b[31mError: ${ error.message }\x1b[0m\r\n`
-                }));
-            }
-        }
-    });
-
-    ws.on('close', () => {
-        console.log('🔌 Shell client disconnected');
-        if (shellProcess && shellProcess.kill) {
-            console.log('🔴 Killing shell process:', shellProcess.pid);
-            shellProcess.kill();
-        }
-    });
-
-    ws.on('error', (error) => {
-        console.error('❌ Shell WebSocket error:', error);
-    });
-}
-
 // Audio transcription endpoint
 app.post('/api/transcribe', async (req, res) => {
     try {
@@ -1197,8 +1357,15 @@ async function startServer() {
             // Start watching the projects folder for changes
             await setupProjectsWatcher(); // Re-enabled with better-sqlite3
 
+            // Watch the other enabled usage sources, and re-watch when the list changes
+            await setupUsageSourcesWatcher();
+            getUsageSourceRegistry().on('change', setupUsageSourcesWatcher);
+
             // Start usage monitoring data broadcasting
             startUsageMonitoringBroadcast();
+
+            // Push budget alerts to usage subscribers and the desktop
+            startBudgetAlerts();
         });
     } catch (error) {
         console.error('❌ Failed to start server:', error);
@@ -1210,26 +1377,24 @@ async function startServer() {
 async function startUsageMonitoringBroadcast() {
     console.log('📊 Starting usage monitoring broadcast...');
     
-    let dataAggregator = null;
+    let getDataAggregator = null;
     
-    // Initialize aggregator
-    const getDataAggregator = async () => {
-        if (!dataAggregator) {
+    // Load the aggregator module lazily
+    const loadAggregators = async () => {
+        if (!getDataAggregator) {
             try {
-                const { DataAggregator } = await import('./usage-monitor/data-aggregator.js');
-                dataAggregator = new DataAggregator();
+                ({ getDataAggregator } = await import('./usage-monitor/data-aggregator.js'));
             } catch (error) {
                 console.error('Error initializing usage data aggregator:', error);
                 return null;
             }
         }
-        return dataAggregator;
+        return getDataAggregator;
     };
 
     // Broadcast usage data to subscribed clients
     const broadcastUsageData = async () => {
-        const aggregator = await getDataAggregator();
-        if (!aggregator) return;
+        if (!await loadAggregators()) return;
 
         try {
             // Get subscribed clients
@@ -1239,25 +1404,42 @@ async function startUsageMonitoringBroadcast() {
 
             if (subscribedClients.length === 0) return;
 
-            // Get real-time data
-            const realTimeData = await aggregator.getRealTimeData();
-            const message = JSON.stringify({
-                type: 'usage-data-update',
-                data: realTimeData,
-                timestamp: new Date()
-            });
-
-            // Send to all subscribed clients
+            // Clients that picked the same sources share one computation
+            const clientsBySources = new Map();
             subscribedClients.forEach(ws => {
-                try {
-                    ws.send(message);
-                } catch (error) {
-                    console.error('Error sending usage data to client:', error);
-                    // Remove failed client
-                    connectedClients.delete(ws);
+                const key = ws.usageSources ? ws.usageSources.join(',') : '';
+                if (!clientsBySources.has(key)) {
+                    clientsBySources.set(key, []);
                 }
+                clientsBySources.get(key).push(ws);
             });
 
+            for (const clients of clientsBySources.values()) {
+                const aggregator = getDataAggregator(clients[0].usageSources);
+                // The selected source was disabled or removed since subscribing
+                const message = aggregator
+                    ? JSON.stringify({
+                        type: 'usage-data-update',
+                        data: await aggregator.getRealTimeData(),
+                        timestamp: new Date()
+                    })
+                    : JSON.stringify({
+                        type: 'usage-error',
+                        error: 'Unknown or disabled usage source'
+                    });
+
+                // Send to every client with this selection
+                clients.forEach(ws => {
+                    try {
+                        ws.send(message);
+                    } catch (error) {
+                        console.error('Error sending usage data to client:', error);
+                        // Remove failed client
+                        connectedClients.delete(ws);
+                    }
+                });
+            }
+
             if (subscribedClients.length > 0) {
                 console.log(`📊 Broadcasted usage data to ${subscribedClients.length} clients`);
             }
@@ -1268,8 +1450,79 @@ async function startUsageMonitoringBroadcast() {
 
     // Start periodic broadcast (every 30 seconds)
     setInterval(broadcastUsageData, 30000);
+
+    // A usage-limit message pins the exact reset time; push it right away
+    getUsageLimitTracker().on('reset', broadcastUsageData);
+
+    // Adding, removing or toggling a source changes every aggregate
+    getUsageSourceRegistry().on('change', broadcastUsageData);
     
     console.log('📊 Usage monitoring broadcast started (30s interval)');
 }
 
+// Raise a native notification when running inside Electron's main process
+async function showDesktopNotification({ title, body }) {
+    if (!process.versions.electron) return;
+    try {
+        const { Notification } = await import('electron');
+        if (Notification.isSupported()) {
+            new Notification({ title, body }).show();
+        }
+    } catch (error) {
+        console.error('Error showing desktop notification:', error);
+    }
+}
+
+// Desktop notifications aren't tied to a request, so they use the language the app was set to
+let notificationLanguage = DEFAULT_LANGUAGE;
+
+export function setNotificationLanguage(language) {
+    notificationLanguage = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+}
+
+// Budget alerts are evaluated on watcher updates; cooldown and de-duplication live in BudgetMonitor
+function startBudgetAlerts() {
+    const budgetMonitor = getBudgetMonitor();
+
+    budgetMonitor.on('alerts', async (alerts) => {
+        // Project budgets are keyed by the encoded project name, show something readable instead
+        const withDisplayNames = await Promise.all(alerts.map(async (alert) => {
+            if (!alert.project) return alert;
+            try {
+                const projectDir = await extractProjectDirectory(alert.project);
+                return { ...alert, projectDisplayName: await generateDisplayName(alert.project, projectDir) };
+            } catch (error) {
+                return alert;
+            }
+        }));
+
+        console.log(`💰 Budget alerts: ${withDisplayNames.map(alert => `${alert.id} ${Math.round(alert.percent)}%`).join(', ')}`);
+
+        const message = JSON.stringify({
+            type: 'usage-alert',
+            alerts: withDisplayNames,
+            timestamp: new Date()
+        });
+        connectedClients.forEach(ws => {
+            if (ws.readyState === 1 && ws.isUsageSubscribed) {
+                ws.send(message);
+            }
+        });
+
+        if (budgetMonitor.getConfig().alertSettings.desktopNotifications) {
+            for (const alert of withDisplayNames) {
+                await showDesktopNotification(formatBudgetAlert(alert, notificationLanguage));
+            }
+        }
+    });
+
+    // Evaluate once at startup so budgets crossed while the app was closed are reported
+    budgetMonitor.scheduleEvaluation();
+}
+
+// Tear down what outlives the HTTP server: the server-owned terminal PTYs
+export function stopServer() {
+    getTerminalManager().closeAll();
+}
+
 startServer();
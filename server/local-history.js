@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const HISTORY_DIR = path.join(os.homedir(), '.claude-code-ui', 'local-history');
+
+// Retention limits: versions kept per file, maximum age, and a cap on the whole store
+const MAX_VERSIONS_PER_FILE = 50;
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_STORE_BYTES = 256 * 1024 * 1024;
+// Larger files are saved without keeping history
+const MAX_SNAPSHOT_BYTES = 5 * 1024 * 1024;
+const GC_INTERVAL = 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Local history for files saved from the editor.
+ *
+ * Contents are stored once per SHA-256 under objects/ (gzip compressed), and each
+ * file has an index under index/ listing its versions newest first:
+ *   { path, versions: [{ id, timestamp, size, source }] }
+ * Versions older than MAX_AGE_MS or beyond MAX_VERSIONS_PER_FILE are dropped on write;
+ * a periodic sweep also enforces MAX_STORE_BYTES and removes unreferenced objects.
+ */
+class LocalHistoryStore {
+    constructor(rootDir = HISTORY_DIR) {
+        this.rootDir = rootDir;
+        this.lastGc = 0;
+        // Writes are serialized so concurrent saves cannot lose index entries
+        this.queue = Promise.resolve();
+    }
+
+    enqueue(task) {
+        const result = this.queue.then(task, task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    objectPath(id) {
+        return path.join(this.rootDir, 'objects', id.slice(0, 2), id);
+    }
+
+    indexPath(filePath) {
+        return path.join(this.rootDir, 'index', `${ sha256(filePath) }.json`);
+    }
+
+    async readIndex(filePath) {
+        try {
+            return JSON.parse(await fs.readFile(this.indexPath(filePath), 'utf8'));
+        } catch (error) {
+            return { path: filePath, versions: [] };
+        }
+    }
+
+    async writeIndex(index) {
+        const indexPath = this.indexPath(index.path);
+        if (index.versions.length === 0) {
+            await fs.rm(indexPath, { force: true });
+            return;
+        }
+        await fs.mkdir(path.dirname(indexPath), { recursive: true });
+        const tempPath = `${ indexPath }.${ process.pid }.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(index, null, 2), 'utf8');
+        await fs.rename(tempPath, indexPath);
+    }
+
+    pruneVersions(versions, now = Date.now()) {
+        return versions
+            .filter(version => now - new Date(version.timestamp).getTime() <= MAX_AGE_MS)
+            .slice(0, MAX_VERSIONS_PER_FILE);
+    }
+
+    /**
+     * Record a version of a file. Skipped when it matches the latest version or is too large.
+     * source: 'before-save' (content on disk before the editor overwrote it) or 'save'
+     */
+    record(filePath, content, source) {
+        return this.enqueue(async () => {
+            const size = Buffer.byteLength(content, 'utf8');
+            if (size > MAX_SNAPSHOT_BYTES) {
+                return null;
+            }
+
+            const id = sha256(content);
+            const index = await this.readIndex(filePath);
+            if (index.versions[0]?.id === id) {
+                return index.versions[0];
+            }
+
+            const objectPath = this.objectPath(id);
+            try {
+                await fs.access(objectPath);
+            } catch (error) {
+                await fs.mkdir(path.dirname(objectPath), { recursive: true });
+                await fs.writeFile(objectPath, await gzip(content));
+            }
+
+            const version = { id, timestamp: new Date().toISOString(), size, source };
+            index.versions = this.pruneVersions([version, ...index.versions]);
+            await this.writeIndex(index);
+
+            if (Date.now() - this.lastGc > GC_INTERVAL) {
+                this.lastGc = Date.now();
+                // Runs after this write in the queue; failures only leave extra objects behind
+                this.collectGarbage().catch(error => console.warn('Local history cleanup failed:', error.message));
+            }
+            return version;
+        });
+    }
+
+    async list(filePath) {
+        const index = await this.readIndex(filePath);
+        return this.pruneVersions(index.versions);
+    }
+
+    /**
+     * Read a version's content; only ids listed for this file are readable
+     */
+    async read(filePath, versionId) {
+        const index = await this.readIndex(filePath);
+        if (!/^[0-9a-f]{64}$/.test(versionId) || !index.versions.some(version => version.id === versionId)) {
+            return null;
+        }
+        return (await gunzip(await fs.readFile(this.objectPath(versionId)))).toString('utf8');
+    }
+
+    /**
+     * Apply age limits to every index, drop the oldest versions while the store is over
+     * MAX_STORE_BYTES, and delete objects no index refers to
+     */
+    collectGarbage() {
+        return this.enqueue(async () => {
+            const indexDir = path.join(this.rootDir, 'index');
+            const objectsDir = path.join(this.rootDir, 'objects');
+            const indexes = [];
+            for (const name of await fs.readdir(indexDir).catch(() => [])) {
+                if (!name.endsWith('.json')) continue;
+                try {
+                    const index = JSON.parse(await fs.readFile(path.join(indexDir, name), 'utf8'));
+                    index.versions = this.pruneVersions(index.versions);
+                    indexes.push(index);
+                } catch (error) {
+                    // Unreadable index, leave it alone
+                }
+            }
+
+            const objectSizes = new Map();
+            for (const prefix of await fs.readdir(objectsDir).catch(() => [])) {
+                for (const id of await fs.readdir(path.join(objectsDir, prefix)).catch(() => [])) {
+                    const stats = await fs.stat(path.join(objectsDir, prefix, id)).catch(() => null);
+                    if (stats) objectSizes.set(id, stats.size);
+                }
+            }
+
+            const referencedBytes = () => {
+                const ids = new Set(indexes.flatMap(index => index.versions.map(version => version.id)));
+                return [...ids].reduce((total, id) => total + (objectSizes.get(id) || 0), 0);
+            };
+
+            // Oldest versions across all files go first; each file keeps at least its latest version
+            const candidates = indexes
+                .flatMap(index => index.versions.slice(1).map(version => ({ index, version })))
+                .sort((a, b) => new Date(a.version.timestamp) - new Date(b.version.timestamp));
+            while (candidates.length > 0 && referencedBytes() > MAX_STORE_BYTES) {
+                const { index, version } = candidates.shift();
+                index.versions = index.versions.filter(item => item !== version);
+            }
+
+            for (const index of indexes) {
+                await this.writeIndex(index);
+            }
+
+            const referenced = new Set(indexes.flatMap(index => index.versions.map(version => version.id)));
+            for (const id of objectSizes.keys()) {
+                if (!referenced.has(id)) {
+                    await fs.rm(this.objectPath(id), { force: true });
+                }
+            }
+        });
+    }
+}
+
+let localHistoryStore = null;
+
+function getLocalHistoryStore() {
+    if (!localHistoryStore) {
+        localHistoryStore = new LocalHistoryStore();
+    }
+    return localHistoryStore;
+}
+
+export { LocalHistoryStore, getLocalHistoryStore };
@@ -0,0 +1,124 @@
+// Minimal MCP stdio server used as Claude CLI's --permission-prompt-tool.
+// Each tool call is forwarded to the app server, which asks the user in the chat UI
+// and answers with { behavior: 'allow', updatedInput } or { behavior: 'deny', message }.
+import http from 'http';
+import readline from 'readline';
+
+const baseUrl = process.env.CLAUDE_UI_PERMISSION_URL;
+const channelKey = process.env.CLAUDE_UI_PERMISSION_KEY;
+
+function send(message) {
+    process.stdout.write(JSON.stringify(message) + '\n');
+}
+
+function requestJson(method, url, body) {
+    return new Promise((resolve, reject) => {
+        const payload = body ? JSON.stringify(body) : null;
+        const req = http.request(url, {
+            method,
+            headers: payload ? {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload)
+            } : {}
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                try {
+                    const parsed = data ? JSON.parse(data) : {};
+                    if (res.statusCode >= 400) {
+                        reject(new Error(parsed.error || `HTTP ${ res.statusCode }`));
+                    } else {
+                        resolve(parsed);
+                    }
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+        req.on('error', reject);
+        if (payload) req.write(payload);
+        req.end();
+    });
+}
+
+async function askForPermission(args) {
+    const { requestId } = await requestJson('POST', `${ baseUrl }/request`, {
+        key: channelKey,
+        toolName: args.tool_name,
+        input: args.input || {}
+    });
+
+    // Long-poll until the user answers in the UI
+    while (true) {
+        const result = await requestJson('GET', `${ baseUrl }/${ requestId }/decision`);
+        if (result.decision) {
+            return result.decision;
+        }
+    }
+}
+
+async function handle(message) {
+    const { id, method, params } = message;
+
+    if (method === 'initialize') {
+        send({
+            jsonrpc: '2.0',
+            id,
+            result: {
+                protocolVersion: params?.protocolVersion || '2024-11-05',
+                capabilities: { tools: {} },
+                serverInfo: { name: 'claude-ui-permissions', version: '1.0.0' }
+            }
+        });
+    } else if (method === 'tools/list') {
+        send({
+            jsonrpc: '2.0',
+            id,
+            result: {
+                tools: [{
+                    name: 'approve_tool',
+                    description: 'Ask the Claude Code UI user whether a tool call may run',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            tool_name: { type: 'string' },
+                            input: { type: 'object' },
+                            tool_use_id: { type: 'string' }
+                        },
+                        required: ['tool_name', 'input']
+                    }
+                }]
+            }
+        });
+    } else if (method === 'tools/call') {
+        let decision;
+        try {
+            decision = await askForPermission(params?.arguments || {});
+        } catch (error) {
+            decision = { behavior: 'deny', message: `Permission request failed: ${ error.message }` };
+        }
+        send({
+            jsonrpc: '2.0',
+            id,
+            result: {
+                content: [{ type: 'text', text: JSON.stringify(decision) }]
+            }
+        });
+    } else if (method === 'ping') {
+        send({ jsonrpc: '2.0', id, result: {} });
+    } else if (id !== undefined) {
+        send({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${ method }` } });
+    }
+}
+
+const rl = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+rl.on('line', (line) => {
+    if (!line.trim()) return;
+    try {
+        handle(JSON.parse(line));
+    } catch (error) {
+        // Ignore malformed input
+    }
+});
+rl.on('close', () => process.exit(0));
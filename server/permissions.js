@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Name of the MCP server / tool that Claude CLI calls via --permission-prompt-tool
+const PERMISSION_MCP_SERVER = 'claude-ui';
+const PERMISSION_TOOL_NAME = `mcp__${ PERMISSION_MCP_SERVER }__approve_tool`;
+
+// How long a single decision poll from the MCP bridge is held open
+const DECISION_POLL_TIMEOUT = 60000;
+
+// Active Claude processes that can ask for permissions, keyed by a random channel key
+const permissionChannels = new Map();
+// Permission requests waiting for (or holding) a user decision, keyed by request ID
+const pendingRequests = new Map();
+
+// Build the rule the client adds to its allowed tool list for "Always allow"
+function buildPermissionRule(toolName, input) {
+    if (toolName === 'Bash' && input && typeof input.command === 'string' && input.command.trim()) {
+        return `Bash(${ input.command.trim() })`;
+    }
+    return toolName;
+}
+
+// Register a running Claude process so its permission prompts reach the given WebSocket
+function registerPermissionChannel(ws, { getSessionId }) {
+    const key = crypto.randomUUID();
+    permissionChannels.set(key, {
+        ws,
+        getSessionId,
+        alwaysAllowed: new Set()
+    });
+    return key;
+}
+
+// Drop a channel when its process exits and deny anything still waiting
+function unregisterPermissionChannel(key) {
+    const channel = permissionChannels.get(key);
+    permissionChannels.delete(key);
+
+    for (const [requestId, request] of pendingRequests.entries()) {
+        if (request.channelKey !== key) continue;
+        if (!request.decision) {
+            settleRequest(request, { behavior: 'deny', message: 'Claude process ended before a decision was made' });
+            if (channel && channel.ws.readyState === channel.ws.OPEN) {
+                channel.ws.send(JSON.stringify({
+                    type: 'permission-cancelled',
+                    requestId
+                }));
+            }
+        }
+        pendingRequests.delete(requestId);
+    }
+}
+
+// MCP config and CLI flags that route permission prompts for this channel back to the app server
+function getPermissionPromptArgs(key) {
+    const port = process.env.PORT || 3001;
+    const mcpConfig = {
+        mcpServers: {
+            [PERMISSION_MCP_SERVER]: {
+                command: process.execPath,
+                args: [path.join(__dirname, 'permission-mcp.js')],
+                env: {
+                    ELECTRON_RUN_AS_NODE: '1',
+                    CLAUDE_UI_PERMISSION_URL: `http://127.0.0.1:${ port }/api/permissions`,
+                    CLAUDE_UI_PERMISSION_KEY: key
+                }
+            }
+        }
+    };
+    return ['--mcp-config', JSON.stringify(mcpConfig), '--permission-prompt-tool', PERMISSION_TOOL_NAME];
+}
+
+function settleRequest(request, decision) {
+    request.decision = decision;
+    const waiters = request.waiters.splice(0);
+    waiters.forEach(resolve => resolve(decision));
+}
+
+// Called by the MCP bridge when Claude wants to use a tool that is not pre-approved
+function createPermissionRequest(key, toolName, input = {}) {
+    const channel = permissionChannels.get(key);
+    if (!channel) {
+        throw new Error('Unknown permission channel');
+    }
+
+    const requestId = crypto.randomUUID();
+    const suggestedRule = buildPermissionRule(toolName, input);
+    const request = {
+        channelKey: key,
+        toolName,
+        input,
+        suggestedRule,
+        decision: null,
+        waiters: []
+    };
+    pendingRequests.set(requestId, request);
+
+    // Rules approved with "Always allow" earlier in this run don't need to ask again
+    if (channel.alwaysAllowed.has(suggestedRule) || channel.alwaysAllowed.has(toolName)) {
+        settleRequest(request, { behavior: 'allow', updatedInput: input });
+        return requestId;
+    }
+
+    if (channel.ws.readyState !== channel.ws.OPEN) {
+        settleRequest(request, { behavior: 'deny', message: 'No client connected to approve this tool call' });
+        return requestId;
+    }
+
+    channel.ws.send(JSON.stringify({
+        type: 'permission-request',
+        requestId,
+        sessionId: channel.getSessionId ? channel.getSessionId() : null,
+        toolName,
+        input,
+        suggestedRule
+    }));
+
+    return requestId;
+}
+
+// Wait for the user's decision; resolves with null when the poll times out
+function waitForPermissionDecision(requestId, timeout = DECISION_POLL_TIMEOUT) {
+    const request = pendingRequests.get(requestId);
+    if (!request) {
+        return Promise.resolve({ behavior: 'deny', message: 'Permission request not found' });
+    }
+    if (request.decision) {
+        pendingRequests.delete(requestId);
+        return Promise.resolve(request.decision);
+    }
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            const index = request.waiters.indexOf(onDecision);
+            if (index !== -1) request.waiters.splice(index, 1);
+            resolve(null);
+        }, timeout);
+
+        function onDecision(decision) {
+            clearTimeout(timer);
+            pendingRequests.delete(requestId);
+            resolve(decision);
+        }
+
+        request.waiters.push(onDecision);
+    });
+}
+
+// Apply the decision sent by the client: 'allow', 'allow-always' or 'deny'
+function resolvePermissionRequest(requestId, decision) {
+    const request = pendingRequests.get(requestId);
+    if (!request || request.decision) {
+        return false;
+    }
+
+    if (decision === 'allow' || decision === 'allow-always') {
+        if (decision === 'allow-always') {
+            // The client saves the rule to its allowed tools; the running process only needs to stop asking
+            const channel = permissionChannels.get(request.channelKey);
+            if (channel) {
+                channel.alwaysAllowed.add(request.suggestedRule);
+            }
+        }
+        settleRequest(request, { behavior: 'allow', updatedInput: request.input });
+    } else {
+        settleRequest(request, { behavior: 'deny', message: 'The user denied this tool call' });
+    }
+
+    return true;
+}
+
+export {
+    registerPermissionChannel,
+    unregisterPermissionChannel,
+    getPermissionPromptArgs,
+    createPermissionRequest,
+    waitForPermissionDecision,
+    resolvePermissionRequest
+};
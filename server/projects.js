@@ -1,4 +1,5 @@
 import fsSync, { promises as fs } from 'fs';
+import crypto from 'crypto';
 import path from 'path';
 import readline from 'readline';
 import { spawn } from 'child_process';
@@ -621,6 +622,11 @@ async function parseJsonlSessions(filePath) {
                             }
                         }
 
+                        // Forked sessions record their parent on the first copied entry
+                        if (entry.forkedFrom && !session.forkedFrom) {
+                            session.forkedFrom = entry.forkedFrom;
+                        }
+
                         // Count messages instead of storing them all
                         session.messageCount = (session.messageCount || 0) + 1;
 
@@ -628,6 +634,10 @@ async function parseJsonlSessions(filePath) {
                         if (entry.timestamp) {
                             session.lastActivity = new Date(entry.timestamp);
                         }
+                        // A fork counts as activity when it is created, not when its copied messages were
+                        if (session.forkedFrom?.forkedAt && new Date(session.forkedFrom.forkedAt) > session.lastActivity) {
+                            session.lastActivity = new Date(session.forkedFrom.forkedAt);
+                        }
                     }
                 } catch (parseError) {
                     console.warn(`[JSONL Parser] Error parsing line ${ lineCount }:`, parseError.message);
@@ -698,12 +708,20 @@ async function getSessionMessages(projectName, sessionId) {
 async function renameProject(projectName, newDisplayName) {
     const config = await loadProjectConfig();
 
+    // Keep other per-project settings (e.g. allowedRoots) when changing the name
+    const { displayName, ...otherSettings } = config[projectName] || {};
+
     if (!newDisplayName || newDisplayName.trim() === '') {
         // Remove custom name if empty, will fall back to auto-generated
-        delete config[projectName];
+        if (Object.keys(otherSettings).length > 0) {
+            config[projectName] = otherSettings;
+        } else {
+            delete config[projectName];
+        }
     } else {
         // Set custom display name
         config[projectName] = {
+            ...otherSettings,
             displayName: newDisplayName.trim()
         };
     }
@@ -765,6 +783,68 @@ async function deleteSession(projectName, sessionId) {
     }
 }
 
+// Fork a session: copy the transcript before the given user message into a new session file.
+// The original session is left untouched; returns the new session and the forked message text.
+async function forkSession(projectName, sessionId, messageUuid) {
+    const claudeProjectsDir = process.env.CLAUDE_PROJECTS_DIR || '.claude/projects';
+    const projectDir = path.join(process.env.HOME, claudeProjectsDir, projectName);
+
+    const entries = await getSessionMessages(projectName, sessionId);
+    if (entries.length === 0) {
+        throw Object.assign(new Error(`Session ${ sessionId } not found`), { status: 404 });
+    }
+
+    const forkIndex = entries.findIndex(entry => entry.uuid === messageUuid);
+    if (forkIndex === -1) {
+        throw Object.assign(new Error('Message not found in session'), { status: 404 });
+    }
+
+    const forkEntry = entries[forkIndex];
+    if (forkEntry.message?.role !== 'user') {
+        throw Object.assign(new Error('Sessions can only be forked from a user message'), { status: 400 });
+    }
+    if (forkIndex === 0) {
+        throw Object.assign(new Error('Cannot fork from the first message; start a new session instead'), { status: 400 });
+    }
+
+    const newSessionId = crypto.randomUUID();
+    const forkedAt = new Date().toISOString();
+    const uuidMap = new Map();
+
+    // New UUIDs keep the copied chain independent of the parent's entries
+    const lines = entries.slice(0, forkIndex).map((entry, index) => {
+        const copy = { ...entry, sessionId: newSessionId };
+        if (entry.uuid) {
+            uuidMap.set(entry.uuid, crypto.randomUUID());
+            copy.uuid = uuidMap.get(entry.uuid);
+        }
+        if (entry.parentUuid && uuidMap.has(entry.parentUuid)) {
+            copy.parentUuid = uuidMap.get(entry.parentUuid);
+        }
+        if (entry.leafUuid && uuidMap.has(entry.leafUuid)) {
+            copy.leafUuid = uuidMap.get(entry.leafUuid);
+        }
+        if (index === 0) {
+            copy.forkedFrom = { sessionId, messageUuid, forkedAt };
+        }
+        return JSON.stringify(copy);
+    });
+
+    const sessionFile = path.join(projectDir, `${ newSessionId }.jsonl`);
+    await fs.writeFile(sessionFile, lines.join('\n') + '\n', 'utf8');
+
+    const [session] = await parseJsonlSessions(sessionFile);
+
+    const content = forkEntry.message.content;
+    const draft = typeof content === 'string'
+        ? content
+        : Array.isArray(content)
+            ? content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+            : '';
+
+    return { session, draft };
+}
+
 // Check if a project is empty (has no sessions)
 async function isProjectEmpty(projectName) {
     try {
@@ -955,12 +1035,14 @@ export {
     parseJsonlSessions,
     renameProject,
     deleteSession,
+    forkSession,
     isProjectEmpty,
     deleteProject,
     deleteProjectCompletely,
     addProjectManually,
     loadProjectConfig,
     saveProjectConfig,
+    generateDisplayName,
     extractProjectDirectory,
     clearProjectDirectoryCache,
     clearCorruptedCacheEntries,
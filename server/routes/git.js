@@ -1,13 +1,17 @@
 import express from 'express';
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
 import path from 'path';
 import { promises as fs } from 'fs';
 import os from 'os';
 import { extractProjectDirectory, decodeProjectPath } from '../projects.js';
+import { resolveProjectFilePath, sendFileAccessError } from '../file-access.js';
+import { parseDiffHunks, buildPartialPatch } from '../utils/git-hunks.js';
+import { COMMIT_MESSAGE_GENERATORS, DEFAULT_GENERATOR, generateCommitMessages } from '../commit-message/index.js';
 
 const router = express.Router();
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
 
 // Helper function to get the actual project path from the encoded project name
 async function getActualProjectPath(projectName) {
@@ -82,6 +86,57 @@ async function validateGitRepository(projectPath) {
     }
 }
 
+// Unmerged entries in `git status --porcelain`
+const CONFLICT_CODES = new Set(['DD', 'AU', 'UD', 'UA', 'DU', 'AA', 'UU']);
+
+// Versions larger than this are left out of the status payload
+const MAX_CONFLICT_VERSION_SIZE = 512 * 1024;
+
+// Which multi-step operation is in progress: 'merge', 'rebase', 'cherry-pick', 'revert' or null
+async function getMergeOperation(gitRootPath) {
+    const { stdout } = await execAsync('git rev-parse --git-dir', { cwd: gitRootPath });
+    const gitDir = path.resolve(gitRootPath, stdout.trim());
+    const exists = (name) => fs.access(path.join(gitDir, name)).then(() => true).catch(() => false);
+
+    if (await exists('rebase-merge') || await exists('rebase-apply')) return 'rebase';
+    if (await exists('MERGE_HEAD')) return 'merge';
+    if (await exists('CHERRY_PICK_HEAD')) return 'cherry-pick';
+    if (await exists('REVERT_HEAD')) return 'revert';
+    return null;
+}
+
+/**
+ * Read base (stage 1), ours (stage 2), theirs (stage 3) and the working copy of a conflicted file.
+ * Missing versions (added or deleted on one side) are null.
+ */
+async function readConflictVersions(gitRootPath, file, code) {
+    const readStage = async (stage) => {
+        try {
+            const { stdout } = await execFileAsync('git', ['show', `:${ stage }:${ file }`], {
+                cwd: gitRootPath,
+                maxBuffer: 1024 * 1024 * 10
+            });
+            return stdout;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const [base, ours, theirs] = await Promise.all([readStage(1), readStage(2), readStage(3)]);
+    let working = null;
+    try {
+        working = await fs.readFile(path.join(gitRootPath, file), 'utf-8');
+    } catch (error) {
+        // Deleted in the working tree
+    }
+
+    const tooLarge = [base, ours, theirs, working].some(content => content && content.length > MAX_CONFLICT_VERSION_SIZE);
+    if (tooLarge) {
+        return { file, code, tooLarge: true, base: null, ours: null, theirs: null, working: null };
+    }
+    return { file, code, tooLarge: false, base, ours, theirs, working };
+}
+
 // Get git status for a project
 router.get('/status', async (req, res) => {
     const { project } = req.query;
@@ -103,6 +158,8 @@ router.get('/status', async (req, res) => {
         const added = [];
         const deleted = [];
         const untracked = [];
+        const partiallyStaged = [];
+        const conflicted = [];
 
         statusOutput.split('\n').forEach(line => {
             if (!line.trim()) return;
@@ -110,6 +167,16 @@ router.get('/status', async (req, res) => {
             const status = line.substring(0, 2);
             const file = line.substring(3);
 
+            if (CONFLICT_CODES.has(status)) {
+                conflicted.push({ file, code: status });
+                return;
+            }
+
+            // Changes both in the index and the working tree, e.g. after staging single hunks
+            if (status[0] !== ' ' && status[0] !== '?' && status[1] !== ' ') {
+                partiallyStaged.push(file);
+            }
+
             if (status === 'M ' || status === ' M' || status === 'MM') {
                 modified.push(file);
             } else if (status === 'A ' || status === 'AM') {
@@ -121,12 +188,20 @@ router.get('/status', async (req, res) => {
             }
         });
 
+        const operation = await getMergeOperation(gitRootPath);
+
         res.json({
             branch: branch.trim(),
             modified,
             added,
             deleted,
-            untracked
+            untracked,
+            partiallyStaged,
+            conflicted: conflicted.map(c => c.file),
+            merge: operation || conflicted.length > 0 ? {
+                operation,
+                conflicts: await Promise.all(conflicted.map(c => readConflictVersions(gitRootPath, c.file, c.code)))
+            } : null
         });
     } catch (error) {
         // Handle non-git repository errors gracefully
@@ -146,9 +221,114 @@ router.get('/status', async (req, res) => {
     }
 });
 
-// Get diff for a specific file
+// Read the staged (HEAD -> index) and unstaged (index -> worktree) hunks of a file
+async function getFileHunks(projectPath, file) {
+    const { stdout: statusOutput } = await execFileAsync('git', ['status', '--porcelain', '--', file], { cwd: projectPath });
+    const isUntracked = statusOutput.startsWith('??');
+
+    let unstagedDiff;
+    if (isUntracked) {
+        // --no-index exits with 1 when the files differ, which is always the case here
+        try {
+            const { stdout } = await execFileAsync('git', ['diff', '--no-index', '--', '/dev/null', file], { cwd: projectPath });
+            unstagedDiff = stdout;
+        } catch (error) {
+            if (error.code !== 1) throw error;
+            unstagedDiff = error.stdout;
+        }
+    } else {
+        const { stdout } = await execFileAsync('git', ['diff', '--', file], { cwd: projectPath });
+        unstagedDiff = stdout;
+    }
+    const { stdout: stagedDiff } = await execFileAsync('git', ['diff', '--cached', '--', file], { cwd: projectPath });
+
+    return {
+        file,
+        isUntracked,
+        unstaged: parseDiffHunks(unstagedDiff, file),
+        staged: parseDiffHunks(stagedDiff, file)
+    };
+}
+
+// Apply a patch through a temporary file; --recount lets partial hunks keep their original headers
+async function applyPatch(projectPath, patch, args) {
+    const patchFile = path.join(os.tmpdir(), `git-hunks-${ Date.now() }.patch`);
+    await fs.writeFile(patchFile, patch, 'utf-8');
+    try {
+        await execFileAsync('git', ['apply', ...args, '--recount', patchFile], { cwd: projectPath });
+    } finally {
+        try {
+            await fs.unlink(patchFile);
+        } catch (e) {
+            // Ignore cleanup errors
+        }
+    }
+}
+
+// Hunk routes take a repository-relative path; apply the file endpoints' project root check to it
+async function checkHunkFile(project, projectPath, file) {
+    await resolveProjectFilePath(project, path.resolve(projectPath, String(file)));
+}
+
+// Turn { hunkIds, lines } from the request into buildPartialPatch's selection map
+function hunkSelection(hunkIds, lines = {}) {
+    const selection = {};
+    for (const id of hunkIds) {
+        selection[id] = Array.isArray(lines[id]) && lines[id].length > 0 ? lines[id] : null;
+    }
+    return selection;
+}
+
+// Shared handler for stage-hunks / unstage-hunks / discard-hunks
+async function handleHunkOperation(req, res, operation) {
+    const { project, file, hunkIds, lines } = req.body;
+
+    if (!project || !file || !Array.isArray(hunkIds) || hunkIds.length === 0) {
+        return res.status(400).json({ error: 'Project name, file path and hunk IDs are required' });
+    }
+
+    try {
+        const projectPath = await getActualProjectPath(project);
+        await validateGitRepository(projectPath);
+        await checkHunkFile(project, projectPath, file);
+
+        let hunks = await getFileHunks(projectPath, file);
+        if (operation === 'stage' && hunks.isUntracked) {
+            // Record the file as intent-to-add so its hunks can be applied to the index
+            await execFileAsync('git', ['add', '--intent-to-add', '--', file], { cwd: projectPath });
+            hunks = await getFileHunks(projectPath, file);
+        }
+
+        const source = operation === 'unstage' ? hunks.staged : hunks.unstaged;
+        const unknown = hunkIds.filter(id => !source.hunks.some(hunk => hunk.id === id));
+        if (unknown.length > 0) {
+            return res.status(409).json({ error: 'The diff has changed, refresh and try again', unknownHunks: unknown });
+        }
+
+        const reverse = operation !== 'stage';
+        const patch = buildPartialPatch(source, hunkSelection(hunkIds, lines), { reverse });
+        if (!patch) {
+            return res.status(400).json({ error: 'No changed lines selected' });
+        }
+
+        const args = { stage: ['--cached'], unstage: ['--cached', '--reverse'], discard: ['--reverse'] }[operation];
+        await applyPatch(projectPath, patch, args);
+
+        res.json({ success: true, ...(await getFileHunks(projectPath, file)) });
+    } catch (error) {
+        if (sendFileAccessError(res, error)) return;
+        console.error(`Git ${ operation } hunks error:`, error);
+        res.status(500).json({ error: error.message });
+    }
+}
+
+router.post('/stage-hunks', (req, res) => handleHunkOperation(req, res, 'stage'));
+router.post('/unstage-hunks', (req, res) => handleHunkOperation(req, res, 'unstage'));
+router.post('/discard-hunks', (req, res) => handleHunkOperation(req, res, 'discard'));
+
+// Get diff for a specific file; mode=hunks returns parsed staged/unstaged hunks
 router.get('/diff', async (req, res) => {
-    const { project, file } = req.query;
+    const { project, file, mode } = req.query;
 
     if (!project || !file) {
         return res.status(400).json({ error: 'Project name and file path are required' });
@@ -160,6 +340,11 @@ router.get('/diff', async (req, res) => {
         // Validate git repository
         await validateGitRepository(projectPath);
 
+        if (mode === 'hunks') {
+            await checkHunkFile(project, projectPath, file);
+            return res.json(await getFileHunks(projectPath, file));
+        }
+
         // Check if file is untracked
         const { stdout: statusOutput } = await execAsync(`git status --porcelain "${ file }"`, { cwd: projectPath });
         const isUntracked = statusOutput.startsWith('??');
@@ -185,6 +370,7 @@ router.get('/diff', async (req, res) => {
 
         res.json({ diff });
     } catch (error) {
+        if (sendFileAccessError(res, error)) return;
         console.error('Git diff error:', error);
         res.json({ error: error.message });
     }
@@ -192,7 +378,7 @@ router.get('/diff', async (req, res) => {
 
 // Commit changes
 router.post('/commit', async (req, res) => {
-    const { project, message, files } = req.body;
+    const { project, message, files, stagedFiles = [] } = req.body;
 
     if (!project || !message || !files || files.length === 0) {
         return res.status(400).json({ error: 'Project name, commit message, and files are required' });
@@ -204,8 +390,9 @@ router.post('/commit', async (req, res) => {
         // Validate git repository
         await validateGitRepository(projectPath);
 
-        // Stage selected files
+        // Stage selected files; files staged hunk by hunk are committed as they are in the index
         for (const file of files) {
+            if (stagedFiles.includes(file)) continue;
             await execAsync(`git add "${ file }"`, { cwd: projectPath });
         }
 
@@ -283,21 +470,57 @@ router.get('/branches', async (req, res) => {
 
 // Checkout branch
 router.post('/checkout', async (req, res) => {
-    const { project, branch } = req.body;
+    const { project, branch, stash } = req.body;
 
     if (!project || !branch) {
         return res.status(400).json({ error: 'Project name and branch are required' });
     }
 
+    let projectPath;
+    let stashed = false;
     try {
-        const projectPath = await getActualProjectPath(project);
+        projectPath = await getActualProjectPath(project);
+
+        // "Stash and switch": put local changes aside before checking out
+        if (stash) {
+            const result = await pushStash(projectPath, {
+                message: `Auto-stash before switching to ${ branch }`,
+                includeUntracked: true
+            });
+            stashed = result.created;
+        }
 
         // Checkout the branch
         const { stdout } = await execAsync(`git checkout "${ branch }"`, { cwd: projectPath });
 
-        res.json({ success: true, output: stdout });
+        res.json({ success: true, output: stdout, stashed });
     } catch (error) {
         console.error('Git checkout error:', error);
+
+        // Don't leave the user's changes hidden in a stash when the checkout failed anyway
+        if (stashed) {
+            try {
+                await execAsync('git stash pop', { cwd: projectPath });
+            } catch (popError) {
+                console.error('Failed to restore auto-stash:', popError);
+            }
+        }
+
+        // Checkout refuses to overwrite local changes; list the files so the UI can offer to stash them
+        const output = `${ error.stderr || '' }${ error.message }`;
+        if (/would be overwritten by checkout|commit your changes or stash them/i.test(output)) {
+            const files = [];
+            const listMatch = output.match(/overwritten by checkout:\n([\s\S]*?)\n(?:Please|Aborting)/);
+            if (listMatch) {
+                files.push(...listMatch[1].split('\n').map(file => file.trim()).filter(Boolean));
+            }
+            return res.status(409).json({
+                error: 'Local changes would be overwritten by checkout',
+                code: 'LOCAL_CHANGES',
+                files
+            });
+        }
+
         res.status(500).json({ error: error.message });
     }
 });
@@ -425,45 +648,16 @@ router.post('/generate-commit-message', async (req, res) => {
             }
         }
 
-        // Enhanced commit message generation with Claude CLI and configuration support
-        const message = await generateEnhancedCommitMessage(projectPath, files, combinedDiff);
+        const settings = await getGitSettings();
+        const result = await generateCommitMessages({ projectPath, files, diff: combinedDiff, settings });
 
-        res.json({ message });
+        res.json({ message: result.candidates[0], ...result });
     } catch (error) {
         console.error('Generate commit message error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Enhanced commit message generator with Claude CLI integration and configuration support
-async function generateEnhancedCommitMessage(projectPath, files, diff) {
-    try {
-        // 1. Try to get Git settings from application settings
-        const gitSettings = await getGitSettings();
-        const language = gitSettings?.messageLanguage || 'en';
-        const useClaudeCLI = gitSettings?.useClaudeCLI !== false; // Default to true
-        
-        // 2. Try to read global or project-specific CLAUDE.md for Git message conventions
-        const conventions = await getGitConventions(projectPath);
-        
-        // 3. Use Claude CLI if available and enabled
-        if (useClaudeCLI) {
-            const claudeMessage = await generateWithClaudeCLI(projectPath, files, diff, conventions, language);
-            if (claudeMessage) {
-                return claudeMessage;
-            }
-        }
-        
-        // 4. Fallback to enhanced rule-based generation
-        return await generateRuleBasedMessage(files, diff, conventions, language, projectPath);
-        
-    } catch (error) {
-        console.error('Enhanced commit message generation failed:', error);
-        // Ultimate fallback to simple generation
-        return generateSimpleCommitMessage(files, diff);
-    }
-}
-
 // Get Git settings from application configuration
 async function getGitSettings() {
     try {
@@ -477,707 +671,6 @@ async function getGitSettings() {
     }
 }
 
-// Get Git conventions from CLAUDE.md or .gitmessage files
-async function getGitConventions(projectPath) {
-    const conventions = {
-        format: null,
-        types: null,
-        scopes: null,
-        rules: null
-    };
-    
-    try {
-        // 1. Try project-specific .gitmessage.txt first (highest priority)
-        const gitmessageFile = path.join(projectPath, '.gitmessage.txt');
-        try {
-            const gitmessageContent = await fs.readFile(gitmessageFile, 'utf-8');
-            const gitmessageConventions = parseGitmessageTemplate(gitmessageContent);
-            if (gitmessageConventions) {
-                Object.assign(conventions, gitmessageConventions);
-                console.log('Found Git conventions in .gitmessage.txt');
-                return conventions; // Use .gitmessage.txt if found
-            }
-        } catch (error) {
-            // No .gitmessage.txt, continue
-        }
-        
-        // 2. Try app/statics/rules/.gitmessage.txt
-        const appGitmessageFile = path.join(projectPath, 'app', 'statics', 'rules', '.gitmessage.txt');
-        try {
-            const appGitmessageContent = await fs.readFile(appGitmessageFile, 'utf-8');
-            const appGitmessageConventions = parseGitmessageTemplate(appGitmessageContent);
-            if (appGitmessageConventions) {
-                Object.assign(conventions, appGitmessageConventions);
-                console.log('Found Git conventions in app/statics/rules/.gitmessage.txt');
-                return conventions;
-            }
-        } catch (error) {
-            // No app .gitmessage.txt, continue
-        }
-        
-        // 3. Try project-specific CLAUDE.md
-        const projectClaudeFile = path.join(projectPath, 'CLAUDE.md');
-        try {
-            const projectContent = await fs.readFile(projectClaudeFile, 'utf-8');
-            const projectConventions = parseGitConventions(projectContent);
-            if (projectConventions) {
-                Object.assign(conventions, projectConventions);
-                console.log('Found project-specific Git conventions in CLAUDE.md');
-            }
-        } catch (error) {
-            // No project CLAUDE.md, continue
-        }
-        
-        // 4. Try global CLAUDE.md (only if project conventions not found)
-        if (!conventions.format) {
-            const globalClaudeFile = path.join(os.homedir(), '.claude', 'CLAUDE.md');
-            try {
-                const globalContent = await fs.readFile(globalClaudeFile, 'utf-8');
-                const globalConventions = parseGitConventions(globalContent);
-                if (globalConventions) {
-                    Object.assign(conventions, globalConventions);
-                    console.log('Found global Git conventions in ~/.claude/CLAUDE.md');
-                }
-            } catch (error) {
-                // No global CLAUDE.md, use defaults
-            }
-        }
-        
-    } catch (error) {
-        console.error('Error reading Git conventions:', error);
-    }
-    
-    return conventions;
-}
-
-// Parse Git conventions from .gitmessage.txt template
-function parseGitmessageTemplate(content) {
-    try {
-        const conventions = {};
-        
-        // Extract format from template (e.g., <type>(<scope>): <subject>)
-        const formatMatch = content.match(/#\s*<type>\(<scope>\):\s*<subject>|#\s*(\w+)\((\w+)\):\s*(\w+)/i);
-        if (formatMatch) {
-            conventions.format = '<type>(<scope>): <subject>';
-        }
-        
-        // Extract types from template
-        const typesMatch = content.match(/type:\s*([^\n]+)/i);
-        if (typesMatch) {
-            // Parse types like: feat | fix | docs | style | refactor | perf | test | build | ci | chore | revert
-            const typesList = typesMatch[1].split('|').map(t => t.trim());
-            conventions.types = typesList;
-        }
-        
-        // Extract scope examples
-        const scopeMatch = content.match(/scope:.*?(如|例如|e\.g\.|such as|like)([^\n]+)/i);
-        if (scopeMatch) {
-            const scopeExamples = scopeMatch[2].split(/[、,]/).map(s => s.trim());
-            conventions.scopes = scopeExamples;
-        }
-        
-        // Extract rules from the template comments
-        const rulesLines = [];
-        const lines = content.split('\n');
-        for (const line of lines) {
-            if (line.startsWith('#') && (line.includes('不超过') || line.includes('祈使句') || line.includes('50字符') || line.includes('imperative'))) {
-                rulesLines.push(line.replace(/^#\s*/, ''));
-            }
-        }
-        if (rulesLines.length > 0) {
-            conventions.rules = rulesLines.join('\n');
-        }
-        
-        // Set default conventional commit format if types are found
-        if (conventions.types && !conventions.format) {
-            conventions.format = '<type>(<scope>): <subject>';
-        }
-        
-        return conventions;
-    } catch (error) {
-        console.error('Error parsing .gitmessage template:', error);
-        return null;
-    }
-}
-
-// Parse Git conventions from CLAUDE.md content
-function parseGitConventions(content) {
-    try {
-        // Look for Git-related sections in CLAUDE.md
-        const gitSectionMatch = content.match(/##?\s*(?:Git|git|GIT|提交|commit).*?(?=##|$)/is);
-        if (!gitSectionMatch) return null;
-        
-        const gitSection = gitSectionMatch[0];
-        
-        const conventions = {};
-        
-        // Look for commit message format
-        const formatMatch = gitSection.match(/(?:format|格式|模板).*?([`"']([^`"']+)[`"']|:\s*(.+))/is);
-        if (formatMatch) {
-            conventions.format = formatMatch[2] || formatMatch[3];
-        }
-        
-        // Look for commit types
-        const typesMatch = gitSection.match(/(?:type|类型).*?\[(.*?)\]/is);
-        if (typesMatch) {
-            conventions.types = typesMatch[1].split(',').map(t => t.trim());
-        }
-        
-        // Look for scopes
-        const scopesMatch = gitSection.match(/(?:scope|范围).*?\[(.*?)\]/is);
-        if (scopesMatch) {
-            conventions.scopes = scopesMatch[1].split(',').map(s => s.trim());
-        }
-        
-        // Look for specific rules
-        const rulesMatch = gitSection.match(/(?:rule|规则|要求).*?([\s\S]*?)(?=##|$)/is);
-        if (rulesMatch) {
-            conventions.rules = rulesMatch[1].trim();
-        }
-        
-        return Object.keys(conventions).length > 0 ? conventions : null;
-    } catch (error) {
-        console.error('Error parsing Git conventions:', error);
-        return null;
-    }
-}
-
-// Generate commit message using Claude CLI
-async function generateWithClaudeCLI(projectPath, files, diff, conventions, language) {
-    try {
-        // Check if Claude CLI is available
-        try {
-            await execAsync('which claude', { cwd: projectPath, timeout: 5000 });
-        } catch (error) {
-            console.log('Claude CLI not available, skipping Claude generation');
-            return null;
-        }
-        
-        // Prepare the prompt for Claude CLI
-        const prompt = buildClaudePrompt(files, diff, conventions, language);
-        
-        // Write prompt to a temporary file to avoid shell escaping issues
-        const tmpDir = os.tmpdir();
-        const promptFile = path.join(tmpDir, `git-prompt-${Date.now()}.txt`);
-        await fs.writeFile(promptFile, prompt, 'utf-8');
-        
-        try {
-            // Use Claude CLI to generate commit message
-            const { stdout } = await execAsync(
-                `cat "${promptFile}" | claude`,
-                { 
-                    cwd: projectPath,
-                    timeout: 30000, // 30 second timeout
-                    maxBuffer: 1024 * 1024 * 10 // 10MB buffer
-                }
-            );
-            
-            const generatedMessage = stdout.trim();
-            
-            // Extract just the commit message if Claude returns extra content
-            // Look for common patterns like "Here's a commit message:" or quotes
-            let finalMessage = generatedMessage;
-            
-            // Remove common prefixes
-            // Remove code blocks first
-            finalMessage = finalMessage.replace(/^```[\s\S]*?```$/gm, '').trim();
-            
-            // Remove common intro phrases
-            finalMessage = finalMessage.replace(/^.*?(?:commit message|提交消息|消息)[:：]\s*/is, '').trim();
-            finalMessage = finalMessage.replace(/^.*?(?:here's|here is|建议|推荐).*?[:：]\s*/is, '').trim();
-            
-            // Remove surrounding quotes if present
-            const quoteMatch = finalMessage.match(/^["'`]([\s\S]*)["'`]$/s);
-            if (quoteMatch && quoteMatch[1]) {
-                finalMessage = quoteMatch[1].trim();
-            }
-            
-            // Remove Claude Code signatures and co-authored lines
-            finalMessage = finalMessage
-                .replace(/🤖\s*Generated with \[Claude Code\]\(https:\/\/claude\.ai\/code\)\s*/g, '')
-                .replace(/Co-Authored-By:\s*Claude\s*<noreply@anthropic\.com>\s*/g, '')
-                .trim();
-            finalMessage = finalMessage.replace(/Co-Authored-By:\s*Claude\s*<noreply@anthropic\.com>/gi, '').trim();
-            
-            // Remove empty lines at the end
-            finalMessage = finalMessage.replace(/\n+$/, '').trim();
-            
-            // Take only the first line or paragraph if it's a multi-line response
-            const lines = finalMessage.split('\n').filter(line => line.trim());
-            if (lines.length > 0) {
-                // If it looks like a conventional commit, take the whole first line
-                // Otherwise, take up to the first blank line
-                if (lines[0].match(/^(feat|fix|docs|style|refactor|perf|test|build|ci|chore|revert)(\(.+\))?!?:/)) {
-                    finalMessage = lines[0];
-                } else {
-                    const firstParagraph = [];
-                    for (const line of lines) {
-                        if (line.trim() === '') break;
-                        firstParagraph.push(line);
-                        // Stop if we hit a line that looks like explanation text
-                        if (line.match(/^(this|these|it|the above|以上|这个|这些)/i)) break;
-                    }
-                    finalMessage = firstParagraph.join(' ').trim();
-                }
-            }
-            
-            if (finalMessage && !finalMessage.toLowerCase().includes('error')) {
-                console.log('Successfully generated commit message using Claude CLI');
-                return finalMessage;
-            }
-        } finally {
-            // Clean up temporary file
-            try {
-                await fs.unlink(promptFile);
-            } catch (e) {
-                // Ignore cleanup errors
-            }
-        }
-        
-    } catch (error) {
-        console.log('Claude CLI generation failed, falling back to rule-based generation:', error.message);
-    }
-    
-    return null;
-}
-
-// Build prompt for Claude CLI
-function buildClaudePrompt(files, diff, conventions, language) {
-    const isChineseLang = language === 'zh' || language === 'zh-CN';
-    
-    let prompt = isChineseLang 
-        ? '请为以下Git变更生成一个完整的规范化提交消息，包含 header、body 和 footer。\n\n'
-        : 'Please generate a complete standardized commit message for the following Git changes, including header, body, and footer.\n\n';
-    
-    // Add specific requirements for complete commit message
-    prompt += isChineseLang
-        ? '要求：\n1. 严格遵循 Conventional Commits 规范\n2. 包含完整的 header、body 和 footer\n3. header: <type>(<scope>): <subject>\n4. body: 详细说明改动内容和原因\n5. footer: 验证信息或关联信息\n6. 只返回提交消息本身\n\n'
-        : 'Requirements:\n1. Strictly follow Conventional Commits specification\n2. Include complete header, body, and footer\n3. Header: <type>(<scope>): <subject>\n4. Body: Detailed explanation of changes and reasons\n5. Footer: Verification info or related references\n6. Return only the commit message itself\n\n';
-    
-    // Add file information with better formatting
-    prompt += isChineseLang 
-        ? `变更的文件 (${files.length} 个):\n${files.map(f => `  • ${f}`).join('\n')}\n\n`
-        : `Modified files (${files.length}):\n${files.map(f => `  • ${f}`).join('\n')}\n\n`;
-    
-    // Add conventions with examples
-    if (conventions.format) {
-        prompt += isChineseLang 
-            ? `提交消息格式: ${conventions.format}\n\n`
-            : `Commit message format: ${conventions.format}\n\n`;
-    }
-    
-    if (conventions.types) {
-        prompt += isChineseLang 
-            ? `允许的类型: ${conventions.types.join(', ')}\n\n`
-            : `Allowed types: ${conventions.types.join(', ')}\n\n`;
-    }
-    
-    // Add example format with complete footer
-    prompt += isChineseLang
-        ? '示例格式：\nfeat(components): 增强组件交互功能\n\n为组件添加新的交互特性，提高用户体验。\n包含响应式设计和可访问性优化。\n\n验证：功能测试通过，用户界面无异常。\nSigned-off-by: Developer <developer@example.com>\n\n'
-        : 'Example format:\nfeat(components): enhance component interaction functionality\n\nAdd new interactive features to components to improve user experience.\nIncludes responsive design and accessibility optimizations.\n\nVerification: Feature testing passed, user interface shows no anomalies.\nSigned-off-by: Developer <developer@example.com>\n\n';
-    
-    // Add diff with better formatting
-    const diffSample = diff.length > 2000 ? diff.substring(0, 2000) + '\n... (diff truncated)' : diff;
-    prompt += isChineseLang 
-        ? `代码变更详情:\n\`\`\`diff\n${diffSample}\n\`\`\`\n\n请生成完整的提交消息（包含 header、body、footer）：`
-        : `Code changes:\n\`\`\`diff\n${diffSample}\n\`\`\`\n\nGenerate complete commit message (including header, body, footer):`;
-    
-    return prompt;
-}
-
-// Enhanced rule-based message generation with conventions and language support
-async function generateRuleBasedMessage(files, diff, conventions, language, projectPath) {
-    const isChineseLang = language === 'zh' || language === 'zh-CN';
-    const fileCount = files.length;
-    
-    // Analyze the diff to determine the type of change
-    const additions = (diff.match(/^\+[^+]/gm) || []).length;
-    const deletions = (diff.match(/^-[^-]/gm) || []).length;
-    
-    // Determine the primary action based on conventions or defaults
-    let action;
-    if (conventions.types && conventions.types.length > 0) {
-        // Use convention types
-        if (additions > 0 && deletions === 0) {
-            action = conventions.types.includes('feat') ? 'feat' : conventions.types.includes('add') ? 'add' : conventions.types[0];
-        } else if (deletions > 0 && additions === 0) {
-            action = conventions.types.includes('remove') ? 'remove' : conventions.types.includes('delete') ? 'delete' : 'refactor';
-        } else if (additions > deletions * 2) {
-            action = conventions.types.includes('feat') ? 'feat' : conventions.types.includes('enhance') ? 'enhance' : 'update';
-        } else if (deletions > additions * 2) {
-            action = conventions.types.includes('refactor') ? 'refactor' : 'update';
-        } else {
-            action = conventions.types.includes('fix') ? 'fix' : conventions.types.includes('update') ? 'update' : conventions.types[0];
-        }
-    } else {
-        // Use language-specific default actions
-        if (isChineseLang) {
-            if (additions > 0 && deletions === 0) {
-                action = '新增';
-            } else if (deletions > 0 && additions === 0) {
-                action = '删除';
-            } else if (additions > deletions * 2) {
-                action = '增强';
-            } else if (deletions > additions * 2) {
-                action = '重构';
-            } else {
-                action = '更新';
-            }
-        } else {
-            if (additions > 0 && deletions === 0) {
-                action = 'Add';
-            } else if (deletions > 0 && additions === 0) {
-                action = 'Remove';
-            } else if (additions > deletions * 2) {
-                action = 'Enhance';
-            } else if (deletions > additions * 2) {
-                action = 'Refactor';
-            } else {
-                action = 'Update';
-            }
-        }
-    }
-    
-    // Generate more detailed description based on files and changes
-    let description;
-    
-    // Analyze what types of files changed
-    const fileTypes = new Set();
-    const componentNames = new Set();
-    const directories = new Set();
-    
-    files.forEach(f => {
-        const parts = f.split('/');
-        const fileName = parts[parts.length - 1];
-        const ext = fileName.split('.').pop();
-        
-        // Track file types
-        if (['jsx', 'tsx'].includes(ext)) fileTypes.add('component');
-        else if (['css', 'scss', 'less'].includes(ext)) fileTypes.add('style');
-        else if (['js', 'ts'].includes(ext)) fileTypes.add('script');
-        else if (['json', 'yml', 'yaml'].includes(ext)) fileTypes.add('config');
-        else if (['md', 'txt'].includes(ext)) fileTypes.add('doc');
-        
-        // Track component/module names
-        if (parts.length > 1) {
-            directories.add(parts[0]);
-            const moduleName = parts[parts.length - 2] || parts[0];
-            componentNames.add(moduleName);
-        } else {
-            componentNames.add(fileName.replace(/\.[^.]+$/, ''));
-        }
-    });
-    
-    // Build description based on analysis
-    if (fileCount > 1) {
-        if (componentNames.size === 1) {
-            const componentName = [...componentNames][0];
-            const typeList = [...fileTypes];
-            
-            if (typeList.includes('component') && typeList.includes('style')) {
-                description = isChineseLang 
-                    ? `${componentName} 组件的功能和样式`
-                    : `${componentName} component functionality and styling`;
-            } else if (typeList.includes('component')) {
-                description = isChineseLang 
-                    ? `${componentName} 组件逻辑`
-                    : `${componentName} component logic`;
-            } else if (typeList.includes('style')) {
-                description = isChineseLang 
-                    ? `${componentName} 样式优化`
-                    : `${componentName} style improvements`;
-            } else {
-                description = isChineseLang 
-                    ? `${componentName} 模块`
-                    : `${componentName} module`;
-            }
-        } else if (directories.size === 1) {
-            const directory = [...directories][0];
-            description = isChineseLang 
-                ? `${directory} 模块的多个组件`
-                : `multiple ${directory} components`;
-        } else {
-            // Multiple components across directories
-            const mainComponents = [...componentNames].slice(0, 2).join(', ');
-            if (componentNames.size > 2) {
-                description = isChineseLang 
-                    ? `${mainComponents} 等${componentNames.size}个组件`
-                    : `${mainComponents} and ${componentNames.size - 2} more components`;
-            } else {
-                description = isChineseLang 
-                    ? `${mainComponents} 组件`
-                    : `${mainComponents} components`;
-            }
-        }
-    } else {
-        // Single file - be more specific
-        const fileName = files[0].split('/').pop();
-        const baseName = fileName.replace(/\.[^.]+$/, '');
-        const ext = fileName.split('.').pop();
-        
-        // Add context based on file type
-        if (['jsx', 'tsx'].includes(ext)) {
-            // Check if it has UI changes
-            const hasUIChanges = diff.includes('className') || diff.includes('style') || diff.includes('<div') || diff.includes('render');
-            if (hasUIChanges) {
-                description = isChineseLang 
-                    ? `${baseName} 组件的界面和交互`
-                    : `${baseName} component UI and interactions`;
-            } else {
-                description = isChineseLang 
-                    ? `${baseName} 组件逻辑`
-                    : `${baseName} component logic`;
-            }
-        } else if (['css', 'scss', 'less'].includes(ext)) {
-            description = isChineseLang 
-                ? `${baseName} 样式调整`
-                : `${baseName} style adjustments`;
-        } else if (['json', 'yml', 'yaml'].includes(ext)) {
-            description = isChineseLang 
-                ? `${baseName} 配置更新`
-                : `${baseName} configuration updates`;
-        } else if (ext === 'md') {
-            description = isChineseLang 
-                ? `${baseName} 文档更新`
-                : `${baseName} documentation updates`;
-        } else {
-            // Generic but with more context
-            if (additions > deletions) {
-                description = isChineseLang 
-                    ? `${baseName} 功能扩展`
-                    : `enhance ${baseName} functionality`;
-            } else if (deletions > additions) {
-                description = isChineseLang 
-                    ? `${baseName} 代码优化`
-                    : `optimize ${baseName} implementation`;
-            } else {
-                description = isChineseLang 
-                    ? `更新 ${baseName}`
-                    : `update ${baseName}`;
-            }
-        }
-    }
-    
-    // Format according to conventions
-    if (conventions.format) {
-        // Handle conventional commit format: <type>(<scope>): <subject>
-        const formatTemplate = conventions.format;
-        
-        // Determine scope based on the files
-        let scope = '';
-        if (formatTemplate.includes('scope')) {
-            // Try to determine scope from directories or component names
-            if (directories.size === 1) {
-                scope = [...directories][0];
-            } else if (componentNames.size === 1) {
-                scope = [...componentNames][0].toLowerCase();
-            } else if (fileTypes.has('component')) {
-                scope = 'components';
-            } else if (fileTypes.has('style')) {
-                scope = 'styles';
-            } else if (fileTypes.has('config')) {
-                scope = 'config';
-            } else if (conventions.scopes && conventions.scopes.length > 0) {
-                // Use first available scope from conventions if we can't determine
-                scope = conventions.scopes[0];
-            }
-        }
-        
-        // Build the complete commit message with header, body, and footer
-        let subject = description;
-        
-        // Build header: <type>(<scope>): <subject>
-        let header = action;
-        if (scope) {
-            header += `(${scope})`;
-        }
-        header += `: ${subject}`;
-        
-        // Build body: explain what changed and why
-        let body = '';
-        if (fileCount === 1) {
-            const fileName = files[0].split('/').pop();
-            if (action === 'feat') {
-                body = isChineseLang
-                    ? `\u4e3a ${fileName} \u6dfb\u52a0\u65b0\u529f\u80fd\uff0c\u589e\u5f3a\u7528\u6237\u4f53\u9a8c\u548c\u7cfb\u7edf\u529f\u80fd\u6027\u3002`
-                    : `Add new functionality to ${fileName} to enhance user experience and system capabilities.`;
-            } else if (action === 'fix') {
-                body = isChineseLang
-                    ? `\u4fee\u590d ${fileName} \u4e2d\u7684\u95ee\u9898\uff0c\u63d0\u9ad8\u7cfb\u7edf\u7a33\u5b9a\u6027\u548c\u53ef\u9760\u6027\u3002`
-                    : `Fix issues in ${fileName} to improve system stability and reliability.`;
-            } else if (action === 'refactor') {
-                body = isChineseLang
-                    ? `\u91cd\u6784 ${fileName} \u7684\u4ee3\u7801\u7ed3\u6784\uff0c\u63d0\u9ad8\u53ef\u8bfb\u6027\u548c\u7ef4\u62a4\u6027\u3002`
-                    : `Refactor code structure in ${fileName} to improve readability and maintainability.`;
-            } else if (action === 'style') {
-                body = isChineseLang
-                    ? `\u4f18\u5316 ${fileName} \u7684\u6837\u5f0f\u548c\u89c6\u89c9\u8868\u73b0\uff0c\u63d0\u5347\u7528\u6237\u754c\u9762\u4f53\u9a8c\u3002`
-                    : `Optimize styles and visual presentation in ${fileName} to enhance user interface experience.`;
-            } else {
-                body = isChineseLang
-                    ? `\u66f4\u65b0 ${fileName} \u7684\u5b9e\u73b0\uff0c\u4fdd\u6301\u7cfb\u7edf\u7684\u73b0\u4ee3\u5316\u548c\u9ad8\u6548\u6027\u3002`
-                    : `Update ${fileName} implementation to maintain system modernization and efficiency.`;
-            }
-        } else {
-            // Multiple files
-            const moduleCount = directories.size;
-            const componentCount = componentNames.size;
-            
-            if (action === 'feat') {
-                body = isChineseLang
-                    ? `\u5728 ${fileCount} \u4e2a\u6587\u4ef6\u4e2d\u5b9e\u73b0\u65b0\u529f\u80fd\uff0c\u6d89\u53ca ${moduleCount > 1 ? moduleCount + ' \u4e2a\u6a21\u5757' : '\u6838\u5fc3\u6a21\u5757'}\u3002\n\u589e\u5f3a\u7cfb\u7edf\u80fd\u529b\uff0c\u4f18\u5316\u7528\u6237\u4ea4\u4e92\u4f53\u9a8c\u3002`
-                    : `Implement new features across ${fileCount} files, affecting ${moduleCount > 1 ? moduleCount + ' modules' : 'core module'}.\nEnhance system capabilities and optimize user interaction experience.`;
-            } else if (action === 'fix') {
-                body = isChineseLang
-                    ? `\u4fee\u590d\u591a\u4e2a\u7ec4\u4ef6\u4e2d\u7684\u95ee\u9898\uff0c\u6d89\u53ca ${fileCount} \u4e2a\u6587\u4ef6\u3002\n\u63d0\u9ad8\u7cfb\u7edf\u7a33\u5b9a\u6027\uff0c\u786e\u4fdd\u529f\u80fd\u6b63\u5e38\u8fd0\u884c\u3002`
-                    : `Fix issues across multiple components, involving ${fileCount} files.\nImprove system stability and ensure proper functionality.`;
-            } else if (action === 'refactor') {
-                body = isChineseLang
-                    ? `\u91cd\u6784\u591a\u4e2a\u6a21\u5757\u7684\u4ee3\u7801\u7ed3\u6784\uff0c\u4f18\u5316 ${componentCount} \u4e2a\u7ec4\u4ef6\u3002\n\u63d0\u9ad8\u4ee3\u7801\u53ef\u8bfb\u6027\u548c\u7ef4\u62a4\u6027\uff0c\u4e3a\u540e\u7eed\u5f00\u53d1\u5960\u5b9a\u57fa\u7840\u3002`
-                    : `Refactor code structure across multiple modules, optimizing ${componentCount} components.\nImprove code readability and maintainability for future development.`;
-            } else {
-                body = isChineseLang
-                    ? `\u66f4\u65b0\u591a\u4e2a\u6a21\u5757\u7684\u5b9e\u73b0\uff0c\u6d89\u53ca ${fileCount} \u4e2a\u6587\u4ef6\u3002\n\u4fdd\u6301\u7cfb\u7edf\u7684\u73b0\u4ee3\u5316\u548c\u9ad8\u6548\u6027\u3002`
-                    : `Update implementation across multiple modules, involving ${fileCount} files.\nMaintain system modernization and efficiency.`;
-            }
-        }
-        
-        // Build footer according to .gitmessage.txt rules
-        let footer = '';
-        
-        // Add verification info based on action type
-        if (action === 'feat') {
-            footer = isChineseLang
-                ? '\u9a8c\u8bc1\uff1a\u529f\u80fd\u6d4b\u8bd5\u901a\u8fc7\uff0c\u7528\u6237\u754c\u9762\u65e0\u5f02\u5e38\u3002'
-                : 'Verification: Feature testing passed, user interface shows no anomalies.';
-        } else if (action === 'fix') {
-            footer = isChineseLang
-                ? '\u9a8c\u8bc1\uff1a\u95ee\u9898\u4fee\u590d\u786e\u8ba4\uff0c\u56de\u5f52\u6d4b\u8bd5\u901a\u8fc7\u3002'
-                : 'Verification: Issue fix confirmed, regression testing passed.';
-        } else if (action === 'refactor') {
-            footer = isChineseLang
-                ? '\u9a8c\u8bc1\uff1a\u91cd\u6784\u540e\u529f\u80fd\u6b63\u5e38\uff0c\u4ee3\u7801\u8d28\u91cf\u63d0\u5347\u3002'
-                : 'Verification: Functionality maintained after refactoring, code quality improved.';
-        } else if (action === 'style') {
-            footer = isChineseLang
-                ? '\u9a8c\u8bc1\uff1a\u6837\u5f0f\u66f4\u65b0\u65e0\u526f\u4f5c\u7528\uff0c\u89c6\u89c9\u6548\u679c\u7b26\u5408\u9884\u671f\u3002'
-                : 'Verification: Style updates have no side effects, visual effects meet expectations.';
-        } else if (action === 'perf') {
-            footer = isChineseLang
-                ? '\u9a8c\u8bc1\uff1a\u6027\u80fd\u4f18\u5316\u6548\u679c\u786e\u8ba4\uff0c\u65e0\u529f\u80fd\u56de\u9000\u3002'
-                : 'Verification: Performance improvements confirmed, no functional regression.';
-        } else if (action === 'docs') {
-            footer = isChineseLang
-                ? '\u9a8c\u8bc1\uff1a\u6587\u6863\u5185\u5bb9\u51c6\u786e\uff0c\u683c\u5f0f\u89c4\u8303\u3002'
-                : 'Verification: Documentation content accurate, formatting compliant.';
-        } else if (action === 'test') {
-            footer = isChineseLang
-                ? '\u9a8c\u8bc1\uff1a\u6d4b\u8bd5\u7528\u4f8b\u8986\u76d6\u5b8c\u6574\uff0c\u6267\u884c\u901a\u8fc7\u3002'
-                : 'Verification: Test cases provide complete coverage, execution passed.';
-        } else {
-            // Generic footer for other types
-            footer = isChineseLang
-                ? '\u9a8c\u8bc1\uff1a\u53d8\u66f4\u5185\u5bb9\u5df2\u786e\u8ba4\uff0c\u7cfb\u7edf\u8fd0\u884c\u6b63\u5e38\u3002'
-                : 'Verification: Changes confirmed, system operating normally.';
-        }
-        
-        // Add breaking change notice if it's a major change
-        if (additions > 50 || deletions > 50 || fileCount > 10) {
-            const breakingChange = isChineseLang
-                ? '\n\nBREAKING CHANGE: 涉及多个文件的重大变更，可能影响现有功能。'
-                : '\n\nBREAKING CHANGE: Major changes involving multiple files, may affect existing functionality.';
-            footer += breakingChange;
-        }
-        
-        // Add signed-off-by if configured (check git config)
-        if (projectPath) {
-            try {
-                const { stdout: gitUserName } = await execAsync('git config user.name', { cwd: projectPath });
-                const { stdout: gitUserEmail } = await execAsync('git config user.email', { cwd: projectPath });
-                
-                if (gitUserName.trim() && gitUserEmail.trim()) {
-                    footer += `\n\nSigned-off-by: ${gitUserName.trim()} <${gitUserEmail.trim()}>`;
-                }
-            } catch (error) {
-                // Git config not available, skip signed-off-by
-            }
-        }
-        
-        // Assemble the complete message
-        let message = header;
-        if (body) {
-            message += '\n\n' + body;
-        }
-        if (footer) {
-            message += '\n\n' + footer;
-        }
-        
-        // Remove Claude Code signatures if they somehow got included
-        message = message
-            .replace(/🤖\s*Generated with \[Claude Code\]\(https:\/\/claude\.ai\/code\)\s*/g, '')
-            .replace(/Co-Authored-By:\s*Claude\s*<noreply@anthropic\.com>\s*/g, '')
-            .trim();
-        message = message.replace(/Co-Authored-By:\s*Claude\s*<noreply@anthropic\.com>/gi, '').trim();
-        message = message.replace(/\n+$/, '').trim();
-        
-        return message;
-    }
-    
-    // Default format
-    return `${action} ${description}`;
-}
-
-// Simple commit message generator (fallback)
-function generateSimpleCommitMessage(files, diff) {
-    const fileCount = files.length;
-    const isMultipleFiles = fileCount > 1;
-
-    // Analyze the diff to determine the type of change
-    const additions = (diff.match(/^\+[^+]/gm) || []).length;
-    const deletions = (diff.match(/^-[^-]/gm) || []).length;
-
-    // Determine the primary action
-    let action = 'Update';
-    if (additions > 0 && deletions === 0) {
-        action = 'Add';
-    } else if (deletions > 0 && additions === 0) {
-        action = 'Remove';
-    } else if (additions > deletions * 2) {
-        action = 'Enhance';
-    } else if (deletions > additions * 2) {
-        action = 'Refactor';
-    }
-
-    // Generate message based on files
-    let message;
-    if (isMultipleFiles) {
-        const components = new Set(files.map(f => {
-            const parts = f.split('/');
-            return parts[parts.length - 2] || parts[0];
-        }));
-
-        if (components.size === 1) {
-            message = `${ action } ${ [...components][0] } component`;
-        } else {
-            message = `${ action } multiple components`;
-        }
-    } else {
-        const fileName = files[0].split('/').pop();
-        const componentName = fileName.replace(/\.(jsx?|tsx?|css|scss)$/, '');
-        message = `${ action } ${ componentName }`;
-    }
-    
-    // Remove Claude Code signatures if they somehow got included
-    message = message
-        .replace(/🤖\s*Generated with \[Claude Code\]\(https:\/\/claude\.ai\/code\)\s*/g, '')
-        .replace(/Co-Authored-By:\s*Claude\s*<noreply@anthropic\.com>\s*/g, '')
-        .trim();
-    message = message.replace(/Co-Authored-By:\s*Claude\s*<noreply@anthropic\.com>/gi, '').trim();
-    
-    return message;
-}
-
 // Get remote status (ahead/behind commits with smart remote detection)
 router.get('/remote-status', async (req, res) => {
     const { project } = req.query;
@@ -1345,9 +838,10 @@ router.post('/pull', async (req, res) => {
         let errorMessage = 'Pull failed';
         let details = error.message;
 
-        if (error.message.includes('CONFLICT')) {
+        const hasConflicts = `${ error.stdout || '' }${ error.message }`.includes('CONFLICT');
+        if (hasConflicts) {
             errorMessage = 'Merge conflicts detected';
-            details = 'Pull created merge conflicts. Please resolve conflicts manually in the editor, then commit the changes.';
+            details = 'Pull created merge conflicts. Resolve them in the conflict view, then continue the merge.';
         } else if (error.message.includes('Please commit your changes or stash them')) {
             errorMessage = 'Uncommitted changes detected';
             details = 'Please commit or stash your local changes before pulling.';
@@ -1362,10 +856,96 @@ router.post('/pull', async (req, res) => {
             details = 'Your local branch and remote branch have diverged. Consider fetching first to review changes.';
         }
 
-        res.status(500).json({
+        res.status(hasConflicts ? 409 : 500).json({
             error: errorMessage,
-            details: details
+            details: details,
+            hasConflicts
+        });
+    }
+});
+
+// Save the resolved content of a conflicted file and mark it resolved
+router.post('/resolve-conflict', async (req, res) => {
+    const { project, file, content, deleteFile, force } = req.body;
+
+    if (!project || !file) {
+        return res.status(400).json({ error: 'Project name and file path are required' });
+    }
+
+    try {
+        const { gitRootPath } = await getGitRepositoryPath(project);
+        const filePath = path.resolve(gitRootPath, file);
+        if (path.relative(gitRootPath, filePath).startsWith('..')) {
+            return res.status(400).json({ error: 'File is outside the repository' });
+        }
+
+        if (deleteFile) {
+            // Resolve a modify/delete conflict by accepting the deletion
+            await execFileAsync('git', ['rm', '--', file], { cwd: gitRootPath });
+        } else {
+            // Without content the file was resolved elsewhere, so check what is on disk
+            const resolved = typeof content === 'string' ? content : await fs.readFile(filePath, 'utf-8');
+            if (!force && /^(<{7}|>{7})( |$)/m.test(resolved)) {
+                return res.status(400).json({ error: 'The file still contains conflict markers', code: 'MARKERS_REMAIN' });
+            }
+            if (typeof content === 'string') {
+                await fs.writeFile(filePath, content, 'utf-8');
+            }
+            await execFileAsync('git', ['add', '--', file], { cwd: gitRootPath });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Git resolve conflict error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Continue (or abort) the merge, rebase or cherry-pick in progress
+router.post('/merge/:action(continue|abort)', async (req, res) => {
+    const { project } = req.body;
+    const { action } = req.params;
+
+    if (!project) {
+        return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    try {
+        const { gitRootPath } = await getGitRepositoryPath(project);
+        const operation = await getMergeOperation(gitRootPath);
+        if (!operation) {
+            return res.status(400).json({ error: 'No merge, rebase or cherry-pick in progress' });
+        }
+
+        if (action === 'continue') {
+            const { stdout: unmerged } = await execAsync('git diff --name-only --diff-filter=U', { cwd: gitRootPath });
+            if (unmerged.trim()) {
+                return res.status(409).json({
+                    error: 'Resolve all conflicts before continuing',
+                    conflicted: unmerged.trim().split('\n')
+                });
+            }
+        }
+
+        // GIT_EDITOR=true keeps the prepared commit message instead of opening an editor
+        const commands = {
+            merge: { continue: 'git commit --no-edit', abort: 'git merge --abort' },
+            rebase: { continue: 'git rebase --continue', abort: 'git rebase --abort' },
+            'cherry-pick': { continue: 'git cherry-pick --continue', abort: 'git cherry-pick --abort' },
+            revert: { continue: 'git revert --continue', abort: 'git revert --abort' }
+        };
+        const { stdout } = await execAsync(commands[operation][action], {
+            cwd: gitRootPath,
+            env: { ...process.env, GIT_EDITOR: 'true' }
         });
+
+        // A rebase can stop again on the next commit
+        const nextOperation = await getMergeOperation(gitRootPath);
+        res.json({ success: true, operation, output: stdout, inProgress: !!nextOperation });
+    } catch (error) {
+        console.error(`Git merge ${ action } error:`, error);
+        const hasConflicts = `${ error.stdout || '' }${ error.message }`.includes('CONFLICT');
+        res.status(hasConflicts ? 409 : 500).json({ error: error.message, hasConflicts });
     }
 });
 
@@ -1589,6 +1169,156 @@ router.post('/delete-untracked', async (req, res) => {
     }
 });
 
+// Stash references come from the UI as plain indexes
+function stashRef(index) {
+    const parsed = Number(index);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        return null;
+    }
+    return `stash@{${ parsed }}`;
+}
+
+// Current stash tip, or null when there are no stashes
+async function stashTip(projectPath) {
+    try {
+        const { stdout } = await execFileAsync('git', ['rev-parse', '-q', '--verify', 'refs/stash'], { cwd: projectPath });
+        return stdout.trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+async function pushStash(projectPath, { message, includeUntracked }) {
+    const args = ['stash', 'push'];
+    if (includeUntracked) args.push('--include-untracked');
+    if (message) args.push('-m', String(message));
+    const before = await stashTip(projectPath);
+    const { stdout } = await execFileAsync('git', args, { cwd: projectPath });
+    // git exits 0 without creating a stash when there is nothing to save; its message is localized
+    return { output: stdout, created: (await stashTip(projectPath)) !== before };
+}
+
+// List stashes
+router.get('/stashes', async (req, res) => {
+    const { project } = req.query;
+
+    if (!project) {
+        return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    try {
+        const projectPath = await getActualProjectPath(project);
+        await validateGitRepository(projectPath);
+
+        const { stdout } = await execAsync('git stash list --format="%gd%x1f%gs%x1f%ci"', { cwd: projectPath });
+        const stashes = stdout.split('\n').filter(Boolean).map((line, index) => {
+            const [ref, subject, date] = line.split('\x1f');
+            // Subjects look like "On main: message" or "WIP on main: abc1234 commit subject"
+            const match = subject.match(/^(?:WIP on|On) ([^:]+): (.*)$/);
+            return {
+                index,
+                ref,
+                branch: match ? match[1] : null,
+                message: match ? match[2] : subject,
+                date
+            };
+        });
+
+        res.json({ stashes });
+    } catch (error) {
+        console.error('Git stash list error:', error);
+        res.json({ error: error.message });
+    }
+});
+
+// Show the changes stored in a stash
+router.get('/stash/show', async (req, res) => {
+    const { project, index } = req.query;
+    const ref = stashRef(index);
+
+    if (!project || !ref) {
+        return res.status(400).json({ error: 'Project name and stash index are required' });
+    }
+
+    try {
+        const projectPath = await getActualProjectPath(project);
+        await validateGitRepository(projectPath);
+
+        const { stdout: stats } = await execAsync(`git stash show --stat "${ ref }"`, { cwd: projectPath });
+        let diff;
+        try {
+            // --include-untracked needs git 2.32+
+            ({ stdout: diff } = await execAsync(`git stash show -p --include-untracked "${ ref }"`, {
+                cwd: projectPath,
+                maxBuffer: 1024 * 1024 * 10
+            }));
+        } catch (error) {
+            ({ stdout: diff } = await execAsync(`git stash show -p "${ ref }"`, {
+                cwd: projectPath,
+                maxBuffer: 1024 * 1024 * 10
+            }));
+        }
+
+        res.json({ diff, stats });
+    } catch (error) {
+        console.error('Git stash show error:', error);
+        res.json({ error: error.message });
+    }
+});
+
+// Stash local changes
+router.post('/stash', async (req, res) => {
+    const { project, message, includeUntracked } = req.body;
+
+    if (!project) {
+        return res.status(400).json({ error: 'Project name is required' });
+    }
+
+    try {
+        const projectPath = await getActualProjectPath(project);
+        await validateGitRepository(projectPath);
+
+        const result = await pushStash(projectPath, { message, includeUntracked });
+        if (!result.created) {
+            return res.status(400).json({ error: 'No local changes to stash' });
+        }
+
+        res.json({ success: true, output: result.output });
+    } catch (error) {
+        console.error('Git stash error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// apply / pop / drop share the same shape
+for (const action of ['apply', 'pop', 'drop']) {
+    router.post(`/stash/${ action }`, async (req, res) => {
+        const { project, index } = req.body;
+        const ref = stashRef(index);
+
+        if (!project || !ref) {
+            return res.status(400).json({ error: 'Project name and stash index are required' });
+        }
+
+        try {
+            const projectPath = await getActualProjectPath(project);
+            await validateGitRepository(projectPath);
+
+            const { stdout } = await execAsync(`git stash ${ action } "${ ref }"`, { cwd: projectPath });
+            res.json({ success: true, output: stdout });
+        } catch (error) {
+            console.error(`Git stash ${ action } error:`, error);
+            // Conflicts while applying leave the stash in place
+            const hasConflicts = /conflict/i.test(`${ error.stdout || '' }${ error.message }`);
+            res.status(hasConflicts ? 409 : 500).json({
+                error: error.message,
+                hasConflicts,
+                output: error.stdout
+            });
+        }
+    });
+}
+
 // Get Git settings
 router.get('/settings', async (req, res) => {
     try {
@@ -1599,7 +1329,9 @@ router.get('/settings', async (req, res) => {
         res.json({
             messageLanguage: 'en',
             useClaudeCLI: true,
-            conventionType: 'conventional'
+            conventionType: 'conventional',
+            generator: DEFAULT_GENERATOR,
+            generatorScript: ''
         });
     }
 });
@@ -1607,7 +1339,11 @@ router.get('/settings', async (req, res) => {
 // Update Git settings
 router.post('/settings', async (req, res) => {
     try {
-        const { messageLanguage, useClaudeCLI, conventionType } = req.body;
+        const { messageLanguage, useClaudeCLI, conventionType, generator, generatorScript } = req.body;
+
+        if (generator && !COMMIT_MESSAGE_GENERATORS.some(g => g.id === generator)) {
+            return res.status(400).json({ error: `Unknown commit message generator: ${ generator }` });
+        }
         
         const settingsDir = path.join(os.homedir(), '.claude-code-ui');
         const settingsPath = path.join(settingsDir, 'settings.json');
@@ -1632,7 +1368,9 @@ router.post('/settings', async (req, res) => {
         settings.git = {
             messageLanguage: messageLanguage || 'en',
             useClaudeCLI: useClaudeCLI !== false,
-            conventionType: conventionType || 'conventional'
+            conventionType: conventionType || 'conventional',
+            generator: generator || DEFAULT_GENERATOR,
+            generatorScript: generatorScript || ''
         };
         
         // Write back to file
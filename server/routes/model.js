@@ -3,6 +3,58 @@ import { spawn } from 'child_process';
 
 const router = express.Router();
 
+// 可用的模型策略，基于Claude CLI的实际选项
+// cliModel 为传给 `claude --model` 的别名，null 表示使用 CLI 自身的默认设置
+const MODEL_STRATEGIES = [
+    {
+        id: 'default',
+        name: 'Default (recommended)',
+        description: 'Opus 4.1 for up to 20% of usage limits, then use Sonnet 4',
+        recommended: true,
+        cliModel: null
+    },
+    {
+        id: 'opus',
+        name: 'Opus',
+        description: 'Opus 4.1 for complex tasks · Reaches usage limits faster',
+        recommended: false,
+        cliModel: 'opus'
+    },
+    {
+        id: 'sonnet',
+        name: 'Sonnet',
+        description: 'Sonnet 4 for daily use',
+        recommended: false,
+        cliModel: 'sonnet'
+    },
+    {
+        id: 'opus-plan',
+        name: 'Opus Plan Mode',
+        description: 'Use Opus 4.1 in plan mode, Sonnet 4 otherwise',
+        recommended: false,
+        cliModel: 'opusplan'
+    }
+];
+
+// Model used for new sessions when the client does not pick one
+const DEFAULT_SESSION_MODEL = 'sonnet';
+
+/**
+ * Check whether a model id is one of the strategies returned by GET /list
+ */
+function isValidModel(modelId) {
+    return MODEL_STRATEGIES.some(strategy => strategy.id === modelId);
+}
+
+/**
+ * Resolve a strategy id to the value passed to `claude --model`
+ * Returns null when the CLI default should be used
+ */
+function resolveCliModel(modelId) {
+    const strategy = MODEL_STRATEGIES.find(s => s.id === modelId);
+    return strategy ? strategy.cliModel : null;
+}
+
 /**
  * Get current model configuration
  */
@@ -154,37 +206,9 @@ router.post('/', async (req, res) => {
  */
 router.get('/list', async (req, res) => {
     try {
-        // 返回固定的策略列表，基于Claude CLI的实际选项
-        const strategies = [
-            {
-                id: 'default',
-                name: 'Default (recommended)',
-                description: 'Opus 4.1 for up to 20% of usage limits, then use Sonnet 4',
-                recommended: true
-            },
-            {
-                id: 'opus',
-                name: 'Opus',
-                description: 'Opus 4.1 for complex tasks · Reaches usage limits faster',
-                recommended: false
-            },
-            {
-                id: 'sonnet',
-                name: 'Sonnet',
-                description: 'Sonnet 4 for daily use',
-                recommended: false
-            },
-            {
-                id: 'opus-plan',
-                name: 'Opus Plan Mode',
-                description: 'Use Opus 4.1 in plan mode, Sonnet 4 otherwise',
-                recommended: false
-            }
-        ];
-
         res.json({
             success: true,
-            data: strategies
+            data: MODEL_STRATEGIES.map(({ cliModel, ...strategy }) => strategy)
         });
 
     } catch (error) {
@@ -229,4 +253,5 @@ function extractCurrentStrategy(output) {
     return 'default'; // 默认返回 default
 }
 
+export { MODEL_STRATEGIES, DEFAULT_SESSION_MODEL, isValidModel, resolveCliModel };
 export default router;
\ No newline at end of file
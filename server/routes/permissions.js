@@ -0,0 +1,38 @@
+import express from 'express';
+import { createPermissionRequest, waitForPermissionDecision } from '../permissions.js';
+
+const router = express.Router();
+
+/**
+ * Create a permission request (called by the permission MCP bridge)
+ */
+router.post('/request', (req, res) => {
+    try {
+        const { key, toolName, input } = req.body;
+
+        if (!key || !toolName) {
+            return res.status(400).json({ error: 'key and toolName are required' });
+        }
+
+        const requestId = createPermissionRequest(key, toolName, input || {});
+        res.json({ requestId });
+    } catch (error) {
+        console.error('Error creating permission request:', error);
+        res.status(404).json({ error: error.message });
+    }
+});
+
+/**
+ * Long-poll for the user's decision on a permission request
+ */
+router.get('/:requestId/decision', async (req, res) => {
+    try {
+        const decision = await waitForPermissionDecision(req.params.requestId);
+        res.json(decision ? { decision } : { status: 'pending' });
+    } catch (error) {
+        console.error('Error waiting for permission decision:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
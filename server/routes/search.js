@@ -0,0 +1,30 @@
+import express from 'express';
+import { searchSessions } from '../search-index.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/search?q=
+ * Full-text search across all session messages.
+ * Optional query params: role (user|assistant|tool), from, to (dates), limit
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { q = '', role, from, to, limit } = req.query;
+
+        if (from && Number.isNaN(Date.parse(from))) {
+            return res.status(400).json({ error: 'Invalid from date' });
+        }
+        if (to && Number.isNaN(Date.parse(to))) {
+            return res.status(400).json({ error: 'Invalid to date' });
+        }
+
+        const data = await searchSessions(String(q), { role, from, to, limit });
+        res.json(data);
+    } catch (error) {
+        console.error('Error searching sessions:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+export default router;
@@ -1,17 +1,37 @@
 import express from 'express';
-import { DataAggregator } from '../usage-monitor/data-aggregator.js';
+import { getDataAggregator } from '../usage-monitor/data-aggregator.js';
+import { getPricingRegistry } from '../usage-monitor/pricing.js';
+import { getBudgetMonitor } from '../usage-monitor/budget-alerts.js';
+import {
+    USAGE_EXPORT_FORMATS,
+    USAGE_EXPORT_GRANULARITIES,
+    USAGE_EXPORT_LANGUAGES,
+    buildDailyRows,
+    buildMonthlyRows,
+    buildRequestRows,
+    buildUsageExportFileName,
+    renderUsageExport
+} from '../usage-monitor/usage-export.js';
+import { getUsageSourceRegistry, parseSourceIds } from '../usage-monitor/usage-sources.js';
+import { extractProjectDirectory, generateDisplayName, loadProjectConfig, parseJsonlSessions } from '../projects.js';
+import { LocalizedError } from '../utils/i18n.js';
 
 const router = express.Router();
 
-// 创建数据聚合器实例
-let dataAggregator = null;
-
-// 初始化数据聚合器
-function getDataAggregator() {
-    if (!dataAggregator) {
-        dataAggregator = new DataAggregator();
+/**
+ * 按查询参数 sources（逗号分隔的来源 id，省略时为全部已启用来源）获取数据聚合器
+ * 来源不存在或已停用时直接响应 400 并返回 null
+ */
+function resolveAggregator(req, res) {
+    const aggregator = getDataAggregator(parseSourceIds(req.query.sources));
+    if (!aggregator) {
+        res.status(400).json({
+            success: false,
+            error: req.t('INVALID_USAGE_SOURCE'),
+            code: 'INVALID_USAGE_SOURCE'
+        });
     }
-    return dataAggregator;
+    return aggregator;
 }
 
 /**
@@ -20,7 +40,8 @@ function getDataAggregator() {
  */
 router.get('/realtime', async (req, res) => {
     try {
-        const aggregator = getDataAggregator();
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
         const data = await aggregator.getRealTimeData();
         
         res.json({
@@ -46,7 +67,8 @@ router.get('/realtime', async (req, res) => {
 router.get('/daily', async (req, res) => {
     try {
         const days = parseInt(req.query.days) || 30;
-        const aggregator = getDataAggregator();
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
         const data = await aggregator.getDailyData(days);
         
         res.json({
@@ -73,7 +95,8 @@ router.get('/daily', async (req, res) => {
 router.get('/monthly', async (req, res) => {
     try {
         const months = parseInt(req.query.months) || 6;
-        const aggregator = getDataAggregator();
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
         const data = await aggregator.getMonthlyData(months);
         
         res.json({
@@ -92,18 +115,224 @@ router.get('/monthly', async (req, res) => {
     }
 });
 
+const BREAKDOWN_SORT_FIELDS = ['cost', 'tokens', 'messages', 'sessions', 'lastActivity'];
+
+/**
+ * 解析日期范围参数
+ * from/to 为 YYYY-MM-DD（按本地时间取整天），未提供 from 时使用最近 months 个月或 days 天（默认 30 天）
+ * 返回 { from, to }，参数无效时返回 null
+ */
+function parseDateRange(query) {
+    const parseDay = (value, endOfDay) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+        const [year, month, day] = value.split('-').map(Number);
+        const date = endOfDay
+            ? new Date(year, month - 1, day, 23, 59, 59, 999)
+            : new Date(year, month - 1, day);
+        // 拒绝 2025-02-30 这类会被 Date 自动进位的日期
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    };
+
+    const to = query.to ? parseDay(query.to, true) : new Date();
+    let from;
+    if (query.from) {
+        from = parseDay(query.from, false);
+    } else if (query.months) {
+        from = new Date();
+        from.setMonth(from.getMonth() - (parseInt(query.months) || 6));
+    } else {
+        const days = parseInt(query.days) || 30;
+        from = new Date();
+        from.setDate(from.getDate() - days);
+    }
+
+    if (!from || !to || from > to) return null;
+    return { from, to };
+}
+
+function parseSortParams(query) {
+    return {
+        sort: BREAKDOWN_SORT_FIELDS.includes(query.sort) ? query.sort : 'cost',
+        order: query.order === 'asc' ? 'asc' : 'desc'
+    };
+}
+
+/**
+ * 为项目补充显示名称和实际路径（与侧边栏一致）
+ */
+async function resolveProjectNames(projectNames) {
+    const config = await loadProjectConfig();
+    const entries = await Promise.all(projectNames.map(async (projectName) => {
+        try {
+            const projectPath = await extractProjectDirectory(projectName);
+            const displayName = config[projectName]?.displayName || await generateDisplayName(projectName, projectPath);
+            return [projectName, { displayName, projectPath }];
+        } catch (error) {
+            return [projectName, { displayName: projectName, projectPath: null }];
+        }
+    }));
+    return Object.fromEntries(entries);
+}
+
+/**
+ * GET /api/usage/forecast
+ * 按星期几预测本月月末的成本和令牌数，并与之前的月份 / 周对比
+ * Query params: project, lookbackDays (7-365, default: 56), periods (1-12, default: 3)
+ */
+router.get('/forecast', async (req, res) => {
+    try {
+        const lookbackDays = req.query.lookbackDays === undefined ? 56 : parseInt(req.query.lookbackDays);
+        const comparePeriods = req.query.periods === undefined ? 3 : parseInt(req.query.periods);
+        if (!(lookbackDays >= 7 && lookbackDays <= 365) || !(comparePeriods >= 1 && comparePeriods <= 12)) {
+            return res.status(400).json({
+                success: false,
+                error: req.t('INVALID_FORECAST_PARAMS'),
+                code: 'INVALID_FORECAST_PARAMS'
+            });
+        }
+
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
+        const data = await aggregator.getForecast({
+            project: req.query.project || null,
+            lookbackDays,
+            comparePeriods
+        });
+
+        res.json({
+            success: true,
+            data,
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Error building usage forecast:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'FORECAST_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/usage/projects
+ * 获取按项目汇总的使用量和成本
+ * Query params: from, to (YYYY-MM-DD) 或 months/days (default: 30 天), sort (cost|tokens|messages|sessions|lastActivity), order (asc|desc)
+ */
+router.get('/projects', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        if (!range) {
+            return res.status(400).json({
+                success: false,
+                error: req.t('INVALID_DATE_RANGE'),
+                code: 'INVALID_DATE_RANGE'
+            });
+        }
+
+        const { sort, order } = parseSortParams(req.query);
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
+        const data = await aggregator.getProjectBreakdown({ ...range, sort, order });
+        const names = await resolveProjectNames(data.projects.map(project => project.projectName));
+
+        res.json({
+            success: true,
+            data: {
+                ...data,
+                projects: data.projects.map(project => ({ ...project, ...names[project.projectName] }))
+            },
+            params: { ...range, sort, order },
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Error fetching project usage breakdown:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'PROJECT_BREAKDOWN_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/usage/sessions
+ * 获取按会话汇总的使用量和成本
+ * Query params: from, to 或 months/days, project, sort, order, limit (default: 50), offset
+ */
+router.get('/sessions', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        if (!range) {
+            return res.status(400).json({
+                success: false,
+                error: req.t('INVALID_DATE_RANGE'),
+                code: 'INVALID_DATE_RANGE'
+            });
+        }
+
+        const { sort, order } = parseSortParams(req.query);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
+        const data = await aggregator.getSessionBreakdown({
+            ...range,
+            project: req.query.project || null,
+            sort,
+            order,
+            limit,
+            offset
+        });
+
+        // 只为当前页解析会话摘要，避免读取所有会话文件
+        const summaries = new Map();
+        for (const sessionFile of new Set(data.sessions.map(session => session.sessionFile).filter(Boolean))) {
+            for (const parsed of await parseJsonlSessions(sessionFile)) {
+                summaries.set(parsed.id, parsed.summary);
+            }
+        }
+        const names = await resolveProjectNames([...new Set(data.sessions.map(session => session.projectName))]);
+
+        res.json({
+            success: true,
+            data: {
+                ...data,
+                sessions: data.sessions.map(({ sessionFile, ...session }) => ({
+                    ...session,
+                    summary: summaries.get(session.sessionId) || null,
+                    projectDisplayName: names[session.projectName]?.displayName || session.projectName
+                }))
+            },
+            params: { ...range, project: req.query.project || null, sort, order, limit, offset },
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Error fetching session usage breakdown:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'SESSION_BREAKDOWN_ERROR'
+        });
+    }
+});
+
 /**
  * GET /api/usage/plan-detection
  * 获取订阅计划检测结果
  */
 router.get('/plan-detection', async (req, res) => {
     try {
-        const aggregator = getDataAggregator();
-        const sessionAnalyzer = aggregator.sessionAnalyzer;
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
+        const usageIndex = aggregator.usageIndex;
         const tokenCalculator = aggregator.tokenCalculator;
         
-        const allSessions = sessionAnalyzer.getAllProjectSessions();
-        const planDetection = tokenCalculator.detectSubscriptionPlan(allSessions);
+        await usageIndex.ready();
+        const summary = usageIndex.getSummary();
+        const planDetection = summary.count > 0
+            ? aggregator.detectSubscriptionPlan()
+            : tokenCalculator.detectSubscriptionPlan([]);
         const limits = aggregator.getPlanLimits(planDetection.plan, planDetection.detectedLimit);
         
         res.json({
@@ -112,10 +341,10 @@ router.get('/plan-detection', async (req, res) => {
                 planDetection,
                 limits,
                 sessionAnalysis: {
-                    totalSessions: allSessions.length,
-                    dateRange: allSessions.length > 0 ? {
-                        start: allSessions[allSessions.length - 1].timestamp,
-                        end: allSessions[0].timestamp
+                    totalSessions: summary.count,
+                    dateRange: summary.count > 0 ? {
+                        start: summary.oldest,
+                        end: summary.newest
                     } : null
                 }
             },
@@ -131,41 +360,107 @@ router.get('/plan-detection', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/usage/pricing
+ * 获取当前使用的模型定价表（含用户覆盖）
+ */
+router.get('/pricing', async (req, res) => {
+    try {
+        const pricing = getPricingRegistry();
+        pricing.reloadIfChanged();
+
+        res.json({
+            success: true,
+            data: pricing.getInfo(),
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Error loading pricing table:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'PRICING_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/usage/custom-limits
+ * 获取已保存的自定义限制、预算和提醒设置
+ */
+router.get('/custom-limits', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: getBudgetMonitor().getConfig(),
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Error loading custom limits:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'CUSTOM_LIMITS_ERROR'
+        });
+    }
+});
+
 /**
  * POST /api/usage/custom-limits
- * 设置自定义使用限制
+ * 设置自定义使用限制，以及可选的预算和提醒设置
+ * Body: { tokens, cost, messages, budgets?: { dailyCost, weeklyCost, monthlyCost, windowTokens, projectCosts }, alertSettings?: { thresholds, cooldownMinutes, desktopNotifications } }
+ * 只保存预算时可以省略 tokens/cost/messages
  */
 router.post('/custom-limits', async (req, res) => {
     try {
-        const { tokens, cost, messages } = req.body;
+        const { tokens, cost, messages, budgets, alertSettings } = req.body;
+        const budgetMonitor = getBudgetMonitor();
+        const limitsProvided = tokens !== undefined || (!budgets && !alertSettings);
         
         // 验证输入
-        if (!tokens || tokens <= 0) {
+        if (limitsProvided && (!tokens || tokens <= 0)) {
             return res.status(400).json({
                 success: false,
-                error: '令牌限制必须大于0',
+                error: req.t('INVALID_TOKEN_LIMIT'),
                 code: 'INVALID_TOKEN_LIMIT'
             });
         }
         
-        if (cost && cost <= 0) {
+        if (limitsProvided && cost && cost <= 0) {
             return res.status(400).json({
                 success: false,
-                error: '成本限制必须大于0',
+                error: req.t('INVALID_COST_LIMIT'),
                 code: 'INVALID_COST_LIMIT'
             });
         }
 
-        // 这里可以将自定义限制保存到配置文件或数据库
-        // 目前直接返回确认信息
+        if (budgets || alertSettings) {
+            try {
+                budgetMonitor.saveBudgets(budgets, alertSettings);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: error instanceof LocalizedError ? req.t(error.code, error.params) : error.message,
+                    code: 'INVALID_BUDGET'
+                });
+            }
+        }
+
+        if (limitsProvided) {
+            budgetMonitor.saveCustomLimits({
+                tokens: parseInt(tokens),
+                cost: parseFloat(cost) || 50.0,
+                messages: parseInt(messages) || 500
+            });
+        }
+
+        // 预算变化后立即重新评估，刚设置的预算若已超出会马上提醒
+        budgetMonitor.scheduleEvaluation();
+
         res.json({
             success: true,
             data: {
-                customLimits: {
-                    tokens: parseInt(tokens),
-                    cost: parseFloat(cost) || 50.0,
-                    messages: parseInt(messages) || 500
-                },
+                ...budgetMonitor.getConfig(),
                 applied: true
             },
             timestamp: new Date()
@@ -180,18 +475,107 @@ router.post('/custom-limits', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/usage/budgets
+ * 获取各预算的当前使用情况
+ */
+router.get('/budgets', async (req, res) => {
+    try {
+        const budgetMonitor = getBudgetMonitor();
+        const statuses = await budgetMonitor.getStatus();
+        const projectNames = statuses.filter(status => status.project).map(status => status.project);
+        const names = await resolveProjectNames(projectNames);
+
+        res.json({
+            success: true,
+            data: {
+                budgets: statuses.map(status => status.project
+                    ? { ...status, projectDisplayName: names[status.project].displayName }
+                    : status),
+                alertSettings: budgetMonitor.getConfig().alertSettings
+            },
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Error evaluating usage budgets:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'BUDGET_STATUS_ERROR'
+        });
+    }
+});
+
+/**
+ * GET /api/usage/sources
+ * 获取使用量来源（Claude 配置目录）列表
+ */
+router.get('/sources', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: { sources: getUsageSourceRegistry().getSources() },
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Error loading usage sources:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'USAGE_SOURCES_ERROR'
+        });
+    }
+});
+
+/**
+ * POST /api/usage/sources
+ * 保存使用量来源列表
+ * Body: { sources: [{ id?, label, claudeConfigDir, enabled }] }，没有 id 的条目为新增；默认来源只能修改名称和启用状态
+ */
+router.post('/sources', async (req, res) => {
+    try {
+        let sources;
+        try {
+            sources = getUsageSourceRegistry().saveSources(req.body.sources);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error instanceof LocalizedError ? req.t(error.code, error.params) : error.message,
+                code: 'INVALID_USAGE_SOURCES'
+            });
+        }
+
+        // 预算按全部已启用来源计算，来源变化后重新评估
+        getBudgetMonitor().scheduleEvaluation();
+
+        res.json({
+            success: true,
+            data: { sources },
+            timestamp: new Date()
+        });
+    } catch (error) {
+        console.error('Error saving usage sources:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            code: 'USAGE_SOURCES_ERROR'
+        });
+    }
+});
+
 /**
  * DELETE /api/usage/cache
  * 清除数据缓存
  */
 router.delete('/cache', async (req, res) => {
     try {
-        const aggregator = getDataAggregator();
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
         aggregator.clearCache();
         
         res.json({
             success: true,
-            message: '缓存已清除',
+            message: req.t('CACHE_CLEARED'),
             timestamp: new Date()
         });
     } catch (error) {
@@ -210,7 +594,8 @@ router.delete('/cache', async (req, res) => {
  */
 router.get('/status', async (req, res) => {
     try {
-        const aggregator = getDataAggregator();
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
         const systemStatus = aggregator.getSystemStatus();
         
         res.json({
@@ -238,7 +623,8 @@ router.get('/status', async (req, res) => {
  */
 router.get('/debug', async (req, res) => {
     try {
-        const aggregator = getDataAggregator();
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
         const sessionAnalyzer = aggregator.sessionAnalyzer;
         
         // 收集调试信息
@@ -317,42 +703,89 @@ router.get('/debug', async (req, res) => {
 
 /**
  * GET /api/usage/export
- * 导出使用量数据 (CSV格式)
+ * 导出使用量数据
+ * Query params:
+ *   granularity (request|daily|monthly, default: daily；兼容旧参数 type)
+ *   from, to (YYYY-MM-DD) 或 days/months；兼容旧参数 period（daily 为天数，monthly 为月数）
+ *   project - 只导出指定项目
+ *   format (csv|excel|jsonl|json, default: csv)，json 返回包装后的行数据
+ *   lang (zh|en, 默认跟随 Accept-Language) - CSV 表头语言
  */
 router.get('/export', async (req, res) => {
     try {
-        const { format = 'csv', type = 'daily', period = 30 } = req.query;
-        const aggregator = getDataAggregator();
-        
-        let data;
-        if (type === 'daily') {
-            const result = await aggregator.getDailyData(parseInt(period));
-            data = result.report;
-        } else if (type === 'monthly') {
-            const result = await aggregator.getMonthlyData(parseInt(period));
-            data = result.report;
-        } else {
+        const { format = 'csv', project, period } = req.query;
+        // 表头语言未指定时跟随请求语言
+        const lang = req.query.lang === 'zh-CN' ? 'zh' : (req.query.lang || (req.language === 'en' ? 'en' : 'zh'));
+        const granularity = req.query.granularity || req.query.type || 'daily';
+
+        if (!USAGE_EXPORT_GRANULARITIES.includes(granularity)) {
             return res.status(400).json({
                 success: false,
-                error: '不支持的导出类型',
+                error: req.t('INVALID_EXPORT_TYPE'),
                 code: 'INVALID_EXPORT_TYPE'
             });
         }
+        if (format !== 'json' && !USAGE_EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                error: req.t('INVALID_EXPORT_FORMAT'),
+                code: 'INVALID_EXPORT_FORMAT'
+            });
+        }
+        if (!USAGE_EXPORT_LANGUAGES.includes(lang)) {
+            return res.status(400).json({
+                success: false,
+                error: req.t('INVALID_EXPORT_LANGUAGE'),
+                code: 'INVALID_EXPORT_LANGUAGE'
+            });
+        }
 
-        if (format === 'csv') {
-            const csv = generateCSV(data, type);
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', `attachment; filename="claude-usage-${type}-${new Date().toISOString().split('T')[0]}.csv"`);
-            res.send(csv);
+        const rangeQuery = { ...req.query };
+        if (period && !req.query.from) {
+            rangeQuery[granularity === 'monthly' ? 'months' : 'days'] = period;
+        }
+        const range = parseDateRange(rangeQuery);
+        if (!range) {
+            return res.status(400).json({
+                success: false,
+                error: req.t('INVALID_DATE_RANGE'),
+                code: 'INVALID_DATE_RANGE'
+            });
+        }
+
+        const aggregator = resolveAggregator(req, res);
+        if (!aggregator) return;
+        const usageIndex = aggregator.usageIndex;
+        await usageIndex.ready();
+        const filter = { ...range, project: project || null };
+
+        let rows;
+        if (granularity === 'request') {
+            const messages = usageIndex.getMessages(filter);
+            const names = await resolveProjectNames([...new Set(messages.map(message => message.projectName))]);
+            const sourceLabels = Object.fromEntries(aggregator.getSourceLabels().map(source => [source.id, source.label]));
+            rows = buildRequestRows(messages, names, sourceLabels);
+        } else if (granularity === 'daily') {
+            rows = buildDailyRows(usageIndex.getDailyAggregates(filter));
         } else {
-            res.json({
+            rows = buildMonthlyRows(usageIndex.getDailyAggregates(filter), range);
+        }
+
+        if (format === 'json') {
+            return res.json({
                 success: true,
-                data,
+                data: rows,
                 format,
-                type,
+                granularity,
+                params: filter,
                 timestamp: new Date()
             });
         }
+
+        const filename = buildUsageExportFileName(granularity, range, format);
+        res.setHeader('Content-Type', USAGE_EXPORT_FORMATS[format].mimeType);
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`);
+        res.send(renderUsageExport(rows, granularity, { format, lang }));
     } catch (error) {
         console.error('Error exporting usage data:', error);
         res.status(500).json({
@@ -363,38 +796,4 @@ router.get('/export', async (req, res) => {
     }
 });
 
-/**
- * 生成CSV格式数据
- */
-function generateCSV(data, type) {
-    if (type === 'daily') {
-        const headers = ['日期', '总令牌数', '输入令牌', '输出令牌', '缓存令牌', '总成本', '会话数'];
-        const rows = data.map(item => [
-            item.date,
-            item.stats.totalTokens,
-            item.stats.totalInputTokens,
-            item.stats.totalOutputTokens,
-            item.stats.totalCacheTokens,
-            item.stats.totalCost.toFixed(4),
-            item.sessionCount
-        ]);
-        
-        return [headers, ...rows].map(row => row.join(',')).join('\n');
-    } else if (type === 'monthly') {
-        const headers = ['月份', '总令牌数', '总成本', '会话数', '平均每日令牌', '平均每日成本'];
-        const rows = data.map(item => [
-            item.month,
-            item.stats.totalTokens,
-            item.stats.totalCost.toFixed(4),
-            item.sessionCount,
-            Math.round(item.stats.totalTokens / 30), // 粗略估算
-            (item.stats.totalCost / 30).toFixed(4)
-        ]);
-        
-        return [headers, ...rows].map(row => row.join(',')).join('\n');
-    }
-    
-    return '';
-}
-
 export default router;
\ No newline at end of file
@@ -0,0 +1,464 @@
+import fs, { promises as fsPromises } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+
+const INDEX_DIR = path.join(os.homedir(), '.claude-code-ui', 'search-index');
+// Bump when the schema or the extracted records change; older indexes are dropped and rebuilt
+const SCHEMA_VERSION = 1;
+// Longest text kept per indexed message; tool output can be huge
+const MAX_TEXT_LENGTH = 20000;
+// Characters of context shown on each side of the first match
+const SNIPPET_CONTEXT = 60;
+const READ_CHUNK_SIZE = 1024 * 1024;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const SEARCH_ROLES = ['user', 'assistant', 'tool'];
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS files (
+        path TEXT PRIMARY KEY,
+        size INTEGER NOT NULL,
+        mtime_ms REAL NOT NULL,
+        offset INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS records (
+        id INTEGER PRIMARY KEY,
+        file_path TEXT NOT NULL,
+        project_name TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        uuid TEXT,
+        timestamp TEXT,
+        time INTEGER,
+        role TEXT NOT NULL,
+        text TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_records_file ON records(file_path);
+    CREATE INDEX IF NOT EXISTS idx_records_time ON records(time);
+`;
+
+// Open SQLite database and its prepared statements, created on the first search
+let db = null;
+let statements = null;
+// Serializes work per file so watcher bursts don't parse the same bytes twice
+const fileQueues = new Map();
+let buildPromise = null;
+
+function getProjectsRoot() {
+    return path.join(process.env.HOME, process.env.CLAUDE_PROJECTS_DIR || '.claude/projects');
+}
+
+// Sessions live in <project>/*.jsonl and <project>/sessions/*.jsonl, the same files the usage index reads
+function getProjectName(filePath) {
+    if (!filePath.endsWith('.jsonl')) return null;
+    const segments = path.relative(getProjectsRoot(), filePath).split(path.sep);
+    if (segments[0] === '..' || path.isAbsolute(segments[0])) return null;
+    if (segments.length === 2 || (segments.length === 3 && segments[1] === 'sessions')) {
+        return segments[0];
+    }
+    return null;
+}
+
+// The index is kept on disk so message text stays out of process memory and survives restarts
+function openDatabase() {
+    if (db) return;
+
+    const root = getProjectsRoot();
+    const dbPath = path.join(INDEX_DIR, `${ crypto.createHash('sha1').update(root).digest('hex').slice(0, 12) }.db`);
+    fs.mkdirSync(INDEX_DIR, { recursive: true });
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    // SQLite's lower() only folds ASCII; match the JavaScript lowercasing used for the terms
+    db.function('search_fold', { deterministic: true }, text => text.toLowerCase());
+
+    const hasMeta = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'meta'").get();
+    const version = hasMeta && db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get();
+    if (!version || Number(version.value) !== SCHEMA_VERSION) {
+        db.exec('DROP TABLE IF EXISTS records; DROP TABLE IF EXISTS files; DROP TABLE IF EXISTS meta;');
+    }
+    db.exec(SCHEMA);
+    db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('schema_version', ?)").run(String(SCHEMA_VERSION));
+
+    statements = {
+        getFile: db.prepare('SELECT * FROM files WHERE path = ?'),
+        listFiles: db.prepare('SELECT path, size, mtime_ms FROM files'),
+        upsertFile: db.prepare(`
+            INSERT INTO files (path, size, mtime_ms, offset) VALUES (@path, @size, @mtimeMs, @offset)
+            ON CONFLICT(path) DO UPDATE SET size = excluded.size, mtime_ms = excluded.mtime_ms, offset = excluded.offset
+        `),
+        deleteFile: db.prepare('DELETE FROM files WHERE path = ?'),
+        deleteFileRecords: db.prepare('DELETE FROM records WHERE file_path = ?'),
+        insertRecord: db.prepare(`
+            INSERT INTO records (file_path, project_name, session_id, uuid, timestamp, time, role, text)
+            VALUES (@filePath, @projectName, @sessionId, @uuid, @timestamp, @time, @role, @text)
+        `)
+    };
+}
+
+function clampText(text) {
+    return text.length > MAX_TEXT_LENGTH ? text.slice(0, MAX_TEXT_LENGTH) : text;
+}
+
+function stringifyToolContent(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map(part => (part && part.type === 'text' ? part.text : '')).filter(Boolean).join('\n');
+    }
+    return content ? JSON.stringify(content) : '';
+}
+
+// Turn one JSONL entry into searchable records (text, tool calls and tool results)
+function extractRecords(entry, filePath, projectName) {
+    const message = entry.message;
+    if (!entry.sessionId || !message || !message.role || message.content === undefined) {
+        return [];
+    }
+
+    const time = entry.timestamp ? Date.parse(entry.timestamp) : NaN;
+    const base = {
+        filePath,
+        projectName,
+        sessionId: entry.sessionId,
+        uuid: entry.uuid || null,
+        timestamp: entry.timestamp || null,
+        time: Number.isNaN(time) ? null : time
+    };
+    const records = [];
+    const push = (role, text) => {
+        if (text && text.trim()) {
+            records.push({ ...base, role, text: clampText(text) });
+        }
+    };
+
+    if (typeof message.content === 'string') {
+        push(message.role === 'assistant' ? 'assistant' : 'user', message.content);
+        return records;
+    }
+
+    if (!Array.isArray(message.content)) {
+        return records;
+    }
+
+    const textParts = [];
+    for (const part of message.content) {
+        if (!part) continue;
+        if (part.type === 'text') {
+            textParts.push(part.text);
+        } else if (part.type === 'tool_use') {
+            push('tool', `${ part.name } ${ JSON.stringify(part.input || {}) }`);
+        } else if (part.type === 'tool_result') {
+            push('tool', stringifyToolContent(part.content));
+        }
+    }
+    push(message.role === 'assistant' ? 'assistant' : 'user', textParts.join('\n'));
+
+    return records;
+}
+
+function parseRecords(lines, filePath, projectName) {
+    const records = [];
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            records.push(...extractRecords(JSON.parse(line), filePath, projectName));
+        } catch (parseError) {
+            // Skip malformed lines, same as the session loader
+        }
+    }
+    return records;
+}
+
+// Index the complete lines appended since the stored offset; a trailing partial line waits for the next pass
+async function indexFile(filePath) {
+    const projectName = getProjectName(filePath);
+    if (!projectName) return;
+
+    let stats;
+    try {
+        stats = await fsPromises.stat(filePath);
+    } catch (error) {
+        removeFile(filePath);
+        return;
+    }
+
+    const existing = statements.getFile.get(filePath);
+    let offset = existing ? existing.offset : 0;
+
+    // Sessions are append-only; a shrinking file was rewritten (e.g. session deleted)
+    if (existing && stats.size < existing.offset) {
+        statements.deleteFileRecords.run(filePath);
+        offset = 0;
+    }
+
+    if (stats.size > offset) {
+        const handle = await fsPromises.open(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+            let position = offset;
+            let remainder = Buffer.alloc(0);
+
+            while (true) {
+                const { bytesRead } = await handle.read(buffer, 0, READ_CHUNK_SIZE, position);
+                if (bytesRead === 0) break;
+                position += bytesRead;
+
+                const chunk = Buffer.concat([remainder, buffer.subarray(0, bytesRead)]);
+                const lastNewline = chunk.lastIndexOf(0x0a);
+                if (lastNewline === -1) {
+                    remainder = chunk;
+                    continue;
+                }
+
+                const records = parseRecords(chunk.subarray(0, lastNewline).toString('utf8').split('\n'), filePath, projectName);
+                remainder = Buffer.from(chunk.subarray(lastNewline + 1));
+                offset = position - remainder.length;
+
+                // Records and offset are written together so an interrupted pass never indexes a line twice
+                db.transaction(() => {
+                    for (const record of records) {
+                        statements.insertRecord.run(record);
+                    }
+                    statements.upsertFile.run({ path: filePath, size: stats.size, mtimeMs: stats.mtimeMs, offset });
+                })();
+            }
+        } finally {
+            await handle.close();
+        }
+    }
+
+    statements.upsertFile.run({ path: filePath, size: stats.size, mtimeMs: stats.mtimeMs, offset });
+}
+
+function removeFile(filePath) {
+    db.transaction(() => {
+        statements.deleteFileRecords.run(filePath);
+        statements.deleteFile.run(filePath);
+    })();
+}
+
+function enqueue(filePath, task) {
+    const previous = fileQueues.get(filePath) || Promise.resolve();
+    const next = previous.then(task).catch(error => {
+        console.error(`Search index update failed for ${ filePath }:`, error.message);
+    });
+    fileQueues.set(filePath, next);
+    next.then(() => {
+        if (fileQueues.get(filePath) === next) {
+            fileQueues.delete(filePath);
+        }
+    });
+    return next;
+}
+
+// Bring the stored index up to date with ~/.claude/projects (once per launch, on first search):
+// new and changed files are indexed from their stored offset, deleted files are dropped
+function ensureIndexBuilt() {
+    if (!buildPromise) {
+        buildPromise = (async () => {
+            openDatabase();
+            const root = getProjectsRoot();
+            const known = new Map(statements.listFiles.all().map(row => [row.path, row]));
+            const seen = new Set();
+
+            let projectDirs = [];
+            try {
+                projectDirs = await fsPromises.readdir(root, { withFileTypes: true });
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+
+            for (const dir of projectDirs) {
+                if (!dir.isDirectory()) continue;
+                const projectPath = path.join(root, dir.name);
+                const sessionsPath = path.join(projectPath, 'sessions');
+                const candidates = [
+                    ...(await fsPromises.readdir(projectPath).catch(() => [])).map(file => path.join(projectPath, file)),
+                    ...(await fsPromises.readdir(sessionsPath).catch(() => [])).map(file => path.join(sessionsPath, file))
+                ];
+
+                for (const filePath of candidates) {
+                    if (!getProjectName(filePath)) continue;
+                    const stats = await fsPromises.stat(filePath).catch(() => null);
+                    if (!stats || !stats.isFile()) continue;
+
+                    seen.add(filePath);
+                    const row = known.get(filePath);
+                    if (!row || row.size !== stats.size || row.mtime_ms !== stats.mtimeMs) {
+                        await enqueue(filePath, () => indexFile(filePath));
+                    }
+                }
+            }
+
+            for (const filePath of known.keys()) {
+                if (!seen.has(filePath)) {
+                    await enqueue(filePath, async () => removeFile(filePath));
+                }
+            }
+        })().catch(error => {
+            buildPromise = null;
+            throw error;
+        });
+    }
+    return buildPromise;
+}
+
+// Keep the index in sync with the projects watcher; no-op until the first search builds it
+function handleProjectsChange(eventType, filePath) {
+    if (!buildPromise) return;
+
+    if (eventType === 'unlinkDir') {
+        const prefix = filePath.endsWith(path.sep) ? filePath : filePath + path.sep;
+        for (const { path: indexedPath } of statements.listFiles.all()) {
+            if (indexedPath.startsWith(prefix)) {
+                enqueue(indexedPath, async () => removeFile(indexedPath));
+            }
+        }
+        return;
+    }
+
+    if (!getProjectName(filePath)) return;
+
+    if (eventType === 'unlink') {
+        enqueue(filePath, async () => removeFile(filePath));
+    } else if (eventType === 'add' || eventType === 'change') {
+        enqueue(filePath, () => indexFile(filePath));
+    }
+}
+
+/**
+ * Parse a search string into phrases, terms and inline filters.
+ * Supports "quoted phrases", role:user|assistant|tool, from:YYYY-MM-DD and to:YYYY-MM-DD
+ */
+function parseSearchQuery(query = '') {
+    const parsed = { terms: [], role: null, from: null, to: null };
+    const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = tokenPattern.exec(query)) !== null) {
+        const key = (match[1] || match[3] || '').toLowerCase();
+        const value = match[2] ?? match[4];
+
+        if (key === 'role' && SEARCH_ROLES.includes(value.toLowerCase())) {
+            parsed.role = value.toLowerCase();
+        } else if ((key === 'from' || key === 'to') && !Number.isNaN(Date.parse(value))) {
+            parsed[key] = value;
+        } else if (match[5] !== undefined) {
+            if (match[5].trim()) parsed.terms.push(match[5].toLowerCase());
+        } else {
+            parsed.terms.push(match[0].toLowerCase());
+        }
+    }
+
+    return parsed;
+}
+
+// `to` dates without a time part include the whole day
+function parseDateBound(value, endOfDay) {
+    if (!value) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) return null;
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+function buildSnippet(text, index, length) {
+    const start = Math.max(0, index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const raw = text.slice(start, end);
+    // Collapse whitespace but keep the match offset valid for highlighting
+    const before = raw.slice(0, index - start).replace(/\s+/g, ' ');
+    const matched = raw.slice(index - start, index - start + length).replace(/\s+/g, ' ');
+    const after = raw.slice(index - start + length).replace(/\s+/g, ' ');
+
+    return {
+        snippet: prefix + before + matched + after + suffix,
+        highlight: { start: prefix.length + before.length, length: matched.length }
+    };
+}
+
+/**
+ * Search every indexed session message.
+ * Options (role, from, to) override the matching inline filters in the query.
+ */
+async function searchSessions(query, options = {}) {
+    await ensureIndexBuilt();
+    // Let pending watcher updates land so fresh messages are searchable
+    await Promise.all(Array.from(fileQueues.values()));
+
+    const parsed = parseSearchQuery(query);
+    const role = SEARCH_ROLES.includes(options.role) ? options.role : parsed.role;
+    const fromValue = options.from || parsed.from;
+    const toValue = options.to || parsed.to;
+    const from = parseDateBound(fromValue, false);
+    const to = parseDateBound(toValue, true);
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    if (parsed.terms.length === 0) {
+        return { results: [], total: 0, query: { terms: [], role, from: fromValue || null, to: toValue || null } };
+    }
+
+    const conditions = parsed.terms.map((term, i) => `instr(search_fold(text), @term${ i }) > 0`);
+    const params = Object.fromEntries(parsed.terms.map((term, i) => [`term${ i }`, term]));
+    if (role) {
+        conditions.push('role = @role');
+        params.role = role;
+    }
+    if (from !== null) {
+        conditions.push('time >= @from');
+        params.from = from;
+    }
+    if (to !== null) {
+        conditions.push('time <= @to');
+        params.to = to;
+    }
+    const where = `WHERE ${ conditions.join(' AND ') }`;
+
+    const total = db.prepare(`SELECT COUNT(*) AS count FROM records ${ where }`).get(params).count;
+    const rows = db.prepare(`
+        SELECT project_name, session_id, uuid, role, timestamp, text FROM records ${ where }
+        ORDER BY time IS NULL, time DESC LIMIT @limit
+    `).all({ ...params, limit });
+
+    const results = rows.map(row => {
+        // Highlight whichever term appears first in the message
+        const lowerText = row.text.toLowerCase();
+        let index = -1;
+        let length = 0;
+        for (const term of parsed.terms) {
+            const termIndex = lowerText.indexOf(term);
+            if (termIndex !== -1 && (index === -1 || termIndex < index)) {
+                index = termIndex;
+                length = term.length;
+            }
+        }
+        return {
+            projectName: row.project_name,
+            sessionId: row.session_id,
+            uuid: row.uuid,
+            role: row.role,
+            timestamp: row.timestamp,
+            ...buildSnippet(row.text, Math.max(index, 0), length)
+        };
+    });
+
+    return {
+        results,
+        total,
+        query: { terms: parsed.terms, role, from: fromValue || null, to: toValue || null }
+    };
+}
+
+export {
+    SEARCH_ROLES,
+    parseSearchQuery,
+    searchSessions,
+    handleProjectsChange,
+    ensureIndexBuilt
+};
@@ -0,0 +1,329 @@
+import { getSessionMessages } from './projects.js';
+import { diffLines, formatDiffLines } from './utils/diff.js';
+import { DEFAULT_LANGUAGE, translate } from './utils/i18n.js';
+
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+    html: { extension: 'html', mimeType: 'text/html; charset=utf-8' },
+    json: { extension: 'json', mimeType: 'application/json; charset=utf-8' }
+};
+
+const ROLE_TITLE_CODES = {
+    user: 'EXPORT_ROLE_USER',
+    assistant: 'EXPORT_ROLE_ASSISTANT'
+};
+
+function isHiddenUserText(text) {
+    return text.startsWith('<command-name>') || text.startsWith('[Request interrupted');
+}
+
+function stringifyToolResult(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map(part => (part && part.type === 'text' ? part.text : JSON.stringify(part))).join('\n');
+    }
+    return content === undefined || content === null ? '' : JSON.stringify(content, null, 2);
+}
+
+/**
+ * Turn raw JSONL entries into a stable export shape:
+ * text blocks, and tool calls with their results attached
+ */
+function normalizeSession(entries, { projectName, sessionId }) {
+    const toolResults = new Map();
+    let summary = null;
+    let cwd = null;
+
+    for (const entry of entries) {
+        if (entry.type === 'summary' && entry.summary) {
+            summary = entry.summary;
+        }
+        if (!cwd && entry.cwd) {
+            cwd = entry.cwd;
+        }
+        const content = entry.message?.content;
+        if (entry.message?.role === 'user' && Array.isArray(content)) {
+            for (const part of content) {
+                if (part?.type === 'tool_result') {
+                    toolResults.set(part.tool_use_id, {
+                        content: stringifyToolResult(part.content),
+                        isError: !!part.is_error
+                    });
+                }
+            }
+        }
+    }
+
+    const messages = [];
+    for (const entry of entries) {
+        const message = entry.message;
+        if (!message || (message.role !== 'user' && message.role !== 'assistant') || !message.content) {
+            continue;
+        }
+
+        const blocks = [];
+        if (typeof message.content === 'string') {
+            blocks.push({ type: 'text', text: message.content });
+        } else if (Array.isArray(message.content)) {
+            for (const part of message.content) {
+                if (part?.type === 'text' && part.text) {
+                    blocks.push({ type: 'text', text: part.text });
+                } else if (part?.type === 'tool_use') {
+                    blocks.push({
+                        type: 'tool_use',
+                        id: part.id,
+                        name: part.name,
+                        input: part.input || {},
+                        result: toolResults.get(part.id) || null
+                    });
+                }
+            }
+        }
+
+        // Tool results are attached to their calls; command echoes are noise
+        const visibleBlocks = message.role === 'user'
+            ? blocks.filter(block => block.type !== 'text' || !isHiddenUserText(block.text))
+            : blocks;
+        if (visibleBlocks.length === 0) continue;
+
+        messages.push({
+            uuid: entry.uuid || null,
+            parentUuid: entry.parentUuid || null,
+            timestamp: entry.timestamp || null,
+            role: message.role,
+            model: message.role === 'assistant' ? message.model || null : null,
+            content: visibleBlocks
+        });
+    }
+
+    if (!summary) {
+        const firstUserText = messages.find(m => m.role === 'user')?.content.find(b => b.type === 'text')?.text;
+        summary = firstUserText
+            ? (firstUserText.length > 50 ? firstUserText.substring(0, 50) + '...' : firstUserText)
+            : 'New Session';
+    }
+
+    return {
+        version: 1,
+        projectName,
+        projectPath: cwd,
+        sessionId,
+        summary,
+        exportedAt: new Date().toISOString(),
+        messages
+    };
+}
+
+// Edit-style tool inputs rendered as a diff; other tools show their raw input
+function describeToolChange(name, input) {
+    if (name === 'Edit' && typeof input.old_string === 'string') {
+        return { filePath: input.file_path, diff: diffLines(input.old_string, input.new_string || '') };
+    }
+    if (name === 'MultiEdit' && Array.isArray(input.edits)) {
+        const diff = [];
+        input.edits.forEach((edit, index) => {
+            if (index > 0) diff.push({ type: 'context', content: '...' });
+            diff.push(...diffLines(edit.old_string || '', edit.new_string || ''));
+        });
+        return { filePath: input.file_path, diff };
+    }
+    if (name === 'Write' && typeof input.content === 'string') {
+        return { filePath: input.file_path, diff: diffLines('', input.content) };
+    }
+    return null;
+}
+
+function toolTitle(block) {
+    const input = block.input || {};
+    const detail = input.file_path || input.command || input.pattern || input.path || input.url || '';
+    return detail ? `${ block.name }: ${ detail }` : block.name;
+}
+
+// Pick a fence longer than any backtick run in the content
+function fence(content, lang = '') {
+    const longestRun = Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longestRun + 1);
+    return `${ ticks }${ lang }\n${ content }\n${ ticks }`;
+}
+
+function formatTimestamp(timestamp, language) {
+    return timestamp ? new Date(timestamp).toLocaleString(language) : '';
+}
+
+function renderMarkdown(session, language) {
+    const t = code => translate(language, code);
+    const lines = [
+        `# ${ session.summary }`,
+        '',
+        `- ${ t('EXPORT_PROJECT') }: ${ session.projectPath || session.projectName }`,
+        `- ${ t('EXPORT_SESSION') }: ${ session.sessionId }`,
+        `- ${ t('EXPORT_EXPORTED_AT') }: ${ formatTimestamp(session.exportedAt, language) }`,
+        ''
+    ];
+
+    for (const message of session.messages) {
+        const meta = [formatTimestamp(message.timestamp, language), message.model].filter(Boolean).join(' · ');
+        lines.push('---', '', `### ${ t(ROLE_TITLE_CODES[message.role]) }${ meta ? ` · ${ meta }` : '' }`, '');
+
+        for (const block of message.content) {
+            if (block.type === 'text') {
+                lines.push(block.text, '');
+                continue;
+            }
+
+            const change = describeToolChange(block.name, block.input);
+            lines.push('<details>', `<summary>🔧 ${ escapeHtml(toolTitle(block)) }</summary>`, '');
+            if (change) {
+                lines.push(fence(formatDiffLines(change.diff), 'diff'), '');
+            } else {
+                lines.push(fence(JSON.stringify(block.input, null, 2), 'json'), '');
+            }
+            if (block.result) {
+                lines.push(`**${ t(block.result.isError ? 'EXPORT_ERROR_RESULT' : 'EXPORT_RESULT') }**`, '', fence(block.result.content), '');
+            }
+            lines.push('</details>', '');
+        }
+    }
+
+    return lines.join('\n');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", sans-serif; margin: 0; background: #f9fafb; color: #111827; }
+main { max-width: 860px; margin: 0 auto; padding: 32px 16px; }
+header { margin-bottom: 24px; }
+header h1 { font-size: 22px; margin: 0 0 8px; }
+header p { margin: 2px 0; color: #6b7280; font-size: 13px; }
+.message { background: #fff; border: 1px solid #e5e7eb; border-radius: 10px; padding: 12px 16px; margin-bottom: 12px; }
+.message.user { background: #eff6ff; border-color: #bfdbfe; }
+.meta { font-size: 12px; color: #6b7280; margin-bottom: 8px; }
+.meta strong { color: #111827; margin-right: 6px; }
+.text { white-space: pre-wrap; word-break: break-word; line-height: 1.6; font-size: 14px; }
+details { border: 1px solid #e5e7eb; border-radius: 8px; margin: 8px 0; background: #f9fafb; }
+summary { cursor: pointer; padding: 6px 10px; font-size: 13px; font-family: ui-monospace, Menlo, monospace; }
+pre { margin: 0; padding: 10px; overflow-x: auto; font-size: 12px; font-family: ui-monospace, Menlo, monospace; white-space: pre-wrap; word-break: break-word; }
+.result-label { font-size: 12px; color: #6b7280; padding: 4px 10px 0; }
+.result-label.error { color: #dc2626; }
+.diff-added { background: #dcfce7; color: #166534; display: block; }
+.diff-removed { background: #fee2e2; color: #991b1b; display: block; }
+.diff-context { display: block; }
+@media (prefers-color-scheme: dark) {
+  body { background: #111827; color: #f3f4f6; }
+  header h1 { color: #f9fafb; }
+  .message { background: #1f2937; border-color: #374151; }
+  .message.user { background: #1e3a5f; border-color: #1d4ed8; }
+  .meta strong { color: #f9fafb; }
+  details { background: #111827; border-color: #374151; }
+  .diff-added { background: #14532d; color: #bbf7d0; }
+  .diff-removed { background: #7f1d1d; color: #fecaca; }
+}
+`;
+
+function renderHtmlDiff(diff) {
+    const prefixes = { context: ' ', removed: '-', added: '+' };
+    return diff
+        .map(line => `<span class="diff-${ line.type }">${ escapeHtml(prefixes[line.type] + line.content) }</span>`)
+        .join('');
+}
+
+function renderHtml(session, language) {
+    const t = code => escapeHtml(translate(language, code));
+    const body = session.messages.map(message => {
+        const meta = [formatTimestamp(message.timestamp, language), message.model].filter(Boolean).join(' · ');
+        const blocks = message.content.map(block => {
+            if (block.type === 'text') {
+                return `<div class="text">${ escapeHtml(block.text) }</div>`;
+            }
+
+            const change = describeToolChange(block.name, block.input);
+            const detail = change
+                ? `<pre>${ renderHtmlDiff(change.diff) }</pre>`
+                : `<pre>${ escapeHtml(JSON.stringify(block.input, null, 2)) }</pre>`;
+            const result = block.result
+                ? `<div class="result-label${ block.result.isError ? ' error' : '' }">${ t(block.result.isError ? 'EXPORT_ERROR_RESULT' : 'EXPORT_RESULT') }</div><pre>${ escapeHtml(block.result.content) }</pre>`
+                : '';
+            return `<details><summary>🔧 ${ escapeHtml(toolTitle(block)) }</summary>${ detail }${ result }</details>`;
+        }).join('\n');
+
+        return `<section class="message ${ message.role }">
+<div class="meta"><strong>${ t(ROLE_TITLE_CODES[message.role]) }</strong>${ escapeHtml(meta) }</div>
+${ blocks }
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="${ language }">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${ escapeHtml(session.summary) }</title>
+<style>${ HTML_STYLES }</style>
+</head>
+<body>
+<main>
+<header>
+<h1>${ escapeHtml(session.summary) }</h1>
+<p>${ t('EXPORT_PROJECT') }: ${ escapeHtml(session.projectPath || session.projectName) }</p>
+<p>${ t('EXPORT_SESSION') }: ${ escapeHtml(session.sessionId) }</p>
+<p>${ t('EXPORT_EXPORTED_AT') }: ${ escapeHtml(formatTimestamp(session.exportedAt, language)) }</p>
+</header>
+${ body }
+</main>
+</body>
+</html>
+`;
+}
+
+// Keep file names portable across platforms
+function buildFileName(session, extension) {
+    const base = session.summary
+        .replace(/[\\/:*?"<>|\n\r\t]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, 60) || session.sessionId;
+    return `${ base }.${ extension }`;
+}
+
+/**
+ * Render a session in one of EXPORT_FORMATS, with labels in the given language.
+ * Returns { content, mimeType, fileName }
+ */
+async function exportSession(projectName, sessionId, format = 'markdown', language = DEFAULT_LANGUAGE) {
+    const formatInfo = EXPORT_FORMATS[format];
+    if (!formatInfo) {
+        throw new Error(`Unsupported export format: ${ format }`);
+    }
+
+    const entries = await getSessionMessages(projectName, sessionId);
+    if (entries.length === 0) {
+        const error = new Error('Session not found or empty');
+        error.status = 404;
+        throw error;
+    }
+
+    const session = normalizeSession(entries, { projectName, sessionId });
+    let content;
+    if (format === 'markdown') {
+        content = renderMarkdown(session, language);
+    } else if (format === 'html') {
+        content = renderHtml(session, language);
+    } else {
+        content = JSON.stringify(session, null, 2) + '\n';
+    }
+
+    return {
+        content,
+        mimeType: formatInfo.mimeType,
+        fileName: buildFileName(session, formatInfo.extension)
+    };
+}
+
+export { EXPORT_FORMATS, normalizeSession, exportSession };
@@ -0,0 +1,214 @@
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import { SessionAnalyzer } from './usage-monitor/session-analyzer.js';
+import { clearProjectDirectoryCache, getProjects, getSessionMessages } from './projects.js';
+
+function getProjectsRoot() {
+    return path.join(process.env.HOME, process.env.CLAUDE_PROJECTS_DIR || '.claude/projects');
+}
+
+// Same folder naming the Claude CLI uses, so `claude --resume` finds imported sessions
+function encodeProjectDirName(projectPath) {
+    return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+function importError(message, status = 400) {
+    return Object.assign(new Error(message), { status });
+}
+
+async function readAndValidate(filePath) {
+    if (!filePath || !filePath.endsWith('.jsonl')) {
+        throw importError('Only .jsonl session files can be imported');
+    }
+
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        throw importError(`Could not read ${ filePath }: ${ error.message }`, error.code === 'ENOENT' ? 404 : 400);
+    }
+
+    const report = new SessionAnalyzer().validateJsonlContent(content);
+    if (!report.entries.some(entry => entry.sessionId)) {
+        throw Object.assign(importError('No session records found in this file'), { report });
+    }
+    return report;
+}
+
+// Per-session overview shown before importing
+function describeSessions(entries) {
+    const sessions = new Map();
+    for (const entry of entries) {
+        if (!entry.sessionId) continue;
+        if (!sessions.has(entry.sessionId)) {
+            sessions.set(entry.sessionId, {
+                id: entry.sessionId,
+                summary: null,
+                messageCount: 0,
+                firstActivity: entry.timestamp || null,
+                lastActivity: entry.timestamp || null
+            });
+        }
+        const session = sessions.get(entry.sessionId);
+        session.messageCount++;
+        if (entry.timestamp) {
+            session.firstActivity = session.firstActivity || entry.timestamp;
+            session.lastActivity = entry.timestamp;
+        }
+        if (entry.type === 'summary' && entry.summary) {
+            session.summary = entry.summary;
+        } else if (!session.summary && entry.message?.role === 'user' && typeof entry.message.content === 'string'
+            && !entry.message.content.startsWith('<command-name>')) {
+            const content = entry.message.content;
+            session.summary = content.length > 50 ? content.substring(0, 50) + '...' : content;
+        }
+    }
+    return Array.from(sessions.values()).map(session => ({ ...session, summary: session.summary || 'New Session' }));
+}
+
+function findProjectByPath(projects, projectPath) {
+    return projects.find(project => project.fullPath === projectPath || project.path === projectPath) || null;
+}
+
+/**
+ * Validate a JSONL file and suggest where it would be imported
+ */
+async function previewSessionImport(filePath) {
+    const report = await readAndValidate(filePath);
+    const cwd = report.entries.find(entry => entry.cwd)?.cwd || null;
+    const projects = await getProjects();
+    const suggested = cwd ? findProjectByPath(projects, cwd) : null;
+
+    return {
+        fileName: path.basename(filePath),
+        cwd,
+        sessions: describeSessions(report.entries),
+        suggestedProject: suggested ? { name: suggested.name, displayName: suggested.displayName } : null,
+        totalLines: report.totalLines,
+        validLines: report.entries.length,
+        usageEntries: report.usageEntries,
+        invalidLines: report.invalidLines,
+        repairedLines: report.repairedLines
+    };
+}
+
+// Work out the projects folder and working directory for the imported session
+async function resolveDestination(report, { targetProject, projectPath }) {
+    const projects = await getProjects();
+    const root = getProjectsRoot();
+
+    if (targetProject) {
+        const project = projects.find(p => p.name === targetProject);
+        if (!project) {
+            throw importError(`Project not found: ${ targetProject }`, 404);
+        }
+        const workingDir = project.fullPath || project.path;
+        const existingDir = path.join(root, project.name);
+        const hasFolder = await fs.stat(existingDir).then(stats => stats.isDirectory()).catch(() => false);
+        return {
+            projectName: hasFolder ? project.name : encodeProjectDirName(workingDir),
+            workingDir
+        };
+    }
+
+    const sourcePath = projectPath || report.entries.find(entry => entry.cwd)?.cwd;
+    if (!sourcePath) {
+        throw importError('The file does not record a working directory; choose a project to import into');
+    }
+
+    const workingDir = path.resolve(sourcePath);
+    const existing = findProjectByPath(projects, workingDir);
+    if (existing) {
+        const hasFolder = await fs.stat(path.join(root, existing.name)).then(stats => stats.isDirectory()).catch(() => false);
+        if (hasFolder) {
+            return { projectName: existing.name, workingDir };
+        }
+    }
+
+    if (projectPath) {
+        try {
+            await fs.access(workingDir);
+        } catch (error) {
+            throw importError(`Path does not exist: ${ workingDir }`);
+        }
+    }
+
+    return { projectName: encodeProjectDirName(workingDir), workingDir };
+}
+
+async function sessionExists(projectName, sessionId, projectDir) {
+    const sameFile = await fs.access(path.join(projectDir, `${ sessionId }.jsonl`)).then(() => true).catch(() => false);
+    if (sameFile) return true;
+    const messages = await getSessionMessages(projectName, sessionId);
+    return messages.length > 0;
+}
+
+/**
+ * Copy a validated JSONL file into ~/.claude/projects under an existing or new project.
+ * Session IDs that already exist in the target project are replaced with new ones.
+ */
+async function importSession(filePath, options = {}) {
+    const report = await readAndValidate(filePath);
+    const { projectName, workingDir } = await resolveDestination(report, options);
+    const projectDir = path.join(getProjectsRoot(), projectName);
+    await fs.mkdir(projectDir, { recursive: true });
+
+    const originalIds = Array.from(new Set(report.entries.filter(entry => entry.sessionId).map(entry => entry.sessionId)));
+    const sessionIdMap = new Map();
+    for (const sessionId of originalIds) {
+        if (await sessionExists(projectName, sessionId, projectDir)) {
+            sessionIdMap.set(sessionId, crypto.randomUUID());
+        }
+    }
+
+    // Renamed sessions also get fresh message UUIDs so they don't collide with the originals
+    const uuidMap = new Map();
+    const renameUuid = (uuid) => {
+        if (!uuidMap.has(uuid)) uuidMap.set(uuid, crypto.randomUUID());
+        return uuidMap.get(uuid);
+    };
+
+    const lines = report.entries.map(entry => {
+        const copy = { ...entry };
+        if (copy.cwd && copy.cwd !== workingDir) {
+            copy.cwd = workingDir;
+        }
+        if (copy.sessionId && sessionIdMap.has(copy.sessionId)) {
+            copy.sessionId = sessionIdMap.get(copy.sessionId);
+            if (copy.uuid) copy.uuid = renameUuid(copy.uuid);
+            if (copy.parentUuid) copy.parentUuid = renameUuid(copy.parentUuid);
+        }
+        if (copy.type === 'summary' && copy.leafUuid && uuidMap.has(copy.leafUuid)) {
+            copy.leafUuid = uuidMap.get(copy.leafUuid);
+        }
+        return JSON.stringify(copy);
+    });
+
+    const sessionIds = originalIds.map(id => sessionIdMap.get(id) || id);
+    const lastSessionEntry = [...report.entries].reverse().find(entry => entry.sessionId);
+    const primarySessionId = sessionIdMap.get(lastSessionEntry.sessionId) || lastSessionEntry.sessionId;
+
+    let targetFile = path.join(projectDir, `${ primarySessionId }.jsonl`);
+    if (await fs.access(targetFile).then(() => true).catch(() => false)) {
+        targetFile = path.join(projectDir, `${ crypto.randomUUID() }.jsonl`);
+    }
+    await fs.writeFile(targetFile, lines.join('\n') + '\n', 'utf8');
+    clearProjectDirectoryCache();
+
+    console.log(`📥 Imported ${ lines.length } lines from ${ filePath } into ${ projectName }`);
+
+    return {
+        projectName,
+        projectPath: workingDir,
+        sessionId: primarySessionId,
+        sessionIds,
+        renamed: sessionIdMap.size > 0,
+        importedLines: lines.length,
+        totalLines: report.totalLines,
+        invalidLines: report.invalidLines,
+        repairedLines: report.repairedLines
+    };
+}
+
+export { previewSessionImport, importSession };
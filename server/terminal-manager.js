@@ -0,0 +1,410 @@
+import crypto from 'crypto';
+import os from 'os';
+import pty from 'node-pty';
+import { RingBuffer } from './utils/ring-buffer.js';
+
+export const TERMINAL_KINDS = ['shell', 'claude'];
+
+// Claude session ids are UUIDs; anything else is rejected before it reaches a command line
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+export function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+// Output kept per terminal so a reconnecting client can repaint the screen
+const SCROLLBACK_CHARS = parseInt(process.env.TERMINAL_SCROLLBACK_CHARS, 10) || 512 * 1024;
+// Terminals without any attached client are killed after this long; 0 keeps them forever
+const IDLE_TIMEOUT_MS = parseInt(process.env.TERMINAL_IDLE_TIMEOUT_MS ?? '', 10);
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// Time a process gets to exit after SIGTERM before it is sent SIGKILL
+const KILL_GRACE_MS = 3000;
+const MAX_NAME_LENGTH = 60;
+
+// Patterns whose URL is forwarded to the client to be opened in the browser
+const URL_OPEN_PATTERNS = [
+    // Direct browser opening commands
+    /(?:xdg-open|open|start)\s+(https?:\/\/[^\s\x1b\x07]+)/g,
+    // BROWSER environment variable override
+    /OPEN_URL:\s*(https?:\/\/[^\s\x1b\x07]+)/g,
+    // Git and other tools opening URLs
+    /Opening\s+(https?:\/\/[^\s\x1b\x07]+)/gi,
+    // General URL patterns that might be opened
+    /Visit:\s*(https?:\/\/[^\s\x1b\x07]+)/gi,
+    /View at:\s*(https?:\/\/[^\s\x1b\x07]+)/gi,
+    /Browse to:\s*(https?:\/\/[^\s\x1b\x07]+)/gi
+];
+
+// Find URLs to open in a chunk of output; OPEN_URL markers are replaced by a readable line
+function extractOpenUrls(data) {
+    const urls = [];
+    let output = data;
+    for (const pattern of URL_OPEN_PATTERNS) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(data)) !== null) {
+            urls.push(match[1]);
+            if (pattern.source.includes('OPEN_URL')) {
+                output = output.replace(match[0], `🌐 Opening in browser: ${ match[1] }`);
+            }
+        }
+    }
+    return { output, urls };
+}
+
+// Program and arguments for a terminal: a login shell, or the Claude CLI (resuming a session when given).
+// Arguments are passed as argv, never through a shell command string.
+function buildCommand(kind, sessionId) {
+    const isWindows = os.platform() === 'win32';
+    if (kind === 'shell') {
+        return isWindows
+            ? { file: 'powershell.exe', args: ['-NoLogo'] }
+            : { file: process.env.SHELL || 'bash', args: ['-l'] };
+    }
+
+    const claudeArgs = sessionId ? ['--resume', sessionId] : [];
+    // claude is a .cmd shim on Windows, which the PTY cannot start directly
+    return isWindows
+        ? { file: 'powershell.exe', args: ['-NoLogo', '-Command', 'claude', ...claudeArgs] }
+        : { file: 'claude', args: claudeArgs };
+}
+
+function send(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * A PTY owned by the server. It outlives the WebSocket that created it: clients
+ * attach and detach, and on attach receive the buffered scrollback first.
+ * onIdle is called once the terminal has had no client for the idle timeout.
+ */
+class TerminalSession {
+    constructor({ projectName, cwd, kind, name, sessionId, command, cols, rows, idleTimeout, onIdle }) {
+        this.id = crypto.randomUUID();
+        this.projectName = projectName;
+        this.cwd = cwd;
+        this.kind = kind;
+        this.name = name;
+        this.sessionId = sessionId || null;
+        this.createdAt = new Date().toISOString();
+        this.exitCode = null;
+        this.exited = false;
+        this.scrollback = new RingBuffer(SCROLLBACK_CHARS);
+        this.clients = new Set();
+        this.idleTimeout = idleTimeout;
+        this.onIdle = onIdle;
+        this.idleTimer = null;
+        this.killTimer = null;
+        this.killRequested = false;
+        this.lastAttachedAt = null;
+        this.cols = cols || 80;
+        this.rows = rows || 24;
+        // A failed resume falls back to a new Claude session, once
+        this.resuming = kind === 'claude' && !!this.sessionId;
+
+        this.spawn(buildCommand(kind, this.sessionId));
+
+        // A command to run in a new shell is typed in once it is spawned; the PTY
+        // buffers it until the shell reads its input
+        if (command && kind === 'shell') {
+            this.process.write(`${ command }\r`);
+        }
+
+        // Nobody is attached until the creating client connects
+        this.scheduleIdleTimeout();
+    }
+
+    spawn({ file, args }) {
+        this.process = pty.spawn(file, args, {
+            name: 'xterm-256color',
+            cols: this.cols,
+            rows: this.rows,
+            cwd: this.cwd,
+            env: {
+                ...process.env,
+                TERM: 'xterm-256color',
+                COLORTERM: 'truecolor',
+                FORCE_COLOR: '3',
+                // Override browser opening commands to echo URL for detection
+                BROWSER: 'echo "OPEN_URL:"'
+            }
+        });
+        console.log(`🟢 Terminal ${ this.id } (${ this.kind }) started in ${ this.cwd }, PID:`, this.process.pid);
+
+        this.process.onData((data) => {
+            const { output, urls } = extractOpenUrls(data);
+            this.append(output);
+            for (const url of urls) {
+                console.log('🔗 Detected URL for opening:', url);
+                this.broadcast({ type: 'url_open', url });
+            }
+            this.broadcast({ type: 'output', data: output });
+        });
+
+        this.process.onExit(({ exitCode, signal }) => {
+            console.log(`🔚 Terminal ${ this.id } exited with code:`, exitCode, 'signal:', signal);
+            if (this.resuming && exitCode !== 0 && !this.killRequested) {
+                this.resuming = false;
+                const notice = `\r\n\x1b[33mCould not resume session ${ this.sessionId }, starting a new Claude session\x1b[0m\r\n`;
+                this.append(notice);
+                this.broadcast({ type: 'output', data: notice });
+                this.spawn(buildCommand(this.kind, null));
+                return;
+            }
+            clearTimeout(this.killTimer);
+            this.exited = true;
+            this.exitCode = exitCode;
+            const notice = `\r\n\x1b[33mProcess exited with code ${ exitCode }${ signal ? ` (${ signal })` : '' }\x1b[0m\r\n`;
+            this.append(notice);
+            this.broadcast({ type: 'output', data: notice });
+            this.broadcast({ type: 'exit', exitCode, signal });
+        });
+    }
+
+    append(data) {
+        this.scrollback.push(data);
+    }
+
+    // Scrollback to replay; once the ring has wrapped, start at a line boundary so the
+    // replay does not begin inside an escape sequence
+    replayText() {
+        const text = this.scrollback.toString();
+        if (!this.scrollback.truncated) {
+            return text;
+        }
+        const lineStart = text.indexOf('\n');
+        return lineStart === -1 ? text : text.slice(lineStart + 1);
+    }
+
+    scheduleIdleTimeout() {
+        clearTimeout(this.idleTimer);
+        if (this.idleTimeout > 0 && this.clients.size === 0) {
+            this.idleTimer = setTimeout(() => {
+                console.log(`⏱️ Terminal ${ this.id } had no client for ${ this.idleTimeout }ms, closing`);
+                this.onIdle?.(this);
+            }, this.idleTimeout);
+            // A pending idle timeout must not keep the process alive
+            this.idleTimer.unref?.();
+        }
+    }
+
+    broadcast(message) {
+        for (const ws of this.clients) {
+            send(ws, message);
+        }
+    }
+
+    attach(ws) {
+        clearTimeout(this.idleTimer);
+        this.clients.add(ws);
+        this.lastAttachedAt = new Date().toISOString();
+        send(ws, { type: 'attached', terminal: this.toJSON() });
+        const replay = this.replayText();
+        if (replay) {
+            send(ws, { type: 'output', data: replay });
+        }
+    }
+
+    detach(ws) {
+        if (this.clients.delete(ws)) {
+            this.lastAttachedAt = new Date().toISOString();
+            this.scheduleIdleTimeout();
+        }
+    }
+
+    write(data) {
+        if (!this.exited) {
+            this.process.write(data);
+        }
+    }
+
+    resize(cols, rows) {
+        if (!this.exited && cols > 0 && rows > 0) {
+            this.cols = cols;
+            this.rows = rows;
+            this.process.resize(cols, rows);
+        }
+    }
+
+    // Ask the process to exit, escalating to SIGKILL when it ignores SIGTERM
+    kill() {
+        if (this.exited) return;
+        this.killRequested = true;
+        console.log('🔴 Killing terminal process:', this.process.pid);
+        if (os.platform() === 'win32') {
+            this.process.kill();
+            return;
+        }
+        this.process.kill('SIGTERM');
+        clearTimeout(this.killTimer);
+        this.killTimer = setTimeout(() => {
+            if (!this.exited) {
+                this.process.kill('SIGKILL');
+            }
+        }, KILL_GRACE_MS);
+    }
+
+    // Kill the process and disconnect every client; the terminal is gone afterwards
+    dispose() {
+        clearTimeout(this.idleTimer);
+        this.kill();
+        this.broadcast({ type: 'closed' });
+        this.clients.clear();
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            projectName: this.projectName,
+            kind: this.kind,
+            name: this.name,
+            sessionId: this.sessionId,
+            createdAt: this.createdAt,
+            exited: this.exited,
+            exitCode: this.exitCode,
+            clients: this.clients.size,
+            lastAttachedAt: this.lastAttachedAt,
+            scrollbackChars: this.scrollback.length
+        };
+    }
+}
+
+/**
+ * Registry of the running terminals by id, listed per project
+ */
+class TerminalManager {
+    constructor({ idleTimeout = Number.isNaN(IDLE_TIMEOUT_MS) ? DEFAULT_IDLE_TIMEOUT_MS : IDLE_TIMEOUT_MS } = {}) {
+        this.terminals = new Map();
+        this.idleTimeout = idleTimeout;
+    }
+
+    create({ projectName, cwd, kind = 'shell', name, sessionId, command, cols, rows }) {
+        if (!TERMINAL_KINDS.includes(kind)) {
+            throw new Error(`Unknown terminal kind: ${ kind }`);
+        }
+        if (kind === 'claude' && sessionId && !isValidSessionId(sessionId)) {
+            throw new Error(`Invalid session id: ${ sessionId }`);
+        }
+        const label = kind === 'claude' ? 'Claude' : 'Shell';
+        const count = this.list(projectName).filter(terminal => terminal.kind === kind).length;
+        const terminal = new TerminalSession({
+            projectName,
+            cwd,
+            kind,
+            name: this.normalizeName(name) || `${ label } ${ count + 1 }`,
+            sessionId: kind === 'claude' ? sessionId : null,
+            command: typeof command === 'string' ? command : null,
+            cols,
+            rows,
+            idleTimeout: this.idleTimeout,
+            onIdle: (idle) => this.close(idle.id)
+        });
+        this.terminals.set(terminal.id, terminal);
+        return terminal;
+    }
+
+    get(id) {
+        return this.terminals.get(id) || null;
+    }
+
+    list(projectName) {
+        return [...this.terminals.values()].filter(terminal => terminal.projectName === projectName);
+    }
+
+    normalizeName(name) {
+        return typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    }
+
+    rename(id, name) {
+        const terminal = this.get(id);
+        const normalized = this.normalizeName(name);
+        if (terminal && normalized) {
+            terminal.name = normalized;
+        }
+        return terminal;
+    }
+
+    // Kill the process but keep the terminal and its scrollback until it is closed
+    kill(id) {
+        const terminal = this.get(id);
+        terminal?.kill();
+        return terminal;
+    }
+
+    close(id) {
+        const terminal = this.get(id);
+        if (!terminal) {
+            return false;
+        }
+        terminal.dispose();
+        this.terminals.delete(id);
+        return true;
+    }
+
+    closeAll() {
+        for (const id of [...this.terminals.keys()]) {
+            this.close(id);
+        }
+    }
+}
+
+let terminalManager = null;
+
+export function getTerminalManager() {
+    if (!terminalManager) {
+        terminalManager = new TerminalManager();
+    }
+    return terminalManager;
+}
+
+/**
+ * Handle a /shell WebSocket. A connection shows one terminal at a time:
+ *   { type: 'attach', terminalId }   subscribe and replay the scrollback
+ *   { type: 'input', data }          write to the attached terminal
+ *   { type: 'resize', cols, rows }   resize the attached terminal
+ * Closing the socket only detaches; the PTY keeps running until it is closed explicitly
+ * or stays without clients for the idle timeout.
+ */
+export function handleTerminalConnection(ws) {
+    const manager = getTerminalManager();
+    let terminal = null;
+
+    const detach = () => {
+        terminal?.detach(ws);
+        terminal = null;
+    };
+
+    ws.on('message', (message) => {
+        try {
+            const data = JSON.parse(message);
+
+            if (data.type === 'attach') {
+                detach();
+                terminal = manager.get(data.terminalId);
+                if (!terminal) {
+                    send(ws, { type: 'error', code: 'TERMINAL_NOT_FOUND', terminalId: data.terminalId });
+                    return;
+                }
+                if (data.cols && data.rows) {
+                    terminal.resize(data.cols, data.rows);
+                }
+                terminal.attach(ws);
+            } else if (data.type === 'input') {
+                terminal?.write(data.data);
+            } else if (data.type === 'resize') {
+                terminal?.resize(data.cols, data.rows);
+            }
+        } catch (error) {
+            console.error('❌ Shell WebSocket error:', error.message);
+            send(ws, { type: 'output', data: `\r\n\x1b[31mError: ${ error.message }\x1b[0m\r\n` });
+        }
+    });
+
+    ws.on('close', detach);
+
+    ws.on('error', (error) => {
+        console.error('❌ Shell WebSocket error:', error);
+    });
+}
@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+const SETTINGS_DIR = path.join(os.homedir(), '.claude-code-ui');
+const SETTINGS_PATH = path.join(SETTINGS_DIR, 'settings.json');
+
+const MAX_SNIPPETS = 100;
+const MAX_NAME_LENGTH = 60;
+const MAX_COMMAND_LENGTH = 2000;
+
+// Lockfile → package manager used to run package.json scripts
+const PACKAGE_MANAGERS = [
+    ['pnpm-lock.yaml', 'pnpm'],
+    ['yarn.lock', 'yarn'],
+    ['bun.lockb', 'bun'],
+    ['bun.lock', 'bun']
+];
+const MAKEFILE_NAMES = ['GNUmakefile', 'makefile', 'Makefile'];
+
+export class SnippetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SnippetError';
+        this.status = 400;
+    }
+}
+
+async function readSettings() {
+    try {
+        return JSON.parse(await fs.readFile(SETTINGS_PATH, 'utf8'));
+    } catch (error) {
+        // No settings file yet
+        return {};
+    }
+}
+
+async function writeSettings(settings) {
+    await fs.mkdir(SETTINGS_DIR, { recursive: true });
+    await fs.writeFile(SETTINGS_PATH, JSON.stringify(settings, null, 2));
+}
+
+/**
+ * Saved terminal snippets of a project, kept in settings.json under
+ * terminalSnippets: { [projectName]: [{ id, name, command }] }
+ */
+export async function getProjectSnippets(projectName) {
+    const settings = await readSettings();
+    return settings.terminalSnippets?.[projectName] || [];
+}
+
+export async function saveProjectSnippets(projectName, snippets) {
+    if (!Array.isArray(snippets) || snippets.length > MAX_SNIPPETS) {
+        throw new SnippetError(`snippets must be an array of at most ${ MAX_SNIPPETS } items`);
+    }
+
+    const normalized = snippets.map(snippet => {
+        const name = typeof snippet?.name === 'string' ? snippet.name.trim() : '';
+        const command = typeof snippet?.command === 'string' ? snippet.command.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            throw new SnippetError(`Snippet names must be 1-${ MAX_NAME_LENGTH } characters`);
+        }
+        if (!command || command.length > MAX_COMMAND_LENGTH) {
+            throw new SnippetError(`Snippet commands must be 1-${ MAX_COMMAND_LENGTH } characters`);
+        }
+        const id = typeof snippet.id === 'string' && snippet.id ? snippet.id : crypto.randomUUID();
+        return { id, name, command };
+    });
+
+    const settings = await readSettings();
+    const terminalSnippets = { ...settings.terminalSnippets };
+    if (normalized.length > 0) {
+        terminalSnippets[projectName] = normalized;
+    } else {
+        delete terminalSnippets[projectName];
+    }
+    await writeSettings({ ...settings, terminalSnippets });
+    return normalized;
+}
+
+async function exists(filePath) {
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+async function detectPackageScripts(projectRoot) {
+    let packageJson;
+    try {
+        packageJson = JSON.parse(await fs.readFile(path.join(projectRoot, 'package.json'), 'utf8'));
+    } catch (error) {
+        return [];
+    }
+
+    let manager = 'npm';
+    for (const [lockfile, name] of PACKAGE_MANAGERS) {
+        if (await exists(path.join(projectRoot, lockfile))) {
+            manager = name;
+            break;
+        }
+    }
+
+    return Object.entries(packageJson.scripts || {})
+        .filter(([, script]) => typeof script === 'string')
+        .map(([name, script]) => ({
+            id: `package.json:${ name }`,
+            source: 'package.json',
+            name,
+            command: `${ manager } run ${ name }`,
+            description: script
+        }));
+}
+
+// Explicit targets of a Makefile: skips special targets (.PHONY, ...), pattern rules
+// and variable assignments; a comment on the line before a target becomes its description
+async function detectMakeTargets(projectRoot) {
+    let fileName = null;
+    for (const name of MAKEFILE_NAMES) {
+        if (await exists(path.join(projectRoot, name))) {
+            fileName = name;
+            break;
+        }
+    }
+    if (!fileName) {
+        return [];
+    }
+
+    const content = await fs.readFile(path.join(projectRoot, fileName), 'utf8');
+    const targets = new Map();
+    let comment = null;
+    for (const line of content.split(/\r?\n/)) {
+        if (line.startsWith('#')) {
+            comment = line.replace(/^#+\s*/, '').trim() || comment;
+            continue;
+        }
+        const match = /^([A-Za-z0-9][\w./-]*(?:\s+[A-Za-z0-9][\w./-]*)*)\s*(?:::|:)(?![:=])/.exec(line);
+        if (match) {
+            for (const target of match[1].split(/\s+/)) {
+                if (!targets.has(target)) {
+                    targets.set(target, comment);
+                }
+            }
+        }
+        comment = null;
+    }
+
+    return [...targets].map(([name, description]) => ({
+        id: `${ fileName }:${ name }`,
+        source: fileName,
+        name,
+        command: `make ${ name }`,
+        description: description || ''
+    }));
+}
+
+/**
+ * Commands offered automatically for a project: package.json scripts (run with the
+ * package manager its lockfile points to) and Makefile targets
+ */
+export async function detectProjectCommands(projectRoot) {
+    const [scripts, targets] = await Promise.all([
+        detectPackageScripts(projectRoot),
+        detectMakeTargets(projectRoot)
+    ]);
+    return [...scripts, ...targets];
+}
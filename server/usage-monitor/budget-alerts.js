@@ -0,0 +1,377 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { EventEmitter } from 'events';
+import { getCombinedUsageIndex } from './usage-index.js';
+import { getUsageLimitTracker } from './usage-limit.js';
+import { getUsageSourceRegistry } from './usage-sources.js';
+import { createLogger } from '../utils/logger.js';
+import { DEFAULT_LANGUAGE, LocalizedError, translate } from '../utils/i18n.js';
+
+const SETTINGS_DIR = path.join(os.homedir(), '.claude-code-ui');
+const LIMITS_FILE = path.join(SETTINGS_DIR, 'usage-limits.json');
+const ALERT_STATE_FILE = path.join(SETTINGS_DIR, 'usage-alert-state.json');
+
+// 监听器事件可能非常频繁（Claude 每写一行都会触发），两次评估至少间隔这么久
+const MIN_EVALUATION_INTERVAL = 10000;
+
+const DEFAULT_ALERT_SETTINGS = {
+    thresholds: [80, 100],
+    cooldownMinutes: 60,
+    desktopNotifications: true
+};
+
+const PERIOD_BUDGETS = ['dailyCost', 'weeklyCost', 'monthlyCost'];
+
+/**
+ * 本地日期键，格式 YYYY-MM-DD
+ */
+function formatDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 校验预算金额/令牌数：null 或 0 表示不启用；无效时按 code/params 抛出本地化错误
+ */
+function normalizeBudgetValue(value, code, params) {
+    if (value === undefined || value === null || value === '' || value === 0) {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw new LocalizedError(code, params);
+    }
+    return number;
+}
+
+/**
+ * 预算提醒 - 保存用户定义的预算（与自定义限制存放在同一文件），
+ * 在项目文件变化时评估使用量，越过阈值时发出 'alerts' 事件
+ *
+ * 预算类型：
+ * - dailyCost / weeklyCost / monthlyCost：当日 / 本周（周一起）/ 本月的总成本（美元）
+ * - projectCosts：{ 项目名: 金额 }，按本月成本计算
+ * - windowTokens：当前 5 小时窗口的令牌数
+ *
+ * 同一预算在同一周期内每个阈值只提醒一次，且两次提醒之间至少间隔 cooldownMinutes
+ * 使用量按全部已启用的使用量来源合计
+ */
+export class BudgetMonitor extends EventEmitter {
+    constructor({ limitsFile = LIMITS_FILE, stateFile = ALERT_STATE_FILE } = {}) {
+        super();
+        this.limitsFile = limitsFile;
+        this.stateFile = stateFile;
+        this.logger = createLogger('BudgetMonitor');
+        this.lastEvaluation = 0;
+        this.evaluationTimer = null;
+        this.config = this.loadConfig();
+        this.alertState = this.loadAlertState();
+    }
+
+    /**
+     * 读取限制和预算配置
+     */
+    loadConfig() {
+        let stored = {};
+        try {
+            if (fs.existsSync(this.limitsFile)) {
+                stored = JSON.parse(fs.readFileSync(this.limitsFile, 'utf8'));
+            }
+        } catch (error) {
+            this.logger.warn(`使用限制配置读取失败，使用默认配置: ${error.message}`);
+        }
+
+        return {
+            customLimits: stored.customLimits || null,
+            budgets: {
+                dailyCost: null,
+                weeklyCost: null,
+                monthlyCost: null,
+                windowTokens: null,
+                projectCosts: {},
+                ...stored.budgets
+            },
+            alertSettings: { ...DEFAULT_ALERT_SETTINGS, ...stored.alertSettings }
+        };
+    }
+
+    loadAlertState() {
+        try {
+            if (fs.existsSync(this.stateFile)) {
+                return JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            }
+        } catch (error) {
+            this.logger.warn(`预算提醒状态读取失败: ${error.message}`);
+        }
+        return {};
+    }
+
+    writeJson(filePath, data) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    }
+
+    getConfig() {
+        return this.config;
+    }
+
+    /**
+     * 保存自定义限制
+     */
+    saveCustomLimits(customLimits) {
+        this.config = { ...this.config, customLimits };
+        this.writeJson(this.limitsFile, this.config);
+        return this.config;
+    }
+
+    /**
+     * 校验并保存预算和提醒设置，未提供的字段保持不变
+     * 校验失败时抛出错误，不修改现有配置
+     */
+    saveBudgets(budgets = {}, alertSettings = {}) {
+        const nextBudgets = { ...this.config.budgets };
+
+        for (const key of [...PERIOD_BUDGETS, 'windowTokens']) {
+            if (key in budgets) {
+                nextBudgets[key] = normalizeBudgetValue(budgets[key], 'BUDGET_NOT_POSITIVE', { name: key });
+            }
+        }
+
+        if ('projectCosts' in budgets) {
+            if (!budgets.projectCosts || typeof budgets.projectCosts !== 'object' || Array.isArray(budgets.projectCosts)) {
+                throw new LocalizedError('INVALID_PROJECT_BUDGETS');
+            }
+            nextBudgets.projectCosts = {};
+            for (const [projectName, value] of Object.entries(budgets.projectCosts)) {
+                const amount = normalizeBudgetValue(value, 'PROJECT_BUDGET_NOT_POSITIVE', { project: projectName });
+                if (amount !== null) {
+                    nextBudgets.projectCosts[projectName] = amount;
+                }
+            }
+        }
+
+        const nextAlertSettings = { ...this.config.alertSettings };
+        if (alertSettings.thresholds !== undefined) {
+            const thresholds = Array.isArray(alertSettings.thresholds)
+                ? alertSettings.thresholds.map(Number)
+                : [];
+            if (thresholds.length === 0 || thresholds.some(value => !Number.isFinite(value) || value <= 0 || value > 1000)) {
+                throw new LocalizedError('INVALID_ALERT_THRESHOLDS');
+            }
+            nextAlertSettings.thresholds = [...new Set(thresholds)].sort((a, b) => a - b);
+        }
+        if (alertSettings.cooldownMinutes !== undefined) {
+            const cooldown = Number(alertSettings.cooldownMinutes);
+            if (!Number.isFinite(cooldown) || cooldown < 0) {
+                throw new LocalizedError('INVALID_ALERT_COOLDOWN');
+            }
+            nextAlertSettings.cooldownMinutes = cooldown;
+        }
+        if (alertSettings.desktopNotifications !== undefined) {
+            nextAlertSettings.desktopNotifications = !!alertSettings.desktopNotifications;
+        }
+
+        this.config = { ...this.config, budgets: nextBudgets, alertSettings: nextAlertSettings };
+        this.writeJson(this.limitsFile, this.config);
+        return this.config;
+    }
+
+    hasBudgets() {
+        const { budgets } = this.config;
+        return PERIOD_BUDGETS.some(key => budgets[key]) ||
+            !!budgets.windowTokens ||
+            Object.keys(budgets.projectCosts || {}).length > 0;
+    }
+
+    /**
+     * 计算所有已启用预算的当前使用情况
+     * 返回 [{ id, type, project, unit, limit, usage, percent, threshold, periodKey, periodEnd }]
+     * threshold 为已达到的最高提醒阈值，未达到时为 null
+     */
+    async getStatus() {
+        if (!this.hasBudgets()) {
+            return [];
+        }
+
+        const { budgets, alertSettings } = this.config;
+        const now = new Date();
+
+        const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const weekStart = new Date(dayStart);
+        weekStart.setDate(dayStart.getDate() - ((dayStart.getDay() + 6) % 7));
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+
+        // 只取最早的统计周期（本周或本月开始）以来的消息，5小时窗口直接使用索引中的窗口汇总
+        // 来源列表可能在运行中修改，每次评估时重新解析
+        const usageIndex = getCombinedUsageIndex(getUsageSourceRegistry().resolve());
+        await usageIndex.ready();
+        const allSessions = usageIndex.getMessages({
+            from: new Date(Math.min(weekStart.getTime(), monthStart.getTime()))
+        });
+
+        const periods = {
+            dailyCost: { start: dayStart, end: new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1) },
+            weeklyCost: { start: weekStart, end: new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7) },
+            monthlyCost: { start: monthStart, end: new Date(now.getFullYear(), now.getMonth() + 1, 1) }
+        };
+
+        const sumCost = (start, projectName = null) => allSessions.reduce((total, session) => {
+            if (session.timestamp < start) return total;
+            if (projectName && session.projectName !== projectName) return total;
+            return total + session.cost;
+        }, 0);
+
+        const statuses = [];
+        const addStatus = (status) => {
+            const percent = status.limit > 0 ? (status.usage / status.limit) * 100 : 0;
+            const reached = alertSettings.thresholds.filter(threshold => percent >= threshold);
+            statuses.push({
+                ...status,
+                percent,
+                threshold: reached.length > 0 ? reached[reached.length - 1] : null
+            });
+        };
+
+        for (const type of PERIOD_BUDGETS) {
+            if (!budgets[type]) continue;
+            const { start, end } = periods[type];
+            addStatus({
+                id: type,
+                type,
+                unit: 'cost',
+                limit: budgets[type],
+                usage: sumCost(start),
+                periodKey: formatDateKey(start),
+                periodEnd: end
+            });
+        }
+
+        for (const [projectName, limit] of Object.entries(budgets.projectCosts || {})) {
+            addStatus({
+                id: `project:${projectName}`,
+                type: 'projectCost',
+                project: projectName,
+                unit: 'cost',
+                limit,
+                usage: sumCost(monthStart, projectName),
+                periodKey: formatDateKey(monthStart),
+                periodEnd: periods.monthlyCost.end
+            });
+        }
+
+        if (budgets.windowTokens) {
+            const windows = usageIndex.getSessionWindows({ resetTimes: getUsageLimitTracker().getResetTimes() });
+            const currentWindow = windows[windows.length - 1];
+            if (currentWindow && currentWindow.end > new Date()) {
+                addStatus({
+                    id: 'windowTokens',
+                    type: 'windowTokens',
+                    unit: 'tokens',
+                    limit: budgets.windowTokens,
+                    usage: currentWindow.tokens,
+                    periodKey: currentWindow.start.toISOString(),
+                    periodEnd: currentWindow.end
+                });
+            }
+        }
+
+        return statuses;
+    }
+
+    /**
+     * 评估预算并返回需要提醒的条目（已考虑同周期去重和冷却时间）
+     */
+    async evaluate() {
+        const statuses = await this.getStatus();
+        const cooldownMs = this.config.alertSettings.cooldownMinutes * 60 * 1000;
+        const now = Date.now();
+        const alerts = [];
+
+        for (const status of statuses) {
+            if (status.threshold === null) continue;
+
+            const previous = this.alertState[status.id];
+            const isNewLevel = !previous ||
+                previous.periodKey !== status.periodKey ||
+                status.threshold > previous.threshold;
+            const coolingDown = previous && now - previous.notifiedAt < cooldownMs;
+
+            if (isNewLevel && !coolingDown) {
+                alerts.push(status);
+                this.alertState[status.id] = {
+                    periodKey: status.periodKey,
+                    threshold: status.threshold,
+                    notifiedAt: now
+                };
+            }
+        }
+
+        if (alerts.length > 0) {
+            try {
+                this.writeJson(this.stateFile, this.alertState);
+            } catch (error) {
+                this.logger.warn(`预算提醒状态保存失败: ${error.message}`);
+            }
+        }
+
+        return { statuses, alerts };
+    }
+
+    /**
+     * 安排一次评估（节流），有新提醒时发出 'alerts' 事件
+     */
+    scheduleEvaluation() {
+        if (this.evaluationTimer || !this.hasBudgets()) return;
+
+        const delay = Math.max(0, this.lastEvaluation + MIN_EVALUATION_INTERVAL - Date.now());
+        this.evaluationTimer = setTimeout(async () => {
+            this.evaluationTimer = null;
+            this.lastEvaluation = Date.now();
+            try {
+                const { statuses, alerts } = await this.evaluate();
+                if (alerts.length > 0) {
+                    this.emit('alerts', alerts, statuses);
+                }
+            } catch (error) {
+                this.logger.error('评估预算时出错:', error);
+            }
+        }, delay);
+    }
+}
+
+const BUDGET_LABEL_CODES = {
+    dailyCost: 'BUDGET_LABEL_DAILY_COST',
+    weeklyCost: 'BUDGET_LABEL_WEEKLY_COST',
+    monthlyCost: 'BUDGET_LABEL_MONTHLY_COST',
+    windowTokens: 'BUDGET_LABEL_WINDOW_TOKENS'
+};
+
+/**
+ * 按指定语言生成提醒的标题和正文，用于桌面通知
+ */
+export function formatBudgetAlert(alert, language = DEFAULT_LANGUAGE) {
+    const label = alert.type === 'projectCost'
+        ? translate(language, 'BUDGET_LABEL_PROJECT_COST', { project: alert.projectDisplayName || alert.project })
+        : translate(language, BUDGET_LABEL_CODES[alert.type]);
+    const format = (value) => alert.unit === 'cost'
+        ? `$${value.toFixed(2)}`
+        : Math.round(value).toLocaleString(language);
+
+    return {
+        title: alert.percent >= 100
+            ? translate(language, 'BUDGET_ALERT_EXCEEDED', { label })
+            : translate(language, 'BUDGET_ALERT_PERCENT', { label, percent: Math.round(alert.percent) }),
+        body: translate(language, 'BUDGET_ALERT_USAGE', { usage: format(alert.usage), limit: format(alert.limit) })
+    };
+}
+
+let budgetMonitor = null;
+
+export function getBudgetMonitor() {
+    if (!budgetMonitor) {
+        budgetMonitor = new BudgetMonitor();
+    }
+    return budgetMonitor;
+}
@@ -1,22 +1,30 @@
 import { SessionAnalyzer } from './session-analyzer.js';
 import { TokenCalculator } from './token-calculator.js';
 import { createLogger } from '../utils/logger.js';
+import { getPricingRegistry } from './pricing.js';
+import { getCombinedUsageIndex } from './usage-index.js';
+import { getUsageLimitTracker } from './usage-limit.js';
+import { getUsageSourceRegistry } from './usage-sources.js';
+import { UsageForecaster } from './forecast.js';
 
 /**
  * 数据聚合器 - 整合会话分析和令牌计算功能
- * 提供统一的数据访问接口
+ * 提供统一的数据访问接口，数据来自持久化的使用量索引（UsageIndex）
+ * sources 为要合并的使用量来源（UsageSourceRegistry.resolve 的结果），默认是全部已启用来源
  */
 export class DataAggregator {
-    constructor(claudeConfigDir = null) {
-        this.sessionAnalyzer = new SessionAnalyzer(claudeConfigDir);
+    constructor(sources = getUsageSourceRegistry().resolve()) {
+        this.sources = sources;
+        this.sessionAnalyzer = new SessionAnalyzer(sources[0]?.claudeConfigDir);
         this.tokenCalculator = new TokenCalculator();
+        this.usageIndex = getCombinedUsageIndex(sources);
+        this.usageLimits = getUsageLimitTracker();
         this.logger = createLogger('DataAggregator');
         
-        // 多层次缓存系统
+        // 多层次缓存系统，索引数据变化（revision 递增）时缓存失效
         this.cache = new Map();
         this.sessionCache = new Map(); // 会话数据缓存
         this.blockCache = new Map();   // 会话块缓存
-        this.fileWatchCache = new Map(); // 文件修改时间缓存
         
         // 缓存配置
         this.cacheTimeout = 30000; // 30秒缓存
@@ -45,37 +53,12 @@ export class DataAggregator {
         return Date.now() - cacheEntry.timestamp < timeout;
     }
 
-    /**
-     * 检查文件系统是否有变化
-     */
-    hasFileSystemChanged() {
-        try {
-            const fs = require('fs');
-            const projectsDir = this.sessionAnalyzer.projectsDir;
-            
-            if (!fs.existsSync(projectsDir)) {
-                return false;
-            }
-            
-            const currentMtime = fs.statSync(projectsDir).mtime.getTime();
-            const cachedMtime = this.fileWatchCache.get('projectsDir');
-            
-            if (!cachedMtime || currentMtime > cachedMtime) {
-                this.fileWatchCache.set('projectsDir', currentMtime);
-                return true;
-            }
-            
-            return false;
-        } catch (error) {
-            this.logger.warn('检查文件系统变化时出错:', error);
-            return true; // 出错时假定有变化
-        }
-    }
-
     /**
      * 智能缓存 - 根据数据类型使用不同的缓存策略
      */
     async getSmartCached(cacheKey, executeMethod, cacheType = 'default') {
+        await this.usageIndex.ready();
+        const revision = this.usageIndex.revision;
         let cache, timeout;
         
         switch (cacheType) {
@@ -95,18 +78,10 @@ export class DataAggregator {
         const cached = cache.get(cacheKey);
         
         // 检查缓存有效性
-        if (cached && this.isCacheValid(cached, timeout)) {
-            // 对于会话数据，额外检查文件系统变化
-            if (cacheType === 'session' && this.hasFileSystemChanged()) {
-                this.logger.debug('文件系统有变化，清除会话缓存');
-                this.sessionCache.clear();
-                this.blockCache.clear();
-                this.cacheStats.misses++;
-            } else {
-                this.cacheStats.hits++;
-                this.logger.debug(`缓存命中: ${cacheKey} (${cacheType})`);
-                return cached.data;
-            }
+        if (cached && this.isCacheValid(cached, timeout) && cached.revision === revision) {
+            this.cacheStats.hits++;
+            this.logger.debug(`缓存命中: ${cacheKey} (${cacheType})`);
+            return cached.data;
         }
         
         // 缓存未命中，执行方法
@@ -121,6 +96,7 @@ export class DataAggregator {
         
         cache.set(cacheKey, {
             data,
+            revision,
             timestamp: Date.now(),
             duration
         });
@@ -139,19 +115,32 @@ export class DataAggregator {
      * 获取实时监控数据
      */
     async getRealTimeData() {
-        const cacheKey = this.getCacheKey('realtime');
+        const resetTimes = this.usageLimits.getResetTimes();
+        // 新的限额重置时间会改变窗口边界，需要让缓存失效
+        const cacheKey = this.getCacheKey('realtime', { resets: resetTimes.length ? resetTimes[resetTimes.length - 1].getTime() : null });
         
         return this.getSmartCached(cacheKey, () => {
             try {
-                const allSessions = this.sessionAnalyzer.getAllProjectSessions();
-                this.logger.info(`加载了 ${allSessions.length} 个会话记录`);
+                const summary = this.usageIndex.getSummary();
+                this.logger.info(`索引中共有 ${summary.count} 个会话记录`);
                 
-                if (allSessions.length === 0) {
+                if (summary.count === 0) {
                     return this.getEmptyStateData();
                 }
                 
-                // 获取当前活跃块（按原框架逻辑）
-                const activeBlock = this.sessionAnalyzer.getActiveSessionBlock(allSessions);
+                // 窗口从块内第一条消息开始，要看完整历史才能确定当前窗口的起点
+                const now = Date.now();
+                const windows = this.usageIndex.getSessionWindows({ resetTimes });
+                const latestWindow = windows[windows.length - 1];
+                const currentWindow = latestWindow && latestWindow.end.getTime() > now ? latestWindow : null;
+                
+                // 活跃块和燃烧率只需要当前窗口（或最近一个窗口时长）内的消息
+                const recentSessions = this.usageIndex.getMessages({
+                    from: currentWindow ? currentWindow.start : new Date(now - this.tokenCalculator.sessionWindow)
+                });
+                
+                // 获取当前活跃块
+                const activeBlock = this.sessionAnalyzer.getActiveSessionBlock([...recentSessions], 5, { resetTimes });
                 this.logger.debug(`当前活跃块:`, activeBlock ? `${activeBlock.sessions.length} 会话` : '无');
                 
                 // 计算当前活跃块的使用量
@@ -162,8 +151,12 @@ export class DataAggregator {
                         totalInputTokens: activeBlock.totalInputTokens,
                         totalOutputTokens: activeBlock.totalOutputTokens,
                         totalCacheTokens: activeBlock.totalCacheTokens,
+                        totalCacheCreationTokens: activeBlock.totalCacheCreationTokens,
+                        totalCacheReadTokens: activeBlock.totalCacheReadTokens,
                         totalCost: activeBlock.totalCost,
-                        totalMessages: activeBlock.totalMessages
+                        fallbackPricedCost: activeBlock.fallbackPricedCost,
+                        totalMessages: activeBlock.totalMessages,
+                        sourceUsage: activeBlock.sourceUsage
                     };
                 } else {
                     // 没有活跃块，返回空使用量
@@ -172,13 +165,17 @@ export class DataAggregator {
                         totalInputTokens: 0,
                         totalOutputTokens: 0,
                         totalCacheTokens: 0,
+                        totalCacheCreationTokens: 0,
+                        totalCacheReadTokens: 0,
                         totalCost: 0,
-                        totalMessages: 0
+                        fallbackPricedCost: 0,
+                        totalMessages: 0,
+                        sourceUsage: {}
                     };
                 }
                 
                 // 检测订阅计划
-                const planDetection = this.tokenCalculator.detectSubscriptionPlan(allSessions);
+                const planDetection = this.detectSubscriptionPlan(resetTimes, windows);
                 
                 // 计算模型使用分布（基于活跃块）
                 let modelDistribution = {};
@@ -187,7 +184,7 @@ export class DataAggregator {
                 }
                 
                 // 计算燃烧率
-                const burnRate = this.tokenCalculator.calculateBurnRate(allSessions, 60);
+                const burnRate = this.tokenCalculator.calculateBurnRate(recentSessions, 60);
                 
                 // 预设限制值
                 const limits = this.getPlanLimits(planDetection.plan, planDetection.detectedLimit);
@@ -208,30 +205,27 @@ export class DataAggregator {
                 );
                 
                 // 计算重置窗口（基于活跃块）
-                let windowStart, windowEnd, timeToReset;
+                const activeReset = this.usageLimits.getActiveReset();
+                let windowStart, windowEnd, resetSource;
                 
                 if (activeBlock) {
-                    // 使用活跃块的时间窗口
                     windowStart = activeBlock.startTime;
                     windowEnd = activeBlock.endTime;
-                    timeToReset = windowEnd.getTime() - Date.now();
+                    resetSource = activeReset && activeReset.getTime() === windowEnd.getTime() ? 'usage-limit' : 'first-message';
                 } else {
-                    // 没有活跃块，使用当前时间的窗口
-                    const now = new Date();
-                    const currentHour = now.getHours();
-                    const windowStartHour = Math.floor(currentHour / 5) * 5;
-                    
+                    // 没有活跃块：下一个窗口将从下一条消息所在的整点开始
                     windowStart = new Date(now);
-                    windowStart.setHours(windowStartHour, 0, 0, 0);
-                    
-                    windowEnd = new Date(windowStart);
-                    windowEnd.setHours(windowStartHour + 5, 0, 0, 0);
-                    
-                    timeToReset = windowEnd.getTime() - Date.now();
+                    windowStart.setMinutes(0, 0, 0);
+                    windowEnd = new Date(windowStart.getTime() + this.tokenCalculator.sessionWindow);
+                    resetSource = null;
                 }
+                const timeToReset = windowEnd.getTime() - now;
 
                 return {
                     currentUsage,
+                    pricing: this.getPricingSummary(
+                        this.tokenCalculator.getFallbackPricedModels(activeBlock ? activeBlock.sessions : [])
+                    ),
                     limits,
                     planDetection,
                     modelDistribution, // 添加模型分布数据
@@ -242,18 +236,22 @@ export class DataAggregator {
                     },
                     warnings,
                     activeSessions: activeBlock ? activeBlock.sessions.length : 0,
+                    sources: this.getSourceLabels(),
                     lastUpdated: new Date(),
                     sessionWindow: {
                         start: windowStart,
                         end: windowEnd,
                         timeToReset: timeToReset,
-                        resetTime: new Date(Date.now() + timeToReset)
+                        resetTime: windowEnd,
+                        // 'usage-limit'：来自 CLI 限额提示的准确时间；'first-message'：由窗口第一条消息推算；null：没有活跃窗口
+                        resetSource,
+                        active: !!activeBlock
                     },
                     debug: {
-                        totalSessionsFound: allSessions.length,
+                        totalSessionsFound: summary.count,
                         activeSessionsInWindow: activeBlock ? activeBlock.sessions.length : 0,
-                        oldestSession: allSessions.length > 0 ? allSessions[allSessions.length - 1].timestamp : null,
-                        newestSession: allSessions.length > 0 ? allSessions[0].timestamp : null,
+                        oldestSession: summary.oldest,
+                        newestSession: summary.newest,
                         activeBlockInfo: activeBlock ? {
                             id: activeBlock.id,
                             startTime: activeBlock.startTime,
@@ -276,28 +274,24 @@ export class DataAggregator {
         const cacheKey = this.getCacheKey('daily', { days });
         
         return this.getCachedOrExecute(cacheKey, () => {
-            const allSessions = this.sessionAnalyzer.getAllProjectSessions();
-            
-            // 过滤最近N天的数据
+            // 最近N天的数据，在索引中按本地日期汇总
             const cutoffDate = new Date();
             cutoffDate.setDate(cutoffDate.getDate() - days);
-            const recentSessions = this.sessionAnalyzer.filterSessionsByTimeRange(
-                allSessions, 
-                cutoffDate, 
-                new Date()
-            );
+            const range = { from: cutoffDate, to: new Date() };
             
-            const sessionsByDate = this.sessionAnalyzer.groupSessionsByDate(recentSessions);
-            const dailyReport = this.tokenCalculator.generateDailyReport(sessionsByDate);
+            const dailyReport = this.tokenCalculator.generateDailyReportFromAggregates(
+                this.usageIndex.getDailyAggregates(range)
+            );
             
             return {
                 report: dailyReport,
                 totalDays: dailyReport.length,
                 dateRange: {
-                    start: cutoffDate,
-                    end: new Date()
+                    start: range.from,
+                    end: range.to
                 },
-                summary: this.generateDailySummary(dailyReport)
+                summary: this.generateDailySummary(dailyReport),
+                pricing: this.getPricingSummary(this.usageIndex.getFallbackPricedModels(range))
             };
         });
     }
@@ -309,32 +303,140 @@ export class DataAggregator {
         const cacheKey = this.getCacheKey('monthly', { months });
         
         return this.getCachedOrExecute(cacheKey, () => {
-            const allSessions = this.sessionAnalyzer.getAllProjectSessions();
-            
-            // 过滤最近N个月的数据
+            // 最近N个月的数据，在索引中按本地日期汇总后再归并到月份
             const cutoffDate = new Date();
             cutoffDate.setMonth(cutoffDate.getMonth() - months);
-            const recentSessions = this.sessionAnalyzer.filterSessionsByTimeRange(
-                allSessions,
-                cutoffDate,
-                new Date()
-            );
+            const range = { from: cutoffDate, to: new Date() };
             
-            const sessionsByMonth = this.sessionAnalyzer.groupSessionsByMonth(recentSessions);
-            const monthlyReport = this.tokenCalculator.generateMonthlyReport(sessionsByMonth);
+            const monthlyReport = this.tokenCalculator.generateMonthlyReportFromAggregates(
+                this.usageIndex.getDailyAggregates(range)
+            );
             
             return {
                 report: monthlyReport,
                 totalMonths: monthlyReport.length,
                 dateRange: {
-                    start: cutoffDate,
-                    end: new Date()
+                    start: range.from,
+                    end: range.to
                 },
-                summary: this.generateMonthlySummary(monthlyReport)
+                summary: this.generateMonthlySummary(monthlyReport),
+                pricing: this.getPricingSummary(this.usageIndex.getFallbackPricedModels(range))
+            };
+        });
+    }
+
+    /**
+     * 获取月末预测和周期对比
+     * options: { project, lookbackDays, comparePeriods }
+     */
+    async getForecast({ project = null, lookbackDays = 56, comparePeriods = 3 } = {}) {
+        const cacheKey = this.getCacheKey('forecast', { project, lookbackDays, comparePeriods });
+        
+        return this.getCachedOrExecute(cacheKey, () => {
+            const now = new Date();
+            const forecaster = new UsageForecaster({ lookbackDays, comparePeriods });
+            const range = { from: forecaster.getHistoryStart(now), to: now, project };
+            const daily = forecaster.sumDailyAggregates(this.usageIndex.getDailyAggregates(range));
+            
+            return {
+                ...forecaster.buildForecast(daily, now),
+                pricing: this.getPricingSummary(this.usageIndex.getFallbackPricedModels(range))
             };
         });
     }
 
+    /**
+     * 获取按项目汇总的使用量
+     * options: { from, to, sort, order }
+     */
+    async getProjectBreakdown({ from, to, sort = 'cost', order = 'desc' }) {
+        const cacheKey = this.getCacheKey('projects', { from, to, sort, order });
+
+        return this.getCachedOrExecute(cacheKey, () => {
+            const sessions = this.usageIndex.getMessages({ from, to });
+            const projects = this.sortBreakdown(this.tokenCalculator.generateProjectReport(sessions), sort, order);
+
+            return {
+                projects,
+                totals: this.tokenCalculator.calculateSessionStats(sessions),
+                dateRange: { start: from, end: to },
+                pricing: this.getPricingSummary(this.tokenCalculator.getFallbackPricedModels(sessions))
+            };
+        });
+    }
+
+    /**
+     * 获取按会话汇总的使用量（分页）
+     * options: { from, to, project, sort, order, limit, offset }
+     */
+    async getSessionBreakdown({ from, to, project = null, sort = 'cost', order = 'desc', limit = 50, offset = 0 }) {
+        const cacheKey = this.getCacheKey('sessions', { from, to, project, sort, order });
+
+        const sessions = await this.getCachedOrExecute(cacheKey, () => {
+            const messages = this.usageIndex.getMessages({ from, to, project });
+            return this.sortBreakdown(this.tokenCalculator.generateSessionReport(messages), sort, order);
+        });
+
+        return {
+            sessions: sessions.slice(offset, offset + limit),
+            total: sessions.length,
+            hasMore: offset + limit < sessions.length,
+            dateRange: { start: from, end: to }
+        };
+    }
+
+    /**
+     * 按指定字段排序项目/会话汇总
+     */
+    sortBreakdown(items, sort, order) {
+        const sortKeys = {
+            cost: item => item.stats.totalCost,
+            tokens: item => item.stats.totalTokens,
+            messages: item => item.stats.totalMessages,
+            sessions: item => item.sessionCount || 0,
+            lastActivity: item => item.lastActivity?.getTime() || 0
+        };
+        const getKey = sortKeys[sort] || sortKeys.cost;
+        const direction = order === 'asc' ? 1 : -1;
+
+        return [...items].sort((a, b) => (getKey(a) - getKey(b)) * direction);
+    }
+
+    /**
+     * 定价表版本及按回退价格估算的模型
+     * fallbackModels 来自 TokenCalculator.getFallbackPricedModels 或 UsageIndex.getFallbackPricedModels
+     */
+    getPricingSummary(fallbackModels) {
+        const pricing = getPricingRegistry();
+
+        return {
+            version: pricing.version,
+            updated: pricing.updated,
+            overridesLoaded: pricing.overridesLoaded,
+            overridesError: pricing.overridesError,
+            pricedWithFallback: fallbackModels.length > 0,
+            fallbackModels
+        };
+    }
+
+    /**
+     * 本聚合器合并的来源（id 和名称），供界面显示 sourceUsage
+     */
+    getSourceLabels() {
+        return this.sources.map(({ id, label }) => ({ id, label }));
+    }
+
+    /**
+     * 检测订阅计划；以限额提示的重置时间结束的窗口即触发过限额的窗口，其用量就是真实上限
+     */
+    detectSubscriptionPlan(resetTimes = this.usageLimits.getResetTimes(), windows = this.usageIndex.getSessionWindows({ resetTimes })) {
+        const resetEnds = new Set(resetTimes.map(resetAt => resetAt.getTime()));
+        const limitHitUsages = windows
+            .filter(window => resetEnds.has(window.end.getTime()))
+            .map(window => window.tokens);
+        return this.tokenCalculator.detectPlanFromWindowUsages(windows.map(window => window.tokens), limitHitUsages);
+    }
+
     /**
      * 获取计划限制配置
      */
@@ -487,9 +589,14 @@ export class DataAggregator {
                 totalInputTokens: 0,
                 totalOutputTokens: 0,
                 totalCacheTokens: 0,
+                totalCacheCreationTokens: 0,
+                totalCacheReadTokens: 0,
                 totalCost: 0,
-                totalMessages: 0
+                fallbackPricedCost: 0,
+                totalMessages: 0,
+                sourceUsage: {}
             },
+            pricing: this.getPricingSummary([]),
             limits: this.getPlanLimits('unknown'),
             planDetection: {
                 plan: 'unknown',
@@ -503,13 +610,19 @@ export class DataAggregator {
             },
             warnings: errorMessage ? [{
                 type: 'warning',
+                code: 'DATA_LOAD_FAILED',
+                params: { error: errorMessage },
                 message: `数据加载失败: ${errorMessage}`
             }] : [],
             activeSessions: 0,
+            sources: this.getSourceLabels(),
             lastUpdated: new Date(),
             sessionWindow: {
                 start: new Date(Date.now() - (5 * 60 * 60 * 1000)),
-                end: new Date()
+                end: new Date(),
+                timeToReset: 0,
+                resetSource: null,
+                active: false
             },
             debug: {
                 totalSessionsFound: 0,
@@ -528,7 +641,8 @@ export class DataAggregator {
         this.cache.clear();
         this.sessionCache.clear();
         this.blockCache.clear();
-        this.fileWatchCache.clear();
+        getPricingRegistry().load();
+        this.usageIndex.invalidate();
         this.logger.info('所有缓存已清除');
     }
 
@@ -546,8 +660,8 @@ export class DataAggregator {
                 this.logger.info('会话块缓存已清除');
                 break;
             case 'file':
-                this.fileWatchCache.clear();
-                this.logger.info('文件监控缓存已清除');
+                this.usageIndex.invalidate();
+                this.logger.info('使用量索引将在下次查询时重新扫描文件');
                 break;
             default:
                 this.cache.clear();
@@ -572,8 +686,7 @@ export class DataAggregator {
             cacheSize: {
                 default: this.cache.size,
                 session: this.sessionCache.size,
-                block: this.blockCache.size,
-                fileWatch: this.fileWatchCache.size
+                block: this.blockCache.size
             }
         };
     }
@@ -618,10 +731,12 @@ export class DataAggregator {
             cacheSize: this.cache.size,
             cacheTimeout: this.cacheTimeout,
             claudeConfigDir: this.sessionAnalyzer.claudeConfigDir,
+            sources: this.sources.map(({ id, label, claudeConfigDir }) => ({ id, label, claudeConfigDir })),
             lastCacheUpdate: this.cache.size > 0 
                 ? Math.max(...Array.from(this.cache.values()).map(entry => entry.timestamp))
                 : null,
             cacheStats,
+            usageIndex: this.usageIndex.getStats(),
             performance: {
                 sessionCacheTimeout: this.sessionCacheTimeout,
                 blockCacheTimeout: this.blockCacheTimeout,
@@ -629,4 +744,23 @@ export class DataAggregator {
             }
         };
     }
-}
\ No newline at end of file
+}
+
+const dataAggregators = new Map();
+
+/**
+ * 按来源选择获取数据聚合器（相同来源组合复用同一个实例，保留各自的缓存）
+ * sourceIds 为空时使用全部已启用来源；选择了不存在或已停用的来源时返回 null
+ */
+export function getDataAggregator(sourceIds = null) {
+    const sources = getUsageSourceRegistry().resolve(sourceIds);
+    if (!sources) {
+        return null;
+    }
+
+    const key = sources.map(source => `${source.id}:${source.claudeConfigDir}`).join('|');
+    if (!dataAggregators.has(key)) {
+        dataAggregators.set(key, new DataAggregator(sources));
+    }
+    return dataAggregators.get(key);
+}
@@ -0,0 +1,285 @@
+/**
+ * 使用量预测 - 根据每日历史数据按星期几预测月末成本，并把当前周期与之前的周期对比
+ *
+ * 输入为按本地日期汇总的每日数据 Map<'YYYY-MM-DD', { cost, tokens }>（可由 UsageIndex.getDailyAggregates 得到），
+ * 没有使用记录的日期按 0 计算，这样周末不用的习惯也能体现在预测中
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 80% 区间
+const INTERVAL_Z = 1.2816;
+// 历史不足这么多天时，星期几的样本太少，改用整体日均值
+const MIN_WEEKDAY_HISTORY_DAYS = 14;
+
+export const FORECAST_METRICS = ['cost', 'tokens'];
+
+export function formatDayKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function parseDayKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function variance(values) {
+    if (values.length < 2) return 0;
+    const average = mean(values);
+    return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+function percentChange(current, previous) {
+    return previous > 0 ? ((current - previous) / previous) * 100 : null;
+}
+
+export class UsageForecaster {
+    /**
+     * @param {Object} options
+     * @param {number} options.lookbackDays - 用于建模的历史天数（不含今天）
+     * @param {number} options.comparePeriods - 对比之前多少个月 / 周
+     */
+    constructor({ lookbackDays = 56, comparePeriods = 3 } = {}) {
+        this.lookbackDays = lookbackDays;
+        this.comparePeriods = comparePeriods;
+    }
+
+    /**
+     * 需要从索引读取的最早日期：建模历史和对比周期中较早的那个
+     */
+    getHistoryStart(now = new Date()) {
+        const lookbackStart = addDays(startOfDay(now), -this.lookbackDays);
+        const compareStart = new Date(now.getFullYear(), now.getMonth() - this.comparePeriods, 1);
+        return lookbackStart < compareStart ? lookbackStart : compareStart;
+    }
+
+    /**
+     * 把 UsageIndex.getDailyAggregates 的结果（按日期和模型）合并为按日期的总量
+     */
+    sumDailyAggregates(aggregates) {
+        const daily = new Map();
+        for (const row of aggregates) {
+            const totals = daily.get(row.day) || { cost: 0, tokens: 0 };
+            totals.cost += row.cost;
+            totals.tokens += row.inputTokens + row.outputTokens;
+            daily.set(row.day, totals);
+        }
+        return daily;
+    }
+
+    /**
+     * 每个星期几（0=周日）的日均值和方差
+     * 历史从 firstDay（第一条记录）和回看窗口中较晚者开始，避免把尚未开始使用的日子算成 0
+     */
+    buildWeekdayModel(daily, metric, now, firstDay) {
+        const today = startOfDay(now);
+        let start = addDays(today, -this.lookbackDays);
+        if (firstDay && firstDay > start) {
+            start = firstDay;
+        }
+
+        const samples = Array.from({ length: 7 }, () => []);
+        const all = [];
+        for (let date = start; date < today; date = addDays(date, 1)) {
+            const value = daily.get(formatDayKey(date))?.[metric] || 0;
+            samples[date.getDay()].push(value);
+            all.push(value);
+        }
+
+        const weekdayAware = all.length >= MIN_WEEKDAY_HISTORY_DAYS;
+        const overall = { mean: mean(all), variance: variance(all) };
+        return {
+            weekdayAware,
+            historyDays: all.length,
+            weekdays: samples.map(values => weekdayAware && values.length > 0
+                ? { mean: mean(values), variance: variance(values) }
+                : overall)
+        };
+    }
+
+    /**
+     * 预测本月剩余天数并生成逐日累计曲线
+     */
+    projectMonth(daily, metric, model, now) {
+        const today = startOfDay(now);
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+        const daysInMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate();
+
+        // 今天剩余的时间按当天星期几的日均值比例计入
+        const dayFractionLeft = 1 - (now.getTime() - today.getTime()) / DAY_MS;
+        const todayModel = model.weekdays[today.getDay()];
+
+        let actual = 0;
+        let projected = 0;
+        let projectedVariance = 0;
+        const series = [];
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(monthStart.getFullYear(), monthStart.getMonth(), day);
+            const value = daily.get(formatDayKey(date))?.[metric] || 0;
+            const point = { day, date: formatDayKey(date) };
+
+            if (date < today) {
+                actual += value;
+                point.actual = actual;
+            } else if (date.getTime() === today.getTime()) {
+                actual += value;
+                projected = actual + todayModel.mean * dayFractionLeft;
+                projectedVariance = todayModel.variance * dayFractionLeft;
+                point.actual = actual;
+                point.projected = projected;
+            } else {
+                const weekday = model.weekdays[date.getDay()];
+                projected += weekday.mean;
+                projectedVariance += weekday.variance;
+                point.projected = projected;
+            }
+
+            if (point.projected !== undefined) {
+                const margin = INTERVAL_Z * Math.sqrt(projectedVariance);
+                point.low = Math.max(actual, projected - margin);
+                point.high = projected + margin;
+            }
+            series.push(point);
+        }
+
+        const last = series[series.length - 1];
+        return {
+            monthToDate: actual,
+            projected: last.projected,
+            low: last.low,
+            high: last.high,
+            series
+        };
+    }
+
+    /**
+     * 当前月 / 周与之前若干个周期在相同进度时的对比
+     * 月份对比到“第 N 天”为止（上个月天数不足时取月末），周对比到“周几”为止（周一起）
+     */
+    comparePeriodsOf(daily, now, type) {
+        const today = startOfDay(now);
+        const sumRange = (start, end) => {
+            const totals = { cost: 0, tokens: 0 };
+            for (let date = start; date < end; date = addDays(date, 1)) {
+                const value = daily.get(formatDayKey(date));
+                if (value) {
+                    totals.cost += value.cost;
+                    totals.tokens += value.tokens;
+                }
+            }
+            return totals;
+        };
+
+        const periods = [];
+        for (let offset = 0; offset <= this.comparePeriods; offset++) {
+            let start, end, toDateEnd, label;
+            if (type === 'month') {
+                start = new Date(now.getFullYear(), now.getMonth() - offset, 1);
+                end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+                const daysInMonth = addDays(end, -1).getDate();
+                toDateEnd = addDays(start, Math.min(today.getDate(), daysInMonth));
+                label = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+            } else {
+                const weekStart = addDays(today, -((today.getDay() + 6) % 7));
+                start = addDays(weekStart, -7 * offset);
+                end = addDays(start, 7);
+                toDateEnd = addDays(start, (today.getDay() + 6) % 7 + 1);
+                label = formatDayKey(start);
+            }
+
+            periods.push({
+                label,
+                start,
+                end,
+                current: offset === 0,
+                toDate: sumRange(start, toDateEnd),
+                // 当前周期尚未结束，total 只统计到今天
+                total: sumRange(start, offset === 0 ? addDays(today, 1) : end)
+            });
+        }
+
+        const [current, ...previous] = periods;
+        const previousAverage = {
+            cost: mean(previous.map(period => period.toDate.cost)),
+            tokens: mean(previous.map(period => period.toDate.tokens))
+        };
+        return {
+            periods,
+            change: {
+                vsPrevious: previous.length > 0 ? {
+                    cost: percentChange(current.toDate.cost, previous[0].toDate.cost),
+                    tokens: percentChange(current.toDate.tokens, previous[0].toDate.tokens)
+                } : null,
+                vsAverage: previous.length > 0 ? {
+                    cost: percentChange(current.toDate.cost, previousAverage.cost),
+                    tokens: percentChange(current.toDate.tokens, previousAverage.tokens)
+                } : null
+            }
+        };
+    }
+
+    /**
+     * 生成完整的预测结果
+     * @param {Map<string, {cost: number, tokens: number}>} daily - 按本地日期的每日总量
+     */
+    buildForecast(daily, now = new Date()) {
+        const recordedDays = Array.from(daily.keys()).sort();
+        const firstDay = recordedDays.length > 0 ? parseDayKey(recordedDays[0]) : null;
+
+        const projections = {};
+        let model = null;
+        for (const metric of FORECAST_METRICS) {
+            model = this.buildWeekdayModel(daily, metric, now, firstDay);
+            projections[metric] = {
+                ...this.projectMonth(daily, metric, model, now),
+                weekdayAverages: model.weekdays.map(weekday => weekday.mean)
+            };
+        }
+
+        // 上个月的累计曲线，按“第 N 天”对齐到本月的图表上
+        const previousMonthStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+        const previousDays = new Date(now.getFullYear(), now.getMonth(), 0).getDate();
+        let previousCost = 0;
+        for (const point of projections.cost.series) {
+            if (point.day <= previousDays) {
+                const date = new Date(previousMonthStart.getFullYear(), previousMonthStart.getMonth(), point.day);
+                previousCost += daily.get(formatDayKey(date))?.cost || 0;
+                point.previousMonth = previousCost;
+            }
+        }
+
+        return {
+            generatedAt: now,
+            model: {
+                lookbackDays: this.lookbackDays,
+                historyDays: model.historyDays,
+                weekdayAware: model.weekdayAware
+            },
+            month: {
+                label: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`,
+                daysInMonth: projections.cost.series.length,
+                daysElapsed: now.getDate(),
+                cost: projections.cost,
+                tokens: projections.tokens
+            },
+            comparisons: {
+                month: this.comparePeriodsOf(daily, now, 'month'),
+                week: this.comparePeriodsOf(daily, now, 'week')
+            }
+        };
+    }
+}
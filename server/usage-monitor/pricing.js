@@ -0,0 +1,195 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const BUNDLED_PRICING_FILE = path.join(__dirname, 'pricing.json');
+const OVERRIDES_FILE = path.join(os.homedir(), '.claude-code-ui', 'pricing.json');
+const OVERRIDES_CHECK_INTERVAL = 5000;
+const RATE_FIELDS = ['input', 'output', 'cacheWrite', 'cacheWrite1h', 'cacheRead'];
+
+/**
+ * 模型定价表 - 从 pricing.json 加载，可用 ~/.claude-code-ui/pricing.json 覆盖
+ * 价格单位为每百万 token 的美元价格，按最长前缀匹配模型 ID；
+ * 未匹配的模型按模型系列（opus/sonnet/haiku）回退估算，并标记 isFallback
+ *
+ * 覆盖文件与内置文件格式相同，只需列出要修改或新增的条目：
+ * { "models": [{ "prefix": "claude-sonnet-4-5", "input": 3, "output": 15 }], "fallbacks": { "default": "claude-sonnet-4" } }
+ */
+export class PricingRegistry {
+    constructor({ pricingFile = BUNDLED_PRICING_FILE, overridesFile = OVERRIDES_FILE } = {}) {
+        this.pricingFile = pricingFile;
+        this.overridesFile = overridesFile;
+        this.logger = createLogger('PricingRegistry');
+        this.overridesMtime = null;
+        this.lastOverridesCheck = 0;
+        this.load();
+    }
+
+    /**
+     * 读取内置定价表并合并用户覆盖
+     */
+    load() {
+        const bundled = JSON.parse(fs.readFileSync(this.pricingFile, 'utf8'));
+        let entries = new Map(bundled.models.map(entry => [entry.prefix, this.normalizeEntry(entry)]));
+        let fallbacks = { ...bundled.fallbacks };
+
+        this.overridesError = null;
+        this.overridesLoaded = false;
+        try {
+            if (fs.existsSync(this.overridesFile)) {
+                this.overridesMtime = fs.statSync(this.overridesFile).mtimeMs;
+                const overrides = JSON.parse(fs.readFileSync(this.overridesFile, 'utf8'));
+                const merged = new Map(entries);
+                for (const entry of overrides.models || []) {
+                    const isNew = entry && !merged.has(entry.prefix);
+                    if (!entry || typeof entry.prefix !== 'string' ||
+                        (isNew && (typeof entry.input !== 'number' || typeof entry.output !== 'number'))) {
+                        throw new Error(`无效的定价条目: ${JSON.stringify(entry)}`);
+                    }
+                    merged.set(entry.prefix, this.normalizeEntry({ ...merged.get(entry.prefix), ...entry }, true));
+                }
+                entries = merged;
+                fallbacks = { ...fallbacks, ...overrides.fallbacks };
+                this.overridesLoaded = true;
+                this.logger.info(`已加载用户定价覆盖: ${this.overridesFile}`);
+            } else {
+                this.overridesMtime = null;
+            }
+        } catch (error) {
+            // 覆盖文件有误时继续使用内置定价
+            this.overridesError = error.message;
+            this.logger.warn(`用户定价覆盖加载失败，使用内置定价: ${error.message}`);
+        }
+
+        this.version = bundled.version;
+        this.updated = bundled.updated;
+        this.currency = bundled.currency;
+        // 最长前缀优先，这样 claude-opus-4-5 不会被 claude-opus-4 抢先匹配
+        this.entries = [...entries.values()].sort((a, b) => b.prefix.length - a.prefix.length);
+        this.fallbacks = fallbacks;
+        this.resolveCache = new Map();
+    }
+
+    /**
+     * 校验价格并补全缺失的缓存价格（按 Anthropic 的倍率：写入 1.25x、1h 写入 2x、读取 0.1x 输入价格）
+     */
+    normalizeEntry(entry, isOverride = false) {
+        for (const field of RATE_FIELDS) {
+            if (entry[field] !== undefined && (typeof entry[field] !== 'number' || entry[field] < 0)) {
+                throw new Error(`${entry.prefix} 的 ${field} 价格无效`);
+            }
+        }
+        return {
+            prefix: entry.prefix,
+            input: entry.input,
+            output: entry.output,
+            cacheWrite: entry.cacheWrite ?? entry.input * 1.25,
+            cacheWrite1h: entry.cacheWrite1h ?? entry.input * 2,
+            cacheRead: entry.cacheRead ?? entry.input * 0.1,
+            isOverride: isOverride || !!entry.isOverride
+        };
+    }
+
+    /**
+     * 覆盖文件变化时重新加载（最多每 5 秒检查一次）
+     */
+    reloadIfChanged() {
+        const now = Date.now();
+        if (now - this.lastOverridesCheck < OVERRIDES_CHECK_INTERVAL) return;
+        this.lastOverridesCheck = now;
+
+        let mtime = null;
+        try {
+            mtime = fs.statSync(this.overridesFile).mtimeMs;
+        } catch (error) {
+            // 覆盖文件不存在
+        }
+        if (mtime !== this.overridesMtime) {
+            this.load();
+        }
+    }
+
+    /**
+     * 查找模型的定价
+     * 返回 { pricing, pricedAs, isFallback }
+     */
+    resolve(model) {
+        const key = model || 'unknown';
+        if (this.resolveCache.has(key)) {
+            return this.resolveCache.get(key);
+        }
+
+        // 去掉 Bedrock/Vertex 等平台前缀，例如 us.anthropic.claude-... 或 anthropic/claude-...
+        const normalized = key.toLowerCase().replace(/^.*?(?=claude-)/, '');
+        let entry = this.entries.find(candidate => normalized.startsWith(candidate.prefix));
+        let isFallback = false;
+
+        if (!entry) {
+            const family = ['opus', 'sonnet', 'haiku'].find(name => normalized.includes(name)) || 'default';
+            const fallbackPrefix = this.fallbacks[family] || this.fallbacks.default;
+            entry = this.entries.find(candidate => candidate.prefix === fallbackPrefix) || this.entries[0];
+            isFallback = true;
+        }
+
+        const result = { pricing: entry, pricedAs: entry.prefix, isFallback };
+        this.resolveCache.set(key, result);
+        return result;
+    }
+
+    /**
+     * 计算一条 assistant 消息的成本（美元）
+     * usage 为 Claude API 原始格式：input_tokens、output_tokens、
+     * cache_creation_input_tokens、cache_read_input_tokens 以及可选的 cache_creation 明细
+     */
+    calculateCost(usage, model) {
+        const { pricing, pricedAs, isFallback } = this.resolve(model);
+
+        const cacheCreationTokens = usage.cache_creation_input_tokens || usage.cache_tokens || 0;
+        const cacheWrite1hTokens = Math.min(usage.cache_creation?.ephemeral_1h_input_tokens || 0, cacheCreationTokens);
+
+        const breakdown = {
+            input: (usage.input_tokens || 0) * pricing.input,
+            output: (usage.output_tokens || 0) * pricing.output,
+            cacheWrite: (cacheCreationTokens - cacheWrite1hTokens) * pricing.cacheWrite + cacheWrite1hTokens * pricing.cacheWrite1h,
+            cacheRead: (usage.cache_read_input_tokens || 0) * pricing.cacheRead
+        };
+        for (const key of Object.keys(breakdown)) {
+            breakdown[key] /= 1000000;
+        }
+
+        return {
+            cost: breakdown.input + breakdown.output + breakdown.cacheWrite + breakdown.cacheRead,
+            breakdown,
+            pricedAs,
+            isFallback
+        };
+    }
+
+    /**
+     * 定价表概况，用于前端展示
+     */
+    getInfo() {
+        return {
+            version: this.version,
+            updated: this.updated,
+            currency: this.currency,
+            overridesFile: this.overridesFile,
+            overridesLoaded: this.overridesLoaded,
+            overridesError: this.overridesError,
+            models: this.entries
+        };
+    }
+}
+
+let pricingRegistry = null;
+
+export function getPricingRegistry() {
+    if (!pricingRegistry) {
+        pricingRegistry = new PricingRegistry();
+    }
+    return pricingRegistry;
+}
@@ -2,6 +2,39 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { createLogger } from '../utils/logger.js';
+import { getPricingRegistry } from './pricing.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * 5小时窗口划分器 - 与服务端一致：窗口从块内第一条消息所在的整点开始，持续 windowHours，
+ * 窗口结束后的第一条消息才开启新窗口（而不是按一天内固定的 0/5/10/15/20 点切分）
+ *
+ * resetTimes 为从 "Claude AI usage limit reached|<epoch>" 中得到的准确重置时间，
+ * 落在 [resetAt - windowHours, resetAt) 内的消息一律归入以该 resetAt 结束的窗口
+ *
+ * 返回函数 assign(timestamp)：消息属于当前窗口时返回 null，否则返回新窗口 { start, end }；
+ * 消息必须按时间升序传入
+ */
+export function createWindowAssigner(windowHours = 5, { resetTimes = [] } = {}) {
+    const windowMs = windowHours * HOUR_MS;
+    const pinnedEnds = resetTimes.map(resetAt => new Date(resetAt).getTime()).sort((a, b) => a - b);
+    let current = null;
+
+    return (timestamp) => {
+        const time = new Date(timestamp).getTime();
+        const pinnedEnd = pinnedEnds.find(end => time >= end - windowMs && time < end);
+        const pinnedStart = pinnedEnd !== undefined ? pinnedEnd - windowMs : null;
+
+        if (current && time < current.end && (pinnedStart === null || current.start === pinnedStart)) {
+            return null;
+        }
+
+        const start = pinnedStart !== null ? pinnedStart : Math.floor(time / HOUR_MS) * HOUR_MS;
+        current = { start, end: start + windowMs };
+        return { start: new Date(current.start), end: new Date(current.end) };
+    };
+}
 
 /**
  * Claude会话分析器 - 移植自Python版本的核心功能
@@ -12,6 +45,7 @@ export class SessionAnalyzer {
         this.claudeConfigDir = claudeConfigDir || path.join(os.homedir(), '.claude');
         this.projectsDir = path.join(this.claudeConfigDir, 'projects');
         this.logger = createLogger('SessionAnalyzer');
+        this.pricing = getPricingRegistry();
     }
 
     /**
@@ -81,6 +115,61 @@ export class SessionAnalyzer {
         }
     }
 
+    /**
+     * 按 parseJsonlFile 的规则逐行校验 JSONL 内容（用于导入会话）
+     * 与 parseJsonlFile 不同，这里不会静默跳过问题行，而是逐条报告
+     */
+    validateJsonlContent(content) {
+        const lines = content.split('\n');
+        const entries = [];
+        const invalidLines = [];
+        const repairedLines = [];
+        let usageEntries = 0;
+        let totalLines = 0;
+
+        for (let i = 0; i < lines.length; i++) {
+            const rawLine = lines[i];
+            if (!rawLine.trim()) continue;
+            totalLines++;
+
+            let data;
+            try {
+                data = JSON.parse(rawLine);
+            } catch (error) {
+                // 与解析器一致：先尝试修复常见的格式问题
+                const fixedLine = this.tryFixJsonLine(rawLine);
+                try {
+                    data = JSON.parse(fixedLine);
+                    repairedLines.push({ line: i + 1, preview: rawLine.slice(0, 120) });
+                } catch (fixError) {
+                    invalidLines.push({
+                        line: i + 1,
+                        reason: this.tryRecoverPartialData(rawLine) ? '数据被截断，无法恢复' : `JSON 解析失败: ${ error.message }`,
+                        preview: rawLine.slice(0, 120)
+                    });
+                    continue;
+                }
+            }
+
+            if (data && data.type === 'summary') {
+                entries.push(data);
+            } else if (this.isValidSessionData(data)) {
+                usageEntries++;
+                entries.push(data);
+            } else if (this.isIncompleteSessionData(data) || (data && data.sessionId)) {
+                entries.push(data);
+            } else {
+                invalidLines.push({
+                    line: i + 1,
+                    reason: '无法识别的记录（缺少 sessionId 或消息内容）',
+                    preview: rawLine.slice(0, 120)
+                });
+            }
+        }
+
+        return { entries, invalidLines, repairedLines, usageEntries, totalLines };
+    }
+
     /**
      * 验证会话数据的有效性
      */
@@ -149,14 +238,20 @@ export class SessionAnalyzer {
         
         // 从 Claude CLI 的 assistant 响应中提取使用量数据
         const usage = data.message.usage;
-        const model = data.message.model || 'claude-3-sonnet-20240229';
+        const model = data.message.model || 'unknown';
+        const cacheCreationTokens = usage.cache_creation_input_tokens || usage.cache_tokens || 0;
+        const cacheReadTokens = usage.cache_read_input_tokens || 0;
         
         const normalizedUsage = {
             inputTokens: usage.input_tokens || 0,
             outputTokens: usage.output_tokens || 0,
-            cacheTokens: usage.cache_creation_input_tokens || usage.cache_tokens || 0,
+            cacheCreationTokens,
+            cacheReadTokens,
+            // cacheTokens 沿用原含义（仅缓存创建），缓存读取单独放在 cacheReadTokens
+            cacheTokens: cacheCreationTokens,
             totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0),
         };
+        const pricing = this.pricing.calculateCost(usage, model);
         
         return {
             timestamp,
@@ -164,7 +259,10 @@ export class SessionAnalyzer {
             model,
             modelFamily: this.getModelFamily(model), // 添加模型系列
             usage: normalizedUsage,
-            cost: this.calculateCost(usage, model),
+            cost: pricing.cost,
+            costBreakdown: pricing.breakdown,
+            pricedAs: pricing.pricedAs,
+            pricedWithFallback: pricing.isFallback, // 模型不在定价表中，成本为估算值
             messageCount: 1, // 每个助手响应算作1条消息
             projectName: data.projectName || 'unknown',
             uuid: data.uuid,
@@ -183,55 +281,12 @@ export class SessionAnalyzer {
         return 'Unknown';
     }
 
-    /**
-     * 计算使用成本 - 基于模型的定价
-     */
-    calculateCost(usage, model = 'claude-3-sonnet-20240229') {
-        const pricing = this.getModelPricing(model);
-        
-        // 定价是每千个token的价格，所以需要除以1000
-        const inputCost = (usage.input_tokens || 0) / 1000 * pricing.input;
-        const outputCost = (usage.output_tokens || 0) / 1000 * pricing.output;
-        const cacheCost = (usage.cache_tokens || usage.cache_creation_input_tokens || 0) / 1000 * pricing.cache;
-        
-        return inputCost + outputCost + cacheCost;
-    }
-
-    /**
-     * 获取模型定价信息 (每千个token的价格，单位：美元)
-     */
-    getModelPricing(model) {
-        const pricingMap = {
-            'claude-3-sonnet-20240229': {
-                input: 0.003,
-                output: 0.015,
-                cache: 0.00075
-            },
-            'claude-3-5-sonnet-20241022': {
-                input: 0.003,
-                output: 0.015,
-                cache: 0.00075
-            },
-            'claude-3-haiku-20240307': {
-                input: 0.00025,
-                output: 0.00125,
-                cache: 0.00003125
-            },
-            'claude-3-opus-20240229': {
-                input: 0.015,
-                output: 0.075,
-                cache: 0.00375
-            }
-        };
-
-        return pricingMap[model] || pricingMap['claude-3-sonnet-20240229'];
-    }
-
     /**
      * 获取所有项目的会话数据
      */
     getAllProjectSessions() {
         const allSessions = [];
+        this.pricing.reloadIfChanged();
         
         try {
             this.logger.info(`🔍 正在扫描Claude配置目录: ${this.claudeConfigDir}`);
@@ -290,10 +345,10 @@ export class SessionAnalyzer {
     }
 
     /**
-     * 根据原框架逻辑创建会话块并找到当前活跃块
-     * 返回当前活跃块的数据，而不是所有会话
+     * 创建会话块并找到当前活跃块
+     * 返回当前活跃块的数据，而不是所有会话；options.resetTimes 为已知的准确重置时间
      */
-    getActiveSessionBlock(sessions, windowHours = 5) {
+    getActiveSessionBlock(sessions, windowHours = 5, options = {}) {
         const now = new Date();
         
         if (sessions.length === 0) {
@@ -303,7 +358,7 @@ export class SessionAnalyzer {
         
         // 按时间升序排列，构建会话块
         const sortedSessions = sessions.sort((a, b) => a.timestamp - b.timestamp);
-        const blocks = this.createSessionBlocks(sortedSessions, windowHours);
+        const blocks = this.createSessionBlocks(sortedSessions, windowHours, options);
         
         // 找到当前活跃的块（end_time > current_time）
         let activeBlock = null;
@@ -339,49 +394,43 @@ export class SessionAnalyzer {
     }
 
     /**
-     * 创建会话块（按照原框架的逻辑）
+     * 创建会话块（窗口边界见 createWindowAssigner），sessions 需按时间升序
      */
-    createSessionBlocks(sessions, windowHours = 5) {
+    createSessionBlocks(sessions, windowHours = 5, { resetTimes = [] } = {}) {
         const blocks = [];
+        const assignWindow = createWindowAssigner(windowHours, { resetTimes });
         let currentBlock = null;
         
         for (const session of sessions) {
-            // 转换为UTC时间以确保一致性
-            const utcTimestamp = new Date(session.timestamp.getTime());
-            
-            // 计算这个会话应该属于哪个块（基于UTC整点小时）
-            const sessionHour = utcTimestamp.getUTCHours();
-            const blockStartHour = Math.floor(sessionHour / windowHours) * windowHours;
+            const window = assignWindow(session.timestamp);
             
-            const blockStart = new Date(utcTimestamp);
-            blockStart.setUTCHours(blockStartHour, 0, 0, 0);
-            
-            const blockEnd = new Date(blockStart);
-            blockEnd.setUTCHours(blockStartHour + windowHours, 0, 0, 0);
-            
-            // 检查是否需要创建新块
-            if (!currentBlock || 
-                currentBlock.startTime.getTime() !== blockStart.getTime()) {
-                
-                // 完成上一个块
+            if (window) {
+                // 完成上一个块；固定的重置窗口可能让上一个块提前结束
                 if (currentBlock) {
+                    if (currentBlock.endTime > window.start) {
+                        currentBlock.endTime = window.start;
+                    }
                     this.finalizeBlock(currentBlock);
                     blocks.push(currentBlock);
                 }
                 
                 // 创建新块
                 currentBlock = {
-                    id: blockStart.toISOString(),
-                    startTime: blockStart,
-                    endTime: blockEnd,
+                    id: window.start.toISOString(),
+                    startTime: window.start,
+                    endTime: window.end,
                     sessions: [],
                     totalTokens: 0,
                     totalInputTokens: 0,
                     totalOutputTokens: 0,
                     totalCacheTokens: 0,
+                    totalCacheCreationTokens: 0,
+                    totalCacheReadTokens: 0,
                     totalCost: 0,
+                    fallbackPricedCost: 0,
                     totalMessages: 0,
                     modelUsage: {},
+                    sourceUsage: {},
                     isGap: false,
                     isActive: false
                 };
@@ -412,7 +461,12 @@ export class SessionAnalyzer {
         block.totalInputTokens += session.usage.inputTokens;
         block.totalOutputTokens += session.usage.outputTokens;
         block.totalCacheTokens += session.usage.cacheTokens;
+        block.totalCacheCreationTokens += session.usage.cacheCreationTokens;
+        block.totalCacheReadTokens += session.usage.cacheReadTokens;
         block.totalCost += session.cost;
+        if (session.pricedWithFallback) {
+            block.fallbackPricedCost += session.cost;
+        }
         block.totalMessages += session.messageCount;
         
         // 按模型统计
@@ -427,6 +481,16 @@ export class SessionAnalyzer {
         block.modelUsage[modelFamily].tokens += session.usage.totalTokens;
         block.modelUsage[modelFamily].cost += session.cost;
         block.modelUsage[modelFamily].messages += session.messageCount;
+        
+        // 按使用量来源统计
+        if (session.source) {
+            if (!block.sourceUsage[session.source]) {
+                block.sourceUsage[session.source] = { tokens: 0, cost: 0, messages: 0 };
+            }
+            block.sourceUsage[session.source].tokens += session.usage.totalTokens;
+            block.sourceUsage[session.source].cost += session.cost;
+            block.sourceUsage[session.source].messages += session.messageCount;
+        }
     }
 
     /**
@@ -452,23 +516,11 @@ export class SessionAnalyzer {
     }
 
     /**
-     * 获取到下一次重置的剩余时间（毫秒）
+     * 获取到下一次重置的剩余时间（毫秒），没有活跃窗口时返回 null
      */
-    getTimeToNextReset(windowHours = 5) {
-        const now = new Date();
-        const currentHour = now.getHours();
-        const nextResetHour = (Math.floor(currentHour / windowHours) + 1) * windowHours;
-        
-        const nextReset = new Date(now);
-        if (nextResetHour >= 24) {
-            // 跨日处理
-            nextReset.setDate(nextReset.getDate() + 1);
-            nextReset.setHours(nextResetHour - 24, 0, 0, 0);
-        } else {
-            nextReset.setHours(nextResetHour, 0, 0, 0);
-        }
-        
-        return nextReset.getTime() - now.getTime();
+    getTimeToNextReset(sessions, windowHours = 5, options = {}) {
+        const activeBlock = this.getActiveSessionBlock([...sessions], windowHours, options);
+        return activeBlock ? activeBlock.endTime.getTime() - Date.now() : null;
     }
 
     /**
@@ -0,0 +1,88 @@
+import { getPricingRegistry } from './pricing.js';
+
+const DEFAULT_CONTEXT_WINDOW = 200000;
+const EXTENDED_CONTEXT_WINDOW = 1000000;
+
+/**
+ * 模型的上下文窗口大小
+ * JSONL 中的模型 ID 不区分 1M 上下文，显式带 [1m] 后缀或已用上下文超过 200K 时按 1M 计算
+ */
+export function getContextWindow(model, contextTokens = 0) {
+    if (/\[1m\]$/i.test(model || '') || contextTokens > DEFAULT_CONTEXT_WINDOW) {
+        return EXTENDED_CONTEXT_WINDOW;
+    }
+    return DEFAULT_CONTEXT_WINDOW;
+}
+
+/**
+ * 单条助手消息的令牌用量和成本（按服务端定价表计算），消息没有 usage 时返回 null
+ * contextTokens 为该请求发送的全部输入（含缓存），即发出请求时的上下文占用
+ */
+export function describeMessageUsage(message) {
+    if (!message?.usage) return null;
+
+    const usage = message.usage;
+    const pricing = getPricingRegistry();
+    pricing.reloadIfChanged();
+    const { cost, isFallback } = pricing.calculateCost(usage, message.model);
+
+    const inputTokens = usage.input_tokens || 0;
+    const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
+    const cacheReadTokens = usage.cache_read_input_tokens || 0;
+    const contextTokens = inputTokens + cacheCreationTokens + cacheReadTokens;
+
+    return {
+        messageId: message.id || null,
+        model: message.model || null,
+        inputTokens,
+        outputTokens: usage.output_tokens || 0,
+        cacheCreationTokens,
+        cacheReadTokens,
+        cost,
+        pricedWithFallback: isFallback,
+        contextTokens,
+        contextWindow: getContextWindow(message.model, contextTokens)
+    };
+}
+
+/**
+ * 汇总会话 JSONL 条目的用量，用于重新打开会话时恢复用量表
+ * 同一条助手消息的多个内容块会各写一行且 usage 相同，按消息 ID 去重并以最后一行为准；
+ * 上下文占用取最后一条助手消息
+ */
+export function summarizeSessionUsage(entries) {
+    const byMessage = new Map();
+    entries.forEach((entry, index) => {
+        if (entry.type !== 'assistant') return;
+        const item = describeMessageUsage(entry.message);
+        if (item) {
+            byMessage.delete(item.messageId || index);
+            byMessage.set(item.messageId || index, item);
+        }
+    });
+
+    const summary = {
+        messages: byMessage.size,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 0,
+        cost: 0,
+        pricedWithFallback: false,
+        model: null,
+        contextTokens: 0,
+        contextWindow: DEFAULT_CONTEXT_WINDOW
+    };
+    for (const item of byMessage.values()) {
+        summary.inputTokens += item.inputTokens;
+        summary.outputTokens += item.outputTokens;
+        summary.cacheCreationTokens += item.cacheCreationTokens;
+        summary.cacheReadTokens += item.cacheReadTokens;
+        summary.cost += item.cost;
+        summary.pricedWithFallback = summary.pricedWithFallback || item.pricedWithFallback;
+        summary.model = item.model;
+        summary.contextTokens = item.contextTokens;
+        summary.contextWindow = item.contextWindow;
+    }
+    return summary;
+}
@@ -39,12 +39,16 @@ export class TokenCalculator {
                 totalInputTokens: 0,
                 totalOutputTokens: 0,
                 totalCacheTokens: 0,
+                totalCacheCreationTokens: 0,
+                totalCacheReadTokens: 0,
                 totalCost: 0,
+                fallbackPricedCost: 0,
                 totalMessages: 0,
                 sessionCount: 0,
                 averageTokensPerSession: 0,
                 averageCostPerSession: 0,
-                modelUsage: {}
+                modelUsage: {},
+                sourceUsage: {}
             };
         }
 
@@ -53,7 +57,12 @@ export class TokenCalculator {
             acc.totalInputTokens += session.usage.inputTokens;
             acc.totalOutputTokens += session.usage.outputTokens;
             acc.totalCacheTokens += session.usage.cacheTokens;
+            acc.totalCacheCreationTokens += session.usage.cacheCreationTokens;
+            acc.totalCacheReadTokens += session.usage.cacheReadTokens;
             acc.totalCost += session.cost;
+            if (session.pricedWithFallback) {
+                acc.fallbackPricedCost += session.cost;
+            }
             acc.totalMessages += session.messageCount;
             
             // 统计模型使用情况
@@ -69,15 +78,21 @@ export class TokenCalculator {
             acc.modelUsage[modelFamily].cost += session.cost;
             acc.modelUsage[modelFamily].messages += session.messageCount;
             
+            this.addSourceUsage(acc.sourceUsage, session.source, session.usage.totalTokens, session.cost, session.messageCount);
+            
             return acc;
         }, {
             totalTokens: 0,
             totalInputTokens: 0,
             totalOutputTokens: 0,
             totalCacheTokens: 0,
+            totalCacheCreationTokens: 0,
+            totalCacheReadTokens: 0,
             totalCost: 0,
+            fallbackPricedCost: 0,
             totalMessages: 0,
-            modelUsage: {}
+            modelUsage: {},
+            sourceUsage: {}
         });
 
         stats.sessionCount = sessions.length;
@@ -87,6 +102,43 @@ export class TokenCalculator {
         return stats;
     }
 
+    /**
+     * 按使用量来源累计（数据来自多个 Claude 配置目录时，每条记录带有 source）
+     */
+    addSourceUsage(sourceUsage, source, tokens, cost, messages) {
+        if (!source) return;
+        if (!sourceUsage[source]) {
+            sourceUsage[source] = { tokens: 0, cost: 0, messages: 0 };
+        }
+        sourceUsage[source].tokens += tokens;
+        sourceUsage[source].cost += cost;
+        sourceUsage[source].messages += messages;
+    }
+
+    /**
+     * 列出按回退价格估算成本的模型
+     */
+    getFallbackPricedModels(sessions) {
+        const models = new Map();
+
+        for (const session of sessions) {
+            if (!session.pricedWithFallback) continue;
+            if (!models.has(session.model)) {
+                models.set(session.model, {
+                    model: session.model,
+                    pricedAs: session.pricedAs,
+                    messages: 0,
+                    cost: 0
+                });
+            }
+            const stats = models.get(session.model);
+            stats.messages += session.messageCount;
+            stats.cost += session.cost;
+        }
+
+        return Array.from(models.values()).sort((a, b) => b.cost - a.cost);
+    }
+
     /**
      * 计算模型使用占比
      */
@@ -170,8 +222,23 @@ export class TokenCalculator {
         }
 
         // 收集所有5小时窗口内的最大使用量
-        const windowUsages = this.getMaxUsagePerWindow(sessions);
-        
+        return this.detectPlanFromWindowUsages(this.getMaxUsagePerWindow(sessions));
+    }
+
+    /**
+     * 根据每个5小时窗口的令牌总数检测计划类型（窗口数据可直接来自使用量索引）
+     * limitHitUsages 为触发过使用限额的窗口的令牌数，有这些数据时直接以它们作为真实上限
+     */
+    detectPlanFromWindowUsages(windowUsages, limitHitUsages = []) {
+        if (limitHitUsages.length > 0) {
+            const detectedLimit = Math.max(...limitHitUsages);
+            const plan = detectedLimit <= 20000 ? 'pro'
+                : detectedLimit <= 90000 ? 'max5'
+                : detectedLimit <= 225000 ? 'max20'
+                : 'custom';
+            return { plan, confidence: 0.99, detectedLimit, source: 'usage-limit' };
+        }
+
         if (windowUsages.length === 0) {
             return { plan: 'unknown', confidence: 0, detectedLimit: 0 };
         }
@@ -229,6 +296,8 @@ export class TokenCalculator {
             warnings.push({
                 type: 'danger',
                 category: 'tokens',
+                code: 'TOKEN_USAGE_HIGH',
+                params: { percent: usagePercent.toFixed(1) },
                 message: `令牌使用量已达 ${usagePercent.toFixed(1)}%`,
                 severity: 'high'
             });
@@ -236,6 +305,8 @@ export class TokenCalculator {
             warnings.push({
                 type: 'warning',
                 category: 'tokens',
+                code: 'TOKEN_USAGE_HIGH',
+                params: { percent: usagePercent.toFixed(1) },
                 message: `令牌使用量已达 ${usagePercent.toFixed(1)}%`,
                 severity: 'medium'
             });
@@ -246,6 +317,8 @@ export class TokenCalculator {
             warnings.push({
                 type: 'danger',
                 category: 'cost',
+                code: 'COST_USAGE_HIGH',
+                params: { percent: costPercent.toFixed(1) },
                 message: `成本已达 ${costPercent.toFixed(1)}%`,
                 severity: 'high'
             });
@@ -253,6 +326,8 @@ export class TokenCalculator {
             warnings.push({
                 type: 'warning',
                 category: 'cost',
+                code: 'COST_USAGE_HIGH',
+                params: { percent: costPercent.toFixed(1) },
                 message: `成本已达 ${costPercent.toFixed(1)}%`,
                 severity: 'medium'
             });
@@ -263,6 +338,8 @@ export class TokenCalculator {
             warnings.push({
                 type: 'danger',
                 category: 'burnRate',
+                code: 'LIMIT_SOON',
+                params: { minutes: Math.round(timeRemaining) },
                 message: `按当前速度，约 ${Math.round(timeRemaining)} 分钟后达到限制`,
                 severity: 'high'
             });
@@ -270,6 +347,8 @@ export class TokenCalculator {
             warnings.push({
                 type: 'warning',
                 category: 'burnRate',
+                code: 'LIMIT_SOON',
+                params: { minutes: Math.round(timeRemaining) },
                 message: `按当前速度，约 ${Math.round(timeRemaining)} 分钟后达到限制`,
                 severity: 'medium'
             });
@@ -320,6 +399,193 @@ export class TokenCalculator {
         return report.sort((a, b) => b.month.localeCompare(a.month));
     }
 
+    /**
+     * 从按模型预先汇总的数据计算统计，结构与 calculateSessionStats 相同
+     * rows: [{ model, modelFamily, messages, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, cost, fallbackPricedCost }]
+     */
+    calculateAggregateStats(rows) {
+        if (rows.length === 0) {
+            return this.calculateSessionStats([]);
+        }
+
+        const stats = rows.reduce((acc, row) => {
+            const tokens = row.inputTokens + row.outputTokens;
+            acc.totalTokens += tokens;
+            acc.totalInputTokens += row.inputTokens;
+            acc.totalOutputTokens += row.outputTokens;
+            acc.totalCacheTokens += row.cacheCreationTokens;
+            acc.totalCacheCreationTokens += row.cacheCreationTokens;
+            acc.totalCacheReadTokens += row.cacheReadTokens;
+            acc.totalCost += row.cost;
+            acc.fallbackPricedCost += row.fallbackPricedCost;
+            acc.totalMessages += row.messages;
+
+            const modelFamily = row.modelFamily || 'Unknown';
+            if (!acc.modelUsage[modelFamily]) {
+                acc.modelUsage[modelFamily] = {
+                    tokens: 0,
+                    cost: 0,
+                    messages: 0
+                };
+            }
+            acc.modelUsage[modelFamily].tokens += tokens;
+            acc.modelUsage[modelFamily].cost += row.cost;
+            acc.modelUsage[modelFamily].messages += row.messages;
+
+            this.addSourceUsage(acc.sourceUsage, row.source, tokens, row.cost, row.messages);
+
+            return acc;
+        }, {
+            totalTokens: 0,
+            totalInputTokens: 0,
+            totalOutputTokens: 0,
+            totalCacheTokens: 0,
+            totalCacheCreationTokens: 0,
+            totalCacheReadTokens: 0,
+            totalCost: 0,
+            fallbackPricedCost: 0,
+            totalMessages: 0,
+            modelUsage: {},
+            sourceUsage: {}
+        });
+
+        stats.sessionCount = stats.totalMessages;
+        stats.averageTokensPerSession = stats.totalTokens / stats.sessionCount;
+        stats.averageCostPerSession = stats.totalCost / stats.sessionCount;
+
+        return stats;
+    }
+
+    /**
+     * 从按日期和模型汇总的数据生成每日报告，结构与 generateDailyReport 相同
+     * rows 中 day 为本地日期 YYYY-MM-DD
+     */
+    generateDailyReportFromAggregates(rows) {
+        const byDay = new Map();
+        for (const row of rows) {
+            if (!byDay.has(row.day)) {
+                byDay.set(row.day, []);
+            }
+            byDay.get(row.day).push(row);
+        }
+
+        const report = Array.from(byDay, ([day, dayRows]) => {
+            const [year, month, date] = day.split('-').map(Number);
+            const stats = this.calculateAggregateStats(dayRows);
+            const modelUsage = {};
+            for (const row of dayRows) {
+                // 合并多个来源时同一模型可能有多行
+                const usage = modelUsage[row.model] || { sessions: 0, totalTokens: 0, totalCost: 0 };
+                usage.sessions += row.messages;
+                usage.totalTokens += row.inputTokens + row.outputTokens;
+                usage.totalCost += row.cost;
+                modelUsage[row.model] = usage;
+            }
+
+            return {
+                date: new Date(year, month - 1, date).toDateString(),
+                stats,
+                modelUsage,
+                sessionCount: stats.totalMessages
+            };
+        });
+
+        return report.sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    /**
+     * 从按日期和模型汇总的数据生成月度报告，结构与 generateMonthlyReport 相同
+     */
+    generateMonthlyReportFromAggregates(rows) {
+        const byMonth = new Map();
+        for (const row of rows) {
+            const [year, month, date] = row.day.split('-').map(Number);
+            const monthKey = `${year}-${month}`;
+            if (!byMonth.has(monthKey)) {
+                byMonth.set(monthKey, { rows: [], days: new Map() });
+            }
+            const entry = byMonth.get(monthKey);
+            entry.rows.push(row);
+
+            if (!entry.days.has(date)) {
+                entry.days.set(date, { day: date, tokens: 0, cost: 0, sessions: 0 });
+            }
+            const dayStats = entry.days.get(date);
+            dayStats.tokens += row.inputTokens + row.outputTokens;
+            dayStats.cost += row.cost;
+            dayStats.sessions += row.messages;
+        }
+
+        const report = Array.from(byMonth, ([month, { rows: monthRows, days }]) => {
+            const stats = this.calculateAggregateStats(monthRows);
+            return {
+                month,
+                stats,
+                dailyBreakdown: Array.from(days.values()).sort((a, b) => a.day - b.day),
+                sessionCount: stats.totalMessages
+            };
+        });
+
+        return report.sort((a, b) => b.month.localeCompare(a.month));
+    }
+
+    /**
+     * 生成按项目汇总的报告
+     */
+    generateProjectReport(sessions) {
+        const byProject = new Map();
+        for (const session of sessions) {
+            if (!byProject.has(session.projectName)) {
+                byProject.set(session.projectName, []);
+            }
+            byProject.get(session.projectName).push(session);
+        }
+
+        return Array.from(byProject, ([projectName, projectSessions]) => ({
+            projectName,
+            stats: this.calculateSessionStats(projectSessions),
+            sessionCount: new Set(projectSessions.map(s => s.sessionId)).size,
+            ...this.getActivityRange(projectSessions)
+        }));
+    }
+
+    /**
+     * 生成按会话汇总的报告
+     */
+    generateSessionReport(sessions) {
+        const bySession = new Map();
+        for (const session of sessions) {
+            const key = `${session.source || ''}/${session.projectName}/${session.sessionId}`;
+            if (!bySession.has(key)) {
+                bySession.set(key, []);
+            }
+            bySession.get(key).push(session);
+        }
+
+        return Array.from(bySession.values(), messages => ({
+            sessionId: messages[0].sessionId,
+            projectName: messages[0].projectName,
+            source: messages[0].source,
+            sessionFile: messages[0].sessionFile,
+            stats: this.calculateSessionStats(messages),
+            models: [...new Set(messages.map(s => s.model))],
+            ...this.getActivityRange(messages)
+        }));
+    }
+
+    /**
+     * 获取一组消息的首次和最后活动时间
+     */
+    getActivityRange(sessions) {
+        let firstActivity = null;
+        let lastActivity = null;
+        for (const session of sessions) {
+            if (!firstActivity || session.timestamp < firstActivity) firstActivity = session.timestamp;
+            if (!lastActivity || session.timestamp > lastActivity) lastActivity = session.timestamp;
+        }
+        return { firstActivity, lastActivity };
+    }
+
     /**
      * 获取模型使用量分解
      */
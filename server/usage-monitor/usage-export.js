@@ -0,0 +1,201 @@
+/**
+ * 使用量导出 - 把使用量索引中的数据整理成逐条请求 / 每日 / 每月的行，并渲染为 CSV、Excel 兼容 CSV 或 JSON Lines
+ */
+
+export const USAGE_EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+    // Excel 需要 BOM 才能正确识别 UTF-8 中文，并且习惯 CRLF 换行
+    excel: { extension: 'csv', mimeType: 'text/csv; charset=utf-8', bom: true },
+    jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson; charset=utf-8' }
+};
+
+export const USAGE_EXPORT_GRANULARITIES = ['request', 'daily', 'monthly'];
+
+export const USAGE_EXPORT_LANGUAGES = ['zh', 'en'];
+
+const COLUMNS = {
+    request: [
+        { key: 'timestamp', zh: '时间', en: 'Timestamp' },
+        { key: 'source', zh: '来源', en: 'Source' },
+        { key: 'project', zh: '项目', en: 'Project' },
+        { key: 'projectPath', zh: '项目路径', en: 'Project Path' },
+        { key: 'sessionId', zh: '会话', en: 'Session' },
+        { key: 'model', zh: '模型', en: 'Model' },
+        { key: 'inputTokens', zh: '输入令牌', en: 'Input Tokens' },
+        { key: 'outputTokens', zh: '输出令牌', en: 'Output Tokens' },
+        { key: 'cacheReadTokens', zh: '缓存读取令牌', en: 'Cache Read Tokens' },
+        { key: 'cacheWriteTokens', zh: '缓存写入令牌', en: 'Cache Write Tokens' },
+        { key: 'cost', zh: '成本 (USD)', en: 'Cost (USD)' },
+        { key: 'estimated', zh: '估算价格', en: 'Estimated Price' }
+    ],
+    daily: [
+        { key: 'date', zh: '日期', en: 'Date' },
+        { key: 'totalTokens', zh: '总令牌数', en: 'Total Tokens' },
+        { key: 'inputTokens', zh: '输入令牌', en: 'Input Tokens' },
+        { key: 'outputTokens', zh: '输出令牌', en: 'Output Tokens' },
+        { key: 'cacheReadTokens', zh: '缓存读取令牌', en: 'Cache Read Tokens' },
+        { key: 'cacheWriteTokens', zh: '缓存写入令牌', en: 'Cache Write Tokens' },
+        { key: 'cost', zh: '成本 (USD)', en: 'Cost (USD)' },
+        { key: 'requests', zh: '请求数', en: 'Requests' }
+    ],
+    monthly: [
+        { key: 'month', zh: '月份', en: 'Month' },
+        { key: 'totalTokens', zh: '总令牌数', en: 'Total Tokens' },
+        { key: 'inputTokens', zh: '输入令牌', en: 'Input Tokens' },
+        { key: 'outputTokens', zh: '输出令牌', en: 'Output Tokens' },
+        { key: 'cacheReadTokens', zh: '缓存读取令牌', en: 'Cache Read Tokens' },
+        { key: 'cacheWriteTokens', zh: '缓存写入令牌', en: 'Cache Write Tokens' },
+        { key: 'cost', zh: '成本 (USD)', en: 'Cost (USD)' },
+        { key: 'requests', zh: '请求数', en: 'Requests' },
+        { key: 'days', zh: '统计天数', en: 'Days Covered' },
+        { key: 'averageDailyTokens', zh: '平均每日令牌', en: 'Avg Daily Tokens' },
+        { key: 'averageDailyCost', zh: '平均每日成本 (USD)', en: 'Avg Daily Cost (USD)' }
+    ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+function formatLocalDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 逐条请求的行；messages 来自 UsageIndex.getMessages，projectNames 为 { 项目名: { displayName, projectPath } }，
+ * sourceLabels 为 { 来源 id: 名称 }
+ */
+export function buildRequestRows(messages, projectNames = {}, sourceLabels = {}) {
+    return [...messages]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(message => ({
+            timestamp: message.timestamp.toISOString(),
+            source: sourceLabels[message.source] || message.source || '',
+            project: projectNames[message.projectName]?.displayName || message.projectName,
+            projectPath: projectNames[message.projectName]?.projectPath || '',
+            sessionId: message.sessionId,
+            model: message.model,
+            inputTokens: message.usage.inputTokens,
+            outputTokens: message.usage.outputTokens,
+            cacheReadTokens: message.usage.cacheReadTokens,
+            cacheWriteTokens: message.usage.cacheCreationTokens,
+            cost: roundCost(message.cost),
+            estimated: message.pricedWithFallback
+        }));
+}
+
+/**
+ * 把 UsageIndex.getDailyAggregates 的结果按 keyOf(day) 归并
+ */
+function sumAggregates(aggregates, keyOf) {
+    const grouped = new Map();
+    for (const row of aggregates) {
+        const key = keyOf(row.day);
+        if (!grouped.has(key)) {
+            grouped.set(key, {
+                inputTokens: 0,
+                outputTokens: 0,
+                cacheReadTokens: 0,
+                cacheWriteTokens: 0,
+                cost: 0,
+                requests: 0
+            });
+        }
+        const totals = grouped.get(key);
+        totals.inputTokens += row.inputTokens;
+        totals.outputTokens += row.outputTokens;
+        totals.cacheReadTokens += row.cacheReadTokens;
+        totals.cacheWriteTokens += row.cacheCreationTokens;
+        totals.cost += row.cost;
+        totals.requests += row.messages;
+    }
+    return grouped;
+}
+
+/**
+ * 每日汇总行（按本地日期升序）
+ */
+export function buildDailyRows(aggregates) {
+    return Array.from(sumAggregates(aggregates, day => day), ([date, totals]) => ({
+        date,
+        totalTokens: totals.inputTokens + totals.outputTokens,
+        inputTokens: totals.inputTokens,
+        outputTokens: totals.outputTokens,
+        cacheReadTokens: totals.cacheReadTokens,
+        cacheWriteTokens: totals.cacheWriteTokens,
+        cost: roundCost(totals.cost),
+        requests: totals.requests
+    })).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 每月汇总行；日均值按该月落在导出范围内（且不晚于今天）的实际天数计算
+ */
+export function buildMonthlyRows(aggregates, { from, to }) {
+    const today = new Date();
+    const rangeEnd = to < today ? to : today;
+
+    return Array.from(sumAggregates(aggregates, day => day.slice(0, 7)), ([month, totals]) => {
+        const [year, monthNumber] = month.split('-').map(Number);
+        const monthStart = new Date(year, monthNumber - 1, 1);
+        const monthEnd = new Date(year, monthNumber, 0);
+        const start = monthStart > from ? monthStart : new Date(from.getFullYear(), from.getMonth(), from.getDate());
+        const end = monthEnd < rangeEnd ? monthEnd : new Date(rangeEnd.getFullYear(), rangeEnd.getMonth(), rangeEnd.getDate());
+        // 用日期差计算天数，避开夏令时造成的 23/25 小时
+        const days = Math.max(1, Math.round((Date.UTC(end.getFullYear(), end.getMonth(), end.getDate()) -
+            Date.UTC(start.getFullYear(), start.getMonth(), start.getDate())) / DAY_MS) + 1);
+        const totalTokens = totals.inputTokens + totals.outputTokens;
+
+        return {
+            month,
+            totalTokens,
+            inputTokens: totals.inputTokens,
+            outputTokens: totals.outputTokens,
+            cacheReadTokens: totals.cacheReadTokens,
+            cacheWriteTokens: totals.cacheWriteTokens,
+            cost: roundCost(totals.cost),
+            requests: totals.requests,
+            days,
+            averageDailyTokens: Math.round(totalTokens / days),
+            averageDailyCost: roundCost(totals.cost / days)
+        };
+    }).sort((a, b) => a.month.localeCompare(b.month));
+}
+
+// 以这些字符开头的单元格会被 Excel 等表格软件当作公式执行
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'boolean' ? (value ? '1' : '0') : String(value);
+    // 数字列保持原样，文本（项目名、模型名等）加单引号前缀防止公式注入
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 渲染导出内容；JSON Lines 使用固定的英文字段名，表头语言只影响 CSV
+ */
+export function renderUsageExport(rows, granularity, { format = 'csv', lang = 'zh' } = {}) {
+    if (format === 'jsonl') {
+        return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length > 0 ? '\n' : '');
+    }
+
+    const columns = COLUMNS[granularity];
+    const lines = [
+        columns.map(column => escapeCsvValue(column[lang] || column.en)).join(','),
+        ...rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','))
+    ];
+    const content = lines.join('\r\n') + '\r\n';
+    return USAGE_EXPORT_FORMATS[format].bom ? `\uFEFF${content}` : content;
+}
+
+export function buildUsageExportFileName(granularity, { from, to }, format) {
+    return `claude-usage-${granularity}-${formatLocalDate(from)}_${formatLocalDate(to)}.${USAGE_EXPORT_FORMATS[format].extension}`;
+}
@@ -0,0 +1,730 @@
+import fs, { promises as fsPromises } from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import Database from 'better-sqlite3';
+import { SessionAnalyzer, createWindowAssigner } from './session-analyzer.js';
+import { createLogger } from '../utils/logger.js';
+
+const INDEX_DIR = path.join(os.homedir(), '.claude-code-ui', 'usage-index');
+// 表结构或入库规则变化时递增，旧索引会被丢弃并重建
+const SCHEMA_VERSION = 1;
+const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+// 监听器可能漏掉事件（例如应用关闭期间的写入），超过这个间隔后按文件大小/修改时间补扫一次
+const FULL_SYNC_INTERVAL = 5 * 60 * 1000;
+const WINDOW_HOURS = 5;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+    CREATE TABLE IF NOT EXISTS files (
+        path TEXT PRIMARY KEY,
+        project_name TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        mtime_ms REAL NOT NULL,
+        offset INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY,
+        file_path TEXT NOT NULL,
+        project_name TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        uuid TEXT,
+        timestamp INTEGER NOT NULL,
+        model TEXT NOT NULL,
+        model_family TEXT NOT NULL,
+        input_tokens INTEGER NOT NULL,
+        output_tokens INTEGER NOT NULL,
+        cache_creation_tokens INTEGER NOT NULL,
+        cache_creation_1h_tokens INTEGER NOT NULL,
+        cache_read_tokens INTEGER NOT NULL,
+        cost REAL NOT NULL,
+        priced_as TEXT,
+        priced_with_fallback INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
+    CREATE INDEX IF NOT EXISTS idx_messages_project ON messages(project_name, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_messages_file ON messages(file_path);
+`;
+
+function isCompleteJson(line) {
+    try {
+        JSON.parse(line);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 把按时间升序的 { timestamp, tokens } 行划分为 5 小时窗口，返回 [{ start, end, tokens, messages }]
+ */
+export function buildSessionWindows(rows, { resetTimes = [] } = {}) {
+    const assignWindow = createWindowAssigner(WINDOW_HOURS, { resetTimes });
+    const windows = [];
+    let current = null;
+    for (const row of rows) {
+        const window = assignWindow(row.timestamp);
+        if (window) {
+            if (current && current.end > window.start) {
+                current.end = window.start;
+            }
+            current = { ...window, tokens: 0, messages: 0 };
+            windows.push(current);
+        }
+        current.tokens += row.tokens;
+        current.messages++;
+    }
+    return windows;
+}
+
+/**
+ * 持久化的使用量索引 - 把各项目 JSONL 中带 usage 的助手消息写入 SQLite
+ *
+ * 每个文件记录已解析的字节偏移，之后只读取追加的部分；文件变小视为被重写，整个文件重新入库。
+ * 由项目监听器（handleUsageIndexChange）增量更新，并定期按大小/修改时间补扫。
+ * 入库时按当前定价表计算成本，定价表变化后按模型批量重新计价。
+ * revision 在数据变化时递增，供 DataAggregator 判断缓存是否过期。
+ */
+export class UsageIndex {
+    constructor(sessionAnalyzer = new SessionAnalyzer(), { dbPath = null } = {}) {
+        this.analyzer = sessionAnalyzer;
+        this.projectsDir = sessionAnalyzer.projectsDir;
+        this.logger = createLogger('UsageIndex');
+        this.dbPath = dbPath || path.join(INDEX_DIR, `${crypto.createHash('sha1').update(this.projectsDir).digest('hex').slice(0, 12)}.db`);
+        this.revision = 0;
+        this.lastFullSync = 0;
+        this.syncPromise = null;
+        this.fileQueues = new Map();
+        this.windowCache = null;
+
+        this.open();
+    }
+
+    /**
+     * 打开数据库，表结构版本不一致时重建
+     */
+    open() {
+        if (this.dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        }
+        this.db = new Database(this.dbPath);
+        this.db.pragma('journal_mode = WAL');
+
+        const hasMeta = this.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'meta'").get();
+        const version = hasMeta && this.db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get();
+        if (!version || Number(version.value) !== SCHEMA_VERSION) {
+            if (hasMeta) {
+                this.logger.info('使用量索引结构已更新，重建索引');
+            }
+            this.db.exec('DROP TABLE IF EXISTS messages; DROP TABLE IF EXISTS files; DROP TABLE IF EXISTS meta;');
+        }
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+            getFile: this.db.prepare('SELECT * FROM files WHERE path = ?'),
+            listFiles: this.db.prepare('SELECT path FROM files'),
+            upsertFile: this.db.prepare(`
+                INSERT INTO files (path, project_name, size, mtime_ms, offset) VALUES (@path, @projectName, @size, @mtimeMs, @offset)
+                ON CONFLICT(path) DO UPDATE SET size = excluded.size, mtime_ms = excluded.mtime_ms, offset = excluded.offset
+            `),
+            deleteFile: this.db.prepare('DELETE FROM files WHERE path = ?'),
+            deleteFileMessages: this.db.prepare('DELETE FROM messages WHERE file_path = ?'),
+            insertMessage: this.db.prepare(`
+                INSERT INTO messages (
+                    file_path, project_name, session_id, uuid, timestamp, model, model_family,
+                    input_tokens, output_tokens, cache_creation_tokens, cache_creation_1h_tokens, cache_read_tokens,
+                    cost, priced_as, priced_with_fallback
+                ) VALUES (
+                    @filePath, @projectName, @sessionId, @uuid, @timestamp, @model, @modelFamily,
+                    @inputTokens, @outputTokens, @cacheCreationTokens, @cacheCreation1hTokens, @cacheReadTokens,
+                    @cost, @pricedAs, @pricedWithFallback
+                )
+            `)
+        };
+        this.statements.setMeta.run('schema_version', String(SCHEMA_VERSION));
+    }
+
+    /**
+     * 文件对应的项目名；只接受 <项目>/*.jsonl 和 <项目>/sessions/*.jsonl，与 SessionAnalyzer 的扫描范围一致
+     */
+    getProjectName(filePath) {
+        if (!filePath.endsWith('.jsonl')) return null;
+        const segments = path.relative(this.projectsDir, filePath).split(path.sep);
+        if (segments[0] === '..' || path.isAbsolute(segments[0])) return null;
+        if (segments.length === 2 || (segments.length === 3 && segments[1] === 'sessions')) {
+            return segments[0];
+        }
+        return null;
+    }
+
+    /**
+     * 把一行 JSONL 转成索引行，不是带 usage 的助手消息时返回 null
+     */
+    parseLine(line, filePath, projectName) {
+        if (!line.trim()) return null;
+        let data;
+        try {
+            data = JSON.parse(this.analyzer.tryFixJsonLine(line));
+        } catch (error) {
+            return null;
+        }
+        if (data.type === 'summary' || !this.analyzer.isValidSessionData(data)) {
+            return null;
+        }
+
+        const session = this.analyzer.normalizeSessionData(data);
+        const timestamp = session.timestamp.getTime();
+        if (!Number.isFinite(timestamp)) return null;
+
+        const usage = data.message.usage;
+        return {
+            filePath,
+            projectName,
+            sessionId: session.sessionId,
+            uuid: session.uuid || null,
+            timestamp,
+            model: session.model,
+            modelFamily: session.modelFamily,
+            inputTokens: session.usage.inputTokens,
+            outputTokens: session.usage.outputTokens,
+            cacheCreationTokens: session.usage.cacheCreationTokens,
+            cacheCreation1hTokens: Math.min(usage.cache_creation?.ephemeral_1h_input_tokens || 0, session.usage.cacheCreationTokens),
+            cacheReadTokens: session.usage.cacheReadTokens,
+            cost: session.cost,
+            pricedAs: session.pricedAs,
+            pricedWithFallback: session.pricedWithFallback ? 1 : 0
+        };
+    }
+
+    /**
+     * 读取文件新追加的完整行并入库；末尾不完整的行留到下次
+     */
+    async indexFile(filePath) {
+        const projectName = this.getProjectName(filePath);
+        if (!projectName) return;
+
+        let stats;
+        try {
+            stats = await fsPromises.stat(filePath);
+        } catch (error) {
+            this.removeFile(filePath);
+            return;
+        }
+
+        const existing = this.statements.getFile.get(filePath);
+        let offset = existing ? existing.offset : 0;
+        let changed = false;
+
+        // 会话文件只会追加；变小说明被重写（例如删除了会话中的消息），从头重建
+        if (existing && stats.size < existing.offset) {
+            this.statements.deleteFileMessages.run(filePath);
+            offset = 0;
+            changed = true;
+        }
+
+        if (stats.size > offset) {
+            const handle = await fsPromises.open(filePath, 'r');
+            try {
+                const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+                let remainder = Buffer.alloc(0);
+                let position = offset;
+
+                while (position < stats.size) {
+                    const { bytesRead } = await handle.read(buffer, 0, READ_CHUNK_SIZE, position);
+                    if (bytesRead === 0) break;
+                    position += bytesRead;
+
+                    const chunk = Buffer.concat([remainder, buffer.subarray(0, bytesRead)]);
+                    const lastNewline = chunk.lastIndexOf(0x0a);
+                    if (lastNewline === -1) {
+                        remainder = chunk;
+                        continue;
+                    }
+
+                    const rows = chunk.subarray(0, lastNewline).toString('utf8').split('\n')
+                        .map(line => this.parseLine(line, filePath, projectName))
+                        .filter(Boolean);
+                    remainder = Buffer.from(chunk.subarray(lastNewline + 1));
+                    offset = position - remainder.length;
+
+                    // 消息和偏移在同一事务中写入，中途退出也不会重复入库
+                    this.db.transaction(() => {
+                        for (const row of rows) {
+                            this.statements.insertMessage.run(row);
+                        }
+                        this.statements.upsertFile.run({ path: filePath, projectName, size: stats.size, mtimeMs: stats.mtimeMs, offset });
+                    })();
+                    changed = changed || rows.length > 0;
+                }
+
+                // 没有换行结尾的最后一行：原样就是完整 JSON 时才入库，否则可能是写到一半的行
+                const lastLine = remainder.toString('utf8');
+                const lastRow = lastLine.trim() && isCompleteJson(lastLine) && this.parseLine(lastLine, filePath, projectName);
+                if (lastRow) {
+                    this.statements.insertMessage.run(lastRow);
+                    offset += remainder.length;
+                    changed = true;
+                }
+            } finally {
+                await handle.close();
+            }
+        }
+
+        this.statements.upsertFile.run({ path: filePath, projectName, size: stats.size, mtimeMs: stats.mtimeMs, offset });
+        if (changed) {
+            this.revision++;
+        }
+    }
+
+    removeFile(filePath) {
+        const removed = this.db.transaction(() => {
+            const result = this.statements.deleteFileMessages.run(filePath);
+            this.statements.deleteFile.run(filePath);
+            return result.changes;
+        })();
+        if (removed > 0) {
+            this.revision++;
+        }
+    }
+
+    /**
+     * 同一文件的更新串行执行，避免监听器连续触发时重复读取同一段字节
+     */
+    enqueue(filePath, task) {
+        const previous = this.fileQueues.get(filePath) || Promise.resolve();
+        const next = previous.then(task).catch(error => {
+            this.logger.error(`更新使用量索引失败 ${filePath}:`, error.message);
+        });
+        this.fileQueues.set(filePath, next);
+        next.then(() => {
+            if (this.fileQueues.get(filePath) === next) {
+                this.fileQueues.delete(filePath);
+            }
+        });
+        return next;
+    }
+
+    /**
+     * 扫描所有会话文件：新文件和大小/修改时间变化的文件入库，已删除的文件移出索引
+     */
+    async fullSync() {
+        const startTime = Date.now();
+        const seen = new Set();
+        const known = new Map(this.db.prepare('SELECT path, size, mtime_ms FROM files').all().map(row => [row.path, row]));
+
+        let projectDirs = [];
+        try {
+            projectDirs = await fsPromises.readdir(this.projectsDir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.logger.warn(`⚠️ 项目目录不存在: ${this.projectsDir}`);
+        }
+
+        for (const dir of projectDirs) {
+            if (!dir.isDirectory()) continue;
+            const projectPath = path.join(this.projectsDir, dir.name);
+            const candidates = [
+                ...(await fsPromises.readdir(projectPath).catch(() => [])).map(file => path.join(projectPath, file)),
+                ...(await fsPromises.readdir(path.join(projectPath, 'sessions')).catch(() => [])).map(file => path.join(projectPath, 'sessions', file))
+            ];
+
+            for (const filePath of candidates) {
+                if (!this.getProjectName(filePath)) continue;
+                const stats = await fsPromises.stat(filePath).catch(() => null);
+                if (!stats || !stats.isFile()) continue;
+
+                seen.add(filePath);
+                const row = known.get(filePath);
+                if (!row || row.size !== stats.size || row.mtime_ms !== stats.mtimeMs) {
+                    await this.enqueue(filePath, () => this.indexFile(filePath));
+                }
+            }
+        }
+
+        for (const filePath of known.keys()) {
+            if (!seen.has(filePath)) {
+                await this.enqueue(filePath, async () => this.removeFile(filePath));
+            }
+        }
+
+        this.lastFullSync = Date.now();
+        this.logger.info(`📊 使用量索引同步完成: ${seen.size} 个文件，耗时 ${Date.now() - startTime}ms`);
+    }
+
+    /**
+     * 查询前调用：首次使用或距上次补扫超过 FULL_SYNC_INTERVAL 时同步文件，并在定价表变化后重新计价
+     */
+    async ready() {
+        if (!this.syncPromise && Date.now() - this.lastFullSync > FULL_SYNC_INTERVAL) {
+            this.syncPromise = this.fullSync().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+        // 首次同步必须完成；之后的补扫在后台进行，查询直接使用现有数据
+        if (this.syncPromise && this.lastFullSync === 0) {
+            await this.syncPromise;
+        }
+        // 监听器已经通知但还没入库的文件
+        await Promise.all(this.fileQueues.values());
+        this.repriceIfChanged();
+    }
+
+    /**
+     * 下次查询时重新补扫所有文件
+     */
+    invalidate() {
+        this.lastFullSync = 0;
+    }
+
+    /**
+     * 监听器事件入口
+     */
+    handleChange(eventType, filePath) {
+        if (eventType === 'unlinkDir') {
+            const prefix = filePath.endsWith(path.sep) ? filePath : filePath + path.sep;
+            for (const { path: indexedPath } of this.statements.listFiles.all()) {
+                if (indexedPath.startsWith(prefix)) {
+                    this.enqueue(indexedPath, async () => this.removeFile(indexedPath));
+                }
+            }
+            return;
+        }
+
+        if (!this.getProjectName(filePath)) return;
+
+        if (eventType === 'unlink') {
+            this.enqueue(filePath, async () => this.removeFile(filePath));
+        } else if (eventType === 'add' || eventType === 'change') {
+            this.enqueue(filePath, () => this.indexFile(filePath));
+        }
+    }
+
+    /**
+     * 定价表（含用户覆盖）变化后，按模型批量重新计算成本
+     */
+    repriceIfChanged() {
+        const pricing = this.analyzer.pricing;
+        pricing.reloadIfChanged();
+        const signature = JSON.stringify([pricing.version, pricing.updated, pricing.overridesMtime, pricing.overridesError]);
+        const stored = this.statements.getMeta.get('pricing_signature');
+        if (stored && stored.value === signature) return;
+
+        const models = this.db.prepare('SELECT DISTINCT model FROM messages').all().map(row => row.model);
+        const update = this.db.prepare(`
+            UPDATE messages SET
+                cost = (input_tokens * @input + output_tokens * @output
+                    + (cache_creation_tokens - cache_creation_1h_tokens) * @cacheWrite
+                    + cache_creation_1h_tokens * @cacheWrite1h
+                    + cache_read_tokens * @cacheRead) / 1000000.0,
+                priced_as = @pricedAs,
+                priced_with_fallback = @pricedWithFallback
+            WHERE model = @model
+        `);
+
+        this.db.transaction(() => {
+            for (const model of models) {
+                const { pricing: rates, pricedAs, isFallback } = pricing.resolve(model);
+                update.run({
+                    model,
+                    input: rates.input,
+                    output: rates.output,
+                    cacheWrite: rates.cacheWrite,
+                    cacheWrite1h: rates.cacheWrite1h,
+                    cacheRead: rates.cacheRead,
+                    pricedAs,
+                    pricedWithFallback: isFallback ? 1 : 0
+                });
+            }
+            this.statements.setMeta.run('pricing_signature', signature);
+        })();
+
+        if (stored && models.length > 0) {
+            this.logger.info(`定价表已变化，重新计算了 ${models.length} 个模型的成本`);
+            this.revision++;
+        }
+    }
+
+    /**
+     * 构造时间/项目过滤条件
+     */
+    buildFilter({ from = null, to = null, project = null } = {}) {
+        const conditions = [];
+        const params = {};
+        if (from) {
+            conditions.push('timestamp >= @from');
+            params.from = new Date(from).getTime();
+        }
+        if (to) {
+            conditions.push('timestamp <= @to');
+            params.to = new Date(to).getTime();
+        }
+        if (project) {
+            conditions.push('project_name = @project');
+            params.project = project;
+        }
+        return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    /**
+     * 查询消息，返回与 SessionAnalyzer.normalizeSessionData 相同结构的对象（按时间降序）
+     */
+    getMessages(filter = {}) {
+        const { where, params } = this.buildFilter(filter);
+        return this.db.prepare(`SELECT * FROM messages ${where} ORDER BY timestamp DESC`).all(params).map(row => {
+            return {
+                timestamp: new Date(row.timestamp),
+                sessionId: row.session_id,
+                model: row.model,
+                modelFamily: row.model_family,
+                usage: {
+                    inputTokens: row.input_tokens,
+                    outputTokens: row.output_tokens,
+                    cacheCreationTokens: row.cache_creation_tokens,
+                    cacheReadTokens: row.cache_read_tokens,
+                    cacheTokens: row.cache_creation_tokens,
+                    totalTokens: row.input_tokens + row.output_tokens
+                },
+                cost: row.cost,
+                pricedAs: row.priced_as,
+                pricedWithFallback: !!row.priced_with_fallback,
+                messageCount: 1,
+                projectName: row.project_name,
+                uuid: row.uuid,
+                sessionFile: row.file_path
+            };
+        });
+    }
+
+    /**
+     * 按本地日期和模型汇总，供每日/月度报告使用
+     * 返回 [{ day: 'YYYY-MM-DD', model, modelFamily, messages, inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, cost, fallbackPricedCost }]
+     */
+    getDailyAggregates(filter = {}) {
+        const { where, params } = this.buildFilter(filter);
+        return this.db.prepare(`
+            SELECT
+                date(timestamp / 1000, 'unixepoch', 'localtime') AS day,
+                model,
+                model_family AS modelFamily,
+                COUNT(*) AS messages,
+                SUM(input_tokens) AS inputTokens,
+                SUM(output_tokens) AS outputTokens,
+                SUM(cache_creation_tokens) AS cacheCreationTokens,
+                SUM(cache_read_tokens) AS cacheReadTokens,
+                SUM(cost) AS cost,
+                SUM(CASE WHEN priced_with_fallback = 1 THEN cost ELSE 0 END) AS fallbackPricedCost
+            FROM messages ${where}
+            GROUP BY day, model
+            ORDER BY day
+        `).all(params);
+    }
+
+    /**
+     * 全部 5 小时窗口（边界见 createWindowAssigner），按时间升序
+     * 返回 [{ start, end, tokens, messages }]；结果按索引版本和重置时间缓存
+     */
+    getSessionWindows({ resetTimes = [] } = {}) {
+        const cacheKey = `${this.revision}:${resetTimes.map(resetAt => new Date(resetAt).getTime()).join(',')}`;
+        if (this.windowCache?.key === cacheKey) {
+            return this.windowCache.windows;
+        }
+
+        const windows = buildSessionWindows(this.getWindowRows(), { resetTimes });
+        this.windowCache = { key: cacheKey, windows };
+        return windows;
+    }
+
+    /**
+     * 窗口划分用的原始行 [{ timestamp, tokens }]，按时间升序
+     */
+    getWindowRows() {
+        return this.db.prepare('SELECT timestamp, input_tokens + output_tokens AS tokens FROM messages ORDER BY timestamp').all();
+    }
+
+    /**
+     * 每个 5 小时窗口的令牌总数，用于订阅计划检测
+     */
+    getWindowUsages(options = {}) {
+        return this.getSessionWindows(options).map(window => window.tokens);
+    }
+
+    /**
+     * 按回退价格估算成本的模型
+     */
+    getFallbackPricedModels(filter = {}) {
+        const { where, params } = this.buildFilter(filter);
+        return this.db.prepare(`
+            SELECT model, priced_as AS pricedAs, COUNT(*) AS messages, SUM(cost) AS cost
+            FROM messages ${where ? `${where} AND` : 'WHERE'} priced_with_fallback = 1
+            GROUP BY model
+            ORDER BY cost DESC
+        `).all(params);
+    }
+
+    /**
+     * 消息总数及最早/最新时间
+     */
+    getSummary() {
+        const row = this.db.prepare('SELECT COUNT(*) AS count, MIN(timestamp) AS oldest, MAX(timestamp) AS newest FROM messages').get();
+        return {
+            count: row.count,
+            oldest: row.oldest !== null ? new Date(row.oldest) : null,
+            newest: row.newest !== null ? new Date(row.newest) : null
+        };
+    }
+
+    getStats() {
+        return {
+            dbPath: this.dbPath,
+            files: this.db.prepare('SELECT COUNT(*) AS count FROM files').get().count,
+            ...this.getSummary(),
+            revision: this.revision,
+            lastFullSync: this.lastFullSync ? new Date(this.lastFullSync) : null
+        };
+    }
+}
+
+/**
+ * 多个使用量来源的合并视图 - 接口与 UsageIndex 相同，查询结果中的每条记录带有 source（来源 id）
+ * parts: [{ source, index }]
+ */
+export class CombinedUsageIndex {
+    constructor(parts) {
+        this.parts = parts;
+        this.windowCache = null;
+    }
+
+    /**
+     * 各索引的 revision 都只增不减，求和即可判断是否有任一来源变化
+     */
+    get revision() {
+        return this.parts.reduce((sum, part) => sum + part.index.revision, 0);
+    }
+
+    async ready() {
+        // 逐个补扫，避免多个目录同时全量扫描
+        for (const part of this.parts) {
+            await part.index.ready();
+        }
+    }
+
+    invalidate() {
+        this.parts.forEach(part => part.index.invalidate());
+    }
+
+    buildFilter(filter = {}) {
+        return this.parts[0].index.buildFilter(filter);
+    }
+
+    getMessages(filter = {}) {
+        const messages = this.parts.flatMap(({ source, index }) =>
+            index.getMessages(filter).map(message => ({ ...message, source }))
+        );
+        return this.parts.length > 1 ? messages.sort((a, b) => b.timestamp - a.timestamp) : messages;
+    }
+
+    getDailyAggregates(filter = {}) {
+        const rows = this.parts.flatMap(({ source, index }) =>
+            index.getDailyAggregates(filter).map(row => ({ ...row, source }))
+        );
+        return this.parts.length > 1 ? rows.sort((a, b) => a.day.localeCompare(b.day)) : rows;
+    }
+
+    /**
+     * 合并后的 5 小时窗口；所有来源的消息放在同一条时间线上划分
+     */
+    getSessionWindows({ resetTimes = [] } = {}) {
+        if (this.parts.length === 1) {
+            return this.parts[0].index.getSessionWindows({ resetTimes });
+        }
+
+        const cacheKey = `${this.revision}:${resetTimes.map(resetAt => new Date(resetAt).getTime()).join(',')}`;
+        if (this.windowCache?.key === cacheKey) {
+            return this.windowCache.windows;
+        }
+
+        const rows = this.parts.flatMap(part => part.index.getWindowRows()).sort((a, b) => a.timestamp - b.timestamp);
+        const windows = buildSessionWindows(rows, { resetTimes });
+        this.windowCache = { key: cacheKey, windows };
+        return windows;
+    }
+
+    getWindowUsages(options = {}) {
+        return this.getSessionWindows(options).map(window => window.tokens);
+    }
+
+    getFallbackPricedModels(filter = {}) {
+        const byModel = new Map();
+        for (const part of this.parts) {
+            for (const row of part.index.getFallbackPricedModels(filter)) {
+                const merged = byModel.get(row.model) || { model: row.model, pricedAs: row.pricedAs, messages: 0, cost: 0 };
+                merged.messages += row.messages;
+                merged.cost += row.cost;
+                byModel.set(row.model, merged);
+            }
+        }
+        return Array.from(byModel.values()).sort((a, b) => b.cost - a.cost);
+    }
+
+    getSummary() {
+        return this.parts.map(part => part.index.getSummary()).reduce((acc, summary) => ({
+            count: acc.count + summary.count,
+            oldest: !acc.oldest || (summary.oldest && summary.oldest < acc.oldest) ? summary.oldest : acc.oldest,
+            newest: !acc.newest || (summary.newest && summary.newest > acc.newest) ? summary.newest : acc.newest
+        }), { count: 0, oldest: null, newest: null });
+    }
+
+    getStats() {
+        const sources = this.parts.map(({ source, index }) => ({ source, ...index.getStats() }));
+        return {
+            ...this.getSummary(),
+            files: sources.reduce((sum, stats) => sum + stats.files, 0),
+            revision: this.revision,
+            sources
+        };
+    }
+}
+
+const usageIndexes = new Map();
+const combinedIndexes = new Map();
+
+/**
+ * 获取某个 Claude 配置目录的使用量索引（按项目目录复用同一个实例）
+ */
+export function getUsageIndex(sessionAnalyzer = new SessionAnalyzer()) {
+    if (!usageIndexes.has(sessionAnalyzer.projectsDir)) {
+        usageIndexes.set(sessionAnalyzer.projectsDir, new UsageIndex(sessionAnalyzer));
+    }
+    return usageIndexes.get(sessionAnalyzer.projectsDir);
+}
+
+/**
+ * 项目监听器事件转发到已打开的索引；尚未使用的索引会在首次查询时补扫
+ */
+export function handleUsageIndexChange(eventType, filePath) {
+    for (const index of usageIndexes.values()) {
+        if (filePath.startsWith(index.projectsDir + path.sep) || filePath === index.projectsDir) {
+            index.handleChange(eventType, filePath);
+        }
+    }
+}
+
+/**
+ * 获取一组使用量来源的合并索引（按来源 id 和目录复用同一个实例）
+ * sources: [{ id, claudeConfigDir }]，来自 UsageSourceRegistry.resolve
+ */
+export function getCombinedUsageIndex(sources) {
+    const key = sources.map(source => `${source.id}:${source.claudeConfigDir}`).join('|');
+    if (!combinedIndexes.has(key)) {
+        combinedIndexes.set(key, new CombinedUsageIndex(sources.map(source => ({
+            source: source.id,
+            index: getUsageIndex(new SessionAnalyzer(source.claudeConfigDir))
+        }))));
+    }
+    return combinedIndexes.get(key);
+}
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { EventEmitter } from 'events';
+import { createLogger } from '../utils/logger.js';
+
+const SETTINGS_DIR = path.join(os.homedir(), '.claude-code-ui');
+const RESET_FILE = path.join(SETTINGS_DIR, 'usage-limit-resets.json');
+
+export const USAGE_LIMIT_MARKER = 'Claude AI usage limit reached|';
+
+// 只保留最近的若干次限额记录，用于计划检测
+const MAX_HISTORY = 20;
+
+/**
+ * 从 "Claude AI usage limit reached|<epoch>" 中解析重置时间
+ * epoch 通常为秒，也兼容毫秒；没有有效时间时返回 null
+ */
+export function parseUsageLimitReset(text) {
+    if (typeof text !== 'string') return null;
+    const index = text.indexOf(USAGE_LIMIT_MARKER);
+    if (index === -1) return null;
+
+    const match = text.slice(index + USAGE_LIMIT_MARKER.length).match(/^\s*(\d{9,13})/);
+    if (!match) return null;
+
+    const epoch = Number(match[1]);
+    const resetAt = new Date(epoch < 1e12 ? epoch * 1000 : epoch);
+    return Number.isNaN(resetAt.getTime()) ? null : resetAt;
+}
+
+/**
+ * 使用限额追踪 - 记录 Claude CLI 输出中的限额提示给出的准确重置时间，
+ * 5小时窗口以它为准，而不是根据消息时间推算
+ *
+ * 重置时间变化时发出 'reset' 事件
+ */
+export class UsageLimitTracker extends EventEmitter {
+    constructor({ resetFile = RESET_FILE } = {}) {
+        super();
+        this.resetFile = resetFile;
+        this.logger = createLogger('UsageLimitTracker');
+        this.history = this.loadHistory();
+    }
+
+    loadHistory() {
+        try {
+            if (fs.existsSync(this.resetFile)) {
+                const stored = JSON.parse(fs.readFileSync(this.resetFile, 'utf8'));
+                return (stored.resets || []).map(entry => ({
+                    resetAt: new Date(entry.resetAt),
+                    detectedAt: new Date(entry.detectedAt)
+                }));
+            }
+        } catch (error) {
+            this.logger.warn(`限额重置记录读取失败: ${error.message}`);
+        }
+        return [];
+    }
+
+    /**
+     * 记录一次限额提示；同一重置时间只记录一次，返回是否为新记录
+     */
+    recordReset(resetAt) {
+        const time = new Date(resetAt).getTime();
+        if (this.history.some(entry => entry.resetAt.getTime() === time)) {
+            return false;
+        }
+
+        this.history = [...this.history, { resetAt: new Date(time), detectedAt: new Date() }]
+            .sort((a, b) => a.resetAt - b.resetAt)
+            .slice(-MAX_HISTORY);
+
+        try {
+            fs.mkdirSync(path.dirname(this.resetFile), { recursive: true });
+            fs.writeFileSync(this.resetFile, JSON.stringify({ resets: this.history }, null, 2));
+        } catch (error) {
+            this.logger.warn(`限额重置记录保存失败: ${error.message}`);
+        }
+
+        this.logger.info(`记录限额重置时间: ${new Date(time).toISOString()}`);
+        this.emit('reset', new Date(time));
+        return true;
+    }
+
+    /**
+     * 解析一段 CLI 输出并记录其中的重置时间，返回解析出的时间或 null
+     */
+    recordFromText(text) {
+        const resetAt = parseUsageLimitReset(text);
+        if (resetAt) {
+            this.recordReset(resetAt);
+        }
+        return resetAt;
+    }
+
+    /**
+     * 尚未到达的重置时间（当前窗口的准确结束时间），没有时返回 null
+     */
+    getActiveReset(now = new Date()) {
+        const latest = this.history[this.history.length - 1];
+        return latest && latest.resetAt > now ? latest.resetAt : null;
+    }
+
+    /**
+     * 全部已知的重置时间（升序）
+     */
+    getResetTimes() {
+        return this.history.map(entry => entry.resetAt);
+    }
+}
+
+let usageLimitTracker = null;
+
+export function getUsageLimitTracker() {
+    if (!usageLimitTracker) {
+        usageLimitTracker = new UsageLimitTracker();
+    }
+    return usageLimitTracker;
+}
@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { createLogger } from '../utils/logger.js';
+import { LocalizedError } from '../utils/i18n.js';
+
+const SETTINGS_DIR = path.join(os.homedir(), '.claude-code-ui');
+const SOURCES_FILE = path.join(SETTINGS_DIR, 'usage-sources.json');
+
+export const DEFAULT_SOURCE_ID = 'default';
+
+/**
+ * 展开 ~ 并规范化为绝对路径
+ */
+function normalizeConfigDir(dir) {
+    const expanded = dir.startsWith('~') ? path.join(os.homedir(), dir.slice(1)) : dir;
+    return path.resolve(expanded);
+}
+
+/**
+ * 使用量来源 - 每个来源是一个 Claude 配置目录（例如工作/个人账户、挂载到宿主机的容器目录），
+ * 各自有独立的使用量索引，查询时可以单独查看或合并
+ *
+ * 默认来源固定为 ~/.claude（可以停用但不能删除），其余来源保存在 usage-sources.json 中
+ * 来源列表变化时发出 'change' 事件
+ */
+export class UsageSourceRegistry extends EventEmitter {
+    constructor({ sourcesFile = SOURCES_FILE } = {}) {
+        super();
+        this.sourcesFile = sourcesFile;
+        this.logger = createLogger('UsageSources');
+        this.sources = this.loadSources();
+    }
+
+    getDefaultSource() {
+        return {
+            id: DEFAULT_SOURCE_ID,
+            label: '默认',
+            claudeConfigDir: path.join(os.homedir(), '.claude'),
+            enabled: true,
+            builtIn: true
+        };
+    }
+
+    loadSources() {
+        let stored = [];
+        try {
+            if (fs.existsSync(this.sourcesFile)) {
+                stored = JSON.parse(fs.readFileSync(this.sourcesFile, 'utf8')).sources || [];
+            }
+        } catch (error) {
+            this.logger.warn(`使用量来源配置读取失败，只使用默认来源: ${error.message}`);
+        }
+
+        const defaultSource = this.getDefaultSource();
+        const storedDefault = stored.find(source => source.id === DEFAULT_SOURCE_ID);
+        return [
+            {
+                ...defaultSource,
+                label: storedDefault?.label || defaultSource.label,
+                enabled: storedDefault ? storedDefault.enabled !== false : true
+            },
+            ...stored
+                .filter(source => source.id !== DEFAULT_SOURCE_ID && source.claudeConfigDir)
+                .map(source => ({
+                    id: source.id,
+                    label: source.label || source.id,
+                    claudeConfigDir: normalizeConfigDir(source.claudeConfigDir),
+                    enabled: source.enabled !== false,
+                    builtIn: false
+                }))
+        ];
+    }
+
+    /**
+     * 全部来源（含停用的），附带目录是否存在
+     */
+    getSources() {
+        return this.sources.map(source => ({
+            ...source,
+            exists: fs.existsSync(path.join(source.claudeConfigDir, 'projects'))
+        }));
+    }
+
+    /**
+     * 校验并保存来源列表；没有 id 的条目视为新增
+     * 校验失败时抛出错误，不修改现有配置
+     */
+    saveSources(sources) {
+        if (!Array.isArray(sources)) {
+            throw new LocalizedError('INVALID_SOURCE_LIST');
+        }
+
+        const seenDirs = new Set();
+        const normalized = sources.map(source => {
+            const label = typeof source.label === 'string' ? source.label.trim() : '';
+            if (!label) {
+                throw new LocalizedError('SOURCE_LABEL_REQUIRED');
+            }
+
+            if (source.id === DEFAULT_SOURCE_ID) {
+                const defaultSource = this.getDefaultSource();
+                seenDirs.add(defaultSource.claudeConfigDir);
+                return { ...defaultSource, label, enabled: source.enabled !== false };
+            }
+
+            if (typeof source.claudeConfigDir !== 'string' || !source.claudeConfigDir.trim()) {
+                throw new LocalizedError('SOURCE_DIR_REQUIRED', { label });
+            }
+            const claudeConfigDir = normalizeConfigDir(source.claudeConfigDir.trim());
+            if (seenDirs.has(claudeConfigDir)) {
+                throw new LocalizedError('SOURCE_DIR_DUPLICATE', { dir: claudeConfigDir });
+            }
+            seenDirs.add(claudeConfigDir);
+
+            return {
+                id: source.id || crypto.randomBytes(4).toString('hex'),
+                label,
+                claudeConfigDir,
+                enabled: source.enabled !== false,
+                builtIn: false
+            };
+        });
+
+        if (!normalized.some(source => source.id === DEFAULT_SOURCE_ID)) {
+            normalized.unshift({ ...this.getDefaultSource(), enabled: false });
+        }
+        if (!normalized.some(source => source.enabled)) {
+            throw new LocalizedError('NO_ENABLED_SOURCE');
+        }
+
+        fs.mkdirSync(path.dirname(this.sourcesFile), { recursive: true });
+        fs.writeFileSync(this.sourcesFile, JSON.stringify({
+            sources: normalized.map(({ builtIn, ...source }) => source)
+        }, null, 2));
+
+        this.sources = normalized;
+        this.emit('change', this.getSources());
+        return this.getSources();
+    }
+
+    /**
+     * 解析查询中选择的来源：ids 为空时使用全部已启用来源，否则只保留已启用的指定来源
+     * 返回 null 表示选择了不存在或已停用的来源
+     */
+    resolve(ids = null) {
+        const enabled = this.sources.filter(source => source.enabled);
+        if (!ids || ids.length === 0) {
+            return enabled;
+        }
+        const selected = enabled.filter(source => ids.includes(source.id));
+        return selected.length === ids.length ? selected : null;
+    }
+}
+
+let usageSourceRegistry = null;
+
+export function getUsageSourceRegistry() {
+    if (!usageSourceRegistry) {
+        usageSourceRegistry = new UsageSourceRegistry();
+    }
+    return usageSourceRegistry;
+}
+
+/**
+ * 把查询参数 sources=a,b 解析为 id 列表
+ */
+export function parseSourceIds(value) {
+    if (!value) return null;
+    const ids = (Array.isArray(value) ? value.join(',') : String(value))
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+    return ids.length > 0 ? [...new Set(ids)] : null;
+}
@@ -0,0 +1,73 @@
+/**
+ * 行级差异计算
+ * 基于最长公共子序列，供导出等场景把两段文本渲染成 diff
+ */
+
+// Above this many line pairs the LCS table gets too large; fall back to remove-all/add-all
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Diff two texts line by line.
+ * Returns [{ type: 'context' | 'removed' | 'added', content }]
+ */
+function diffLines(oldText = '', newText = '') {
+    const oldLines = oldText === '' ? [] : oldText.split('\n');
+    const newLines = newText === '' ? [] : newText.split('\n');
+
+    if (oldLines.length * newLines.length > MAX_LCS_CELLS) {
+        return [
+            ...oldLines.map(content => ({ type: 'removed', content })),
+            ...newLines.map(content => ({ type: 'added', content }))
+        ];
+    }
+
+    // lcs[i][j] = length of the LCS of oldLines[i..] and newLines[j..]
+    const rows = oldLines.length + 1;
+    const cols = newLines.length + 1;
+    const lcs = new Array(rows);
+    for (let i = 0; i < rows; i++) {
+        lcs[i] = new Uint32Array(cols);
+    }
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            lcs[i][j] = oldLines[i] === newLines[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length && j < newLines.length) {
+        if (oldLines[i] === newLines[j]) {
+            result.push({ type: 'context', content: oldLines[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'removed', content: oldLines[i] });
+            i++;
+        } else {
+            result.push({ type: 'added', content: newLines[j] });
+            j++;
+        }
+    }
+    while (i < oldLines.length) {
+        result.push({ type: 'removed', content: oldLines[i++] });
+    }
+    while (j < newLines.length) {
+        result.push({ type: 'added', content: newLines[j++] });
+    }
+
+    return result;
+}
+
+/**
+ * Render diffLines() output in unified-diff style (' ', '-', '+' prefixes)
+ */
+function formatDiffLines(lines) {
+    const prefixes = { context: ' ', removed: '-', added: '+' };
+    return lines.map(line => `${ prefixes[line.type] }${ line.content }`).join('\n');
+}
+
+export { diffLines, formatDiffLines };
@@ -0,0 +1,118 @@
+/**
+ * 统一 diff 的块级解析与部分补丁构建
+ * 供 GitPanel 按块/按行暂存使用
+ */
+import crypto from 'crypto';
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * Split a single-file unified diff into its file header and hunks.
+ * Hunk IDs hash the file path and hunk body (not the line numbers), so they stay
+ * the same when other hunks of the file are staged or unstaged.
+ * Returns { header: string[], hunks: [{ id, header, oldStart, oldLines, newStart, newLines, section, lines }] }
+ * where lines are { type: 'context' | 'added' | 'removed', content, noNewline }
+ */
+function parseDiffHunks(diffText, filePath) {
+    const header = [];
+    const hunks = [];
+    let current = null;
+
+    for (const line of diffText.split('\n')) {
+        const match = line.match(HUNK_HEADER);
+        if (match) {
+            current = {
+                header: line,
+                oldStart: parseInt(match[1], 10),
+                oldLines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+                newStart: parseInt(match[3], 10),
+                newLines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+                section: match[5].trim(),
+                lines: []
+            };
+            hunks.push(current);
+            continue;
+        }
+
+        if (!current) {
+            if (line) header.push(line);
+            continue;
+        }
+
+        if (line.startsWith('\\')) {
+            // "\ No newline at end of file" belongs to the previous line
+            const previous = current.lines[current.lines.length - 1];
+            if (previous) previous.noNewline = true;
+        } else if (line.startsWith('+')) {
+            current.lines.push({ type: 'added', content: line.slice(1) });
+        } else if (line.startsWith('-')) {
+            current.lines.push({ type: 'removed', content: line.slice(1) });
+        } else if (line.startsWith(' ')) {
+            current.lines.push({ type: 'context', content: line.slice(1) });
+        }
+    }
+
+    const seen = new Map();
+    for (const hunk of hunks) {
+        const body = hunk.lines.map(l => `${ l.type[0] }${ l.content }${ l.noNewline ? '\\' : '' }`).join('\n');
+        const base = crypto.createHash('sha1').update(`${ filePath }\n${ body }`).digest('hex').slice(0, 12);
+        // Identical hunks in one file get an occurrence suffix
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        hunk.id = count === 0 ? base : `${ base }-${ count }`;
+    }
+
+    return { header, hunks };
+}
+
+/**
+ * Keep only the selected lines of a hunk.
+ * Forward patches (applied as-is) turn unselected removals into context and drop
+ * unselected additions; reverse patches (applied with --reverse) do the opposite.
+ */
+function selectHunkLines(hunk, selectedIndexes, reverse = false) {
+    if (!selectedIndexes) return hunk.lines;
+
+    const selected = new Set(selectedIndexes);
+    const lines = [];
+    hunk.lines.forEach((line, index) => {
+        if (line.type === 'context' || selected.has(index)) {
+            lines.push(line);
+        } else if ((line.type === 'removed' && !reverse) || (line.type === 'added' && reverse)) {
+            lines.push({ ...line, type: 'context' });
+        }
+    });
+    return lines;
+}
+
+function formatHunk(hunk, lines) {
+    const oldLines = lines.filter(l => l.type !== 'added').length;
+    const newLines = lines.filter(l => l.type !== 'removed').length;
+    const prefixes = { context: ' ', added: '+', removed: '-' };
+    const body = [];
+    for (const line of lines) {
+        body.push(`${ prefixes[line.type] }${ line.content }`);
+        if (line.noNewline) body.push('\\ No newline at end of file');
+    }
+    const section = hunk.section ? ` ${ hunk.section }` : '';
+    return [`@@ -${ hunk.oldStart },${ oldLines } +${ hunk.newStart },${ newLines } @@${ section }`, ...body].join('\n');
+}
+
+/**
+ * Build a patch containing only the chosen hunks (and optionally lines).
+ * selection: { [hunkId]: number[] | null } — null means the whole hunk.
+ * Meant for `git apply --recount`, so line counts only need to be consistent per hunk.
+ */
+function buildPartialPatch(parsed, selection, { reverse = false } = {}) {
+    const parts = [];
+    for (const hunk of parsed.hunks) {
+        if (!(hunk.id in selection)) continue;
+        const lines = selectHunkLines(hunk, selection[hunk.id], reverse);
+        if (!lines.some(line => line.type !== 'context')) continue;
+        parts.push(formatHunk(hunk, lines));
+    }
+    if (parts.length === 0) return null;
+    return [...parsed.header, ...parts].join('\n') + '\n';
+}
+
+export { parseDiffHunks, buildPartialPatch };
@@ -0,0 +1,147 @@
+/**
+ * 服务端消息本地化
+ * 按请求的 lang 查询参数或 Accept-Language 头选择语言，错误消息按错误码查表
+ */
+
+export const DEFAULT_LANGUAGE = 'zh-CN';
+
+const MESSAGES = {
+    'zh-CN': {
+        INVALID_USAGE_SOURCE: '使用量来源不存在或已停用',
+        INVALID_FORECAST_PARAMS: '预测参数无效',
+        INVALID_DATE_RANGE: '日期范围无效',
+        INVALID_TOKEN_LIMIT: '令牌限制必须大于0',
+        INVALID_COST_LIMIT: '成本限制必须大于0',
+        INVALID_EXPORT_TYPE: '不支持的导出类型',
+        INVALID_EXPORT_FORMAT: '不支持的导出格式',
+        INVALID_EXPORT_LANGUAGE: '不支持的表头语言',
+        CACHE_CLEARED: '缓存已清除',
+        BUDGET_NOT_POSITIVE: '{name} 必须为正数',
+        PROJECT_BUDGET_NOT_POSITIVE: '项目 {project} 的预算必须为正数',
+        INVALID_PROJECT_BUDGETS: 'projectCosts 必须为 { 项目名: 金额 } 对象',
+        INVALID_ALERT_THRESHOLDS: '提醒阈值必须为 1-1000 之间的百分比',
+        INVALID_ALERT_COOLDOWN: '提醒冷却时间必须为非负数',
+        INVALID_SOURCE_LIST: '来源列表格式无效',
+        SOURCE_LABEL_REQUIRED: '来源名称不能为空',
+        SOURCE_DIR_REQUIRED: '来源“{label}”缺少配置目录',
+        SOURCE_DIR_DUPLICATE: '配置目录重复: {dir}',
+        NO_ENABLED_SOURCE: '至少需要启用一个来源',
+        EXPORT_ROLE_USER: '👤 用户',
+        EXPORT_ROLE_ASSISTANT: '🤖 Claude',
+        EXPORT_PROJECT: '项目',
+        EXPORT_SESSION: '会话',
+        EXPORT_EXPORTED_AT: '导出时间',
+        EXPORT_RESULT: '结果',
+        EXPORT_ERROR_RESULT: '错误结果',
+        BUDGET_LABEL_DAILY_COST: '每日成本预算',
+        BUDGET_LABEL_WEEKLY_COST: '每周成本预算',
+        BUDGET_LABEL_MONTHLY_COST: '每月成本预算',
+        BUDGET_LABEL_WINDOW_TOKENS: '5小时窗口令牌预算',
+        BUDGET_LABEL_PROJECT_COST: '项目 {project} 的月度预算',
+        BUDGET_ALERT_EXCEEDED: '已超出{label}',
+        BUDGET_ALERT_PERCENT: '{label}已用 {percent}%',
+        BUDGET_ALERT_USAGE: '已使用 {usage} / {limit}'
+    },
+    en: {
+        INVALID_USAGE_SOURCE: 'Usage source does not exist or is disabled',
+        INVALID_FORECAST_PARAMS: 'Invalid forecast parameters',
+        INVALID_DATE_RANGE: 'Invalid date range',
+        INVALID_TOKEN_LIMIT: 'Token limit must be greater than 0',
+        INVALID_COST_LIMIT: 'Cost limit must be greater than 0',
+        INVALID_EXPORT_TYPE: 'Unsupported export type',
+        INVALID_EXPORT_FORMAT: 'Unsupported export format',
+        INVALID_EXPORT_LANGUAGE: 'Unsupported header language',
+        CACHE_CLEARED: 'Cache cleared',
+        BUDGET_NOT_POSITIVE: '{name} must be a positive number',
+        PROJECT_BUDGET_NOT_POSITIVE: 'Budget for project {project} must be a positive number',
+        INVALID_PROJECT_BUDGETS: 'projectCosts must be a { projectName: amount } object',
+        INVALID_ALERT_THRESHOLDS: 'Alert thresholds must be percentages between 1 and 1000',
+        INVALID_ALERT_COOLDOWN: 'Alert cooldown must be a non-negative number',
+        INVALID_SOURCE_LIST: 'Invalid source list',
+        SOURCE_LABEL_REQUIRED: 'Source name is required',
+        SOURCE_DIR_REQUIRED: 'Source "{label}" has no config directory',
+        SOURCE_DIR_DUPLICATE: 'Duplicate config directory: {dir}',
+        NO_ENABLED_SOURCE: 'At least one source must be enabled',
+        EXPORT_ROLE_USER: '👤 User',
+        EXPORT_ROLE_ASSISTANT: '🤖 Claude',
+        EXPORT_PROJECT: 'Project',
+        EXPORT_SESSION: 'Session',
+        EXPORT_EXPORTED_AT: 'Exported at',
+        EXPORT_RESULT: 'Result',
+        EXPORT_ERROR_RESULT: 'Error result',
+        BUDGET_LABEL_DAILY_COST: 'Daily cost budget',
+        BUDGET_LABEL_WEEKLY_COST: 'Weekly cost budget',
+        BUDGET_LABEL_MONTHLY_COST: 'Monthly cost budget',
+        BUDGET_LABEL_WINDOW_TOKENS: '5-hour window token budget',
+        BUDGET_LABEL_PROJECT_COST: 'Monthly budget for project {project}',
+        BUDGET_ALERT_EXCEEDED: '{label} exceeded',
+        BUDGET_ALERT_PERCENT: '{label} {percent}% used',
+        BUDGET_ALERT_USAGE: 'Used {usage} of {limit}'
+    }
+};
+
+/**
+ * 带错误码和参数的错误，路由层据此按请求语言生成消息；
+ * message 始终为默认语言，便于日志和未经过路由的调用方
+ */
+export class LocalizedError extends Error {
+    constructor(code, params = {}) {
+        super(translate(DEFAULT_LANGUAGE, code, params));
+        this.name = 'LocalizedError';
+        this.code = code;
+        this.params = params;
+    }
+}
+
+/**
+ * 把语言标签规范为支持的语言：zh* → zh-CN，en* → en，其它返回 null
+ */
+export function normalizeLanguage(tag) {
+    if (typeof tag !== 'string') return null;
+    const lower = tag.trim().toLowerCase();
+    if (lower.startsWith('zh')) return 'zh-CN';
+    if (lower.startsWith('en')) return 'en';
+    return null;
+}
+
+/**
+ * 从 lang 查询参数或 Accept-Language 头（按 q 值排序）解析请求语言
+ */
+export function resolveLanguage(req) {
+    const fromQuery = normalizeLanguage(req.query?.lang);
+    if (fromQuery) return fromQuery;
+
+    const header = req.headers?.['accept-language'] || '';
+    const candidates = header.split(',')
+        .map(part => {
+            const [tag, ...attributes] = part.trim().split(';');
+            const quality = attributes.find(attribute => attribute.trim().startsWith('q='));
+            return { tag, q: quality ? parseFloat(quality.trim().slice(2)) || 0 : 1 };
+        })
+        .sort((a, b) => b.q - a.q);
+
+    for (const { tag } of candidates) {
+        const language = normalizeLanguage(tag);
+        if (language) return language;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * 按错误码查找消息并替换 {name} 占位符，缺失时回退到默认语言，再回退到错误码本身
+ */
+export function translate(language, code, params = {}) {
+    const template = MESSAGES[language]?.[code] ?? MESSAGES[DEFAULT_LANGUAGE][code] ?? code;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined ? String(params[name]) : match
+    ));
+}
+
+/**
+ * Express 中间件：为每个请求设置 req.language 和 req.t(code, params)
+ */
+export function i18nMiddleware(req, res, next) {
+    req.language = resolveLanguage(req);
+    req.t = (code, params) => translate(req.language, code, params);
+    next();
+}
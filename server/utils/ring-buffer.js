@@ -0,0 +1,67 @@
+// Output appended to the newest chunk until it reaches this size, so the ring holds
+// a bounded number of chunks however small the individual writes are
+const CHUNK_SIZE = 16 * 1024;
+
+/**
+ * Bounded text buffer over a fixed ring of chunks. Appending is O(1); once the
+ * capacity is exceeded the oldest chunks are overwritten.
+ */
+export class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.slots = new Array(Math.ceil(capacity / CHUNK_SIZE) + 1);
+        this.start = 0;
+        this.count = 0;
+        this.length = 0;
+        // Set once anything has been dropped, so readers know the text starts mid-stream
+        this.truncated = false;
+    }
+
+    push(text) {
+        if (!text) return;
+        if (text.length > this.capacity) {
+            text = text.slice(-this.capacity);
+            this.truncated = true;
+        }
+
+        const lastIndex = (this.start + this.count - 1) % this.slots.length;
+        if (this.count > 0 && this.slots[lastIndex].length + text.length <= CHUNK_SIZE) {
+            this.slots[lastIndex] += text;
+        } else {
+            if (this.count === this.slots.length) {
+                this.dropOldest();
+            }
+            this.slots[(this.start + this.count) % this.slots.length] = text;
+            this.count += 1;
+        }
+        this.length += text.length;
+
+        while (this.length > this.capacity && this.count > 1) {
+            this.dropOldest();
+        }
+    }
+
+    dropOldest() {
+        this.length -= this.slots[this.start].length;
+        this.slots[this.start] = undefined;
+        this.start = (this.start + 1) % this.slots.length;
+        this.count -= 1;
+        this.truncated = true;
+    }
+
+    toString() {
+        const parts = [];
+        for (let i = 0; i < this.count; i++) {
+            parts.push(this.slots[(this.start + i) % this.slots.length]);
+        }
+        return parts.join('');
+    }
+
+    clear() {
+        this.slots.fill(undefined);
+        this.start = 0;
+        this.count = 0;
+        this.length = 0;
+        this.truncated = false;
+    }
+}
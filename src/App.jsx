@@ -24,9 +24,12 @@ import Sidebar from './components/Sidebar';
 import MainContent from './components/MainContent';
 import ToolsSettings from './components/ToolsSettings';
 import QuickSettingsPanel from './components/QuickSettingsPanel';
+import SearchPalette from './components/SearchPalette';
+import SessionImportDialog from './components/SessionImportDialog';
 
 import { useWebSocket } from './utils/websocket';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { LanguageProvider, useLanguage } from './contexts/LanguageContext';
 import { useVersionCheck } from './hooks/useVersionCheck';
 import { api } from './utils/api';
 import { electronBridge, ElectronContext } from './utils/electron';
@@ -51,6 +54,7 @@ function AppContent() {
     const navigate = useNavigate();
     const { sessionId } = useParams();
     const electron = React.useContext(ElectronContext);
+    const { t } = useLanguage();
     debugLog('🔍 [AppContent] Electron context:', !!electron?.isElectronApp());
 
     const { updateAvailable, latestVersion, currentVersion } = useVersionCheck('felix-liuyj', 'claude-code-ui-desktop');
@@ -66,6 +70,10 @@ function AppContent() {
     const [isInputFocused, setIsInputFocused] = useState(false);
     const [showToolsSettings, setShowToolsSettings] = useState(false);
     const [showQuickSettings, setShowQuickSettings] = useState(false);
+    const [showSearchPalette, setShowSearchPalette] = useState(false);
+    const [importFilePath, setImportFilePath] = useState(null);
+    // Message to scroll to once the chat has loaded the session picked from search
+    const [messageJumpTarget, setMessageJumpTarget] = useState(null);
     const [autoExpandTools, setAutoExpandTools] = useState(() => {
         const saved = localStorage.getItem('autoExpandTools');
         return saved !== null ? JSON.parse(saved) : false;
@@ -114,7 +122,7 @@ function AppContent() {
                 return;
             }
 
-            const message = `提交当前变动\n\n项目: ${project.displayName || project.name}\n文件: ${selectedFiles.length} 个\n\n请分析这些变动并创建合适的提交消息，然后提交这些更改。`;
+            const message = t('app.commitPrompt', { project: project.displayName || project.name, count: selectedFiles.length });
             
             // Don't switch to chat tab - keep user in current view
             // setActiveTab('chat');
@@ -179,7 +187,7 @@ function AppContent() {
             delete window.claudeCommitChanges;
             delete window.abortClaudeSession;
         };
-    }, [sendMessage, setActiveTab, setSelectedProject, ws, selectedSession]);
+    }, [sendMessage, setActiveTab, setSelectedProject, ws, selectedSession, t]);
 
     useEffect(() => {
         // Fetch projects on component mount
@@ -301,6 +309,14 @@ function AppContent() {
                         });
                     }
                     break;
+                case 'menu-search':
+                    setShowSearchPalette(true);
+                    break;
+                case 'menu-import-session':
+                    if (args[0]) {
+                        setImportFilePath(args[0]);
+                    }
+                    break;
                 case 'menu-settings':
                     setShowToolsSettings(true);
                     break;
@@ -497,6 +513,90 @@ function AppContent() {
         navigate(`/session/${ session.id }`);
     };
 
+    // Open the session containing a search hit and ask the chat to scroll to the message
+    const handleSearchResultSelect = (result) => {
+        const project = projects.find(p => p.name === result.projectName);
+        if (project) {
+            setSelectedProject(project);
+        }
+        // Older sessions may not be in the sidebar's first page yet
+        const session = project?.sessions?.find(s => s.id === result.sessionId) || {
+            id: result.sessionId,
+            summary: t('app.sessionFallback', { id: result.sessionId.slice(0, 8) })
+        };
+        setSelectedSession(session);
+        setMessageJumpTarget({
+            sessionId: result.sessionId,
+            timestamp: result.timestamp,
+            role: result.role
+        });
+        setActiveTab('chat');
+        if (isMobile) {
+            setSidebarOpen(false);
+        }
+        navigate(`/session/${ result.sessionId }`);
+    };
+
+    // Open a session created with "fork from here" once the sidebar knows about it
+    const handleSessionForked = async (session) => {
+        await handleSidebarRefresh();
+        setSelectedSession(session);
+        setActiveTab('chat');
+        navigate(`/session/${ session.id }`);
+    };
+
+    // Pick a JSONL file to import; the dialog takes it from there
+    const handleImportSession = async () => {
+        if (!electron?.isElectronApp()) {
+            alert(t('app.import.desktopOnly'));
+            return;
+        }
+        const result = await electron.showOpenDialog({
+            title: t('app.import.title'),
+            properties: ['openFile'],
+            filters: [{ name: t('app.import.filter'), extensions: ['jsonl'] }]
+        });
+        if (!result.canceled && result.filePaths?.length > 0) {
+            setImportFilePath(result.filePaths[0]);
+        }
+    };
+
+    const handleSessionImported = async (result) => {
+        const freshProjects = await handleSidebarRefresh();
+        const project = freshProjects?.find(p => p.name === result.projectName);
+        if (project) {
+            setSelectedProject(project);
+        }
+        const session = project?.sessions?.find(s => s.id === result.sessionId) || {
+            id: result.sessionId,
+            summary: t('app.sessionFallback', { id: result.sessionId.slice(0, 8) })
+        };
+        setSelectedSession(session);
+        setActiveTab('chat');
+        if (isMobile) {
+            setSidebarOpen(false);
+        }
+        navigate(`/session/${ result.sessionId }`);
+    };
+
+    // Open a session from the usage monitor's cost breakdown
+    const handleUsageSessionSelect = (projectName, sessionId) => {
+        const project = projects.find(p => p.name === projectName);
+        if (project) {
+            setSelectedProject(project);
+        }
+        const session = project?.sessions?.find(s => s.id === sessionId) || {
+            id: sessionId,
+            summary: t('app.sessionFallback', { id: sessionId.slice(0, 8) })
+        };
+        setSelectedSession(session);
+        setActiveTab('chat');
+        if (isMobile) {
+            setSidebarOpen(false);
+        }
+        navigate(`/session/${ sessionId }`);
+    };
+
     const handleNewSession = (project) => {
         setSelectedProject(project);
         setSelectedSession(null);
@@ -571,6 +671,7 @@ function AppContent() {
                     }
                 }
             }
+            return freshProjects;
         } catch (error) {
             console.error('Error refreshing sidebar:', error);
         }
@@ -657,8 +758,8 @@ function AppContent() {
                                 </svg>
                             </div>
                             <div>
-                                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">有可用更新</h2>
-                                <p className="text-sm text-gray-500 dark:text-gray-400">新版本已准备就绪</p>
+                                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{ t('app.update.title') }</h2>
+                                <p className="text-sm text-gray-500 dark:text-gray-400">{ t('app.update.subtitle') }</p>
                             </div>
                         </div>
                         <button
@@ -676,12 +777,12 @@ function AppContent() {
                     <div className="space-y-3">
                         <div
                             className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
-                            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">当前版本</span>
+                            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">{ t('app.update.current') }</span>
                             <span className="text-sm text-gray-900 dark:text-white font-mono">{ currentVersion }</span>
                         </div>
                         <div
                             className="flex justify-between items-center p-3 bg-primary/5 rounded-lg border border-primary/20">
-                            <span className="text-sm font-medium text-primary">最新版本</span>
+                            <span className="text-sm font-medium text-primary">{ t('app.update.latest') }</span>
                             <span
                                 className="text-sm text-primary-foreground font-mono">{ latestVersion }</span>
                         </div>
@@ -689,17 +790,17 @@ function AppContent() {
 
                     {/* Upgrade Instructions */ }
                     <div className="space-y-3">
-                        <h3 className="text-sm font-medium text-gray-900 dark:text-white">升级方式：</h3>
+                        <h3 className="text-sm font-medium text-gray-900 dark:text-white">{ t('app.update.howTo') }</h3>
                         {window.electronAPI ? (
                             // Desktop app - auto update
                             <div className="space-y-2">
                                 <div className="bg-blue-50 dark:bg-blue-900/20 rounded-lg p-3 border border-blue-200 dark:border-blue-800">
                                     <p className="text-sm text-blue-800 dark:text-blue-200">
-                                        🚀 桌面应用支持自动更新
+                                        🚀 { t('app.update.autoUpdate') }
                                     </p>
                                 </div>
                                 <p className="text-xs text-gray-600 dark:text-gray-400">
-                                    点击"立即更新"按钮将自动下载并安装最新版本，完成后应用将重启。
+                                    { t('app.update.autoUpdateHint') }
                                 </p>
                             </div>
                         ) : (
@@ -711,7 +812,7 @@ function AppContent() {
                                     </code>
                                 </div>
                                 <p className="text-xs text-gray-600 dark:text-gray-400">
-                                    在您的 Claude Code UI 目录中运行此命令以更新到最新版本。
+                                    { t('app.update.commandHint') }
                                 </p>
                             </div>
                         )}
@@ -723,7 +824,7 @@ function AppContent() {
                             onClick={ () => setShowVersionModal(false) }
                             className="flex-1 px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 rounded-md transition-colors"
                         >
-                            稍后
+                            { t('app.update.later') }
                         </button>
                         {window.electronAPI ? (
                             <button
@@ -740,7 +841,7 @@ function AppContent() {
                                 } }
                                 className="flex-1 px-4 py-2 text-sm font-medium text-white bg-primary hover:bg-primary/90 rounded-md transition-colors"
                             >
-                                立即更新
+                                { t('app.update.now') }
                             </button>
                         ) : (
                             <button
@@ -751,7 +852,7 @@ function AppContent() {
                                 } }
                                 className="flex-1 px-4 py-2 text-sm font-medium text-white bg-primary hover:bg-primary/90 rounded-md transition-colors"
                             >
-                                复制命令
+                                { t('app.update.copyCommand') }
                             </button>
                         )}
                     </div>
@@ -801,6 +902,8 @@ function AppContent() {
                             isLoading={ isLoadingProjects }
                             onRefresh={ handleSidebarRefresh }
                             onShowSettings={ () => setShowToolsSettings(true) }
+                            onShowSearch={ () => setShowSearchPalette(true) }
+                            onImportSession={ handleImportSession }
                             updateAvailable={ updateAvailable }
                             latestVersion={ latestVersion }
                             currentVersion={ currentVersion }
@@ -846,6 +949,8 @@ function AppContent() {
                             isLoading={ isLoadingProjects }
                             onRefresh={ handleSidebarRefresh }
                             onShowSettings={ () => setShowToolsSettings(true) }
+                            onShowSearch={ () => setShowSearchPalette(true) }
+                            onImportSession={ handleImportSession }
                             updateAvailable={ updateAvailable }
                             latestVersion={ latestVersion }
                             currentVersion={ currentVersion }
@@ -879,6 +984,9 @@ function AppContent() {
                     autoScrollToBottom={ autoScrollToBottom }
                     sendByCtrlEnter={ sendByCtrlEnter }
                     chatBgEnabled={ chatBgEnabled }
+                    messageJumpTarget={ messageJumpTarget }
+                    onMessageJumpHandled={ () => setMessageJumpTarget(null) }
+                    onSessionForked={ handleSessionForked }
                 />
             </div>
 
@@ -922,8 +1030,27 @@ function AppContent() {
             <ToolsSettings
                 isOpen={ showToolsSettings }
                 onClose={ () => setShowToolsSettings(false) }
+                onOpenSession={ handleUsageSessionSelect }
             />
 
+            {/* Session Search Palette */ }
+            <SearchPalette
+                isOpen={ showSearchPalette }
+                onClose={ () => setShowSearchPalette(false) }
+                projects={ projects }
+                onSelectResult={ handleSearchResultSelect }
+            />
+
+            {/* Session Import Dialog */ }
+            { importFilePath && (
+                <SessionImportDialog
+                    filePath={ importFilePath }
+                    projects={ projects }
+                    onClose={ () => setImportFilePath(null) }
+                    onImported={ handleSessionImported }
+                />
+            ) }
+
             {/* Version Upgrade Modal */ }
             <VersionUpgradeModal/>
 
@@ -949,12 +1076,14 @@ function App() {
     return (
         <ElectronContext.Provider value={ electronBridge }>
             <ThemeProvider>
-                <Router future={ { v7_startTransition: true, v7_relativeSplatPath: true } }>
-                    <Routes>
-                        <Route path="/" element={ <AppContent/> }/>
-                        <Route path="/session/:sessionId" element={ <AppContent/> }/>
-                    </Routes>
-                </Router>
+                <LanguageProvider>
+                    <Router future={ { v7_startTransition: true, v7_relativeSplatPath: true } }>
+                        <Routes>
+                            <Route path="/" element={ <AppContent/> }/>
+                            <Route path="/session/:sessionId" element={ <AppContent/> }/>
+                        </Routes>
+                    </Router>
+                </LanguageProvider>
             </ThemeProvider>
         </ElectronContext.Provider>
     );
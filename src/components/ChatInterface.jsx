@@ -24,8 +24,10 @@ import { useElectron } from '../utils/electron';
 import { AnimatedTransition, AnimatedMessage, useButtonAnimation } from './AnimatedTransition';
 
 import ClaudeStatus from './ClaudeStatus';
+import SessionUsageMeter, { combineSessionUsage } from './SessionUsageMeter';
 import { MicButton } from './MicButton.jsx';
 import { api } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
 
 // Safe localStorage utility to handle quota exceeded errors
 const safeLocalStorage = {
@@ -109,6 +111,13 @@ const safeLocalStorage = {
     }
 };
 
+// Model used when neither the session nor the project has a saved choice
+const DEFAULT_MODEL = 'sonnet';
+
+// Model choices are remembered per session and per project
+const sessionModelKey = (sessionId) => `model_session_${ sessionId }`;
+const projectModelKey = (projectName) => `model_project_${ projectName }`;
+
 // Memoized message component to prevent unnecessary re-renders
 const MessageComponent = memo(({
                                    message,
@@ -118,8 +127,12 @@ const MessageComponent = memo(({
                                    onShowSettings,
                                    autoExpandTools,
                                    showRawParameters,
-                                   userAvatarUrl
+                                   userAvatarUrl,
+                                   onPermissionDecision,
+                                   isHighlighted,
+                                   onForkFromMessage
                                }) => {
+    const { t } = useLanguage();
     const isGrouped = prevMessage && prevMessage.type === message.type &&
         prevMessage.type === 'assistant' &&
         !prevMessage.isToolUse && !message.isToolUse;
@@ -153,15 +166,39 @@ const MessageComponent = memo(({
         };
     }, [autoExpandTools, isExpanded, message.isToolUse]);
 
+    // Bring a message opened from the search palette into view (after the initial scroll-to-bottom)
+    React.useEffect(() => {
+        if (!isHighlighted) return;
+        const timer = setTimeout(() => {
+            messageRef.current?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [isHighlighted]);
+
     return (
         <div
             ref={ messageRef }
-            className={ `chat-message ${ message.type } ${ isGrouped ? 'grouped' : '' } ${ message.type === 'user' ? 'flex justify-end px-4 sm:px-6 py-2' : 'px-4 sm:px-6 py-3' }` }
+            className={ `chat-message ${ message.type } ${ isGrouped ? 'grouped' : '' } ${ message.type === 'user' ? 'flex justify-end px-4 sm:px-6 py-2' : 'px-4 sm:px-6 py-3' } ${ isHighlighted ? 'ring-2 ring-yellow-400/70 rounded-lg transition-shadow' : '' }` }
         >
             { message.type === 'user' ? (
                 /* User message bubble on the right */
                 <div
-                    className="flex items-end space-x-0 sm:space-x-3 w-full sm:w-auto sm:max-w-[80%] md:max-w-lg lg:max-w-2xl xl:max-w-3xl">
+                    className="group flex items-end space-x-0 sm:space-x-3 w-full sm:w-auto sm:max-w-[80%] md:max-w-lg lg:max-w-2xl xl:max-w-3xl">
+                    { message.uuid && onForkFromMessage && (
+                        <button
+                            onClick={ () => onForkFromMessage(message) }
+                            className="self-center mr-2 p-1.5 rounded-md text-gray-400 hover:text-primary hover:bg-gray-100 dark:hover:bg-gray-800 opacity-0 group-hover:opacity-100 transition-opacity flex-shrink-0"
+                            title={ t('chat.forkHint') }
+                        >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <circle cx="6" cy="6" r="2" strokeWidth={ 2 }/>
+                                <circle cx="6" cy="18" r="2" strokeWidth={ 2 }/>
+                                <circle cx="18" cy="8" r="2" strokeWidth={ 2 }/>
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
+                                      d="M6 8v8M18 10c0 4-6 3-11.5 6.5"/>
+                            </svg>
+                        </button>
+                    ) }
                     <div
                         className="bg-primary text-white rounded-2xl rounded-br-md px-4 sm:px-5 py-3 shadow-sm flex-1 sm:flex-initial">
                         <div className="text-sm leading-relaxed whitespace-pre-wrap break-words">
@@ -210,7 +247,7 @@ const MessageComponent = memo(({
                                 />
                             ) }
                             <div className="text-sm font-semibold text-gray-900 dark:text-white">
-                                { message.type === 'error' ? '错误' : 'Claude' }
+                                { message.type === 'error' ? t('chat.error') : 'Claude' }
                             </div>
                         </div>
                     ) }
@@ -245,7 +282,7 @@ const MessageComponent = memo(({
                                                 onShowSettings();
                                             } }
                                             className="p-1 rounded hover:bg-primary/20"
-                                            title="设置"
+                                            title={ t('chat.settings') }
                                         >
                                             <svg className="w-4 h-4 text-primary" fill="none"
                                                  stroke="currentColor" viewBox="0 0 24 24">
@@ -270,7 +307,7 @@ const MessageComponent = memo(({
                                                             <path strokeLinecap="round" strokeLinejoin="round"
                                                                   strokeWidth={ 2 } d="M19 9l-7 7-7-7"/>
                                                         </svg>
-                                                        📝 查看编辑差异为
+                                                        📝 { t('chat.tool.viewEditDiff') }
                                                         <button
                                                             onClick={ (e) => {
                                                                 e.preventDefault();
@@ -301,7 +338,7 @@ const MessageComponent = memo(({
                                                                 </button>
                                                                 <span
                                                                     className="text-xs text-gray-500 dark:text-gray-400">
-                                  差异
+                                  { t('chat.tool.diff') }
                                 </span>
                                                             </div>
                                                             <div className="text-xs font-mono">
@@ -330,7 +367,7 @@ const MessageComponent = memo(({
                                                             <details className="mt-2" open={ autoExpandTools }>
                                                                 <summary
                                                                     className="text-xs text-primary cursor-pointer hover:text-primary/80">
-                                                                    查看输入参数 (原始)
+                                                                    { t('chat.tool.viewRawInput') }
                                                                 </summary>
                                                                 <pre
                                                                     className="mt-2 text-xs bg-primary/10 p-2 rounded whitespace-pre-wrap break-words overflow-hidden text-primary-foreground">
@@ -375,7 +412,7 @@ const MessageComponent = memo(({
                                                                 <path strokeLinecap="round" strokeLinejoin="round"
                                                                       strokeWidth={ 2 } d="M19 9l-7 7-7-7"/>
                                                             </svg>
-                                                            📄 正在创建新文件:
+                                                            📄 { t('chat.tool.creatingFile') }
                                                             <button
                                                                 onClick={ (e) => {
                                                                     e.preventDefault();
@@ -406,7 +443,7 @@ const MessageComponent = memo(({
                                                                     </button>
                                                                     <span
                                                                         className="text-xs text-gray-500 dark:text-gray-400">
-                                    新文件
+                                    { t('chat.tool.newFile') }
                                   </span>
                                                                 </div>
                                                                 <div className="text-xs font-mono">
@@ -435,7 +472,7 @@ const MessageComponent = memo(({
                                                                 <details className="mt-2" open={ autoExpandTools }>
                                                                     <summary
                                                                         className="text-xs text-primary cursor-pointer hover:text-primary/80">
-                                                                        View raw parameters
+                                                                        { t('chat.tool.viewRawParameters') }
                                                                     </summary>
                                                                     <pre
                                                                         className="mt-2 text-xs bg-primary/10 p-2 rounded whitespace-pre-wrap break-words overflow-hidden text-primary-foreground">
@@ -467,7 +504,7 @@ const MessageComponent = memo(({
                                                                 <path strokeLinecap="round" strokeLinejoin="round"
                                                                       strokeWidth={ 2 } d="M19 9l-7 7-7-7"/>
                                                             </svg>
-                                                            更新任务列表
+                                                            { t('chat.tool.updateTasks') }
                                                         </summary>
                                                         <div className="mt-3">
                                                             <TodoList todos={ input.todos }/>
@@ -475,7 +512,7 @@ const MessageComponent = memo(({
                                                                 <details className="mt-3" open={ autoExpandTools }>
                                                                     <summary
                                                                         className="text-xs text-primary cursor-pointer hover:text-primary/80">
-                                                                        View raw parameters
+                                                                        { t('chat.tool.viewRawParameters') }
                                                                     </summary>
                                                                     <pre
                                                                         className="mt-2 text-xs bg-primary/10 p-2 rounded overflow-x-auto text-primary-foreground">
@@ -505,7 +542,7 @@ const MessageComponent = memo(({
                                                             <path strokeLinecap="round" strokeLinejoin="round"
                                                                   strokeWidth={ 2 } d="M19 9l-7 7-7-7"/>
                                                         </svg>
-                                                        正在运行命令
+                                                        { t('chat.tool.runningCommand') }
                                                     </summary>
                                                     <div className="mt-3 space-y-2">
                                                         <div
@@ -517,7 +554,7 @@ const MessageComponent = memo(({
                                                                           strokeWidth={ 2 }
                                                                           d="M8 9l3 3-3 3m5 0h3M5 20h14a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"/>
                                                                 </svg>
-                                                                <span className="text-xs">终端</span>
+                                                                <span className="text-xs">{ t('chat.tool.terminal') }</span>
                                                             </div>
                                                             <div
                                                                 className="whitespace-pre-wrap break-all text-green-400">
@@ -534,7 +571,7 @@ const MessageComponent = memo(({
                                                             <details className="mt-2">
                                                                 <summary
                                                                     className="text-xs text-primary cursor-pointer hover:text-primary/80">
-                                                                    View raw parameters
+                                                                    { t('chat.tool.viewRawParameters') }
                                                                 </summary>
                                                                 <pre
                                                                     className="mt-2 text-xs bg-primary/10 p-2 rounded whitespace-pre-wrap break-words overflow-hidden text-primary-foreground">
@@ -615,7 +652,7 @@ const MessageComponent = memo(({
                                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
                                                           d="M19 9l-7 7-7-7"/>
                                                 </svg>
-                                                View input parameters
+                                                { t('chat.tool.viewInputParameters') }
                                             </summary>
                                             <pre
                                                 className="mt-2 text-xs bg-primary/10 p-2 rounded whitespace-pre-wrap break-words overflow-hidden text-primary-foreground">
@@ -651,7 +688,7 @@ const MessageComponent = memo(({
                                                     ? 'text-red-700 dark:text-red-300'
                                                     : 'text-green-700 dark:text-green-300'
                                             }` }>
-                        { message.toolResult.isError ? '工具错误' : '工具结果' }
+                        { message.toolResult.isError ? t('chat.tool.error') : t('chat.tool.result') }
                       </span>
                                         </div>
 
@@ -775,7 +812,7 @@ const MessageComponent = memo(({
                                                                     </div>
                                                                     <div className="flex-1">
                                                                         <h4 className="font-semibold text-amber-900 dark:text-amber-100 text-base mb-2">
-                                                                            Interactive Prompt
+                                                                            { t('chat.prompt.title') }
                                                                         </h4>
                                                                         <p className="text-sm text-amber-800 dark:text-amber-200 mb-4">
                                                                             { questionLine }
@@ -828,13 +865,10 @@ const MessageComponent = memo(({
                                                                             <div
                                                                                 className="bg-amber-100 dark:bg-amber-800/30 rounded-lg p-3">
                                                                                 <p className="text-amber-900 dark:text-amber-100 text-sm font-medium mb-1">
-                                                                                    ✓ Claude 选择了
-                                                                                    选项 { selectedOption }
+                                                                                    ✓ { t('chat.prompt.selected', { option: selectedOption }) }
                                                                                 </p>
                                                                                 <p className="text-amber-800 dark:text-amber-200 text-xs">
-                                                                                    In the CLI, you would select this
-                                                                                    option interactively using arrow
-                                                                                    keys or by typing the number.
+                                                                                    { t('chat.prompt.cliHint') }
                                                                                 </p>
                                                                             </div>
                                                                         ) }
@@ -851,7 +885,7 @@ const MessageComponent = memo(({
                                                         <div>
                                                             <div className="flex items-center gap-2 mb-2">
                                                                 <span
-                                                                    className="font-medium">File updated successfully</span>
+                                                                    className="font-medium">{ t('chat.tool.fileUpdated') }</span>
                                                             </div>
                                                             <button
                                                                 onClick={ () => onFileOpen && onFileOpen(fileEditMatch[1]) }
@@ -870,7 +904,7 @@ const MessageComponent = memo(({
                                                         <div>
                                                             <div className="flex items-center gap-2 mb-2">
                                                                 <span
-                                                                    className="font-medium">File created successfully</span>
+                                                                    className="font-medium">{ t('chat.tool.fileCreated') }</span>
                                                             </div>
                                                             <button
                                                                 onClick={ () => onFileOpen && onFileOpen(fileCreateMatch[1]) }
@@ -896,10 +930,10 @@ const MessageComponent = memo(({
                                                                           d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"/>
                                                                 </svg>
                                                                 <span
-                                                                    className="font-medium">File written successfully</span>
+                                                                    className="font-medium">{ t('chat.tool.fileWritten') }</span>
                                                             </div>
                                                             <p className="text-xs mt-1 text-green-600 dark:text-green-400">
-                                                                The file content is displayed in the diff view above
+                                                                { t('chat.tool.contentInDiff') }
                                                             </p>
                                                         </div>
                                                     );
@@ -917,7 +951,7 @@ const MessageComponent = memo(({
                                                                     <path strokeLinecap="round" strokeLinejoin="round"
                                                                           strokeWidth={ 2 } d="M19 9l-7 7-7-7"/>
                                                                 </svg>
-                                                                View file content
+                                                                { t('chat.tool.viewFileContent') }
                                                             </summary>
                                                             <div
                                                                 className="mt-2 bg-gray-100 dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
@@ -942,7 +976,7 @@ const MessageComponent = memo(({
                                                                     <path strokeLinecap="round" strokeLinejoin="round"
                                                                           strokeWidth={ 2 } d="M19 9l-7 7-7-7"/>
                                                                 </svg>
-                                                                View full output ({ content.length } chars)
+                                                                { t('chat.tool.viewFullOutput', { count: content.length }) }
                                                             </summary>
                                                             <div
                                                                 className="mt-2 prose prose-sm max-w-none prose-green dark:prose-invert">
@@ -963,6 +997,62 @@ const MessageComponent = memo(({
                                     </div>
                                 ) }
                             </div>
+                        ) : message.isPermissionRequest ? (
+                            // Tool permission request waiting for the user's decision
+                            <div
+                                className="bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800 rounded-lg p-4">
+                                <div className="flex items-start gap-3">
+                                    <div
+                                        className="w-8 h-8 bg-amber-500 rounded-full flex items-center justify-center flex-shrink-0 mt-0.5">
+                                        <svg className="w-5 h-5 text-white" fill="none" stroke="currentColor"
+                                             viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
+                                                  d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z"/>
+                                        </svg>
+                                    </div>
+                                    <div className="flex-1 min-w-0">
+                                        <h4 className="font-semibold text-amber-900 dark:text-amber-100 text-base mb-2">
+                                            { t('chat.permission.title', { tool: message.toolName }) }
+                                        </h4>
+                                        { message.toolInput && (
+                                            <pre
+                                                className="bg-white dark:bg-gray-800 border border-amber-200 dark:border-amber-800 rounded p-2 text-xs font-mono text-gray-800 dark:text-gray-200 whitespace-pre-wrap break-words max-h-48 overflow-y-auto mb-3">
+                                                { message.toolInput }
+                                            </pre>
+                                        ) }
+                                        { message.permissionStatus === 'pending' ? (
+                                            <div className="flex flex-wrap gap-2">
+                                                <button
+                                                    onClick={ () => onPermissionDecision && onPermissionDecision(message.permissionRequestId, 'allow') }
+                                                    className="px-3 py-1.5 rounded-lg text-sm font-medium bg-green-600 hover:bg-green-700 text-white"
+                                                >
+                                                    { t('chat.permission.allowOnce') }
+                                                </button>
+                                                <button
+                                                    onClick={ () => onPermissionDecision && onPermissionDecision(message.permissionRequestId, 'allow-always', message.suggestedRule) }
+                                                    className="px-3 py-1.5 rounded-lg text-sm font-medium bg-primary hover:bg-primary/90 text-white"
+                                                    title={ t('chat.permission.allowAlwaysHint', { rule: message.suggestedRule }) }
+                                                >
+                                                    { t('chat.permission.allowAlways') }
+                                                </button>
+                                                <button
+                                                    onClick={ () => onPermissionDecision && onPermissionDecision(message.permissionRequestId, 'deny') }
+                                                    className="px-3 py-1.5 rounded-lg text-sm font-medium bg-red-600 hover:bg-red-700 text-white"
+                                                >
+                                                    { t('chat.permission.deny') }
+                                                </button>
+                                            </div>
+                                        ) : (
+                                            <p className="text-sm font-medium text-amber-800 dark:text-amber-200">
+                                                { message.permissionStatus === 'allow' && `✓ ${ t('chat.permission.allowed') }` }
+                                                { message.permissionStatus === 'allow-always' && `✓ ${ t('chat.permission.allowedAlways', { rule: message.suggestedRule }) }` }
+                                                { message.permissionStatus === 'deny' && `✗ ${ t('chat.permission.denied') }` }
+                                                { message.permissionStatus === 'cancelled' && t('chat.permission.cancelled') }
+                                            </p>
+                                        ) }
+                                    </div>
+                                </div>
+                            </div>
                         ) : message.isInteractivePrompt ? (
                             // Special handling for interactive prompts
                             <div
@@ -978,7 +1068,7 @@ const MessageComponent = memo(({
                                     </div>
                                     <div className="flex-1">
                                         <h4 className="font-semibold text-amber-900 dark:text-amber-100 text-base mb-3">
-                                            Interactive Prompt
+                                            { t('chat.prompt.title') }
                                         </h4>
                                         { (() => {
                                             const lines = message.content.split('\n').filter(line => line.trim());
@@ -1040,10 +1130,10 @@ const MessageComponent = memo(({
 
                                                     <div className="bg-amber-100 dark:bg-amber-800/30 rounded-lg p-3">
                                                         <p className="text-amber-900 dark:text-amber-100 text-sm font-medium mb-1">
-                                                            ⏳ Waiting for your response in the CLI
+                                                            ⏳ { t('chat.prompt.waiting') }
                                                         </p>
                                                         <p className="text-amber-800 dark:text-amber-200 text-xs">
-                                                            请在您运行 Claude 的终端中选择一个选项。
+                                                            { t('chat.prompt.waitingHint') }
                                                         </p>
                                                     </div>
                                                 </>
@@ -1062,7 +1152,7 @@ const MessageComponent = memo(({
                                         return (
                                             <div
                                                 className="bg-primary/5 border-l-2 border-primary/30 pl-3 py-1 mb-2 text-sm text-primary">
-                                                📖 读取{ ' ' }
+                                                📖 { t('chat.tool.read') }{ ' ' }
                                                 <button
                                                     onClick={ () => onFileOpen && onFileOpen(input.file_path) }
                                                     className="text-primary hover:text-primary/80 underline font-mono"
@@ -1076,7 +1166,7 @@ const MessageComponent = memo(({
                                     return (
                                         <div
                                             className="bg-primary/5 border-l-2 border-primary/30 pl-3 py-1 mb-2 text-sm text-primary">
-                                            📖 读取文件
+                                            📖 { t('chat.tool.readFile') }
                                         </div>
                                     );
                                 }
@@ -1091,7 +1181,7 @@ const MessageComponent = memo(({
                                             <div
                                                 className="bg-primary/5 border-l-2 border-primary/30 pl-3 py-1 mb-2">
                                                 <div className="text-sm text-primary mb-2">
-                                                    📝 更新待办事项列表
+                                                    📝 { t('chat.tool.updateTodos') }
                                                 </div>
                                                 <TodoList todos={ input.todos }/>
                                             </div>
@@ -1101,7 +1191,7 @@ const MessageComponent = memo(({
                                     return (
                                         <div
                                             className="bg-primary/5 border-l-2 border-primary/30 pl-3 py-1 mb-2 text-sm text-primary">
-                                            📝 更新待办事项列表
+                                            📝 { t('chat.tool.updateTodos') }
                                         </div>
                                     );
                                 }
@@ -1110,7 +1200,7 @@ const MessageComponent = memo(({
                             // Simple TodoRead tool indicator
                             <div
                                 className="bg-primary/5 border-l-2 border-primary/30 pl-3 py-1 mb-2 text-sm text-primary">
-                                📋 读取待办事项列表
+                                📋 { t('chat.tool.readTodos') }
                             </div>
                         ) : (
                             <div className="text-sm text-gray-700 dark:text-gray-300 leading-relaxed">
@@ -1123,7 +1213,7 @@ const MessageComponent = memo(({
                                                   d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
                                         </svg>
                                         <div className="text-sm leading-snug">
-                                            <div className="font-medium">会话已被用户中断</div>
+                                            <div className="font-medium">{ t('chat.interrupted') }</div>
                                         </div>
                                     </div>
                                 ) }
@@ -1138,9 +1228,9 @@ const MessageComponent = memo(({
                                                   clipRule="evenodd"/>
                                         </svg>
                                         <div className="text-sm leading-snug">
-                                            <div className="font-medium">已达到 Claude 使用限额</div>
+                                            <div className="font-medium">{ t('chat.usageLimit') }</div>
                                             <div
-                                                className="mt-0.5">将于 { new Date(message.usageLimitReset).toLocaleString() } 重置。
+                                                className="mt-0.5">{ t('chat.usageLimitReset', { time: new Date(message.usageLimitReset).toLocaleString() }) }
                                             </div>
                                         </div>
                                     </div>
@@ -1225,6 +1315,11 @@ const MessageComponent = memo(({
                         <div
                             className={ `text-xs text-gray-500 dark:text-gray-400 mt-1 ${ isGrouped ? 'opacity-0 group-hover:opacity-100' : '' }` }>
                             { new Date(message.timestamp).toLocaleTimeString() }
+                            { message.model && (
+                                <span className="ml-2 font-mono" title={ t('chat.modelHint') }>
+                                    { message.model }
+                                </span>
+                            ) }
                         </div>
                     </div>
                 </div>
@@ -1294,8 +1389,12 @@ function ChatInterface({
                            showRawParameters,
                            autoScrollToBottom,
                            sendByCtrlEnter,
-                           chatBgEnabled
+                           chatBgEnabled,
+                           messageJumpTarget,
+                           onMessageJumpHandled,
+                           onSessionForked
                        }) {
+    const { t } = useLanguage();
     const electron = useElectron();
     const [input, setInput] = useState(() => {
         if (typeof window !== 'undefined' && selectedProject) {
@@ -1315,9 +1414,14 @@ function ChatInterface({
     const [isInputFocused, setIsInputFocused] = useState(false);
     const [sessionMessages, setSessionMessages] = useState([]);
     const [isLoadingSessionMessages, setIsLoadingSessionMessages] = useState(false);
+    // Usage totals restored from the session history plus per-message usage streamed since then
+    const [historyUsage, setHistoryUsage] = useState(null);
+    const [liveUsage, setLiveUsage] = useState({});
     const [isSystemSessionChange, setIsSystemSessionChange] = useState(false);
     const [permissionMode, setPermissionMode] = useState('default');
     const [skipPermissions, setSkipPermissions] = useState(false);
+    const [availableModels, setAvailableModels] = useState([]);
+    const [selectedModel, setSelectedModel] = useState(DEFAULT_MODEL);
     const [attachedImages, setAttachedImages] = useState([]);
     const [uploadingImages, setUploadingImages] = useState(new Map());
     const [imageErrors, setImageErrors] = useState(new Map());
@@ -1336,6 +1440,7 @@ function ChatInterface({
     const scrollPositionRef = useRef({ height: 0, top: 0 });
     const [isTextareaExpanded, setIsTextareaExpanded] = useState(false);
     const [visibleMessageCount, setVisibleMessageCount] = useState(100);
+    const [highlightedMessage, setHighlightedMessage] = useState(null);
     const [claudeStatus, setClaudeStatus] = useState(null);
     const [chatBgImageUrl, setChatBgImageUrl] = useState(null);
     const [userAvatarUrl, setUserAvatarUrl] = useState(null);
@@ -1391,6 +1496,50 @@ function ChatInterface({
         };
     }, []);
 
+    // Load the models that can be selected for a session
+    useEffect(() => {
+        let cancelled = false;
+        const loadModels = async () => {
+            try {
+                const response = await api.model.list();
+                if (!response.ok) return;
+                const result = await response.json();
+                if (!cancelled && result.success && Array.isArray(result.data)) {
+                    setAvailableModels(result.data);
+                }
+            } catch (error) {
+                console.error('Error loading model list:', error);
+            }
+        };
+        loadModels();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    // Restore the model chosen for the current session, falling back to the project's choice
+    useEffect(() => {
+        if (!selectedProject) return;
+        const isKnownModel = (id) => !!id && (availableModels.length === 0 || availableModels.some(m => m.id === id));
+        const candidates = [
+            currentSessionId ? safeLocalStorage.getItem(sessionModelKey(currentSessionId)) : null,
+            safeLocalStorage.getItem(projectModelKey(selectedProject.name)),
+            DEFAULT_MODEL
+        ];
+        const restored = candidates.find(isKnownModel) || availableModels[0]?.id || DEFAULT_MODEL;
+        setSelectedModel(restored);
+    }, [selectedProject?.name, currentSessionId, availableModels]);
+
+    const handleModelChange = (modelId) => {
+        if (!availableModels.some(m => m.id === modelId)) return;
+        setSelectedModel(modelId);
+        if (selectedProject) {
+            safeLocalStorage.setItem(projectModelKey(selectedProject.name), modelId);
+        }
+        if (currentSessionId) {
+            safeLocalStorage.setItem(sessionModelKey(currentSessionId), modelId);
+        }
+    };
 
     // Memoized diff calculation to prevent recalculating on every render
     const createDiff = useMemo(() => {
@@ -1422,6 +1571,8 @@ function ChatInterface({
                 throw new Error('Failed to load session messages');
             }
             const data = await response.json();
+            setHistoryUsage(data.usage || null);
+            setLiveUsage({});
             return data.messages || [];
         } catch (error) {
             console.error('Error loading session messages:', error);
@@ -1534,7 +1685,8 @@ function ChatInterface({
                     converted.push({
                         type: messageType,
                         content: content,
-                        timestamp: msg.timestamp || new Date().toISOString()
+                        timestamp: msg.timestamp || new Date().toISOString(),
+                        uuid: msg.uuid
                     });
                 }
             }
@@ -1569,7 +1721,8 @@ function ChatInterface({
                                 toolInput: JSON.stringify(part.input),
                                 toolResult: toolResult ? (typeof toolResult.content === 'string' ? toolResult.content : JSON.stringify(toolResult.content)) : null,
                                 toolError: toolResult?.isError || false,
-                                toolResultTimestamp: toolResult?.timestamp || new Date()
+                                toolResultTimestamp: toolResult?.timestamp || new Date(),
+                                model: msg.message.model
                             });
                         }
                     }
@@ -1579,7 +1732,8 @@ function ChatInterface({
                         converted.push({
                             type: 'assistant',
                             content: textParts.join(''),
-                            timestamp: msg.timestamp || new Date().toISOString()
+                            timestamp: msg.timestamp || new Date().toISOString(),
+                            model: msg.message.model
                         });
                     }
                     
@@ -1607,7 +1761,8 @@ function ChatInterface({
                         converted.push({
                             type: 'assistant',
                             content: msg.message.content,
-                            timestamp: msg.timestamp || new Date().toISOString()
+                            timestamp: msg.timestamp || new Date().toISOString(),
+                            model: msg.message.model
                         });
                     }
                 }
@@ -1622,6 +1777,11 @@ function ChatInterface({
         return convertSessionMessages(sessionMessages);
     }, [sessionMessages]);
 
+    const sessionUsage = useMemo(
+        () => combineSessionUsage(historyUsage, Object.values(liveUsage)),
+        [historyUsage, liveUsage]
+    );
+
     // Define scroll functions early to avoid hoisting issues in useEffect dependencies
     const scrollToBottom = useCallback(() => {
         if (scrollContainerRef.current) {
@@ -1671,6 +1831,8 @@ function ChatInterface({
                 const hasPending = !!sessionStorage.getItem('pendingSessionId');
                 if (!isLoading && !hasPending) {
                     setChatMessages([]);
+                    setHistoryUsage(null);
+                    setLiveUsage({});
                 }
                 setSessionMessages([]);
                 setCurrentSessionId(null);
@@ -1710,6 +1872,40 @@ function ChatInterface({
         });
     }, [convertedMessages, sessionMessages]);
 
+    // Scroll to the message picked in the search palette once its session has loaded
+    useEffect(() => {
+        if (!messageJumpTarget || messageJumpTarget.sessionId !== currentSessionId) return;
+        if (sessionMessages.length === 0 || sessionMessages[0].sessionId !== messageJumpTarget.sessionId) return;
+
+        const matchesRole = (m) => {
+            if (messageJumpTarget.role === 'user') return m.type === 'user';
+            if (messageJumpTarget.role === 'tool') return !!m.isToolUse;
+            return m.type === 'assistant' && !m.isToolUse;
+        };
+        const targetTime = new Date(messageJumpTarget.timestamp).getTime();
+        // Tool results are folded into their tool call, so fall back to the closest earlier message
+        const target = convertedMessages.find(m => m.timestamp === messageJumpTarget.timestamp && matchesRole(m)) ||
+            convertedMessages.find(m => m.timestamp === messageJumpTarget.timestamp) ||
+            [...convertedMessages].reverse().find(m => new Date(m.timestamp).getTime() <= targetTime);
+
+        const index = target ? chatMessages.indexOf(target) : -1;
+        if (target && index === -1) return; // chatMessages not merged yet
+
+        if (index !== -1) {
+            setVisibleMessageCount(prev => Math.max(prev, chatMessages.length - index));
+            setIsUserScrolledUp(true);
+            setHighlightedMessage(target);
+        }
+        onMessageJumpHandled?.();
+    }, [messageJumpTarget, currentSessionId, sessionMessages, convertedMessages, chatMessages, onMessageJumpHandled]);
+
+    // Fade the search highlight after a few seconds
+    useEffect(() => {
+        if (!highlightedMessage) return;
+        const timer = setTimeout(() => setHighlightedMessage(null), 4000);
+        return () => clearTimeout(timer);
+    }, [highlightedMessage]);
+
     // Notify parent when input focus changes
     useEffect(() => {
         if (onInputFocusChange) {
@@ -1761,6 +1957,7 @@ function ChatInterface({
                     // Store it temporarily until conversation completes (prevents premature session association)
                     if (latestMessage.sessionId && !currentSessionId) {
                         sessionStorage.setItem('pendingSessionId', latestMessage.sessionId);
+                        safeLocalStorage.setItem(sessionModelKey(latestMessage.sessionId), selectedModel);
 
                         // Session Protection: Replace temporary "new-session-*" identifier with real session ID
                         // This maintains protection continuity - no gap between temp ID and real ID
@@ -1774,6 +1971,11 @@ function ChatInterface({
                 case 'claude-response':
                     const messageData = latestMessage.data.message || latestMessage.data;
 
+                    if (latestMessage.usage) {
+                        const usageKey = latestMessage.usage.messageId || `message-${ Date.now() }`;
+                        setLiveUsage(prev => ({ ...prev, [usageKey]: latestMessage.usage }));
+                    }
+
                     // Handle Claude CLI session duplication bug workaround:
                     // When resuming a session, Claude CLI creates a new session instead of resuming.
                     // We detect this by checking for system/init messages with session_id that differs
@@ -1850,7 +2052,8 @@ function ChatInterface({
                                     toolName: part.name,
                                     toolInput: toolInput,
                                     toolId: part.id,
-                                    toolResult: null // Will be updated when result comes in
+                                    toolResult: null, // Will be updated when result comes in
+                                    model: messageData.model
                                 }]);
                             } else if (part.type === 'text' && part.text?.trim()) {
                                 // Detect usage limit and show red triangle alert with parsed time
@@ -1894,7 +2097,8 @@ function ChatInterface({
                             setChatMessages(prev => [...prev, {
                                 type: 'assistant',
                                 content: textParts.join(''),
-                                timestamp: new Date()
+                                timestamp: new Date(),
+                                model: messageData.model
                             }]);
                         }
                         
@@ -2012,6 +2216,29 @@ function ChatInterface({
                         timestamp: new Date()
                     }]);
                     break;
+                case 'permission-request':
+                    // Claude is paused until the user decides whether the tool call may run
+                    setChatMessages(prev => [...prev, {
+                        type: 'assistant',
+                        content: '',
+                        timestamp: new Date(),
+                        isPermissionRequest: true,
+                        permissionRequestId: latestMessage.requestId,
+                        permissionStatus: 'pending',
+                        toolName: latestMessage.toolName,
+                        toolInput: latestMessage.input ? JSON.stringify(latestMessage.input, null, 2) : '',
+                        suggestedRule: latestMessage.suggestedRule
+                    }]);
+                    break;
+
+                case 'permission-cancelled':
+                    setChatMessages(prev => prev.map(msg =>
+                        msg.isPermissionRequest && msg.permissionRequestId === latestMessage.requestId
+                            ? { ...msg, permissionStatus: 'cancelled' }
+                            : msg
+                    ));
+                    break;
+
                 case 'claude-interactive-prompt':
                     // Handle interactive prompts from CLI
                     setChatMessages(prev => [...prev, {
@@ -2025,7 +2252,7 @@ function ChatInterface({
                 case 'claude-error':
                     setChatMessages(prev => [...prev, {
                         type: 'error',
-                        content: `Error: ${ latestMessage.error }`,
+                        content: t('chat.errorMessage', { error: latestMessage.error }),
                         timestamp: new Date()
                     }]);
                     
@@ -2216,6 +2443,12 @@ function ChatInterface({
         return chatMessages.slice(-visibleMessageCount);
     }, [chatMessages, visibleMessageCount]);
 
+    // The server can't fork before the opening message, so it gets no fork button
+    const firstUserMessageUuid = useMemo(
+        () => chatMessages.find(message => message.type === 'user')?.uuid,
+        [chatMessages]
+    );
+
     // Capture scroll position before render when auto-scroll is disabled
     useEffect(() => {
         if (!autoScrollToBottom && scrollContainerRef.current) {
@@ -2365,10 +2598,10 @@ function ChatInterface({
 
                 if (!file.size || file.size > 5 * 1024 * 1024) {
                     // Safely get file name with fallback
-                    const fileName = file.name || 'Unknown file';
+                    const fileName = file.name || t('chat.images.unknownFile');
                     setImageErrors(prev => {
                         const newMap = new Map(prev);
-                        newMap.set(fileName, 'File too large (max 5MB)');
+                        newMap.set(fileName, t('chat.images.tooLarge'));
                         return newMap;
                     });
                     return false;
@@ -2384,7 +2617,7 @@ function ChatInterface({
         if (validFiles.length > 0) {
             setAttachedImages(prev => [...prev, ...validFiles].slice(0, 5)); // Max 5 images
         }
-    }, []);
+    }, [t]);
 
     // Handle clipboard paste for images
     const handlePaste = useCallback(async (e) => {
@@ -2435,7 +2668,9 @@ function ChatInterface({
                     
                     const memoryMessage = {
                         type: 'system',
-                        content: data.content ? `**Global Memory (CLAUDE.md):**\n\n\`\`\`markdown\n${data.content}\n\`\`\`` : '**Global Memory (CLAUDE.md):** Empty',
+                        content: data.content
+                            ? `**${ t('chat.memory.global') }**\n\n\`\`\`markdown\n${data.content}\n\`\`\``
+                            : `**${ t('chat.memory.global') }** ${ t('chat.memory.empty') }`,
                         timestamp: new Date(),
                         _localId: `mem-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
                     };
@@ -2446,7 +2681,9 @@ function ChatInterface({
                     
                     const memoryMessage = {
                         type: 'system',
-                        content: data.content ? `**Project Memory (CLAUDE.md):**\n\n\`\`\`markdown\n${data.content}\n\`\`\`` : '**Project Memory (CLAUDE.md):** Empty',
+                        content: data.content
+                            ? `**${ t('chat.memory.project') }**\n\n\`\`\`markdown\n${data.content}\n\`\`\``
+                            : `**${ t('chat.memory.project') }** ${ t('chat.memory.empty') }`,
                         timestamp: new Date(),
                         _localId: `mem-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
                     };
@@ -2460,7 +2697,7 @@ function ChatInterface({
                 // Add message showing memory editor is opening
                 const editorMessage = {
                     type: 'system',
-                    content: `Opening ${isGlobal ? 'global' : 'project'} memory editor...`,
+                    content: isGlobal ? t('chat.memory.openingGlobal') : t('chat.memory.openingProject'),
                     timestamp: new Date(),
                     _localId: `mem-edit-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
                 };
@@ -2471,7 +2708,7 @@ function ChatInterface({
                 setTimeout(() => {
                     const instructionMessage = {
                         type: 'system',
-                        content: `**Memory Editor:** Use the project file browser to edit ${isGlobal ? '~/.claude/CLAUDE.md' : 'CLAUDE.md in your project directory'}.`,
+                        content: `**${ t('chat.memory.editor') }** ${ isGlobal ? t('chat.memory.editGlobalHint') : t('chat.memory.editProjectHint') }`,
                         timestamp: new Date(),
                         _localId: `mem-inst-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
                     };
@@ -2481,11 +2718,11 @@ function ChatInterface({
                 // Unknown subcommand
                 const helpMessage = {
                     type: 'system',
-                    content: `**Memory Command Help:**
-- \`/memory\` or \`/memory show\` - Show project memory
-- \`/memory show global\` - Show global memory  
-- \`/memory edit\` - Edit project memory
-- \`/memory edit global\` - Edit global memory`,
+                    content: `**${ t('chat.memory.help') }**
+- \`/memory\`, \`/memory show\` - ${ t('chat.memory.helpShow') }
+- \`/memory show global\` - ${ t('chat.memory.helpShowGlobal') }
+- \`/memory edit\` - ${ t('chat.memory.helpEdit') }
+- \`/memory edit global\` - ${ t('chat.memory.helpEditGlobal') }`,
                     timestamp: new Date(),
                     _localId: `mem-help-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
                 };
@@ -2495,7 +2732,7 @@ function ChatInterface({
             console.error('Memory command error:', error);
             const errorMessage = {
                 type: 'error',
-                content: `Memory command failed: ${error.message}`,
+                content: t('chat.memory.failed', { error: error.message }),
                 timestamp: new Date(),
                 _localId: `mem-err-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
             };
@@ -2530,7 +2767,7 @@ function ChatInterface({
                 const response = await api.uploadImages(selectedProject.name, formData);
 
                 if (!response.ok) {
-                    let errorMessage = 'Failed to upload images';
+                    let errorMessage = t('chat.images.uploadFailed');
                     try {
                         const errorData = await response.json();
                         errorMessage = errorData.error || errorMessage;
@@ -2547,7 +2784,7 @@ function ChatInterface({
                 console.error('Image upload failed:', error);
                 setChatMessages(prev => [...prev, {
                     type: 'error',
-                    content: `Failed to upload images: ${ error.message }`,
+                    content: t('chat.images.uploadFailedWithError', { error: error.message }),
                     timestamp: new Date()
                 }]);
                 return;
@@ -2607,6 +2844,10 @@ function ChatInterface({
         // Keep local skipPermissions state in sync
         setSkipPermissions(!!toolsSettings.skipPermissions);
 
+        if (currentSessionId) {
+            safeLocalStorage.setItem(sessionModelKey(currentSessionId), selectedModel);
+        }
+
         // Send command to Claude CLI via WebSocket with images
         sendMessage({
             type: 'claude-command',
@@ -2619,6 +2860,7 @@ function ChatInterface({
                 toolsSettings: toolsSettings,
                 // When --dangerously-skip-permissions is enabled, backend should ignore permissionMode
                 permissionMode: permissionMode,
+                model: selectedModel,
                 images: uploadedImages // Pass images to backend
             }
         });
@@ -2778,6 +3020,67 @@ function ChatInterface({
         }
     };
 
+    const handlePermissionDecision = useCallback((requestId, decision, rule) => {
+        // "Always allow" goes into the Tools settings allowed list, which later runs pass to the CLI
+        if (decision === 'allow-always' && rule) {
+            try {
+                const savedSettings = safeLocalStorage.getItem('claude-tools-settings');
+                const settings = savedSettings ? JSON.parse(savedSettings) : {};
+                const allowedTools = Array.isArray(settings.allowedTools) ? settings.allowedTools : [];
+                if (!allowedTools.includes(rule)) {
+                    settings.allowedTools = [...allowedTools, rule];
+                    settings.lastUpdated = new Date().toISOString();
+                    safeLocalStorage.setItem('claude-tools-settings', JSON.stringify(settings));
+                    window.dispatchEvent(new Event('toolsSettingsChanged'));
+                }
+            } catch (error) {
+                console.error('Failed to save allowed tool:', error);
+            }
+        }
+
+        sendMessage({
+            type: 'permission-response',
+            requestId,
+            decision
+        });
+        setChatMessages(prev => prev.map(msg =>
+            msg.isPermissionRequest && msg.permissionRequestId === requestId
+                ? { ...msg, permissionStatus: decision }
+                : msg
+        ));
+    }, [sendMessage]);
+
+    // Create a new session from the transcript before this user message and open it,
+    // with the message text left in the input so it can be edited and re-sent
+    const handleForkFromMessage = useCallback(async (message) => {
+        if (!selectedProject || !currentSessionId || !message.uuid) return;
+        if (isLoading) {
+            alert(t('chat.fork.busy'));
+            return;
+        }
+
+        try {
+            const response = await api.forkSession(selectedProject.name, currentSessionId, message.uuid);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || t('chat.fork.failed'));
+            }
+
+            // Start from a clean view so the parent's later messages aren't merged into the fork
+            setChatMessages([]);
+            setInput(data.draft || message.content || '');
+            if (onSessionForked) {
+                await onSessionForked(data.session);
+            } else if (onNavigateToSession) {
+                onNavigateToSession(data.session.id);
+            }
+            setTimeout(() => textareaRef.current?.focus(), 0);
+        } catch (error) {
+            console.error('Error forking session:', error);
+            alert(t('chat.fork.failedWithError', { error: error.message }));
+        }
+    }, [selectedProject, currentSessionId, isLoading, onSessionForked, onNavigateToSession, t]);
+
     const handleModeSwitch = () => {
         const modes = ['default', 'acceptEdits', 'bypassPermissions', 'plan'];
         const currentIndex = modes.indexOf(permissionMode);
@@ -2803,7 +3106,7 @@ function ChatInterface({
         return (
             <div className="flex items-center justify-center h-full">
                 <div className="text-center text-gray-500 dark:text-gray-400">
-                    <p>选择一个项目开始与 Claude 聊天</p>
+                    <p>{ t('chat.selectProject') }</p>
                 </div>
             </div>
         );
@@ -2834,6 +3137,13 @@ function ChatInterface({
                     />
                 ) }
                 
+                {/* Session Usage Meter - tokens, cost and context fill for the current session */ }
+                { sessionUsage.messages > 0 && (
+                    <div className="flex-shrink-0 relative z-10 border-b border-gray-200/60 dark:border-gray-700/60">
+                        <SessionUsageMeter usage={ sessionUsage }/>
+                    </div>
+                ) }
+
                 {/* Messages Area - Scrollable Middle Section */ }
                 <div
                     ref={ scrollContainerRef }
@@ -2845,15 +3155,15 @@ function ChatInterface({
                         <div className="relative z-10 text-center text-gray-500 dark:text-gray-400 mt-8">
                             <div className="flex items-center justify-center space-x-2">
                                 <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-gray-400"></div>
-                                <p>正在加载会话消息...</p>
+                                <p>{ t('chat.loadingMessages') }</p>
                             </div>
                         </div>
                     ) : chatMessages.length === 0 ? (
                         <div className="relative z-10 flex items-center justify-center h-full">
                             <div className="text-center text-gray-500 dark:text-gray-400 px-6 sm:px-4">
-                                <p className="font-bold text-lg sm:text-xl mb-3">与 Claude 开始对话</p>
+                                <p className="font-bold text-lg sm:text-xl mb-3">{ t('chat.emptyTitle') }</p>
                                 <p className="text-sm sm:text-base leading-relaxed">
-                                    提问有关您代码的问题，请求更改，或获取开发任务的帮助
+                                    { t('chat.emptyHint') }
                                 </p>
                             </div>
                         </div>
@@ -2862,12 +3172,12 @@ function ChatInterface({
                             { chatMessages.length > visibleMessageCount && (
                                 <div
                                     className="text-center text-gray-500 dark:text-gray-400 text-sm py-2 border-b border-gray-200 dark:border-gray-700">
-                                    显示最后 { visibleMessageCount } 条消息（共 { chatMessages.length } 条）•
+                                    { t('chat.showingLast', { count: visibleMessageCount, total: chatMessages.length }) } •
                                     <button
                                         className="ml-1 text-primary hover:text-primary/80 underline"
                                         onClick={ loadEarlierMessages }
                                     >
-                                        加载更早的消息
+                                        { t('chat.loadEarlier') }
                                     </button>
                                 </div>
                             ) }
@@ -2893,6 +3203,9 @@ function ChatInterface({
                                         autoExpandTools={ autoExpandTools }
                                         showRawParameters={ showRawParameters }
                                         userAvatarUrl={ userAvatarUrl }
+                                        onPermissionDecision={ handlePermissionDecision }
+                                        isHighlighted={ message === highlightedMessage }
+                                        onForkFromMessage={ message.uuid !== firstUserMessageUuid ? handleForkFromMessage : undefined }
                                     />
                                     </AnimatedMessage>
                                 );
@@ -2920,7 +3233,7 @@ function ChatInterface({
                                             <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
                                             <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
                                         </div>
-                                        <span className="ml-2 animate-pulse">正在思考...</span>
+                                        <span className="ml-2 animate-pulse">{ t('chat.thinking') }</span>
                                     </div>
                                 </div>
                             </div>
@@ -2959,7 +3272,7 @@ function ChatInterface({
                                                     ? 'bg-orange-50 dark:bg-orange-900/20 text-orange-700 dark:text-orange-300 border-orange-300 dark:border-orange-600 hover:bg-orange-100 dark:hover:bg-orange-900/30'
                                                     : 'bg-primary/5 text-primary border-primary/30 hover:bg-primary/10'
                                 }` }
-                                title="点击更改权限模式（或在输入框中按 Tab）"
+                                title={ t('chat.mode.hint') }
                                 disabled={ skipPermissions }
                             >
                                 <div className="flex items-center gap-2">
@@ -2975,21 +3288,38 @@ function ChatInterface({
                                                         : 'bg-primary'
                                     }` }/>
                                     <span>
-                  { skipPermissions && '危险模式（跳过权限）' }
-                                        { !skipPermissions && permissionMode === 'default' && '默认模式' }
-                                        { !skipPermissions && permissionMode === 'acceptEdits' && '接受编辑' }
-                                        { !skipPermissions && permissionMode === 'bypassPermissions' && '绕过权限' }
-                                        { !skipPermissions && permissionMode === 'plan' && '计划模式' }
+                  { skipPermissions && t('chat.mode.skip') }
+                                        { !skipPermissions && permissionMode === 'default' && t('chat.mode.default') }
+                                        { !skipPermissions && permissionMode === 'acceptEdits' && t('chat.mode.acceptEdits') }
+                                        { !skipPermissions && permissionMode === 'bypassPermissions' && t('chat.mode.bypassPermissions') }
+                                        { !skipPermissions && permissionMode === 'plan' && t('chat.mode.plan') }
                 </span>
                                 </div>
                             </button>
 
+                            {/* Model selector - remembered per project and per session */ }
+                            { availableModels.length > 0 && (
+                                <select
+                                    value={ selectedModel }
+                                    onChange={ (e) => handleModelChange(e.target.value) }
+                                    disabled={ isLoading }
+                                    className="px-3 py-1.5 rounded-lg text-sm font-medium border bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 border-gray-300 dark:border-gray-600 hover:bg-gray-200 dark:hover:bg-gray-600 focus:outline-none focus:ring-2 focus:ring-primary disabled:opacity-50"
+                                    title={ t('chat.selectModel') }
+                                >
+                                    { availableModels.map(model => (
+                                        <option key={ model.id } value={ model.id } title={ model.description }>
+                                            { model.name }
+                                        </option>
+                                    )) }
+                                </select>
+                            ) }
+
                             {/* Scroll to bottom button - positioned next to mode indicator */ }
                             { isUserScrolledUp && chatMessages.length > 0 && (
                                 <button
                                     onClick={ scrollToBottom }
                                     className="w-8 h-8 bg-primary hover:bg-primary/90 text-white rounded-full shadow-lg flex items-center justify-center focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 dark:ring-offset-gray-800"
-                                    title="滚动到底部"
+                                    title={ t('chat.scrollToBottom') }
                                 >
                                     <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
@@ -3012,7 +3342,7 @@ function ChatInterface({
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
                                               d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"/>
                                     </svg>
-                                    <p className="text-sm font-medium">在此放置图像</p>
+                                    <p className="text-sm font-medium">{ t('chat.images.drop') }</p>
                                 </div>
                             </div>
                         ) }
@@ -3093,7 +3423,7 @@ function ChatInterface({
                                     const isExpanded = e.target.scrollHeight > lineHeight * 2;
                                     setIsTextareaExpanded(isExpanded);
                                 } }
-                                placeholder="询问 Claude 协助您的代码... (@ 引用文件)"
+                                placeholder={ t('chat.placeholder') }
                                 disabled={ isLoading }
                                 rows={ 1 }
                                 className="chat-input-placeholder w-full pl-12 pr-28 sm:pr-40 py-3 sm:py-4 bg-transparent rounded-2xl focus:outline-none text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 disabled:opacity-50 resize-none min-h-[40px] sm:min-h-[56px] max-h-[40vh] sm:max-h-[300px] overflow-y-auto text-sm sm:text-base"
@@ -3115,7 +3445,7 @@ function ChatInterface({
                                     } }
 
                                     className="absolute -left-0.5 -top-3 sm:right-28 sm:left-auto sm:top-1/2 sm:-translate-y-1/2 w-6 h-6 sm:w-8 sm:h-8 bg-gray-100 hover:bg-gray-200 dark:bg-gray-700 dark:hover:bg-gray-600 border border-gray-300 dark:border-gray-600 rounded-full flex items-center justify-center group z-10 shadow-sm"
-                                    title="清空输入"
+                                    title={ t('chat.clearInput') }
                                 >
                                     <svg
                                         className="w-3 h-3 sm:w-4 sm:h-4 text-gray-600 dark:text-gray-300 group-hover:text-gray-800 dark:group-hover:text-gray-100"
@@ -3137,7 +3467,7 @@ function ChatInterface({
                                 type="button"
                                 onClick={ open }
                                 className="absolute left-2 bottom-4 p-2 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
-                                title="附加图片"
+                                title={ t('chat.images.attach') }
                             >
                                 <svg className="w-5 h-5 text-gray-500" fill="none" stroke="currentColor"
                                      viewBox="0 0 24 24">
@@ -9,9 +9,40 @@ import { markdown } from '@codemirror/lang-markdown';
 import { oneDark } from '@codemirror/theme-one-dark';
 import { Decoration, EditorView } from '@codemirror/view';
 import { RangeSetBuilder, StateEffect, StateField } from '@codemirror/state';
-import { Download, Eye, EyeOff, Maximize2, Minimize2, Save, X } from 'lucide-react';
+import { Download, Eye, EyeOff, History, Maximize2, Minimize2, Save, X } from 'lucide-react';
 import { api } from '../utils/api';
 import { useElectron } from '../utils/electron';
+import FileAccessNotice, { readFileAccessError } from './FileAccessNotice';
+import LocalHistoryPanel from './LocalHistoryPanel';
+import { useLanguage } from '../contexts/LanguageContext';
+
+// Get language extension based on file extension
+export function getLanguageExtension(filename) {
+    const ext = filename.split('.').pop()?.toLowerCase();
+    switch (ext) {
+        case 'js':
+        case 'jsx':
+        case 'ts':
+        case 'tsx':
+            return [javascript({ jsx: true, typescript: ext.includes('ts') })];
+        case 'py':
+            return [python()];
+        case 'html':
+        case 'htm':
+            return [html()];
+        case 'css':
+        case 'scss':
+        case 'less':
+            return [css()];
+        case 'json':
+            return [json()];
+        case 'md':
+        case 'markdown':
+            return [markdown()];
+        default:
+            return [];
+    }
+}
 
 function CodeEditor({ file, onClose, projectPath }) {
     const electron = useElectron();
@@ -23,6 +54,13 @@ function CodeEditor({ file, onClose, projectPath }) {
     const [saveSuccess, setSaveSuccess] = useState(false);
     const [showDiff, setShowDiff] = useState(!!file.diffInfo);
     const [wordWrap, setWordWrap] = useState(false);
+    // Structured error from the file endpoints (e.g. path outside the project); operation is 'read' or 'save'
+    const [accessError, setAccessError] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [showHistory, setShowHistory] = useState(false);
+    // Bumped after each save so the local history list picks up the new version
+    const [historyKey, setHistoryKey] = useState(0);
+    const { t } = useLanguage();
 
     // Create diff highlighting
     const diffEffect = StateEffect.define();
@@ -108,44 +146,19 @@ function CodeEditor({ file, onClose, projectPath }) {
         }
     });
 
-    // Get language extension based on file extension
-    const getLanguageExtension = (filename) => {
-        const ext = filename.split('.').pop()?.toLowerCase();
-        switch (ext) {
-            case 'js':
-            case 'jsx':
-            case 'ts':
-            case 'tsx':
-                return [javascript({ jsx: true, typescript: ext.includes('ts') })];
-            case 'py':
-                return [python()];
-            case 'html':
-            case 'htm':
-                return [html()];
-            case 'css':
-            case 'scss':
-            case 'less':
-                return [css()];
-            case 'json':
-                return [json()];
-            case 'md':
-            case 'markdown':
-                return [markdown()];
-            default:
-                return [];
-        }
-    };
-
     // Load file content
     useEffect(() => {
         const loadFileContent = async () => {
             try {
                 setLoading(true);
+                setAccessError(null);
 
                 const response = await api.readFile(file.projectName, file.path);
 
                 if (!response.ok) {
-                    throw new Error(`文件加载失败：${ response.status } ${ response.statusText }`);
+                    setContent('');
+                    setAccessError({ ...await readFileAccessError(response), operation: 'read' });
+                    return;
                 }
 
                 const data = await response.json();
@@ -159,7 +172,7 @@ function CodeEditor({ file, onClose, projectPath }) {
         };
 
         loadFileContent();
-    }, [file, projectPath]);
+    }, [file, projectPath, reloadKey]);
 
     // Update diff decorations when content or diff info changes
     const editorRef = useRef(null);
@@ -176,16 +189,26 @@ function CodeEditor({ file, onClose, projectPath }) {
         }
     }, [content, file.diffInfo, showDiff, isDarkMode]);
 
-    const handleSave = async () => {
+    const handleSave = async (text = content) => {
+        // Never overwrite the file with an empty buffer when it could not be read
+        if (accessError?.operation === 'read') return;
+
         setSaving(true);
         try {
-            const response = await api.saveFile(file.projectName, file.path, content);
+            const response = await api.saveFile(file.projectName, file.path, text);
 
             if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.error || `保存失败：${ response.status }`);
+                const errorData = await readFileAccessError(response);
+                if (errorData.code) {
+                    setAccessError({ ...errorData, operation: 'save' });
+                    return;
+                }
+                throw new Error(errorData.error || t('files.editor.saveFailedStatus', { status: response.status }));
             }
 
+            setAccessError(null);
+            setHistoryKey(key => key + 1);
+
             const result = await response.json();
 
             // Show success feedback
@@ -194,7 +217,7 @@ function CodeEditor({ file, onClose, projectPath }) {
 
         } catch (error) {
             console.error('Error saving file:', error);
-            alert(`Error saving file: ${ error.message }`);
+            alert(t('files.editor.saveFailed', { error: error.message }));
         } finally {
             setSaving(false);
         }
@@ -232,7 +255,24 @@ function CodeEditor({ file, onClose, projectPath }) {
 
         document.addEventListener('keydown', handleKeyDown);
         return () => document.removeEventListener('keydown', handleKeyDown);
-    }, [content]);
+    }, [content, accessError]);
+
+    // Restoring a version replaces the buffer and saves it, which records the replaced content in history
+    const handleRestore = async (versionContent) => {
+        setContent(versionContent);
+        await handleSave(versionContent);
+    };
+
+    // After the directory is allowed, retry whatever was refused
+    const handleAccessAllowed = () => {
+        const operation = accessError?.operation;
+        setAccessError(null);
+        if (operation === 'save') {
+            handleSave();
+        } else {
+            setReloadKey(key => key + 1);
+        }
+    };
 
     if (loading) {
         return (
@@ -252,7 +292,7 @@ function CodeEditor({ file, onClose, projectPath }) {
                         className="code-editor-loading w-full h-full md:rounded-lg md:w-auto md:h-auto p-8 flex items-center justify-center">
                         <div className="flex items-center gap-3">
                             <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
-                            <span className="text-gray-900 dark:text-white">Loading { file.name }...</span>
+                            <span className="text-gray-900 dark:text-white">{ t('files.editor.loading', { name: file.name }) }</span>
                         </div>
                     </div>
                 </div>
@@ -284,7 +324,7 @@ function CodeEditor({ file, onClose, projectPath }) {
                                 { file.diffInfo && (
                                     <span
                                         className="text-xs bg-primary/10 text-primary px-2 py-1 rounded whitespace-nowrap">
-                    📝 Has changes
+                    📝 { t('files.editor.hasChanges') }
                   </span>
                                 ) }
                             </div>
@@ -311,7 +351,7 @@ function CodeEditor({ file, onClose, projectPath }) {
                                     ? 'text-primary bg-primary/5'
                                     : 'text-gray-600 hover:text-gray-900'
                             }` }
-                            title={ wordWrap ? 'Disable word wrap' : 'Enable word wrap' }
+                            title={ wordWrap ? t('files.editor.disableWrap') : t('files.editor.enableWrap') }
                         >
                             <span className="text-sm md:text-xs font-mono font-bold">↵</span>
                         </button>
@@ -319,22 +359,35 @@ function CodeEditor({ file, onClose, projectPath }) {
                         <button
                             onClick={ () => setIsDarkMode(!isDarkMode) }
                             className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
-                            title="Toggle theme"
+                            title={ t('files.editor.toggleTheme') }
                         >
                             <span className="text-lg md:text-base">{ isDarkMode ? '☀️' : '🌙' }</span>
                         </button>
 
+                        <button
+                            onClick={ () => setShowHistory(!showHistory) }
+                            disabled={ accessError?.operation === 'read' }
+                            className={ `p-2 md:p-2 rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center disabled:opacity-50 ${
+                                showHistory
+                                    ? 'text-primary bg-primary/5'
+                                    : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                            }` }
+                            title={ t('files.history.toggle') }
+                        >
+                            <History className="w-5 h-5 md:w-4 md:h-4"/>
+                        </button>
+
                         <button
                             onClick={ handleDownload }
                             className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
-                            title="Download file"
+                            title={ t('files.editor.download') }
                         >
                             <Download className="w-5 h-5 md:w-4 md:h-4"/>
                         </button>
 
                         <button
-                            onClick={ handleSave }
-                            disabled={ saving }
+                            onClick={ () => handleSave() }
+                            disabled={ saving || accessError?.operation === 'read' }
                             className={ `px-3 py-2 text-white rounded-md disabled:opacity-50 flex items-center gap-2 transition-colors min-h-[44px] md:min-h-0 ${
                                 saveSuccess
                                     ? 'bg-green-600 hover:bg-green-700'
@@ -348,12 +401,12 @@ function CodeEditor({ file, onClose, projectPath }) {
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
                                               d="M5 13l4 4L19 7"/>
                                     </svg>
-                                    <span className="hidden sm:inline">已保存！</span>
+                                    <span className="hidden sm:inline">{ t('files.editor.saved') }</span>
                                 </>
                             ) : (
                                 <>
                                     <Save className="w-5 h-5 md:w-4 md:h-4"/>
-                                    <span className="hidden sm:inline">{ saving ? '保存中...' : '保存' }</span>
+                                    <span className="hidden sm:inline">{ saving ? t('common.saving') : t('common.save') }</span>
                                 </>
                             ) }
                         </button>
@@ -361,7 +414,7 @@ function CodeEditor({ file, onClose, projectPath }) {
                         <button
                             onClick={ toggleFullscreen }
                             className="hidden md:flex p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 items-center justify-center"
-                            title={ isFullscreen ? 'Exit fullscreen' : 'Fullscreen' }
+                            title={ isFullscreen ? t('files.editor.exitFullscreen') : t('files.editor.fullscreen') }
                         >
                             { isFullscreen ? <Minimize2 className="w-4 h-4"/> : <Maximize2 className="w-4 h-4"/> }
                         </button>
@@ -369,57 +422,77 @@ function CodeEditor({ file, onClose, projectPath }) {
                         <button
                             onClick={ onClose }
                             className="p-2 md:p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800 min-w-[44px] min-h-[44px] md:min-w-0 md:min-h-0 flex items-center justify-center"
-                            title="Close"
+                            title={ t('common.close') }
                         >
                             <X className="w-6 h-6 md:w-4 md:h-4"/>
                         </button>
                     </div>
                 </div>
 
-                {/* Editor */ }
-                <div className="flex-1 overflow-hidden">
-                    <CodeMirror
-                        ref={ editorRef }
-                        value={ content }
-                        onChange={ setContent }
-                        extensions={ [
-                            ...getLanguageExtension(file.name),
-                            diffField,
-                            diffTheme,
-                            ...(wordWrap ? [EditorView.lineWrapping] : [])
-                        ] }
-                        theme={ isDarkMode ? oneDark : undefined }
-                        height="100%"
-                        style={ {
-                            fontSize: '14px',
-                            height: '100%',
-                        } }
-                        basicSetup={ {
-                            lineNumbers: true,
-                            foldGutter: true,
-                            dropCursor: false,
-                            allowMultipleSelections: false,
-                            indentOnInput: true,
-                            bracketMatching: true,
-                            closeBrackets: true,
-                            autocompletion: true,
-                            highlightSelectionMatches: true,
-                            searchKeymap: true,
-                        } }
+                { accessError && (
+                    <FileAccessNotice
+                        error={ accessError }
+                        projectName={ file.projectName }
+                        onAllowed={ handleAccessAllowed }
                     />
+                ) }
+
+                {/* Editor, with the local history panel beside it */ }
+                <div className={ `flex-1 flex min-h-0 ${ accessError?.operation === 'read' ? 'hidden' : '' }` }>
+                    <div className={ `flex-1 min-w-0 overflow-hidden ${ showHistory ? 'hidden md:block' : '' }` }>
+                        <CodeMirror
+                            ref={ editorRef }
+                            value={ content }
+                            onChange={ setContent }
+                            extensions={ [
+                                ...getLanguageExtension(file.name),
+                                diffField,
+                                diffTheme,
+                                ...(wordWrap ? [EditorView.lineWrapping] : [])
+                            ] }
+                            theme={ isDarkMode ? oneDark : undefined }
+                            height="100%"
+                            style={ {
+                                fontSize: '14px',
+                                height: '100%',
+                            } }
+                            basicSetup={ {
+                                lineNumbers: true,
+                                foldGutter: true,
+                                dropCursor: false,
+                                allowMultipleSelections: false,
+                                indentOnInput: true,
+                                bracketMatching: true,
+                                closeBrackets: true,
+                                autocompletion: true,
+                                highlightSelectionMatches: true,
+                                searchKeymap: true,
+                            } }
+                        />
+                    </div>
+
+                    { showHistory && (
+                        <LocalHistoryPanel
+                            file={ file }
+                            content={ content }
+                            refreshKey={ historyKey }
+                            onRestore={ handleRestore }
+                            onClose={ () => setShowHistory(false) }
+                        />
+                    ) }
                 </div>
 
                 {/* Footer */ }
                 <div
                     className="flex items-center justify-between p-3 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 flex-shrink-0">
                     <div className="flex items-center gap-4 text-sm text-gray-600 dark:text-gray-400">
-                        <span>Lines: { content.split('\n').length }</span>
-                        <span>Characters: { content.length }</span>
-                        <span>Language: { file.name.split('.').pop()?.toUpperCase() || 'Text' }</span>
+                        <span>{ t('files.editor.lines', { count: content.split('\n').length }) }</span>
+                        <span>{ t('files.editor.characters', { count: content.length }) }</span>
+                        <span>{ t('files.editor.language', { language: file.name.split('.').pop()?.toUpperCase() || 'Text' }) }</span>
                     </div>
 
                     <div className="text-sm text-gray-500 dark:text-gray-400">
-                        按 { electron.getShortcutKey() }+S 保存 • Esc 关闭
+                        { t('files.editor.shortcuts', { key: electron.getShortcutKey() }) }
                     </div>
                 </div>
             </div>
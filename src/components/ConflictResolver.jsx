@@ -0,0 +1,324 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import CodeMirror from '@uiw/react-codemirror';
+import { oneDark } from '@codemirror/theme-one-dark';
+import { EditorState } from '@codemirror/state';
+import { EditorView } from '@codemirror/view';
+import { AlertTriangle, Check, GitMerge, Trash2, X } from 'lucide-react';
+import { getLanguageExtension } from './CodeEditor.jsx';
+import { apiFetch } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const MARKER_START = /^<{7}( |$)/;
+const MARKER_BASE = /^\|{7}( |$)/;
+const MARKER_SEPARATOR = /^={7}$/;
+const MARKER_END = /^>{7}( |$)/;
+
+/**
+ * Find conflict blocks in the working copy.
+ * Returns [{ start, end, ours, base, theirs }] where start/end are line indexes of
+ * the <<<<<<< and >>>>>>> markers and ours/base/theirs are arrays of lines
+ * (base is null unless the file uses diff3 style markers).
+ */
+function parseConflictBlocks(text) {
+    const lines = text.split('\n');
+    const blocks = [];
+    let current = null;
+    let section = null;
+
+    lines.forEach((line, index) => {
+        if (MARKER_START.test(line)) {
+            current = { start: index, ours: [], base: null, theirs: [] };
+            section = 'ours';
+        } else if (!current) {
+            return;
+        } else if (MARKER_BASE.test(line) && section === 'ours') {
+            current.base = [];
+            section = 'base';
+        } else if (MARKER_SEPARATOR.test(line) && section !== 'theirs') {
+            section = 'theirs';
+        } else if (MARKER_END.test(line) && section === 'theirs') {
+            blocks.push({ ...current, end: index });
+            current = null;
+        } else {
+            current[section].push(line);
+        }
+    });
+
+    return blocks;
+}
+
+function replaceBlock(text, block, replacement) {
+    const lines = text.split('\n');
+    lines.splice(block.start, block.end - block.start + 1, ...replacement);
+    return lines.join('\n');
+}
+
+// During a rebase stage 2 is the branch being rebased onto and stage 3 the commit being replayed
+function getSideLabels(operation, t) {
+    if (operation === 'rebase') {
+        return { ours: t('conflict.rebaseOurs'), theirs: t('conflict.rebaseTheirs') };
+    }
+    return { ours: t('conflict.ours'), theirs: t('conflict.theirs') };
+}
+
+function ConflictResolver({ projectName, conflict, operation, onClose, onResolved }) {
+    const { t } = useLanguage();
+    const [result, setResult] = useState(conflict.working ?? conflict.ours ?? conflict.theirs ?? '');
+    const [leftPane, setLeftPane] = useState('ours'); // 'ours' or 'base'
+    const [isDarkMode, setIsDarkMode] = useState(true);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const labels = getSideLabels(operation, t);
+    const blocks = useMemo(() => parseConflictBlocks(result), [result]);
+    const languageExtension = useMemo(() => getLanguageExtension(conflict.file), [conflict.file]);
+    const readOnlyExtensions = [...languageExtension, EditorState.readOnly.of(true), EditorView.editable.of(false)];
+
+    // Modify/delete conflicts have no content on one side
+    const deletedSide = conflict.ours === null ? 'ours' : conflict.theirs === null ? 'theirs' : null;
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') {
+                onClose();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    const acceptBlock = (block, choice) => {
+        const replacement = choice === 'ours'
+            ? block.ours
+            : choice === 'theirs'
+                ? block.theirs
+                : [...block.ours, ...block.theirs];
+        setResult(prev => replaceBlock(prev, block, replacement));
+        setError(null);
+    };
+
+    const resolve = async ({ deleteFile = false, force = false } = {}) => {
+        if (!deleteFile && !force && blocks.length > 0) {
+            setError(t('conflict.unresolved', { count: blocks.length }));
+            return;
+        }
+
+        setIsSaving(true);
+        setError(null);
+        try {
+            const response = await apiFetch('/api/git/resolve-conflict', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    project: projectName,
+                    file: conflict.file,
+                    force,
+                    ...(deleteFile ? { deleteFile: true } : conflict.tooLarge ? {} : { content: result })
+                })
+            });
+            const data = await response.json();
+            if (data.success) {
+                onResolved(conflict.file);
+            } else {
+                setError(data.code === 'MARKERS_REMAIN' ? t('conflict.markersRemain') : data.error);
+            }
+        } catch (err) {
+            console.error('Error resolving conflict:', err);
+            setError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const renderPane = (title, value, actions = null) => (
+        <div className="flex flex-col min-w-0 min-h-0 border-r border-gray-200 dark:border-gray-700 last:border-r-0">
+            <div className="flex items-center justify-between px-3 py-2 bg-gray-50 dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 text-xs">
+                { title }
+                { actions }
+            </div>
+            <div className="flex-1 overflow-hidden">
+                { value === null ? (
+                    <div className="flex items-center justify-center h-full text-sm text-gray-500 dark:text-gray-400">
+                        { t('conflict.deletedInVersion') }
+                    </div>
+                ) : (
+                    <CodeMirror
+                        value={ value }
+                        extensions={ readOnlyExtensions }
+                        theme={ isDarkMode ? oneDark : undefined }
+                        height="100%"
+                        style={ { fontSize: '13px', height: '100%' } }
+                        basicSetup={ { lineNumbers: true, foldGutter: false, highlightActiveLine: false } }
+                    />
+                ) }
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="fixed inset-0 z-50 md:bg-black/50 md:flex md:items-center md:justify-center md:p-4">
+            <div className="bg-white dark:bg-gray-900 shadow-2xl flex flex-col w-full h-full md:rounded-lg md:max-w-7xl md:h-[85vh]">
+                {/* Header */ }
+                <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700 flex-shrink-0 min-w-0">
+                    <div className="flex items-center gap-3 min-w-0 flex-1">
+                        <GitMerge className="w-5 h-5 text-orange-500 flex-shrink-0"/>
+                        <div className="min-w-0">
+                            <h3 className="font-medium text-gray-900 dark:text-white truncate">{ t('conflict.title') }</h3>
+                            <p className="text-sm text-gray-500 truncate">{ conflict.file }</p>
+                        </div>
+                    </div>
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                        <button
+                            onClick={ () => setIsDarkMode(!isDarkMode) }
+                            className="p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800"
+                            title={ t('conflict.toggleTheme') }
+                        >
+                            <span className="text-base">{ isDarkMode ? '☀️' : '🌙' }</span>
+                        </button>
+                        <button
+                            onClick={ onClose }
+                            className="p-2 text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white rounded-md hover:bg-gray-100 dark:hover:bg-gray-800"
+                            title={ t('common.close') }
+                        >
+                            <X className="w-4 h-4"/>
+                        </button>
+                    </div>
+                </div>
+
+                { conflict.tooLarge ? (
+                    <div className="flex-1 flex flex-col items-center justify-center gap-3 p-6 text-sm text-gray-600 dark:text-gray-400">
+                        <AlertTriangle className="w-8 h-8 text-yellow-500"/>
+                        <p>{ t('conflict.tooLarge') }</p>
+                    </div>
+                ) : (
+                    <>
+                        {/* Conflict blocks */ }
+                        <div className="flex items-center gap-2 px-4 py-2 border-b border-gray-200 dark:border-gray-700 overflow-x-auto flex-shrink-0 text-xs">
+                            { deletedSide ? (
+                                <span className="text-gray-600 dark:text-gray-400">
+                                    { t('conflict.deletedBy', { side: labels[deletedSide] }) }
+                                </span>
+                            ) : blocks.length === 0 ? (
+                                <span className="text-green-600 dark:text-green-400 flex items-center gap-1">
+                                    <Check className="w-3 h-3"/>
+                                    { t('conflict.noBlocks') }
+                                </span>
+                            ) : (
+                                blocks.map((block, index) => (
+                                    <div key={ `${ block.start }-${ index }` }
+                                         className="flex items-center gap-1 px-2 py-1 rounded border border-orange-200 dark:border-orange-800 bg-orange-50 dark:bg-orange-900/20 whitespace-nowrap">
+                                        <span className="text-orange-700 dark:text-orange-300 mr-1">
+                                            { t('conflict.block', { index: index + 1, line: block.start + 1 }) }
+                                        </span>
+                                        <button onClick={ () => acceptBlock(block, 'ours') }
+                                                className="px-1.5 py-0.5 rounded bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-300 hover:opacity-80">
+                                            { t('conflict.acceptOurs') }
+                                        </button>
+                                        <button onClick={ () => acceptBlock(block, 'theirs') }
+                                                className="px-1.5 py-0.5 rounded bg-purple-100 text-purple-700 dark:bg-purple-900 dark:text-purple-300 hover:opacity-80">
+                                            { t('conflict.acceptTheirs') }
+                                        </button>
+                                        <button onClick={ () => acceptBlock(block, 'both') }
+                                                className="px-1.5 py-0.5 rounded bg-gray-200 text-gray-700 dark:bg-gray-700 dark:text-gray-300 hover:opacity-80">
+                                            { t('conflict.acceptBoth') }
+                                        </button>
+                                    </div>
+                                ))
+                            ) }
+                        </div>
+
+                        {/* Panes: ours/base | result | theirs */ }
+                        <div className="flex-1 grid grid-cols-1 md:grid-cols-3 min-h-0">
+                            { renderPane(
+                                <span className="font-medium text-blue-700 dark:text-blue-300">
+                                    { leftPane === 'ours' ? labels.ours : t('conflict.base') }
+                                </span>,
+                                leftPane === 'ours' ? conflict.ours : conflict.base,
+                                conflict.base !== null && (
+                                    <button
+                                        onClick={ () => setLeftPane(leftPane === 'ours' ? 'base' : 'ours') }
+                                        className="text-primary hover:text-primary/80"
+                                    >
+                                        { leftPane === 'ours' ? t('conflict.viewBase') : t('conflict.viewOurs') }
+                                    </button>
+                                )
+                            ) }
+                            <div className="flex flex-col min-w-0 min-h-0 border-r border-gray-200 dark:border-gray-700">
+                                <div className="flex items-center justify-between px-3 py-2 bg-gray-50 dark:bg-gray-800 border-b border-gray-200 dark:border-gray-700 text-xs">
+                                    <span className="font-medium text-gray-900 dark:text-white">{ t('conflict.result') }</span>
+                                    <div className="flex items-center gap-2">
+                                        { conflict.ours !== null && (
+                                            <button onClick={ () => setResult(conflict.ours) }
+                                                    className="text-blue-600 dark:text-blue-400 hover:opacity-80">
+                                                { t('conflict.acceptAllOurs') }
+                                            </button>
+                                        ) }
+                                        { conflict.theirs !== null && (
+                                            <button onClick={ () => setResult(conflict.theirs) }
+                                                    className="text-purple-600 dark:text-purple-400 hover:opacity-80">
+                                                { t('conflict.acceptAllTheirs') }
+                                            </button>
+                                        ) }
+                                    </div>
+                                </div>
+                                <div className="flex-1 overflow-hidden">
+                                    <CodeMirror
+                                        value={ result }
+                                        onChange={ setResult }
+                                        extensions={ languageExtension }
+                                        theme={ isDarkMode ? oneDark : undefined }
+                                        height="100%"
+                                        style={ { fontSize: '13px', height: '100%' } }
+                                        basicSetup={ { lineNumbers: true, foldGutter: true, closeBrackets: true } }
+                                    />
+                                </div>
+                            </div>
+                            { renderPane(
+                                <span className="font-medium text-purple-700 dark:text-purple-300">{ labels.theirs }</span>,
+                                conflict.theirs
+                            ) }
+                        </div>
+                    </>
+                ) }
+
+                {/* Footer */ }
+                <div className="flex items-center justify-between gap-3 p-3 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 flex-shrink-0">
+                    <div className="text-sm text-red-600 dark:text-red-400 min-w-0 truncate">
+                        { error }
+                    </div>
+                    <div className="flex items-center gap-2 flex-shrink-0">
+                        { error && blocks.length > 0 && !conflict.tooLarge && (
+                            <button
+                                onClick={ () => resolve({ force: true }) }
+                                disabled={ isSaving }
+                                className="px-3 py-1.5 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md disabled:opacity-50"
+                            >
+                                { t('conflict.saveAnyway') }
+                            </button>
+                        ) }
+                        { deletedSide && (
+                            <button
+                                onClick={ () => resolve({ deleteFile: true }) }
+                                disabled={ isSaving }
+                                className="px-3 py-1.5 text-sm text-white bg-red-600 hover:bg-red-700 rounded-md disabled:opacity-50 flex items-center gap-1"
+                            >
+                                <Trash2 className="w-4 h-4"/>
+                                <span>{ t('conflict.deleteFile') }</span>
+                            </button>
+                        ) }
+                        <button
+                            onClick={ () => resolve() }
+                            disabled={ isSaving }
+                            className="px-3 py-1.5 text-sm text-white bg-green-600 hover:bg-green-700 rounded-md disabled:opacity-50 flex items-center gap-1"
+                        >
+                            <Check className="w-4 h-4"/>
+                            <span>{ isSaving ? t('common.saving') : deletedSide ? t('conflict.keepAndResolve') : t('conflict.markResolved') }</span>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ConflictResolver;
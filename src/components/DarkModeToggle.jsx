@@ -1,8 +1,10 @@
 import React from 'react';
 import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
 
 function DarkModeToggle() {
     const { isDarkMode, themeMode, setTheme } = useTheme();
+    const { t } = useLanguage();
 
     const handleClick = () => {
         // Binary toggle: light <-> dark
@@ -16,9 +18,9 @@ function DarkModeToggle() {
                 className="relative inline-flex h-8 w-14 items-center rounded-full bg-gray-200 dark:bg-gray-700 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 dark:focus:ring-offset-gray-900"
                 role="switch"
                 aria-checked={ isDarkMode }
-                aria-label="Toggle dark mode"
+                aria-label={ t('quickSettings.toggleDarkMode') }
             >
-                <span className="sr-only">Toggle dark mode</span>
+                <span className="sr-only">{ t('quickSettings.toggleDarkMode') }</span>
                 <span
                     className={ `${
                         isDarkMode ? 'translate-x-7' : 'translate-x-1'
@@ -38,7 +40,7 @@ function DarkModeToggle() {
       </span>
             </button>
             { themeMode === 'auto' && (
-                <div className="mt-1 text-[10px] text-gray-500 dark:text-gray-400 text-center">跟随系统已启用</div>
+                <div className="mt-1 text-[10px] text-gray-500 dark:text-gray-400 text-center">{ t('quickSettings.followSystem') }</div>
             ) }
         </>
     );
@@ -1,8 +1,10 @@
 import React, { useEffect, useState } from 'react';
 import { Button } from './ui/button';
 import { Bug, Code, Terminal, X } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
 
 const DevTools = ({ className = '' }) => {
+    const { t } = useLanguage();
     const [isDevToolsOpen, setIsDevToolsOpen] = useState(false);
     const [isElectron, setIsElectron] = useState(false);
     const [isDevelopmentMode, setIsDevelopmentMode] = useState(false);
@@ -168,11 +170,11 @@ const DevTools = ({ className = '' }) => {
                         className="flex items-center gap-2 text-xs flex-1"
                     >
                         <Terminal className="w-3 h-3"/>
-                        浏览器控制台
+                        { t('devTools.browserConsole') }
                     </Button>
                 </div>
                 <p className="text-xs text-gray-500 dark:text-gray-400">
-                    按右键选择"检查元素"或使用菜单打开开发者工具
+                    { t('devTools.browserHint') }
                 </p>
             </div>
         );
@@ -188,7 +190,7 @@ const DevTools = ({ className = '' }) => {
                     className="flex items-center gap-2 text-xs flex-1"
                 >
                     <Terminal className="w-3 h-3"/>
-                    { isDevToolsOpen ? '关闭控制台' : '开发者控制台' }
+                    { isDevToolsOpen ? t('devTools.close') : t('devTools.open') }
                 </Button>
             </div>
 
@@ -199,30 +201,30 @@ const DevTools = ({ className = '' }) => {
                         size="sm"
                         onClick={ openDevToolsBottom }
                         className="flex items-center gap-1 text-xs px-2 justify-center"
-                        title="在底部打开"
+                        title={ t('devTools.bottomHint') }
                     >
                         <Code className="w-3 h-3"/>
-                        底部
+                        { t('devTools.bottom') }
                     </Button>
                     <Button
                         variant="outline"
                         size="sm"
                         onClick={ openDevToolsRight }
                         className="flex items-center gap-1 text-xs px-2 justify-center"
-                        title="在右侧打开"
+                        title={ t('devTools.rightHint') }
                     >
                         <Bug className="w-3 h-3"/>
-                        右侧
+                        { t('devTools.right') }
                     </Button>
                     <Button
                         variant="outline"
                         size="sm"
                         onClick={ openDevToolsDetached }
                         className="flex items-center gap-1 text-xs px-2 justify-center"
-                        title="独立窗口打开"
+                        title={ t('devTools.detachedHint') }
                     >
                         <X className="w-3 h-3"/>
-                        独立
+                        { t('devTools.detached') }
                     </Button>
                 </div>
             ) }
@@ -233,10 +235,10 @@ const DevTools = ({ className = '' }) => {
                     size="sm"
                     onClick={ closeDevTools }
                     className="flex items-center gap-2 text-xs w-full justify-center"
-                    title="关闭开发者工具"
+                    title={ t('devTools.closeHint') }
                 >
                     <X className="w-3 h-3"/>
-                    关闭控制台
+                    { t('devTools.close') }
                 </Button>
             ) }
 
@@ -1,4 +1,5 @@
 import React from 'react';
+import { t } from '../i18n';
 
 class ErrorBoundary extends React.Component {
     constructor(props) {
@@ -37,16 +38,16 @@ class ErrorBoundary extends React.Component {
                                 </svg>
                             </div>
                             <h3 className="ml-3 text-sm font-medium text-red-800">
-                                出现错误了
+                                { t('errorBoundary.title') }
                             </h3>
                         </div>
                         <div className="text-sm text-red-700">
-                            <p className="mb-2">加载聊天界面时出现错误。</p>
+                            <p className="mb-2">{ t('errorBoundary.message') }</p>
                             { this.props.showDetails && this.state.error && (
                                 <details className="mt-4">
-                                    <summary className="cursor-pointer text-xs font-mono">错误详情</summary>
+                                    <summary className="cursor-pointer text-xs font-mono">{ t('errorBoundary.details') }</summary>
                                     <pre className="mt-2 text-xs bg-red-100 p-2 rounded overflow-auto max-h-40">
-                    { this.state.error?.toString() || 'Unknown error' }
+                    { this.state.error?.toString() || t('errorBoundary.unknown') }
                                         { this.state.errorInfo?.componentStack || '' }
                   </pre>
                                 </details>
@@ -60,7 +61,7 @@ class ErrorBoundary extends React.Component {
                                 } }
                                 className="bg-red-600 text-white px-4 py-2 rounded text-sm hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-red-500"
                             >
-                                重试
+                                { t('common.retry') }
                             </button>
                         </div>
                     </div>
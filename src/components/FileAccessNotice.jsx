@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { Button } from './ui/button';
+import { api } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+// Parent directory of an absolute path, for either separator style
+const parentDirectory = (filePath) => filePath.replace(/[\\/][^\\/]*$/, '') || '/';
+
+// Read a structured error body ({ error, code, ... }) from a failed file endpoint response
+export async function readFileAccessError(response) {
+    const data = await response.json().catch(() => ({}));
+    return {
+        ...data,
+        status: response.status,
+        error: data.error || `${ response.status } ${ response.statusText }`
+    };
+}
+
+// Shows why a file endpoint refused a request. For paths outside the project the user
+// can add the file's directory to the project's allowed roots and retry.
+function FileAccessNotice({ error, projectName, onAllowed }) {
+    const { t } = useLanguage();
+    const [allowing, setAllowing] = useState(false);
+    const [allowError, setAllowError] = useState(null);
+
+    const knownCode = ['PATH_OUTSIDE_PROJECT', 'PROJECT_NOT_FOUND', 'PROJECT_PATH_NOT_FOUND', 'INVALID_FILE_PATH'].includes(error.code);
+    const outsideProject = error.code === 'PATH_OUTSIDE_PROJECT';
+    const directory = outsideProject && error.path ? parentDirectory(error.path) : null;
+
+    const allowDirectory = async () => {
+        setAllowing(true);
+        setAllowError(null);
+        try {
+            const response = await api.setAllowedRoots(projectName, [...(error.allowedRoots || []), directory]);
+            if (!response.ok) {
+                throw new Error((await readFileAccessError(response)).error);
+            }
+            onAllowed?.();
+        } catch (err) {
+            console.error('Error updating allowed roots:', err);
+            setAllowError(err.message);
+        } finally {
+            setAllowing(false);
+        }
+    };
+
+    return (
+        <div className="m-4 p-4 rounded-lg border border-red-200 dark:border-red-800 bg-red-50 dark:bg-red-900/20 text-sm">
+            <div className="flex items-start gap-3">
+                <ShieldAlert className="w-5 h-5 text-red-600 dark:text-red-400 flex-shrink-0 mt-0.5"/>
+                <div className="min-w-0 space-y-1">
+                    <p className="font-medium text-red-800 dark:text-red-200">
+                        { knownCode ? t(`files.access.${ error.code }`) : error.error }
+                    </p>
+                    { error.path && (
+                        <p className="text-red-700 dark:text-red-300 break-all">
+                            { t('files.access.path', { path: error.path }) }
+                        </p>
+                    ) }
+                    { error.projectRoot && (
+                        <p className="text-red-700 dark:text-red-300 break-all">
+                            { t('files.access.projectRoot', { path: error.projectRoot }) }
+                        </p>
+                    ) }
+                    { error.allowedRoots?.length > 0 && (
+                        <p className="text-red-700 dark:text-red-300 break-all">
+                            { t('files.access.allowedRoots', { paths: error.allowedRoots.join(', ') }) }
+                        </p>
+                    ) }
+                    { directory && projectName && (
+                        <div className="pt-2">
+                            <Button size="sm" variant="outline" onClick={ allowDirectory } disabled={ allowing }>
+                                { t('files.access.allow', { path: directory }) }
+                            </Button>
+                            <p className="mt-1 text-xs text-red-600/80 dark:text-red-300/80">
+                                { t('files.access.allowHint') }
+                            </p>
+                        </div>
+                    ) }
+                    { allowError && <p className="text-red-600 dark:text-red-400">{ allowError }</p> }
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default FileAccessNotice;
@@ -6,13 +6,17 @@ import { cn } from '../lib/utils';
 import CodeEditor from './CodeEditor';
 import ImageViewer from './ImageViewer';
 import { api } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+import FileAccessNotice, { readFileAccessError } from './FileAccessNotice';
 
 function FileTree({ selectedProject }) {
+    const { t, formatDate } = useLanguage();
     const [files, setFiles] = useState([]);
     const [loading, setLoading] = useState(false);
     const [expandedDirs, setExpandedDirs] = useState(new Set());
     const [selectedFile, setSelectedFile] = useState(null);
     const [selectedImage, setSelectedImage] = useState(null);
+    const [filesError, setFilesError] = useState(null);
     const [viewMode, setViewMode] = useState('detailed'); // 'simple', 'detailed', 'compact'
 
     useEffect(() => {
@@ -31,12 +35,14 @@ function FileTree({ selectedProject }) {
 
     const fetchFiles = async () => {
         setLoading(true);
+        setFilesError(null);
         try {
             const response = await api.getFiles(selectedProject.name);
 
             if (!response.ok) {
-                const errorText = await response.text();
-                console.error('❌ File fetch failed:', response.status, errorText);
+                const error = await readFileAccessError(response);
+                console.error('❌ File fetch failed:', response.status, error.error);
+                setFilesError(error);
                 setFiles([]);
                 return;
             }
@@ -83,11 +89,11 @@ function FileTree({ selectedProject }) {
         const past = new Date(date);
         const diffInSeconds = Math.floor((now - past) / 1000);
 
-        if (diffInSeconds < 60) return 'just now';
-        if (diffInSeconds < 3600) return `${ Math.floor(diffInSeconds / 60) } min ago`;
-        if (diffInSeconds < 86400) return `${ Math.floor(diffInSeconds / 3600) } hours ago`;
-        if (diffInSeconds < 2592000) return `${ Math.floor(diffInSeconds / 86400) } days ago`;
-        return past.toLocaleDateString();
+        if (diffInSeconds < 60) return t('time.justNow');
+        if (diffInSeconds < 3600) return t('time.minutesAgo', { count: Math.floor(diffInSeconds / 60) });
+        if (diffInSeconds < 86400) return t('time.hoursAgo', { count: Math.floor(diffInSeconds / 3600) });
+        if (diffInSeconds < 2592000) return t('time.daysAgo', { count: Math.floor(diffInSeconds / 86400) });
+        return formatDate(past);
     };
 
     const renderFileTree = (items, level = 0) => {
@@ -300,7 +306,7 @@ function FileTree({ selectedProject }) {
         return (
             <div className="h-full flex items-center justify-center">
                 <div className="text-gray-500 dark:text-gray-400">
-                    加载文件中...
+                    { t('files.tree.loading') }
                 </div>
             </div>
         );
@@ -310,14 +316,14 @@ function FileTree({ selectedProject }) {
         <div className="h-full flex flex-col bg-card">
             {/* View Mode Toggle */ }
             <div className="p-4 border-b border-border flex items-center justify-between">
-                <h3 className="text-sm font-medium text-foreground">文件</h3>
+                <h3 className="text-sm font-medium text-foreground">{ t('files.tree.title') }</h3>
                 <div className="flex gap-1">
                     <Button
                         variant={ viewMode === 'simple' ? 'default' : 'ghost' }
                         size="sm"
                         className="h-8 w-8 p-0"
                         onClick={ () => changeViewMode('simple') }
-                        title="简单视图"
+                        title={ t('files.tree.simpleView') }
                     >
                         <List className="w-4 h-4"/>
                     </Button>
@@ -326,7 +332,7 @@ function FileTree({ selectedProject }) {
                         size="sm"
                         className="h-8 w-8 p-0"
                         onClick={ () => changeViewMode('compact') }
-                        title="紧凑视图"
+                        title={ t('files.tree.compactView') }
                     >
                         <Eye className="w-4 h-4"/>
                     </Button>
@@ -335,7 +341,7 @@ function FileTree({ selectedProject }) {
                         size="sm"
                         className="h-8 w-8 p-0"
                         onClick={ () => changeViewMode('detailed') }
-                        title="详细视图"
+                        title={ t('files.tree.detailedView') }
                     >
                         <TableProperties className="w-4 h-4"/>
                     </Button>
@@ -346,10 +352,10 @@ function FileTree({ selectedProject }) {
             { viewMode === 'detailed' && files.length > 0 && (
                 <div className="px-4 pt-2 pb-1 border-b border-border">
                     <div className="grid grid-cols-12 gap-2 px-2 text-xs font-medium text-muted-foreground">
-                        <div className="col-span-5">Name</div>
-                        <div className="col-span-2">Size</div>
-                        <div className="col-span-3">Modified</div>
-                        <div className="col-span-2">Permissions</div>
+                        <div className="col-span-5">{ t('files.tree.name') }</div>
+                        <div className="col-span-2">{ t('files.tree.size') }</div>
+                        <div className="col-span-3">{ t('files.tree.modified') }</div>
+                        <div className="col-span-2">{ t('files.tree.permissions') }</div>
                     </div>
                 </div>
             ) }
@@ -358,14 +364,16 @@ function FileTree({ selectedProject }) {
                 className="flex-1 p-4"
                 scrollbarStyle="thin"
             >
-                { files.length === 0 ? (
+                { filesError ? (
+                    <FileAccessNotice error={ filesError } projectName={ selectedProject.name }/>
+                ) : files.length === 0 ? (
                     <div className="text-center py-8">
                         <div className="w-12 h-12 bg-muted rounded-lg flex items-center justify-center mx-auto mb-3">
                             <Folder className="w-6 h-6 text-muted-foreground"/>
                         </div>
-                        <h4 className="font-medium text-foreground mb-1">未找到文件</h4>
+                        <h4 className="font-medium text-foreground mb-1">{ t('files.tree.empty') }</h4>
                         <p className="text-sm text-muted-foreground">
-                            Check if the project path is accessible
+                            { t('files.tree.emptyHint') }
                         </p>
                     </div>
                 ) : (
@@ -1,6 +1,7 @@
 import React, { useEffect, useRef, useState } from 'react';
 import {
     AlertTriangle,
+    Archive,
     Check,
     ChevronDown,
     ChevronRight,
@@ -8,8 +9,11 @@ import {
     FileText,
     GitBranch,
     GitCommit,
+    GitMerge,
     History,
     Info,
+    Layers,
+    Minus,
     Plus,
     RefreshCw,
     Sparkles,
@@ -18,12 +22,20 @@ import {
     X
 } from 'lucide-react';
 import { MicButton } from './MicButton.jsx';
+import ConflictResolver from './ConflictResolver.jsx';
 import { apiFetch } from '../utils/api';
 import { useElectron } from '../utils/electron';
 import { useWebSocket } from '../utils/websocket';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const MERGE_OPERATIONS = ['merge', 'rebase', 'cherry-pick', 'revert'];
+const GENERATORS = ['claude-cli', 'rule-based', 'template', 'script', 'simple'];
 
 function GitPanel({ selectedProject, isMobile }) {
+    const { t } = useLanguage();
     const electron = useElectron();
+    const operationLabel = (operation) => t(`git.operations.${ MERGE_OPERATIONS.includes(operation) ? operation : 'merge' }`);
+    const generatorLabel = (generator) => (GENERATORS.includes(generator) ? t(`git.generators.${ generator }`) : generator);
     const { messages } = useWebSocket(); // Get WebSocket messages for tracking smart commit progress
     const [gitStatus, setGitStatus] = useState(null);
     const [gitDiff, setGitDiff] = useState({});
@@ -45,6 +57,24 @@ function GitPanel({ selectedProject, isMobile }) {
     const [expandedCommits, setExpandedCommits] = useState(new Set());
     const [commitDiffs, setCommitDiffs] = useState({});
     const [isGeneratingMessage, setIsGeneratingMessage] = useState(false);
+    const [messageCandidates, setMessageCandidates] = useState(null); // { candidates, generator, fallbackFrom }
+    const [hunkViewFiles, setHunkViewFiles] = useState(new Set()); // Files showing the hunk staging view
+    const [fileHunks, setFileHunks] = useState({}); // file -> { unstaged, staged, isUntracked }
+    const [selectedHunkLines, setSelectedHunkLines] = useState({}); // `${section}:${hunkId}` -> line indexes
+    const [hunkErrors, setHunkErrors] = useState({});
+    const [indexManagedFiles, setIndexManagedFiles] = useState(new Set()); // Files whose index is committed as staged
+    const [stashes, setStashes] = useState([]);
+    const [expandedStashes, setExpandedStashes] = useState(new Set());
+    const [stashDiffs, setStashDiffs] = useState({});
+    const [stashError, setStashError] = useState(null);
+    const [showStashModal, setShowStashModal] = useState(false);
+    const [stashMessage, setStashMessage] = useState('');
+    const [stashIncludeUntracked, setStashIncludeUntracked] = useState(true);
+    const [isStashing, setIsStashing] = useState(false);
+    const [pendingCheckout, setPendingCheckout] = useState(null); // { branch, files } when checkout hit local changes
+    const [resolvingConflict, setResolvingConflict] = useState(null); // Conflict entry opened in ConflictResolver
+    const [mergeError, setMergeError] = useState(null);
+    const [isContinuingMerge, setIsContinuingMerge] = useState(false);
     const [remoteStatus, setRemoteStatus] = useState(null);
     const [isFetching, setIsFetching] = useState(false);
     const [isPulling, setIsPulling] = useState(false);
@@ -55,7 +85,7 @@ function GitPanel({ selectedProject, isMobile }) {
     const [isSmartCommitting, setIsSmartCommitting] = useState(false); // Track smart commit progress
     const [smartCommitSessionId, setSmartCommitSessionId] = useState(null); // Track smart commit session
     const smartCommitTimeoutRef = useRef(null);
-    const [smartCommitProgress, setSmartCommitProgress] = useState('正在分析代码变动...'); // Progress message
+    const [smartCommitProgress, setSmartCommitProgress] = useState(''); // Progress message
     const textareaRef = useRef(null);
     const dropdownRef = useRef(null);
 
@@ -67,6 +97,9 @@ function GitPanel({ selectedProject, isMobile }) {
             if (activeView === 'history') {
                 fetchRecentCommits();
             }
+            if (activeView === 'stashes') {
+                fetchStashes();
+            }
         }
     }, [selectedProject, activeView]);
 
@@ -140,11 +173,11 @@ function GitPanel({ selectedProject, isMobile }) {
                                 console.log('[SmartCommit] Assistant content:', content.substring(0, 100));
                                 
                                 if (content.includes('分析') || content.includes('analyzing')) {
-                                    setSmartCommitProgress('正在分析代码变动...');
+                                    setSmartCommitProgress(t('git.smartCommit.analyzing'));
                                 } else if (content.includes('提交') || content.includes('commit')) {
-                                    setSmartCommitProgress('正在生成提交消息...');
+                                    setSmartCommitProgress(t('git.smartCommit.generating'));
                                 } else if (content.includes('完成') || content.includes('success')) {
-                                    setSmartCommitProgress('智能提交完成！');
+                                    setSmartCommitProgress(t('git.smartCommit.done'));
                                     setTimeout(() => {
                                         setIsSmartCommitting(false);
                                         setSmartCommitSessionId(null);
@@ -161,11 +194,11 @@ function GitPanel({ selectedProject, isMobile }) {
                         console.log('[SmartCommit] Tool call:', toolData?.tool || toolData?.name);
                         
                         if (toolData?.tool === 'bash' || toolData?.name === 'Bash') {
-                            setSmartCommitProgress('正在执行Git操作...');
+                            setSmartCommitProgress(t('git.smartCommit.runningGit'));
                         } else if (toolData?.tool === 'edit' || toolData?.name === 'Edit') {
-                            setSmartCommitProgress('正在更新文件...');
+                            setSmartCommitProgress(t('git.smartCommit.updatingFiles'));
                         } else {
-                            setSmartCommitProgress('正在处理操作...');
+                            setSmartCommitProgress(t('git.smartCommit.processing'));
                         }
                         break;
                         
@@ -183,9 +216,9 @@ function GitPanel({ selectedProject, isMobile }) {
                         
                         // For smart commits, always close the modal when we get claude-complete
                         if (exitCode === 0 || exitCode === undefined) {
-                            setSmartCommitProgress('智能提交完成！');
+                            setSmartCommitProgress(t('git.smartCommit.done'));
                         } else {
-                            setSmartCommitProgress('智能提交完成（可能有警告）');
+                            setSmartCommitProgress(t('git.smartCommit.doneWithWarnings'));
                         }
                         
                         // Immediately close the modal for any claude-complete event during smart commit
@@ -205,7 +238,7 @@ function GitPanel({ selectedProject, isMobile }) {
                     case 'claude-error':
                         // Smart commit failed
                         console.log('[SmartCommit] Error event received');
-                        setSmartCommitProgress('智能提交失败');
+                        setSmartCommitProgress(t('git.smartCommit.failed'));
                         setTimeout(() => {
                             setIsSmartCommitting(false);
                             setSmartCommitSessionId(null);
@@ -250,6 +283,10 @@ function GitPanel({ selectedProject, isMobile }) {
                     ...(data.untracked || [])
                 ]);
                 setSelectedFiles(allFiles);
+                setIndexManagedFiles(prev => new Set([
+                    ...(data.partiallyStaged || []),
+                    ...[...prev].filter(file => allFiles.has(file))
+                ]));
 
                 // Fetch diffs for changed files
                 for (const file of data.modified || []) {
@@ -297,14 +334,15 @@ function GitPanel({ selectedProject, isMobile }) {
         }
     };
 
-    const switchBranch = async (branchName) => {
+    const switchBranch = async (branchName, { stash = false } = {}) => {
         try {
             const response = await apiFetch('/api/git/checkout', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     project: selectedProject.name,
-                    branch: branchName
+                    branch: branchName,
+                    stash
                 })
             });
 
@@ -312,7 +350,15 @@ function GitPanel({ selectedProject, isMobile }) {
             if (data.success) {
                 setCurrentBranch(branchName);
                 setShowBranchDropdown(false);
+                setPendingCheckout(null);
                 fetchGitStatus(); // Refresh status after branch switch
+                if (data.stashed) {
+                    fetchStashes();
+                }
+            } else if (data.code === 'LOCAL_CHANGES') {
+                // Offer to stash the local changes and switch
+                setShowBranchDropdown(false);
+                setPendingCheckout({ branch: branchName, files: data.files || [] });
             } else {
                 console.error('Failed to switch branch:', data.error);
             }
@@ -395,6 +441,10 @@ function GitPanel({ selectedProject, isMobile }) {
                 // Refresh status after successful pull
                 fetchGitStatus();
                 fetchRemoteStatus();
+            } else if (data.hasConflicts) {
+                // The conflict banner in the changes view takes over from here
+                setActiveView('changes');
+                fetchGitStatus();
             } else {
                 console.error('Pull failed:', data.error);
                 // TODO: Show user-friendly error message
@@ -531,6 +581,15 @@ function GitPanel({ selectedProject, isMobile }) {
                 case 'delete':
                     await deleteUntrackedFile(file);
                     break;
+                case 'discard-hunk':
+                    await runHunkOperation(file, 'discard', confirmAction.hunkId, 'unstaged');
+                    break;
+                case 'drop-stash':
+                    await runStashAction(confirmAction.stash, 'drop');
+                    break;
+                case 'discard-merge':
+                    await runMergeAction('abort');
+                    break;
                 case 'commit':
                     await handleCommit();
                     break;
@@ -565,6 +624,84 @@ function GitPanel({ selectedProject, isMobile }) {
         }
     };
 
+    const fetchFileHunks = async (filePath) => {
+        try {
+            const response = await apiFetch(`/api/git/diff?project=${ encodeURIComponent(selectedProject.name) }&file=${ encodeURIComponent(filePath) }&mode=hunks`);
+            const data = await response.json();
+            if (data.error) {
+                setHunkErrors(prev => ({ ...prev, [filePath]: data.error }));
+            } else {
+                setFileHunks(prev => ({ ...prev, [filePath]: data }));
+                setHunkErrors(prev => ({ ...prev, [filePath]: null }));
+            }
+        } catch (error) {
+            console.error('Error fetching file hunks:', error);
+        }
+    };
+
+    const toggleHunkView = (filePath) => {
+        setHunkViewFiles(prev => {
+            const newSet = new Set(prev);
+            if (newSet.has(filePath)) {
+                newSet.delete(filePath);
+            } else {
+                newSet.add(filePath);
+                fetchFileHunks(filePath);
+            }
+            return newSet;
+        });
+    };
+
+    const toggleHunkLine = (section, hunkId, lineIndex) => {
+        const key = `${ section }:${ hunkId }`;
+        setSelectedHunkLines(prev => {
+            const current = prev[key] || [];
+            const next = current.includes(lineIndex)
+                ? current.filter(index => index !== lineIndex)
+                : [...current, lineIndex];
+            return { ...prev, [key]: next };
+        });
+    };
+
+    // operation: 'stage' | 'unstage' | 'discard'; applies to selected lines when there are any
+    const runHunkOperation = async (filePath, operation, hunkId, section) => {
+        const key = `${ section }:${ hunkId }`;
+        const lines = selectedHunkLines[key];
+        try {
+            const response = await apiFetch(`/api/git/${ operation }-hunks`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    project: selectedProject.name,
+                    file: filePath,
+                    hunkIds: [hunkId],
+                    lines: lines?.length ? { [hunkId]: lines } : undefined
+                })
+            });
+            const data = await response.json();
+            if (data.success) {
+                setFileHunks(prev => ({ ...prev, [filePath]: data }));
+                setHunkErrors(prev => ({ ...prev, [filePath]: null }));
+                if (operation !== 'discard') {
+                    setIndexManagedFiles(prev => new Set(prev).add(filePath));
+                }
+                fetchFileDiff(filePath);
+            } else {
+                setHunkErrors(prev => ({ ...prev, [filePath]: data.error }));
+                if (response.status === 409) {
+                    fetchFileHunks(filePath);
+                }
+            }
+        } catch (error) {
+            console.error(`Error during hunk ${ operation }:`, error);
+        } finally {
+            setSelectedHunkLines(prev => {
+                const { [key]: removed, ...rest } = prev;
+                return rest;
+            });
+        }
+    };
+
     const fetchRecentCommits = async () => {
         try {
             const response = await apiFetch(`/api/git/commits?project=${ encodeURIComponent(selectedProject.name) }&limit=10`);
@@ -609,6 +746,11 @@ function GitPanel({ selectedProject, isMobile }) {
             const data = await response.json();
             if (data.message) {
                 setCommitMessage(data.message);
+                setMessageCandidates(data.candidates?.length > 1 ? {
+                    candidates: data.candidates,
+                    generator: data.generator,
+                    fallbackFrom: data.fallbackFrom
+                } : null);
             } else {
                 console.error('Failed to generate commit message:', data.error);
             }
@@ -631,6 +773,107 @@ function GitPanel({ selectedProject, isMobile }) {
         });
     };
 
+    const fetchStashes = async () => {
+        try {
+            const response = await apiFetch(`/api/git/stashes?project=${ encodeURIComponent(selectedProject.name) }`);
+            const data = await response.json();
+            if (data.error) {
+                setStashError(data.error);
+            } else {
+                setStashes(data.stashes || []);
+                setStashError(null);
+            }
+        } catch (error) {
+            console.error('Error fetching stashes:', error);
+        }
+    };
+
+    const fetchStashDiff = async (stash) => {
+        try {
+            const response = await apiFetch(`/api/git/stash/show?project=${ encodeURIComponent(selectedProject.name) }&index=${ stash.index }`);
+            const data = await response.json();
+            if (!data.error) {
+                setStashDiffs(prev => ({ ...prev, [stash.ref]: data }));
+            }
+        } catch (error) {
+            console.error('Error fetching stash diff:', error);
+        }
+    };
+
+    const toggleStashExpanded = (stash) => {
+        setExpandedStashes(prev => {
+            const newSet = new Set(prev);
+            if (newSet.has(stash.ref)) {
+                newSet.delete(stash.ref);
+            } else {
+                newSet.add(stash.ref);
+                fetchStashDiff(stash);
+            }
+            return newSet;
+        });
+    };
+
+    const createStash = async () => {
+        setIsStashing(true);
+        try {
+            const response = await apiFetch('/api/git/stash', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    project: selectedProject.name,
+                    message: stashMessage.trim(),
+                    includeUntracked: stashIncludeUntracked
+                })
+            });
+            const data = await response.json();
+            if (data.success) {
+                setShowStashModal(false);
+                setStashMessage('');
+                setStashError(null);
+                fetchStashes();
+                fetchGitStatus();
+            } else {
+                setStashError(data.error);
+                setShowStashModal(false);
+            }
+        } catch (error) {
+            console.error('Error creating stash:', error);
+        } finally {
+            setIsStashing(false);
+        }
+    };
+
+    // action: 'apply' | 'pop' | 'drop'
+    const runStashAction = async (stash, action) => {
+        try {
+            const response = await apiFetch(`/api/git/stash/${ action }`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    project: selectedProject.name,
+                    index: stash.index
+                })
+            });
+            const data = await response.json();
+            if (data.success) {
+                setStashError(null);
+            } else {
+                setStashError(data.hasConflicts
+                    ? t('git.stash.applyConflict')
+                    : data.error);
+            }
+            // Indexes shift after pop/drop
+            setExpandedStashes(new Set());
+            setStashDiffs({});
+            fetchStashes();
+            if (action !== 'drop') {
+                fetchGitStatus();
+            }
+        } catch (error) {
+            console.error(`Error during stash ${ action }:`, error);
+        }
+    };
+
     const toggleCommitExpanded = (commitHash) => {
         setExpandedCommits(prev => {
             const newSet = new Set(prev);
@@ -659,6 +902,35 @@ function GitPanel({ selectedProject, isMobile }) {
         });
     };
 
+    const handleConflictResolved = () => {
+        setResolvingConflict(null);
+        fetchGitStatus();
+    };
+
+    const runMergeAction = async (action) => {
+        setIsContinuingMerge(true);
+        setMergeError(null);
+        try {
+            const response = await apiFetch(`/api/git/merge/${ action }`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ project: selectedProject.name })
+            });
+            const data = await response.json();
+            if (!data.success) {
+                setMergeError(data.hasConflicts ? t('git.merge.newConflicts') : data.error);
+            }
+            fetchGitStatus();
+            fetchRecentCommits();
+            fetchRemoteStatus();
+        } catch (error) {
+            console.error(`Error running merge ${ action }:`, error);
+            setMergeError(error.message);
+        } finally {
+            setIsContinuingMerge(false);
+        }
+    };
+
     const handleCommit = async () => {
         if (!commitMessage.trim() || selectedFiles.size === 0) return;
 
@@ -670,7 +942,8 @@ function GitPanel({ selectedProject, isMobile }) {
                 body: JSON.stringify({
                     project: selectedProject.name,
                     message: commitMessage,
-                    files: Array.from(selectedFiles)
+                    files: Array.from(selectedFiles),
+                    stagedFiles: Array.from(indexManagedFiles)
                 })
             });
 
@@ -678,7 +951,10 @@ function GitPanel({ selectedProject, isMobile }) {
             if (data.success) {
                 // Reset state after successful commit
                 setCommitMessage('');
+                setMessageCandidates(null);
                 setSelectedFiles(new Set());
+                setIndexManagedFiles(new Set());
+                setFileHunks({});
                 fetchGitStatus();
                 fetchRemoteStatus();
             } else {
@@ -713,16 +989,122 @@ function GitPanel({ selectedProject, isMobile }) {
         );
     };
 
+    const renderHunk = (filePath, hunk, section) => {
+        const key = `${ section }:${ hunk.id }`;
+        const selectedLines = selectedHunkLines[key] || [];
+        const hasSelection = selectedLines.length > 0;
+        const buttonClass = 'px-1.5 py-0.5 text-xs rounded flex items-center gap-1';
+
+        return (
+            <div key={ hunk.id } className="mb-2 border border-gray-200 dark:border-gray-700 rounded overflow-hidden">
+                <div className="flex items-center justify-between gap-2 px-2 py-1 bg-primary/5">
+                    <span className="font-mono text-xs text-primary truncate">{ hunk.header }</span>
+                    <div className="flex items-center gap-1 flex-shrink-0">
+                        { section === 'unstaged' ? (
+                            <>
+                                <button
+                                    onClick={ () => runHunkOperation(filePath, 'stage', hunk.id, section) }
+                                    className={ `${ buttonClass } hover:bg-green-100 dark:hover:bg-green-900 text-green-700 dark:text-green-400` }
+                                    title={ hasSelection ? t('git.hunks.stageLines') : t('git.hunks.stageHunk') }
+                                >
+                                    <Plus className="w-3 h-3"/>
+                                    <span>{ hasSelection ? t('git.hunks.stageCount', { count: selectedLines.length }) : t('git.hunks.stage') }</span>
+                                </button>
+                                <button
+                                    onClick={ () => setConfirmAction({
+                                        type: 'discard-hunk',
+                                        file: filePath,
+                                        hunkId: hunk.id,
+                                        message: hasSelection
+                                            ? t('git.hunks.confirmDiscardLines', { file: filePath, count: selectedLines.length })
+                                            : t('git.hunks.confirmDiscardHunk', { file: filePath })
+                                    }) }
+                                    className={ `${ buttonClass } hover:bg-red-100 dark:hover:bg-red-900 text-red-600 dark:text-red-400` }
+                                    title={ hasSelection ? t('git.hunks.discardLines') : t('git.hunks.discardHunk') }
+                                >
+                                    <Trash2 className="w-3 h-3"/>
+                                    <span>{ t('git.discard') }</span>
+                                </button>
+                            </>
+                        ) : (
+                            <button
+                                onClick={ () => runHunkOperation(filePath, 'unstage', hunk.id, section) }
+                                className={ `${ buttonClass } hover:bg-yellow-100 dark:hover:bg-yellow-900 text-yellow-700 dark:text-yellow-400` }
+                                title={ hasSelection ? t('git.hunks.unstageLines') : t('git.hunks.unstageHunk') }
+                            >
+                                <Minus className="w-3 h-3"/>
+                                <span>{ hasSelection ? t('git.hunks.unstageCount', { count: selectedLines.length }) : t('git.hunks.unstage') }</span>
+                            </button>
+                        ) }
+                    </div>
+                </div>
+                { hunk.lines.map((line, index) => {
+                    const isChange = line.type !== 'context';
+                    const isSelected = selectedLines.includes(index);
+                    const prefix = line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' ';
+                    return (
+                        <div
+                            key={ index }
+                            onClick={ isChange ? () => toggleHunkLine(section, hunk.id, index) : undefined }
+                            className={ `font-mono text-xs ${
+                                isMobile && wrapText ? 'whitespace-pre-wrap break-all' : 'whitespace-pre overflow-x-auto'
+                            } ${
+                                line.type === 'added' ? 'bg-green-50 dark:bg-green-950 text-green-700 dark:text-green-300' :
+                                    line.type === 'removed' ? 'bg-red-50 dark:bg-red-950 text-red-700 dark:text-red-300' :
+                                        'text-gray-600 dark:text-gray-400'
+                            } ${ isChange ? 'cursor-pointer hover:brightness-95' : '' } ${
+                                isSelected ? 'ring-1 ring-inset ring-primary font-semibold' : ''
+                            }` }
+                            title={ isChange ? t('git.hunks.selectLine') : undefined }
+                        >
+                            { prefix }{ line.content }
+                        </div>
+                    );
+                }) }
+            </div>
+        );
+    };
+
+    const renderHunkView = (filePath) => {
+        const data = fileHunks[filePath];
+        const error = hunkErrors[filePath];
+        if (!data) {
+            return error
+                ? <p className="text-xs text-red-600 dark:text-red-400">{ error }</p>
+                : <p className="text-xs text-gray-500">{ t('common.loading') }</p>;
+        }
+
+        return (
+            <>
+                { error && <p className="text-xs text-red-600 dark:text-red-400 mb-2">{ error }</p> }
+                { [
+                    { section: 'unstaged', title: t('git.hunks.unstaged'), hunks: data.unstaged.hunks },
+                    { section: 'staged', title: t('git.hunks.staged'), hunks: data.staged.hunks }
+                ].filter(group => group.hunks.length > 0).map(group => (
+                    <div key={ group.section } className="mb-2">
+                        <div className="text-xs font-medium text-gray-700 dark:text-gray-300 mb-1">
+                            { t('git.hunks.groupTitle', { title: group.title, count: group.hunks.length }) }
+                        </div>
+                        { group.hunks.map(hunk => renderHunk(filePath, hunk, group.section)) }
+                    </div>
+                )) }
+                { data.unstaged.hunks.length === 0 && data.staged.hunks.length === 0 && (
+                    <p className="text-xs text-gray-500">{ t('git.hunks.empty') }</p>
+                ) }
+            </>
+        );
+    };
+
     const getStatusLabel = (status) => {
         switch (status) {
             case 'M':
-                return '已修改';
+                return t('git.status.modified');
             case 'A':
-                return '已添加';
+                return t('git.status.added');
             case 'D':
-                return '已删除';
+                return t('git.status.deleted');
             case 'U':
-                return '未跟踪';
+                return t('git.status.untracked');
             default:
                 return status;
         }
@@ -771,10 +1153,77 @@ function GitPanel({ selectedProject, isMobile }) {
         );
     };
 
+    const renderMergeBanner = () => {
+        const { operation, conflicts } = gitStatus.merge;
+        const label = operationLabel(operation);
+
+        return (
+            <div className="px-4 py-3 border-b border-orange-200 dark:border-orange-800 bg-orange-50 dark:bg-orange-900/20">
+                <div className="flex items-center gap-2 text-sm font-medium text-orange-800 dark:text-orange-300">
+                    <GitMerge className="w-4 h-4 flex-shrink-0"/>
+                    <span>
+                        { conflicts.length > 0
+                            ? (operation
+                                ? t('git.merge.conflictsDuring', { operation: label, count: conflicts.length })
+                                : t('git.merge.conflicts', { count: conflicts.length }))
+                            : t('git.merge.resolved', { operation: label }) }
+                    </span>
+                </div>
+
+                { conflicts.length > 0 && (
+                    <div className="mt-2 space-y-1">
+                        { conflicts.map(conflict => (
+                            <div key={ conflict.file } className="flex items-center gap-2 text-xs">
+                                <span className="inline-flex items-center justify-center px-1 h-5 bg-orange-100 text-orange-700 dark:bg-orange-900 dark:text-orange-300 rounded border border-orange-200 dark:border-orange-800 font-bold font-mono">
+                                    { conflict.code }
+                                </span>
+                                <span className="flex-1 truncate text-gray-700 dark:text-gray-300">{ conflict.file }</span>
+                                <button
+                                    onClick={ () => setResolvingConflict(conflict) }
+                                    className="px-2 py-0.5 rounded bg-orange-600 text-white hover:bg-orange-700"
+                                >
+                                    { t('git.merge.resolve') }
+                                </button>
+                            </div>
+                        )) }
+                    </div>
+                ) }
+
+                { mergeError && (
+                    <p className="mt-2 text-xs text-red-600 dark:text-red-400">{ mergeError }</p>
+                ) }
+
+                { operation && (
+                    <div className="mt-3 flex gap-2">
+                        <button
+                            onClick={ () => runMergeAction('continue') }
+                            disabled={ conflicts.length > 0 || isContinuingMerge }
+                            className="flex-1 px-3 py-1.5 text-xs bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
+                        >
+                            { isContinuingMerge ? <RefreshCw className="w-3 h-3 animate-spin"/> : <Check className="w-3 h-3"/> }
+                            <span>{ t('git.merge.continue', { operation: label }) }</span>
+                        </button>
+                        <button
+                            onClick={ () => setConfirmAction({
+                                type: 'discard-merge',
+                                message: t('git.merge.confirmAbort', { operation: label })
+                            }) }
+                            disabled={ isContinuingMerge }
+                            className="px-3 py-1.5 text-xs text-red-600 dark:text-red-400 border border-red-200 dark:border-red-800 rounded-md hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50"
+                        >
+                            { t('git.merge.abort') }
+                        </button>
+                    </div>
+                ) }
+            </div>
+        );
+    };
+
     const renderFileItem = (filePath, status) => {
         const isExpanded = expandedFiles.has(filePath);
         const isSelected = selectedFiles.has(filePath);
         const diff = gitDiff[filePath];
+        const isHunkView = hunkViewFiles.has(filePath);
 
         return (
             <div key={ filePath } className="border-b border-gray-200 dark:border-gray-700 last:border-0">
@@ -805,14 +1254,14 @@ function GitPanel({ selectedProject, isMobile }) {
                                         setConfirmAction({
                                             type: 'discard',
                                             file: filePath,
-                                            message: `放弃对 "${ filePath }" 的所有更改？此操作无法撤销。`
+                                            message: t('git.confirmDiscardFile', { file: filePath })
                                         });
                                     } }
                                     className={ `${ isMobile ? 'px-2 py-1 text-xs' : 'p-1' } hover:bg-red-100 dark:hover:bg-red-900 rounded text-red-600 dark:text-red-400 font-medium flex items-center gap-1` }
-                                    title="放弃更改"
+                                    title={ t('git.discardChanges') }
                                 >
                                     <Trash2 className={ `${ isMobile ? 'w-3 h-3' : 'w-3 h-3' }` }/>
-                                    { isMobile && <span>放弃</span> }
+                                    { isMobile && <span>{ t('git.discard') }</span> }
                                 </button>
                             ) }
                             { status === 'U' && (
@@ -822,14 +1271,14 @@ function GitPanel({ selectedProject, isMobile }) {
                                         setConfirmAction({
                                             type: 'delete',
                                             file: filePath,
-                                            message: `删除未跟踪文件 "${ filePath }"？此操作无法撤销。`
+                                            message: t('git.confirmDeleteUntracked', { file: filePath })
                                         });
                                     } }
                                     className={ `${ isMobile ? 'px-2 py-1 text-xs' : 'p-1' } hover:bg-red-100 dark:hover:bg-red-900 rounded text-red-600 dark:text-red-400 font-medium flex items-center gap-1` }
-                                    title="删除未跟踪文件"
+                                    title={ t('git.deleteUntracked') }
                                 >
                                     <Trash2 className={ `${ isMobile ? 'w-3 h-3' : 'w-3 h-3' }` }/>
-                                    { isMobile && <span>删除</span> }
+                                    { isMobile && <span>{ t('git.delete') }</span> }
                                 </button>
                             ) }
                             <span
@@ -868,6 +1317,26 @@ function GitPanel({ selectedProject, isMobile }) {
                             <span className="text-sm font-medium text-gray-900 dark:text-white">
                   { getStatusLabel(status) }
                 </span>
+                            { status !== 'D' && (
+                                <button
+                                    onClick={ (e) => {
+                                        e.stopPropagation();
+                                        toggleHunkView(filePath);
+                                    } }
+                                    className={ `px-1.5 py-0.5 text-xs rounded flex items-center gap-1 ${
+                                        isHunkView
+                                            ? 'bg-primary/10 text-primary'
+                                            : 'text-gray-600 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-700'
+                                    }` }
+                                    title={ t('git.hunks.toggleHint') }
+                                >
+                                    <Layers className="w-3 h-3"/>
+                                    <span>{ t('git.hunks.toggle') }</span>
+                                </button>
+                            ) }
+                            { indexManagedFiles.has(filePath) && (
+                                <span className="text-xs text-gray-500" title={ t('git.partiallyStagedHint') }>{ t('git.partiallyStaged') }</span>
+                            ) }
                         </div>
                         { isMobile && (
                             <button
@@ -876,14 +1345,16 @@ function GitPanel({ selectedProject, isMobile }) {
                                     setWrapText(!wrapText);
                                 } }
                                 className="text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
-                                title={ wrapText ? "切换到水平滚动" : "切换到文本折行" }
+                                title={ wrapText ? t('git.switchToScroll') : t('git.switchToWrap') }
                             >
-                                { wrapText ? '↔️ 滚动' : '↩️ 折行' }
+                                { wrapText ? `↔️ ${ t('git.scroll') }` : `↩️ ${ t('git.wrap') }` }
                             </button>
                         ) }
                     </div>
                     <div className="max-h-96 overflow-y-auto p-2">
-                        { diff && diff.split('\n').map((line, index) => renderDiffLine(line, index)) }
+                        { isHunkView
+                            ? renderHunkView(filePath)
+                            : diff && diff.split('\n').map((line, index) => renderDiffLine(line, index)) }
                     </div>
                 </div>
             </div>
@@ -893,7 +1364,7 @@ function GitPanel({ selectedProject, isMobile }) {
     if (!selectedProject) {
         return (
             <div className="h-full flex items-center justify-center text-gray-500 dark:text-gray-400">
-                <p>选择一个项目以查看源代码控制</p>
+                <p>{ t('git.selectProject') }</p>
             </div>
         );
     }
@@ -918,19 +1389,19 @@ function GitPanel({ selectedProject, isMobile }) {
                                 <div className="flex items-center gap-1 text-xs">
                                     { remoteStatus.ahead > 0 && (
                                         <span className="text-green-600 dark:text-green-400"
-                                              title={ `领先 ${ remoteStatus.ahead } 个提交` }>
+                                              title={ t('git.remote.ahead', { count: remoteStatus.ahead }) }>
                       ↑{ remoteStatus.ahead }
                     </span>
                                     ) }
                                     { remoteStatus.behind > 0 && (
                                         <span className="text-primary"
-                                              title={ `落后 ${ remoteStatus.behind } 个提交` }>
+                                              title={ t('git.remote.behind', { count: remoteStatus.behind }) }>
                       ↓{ remoteStatus.behind }
                     </span>
                                     ) }
                                     { remoteStatus.isUpToDate && (
                                         <span className="text-gray-500 dark:text-gray-400"
-                                              title="与远程保持同步">
+                                              title={ t('git.remote.upToDate') }>
                       ✓
                     </span>
                                     ) }
@@ -972,7 +1443,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                     className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 dark:hover:bg-gray-700 flex items-center space-x-2"
                                 >
                                     <Plus className="w-3 h-3"/>
-                                    <span>创建新分支</span>
+                                    <span>{ t('git.branch.create') }</span>
                                 </button>
                             </div>
                         </div>
@@ -988,14 +1459,14 @@ function GitPanel({ selectedProject, isMobile }) {
                                 <button
                                     onClick={ () => setConfirmAction({
                                         type: 'publish',
-                                        message: `Publish branch "${ currentBranch }" to ${ remoteStatus.remoteName }?`
+                                        message: t('git.remote.confirmPublish', { branch: currentBranch, remote: remoteStatus.remoteName })
                                     }) }
                                     disabled={ isPublishing }
                                     className="px-2 py-1 text-xs bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50 flex items-center gap-1"
-                                    title={ `Publish branch "${ currentBranch }" to ${ remoteStatus.remoteName }` }
+                                    title={ t('git.remote.publishTitle', { branch: currentBranch, remote: remoteStatus.remoteName }) }
                                 >
                                     <Upload className={ `w-3 h-3 ${ isPublishing ? 'animate-pulse' : '' }` }/>
-                                    <span>{ isPublishing ? '正在发布...' : '发布' }</span>
+                                    <span>{ isPublishing ? t('git.remote.publishing') : t('git.remote.publish') }</span>
                                 </button>
                             ) }
 
@@ -1007,14 +1478,14 @@ function GitPanel({ selectedProject, isMobile }) {
                                         <button
                                             onClick={ () => setConfirmAction({
                                                 type: 'pull',
-                                                message: `Pull ${ remoteStatus.behind } commit${ remoteStatus.behind !== 1 ? 's' : '' } from ${ remoteStatus.remoteName }?`
+                                                message: t('git.remote.confirmPull', { count: remoteStatus.behind, remote: remoteStatus.remoteName })
                                             }) }
                                             disabled={ isPulling }
                                             className="px-2 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50 flex items-center gap-1"
-                                            title={ `Pull ${ remoteStatus.behind } commit${ remoteStatus.behind !== 1 ? 's' : '' } from ${ remoteStatus.remoteName }` }
+                                            title={ t('git.remote.pullTitle', { count: remoteStatus.behind, remote: remoteStatus.remoteName }) }
                                         >
                                             <Download className={ `w-3 h-3 ${ isPulling ? 'animate-pulse' : '' }` }/>
-                                            <span>{ isPulling ? '正在拉取...' : `拉取 ${ remoteStatus.behind }` }</span>
+                                            <span>{ isPulling ? t('git.remote.pulling') : t('git.remote.pullCount', { count: remoteStatus.behind }) }</span>
                                         </button>
                                     ) }
 
@@ -1023,14 +1494,14 @@ function GitPanel({ selectedProject, isMobile }) {
                                         <button
                                             onClick={ () => setConfirmAction({
                                                 type: 'push',
-                                                message: `Push ${ remoteStatus.ahead } commit${ remoteStatus.ahead !== 1 ? 's' : '' } to ${ remoteStatus.remoteName }?`
+                                                message: t('git.remote.confirmPush', { count: remoteStatus.ahead, remote: remoteStatus.remoteName })
                                             }) }
                                             disabled={ isPushing }
                                             className="px-2 py-1 text-xs bg-orange-600 text-white rounded hover:bg-orange-700 disabled:opacity-50 flex items-center gap-1"
-                                            title={ `Push ${ remoteStatus.ahead } commit${ remoteStatus.ahead !== 1 ? 's' : '' } to ${ remoteStatus.remoteName }` }
+                                            title={ t('git.remote.pushTitle', { count: remoteStatus.ahead, remote: remoteStatus.remoteName }) }
                                         >
                                             <Upload className={ `w-3 h-3 ${ isPushing ? 'animate-pulse' : '' }` }/>
-                                            <span>{ isPushing ? '正在推送...' : `推送 ${ remoteStatus.ahead }` }</span>
+                                            <span>{ isPushing ? t('git.remote.pushing') : t('git.remote.pushCount', { count: remoteStatus.ahead }) }</span>
                                         </button>
                                     ) }
 
@@ -1040,10 +1511,10 @@ function GitPanel({ selectedProject, isMobile }) {
                                             onClick={ handleFetch }
                                             disabled={ isFetching }
                                             className="px-2 py-1 text-xs bg-primary text-primary-foreground rounded hover:bg-primary/90 disabled:opacity-50 flex items-center gap-1"
-                                            title={ `Fetch from ${ remoteStatus.remoteName }` }
+                                            title={ t('git.remote.fetchTitle', { remote: remoteStatus.remoteName }) }
                                         >
                                             <RefreshCw className={ `w-3 h-3 ${ isFetching ? 'animate-spin' : '' }` }/>
-                                            <span>{ isFetching ? '正在获取...' : '获取' }</span>
+                                            <span>{ isFetching ? t('git.remote.fetching') : t('git.remote.fetch') }</span>
                                         </button>
                                     ) }
                                 </>
@@ -1078,9 +1549,9 @@ function GitPanel({ selectedProject, isMobile }) {
                     <div
                         className="p-4 bg-primary/5 rounded-lg border border-primary/20 max-w-md">
                         <p className="text-sm text-primary text-center">
-                            <strong>提示：</strong> 在项目目录中运行 <code
+                            <strong>{ t('git.initTip') }</strong> { t('git.initHintBefore') }<code
                             className="bg-primary/10 px-2 py-1 rounded font-mono text-xs">git
-                            init</code> 来初始化git源代码控制。
+                            init</code>{ t('git.initHintAfter') }
                         </p>
                     </div>
                 </div>
@@ -1103,7 +1574,7 @@ function GitPanel({ selectedProject, isMobile }) {
                         >
                             <div className="flex items-center justify-center gap-2">
                                 <FileText className="w-4 h-4"/>
-                                <span>更改</span>
+                                <span>{ t('git.tabs.changes') }</span>
                             </div>
                         </button>
                         <button
@@ -1116,7 +1587,20 @@ function GitPanel({ selectedProject, isMobile }) {
                         >
                             <div className="flex items-center justify-center gap-2">
                                 <History className="w-4 h-4"/>
-                                <span>历史</span>
+                                <span>{ t('git.tabs.history') }</span>
+                            </div>
+                        </button>
+                        <button
+                            onClick={ () => setActiveView('stashes') }
+                            className={ `flex-1 px-4 py-2 text-sm font-medium transition-colors ${
+                                activeView === 'stashes'
+                                    ? 'text-primary border-b-2 border-primary'
+                                    : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                            }` }
+                        >
+                            <div className="flex items-center justify-center gap-2">
+                                <Archive className="w-4 h-4"/>
+                                <span>{ t('git.tabs.stashes') }</span>
                             </div>
                         </button>
                     </div>
@@ -1124,6 +1608,8 @@ function GitPanel({ selectedProject, isMobile }) {
                     {/* Changes View */ }
                     { activeView === 'changes' && (
                         <>
+                            { gitStatus?.merge && renderMergeBanner() }
+
                             {/* Mobile Commit Toggle Button / Desktop Always Visible - Hide when files expanded */ }
                             <div className={ `transition-all duration-300 ease-in-out ${
                                 expandedFiles.size === 0
@@ -1137,7 +1623,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                             className="w-full flex items-center justify-center gap-2 px-3 py-2 text-sm bg-primary text-primary-foreground rounded-md hover:bg-primary/90"
                                         >
                                             <GitCommit className="w-4 h-4"/>
-                                            <span>提交 { selectedFiles.size } 个文件</span>
+                                            <span>{ t('git.commit.commitFiles', { count: selectedFiles.size }) }</span>
                                             <ChevronDown className="w-3 h-3"/>
                                         </button>
                                     </div>
@@ -1148,7 +1634,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                             {/* Mobile collapse button */ }
                                             { isMobile && (
                                                 <div className="flex items-center justify-between mb-2">
-                                                    <span className="text-sm font-medium">提交更改</span>
+                                                    <span className="text-sm font-medium">{ t('git.commit.title') }</span>
                                                     <button
                                                         onClick={ () => setIsCommitAreaCollapsed(true) }
                                                         className="p-1 hover:bg-gray-100 dark:hover:bg-gray-800 rounded"
@@ -1163,7 +1649,7 @@ function GitPanel({ selectedProject, isMobile }) {
                           ref={ textareaRef }
                           value={ commitMessage }
                           onChange={ (e) => setCommitMessage(e.target.value) }
-                          placeholder={ `提交消息 (${ electron.getShortcutKey() }+Enter 提交)` }
+                          placeholder={ t('git.commit.placeholder', { key: electron.getShortcutKey() }) }
                           className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 resize-none pr-20"
                           rows="3"
                           onKeyDown={ (e) => {
@@ -1177,7 +1663,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                                         onClick={ generateCommitMessage }
                                                         disabled={ selectedFiles.size === 0 || isGeneratingMessage }
                                                         className="p-1.5 text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
-                                                        title="生成提交消息"
+                                                        title={ t('git.commit.generate') }
                                                     >
                                                         { isGeneratingMessage ? (
                                                             <RefreshCw className="w-4 h-4 animate-spin"/>
@@ -1194,9 +1680,55 @@ function GitPanel({ selectedProject, isMobile }) {
                                                     </div>
                                                 </div>
                                             </div>
+                                            { messageCandidates && (
+                                                <div className="mt-2 space-y-1">
+                                                    <div className="flex items-center justify-between text-xs text-gray-500">
+                                                        <span>
+                                                            { t('git.commit.candidates', { count: messageCandidates.candidates.length }) }
+                                                            { messageCandidates.fallbackFrom && t('git.commit.fallback', {
+                                                                from: generatorLabel(messageCandidates.fallbackFrom),
+                                                                to: generatorLabel(messageCandidates.generator)
+                                                            }) }
+                                                        </span>
+                                                        <button
+                                                            onClick={ () => setMessageCandidates(null) }
+                                                            className="p-0.5 hover:bg-gray-100 dark:hover:bg-gray-800 rounded"
+                                                            title={ t('git.commit.hideCandidates') }
+                                                        >
+                                                            <X className="w-3 h-3"/>
+                                                        </button>
+                                                    </div>
+                                                    <div className="max-h-40 overflow-y-auto space-y-1">
+                                                        { messageCandidates.candidates.map((candidate, index) => {
+                                                            const [subject, ...rest] = candidate.split('\n');
+                                                            const isSelected = candidate === commitMessage;
+                                                            return (
+                                                                <button
+                                                                    key={ index }
+                                                                    onClick={ () => {
+                                                                        setCommitMessage(candidate);
+                                                                        textareaRef.current?.focus();
+                                                                    } }
+                                                                    className={ `w-full text-left px-2 py-1.5 text-xs rounded border transition-colors ${
+                                                                        isSelected
+                                                                            ? 'border-primary bg-primary/5'
+                                                                            : 'border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-800'
+                                                                    }` }
+                                                                    title={ candidate }
+                                                                >
+                                                                    <div className="truncate font-medium">{ subject }</div>
+                                                                    { rest.some(line => line.trim()) && (
+                                                                        <div className="truncate text-gray-500">{ rest.filter(line => line.trim()).join(' ') }</div>
+                                                                    ) }
+                                                                </button>
+                                                            );
+                                                        }) }
+                                                    </div>
+                                                </div>
+                                            ) }
                                             <div className="flex items-center justify-between mt-2">
                       <span className="text-xs text-gray-500">
-                        已选择 { selectedFiles.size } 个文件
+                        { t('git.commit.selected', { count: selectedFiles.size }) }
                       </span>
                                                 <div className="flex items-center gap-2">
                                                     {/* Smart Commit Button */}
@@ -1204,11 +1736,11 @@ function GitPanel({ selectedProject, isMobile }) {
                                                         onClick={ async () => {
                                                             if (window.claudeCommitChanges) {
                                                                 setIsSmartCommitting(true);
-                                                                setSmartCommitProgress('正在启动智能提交...');
+                                                                setSmartCommitProgress(t('git.smartCommit.starting'));
                                                                 try {
                                                                     const sessionId = await window.claudeCommitChanges(selectedProject, Array.from(selectedFiles));
                                                                     setSmartCommitSessionId(sessionId);
-                                                                    setSmartCommitProgress('正在分析代码变动...');
+                                                                    setSmartCommitProgress(t('git.smartCommit.analyzing'));
                                                                     
                                                                     // Set a 2-minute timeout to auto-close if no completion event
                                                                     smartCommitTimeoutRef.current = setTimeout(() => {
@@ -1219,34 +1751,34 @@ function GitPanel({ selectedProject, isMobile }) {
                                                                     }, 120000); // 2 minutes
                                                                 } catch (error) {
                                                                     console.error('Smart commit failed:', error);
-                                                                    setSmartCommitProgress('智能提交失败');
+                                                                    setSmartCommitProgress(t('git.smartCommit.failed'));
                                                                     setTimeout(() => setIsSmartCommitting(false), 2000);
                                                                 }
                                                             }
                                                         } }
                                                         disabled={ selectedFiles.size === 0 || isSmartCommitting }
                                                         className="px-3 py-1 text-sm bg-gradient-to-r from-purple-500 to-blue-500 hover:from-purple-600 hover:to-blue-600 text-white rounded-md disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-1 transition-all duration-200"
-                                                        title="智能提交 - 让 Claude Code 分析变动并提交"
+                                                        title={ t('git.smartCommit.hint') }
                                                     >
                                                         { isSmartCommitting ? (
                                                             <RefreshCw className="w-3 h-3 animate-spin"/>
                                                         ) : (
                                                             <Sparkles className="w-3 h-3"/>
                                                         ) }
-                                                        <span>{ isSmartCommitting ? '智能提交中...' : '智能提交' }</span>
+                                                        <span>{ isSmartCommitting ? t('git.smartCommit.running') : t('git.smartCommit.button') }</span>
                                                     </button>
                                                     
                                                     {/* Regular Commit Button */}
                                                     <button
                                                         onClick={ () => setConfirmAction({
                                                             type: 'commit',
-                                                            message: `提交 ${ selectedFiles.size } 个文件，消息为："${ commitMessage.trim() }"？`
+                                                            message: t('git.commit.confirm', { count: selectedFiles.size, message: commitMessage.trim() })
                                                         }) }
                                                         disabled={ !commitMessage.trim() || selectedFiles.size === 0 || isCommitting }
                                                         className="px-3 py-1 text-sm bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-1"
                                                     >
                                                         <Check className="w-3 h-3"/>
-                                                        <span>{ isCommitting ? '正在提交...' : '提交' }</span>
+                                                        <span>{ isCommitting ? t('git.commit.committing') : t('git.commit.button') }</span>
                                                     </button>
                                                 </div>
                                             </div>
@@ -1266,7 +1798,10 @@ function GitPanel({ selectedProject, isMobile }) {
                                     : 'max-h-0 opacity-0 -translate-y-2 overflow-hidden'
                             }` }>
               <span className={ `text-gray-600 dark:text-gray-400 ${ isMobile ? 'text-xs' : 'text-xs' }` }>
-                已选择 { selectedFiles.size } / { (gitStatus?.modified?.length || 0) + (gitStatus?.added?.length || 0) + (gitStatus?.deleted?.length || 0) + (gitStatus?.untracked?.length || 0) } 个文件
+                { t('git.commit.selectedOfTotal', {
+                    count: selectedFiles.size,
+                    total: (gitStatus?.modified?.length || 0) + (gitStatus?.added?.length || 0) + (gitStatus?.deleted?.length || 0) + (gitStatus?.untracked?.length || 0)
+                }) }
               </span>
                             <div className={ `flex ${ isMobile ? 'gap-1' : 'gap-2' }` }>
                                 <button
@@ -1281,14 +1816,14 @@ function GitPanel({ selectedProject, isMobile }) {
                                     } }
                                     className={ `text-primary hover:text-primary/80 ${ isMobile ? 'text-xs' : 'text-xs' }` }
                                 >
-                                    { isMobile ? '全选' : '全选' }
+                                    { t('git.selectAll') }
                                 </button>
                                 <span className="text-gray-300 dark:text-gray-600">|</span>
                                 <button
                                     onClick={ () => setSelectedFiles(new Set()) }
                                     className={ `text-primary hover:text-primary/80 ${ isMobile ? 'text-xs' : 'text-xs' }` }
                                 >
-                                    { isMobile ? '取消' : '取消全选' }
+                                    { isMobile ? t('common.cancel') : t('git.selectNone') }
                                 </button>
                             </div>
                         </div>
@@ -1302,7 +1837,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                 className="w-full px-4 py-2 bg-gray-50 dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-750 text-xs text-gray-600 dark:text-gray-400 flex items-center justify-center gap-1"
                             >
                                 <Info className="w-3 h-3"/>
-                                <span>文件状态指南</span>
+                                <span>{ t('git.legend') }</span>
                                 { showLegend ? <ChevronDown className="w-3 h-3"/> :
                                     <ChevronRight className="w-3 h-3"/> }
                             </button>
@@ -1316,28 +1851,28 @@ function GitPanel({ selectedProject, isMobile }) {
                           className="inline-flex items-center justify-center w-5 h-5 bg-yellow-100 text-yellow-700 dark:bg-yellow-900 dark:text-yellow-300 rounded border border-yellow-200 dark:border-yellow-800 font-bold text-xs">
                         M
                       </span>
-                                            <span className="text-gray-600 dark:text-gray-400 italic">已修改</span>
+                                            <span className="text-gray-600 dark:text-gray-400 italic">{ t('git.status.modified') }</span>
                                         </div>
                                         <div className="flex items-center gap-2">
                       <span
                           className="inline-flex items-center justify-center w-5 h-5 bg-green-100 text-green-700 dark:bg-green-900 dark:text-green-300 rounded border border-green-200 dark:border-green-800 font-bold text-xs">
                         A
                       </span>
-                                            <span className="text-gray-600 dark:text-gray-400 italic">已添加</span>
+                                            <span className="text-gray-600 dark:text-gray-400 italic">{ t('git.status.added') }</span>
                                         </div>
                                         <div className="flex items-center gap-2">
                       <span
                           className="inline-flex items-center justify-center w-5 h-5 bg-red-100 text-red-700 dark:bg-red-900 dark:text-red-300 rounded border border-red-200 dark:border-red-800 font-bold text-xs">
                         D
                       </span>
-                                            <span className="text-gray-600 dark:text-gray-400 italic">已删除</span>
+                                            <span className="text-gray-600 dark:text-gray-400 italic">{ t('git.status.deleted') }</span>
                                         </div>
                                         <div className="flex items-center gap-2">
                       <span
                           className="inline-flex items-center justify-center w-5 h-5 bg-gray-100 text-gray-700 dark:bg-gray-800 dark:text-gray-300 rounded border border-gray-300 dark:border-gray-600 font-bold text-xs">
                         U
                       </span>
-                                            <span className="text-gray-600 dark:text-gray-400 italic">未跟踪</span>
+                                            <span className="text-gray-600 dark:text-gray-400 italic">{ t('git.status.untracked') }</span>
                                         </div>
                                     </div>
                                 </div>
@@ -1354,11 +1889,11 @@ function GitPanel({ selectedProject, isMobile }) {
                         <div className="flex items-center justify-center h-32">
                             <RefreshCw className="w-6 h-6 animate-spin text-gray-400"/>
                         </div>
-                    ) : !gitStatus || (!gitStatus.modified?.length && !gitStatus.added?.length && !gitStatus.deleted?.length && !gitStatus.untracked?.length) ? (
+                    ) : !gitStatus || (!gitStatus.modified?.length && !gitStatus.added?.length && !gitStatus.deleted?.length && !gitStatus.untracked?.length && !gitStatus.conflicted?.length) ? (
                         <div
                             className="flex flex-col items-center justify-center h-32 text-gray-500 dark:text-gray-400">
                             <GitCommit className="w-12 h-12 mb-2 opacity-50"/>
-                            <p className="text-sm">未检测到变更</p>
+                            <p className="text-sm">{ t('git.noChanges') }</p>
                         </div>
                     ) : (
                         <div className={ isMobile ? 'pb-4' : '' }>
@@ -1382,7 +1917,7 @@ function GitPanel({ selectedProject, isMobile }) {
                         <div
                             className="flex flex-col items-center justify-center h-32 text-gray-500 dark:text-gray-400">
                             <History className="w-12 h-12 mb-2 opacity-50"/>
-                            <p className="text-sm">未找到提交</p>
+                            <p className="text-sm">{ t('git.noCommits') }</p>
                         </div>
                     ) : (
                         <div className={ isMobile ? 'pb-4' : '' }>
@@ -1392,6 +1927,215 @@ function GitPanel({ selectedProject, isMobile }) {
                 </div>
             ) }
 
+            {/* Stashes View - Only show when git is available */ }
+            { activeView === 'stashes' && !gitStatus?.error && (
+                <div className={ `flex-1 overflow-y-auto ${ isMobile ? 'pb-20' : '' }` }>
+                    <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+                        <span className="text-xs text-gray-500">{ t('git.stash.count', { count: stashes.length }) }</span>
+                        <button
+                            onClick={ () => setShowStashModal(true) }
+                            className="px-2 py-1 text-xs bg-primary text-primary-foreground rounded-md hover:bg-primary/90 flex items-center gap-1"
+                        >
+                            <Archive className="w-3 h-3"/>
+                            <span>{ t('git.stash.create') }</span>
+                        </button>
+                    </div>
+                    { stashError && (
+                        <div className="mx-3 mt-2 p-2 text-xs text-red-600 dark:text-red-400 bg-red-50 dark:bg-red-900/20 rounded">
+                            { stashError }
+                        </div>
+                    ) }
+                    { stashes.length === 0 ? (
+                        <div
+                            className="flex flex-col items-center justify-center h-32 text-gray-500 dark:text-gray-400">
+                            <Archive className="w-12 h-12 mb-2 opacity-50"/>
+                            <p className="text-sm">{ t('git.stash.empty') }</p>
+                        </div>
+                    ) : (
+                        <div className={ isMobile ? 'pb-4' : '' }>
+                            { stashes.map(stash => {
+                                const isExpanded = expandedStashes.has(stash.ref);
+                                const details = stashDiffs[stash.ref];
+                                return (
+                                    <div key={ stash.ref } className="border-b border-gray-200 dark:border-gray-700 last:border-0">
+                                        <div
+                                            className="flex items-start p-3 hover:bg-gray-50 dark:hover:bg-gray-800 cursor-pointer"
+                                            onClick={ () => toggleStashExpanded(stash) }
+                                        >
+                                            <div className="mr-2 mt-1 p-0.5 hover:bg-gray-200 dark:hover:bg-gray-700 rounded">
+                                                { isExpanded ? <ChevronDown className="w-3 h-3"/> : <ChevronRight className="w-3 h-3"/> }
+                                            </div>
+                                            <div className="flex-1 min-w-0">
+                                                <p className="text-sm font-medium text-gray-900 dark:text-white break-words">
+                                                    { stash.message }
+                                                </p>
+                                                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                                                    { stash.ref }{ stash.branch && ` • ${ stash.branch }` } • { stash.date }
+                                                </p>
+                                            </div>
+                                            <div className="flex items-center gap-1 flex-shrink-0" onClick={ (e) => e.stopPropagation() }>
+                                                <button
+                                                    onClick={ () => runStashAction(stash, 'apply') }
+                                                    className="px-1.5 py-0.5 text-xs rounded hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+                                                    title={ t('git.stash.applyHint') }
+                                                >
+                                                    { t('git.stash.apply') }
+                                                </button>
+                                                <button
+                                                    onClick={ () => runStashAction(stash, 'pop') }
+                                                    className="px-1.5 py-0.5 text-xs rounded hover:bg-gray-200 dark:hover:bg-gray-700 text-primary"
+                                                    title={ t('git.stash.popHint') }
+                                                >
+                                                    { t('git.stash.pop') }
+                                                </button>
+                                                <button
+                                                    onClick={ () => setConfirmAction({
+                                                        type: 'drop-stash',
+                                                        stash,
+                                                        message: t('git.stash.confirmDrop', { name: stash.message })
+                                                    }) }
+                                                    className="p-1 rounded hover:bg-red-100 dark:hover:bg-red-900 text-red-600 dark:text-red-400"
+                                                    title={ t('git.stash.drop') }
+                                                >
+                                                    <Trash2 className="w-3 h-3"/>
+                                                </button>
+                                            </div>
+                                        </div>
+                                        { isExpanded && details && (
+                                            <div className="bg-gray-50 dark:bg-gray-900">
+                                                <div className="max-h-96 overflow-y-auto p-2">
+                                                    <div className="text-xs font-mono text-gray-600 dark:text-gray-400 mb-2 whitespace-pre">
+                                                        { details.stats }
+                                                    </div>
+                                                    { details.diff.split('\n').map((line, index) => renderDiffLine(line, index)) }
+                                                </div>
+                                            </div>
+                                        ) }
+                                    </div>
+                                );
+                            }) }
+                        </div>
+                    ) }
+                </div>
+            ) }
+
+            {/* Conflict Resolver */ }
+            { resolvingConflict && (
+                <ConflictResolver
+                    projectName={ selectedProject.name }
+                    conflict={ resolvingConflict }
+                    operation={ gitStatus?.merge?.operation }
+                    onClose={ () => setResolvingConflict(null) }
+                    onResolved={ handleConflictResolved }
+                />
+            ) }
+
+            {/* Stash Modal */ }
+            { showStashModal && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+                    <div className="fixed inset-0 bg-black bg-opacity-50"
+                         onClick={ () => setShowStashModal(false) }/>
+                    <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full">
+                        <div className="p-6">
+                            <h3 className="text-lg font-semibold mb-4">{ t('git.stash.create') }</h3>
+                            <div className="mb-4">
+                                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                                    { t('git.stash.message') }
+                                </label>
+                                <input
+                                    type="text"
+                                    value={ stashMessage }
+                                    onChange={ (e) => setStashMessage(e.target.value) }
+                                    onKeyDown={ (e) => {
+                                        if (e.key === 'Enter' && !isStashing) {
+                                            createStash();
+                                        }
+                                    } }
+                                    placeholder={ t('git.stash.messagePlaceholder') }
+                                    className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    autoFocus
+                                />
+                            </div>
+                            <label className="flex items-center gap-2 mb-4 text-sm text-gray-700 dark:text-gray-300">
+                                <input
+                                    type="checkbox"
+                                    checked={ stashIncludeUntracked }
+                                    onChange={ (e) => setStashIncludeUntracked(e.target.checked) }
+                                    className="rounded border-gray-300 dark:border-gray-600 text-primary focus:ring-primary"
+                                />
+                                { t('git.stash.includeUntracked') }
+                            </label>
+                            <div className="flex justify-end space-x-3">
+                                <button
+                                    onClick={ () => setShowStashModal(false) }
+                                    className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
+                                >
+                                    { t('common.cancel') }
+                                </button>
+                                <button
+                                    onClick={ createStash }
+                                    disabled={ isStashing }
+                                    className="px-4 py-2 text-sm bg-primary text-primary-foreground rounded-md hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                                >
+                                    { isStashing ? (
+                                        <>
+                                            <RefreshCw className="w-3 h-3 animate-spin"/>
+                                            <span>{ t('git.stash.stashing') }</span>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <Archive className="w-3 h-3"/>
+                                            <span>{ t('git.stash.stash') }</span>
+                                        </>
+                                    ) }
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            ) }
+
+            {/* Stash And Switch Modal */ }
+            { pendingCheckout && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+                    <div className="fixed inset-0 bg-black bg-opacity-50"
+                         onClick={ () => setPendingCheckout(null) }/>
+                    <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full">
+                        <div className="p-6">
+                            <div className="flex items-center mb-4">
+                                <div className="p-2 rounded-full mr-3 bg-yellow-100 dark:bg-yellow-900">
+                                    <AlertTriangle className="w-5 h-5 text-yellow-600 dark:text-yellow-400"/>
+                                </div>
+                                <h3 className="text-lg font-semibold">{ t('git.checkout.title') }</h3>
+                            </div>
+                            <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+                                { t('git.checkout.message', { branch: pendingCheckout.branch }) }
+                            </p>
+                            { pendingCheckout.files.length > 0 && (
+                                <div className="max-h-32 overflow-y-auto mb-4 p-2 bg-gray-50 dark:bg-gray-900 rounded font-mono text-xs text-gray-700 dark:text-gray-300">
+                                    { pendingCheckout.files.map(file => <div key={ file }>{ file }</div>) }
+                                </div>
+                            ) }
+                            <div className="flex justify-end space-x-3">
+                                <button
+                                    onClick={ () => setPendingCheckout(null) }
+                                    className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
+                                >
+                                    { t('common.cancel') }
+                                </button>
+                                <button
+                                    onClick={ () => switchBranch(pendingCheckout.branch, { stash: true }) }
+                                    className="px-4 py-2 text-sm bg-primary text-primary-foreground rounded-md hover:bg-primary/90 flex items-center space-x-2"
+                                >
+                                    <Archive className="w-4 h-4"/>
+                                    <span>{ t('git.checkout.stashAndSwitch') }</span>
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            ) }
+
             {/* New Branch Modal */ }
             { showNewBranchModal && (
                 <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
@@ -1399,10 +2143,10 @@ function GitPanel({ selectedProject, isMobile }) {
                          onClick={ () => setShowNewBranchModal(false) }/>
                     <div className="relative bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full">
                         <div className="p-6">
-                            <h3 className="text-lg font-semibold mb-4">创建新分支</h3>
+                            <h3 className="text-lg font-semibold mb-4">{ t('git.branch.create') }</h3>
                             <div className="mb-4">
                                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                                    分支名称
+                                    { t('git.branch.name') }
                                 </label>
                                 <input
                                     type="text"
@@ -1419,7 +2163,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                 />
                             </div>
                             <div className="text-xs text-gray-500 dark:text-gray-400 mb-4">
-                                将从当前分支（{ currentBranch }）创建新分支
+                                { t('git.branch.fromCurrent', { branch: currentBranch }) }
                             </div>
                             <div className="flex justify-end space-x-3">
                                 <button
@@ -1429,7 +2173,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                     } }
                                     className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
                                 >
-                                    取消
+                                    { t('common.cancel') }
                                 </button>
                                 <button
                                     onClick={ createBranch }
@@ -1439,12 +2183,12 @@ function GitPanel({ selectedProject, isMobile }) {
                                     { isCreatingBranch ? (
                                         <>
                                             <RefreshCw className="w-3 h-3 animate-spin"/>
-                                            <span>正在创建...</span>
+                                            <span>{ t('git.branch.creating') }</span>
                                         </>
                                     ) : (
                                         <>
                                             <Plus className="w-3 h-3"/>
-                                            <span>创建分支</span>
+                                            <span>{ t('git.branch.createButton') }</span>
                                         </>
                                     ) }
                                 </button>
@@ -1468,7 +2212,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                 setIsSmartCommitting(false);
                             }}
                             className="absolute top-3 right-3 p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
-                            title="中断智能提交"
+                            title={ t('git.smartCommit.abort') }
                         >
                             <X className="w-4 h-4"/>
                         </button>
@@ -1478,7 +2222,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                 <div className="p-2 rounded-full bg-gradient-to-r from-purple-100 to-blue-100 dark:from-purple-900/30 dark:to-blue-900/30 mr-3">
                                     <Sparkles className="w-5 h-5 text-transparent bg-gradient-to-r from-purple-500 to-blue-500 bg-clip-text"/>
                                 </div>
-                                <h3 className="text-lg font-semibold">智能提交中</h3>
+                                <h3 className="text-lg font-semibold">{ t('git.smartCommit.title') }</h3>
                             </div>
 
                             <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
@@ -1497,7 +2241,7 @@ function GitPanel({ selectedProject, isMobile }) {
                             </div>
 
                             <div className="text-xs text-center text-gray-500 dark:text-gray-400 mb-4">
-                                请稍候，Claude Code 正在处理您的请求
+                                { t('git.smartCommit.wait') }
                             </div>
 
                             <div className="text-center">
@@ -1510,7 +2254,7 @@ function GitPanel({ selectedProject, isMobile }) {
                                     }}
                                     className="px-4 py-2 text-sm text-gray-600 dark:text-gray-400 hover:text-gray-800 dark:hover:text-gray-200 border border-gray-300 dark:border-gray-600 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
                                 >
-                                    中断任务
+                                    { t('git.smartCommit.abortTask') }
                                 </button>
                             </div>
                         </div>
@@ -1526,18 +2270,20 @@ function GitPanel({ selectedProject, isMobile }) {
                         <div className="p-6">
                             <div className="flex items-center mb-4">
                                 <div className={ `p-2 rounded-full mr-3 ${
-                                    (confirmAction.type === 'discard' || confirmAction.type === 'delete') ? 'bg-red-100 dark:bg-red-900' : 'bg-yellow-100 dark:bg-yellow-900'
+                                    (confirmAction.type.startsWith('discard') || confirmAction.type === 'delete' || confirmAction.type === 'drop-stash') ? 'bg-red-100 dark:bg-red-900' : 'bg-yellow-100 dark:bg-yellow-900'
                                 }` }>
                                     <AlertTriangle className={ `w-5 h-5 ${
-                                        (confirmAction.type === 'discard' || confirmAction.type === 'delete') ? 'text-red-600 dark:text-red-400' : 'text-yellow-600 dark:text-yellow-400'
+                                        (confirmAction.type.startsWith('discard') || confirmAction.type === 'delete' || confirmAction.type === 'drop-stash') ? 'text-red-600 dark:text-red-400' : 'text-yellow-600 dark:text-yellow-400'
                                     }` }/>
                                 </div>
                                 <h3 className="text-lg font-semibold">
-                                    { confirmAction.type === 'discard' ? '放弃更改' :
-                                        confirmAction.type === 'delete' ? '删除文件' :
-                                            confirmAction.type === 'commit' ? '确认提交' :
-                                                confirmAction.type === 'pull' ? '确认拉取' :
-                                                    confirmAction.type === 'publish' ? '发布分支' : '确认推送' }
+                                    { confirmAction.type === 'discard-merge' ? t('git.merge.abortTitle', { operation: operationLabel(gitStatus?.merge?.operation) }) :
+                                        confirmAction.type.startsWith('discard') ? t('git.confirm.discard') :
+                                        confirmAction.type === 'delete' ? t('git.confirm.delete') :
+                                            confirmAction.type === 'drop-stash' ? t('git.confirm.dropStash') :
+                                            confirmAction.type === 'commit' ? t('git.confirm.commit') :
+                                                confirmAction.type === 'pull' ? t('git.confirm.pull') :
+                                                    confirmAction.type === 'publish' ? t('git.confirm.publish') : t('git.confirm.push') }
                                 </h3>
                             </div>
 
@@ -1550,12 +2296,12 @@ function GitPanel({ selectedProject, isMobile }) {
                                     onClick={ () => setConfirmAction(null) }
                                     className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md"
                                 >
-                                    取消
+                                    { t('common.cancel') }
                                 </button>
                                 <button
                                     onClick={ confirmAndExecute }
                                     className={ `px-4 py-2 text-sm text-white rounded-md ${
-                                        (confirmAction.type === 'discard' || confirmAction.type === 'delete')
+                                        (confirmAction.type.startsWith('discard') || confirmAction.type === 'delete' || confirmAction.type === 'drop-stash')
                                             ? 'bg-red-600 hover:bg-red-700'
                                             : confirmAction.type === 'commit'
                                                 ? 'bg-primary hover:bg-primary/90'
@@ -1566,35 +2312,35 @@ function GitPanel({ selectedProject, isMobile }) {
                                                         : 'bg-orange-600 hover:bg-orange-700'
                                     } flex items-center space-x-2` }
                                 >
-                                    { confirmAction.type === 'discard' ? (
+                                    { confirmAction.type.startsWith('discard') ? (
                                         <>
                                             <Trash2 className="w-4 h-4"/>
-                                            <span>放弃</span>
+                                            <span>{ t('git.discard') }</span>
                                         </>
-                                    ) : confirmAction.type === 'delete' ? (
+                                    ) : (confirmAction.type === 'delete' || confirmAction.type === 'drop-stash') ? (
                                         <>
                                             <Trash2 className="w-4 h-4"/>
-                                            <span>删除</span>
+                                            <span>{ t('git.delete') }</span>
                                         </>
                                     ) : confirmAction.type === 'commit' ? (
                                         <>
                                             <Check className="w-4 h-4"/>
-                                            <span>提交</span>
+                                            <span>{ t('git.commit.button') }</span>
                                         </>
                                     ) : confirmAction.type === 'pull' ? (
                                         <>
                                             <Download className="w-4 h-4"/>
-                                            <span>拉取</span>
+                                            <span>{ t('git.remote.pull') }</span>
                                         </>
                                     ) : confirmAction.type === 'publish' ? (
                                         <>
                                             <Upload className="w-4 h-4"/>
-                                            <span>发布</span>
+                                            <span>{ t('git.remote.publish') }</span>
                                         </>
                                     ) : (
                                         <>
                                             <Upload className="w-4 h-4"/>
-                                            <span>推送</span>
+                                            <span>{ t('git.remote.push') }</span>
                                         </>
                                     ) }
                                 </button>
@@ -0,0 +1,200 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { History, RotateCcw, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { api } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+// Context lines kept around each change; longer unchanged runs are collapsed
+const DIFF_CONTEXT = 3;
+
+// Keep changed lines plus DIFF_CONTEXT lines around them, marking collapsed gaps
+function collapseContext(lines) {
+    const keep = new Array(lines.length).fill(false);
+    lines.forEach((line, index) => {
+        if (line.type === 'context') return;
+        for (let offset = -DIFF_CONTEXT; offset <= DIFF_CONTEXT; offset++) {
+            if (index + offset >= 0 && index + offset < lines.length) {
+                keep[index + offset] = true;
+            }
+        }
+    });
+
+    const result = [];
+    lines.forEach((line, index) => {
+        if (keep[index]) {
+            result.push(line);
+        } else if (result[result.length - 1]?.type !== 'gap') {
+            result.push({ type: 'gap' });
+        }
+    });
+    return result;
+}
+
+const LINE_STYLES = {
+    added: 'bg-green-50 dark:bg-green-900/30 text-green-800 dark:text-green-300',
+    removed: 'bg-red-50 dark:bg-red-900/30 text-red-800 dark:text-red-300',
+    context: 'text-gray-600 dark:text-gray-400'
+};
+
+const LINE_PREFIX = { added: '+', removed: '-', context: ' ' };
+
+// Local history of the open file: lists saved versions, diffs the selected one
+// against the editor buffer and restores it through onRestore(content)
+function LocalHistoryPanel({ file, content, refreshKey, onRestore, onClose }) {
+    const { t, formatDateTime, formatNumber } = useLanguage();
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [comparison, setComparison] = useState(null);
+    const [restoring, setRestoring] = useState(false);
+
+    useEffect(() => {
+        const fetchVersions = async () => {
+            setLoading(true);
+            try {
+                const response = await api.getFileHistory(file.projectName, file.path);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || t('files.history.loadFailed'));
+                }
+                setVersions(data.versions);
+                setError(null);
+            } catch (err) {
+                console.error('Error loading local history:', err);
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchVersions();
+    }, [file, refreshKey]);
+
+    // Diff the selected version against the buffer, debounced while typing
+    useEffect(() => {
+        if (!selectedId) {
+            setComparison(null);
+            return;
+        }
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            try {
+                const response = await api.diffFileHistoryVersion(file.projectName, file.path, selectedId, content);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || t('files.history.loadFailed'));
+                }
+                if (!cancelled) {
+                    setComparison(data);
+                }
+            } catch (err) {
+                console.error('Error diffing local history version:', err);
+                if (!cancelled) {
+                    setError(err.message);
+                }
+            }
+        }, 400);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [file, selectedId, content]);
+
+    const diffLines = useMemo(() => (
+        comparison?.id === selectedId ? collapseContext(comparison.diff) : null
+    ), [comparison, selectedId]);
+
+    const stats = useMemo(() => ({
+        added: diffLines?.filter(line => line.type === 'added').length || 0,
+        removed: diffLines?.filter(line => line.type === 'removed').length || 0
+    }), [diffLines]);
+
+    const restore = async () => {
+        if (!comparison || !window.confirm(t('files.history.confirmRestore'))) return;
+        setRestoring(true);
+        try {
+            await onRestore(comparison.content);
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    return (
+        <div className="w-full md:w-96 flex-shrink-0 flex flex-col border-l border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 min-h-0">
+            <div className="flex items-center justify-between px-3 py-2 border-b border-gray-200 dark:border-gray-700">
+                <h4 className="flex items-center gap-2 text-sm font-medium text-gray-900 dark:text-white">
+                    <History className="w-4 h-4"/>
+                    { t('files.history.title') }
+                </h4>
+                <button
+                    onClick={ onClose }
+                    className="p-1 text-gray-500 hover:text-gray-900 dark:hover:text-white rounded"
+                >
+                    <X className="w-4 h-4"/>
+                </button>
+            </div>
+
+            <div className="max-h-56 overflow-y-auto border-b border-gray-200 dark:border-gray-700">
+                { loading ? (
+                    <p className="p-3 text-sm text-gray-500">{ t('files.history.loading') }</p>
+                ) : versions.length === 0 ? (
+                    <p className="p-3 text-sm text-gray-500">{ t('files.history.empty') }</p>
+                ) : (
+                    versions.map(version => (
+                        <button
+                            key={ `${ version.id }-${ version.timestamp }` }
+                            onClick={ () => setSelectedId(version.id) }
+                            className={ `w-full text-left px-3 py-2 text-sm border-b last:border-b-0 border-gray-100 dark:border-gray-800 hover:bg-gray-50 dark:hover:bg-gray-800 ${
+                                selectedId === version.id ? 'bg-primary/10' : ''
+                            }` }
+                        >
+                            <div className="text-gray-900 dark:text-white">{ formatDateTime(version.timestamp) }</div>
+                            <div className="text-xs text-gray-500">
+                                { t(`files.history.sources.${ version.source }`) } · { t('files.history.size', { size: formatNumber(version.size) }) }
+                            </div>
+                        </button>
+                    ))
+                ) }
+            </div>
+
+            { error && <p className="px-3 py-2 text-sm text-red-600 dark:text-red-400">{ error }</p> }
+
+            { selectedId && (
+                <div className="flex-1 flex flex-col min-h-0">
+                    <div className="flex items-center justify-between px-3 py-2 text-xs text-gray-500">
+                        <span>{ t('files.history.diffTitle') }</span>
+                        { diffLines && <span>{ t('files.history.diffStats', stats) }</span> }
+                    </div>
+                    <div className="flex-1 overflow-auto font-mono text-xs">
+                        { !diffLines ? (
+                            <p className="px-3 text-gray-500">{ t('files.history.loading') }</p>
+                        ) : stats.added + stats.removed === 0 ? (
+                            <p className="px-3 text-gray-500">{ t('files.history.noChanges') }</p>
+                        ) : (
+                            diffLines.map((line, index) => line.type === 'gap' ? (
+                                <div key={ index } className="px-3 text-gray-400 select-none">⋯</div>
+                            ) : (
+                                <div key={ index } className={ `px-3 whitespace-pre ${ LINE_STYLES[line.type] }` }>
+                                    { LINE_PREFIX[line.type] } { line.content }
+                                </div>
+                            ))
+                        ) }
+                    </div>
+                    <div className="p-3 border-t border-gray-200 dark:border-gray-700">
+                        <Button
+                            size="sm"
+                            className="w-full"
+                            onClick={ restore }
+                            disabled={ !diffLines || restoring || stats.added + stats.removed === 0 }
+                        >
+                            <RotateCcw className="w-4 h-4 mr-2"/>
+                            { restoring ? t('files.history.restoring') : t('files.history.restore') }
+                        </Button>
+                    </div>
+                </div>
+            ) }
+        </div>
+    );
+}
+
+export default LocalHistoryPanel;
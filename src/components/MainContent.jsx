@@ -18,6 +18,7 @@ import CodeEditor from './CodeEditor';
 import Shell from './Shell';
 import GitPanel from './GitPanel';
 import ErrorBoundary from './ErrorBoundary';
+import { useLanguage } from '../contexts/LanguageContext';
 
 // Utility function to truncate text to maximum characters
 const truncateText = (text, maxLength = 40) => {
@@ -49,8 +50,12 @@ function MainContent({
                          showRawParameters,      // Show raw parameters in tool accordions
                          autoScrollToBottom,     // Auto-scroll to bottom when new messages arrive
                          sendByCtrlEnter,        // Send by Ctrl+Enter mode for East Asian language input
-                         chatBgEnabled           // WhatsApp-like tiled background toggle
+                         chatBgEnabled,          // WhatsApp-like tiled background toggle
+                         messageJumpTarget,      // Message picked in the search palette to scroll to
+                         onMessageJumpHandled,   // Clear the jump target once the chat has scrolled to it
+                         onSessionForked         // Open a session created by "fork from here"
                      }) {
+    const { t } = useLanguage();
     const [editingFile, setEditingFile] = useState(null);
 
     const handleFileOpen = (filePath, diffInfo = null) => {
@@ -97,8 +102,8 @@ function MainContent({
                                 } }
                             />
                         </div>
-                        <h2 className="text-xl font-semibold mb-2">正在加载 Claude Code UI</h2>
-                        <p>正在设置您的工作空间...</p>
+                        <h2 className="text-xl font-semibold mb-2">{ t('mainContent.loadingTitle') }</h2>
+                        <p>{ t('mainContent.loadingSubtitle') }</p>
                     </div>
                 </div>
             </div>
@@ -133,14 +138,14 @@ function MainContent({
                                       d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-5l-2-2H5a2 2 0 00-2 2z"/>
                             </svg>
                         </div>
-                        <h2 className="text-2xl font-semibold mb-3 text-gray-900 dark:text-white">选择您的项目</h2>
+                        <h2 className="text-2xl font-semibold mb-3 text-gray-900 dark:text-white">{ t('mainContent.chooseProject') }</h2>
                         <p className="text-gray-600 dark:text-gray-300 mb-6 leading-relaxed">
-                            从侧边栏选择一个项目以开始与 Claude 编程。每个项目包含您的聊天会话和文件历史记录。
+                            { t('mainContent.chooseProjectHint') }
                         </p>
                         <div
                             className="bg-primary/5 rounded-lg p-4 border border-primary/20">
                             <p className="text-sm text-primary">
-                                💡 <strong>提示：</strong> { isMobile ? '点击上方菜单按钮访问项目' : '点击侧边栏中的文件夹图标创建新项目' }
+                                💡 <strong>{ t('mainContent.tip') }</strong> { isMobile ? t('mainContent.tipMobile') : t('mainContent.tipDesktop') }
                             </p>
                         </div>
                     </div>
@@ -182,7 +187,7 @@ function MainContent({
                             ) : activeTab === 'chat' && !selectedSession ? (
                                 <div>
                                     <h2 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white">
-                                        新建会话
+                                        { t('mainContent.newSession') }
                                     </h2>
                                     <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
                                         { selectedProject.displayName }
@@ -191,7 +196,7 @@ function MainContent({
                             ) : (
                                 <div>
                                     <h2 className="text-base sm:text-lg font-semibold text-gray-900 dark:text-white">
-                                        { activeTab === 'files' ? '项目文件' : activeTab === 'git' ? '源代码控制' : '项目' }
+                                        { activeTab === 'files' ? t('mainContent.projectFiles') : activeTab === 'git' ? t('mainContent.sourceControl') : t('mainContent.project') }
                                     </h2>
                                     <div className="text-xs text-gray-500 dark:text-gray-400 truncate">
                                         { selectedProject.displayName }
@@ -217,7 +222,7 @@ function MainContent({
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
                           d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z"/>
                   </svg>
-                  <span className="hidden sm:inline">聊天</span>
+                  <span className="hidden sm:inline">{ t('mainContent.tabs.chat') }</span>
                 </span>
                             </button>
                             <button
@@ -233,7 +238,7 @@ function MainContent({
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
                           d="M8 9l3 3-3 3m5 0h3M5 20h14a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v14a2 2 0 002 2z"/>
                   </svg>
-                  <span className="hidden sm:inline">终端</span>
+                  <span className="hidden sm:inline">{ t('mainContent.tabs.shell') }</span>
                 </span>
                             </button>
                             <button
@@ -249,7 +254,7 @@ function MainContent({
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
                           d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-5l-2-2H5a2 2 0 00-2 2z"/>
                   </svg>
-                  <span className="hidden sm:inline">文件</span>
+                  <span className="hidden sm:inline">{ t('mainContent.tabs.files') }</span>
                 </span>
                             </button>
                             <button
@@ -265,7 +270,7 @@ function MainContent({
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={ 2 }
                           d="M13 10V3L4 14h7v7l9-11h-7z"/>
                   </svg>
-                  <span className="hidden sm:inline">源代码控制</span>
+                  <span className="hidden sm:inline">{ t('mainContent.tabs.git') }</span>
                 </span>
                             </button>
                             {/* <button
@@ -312,6 +317,9 @@ function MainContent({
                             autoScrollToBottom={ autoScrollToBottom }
                             sendByCtrlEnter={ sendByCtrlEnter }
                             chatBgEnabled={ chatBgEnabled }
+                            messageJumpTarget={ messageJumpTarget }
+                            onMessageJumpHandled={ onMessageJumpHandled }
+                            onSessionForked={ onSessionForked }
                         />
                     </ErrorBoundary>
                 </div>
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { api } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import remarkBreaks from 'remark-breaks';
@@ -27,6 +28,7 @@ const MemoryEditor = ({
     onSave = () => {},
     initialContent = ''
 }) => {
+    const { t } = useLanguage();
     const [content, setContent] = useState(initialContent);
     const [originalContent, setOriginalContent] = useState(initialContent);
     const [loading, setLoading] = useState(false);
@@ -88,7 +90,7 @@ const MemoryEditor = ({
             setContent(loadedContent);
             setOriginalContent(loadedContent);
         } catch (err) {
-            setError(`Failed to load memory: ${err.message}`);
+            setError(t('memoryEditor.loadFailed', { error: err.message }));
         } finally {
             setLoading(false);
         }
@@ -112,10 +114,10 @@ const MemoryEditor = ({
                 onSave(content);
             } else {
                 const errorData = await response.json();
-                throw new Error(errorData.error || 'Save failed');
+                throw new Error(errorData.error || t('settings.saveFailed'));
             }
         } catch (err) {
-            setError(`Failed to save memory: ${err.message}`);
+            setError(t('memoryEditor.saveFailed', { error: err.message }));
         } finally {
             setSaving(false);
         }
@@ -123,7 +125,7 @@ const MemoryEditor = ({
 
     const handleClose = () => {
         if (hasChanges) {
-            if (confirm('您有未保存的更改。确定要关闭吗？')) {
+            if (confirm(t('memoryEditor.confirmClose'))) {
                 setContent(originalContent);
                 onClose();
             }
@@ -133,7 +135,7 @@ const MemoryEditor = ({
     };
 
     const resetContent = () => {
-        if (confirm('确定要重置为原始内容吗？')) {
+        if (confirm(t('memoryEditor.confirmReset'))) {
             setContent(originalContent);
         }
     };
@@ -141,10 +143,10 @@ const MemoryEditor = ({
     if (!isOpen) return null;
 
     const isGlobal = type === 'global';
-    const title = isGlobal ? '全局 Memory (CLAUDE.md)' : `项目 Memory (${projectName})`;
+    const title = isGlobal ? t('memoryEditor.globalTitle') : t('memoryEditor.projectTitle', { project: projectName });
     const description = isGlobal 
-        ? '全局 Memory 文件适用于所有项目，包含通用的指令和偏好设置。'
-        : '项目 Memory 文件仅适用于当前项目，包含项目特定的上下文和指令。';
+        ? t('memoryEditor.globalDescription')
+        : t('memoryEditor.projectDescription');
 
     return (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -169,7 +171,7 @@ const MemoryEditor = ({
                     <div className="flex items-center gap-2">
                         {hasChanges && (
                             <Badge variant="outline" className="text-amber-600 border-amber-600">
-                                未保存
+                                {t('memoryEditor.unsaved')}
                             </Badge>
                         )}
                         <Button variant="ghost" size="sm" onClick={handleClose}>
@@ -189,12 +191,12 @@ const MemoryEditor = ({
                             {previewMode ? (
                                 <>
                                     <EyeOff className="w-4 h-4 mr-2" />
-                                    编辑模式
+                                    {t('memoryEditor.editMode')}
                                 </>
                             ) : (
                                 <>
                                     <Eye className="w-4 h-4 mr-2" />
-                                    预览模式
+                                    {t('memoryEditor.previewMode')}
                                 </>
                             )}
                         </Button>
@@ -205,7 +207,7 @@ const MemoryEditor = ({
                             disabled={loading}
                         >
                             <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
-                            刷新
+                            {t('common.refresh')}
                         </Button>
                         {hasChanges && (
                             <Button
@@ -213,7 +215,7 @@ const MemoryEditor = ({
                                 size="sm"
                                 onClick={resetContent}
                             >
-                                重置
+                                {t('memoryEditor.reset')}
                             </Button>
                         )}
                     </div>
@@ -228,7 +230,7 @@ const MemoryEditor = ({
                         {success && (
                             <div className="flex items-center gap-2 text-green-600 text-sm">
                                 <CheckCircle2 className="w-4 h-4" />
-                                保存成功
+                                {t('memoryEditor.saved')}
                             </div>
                         )}
                         <Button
@@ -237,7 +239,7 @@ const MemoryEditor = ({
                             size="sm"
                         >
                             <Save className="w-4 h-4 mr-2" />
-                            {saving ? '保存中...' : '保存'}
+                            {saving ? t('common.saving') : t('common.save')}
                         </Button>
                     </div>
                 </div>
@@ -298,8 +300,8 @@ const MemoryEditor = ({
                             ) : (
                                 <div className="text-gray-500 dark:text-gray-400 text-center py-8">
                                     <FileText className="w-12 h-12 mx-auto mb-4 opacity-50" />
-                                    <p>Memory 文件为空</p>
-                                    <p className="text-sm">切换到编辑模式开始添加内容</p>
+                                    <p>{t('memoryEditor.empty')}</p>
+                                    <p className="text-sm">{t('memoryEditor.emptyHint')}</p>
                                 </div>
                             )}
                         </div>
@@ -307,23 +309,7 @@ const MemoryEditor = ({
                         <textarea
                             value={content}
                             onChange={(e) => setContent(e.target.value)}
-                            placeholder={`输入 ${isGlobal ? '全局' : '项目'} Memory 内容...
-
-示例内容：
-# ${isGlobal ? '全局' : '项目'} Memory
-
-## 偏好设置
-- 使用简洁的代码风格
-- 优先考虑性能和可读性
-
-## 上下文信息
-${isGlobal 
-    ? '- 我是一个全栈开发者\n- 偏好使用 TypeScript 和 React' 
-    : '- 这是一个 React 应用项目\n- 使用 Vite 作为构建工具'}
-
-## 特殊指令
-- 总是包含适当的错误处理
-- 代码应该有良好的注释`}
+                            placeholder={isGlobal ? t('memoryEditor.placeholderGlobal') : t('memoryEditor.placeholderProject')}
                             className="w-full h-full p-4 border-0 outline-none resize-none font-mono text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-white placeholder-gray-400"
                             spellCheck={false}
                         />
@@ -334,13 +320,13 @@ ${isGlobal
                 <div className="p-4 border-t border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800">
                     <div className="flex items-center justify-between text-sm text-gray-500 dark:text-gray-400">
                         <div className="flex items-center gap-4">
-                            <span>字符数: {content.length}</span>
-                            <span>行数: {content.split('\n').length}</span>
+                            <span>{t('memoryEditor.characters', { count: content.length })}</span>
+                            <span>{t('memoryEditor.lines', { count: content.split('\n').length })}</span>
                         </div>
                         <div className="flex items-center gap-2">
                             <Brain className="w-4 h-4" />
                             <span>
-                                路径: {isGlobal ? '~/.claude/CLAUDE.md' : `${projectName}/CLAUDE.md`}
+                                {t('memoryEditor.path', { path: isGlobal ? '~/.claude/CLAUDE.md' : `${projectName}/CLAUDE.md` })}
                             </span>
                         </div>
                     </div>
@@ -6,8 +6,10 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useMemoryMonitor } from '../hooks/usePerformanceOptimizations';
 import globalMemoryOptimizer from '../utils/memoryOptimization';
 import globalCache from '../utils/progressiveCache';
+import { useLanguage } from '../contexts/LanguageContext';
 
 const PerformanceDashboard = ({ isVisible = false, onClose }) => {
+    const { t, formatTime } = useLanguage();
     const [stats, setStats] = useState({});
     const [memoryStats, setMemoryStats] = useState(null);
     const [cacheStats, setCacheStats] = useState({});
@@ -81,14 +83,14 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             recommendations.push({
                 type: 'memory',
                 level: 'critical',
-                message: 'Memory usage is very high. Consider closing unused tabs or clearing cache.',
+                code: 'memoryHigh',
                 action: 'cleanup'
             });
         } else if (memory && memory.usageRatio > 0.6) {
             recommendations.push({
                 type: 'memory',
                 level: 'warning',
-                message: 'Memory usage is elevated. Monitor for potential leaks.',
+                code: 'memoryElevated',
                 action: 'monitor'
             });
         }
@@ -98,7 +100,7 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             recommendations.push({
                 type: 'cache',
                 level: 'info',
-                message: 'Cache hit rate is low. This may indicate inefficient caching strategy.',
+                code: 'cacheHitRateLow',
                 action: 'optimize'
             });
         }
@@ -108,7 +110,7 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             recommendations.push({
                 type: 'leak',
                 level: 'critical',
-                message: 'Potential memory leak detected. Check for uncleaned resources.',
+                code: 'memoryLeak',
                 action: 'investigate'
             });
         }
@@ -217,27 +219,27 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             <div className="drag-handle flex items-center justify-between p-4 pb-2 cursor-grab active:cursor-grabbing border-b border-gray-100 dark:border-gray-700">
                 <h3 className="font-semibold text-gray-900 dark:text-white flex items-center gap-2">
                     <span className="w-3 h-3 bg-green-500 rounded-full animate-pulse"></span>
-                    性能监控
+                    {t('performance.title')}
                 </h3>
                 <div className="flex items-center gap-2">
                     <button
                         onClick={handleCleanup}
                         className="px-2 py-1 text-xs bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors"
-                        title="清理内存"
+                        title={t('performance.cleanupHint')}
                     >
-                        清理
+                        {t('performance.cleanup')}
                     </button>
                     <button
                         onClick={handleClearCache}
                         className="px-2 py-1 text-xs bg-orange-500 text-white rounded hover:bg-orange-600 transition-colors"
-                        title="清空缓存"
+                        title={t('performance.clearCacheHint')}
                     >
-                        清缓存
+                        {t('performance.clearCache')}
                     </button>
                     <button
                         onClick={handleClose}
                         className="ml-2 w-6 h-6 flex items-center justify-center text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded transition-colors"
-                        title="关闭"
+                        title={t('common.close')}
                     >
                         <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
                             <path d="M13 1L1 13M1 1L13 13" stroke="currentColor" strokeWidth="2" strokeLinecap="round"/>
@@ -252,18 +254,18 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             {/* 内存信息 */}
             {memoryInfo && (
                 <div className="mb-4">
-                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">内存使用</h4>
+                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('performance.memory')}</h4>
                     <div className="grid grid-cols-3 gap-2 mb-2">
                         <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded text-center">
-                            <div className="text-xs text-gray-600 dark:text-gray-400">已用</div>
+                            <div className="text-xs text-gray-600 dark:text-gray-400">{t('performance.used')}</div>
                             <div className="font-mono text-sm">{memoryInfo.used}MB</div>
                         </div>
                         <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded text-center">
-                            <div className="text-xs text-gray-600 dark:text-gray-400">总计</div>
+                            <div className="text-xs text-gray-600 dark:text-gray-400">{t('performance.total')}</div>
                             <div className="font-mono text-sm">{memoryInfo.total}MB</div>
                         </div>
                         <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded text-center">
-                            <div className="text-xs text-gray-600 dark:text-gray-400">使用率</div>
+                            <div className="text-xs text-gray-600 dark:text-gray-400">{t('performance.usage')}</div>
                             <div className="font-mono text-sm">{(memoryInfo.usageRatio * 100).toFixed(1)}%</div>
                         </div>
                     </div>
@@ -282,12 +284,12 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
                     {/* 内存趋势 */}
                     {memoryStats?.trend && (
                         <div className="text-xs text-gray-600 dark:text-gray-400">
-                            趋势: <span className={`font-medium ${
+                            {t('performance.trend')} <span className={`font-medium ${
                                 memoryStats.trend === 'increasing' ? 'text-red-600' :
                                 memoryStats.trend === 'decreasing' ? 'text-green-600' : 'text-gray-600'
                             }`}>
-                                {memoryStats.trend === 'increasing' ? '上升' :
-                                 memoryStats.trend === 'decreasing' ? '下降' : '稳定'}
+                                {memoryStats.trend === 'increasing' ? t('performance.trends.increasing') :
+                                 memoryStats.trend === 'decreasing' ? t('performance.trends.decreasing') : t('performance.trends.stable')}
                             </span>
                         </div>
                     )}
@@ -297,16 +299,16 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             {/* 缓存统计 */}
             {cacheStats && Object.keys(cacheStats).length > 0 && (
                 <div className="mb-4">
-                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">缓存统计</h4>
+                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('performance.cache')}</h4>
                     <div className="grid grid-cols-2 gap-2 mb-2">
                         <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded">
-                            <div className="text-xs text-gray-600 dark:text-gray-400">命中率</div>
+                            <div className="text-xs text-gray-600 dark:text-gray-400">{t('performance.hitRate')}</div>
                             <div className="font-mono text-sm">
                                 {((cacheStats.hitRate || 0) * 100).toFixed(1)}%
                             </div>
                         </div>
                         <div className="bg-gray-50 dark:bg-gray-700 p-2 rounded">
-                            <div className="text-xs text-gray-600 dark:text-gray-400">缓存项</div>
+                            <div className="text-xs text-gray-600 dark:text-gray-400">{t('performance.cacheItems')}</div>
                             <div className="font-mono text-sm">{cacheStats.memorySize || 0}</div>
                         </div>
                     </div>
@@ -316,23 +318,23 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             {/* 页面性能 */}
             {stats.page && (
                 <div className="mb-4">
-                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">页面性能</h4>
+                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('performance.page')}</h4>
                     <div className="space-y-1">
                         {stats.page.domContentLoaded && (
                             <div className="flex justify-between text-xs">
-                                <span className="text-gray-600 dark:text-gray-400">DOM加载</span>
+                                <span className="text-gray-600 dark:text-gray-400">{t('performance.domContentLoaded')}</span>
                                 <span className="font-mono">{Math.round(stats.page.domContentLoaded)}ms</span>
                             </div>
                         )}
                         {stats.page.pageLoad && (
                             <div className="flex justify-between text-xs">
-                                <span className="text-gray-600 dark:text-gray-400">完全加载</span>
+                                <span className="text-gray-600 dark:text-gray-400">{t('performance.pageLoad')}</span>
                                 <span className="font-mono">{Math.round(stats.page.pageLoad)}ms</span>
                             </div>
                         )}
                         {stats.page.firstContentfulPaint > 0 && (
                             <div className="flex justify-between text-xs">
-                                <span className="text-gray-600 dark:text-gray-400">首次绘制</span>
+                                <span className="text-gray-600 dark:text-gray-400">{t('performance.firstPaint')}</span>
                                 <span className="font-mono">{Math.round(stats.page.firstContentfulPaint)}ms</span>
                             </div>
                         )}
@@ -343,7 +345,7 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             {/* 性能建议 */}
             {recommendations.length > 0 && (
                 <div className="mb-4">
-                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">优化建议</h4>
+                    <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{t('performance.recommendations')}</h4>
                     <div className="space-y-2">
                         {recommendations.map((rec, index) => (
                             <div
@@ -354,8 +356,8 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
                                     'bg-blue-50 border-blue-200 text-blue-800 dark:bg-blue-900/20 dark:border-blue-800 dark:text-blue-200'
                                 } border`}
                             >
-                                <div className="font-medium mb-1 capitalize">{rec.type}</div>
-                                <div>{rec.message}</div>
+                                <div className="font-medium mb-1 capitalize">{t(`performance.types.${rec.type}`)}</div>
+                                <div>{t(`performance.advice.${rec.code}`)}</div>
                             </div>
                         ))}
                     </div>
@@ -365,7 +367,7 @@ const PerformanceDashboard = ({ isVisible = false, onClose }) => {
             {/* 更新时间 */}
             {stats.timestamp && (
                 <div className="text-xs text-gray-500 dark:text-gray-400 text-center pt-2 border-t border-gray-200 dark:border-gray-700">
-                    上次更新: {new Date(stats.timestamp).toLocaleTimeString()}
+                    {t('performance.lastUpdated', { time: formatTime(stats.timestamp) })}
                 </div>
             )}
             </div>
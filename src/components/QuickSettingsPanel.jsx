@@ -16,6 +16,7 @@ import {
 import DarkModeToggle from './DarkModeToggle';
 import DevTools from './DevTools';
 import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import { useElectron } from '../utils/electron';
 
 const QuickSettingsPanel = memo(({
@@ -35,6 +36,7 @@ const QuickSettingsPanel = memo(({
                                 showPerformanceDashboard,
                                 onTogglePerformanceDashboard
                             }) => {
+    const { t } = useLanguage();
     const electron = useElectron();
     const [localIsOpen, setLocalIsOpen] = useState(isOpen);
     const [whisperMode, setWhisperMode] = useState(() => {
@@ -128,7 +130,7 @@ const QuickSettingsPanel = memo(({
                     <div className="p-4 border-b border-border bg-muted">
                         <h3 className="text-lg font-semibold text-foreground flex items-center gap-2">
                             <Settings2 className="h-5 w-5 text-muted-foreground"/>
-                            快速设置
+                            { t('quickSettings.title') }
                         </h3>
                     </div>
 
@@ -137,14 +139,14 @@ const QuickSettingsPanel = memo(({
                         className={ `flex-1 overflow-y-auto overflow-x-hidden p-4 space-y-6 bg-background scrollbar-auto-hide ${ isMobile ? 'pb-20' : '' }` }>
                         {/* Appearance Settings */ }
                         <div className="space-y-2">
-                            <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">外观设置</h4>
+                            <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">{ t('quickSettings.appearance') }</h4>
 
                             <div
                                 className="flex items-center justify-between p-3 rounded-lg bg-muted hover:bg-accent transition-colors border border-transparent hover:border-border">
                 <span className="flex items-center gap-2 text-sm text-foreground">
                   { isDarkMode ? <Moon className="h-4 w-4 text-muted-foreground"/> :
                       <Sun className="h-4 w-4 text-muted-foreground"/> }
-                    深色模式
+                    { t('quickSettings.darkMode') }
                 </span>
                                 <DarkModeToggle/>
                             </div>
@@ -154,13 +156,13 @@ const QuickSettingsPanel = memo(({
 
                         {/* Tool Display Settings */ }
                         <div className="space-y-2">
-                            <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">工具显示</h4>
+                            <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">{ t('quickSettings.toolDisplay') }</h4>
 
                             <label
                                 className="flex items-center justify-between p-3 rounded-lg bg-muted hover:bg-accent cursor-pointer transition-colors border border-transparent hover:border-border">
                 <span className="flex items-center gap-2 text-sm text-foreground">
                   <Maximize2 className="h-4 w-4 text-muted-foreground"/>
-                  自动展开工具
+                  { t('quickSettings.autoExpandTools') }
                 </span>
                                 <input
                                     type="checkbox"
@@ -174,7 +176,7 @@ const QuickSettingsPanel = memo(({
                                 className="flex items-center justify-between p-3 rounded-lg bg-muted hover:bg-accent cursor-pointer transition-colors border border-transparent hover:border-border">
                 <span className="flex items-center gap-2 text-sm text-foreground">
                   <Eye className="h-4 w-4 text-muted-foreground"/>
-                  显示原始参数
+                  { t('quickSettings.showRawParameters') }
                 </span>
                                 <input
                                     type="checkbox"
@@ -186,13 +188,13 @@ const QuickSettingsPanel = memo(({
                         </div>
                         {/* View Options */ }
                         <div className="space-y-2">
-                            <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">显示选项</h4>
+                            <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">{ t('quickSettings.viewOptions') }</h4>
 
                             <label
                                 className="flex items-center justify-between p-3 rounded-lg bg-muted hover:bg-accent cursor-pointer transition-colors border border-transparent hover:border-border">
                 <span className="flex items-center gap-2 text-sm text-foreground">
                   <ArrowDown className="h-4 w-4 text-muted-foreground"/>
-                  自动滚动到底部
+                  { t('quickSettings.autoScroll') }
                 </span>
                                 <input
                                     type="checkbox"
@@ -209,7 +211,7 @@ const QuickSettingsPanel = memo(({
                                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2"
                                               d="M4 6h16M4 12h16M4 18h7"/>
                                     </svg>
-                                    聊天背景装饰
+                                    { t('quickSettings.chatBackground') }
                                 </span>
                                 <input
                                     type="checkbox"
@@ -222,13 +224,13 @@ const QuickSettingsPanel = memo(({
 
                         {/* Input Settings */ }
                         <div className="space-y-2">
-                            <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">输入设置</h4>
+                            <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">{ t('quickSettings.input') }</h4>
 
                             <label
                                 className="flex items-center justify-between p-3 rounded-lg bg-muted hover:bg-accent cursor-pointer transition-colors border border-transparent hover:border-border">
                 <span className="flex items-center gap-2 text-sm text-foreground">
                   <Languages className="h-4 w-4 text-muted-foreground"/>
-                    { electron.getShortcutKey() }+Enter 发送
+                    { t('quickSettings.sendByShortcut', { key: electron.getShortcutKey() }) }
                 </span>
                                 <input
                                     type="checkbox"
@@ -238,8 +240,7 @@ const QuickSettingsPanel = memo(({
                                 />
                             </label>
                             <p className="text-xs text-muted-foreground ml-3">
-                                启用后，使用 { electron.getShortcutKey() }+Enter 发送消息而不是单独的 Enter
-                                键。这对输入法用户有用，可避免意外发送。
+                                { t('quickSettings.sendByShortcutHint', { key: electron.getShortcutKey() }) }
                             </p>
                         </div>
 
@@ -330,7 +331,7 @@ const QuickSettingsPanel = memo(({
                         { isDevelopmentMode && (
                             <div className="space-y-2">
                                 <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">
-                                    性能监控
+                                    { t('quickSettings.performance') }
                                 </h4>
 
                                 <button
@@ -340,13 +341,13 @@ const QuickSettingsPanel = memo(({
                                             ? 'bg-green-50 border-green-200 text-green-800 dark:bg-green-900/20 dark:border-green-800 dark:text-green-200'
                                             : 'bg-muted hover:bg-accent border-transparent hover:border-border text-foreground'
                                     }`}
-                                    title="切换性能监控面板"
+                                    title={ t('quickSettings.performanceToggle') }
                                 >
                                     <span className="flex items-center gap-2 text-sm">
                                         <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
                                         </svg>
-                                        性能面板
+                                        { t('quickSettings.performancePanel') }
                                     </span>
                                     <div className={`w-2 h-2 rounded-full ${
                                         showPerformanceDashboard ? 'bg-green-500 animate-pulse' : 'bg-gray-300'
@@ -354,7 +355,7 @@ const QuickSettingsPanel = memo(({
                                 </button>
                                 
                                 <p className="text-xs text-muted-foreground ml-3">
-                                    显示实时内存使用、缓存统计和性能指标
+                                    { t('quickSettings.performanceHint') }
                                 </p>
                             </div>
                         ) }
@@ -363,7 +364,7 @@ const QuickSettingsPanel = memo(({
                         { isDevelopmentMode && (
                             <div className="space-y-2">
                                 <h4 className="text-xs font-semibold uppercase tracking-wider text-muted-foreground mb-2">
-                                    开发者工具
+                                    { t('quickSettings.devTools') }
                                 </h4>
 
                                 <div
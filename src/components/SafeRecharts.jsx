@@ -1,5 +1,6 @@
 import React from 'react';
 import { AlertTriangle } from 'lucide-react';
+import { t } from '../i18n';
 
 /**
  * 安全的Recharts组件包装器
@@ -43,10 +44,10 @@ export class SafeRechartsWrapper extends React.Component {
                     <div className="text-center">
                         <AlertTriangle className="w-8 h-8 text-yellow-500 mx-auto mb-2" />
                         <p className="text-sm text-gray-600 dark:text-gray-400">
-                            图表组件暂时不可用
+                            { t('usage.common.chartUnavailable') }
                         </p>
                         <p className="text-xs text-gray-500 dark:text-gray-500 mt-1">
-                            React兼容性问题，功能不受影响
+                            { t('usage.common.chartUnavailableHint') }
                         </p>
                     </div>
                 </div>
@@ -0,0 +1,253 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Search, X } from 'lucide-react';
+import { Badge } from './ui/badge';
+import { api } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const ROLES = ['user', 'assistant', 'tool'];
+
+// Render the snippet with the matched range highlighted
+const Snippet = ({ snippet, highlight }) => {
+    if (!highlight || highlight.length === 0) {
+        return <span>{ snippet }</span>;
+    }
+    const { start, length } = highlight;
+    return (
+        <span>
+            { snippet.slice(0, start) }
+            <mark className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded px-0.5">
+                { snippet.slice(start, start + length) }
+            </mark>
+            { snippet.slice(start + length) }
+        </span>
+    );
+};
+
+/**
+ * Full-text search across every session.
+ * Supports "quoted phrases" and role:/from:/to: filters typed into the query.
+ */
+const SearchPalette = ({ isOpen, onClose, projects = [], onSelectResult }) => {
+    const { t, formatDateTime } = useLanguage();
+    const [query, setQuery] = useState('');
+    const [role, setRole] = useState('');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [results, setResults] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(0);
+    const inputRef = useRef(null);
+    const listRef = useRef(null);
+
+    const projectsByName = useMemo(() => {
+        const map = new Map();
+        projects.forEach(project => map.set(project.name, project));
+        return map;
+    }, [projects]);
+
+    useEffect(() => {
+        if (isOpen) {
+            setTimeout(() => inputRef.current?.focus(), 0);
+        }
+    }, [isOpen]);
+
+    // Debounced search as the user types
+    useEffect(() => {
+        if (!isOpen) return;
+
+        if (!query.trim()) {
+            setResults([]);
+            setTotal(0);
+            setError(null);
+            return;
+        }
+
+        let cancelled = false;
+        const timer = setTimeout(async () => {
+            setLoading(true);
+            try {
+                const response = await api.search(query, { role, from, to });
+                const data = await response.json();
+                if (cancelled) return;
+                if (!response.ok) {
+                    throw new Error(data.error || t('search.failed'));
+                }
+                setResults(data.results || []);
+                setTotal(data.total || 0);
+                setActiveIndex(0);
+                setError(null);
+            } catch (err) {
+                if (!cancelled) {
+                    setError(err.message);
+                    setResults([]);
+                    setTotal(0);
+                }
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        }, 250);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [isOpen, query, role, from, to]);
+
+    // Keep the highlighted result visible during keyboard navigation
+    useEffect(() => {
+        const item = listRef.current?.querySelector(`[data-result-index="${ activeIndex }"]`);
+        item?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    if (!isOpen) return null;
+
+    const handleSelect = (result) => {
+        if (!result) return;
+        onSelectResult(result);
+        onClose();
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(prev => Math.min(prev + 1, results.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(prev => Math.max(prev - 1, 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            handleSelect(results[activeIndex]);
+        }
+    };
+
+    const getSessionTitle = (result) => {
+        const project = projectsByName.get(result.projectName);
+        const session = project?.sessions?.find(s => s.id === result.sessionId);
+        return session?.summary || t('search.session', { id: result.sessionId.slice(0, 8) });
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-start justify-center pt-[10vh] px-4" onKeyDown={ handleKeyDown }>
+            <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" onClick={ onClose }/>
+
+            <div
+                className="relative w-full max-w-2xl bg-white dark:bg-gray-900 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 flex flex-col max-h-[75vh]">
+                {/* Query */ }
+                <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+                    <Search className="w-4 h-4 text-muted-foreground flex-shrink-0"/>
+                    <input
+                        ref={ inputRef }
+                        type="text"
+                        value={ query }
+                        onChange={ (e) => setQuery(e.target.value) }
+                        placeholder={ t('search.placeholder') }
+                        className="flex-1 bg-transparent text-sm text-gray-900 dark:text-white placeholder:text-muted-foreground focus:outline-none"
+                    />
+                    { loading && (
+                        <div
+                            className="w-4 h-4 animate-spin rounded-full border-2 border-muted-foreground border-t-transparent"/>
+                    ) }
+                    <button
+                        onClick={ onClose }
+                        className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded hover:bg-gray-100 dark:hover:bg-gray-800"
+                    >
+                        <X className="w-4 h-4"/>
+                    </button>
+                </div>
+
+                {/* Filters */ }
+                <div
+                    className="flex flex-wrap items-center gap-2 px-4 py-2 border-b border-gray-200 dark:border-gray-700 text-xs text-gray-600 dark:text-gray-400">
+                    <div className="flex gap-1">
+                        { ['', ...ROLES].map(value => (
+                            <button
+                                key={ value }
+                                onClick={ () => setRole(value) }
+                                className={ `px-2 py-1 rounded ${ role === value
+                                    ? 'bg-primary text-white'
+                                    : 'hover:bg-gray-100 dark:hover:bg-gray-800' }` }
+                            >
+                                { value ? t(`search.roles.${ value }`) : t('search.roles.all') }
+                            </button>
+                        )) }
+                    </div>
+                    <div className="flex items-center gap-1 ml-auto">
+                        <span>{ t('search.from') }</span>
+                        <input
+                            type="date"
+                            value={ from }
+                            onChange={ (e) => setFrom(e.target.value) }
+                            className="bg-transparent border border-gray-200 dark:border-gray-700 rounded px-1 py-0.5"
+                        />
+                        <span>{ t('search.to') }</span>
+                        <input
+                            type="date"
+                            value={ to }
+                            onChange={ (e) => setTo(e.target.value) }
+                            className="bg-transparent border border-gray-200 dark:border-gray-700 rounded px-1 py-0.5"
+                        />
+                    </div>
+                </div>
+
+                {/* Results */ }
+                <div ref={ listRef } className="flex-1 overflow-y-auto">
+                    { error ? (
+                        <div className="p-6 text-center text-sm text-red-600 dark:text-red-400">{ error }</div>
+                    ) : !query.trim() ? (
+                        <div className="p-6 text-center text-sm text-muted-foreground">{ t('search.hint') }</div>
+                    ) : results.length === 0 && !loading ? (
+                        <div className="p-6 text-center text-sm text-muted-foreground">{ t('search.noResults') }</div>
+                    ) : (
+                        results.map((result, index) => {
+                            const project = projectsByName.get(result.projectName);
+                            return (
+                                <button
+                                    key={ `${ result.sessionId }-${ result.uuid || index }-${ result.role }-${ index }` }
+                                    data-result-index={ index }
+                                    onClick={ () => handleSelect(result) }
+                                    onMouseEnter={ () => setActiveIndex(index) }
+                                    className={ `w-full text-left px-4 py-3 border-b border-gray-100 dark:border-gray-800 ${ index === activeIndex
+                                        ? 'bg-primary/10'
+                                        : 'hover:bg-gray-50 dark:hover:bg-gray-800/50' }` }
+                                >
+                                    <div className="flex items-center gap-2 text-xs text-muted-foreground mb-1">
+                                        <Badge variant="secondary" className="text-[10px] px-1.5 py-0">
+                                            { ROLES.includes(result.role) ? t(`search.roles.${ result.role }`) : result.role }
+                                        </Badge>
+                                        <span className="truncate font-medium text-gray-700 dark:text-gray-300">
+                                            { project?.displayName || result.projectName }
+                                        </span>
+                                        <span>·</span>
+                                        <span className="truncate">{ getSessionTitle(result) }</span>
+                                        { result.timestamp && (
+                                            <span className="ml-auto flex-shrink-0">
+                                                { formatDateTime(result.timestamp) }
+                                            </span>
+                                        ) }
+                                    </div>
+                                    <div className="text-sm text-gray-900 dark:text-gray-100 break-words line-clamp-2">
+                                        <Snippet snippet={ result.snippet } highlight={ result.highlight }/>
+                                    </div>
+                                </button>
+                            );
+                        })
+                    ) }
+                </div>
+
+                { total > results.length && (
+                    <div
+                        className="px-4 py-2 text-xs text-muted-foreground border-t border-gray-200 dark:border-gray-700">
+                        { t('search.truncated', { count: results.length, total }) }
+                    </div>
+                ) }
+            </div>
+        </div>
+    );
+};
+
+export default SearchPalette;
@@ -0,0 +1,289 @@
+import React, { useEffect, useState } from 'react';
+import { AlertCircle, CheckCircle2, FileText, Upload, X } from 'lucide-react';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import { Input } from './ui/input';
+import { api } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+// List of lines the server could not import, with line numbers and reasons
+const LineIssues = ({ title, lines, tone }) => {
+    const { t } = useLanguage();
+    if (!lines || lines.length === 0) return null;
+    const toneClasses = tone === 'error'
+        ? 'border-red-200 dark:border-red-800 bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200'
+        : 'border-yellow-200 dark:border-yellow-800 bg-yellow-50 dark:bg-yellow-900/20 text-yellow-800 dark:text-yellow-200';
+
+    return (
+        <div className={ `rounded-md border p-3 ${ toneClasses }` }>
+            <div className="text-xs font-medium mb-2">{ t('sessionImport.issuesTitle', { title, count: lines.length }) }</div>
+            <div className="max-h-32 overflow-y-auto space-y-1">
+                { lines.map(item => (
+                    <div key={ item.line } className="text-xs font-mono break-all">
+                        <span className="font-semibold">{ t('sessionImport.line', { line: item.line }) }</span>
+                        { item.reason && <span>{ t('sessionImport.reason', { reason: item.reason }) }</span> }
+                        <div className="opacity-75 truncate">{ item.preview }</div>
+                    </div>
+                )) }
+            </div>
+        </div>
+    );
+};
+
+/**
+ * Import a session JSONL file from outside ~/.claude/projects.
+ * Shows the validation report, lets the user pick the target project and reports skipped lines.
+ */
+const SessionImportDialog = ({ filePath, projects = [], onClose, onImported }) => {
+    const { t, formatDateTime } = useLanguage();
+    const [preview, setPreview] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [importing, setImporting] = useState(false);
+    const [error, setError] = useState(null);
+    const [errorLines, setErrorLines] = useState([]);
+    const [mode, setMode] = useState('existing'); // 'existing' | 'new'
+    const [targetProject, setTargetProject] = useState('');
+    const [projectPath, setProjectPath] = useState('');
+    const [result, setResult] = useState(null);
+
+    useEffect(() => {
+        if (!filePath) return;
+        let cancelled = false;
+
+        (async () => {
+            setLoading(true);
+            setError(null);
+            try {
+                const response = await api.previewSessionImport(filePath);
+                const data = await response.json();
+                if (cancelled) return;
+                if (!response.ok) {
+                    setErrorLines(data.invalidLines || []);
+                    throw new Error(data.error || t('sessionImport.readFailed'));
+                }
+                setPreview(data);
+                setProjectPath(data.cwd || '');
+                if (data.suggestedProject) {
+                    setMode('existing');
+                    setTargetProject(data.suggestedProject.name);
+                } else {
+                    setMode(data.cwd ? 'new' : 'existing');
+                    setTargetProject(projects[0]?.name || '');
+                }
+            } catch (err) {
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        })();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [filePath]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape' && !importing) {
+                e.preventDefault();
+                onClose();
+            }
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [importing, onClose]);
+
+    if (!filePath) return null;
+
+    const handleImport = async () => {
+        setImporting(true);
+        setError(null);
+        try {
+            const response = await api.importSession(filePath, mode === 'existing'
+                ? { targetProject }
+                : { projectPath: projectPath.trim() });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || t('sessionImport.importFailed'));
+            }
+            setResult(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const canImport = preview && !importing && (mode === 'existing' ? !!targetProject : !!projectPath.trim());
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+            <div
+                className="bg-white dark:bg-gray-900 rounded-lg shadow-xl w-full max-w-2xl max-h-[85vh] flex flex-col">
+                {/* Header */ }
+                <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+                    <div className="flex items-center gap-3 min-w-0">
+                        <Upload className="w-5 h-5 text-primary flex-shrink-0"/>
+                        <div className="min-w-0">
+                            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{ t('sessionImport.title') }</h2>
+                            <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{ filePath }</p>
+                        </div>
+                    </div>
+                    <button
+                        onClick={ onClose }
+                        disabled={ importing }
+                        className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded-md hover:bg-gray-100 dark:hover:bg-gray-800"
+                    >
+                        <X className="w-5 h-5"/>
+                    </button>
+                </div>
+
+                {/* Body */ }
+                <div className="flex-1 overflow-y-auto p-4 space-y-4">
+                    { loading ? (
+                        <div className="flex items-center justify-center py-8 text-sm text-muted-foreground gap-2">
+                            <div
+                                className="w-4 h-4 animate-spin rounded-full border-2 border-muted-foreground border-t-transparent"/>
+                            { t('sessionImport.validating') }
+                        </div>
+                    ) : result ? (
+                        <div className="space-y-3">
+                            <div className="flex items-center gap-2 text-green-700 dark:text-green-400">
+                                <CheckCircle2 className="w-5 h-5"/>
+                                <span className="text-sm font-medium">
+                                    { t('sessionImport.imported', { count: result.importedLines, total: result.totalLines, path: result.projectPath }) }
+                                </span>
+                            </div>
+                            { result.renamed && (
+                                <p className="text-xs text-gray-600 dark:text-gray-400">
+                                    { t('sessionImport.renamed') }
+                                </p>
+                            ) }
+                            <LineIssues title={ t('sessionImport.invalidSkipped') } lines={ result.invalidLines } tone="error"/>
+                            <LineIssues title={ t('sessionImport.repairedImported') } lines={ result.repairedLines } tone="warning"/>
+                        </div>
+                    ) : preview ? (
+                        <>
+                            {/* Validation summary */ }
+                            <div className="grid grid-cols-3 gap-2 text-center">
+                                <div className="rounded-md bg-gray-50 dark:bg-gray-800 p-2">
+                                    <div className="text-lg font-semibold text-gray-900 dark:text-white">{ preview.totalLines }</div>
+                                    <div className="text-xs text-muted-foreground">{ t('sessionImport.totalLines') }</div>
+                                </div>
+                                <div className="rounded-md bg-gray-50 dark:bg-gray-800 p-2">
+                                    <div className="text-lg font-semibold text-green-600 dark:text-green-400">{ preview.validLines }</div>
+                                    <div className="text-xs text-muted-foreground">{ t('sessionImport.validLines') }</div>
+                                </div>
+                                <div className="rounded-md bg-gray-50 dark:bg-gray-800 p-2">
+                                    <div
+                                        className={ `text-lg font-semibold ${ preview.invalidLines.length > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white' }` }>
+                                        { preview.invalidLines.length }
+                                    </div>
+                                    <div className="text-xs text-muted-foreground">{ t('sessionImport.invalidLines') }</div>
+                                </div>
+                            </div>
+
+                            {/* Sessions in the file */ }
+                            <div className="space-y-1">
+                                <div className="text-xs font-medium text-gray-700 dark:text-gray-300">{ t('sessionImport.sessions') }</div>
+                                { preview.sessions.map(session => (
+                                    <div key={ session.id }
+                                         className="flex items-center gap-2 p-2 rounded-md border border-gray-200 dark:border-gray-700">
+                                        <FileText className="w-4 h-4 text-muted-foreground flex-shrink-0"/>
+                                        <div className="min-w-0 flex-1">
+                                            <div className="text-sm text-gray-900 dark:text-white truncate">{ session.summary }</div>
+                                            <div className="text-xs text-muted-foreground">
+                                                { session.lastActivity ? formatDateTime(session.lastActivity) : session.id }
+                                            </div>
+                                        </div>
+                                        <Badge variant="secondary" className="text-xs">{ session.messageCount }</Badge>
+                                    </div>
+                                )) }
+                            </div>
+
+                            <LineIssues title={ t('sessionImport.invalidWillSkip') } lines={ preview.invalidLines } tone="error"/>
+                            <LineIssues title={ t('sessionImport.needsRepair') } lines={ preview.repairedLines } tone="warning"/>
+
+                            {/* Target project */ }
+                            <div className="space-y-2">
+                                <div className="text-xs font-medium text-gray-700 dark:text-gray-300">{ t('sessionImport.target') }</div>
+                                <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-white">
+                                    <input
+                                        type="radio"
+                                        checked={ mode === 'existing' }
+                                        onChange={ () => setMode('existing') }
+                                        disabled={ projects.length === 0 }
+                                    />
+                                    { t('sessionImport.existingProject') }
+                                </label>
+                                { mode === 'existing' && (
+                                    <select
+                                        value={ targetProject }
+                                        onChange={ (e) => setTargetProject(e.target.value) }
+                                        className="w-full text-sm border border-gray-200 dark:border-gray-700 rounded-md px-2 py-1.5 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                                    >
+                                        { projects.map(project => (
+                                            <option key={ project.name } value={ project.name }>
+                                                { project.displayName }{ project.fullPath ? ` — ${ project.fullPath }` : '' }
+                                            </option>
+                                        )) }
+                                    </select>
+                                ) }
+                                <label className="flex items-center gap-2 text-sm text-gray-900 dark:text-white">
+                                    <input
+                                        type="radio"
+                                        checked={ mode === 'new' }
+                                        onChange={ () => setMode('new') }
+                                    />
+                                    { t('sessionImport.byPath') }
+                                </label>
+                                { mode === 'new' && (
+                                    <Input
+                                        value={ projectPath }
+                                        onChange={ (e) => setProjectPath(e.target.value) }
+                                        placeholder="/path/to/project"
+                                        className="text-sm"
+                                    />
+                                ) }
+                            </div>
+                        </>
+                    ) : null }
+
+                    { error && (
+                        <div className="space-y-2">
+                            <div className="flex items-start gap-2 text-sm text-red-600 dark:text-red-400">
+                                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0"/>
+                                <span>{ error }</span>
+                            </div>
+                            { !preview && <LineIssues title={ t('sessionImport.unparsable') } lines={ errorLines } tone="error"/> }
+                        </div>
+                    ) }
+                </div>
+
+                {/* Footer */ }
+                <div className="flex justify-end gap-2 p-4 border-t border-gray-200 dark:border-gray-700">
+                    { result ? (
+                        <>
+                            <Button variant="outline" size="sm" onClick={ onClose }>{ t('common.close') }</Button>
+                            <Button size="sm" onClick={ () => {
+                                onImported(result);
+                                onClose();
+                            } }>
+                                { t('sessionImport.open') }
+                            </Button>
+                        </>
+                    ) : (
+                        <>
+                            <Button variant="outline" size="sm" onClick={ onClose } disabled={ importing }>{ t('common.cancel') }</Button>
+                            <Button size="sm" onClick={ handleImport } disabled={ !canImport }>
+                                { importing ? t('sessionImport.importing') : t('sessionImport.import') }
+                            </Button>
+                        </>
+                    ) }
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SessionImportDialog;
@@ -0,0 +1,90 @@
+import React from 'react';
+import { Gauge } from 'lucide-react';
+import { cn } from '../lib/utils';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens'];
+
+// Merge the restored history totals with per-message usage streamed since the session was opened.
+// Live entries are keyed by message id so repeated content blocks of one message count once.
+export function combineSessionUsage(history, liveMessages) {
+    const combined = {
+        messages: history?.messages || 0,
+        cost: history?.cost || 0,
+        pricedWithFallback: !!history?.pricedWithFallback,
+        contextTokens: history?.contextTokens || 0,
+        contextWindow: history?.contextWindow || 0
+    };
+    for (const field of TOKEN_FIELDS) {
+        combined[field] = history?.[field] || 0;
+    }
+
+    for (const item of liveMessages) {
+        combined.messages += 1;
+        combined.cost += item.cost;
+        combined.pricedWithFallback = combined.pricedWithFallback || item.pricedWithFallback;
+        combined.contextTokens = item.contextTokens;
+        combined.contextWindow = item.contextWindow;
+        for (const field of TOKEN_FIELDS) {
+            combined[field] += item[field];
+        }
+    }
+    return combined;
+}
+
+function SessionUsageMeter({ usage }) {
+    const { t, formatNumber, formatCurrency } = useLanguage();
+
+    if (!usage?.messages) return null;
+
+    const compact = (value) => formatNumber(value, { notation: 'compact', maximumFractionDigits: 1 });
+    const contextPercent = usage.contextWindow > 0
+        ? Math.min(100, (usage.contextTokens / usage.contextWindow) * 100)
+        : 0;
+    const contextColor = contextPercent >= 90
+        ? 'bg-red-500'
+        : contextPercent >= 70 ? 'bg-yellow-500' : 'bg-blue-500';
+
+    return (
+        <div className="max-w-4xl mx-auto flex flex-wrap items-center gap-x-4 gap-y-1 px-3 py-1.5 text-xs text-gray-600 dark:text-gray-400">
+            <span className="flex items-center gap-1 font-medium text-gray-700 dark:text-gray-300">
+                <Gauge className="w-3.5 h-3.5" />
+                {t('chat.usageMeter.title')}
+            </span>
+            <span title={t('chat.usageMeter.inputHint')}>
+                {t('chat.usageMeter.input', { value: compact(usage.inputTokens) })}
+            </span>
+            <span>{t('chat.usageMeter.output', { value: compact(usage.outputTokens) })}</span>
+            <span title={t('chat.usageMeter.cacheHint')}>
+                {t('chat.usageMeter.cache', {
+                    read: compact(usage.cacheReadTokens),
+                    write: compact(usage.cacheCreationTokens)
+                })}
+            </span>
+            <span
+                className="font-medium text-gray-700 dark:text-gray-300"
+                title={usage.pricedWithFallback ? t('chat.usageMeter.fallbackHint') : undefined}
+            >
+                {usage.pricedWithFallback && '≈ '}{formatCurrency(usage.cost, usage.cost < 1 ? 4 : 2)}
+            </span>
+            <span
+                className="flex items-center gap-1.5"
+                title={t('chat.usageMeter.contextHint', {
+                    used: formatNumber(usage.contextTokens),
+                    total: formatNumber(usage.contextWindow)
+                })}
+            >
+                {t('chat.usageMeter.context')}
+                <span className="w-16 h-1.5 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                    <span
+                        className={cn('block h-full rounded-full transition-all', contextColor)}
+                        style={{ width: `${contextPercent}%` }}
+                    />
+                </span>
+                {formatNumber(contextPercent / 100, { style: 'percent', maximumFractionDigits: 0 })}
+            </span>
+        </div>
+    );
+}
+
+export default SessionUsageMeter;
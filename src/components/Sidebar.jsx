@@ -12,11 +12,13 @@ import {
     ChevronDown,
     ChevronRight,
     Clock,
+    Download,
     Edit2,
     Edit3,
     Folder,
     FolderOpen,
     FolderPlus,
+    GitBranch,
     MoreHorizontal,
     MessageSquare,
     Plus,
@@ -25,20 +27,23 @@ import {
     Settings,
     Star,
     Trash2,
+    Upload,
     X
 } from 'lucide-react';
 import { cn } from '../lib/utils';
 import { api } from '../utils/api';
 import MemoryEditor from './MemoryEditor';
+import { useLanguage } from '../contexts/LanguageContext';
+import { formatDate, translate } from '../i18n';
 
 // Move formatTimeAgo outside component to avoid recreation on every render
-const formatTimeAgo = (dateString, currentTime) => {
+const formatTimeAgo = (dateString, currentTime, language) => {
     const date = new Date(dateString);
     const now = currentTime;
 
     // Check if date is valid
     if (isNaN(date.getTime())) {
-        return '未知';
+        return translate(language, 'time.unknown');
     }
 
     const diffInMs = now - date;
@@ -47,16 +52,20 @@ const formatTimeAgo = (dateString, currentTime) => {
     const diffInHours = Math.floor(diffInMs / (1000 * 60 * 60));
     const diffInDays = Math.floor(diffInMs / (1000 * 60 * 60 * 24));
 
-    if (diffInSeconds < 60) return '刚刚';
-    if (diffInMinutes === 1) return '1分钟前';
-    if (diffInMinutes < 60) return `${ diffInMinutes }分钟前`;
-    if (diffInHours === 1) return '1小时前';
-    if (diffInHours < 24) return `${ diffInHours }小时前`;
-    if (diffInDays === 1) return '1天前';
-    if (diffInDays < 7) return `${ diffInDays }天前`;
-    return date.toLocaleDateString('zh-CN');
+    if (diffInSeconds < 60) return translate(language, 'time.justNow');
+    if (diffInMinutes < 60) return translate(language, 'time.minutesAgo', { count: diffInMinutes });
+    if (diffInHours < 24) return translate(language, 'time.hoursAgo', { count: diffInHours });
+    if (diffInDays < 7) return translate(language, 'time.daysAgo', { count: diffInDays });
+    return formatDate(language, date);
 };
 
+// Formats offered in the session "more" menu, served by the session export endpoint
+const SESSION_EXPORT_FORMATS = [
+    { format: 'markdown', labelKey: 'sidebar.export.markdown', extension: 'md', filterName: 'Markdown' },
+    { format: 'html', labelKey: 'sidebar.export.html', extension: 'html', filterName: 'HTML' },
+    { format: 'json', labelKey: 'sidebar.export.json', extension: 'json', filterName: 'JSON' }
+];
+
 const Sidebar = memo(function Sidebar({
                      projects,
                      selectedProject,
@@ -69,11 +78,14 @@ const Sidebar = memo(function Sidebar({
                      isLoading,
                      onRefresh,
                      onShowSettings,
+                     onShowSearch,
+                     onImportSession,
                      updateAvailable,
                      latestVersion,
                      onShowVersionModal
                  }) {
     const electron = useElectron();
+    const { t, language } = useLanguage();
     const [expandedProjects, setExpandedProjects] = useState(new Set());
     const [editingProject, setEditingProject] = useState(null);
     const [showNewProject, setShowNewProject] = useState(false);
@@ -90,6 +102,8 @@ const Sidebar = memo(function Sidebar({
     const [editingSessionName, setEditingSessionName] = useState('');
     const [searchFilter, setSearchFilter] = useState('');
     const [expandedActions, setExpandedActions] = useState(new Set()); // Track which projects have expanded actions
+    const [sessionMenuOpen, setSessionMenuOpen] = useState(null); // Session ID whose "more" menu is open
+    const [exportingSession, setExportingSession] = useState(null);
     
     // Memory editor state
     const [showMemoryEditor, setShowMemoryEditor] = useState(false);
@@ -245,6 +259,39 @@ const Sidebar = memo(function Sidebar({
         return [...initialSessions, ...additional];
     };
 
+    // Sessions ordered so forks follow their parent, with nesting depth for indentation.
+    // Forks whose parent isn't loaded yet are shown at the top level.
+    const getSessionTree = (project) => {
+        const sessions = getAllSessions(project);
+        const loadedIds = new Set(sessions.map(session => session.id));
+        const children = new Map();
+        const roots = [];
+
+        sessions.forEach(session => {
+            const parentId = session.forkedFrom?.sessionId;
+            if (parentId && parentId !== session.id && loadedIds.has(parentId)) {
+                if (!children.has(parentId)) children.set(parentId, []);
+                children.get(parentId).push(session);
+            } else {
+                roots.push(session);
+            }
+        });
+
+        const ordered = [];
+        const visited = new Set();
+        const visit = (session, depth) => {
+            if (visited.has(session.id)) return;
+            visited.add(session.id);
+            ordered.push({ session, depth });
+            (children.get(session.id) || []).forEach(child => visit(child, depth + 1));
+        };
+        roots.forEach(session => visit(session, 0));
+        // Guard against malformed fork cycles
+        sessions.forEach(session => visit(session, 0));
+
+        return ordered;
+    };
+
     // Helper function to get the last activity date for a project
     const getProjectLastActivity = (project) => {
         const allSessions = getAllSessions(project);
@@ -337,7 +384,7 @@ const Sidebar = memo(function Sidebar({
                 id: 'star',
                 icon: Star,
                 onClick: onToggleStar,
-                title: isStarred ? "从收藏夹中移除" : "添加到收藏夹",
+                title: isStarred ? t('sidebar.actions.unstar') : t('sidebar.actions.star'),
                 className: isStarred 
                     ? "text-yellow-600 dark:text-yellow-400 hover:bg-yellow-50 dark:hover:bg-yellow-900/30" 
                     : "text-muted-foreground hover:text-yellow-500 hover:bg-accent/60",
@@ -348,7 +395,7 @@ const Sidebar = memo(function Sidebar({
                 id: 'edit',
                 icon: Edit3,
                 onClick: onEdit,
-                title: "重命名项目",
+                title: t('sidebar.actions.rename'),
                 className: "text-muted-foreground hover:text-foreground hover:bg-accent/60",
                 priority: 2
             },
@@ -356,7 +403,7 @@ const Sidebar = memo(function Sidebar({
                 id: 'memory',
                 icon: Brain,
                 onClick: onMemoryEdit,
-                title: "编辑项目 Memory",
+                title: t('sidebar.actions.memory'),
                 className: "text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30",
                 priority: 3
             },
@@ -365,8 +412,8 @@ const Sidebar = memo(function Sidebar({
                 icon: Trash2,
                 onClick: onDelete,
                 title: getAllSessions(project).length === 0 
-                    ? "删除空项目" 
-                    : `完全删除项目 (${getAllSessions(project).length} 个会话)`,
+                    ? t('sidebar.actions.deleteEmpty')
+                    : t('sidebar.actions.deleteWithSessions', { count: getAllSessions(project).length }),
                 className: "text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30",
                 priority: 4
             }
@@ -452,7 +499,7 @@ const Sidebar = memo(function Sidebar({
                                 e.stopPropagation();
                                 onToggleDropdown();
                             }}
-                            title="更多操作"
+                            title={t('common.moreActions')}
                         >
                             <MoreHorizontal className="w-3.5 h-3.5"/>
                         </div>
@@ -485,8 +532,65 @@ const Sidebar = memo(function Sidebar({
         );
     };
 
+    // Close the session "more" menu when clicking anywhere else
+    useEffect(() => {
+        if (!sessionMenuOpen) return;
+        const handleClickOutside = (event) => {
+            if (!event.target.closest('[data-session-menu]')) {
+                setSessionMenuOpen(null);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [sessionMenuOpen]);
+
+    const exportSession = async (projectName, session, { format, extension, filterName }) => {
+        setSessionMenuOpen(null);
+        setExportingSession(session.id);
+        try {
+            const response = await api.exportSession(projectName, session.id, format);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || t('sidebar.export.failed'));
+            }
+            const content = await response.text();
+            const baseName = (session.summary || session.id)
+                .replace(/[\\/:*?"<>|\n\r\t]+/g, ' ')
+                .trim()
+                .slice(0, 60) || session.id;
+            const fileName = `${ baseName }.${ extension }`;
+
+            if (electron.isElectronApp()) {
+                const result = await electron.showSaveDialog({
+                    title: t('sidebar.export.dialogTitle'),
+                    defaultPath: fileName,
+                    filters: [{ name: filterName, extensions: [extension] }]
+                });
+                if (!result || result.canceled || !result.filePath) return;
+
+                const writeResult = await electron.writeFile(result.filePath, content);
+                if (!writeResult?.success) {
+                    throw new Error(writeResult?.error || t('sidebar.export.writeFailed'));
+                }
+            } else {
+                // Browser fallback: trigger a download
+                const url = URL.createObjectURL(new Blob([content], { type: response.headers.get('Content-Type') || 'text/plain' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fileName;
+                link.click();
+                URL.revokeObjectURL(url);
+            }
+        } catch (error) {
+            console.error('Error exporting session:', error);
+            alert(t('sidebar.export.error', { message: error.message }));
+        } finally {
+            setExportingSession(null);
+        }
+    };
+
     const deleteSession = async (projectName, sessionId) => {
-        if (!confirm('确定要删除这个会话吗？此操作无法撤销。')) {
+        if (!confirm(t('sidebar.confirmDeleteSession'))) {
             return;
         }
 
@@ -500,19 +604,19 @@ const Sidebar = memo(function Sidebar({
                 }
             } else {
                 console.error('Failed to delete session');
-                alert('删除会话失败，请重试。');
+                alert(t('sidebar.deleteSessionFailed'));
             }
         } catch (error) {
             console.error('Error deleting session:', error);
-            alert('删除会话时发生错误，请重试。');
+            alert(t('sidebar.deleteSessionError'));
         }
     };
 
     const deleteProject = async (projectName, sessionCount = 0) => {
         const hasData = sessionCount > 0;
         const confirmMessage = hasData 
-            ? `确定要完全删除项目 "${projectName}" 吗？\n\n⚠️ 这将从 Claude 空间中永久删除：\n• ${sessionCount} 个会话\n• 所有聊天记录\n• 项目配置\n\n此操作无法撤销！`
-            : `确定要删除这个空项目吗？此操作无法撤销。`;
+            ? t('sidebar.confirmDeleteProject', { name: projectName, count: sessionCount })
+            : t('sidebar.confirmDeleteEmptyProject');
             
         if (!confirm(confirmMessage)) {
             return;
@@ -530,17 +634,17 @@ const Sidebar = memo(function Sidebar({
             } else {
                 const error = await response.json();
                 console.error('Failed to delete project');
-                alert(error.error || '删除项目失败，请重试。');
+                alert(error.error || t('sidebar.deleteProjectFailed'));
             }
         } catch (error) {
             console.error('Error deleting project:', error);
-            alert('删除项目时发生错误，请重试。');
+            alert(t('sidebar.deleteProjectError'));
         }
     };
 
     const createNewProject = async () => {
         if (!newProjectPath.trim()) {
-            alert('请输入项目路径');
+            alert(t('sidebar.projectPathRequired'));
             return;
         }
 
@@ -562,11 +666,11 @@ const Sidebar = memo(function Sidebar({
                 }
             } else {
                 const error = await response.json();
-                alert(error.error || '创建项目失败，请重试。');
+                alert(error.error || t('sidebar.createProjectFailed'));
             }
         } catch (error) {
             console.error('Error creating project:', error);
-            alert('创建项目时发生错误，请重试。');
+            alert(t('sidebar.createProjectError'));
         } finally {
             setCreatingProject(false);
         }
@@ -634,14 +738,32 @@ const Sidebar = memo(function Sidebar({
             <div className="flex items-center justify-between">
                 <div className="flex items-center gap-3" style={{ WebkitAppRegion: 'drag' }}>
                     <div className="w-12 h-12 rounded-lg overflow-hidden shadow-sm">
-                        <img src="logo.svg" alt="AI 编程助手" className="w-full h-full object-cover"/>
+                        <img src="logo.svg" alt={ t('sidebar.logoAlt') } className="w-full h-full object-cover"/>
                     </div>
                     <div>
                         <h1 className="text-lg font-bold text-foreground">Claude Code UI</h1>
-                        <p className="text-sm text-muted-foreground">AI编程助手</p>
+                        <p className="text-sm text-muted-foreground">{ t('sidebar.subtitle') }</p>
                     </div>
                 </div>
                 <div className="flex gap-2" style={{ WebkitAppRegion: 'no-drag' }}>
+                    <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-9 w-9 px-0 hover:bg-accent transition-colors duration-200"
+                        onClick={ onShowSearch }
+                        title={ t('sidebar.searchAll', { shortcut: `${ electron.getShortcutKey() }+Shift+F` }) }
+                    >
+                        <Search className="w-4 h-4"/>
+                    </Button>
+                    <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-9 w-9 px-0 hover:bg-accent transition-colors duration-200"
+                        onClick={ onImportSession }
+                        title={ t('sidebar.importSession') }
+                    >
+                        <Upload className="w-4 h-4"/>
+                    </Button>
                     <Button
                         variant="ghost"
                         size="sm"
@@ -655,7 +777,7 @@ const Sidebar = memo(function Sidebar({
                             }
                         } }
                         disabled={ isRefreshing }
-                        title={ `刷新项目和会话 (${ electron.getShortcutKey() }+R)` }
+                        title={ t('sidebar.refresh', { shortcut: `${ electron.getShortcutKey() }+R` }) }
                     >
                         <RefreshCw
                             className={ `w-4 h-4 ${ isRefreshing ? 'animate-spin' : '' } group-hover:rotate-180 transition-transform duration-300` }/>
@@ -665,7 +787,7 @@ const Sidebar = memo(function Sidebar({
                         size="sm"
                         className="h-9 w-9 px-0 bg-primary hover:bg-primary/90 transition-all duration-200 shadow-sm hover:shadow-md"
                         onClick={ () => setShowNewProject(true) }
-                        title={ `创建新项目 (${ electron.getShortcutKey() }+N)` }
+                        title={ t('sidebar.createProject', { shortcut: `${ electron.getShortcutKey() }+N` }) }
                     >
                         <FolderPlus className="w-4 h-4"/>
                     </Button>
@@ -681,12 +803,12 @@ const Sidebar = memo(function Sidebar({
             <div className="space-y-2">
                 <div className="flex items-center gap-2 text-sm font-medium text-foreground">
                     <FolderPlus className="w-4 h-4"/>
-                    创建新项目
+                    { t('sidebar.newProjectTitle') }
                 </div>
                 <Input
                     value={ newProjectPath }
                     onChange={ (e) => setNewProjectPath(e.target.value) }
-                    placeholder="/path/to/project 或 relative/path"
+                    placeholder={ t('sidebar.newProjectPlaceholder') }
                     className="text-sm focus:ring-2 focus:ring-primary/20"
                     autoFocus
                     onKeyDown={ (e) => {
@@ -701,7 +823,7 @@ const Sidebar = memo(function Sidebar({
                         disabled={ !newProjectPath.trim() || creatingProject }
                         className="flex-1 h-8 text-xs hover:bg-primary/90 transition-colors"
                     >
-                        { creatingProject ? '正在创建...' : '创建项目' }
+                        { creatingProject ? t('sidebar.creating') : t('sidebar.createButton') }
                     </Button>
                     <Button
                         size="sm"
@@ -710,7 +832,7 @@ const Sidebar = memo(function Sidebar({
                         disabled={ creatingProject }
                         className="h-8 text-xs hover:bg-accent transition-colors"
                     >
-                        取消
+                        { t('common.cancel') }
                     </Button>
                 </div>
             </div>
@@ -725,7 +847,7 @@ const Sidebar = memo(function Sidebar({
                     className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-muted-foreground"/>
                 <Input
                     type="text"
-                    placeholder="搜索项目..."
+                    placeholder={ t('sidebar.searchProjects') }
                     value={ searchFilter }
                     onChange={ (e) => setSearchFilter(e.target.value) }
                     className="pl-9 h-9 text-sm bg-muted/50 border-0 focus:bg-background focus:ring-1 focus:ring-primary/20"
@@ -751,27 +873,27 @@ const Sidebar = memo(function Sidebar({
                         <div
                             className="w-6 h-6 animate-spin rounded-full border-2 border-muted-foreground border-t-transparent"/>
                     </div>
-                    <h3 className="text-base font-medium text-foreground mb-2 md:mb-1">正在加载项目...</h3>
+                    <h3 className="text-base font-medium text-foreground mb-2 md:mb-1">{ t('sidebar.loadingProjects') }</h3>
                     <p className="text-sm text-muted-foreground">
-                        正在获取您的 Claude 项目和会话
+                        { t('sidebar.loadingProjectsHint') }
                     </p>
                 </div>) : projects.length === 0 ? (<div className="text-center py-12 md:py-8 px-4">
                     <div
                         className="w-12 h-12 bg-muted rounded-lg flex items-center justify-center mx-auto mb-4 md:mb-3">
                         <Folder className="w-6 h-6 text-muted-foreground"/>
                     </div>
-                    <h3 className="text-base font-medium text-foreground mb-2 md:mb-1">未找到项目</h3>
+                    <h3 className="text-base font-medium text-foreground mb-2 md:mb-1">{ t('sidebar.noProjects') }</h3>
                     <p className="text-sm text-muted-foreground">
-                        在项目目录中运行 Claude CLI 以开始使用
+                        { t('sidebar.noProjectsHint') }
                     </p>
                 </div>) : filteredProjects.length === 0 ? (<div className="text-center py-12 md:py-8 px-4">
                     <div
                         className="w-12 h-12 bg-muted rounded-lg flex items-center justify-center mx-auto mb-4 md:mb-3">
                         <Search className="w-6 h-6 text-muted-foreground"/>
                     </div>
-                    <h3 className="text-base font-medium text-foreground mb-2 md:mb-1">没有匹配的项目</h3>
+                    <h3 className="text-base font-medium text-foreground mb-2 md:mb-1">{ t('sidebar.noMatches') }</h3>
                     <p className="text-sm text-muted-foreground">
-                        请尝试调整搜索关键词
+                        { t('sidebar.noMatchesHint') }
                     </p>
                 </div>) : (filteredProjects.map((project, index) => {
                     const isExpanded = expandedProjects.has(project.name);
@@ -815,7 +937,7 @@ const Sidebar = memo(function Sidebar({
                                                 value={ editingName }
                                                 onChange={ (e) => setEditingName(e.target.value) }
                                                 className="w-full px-2 py-1 text-sm border border-border rounded bg-background text-foreground focus:ring-2 focus:ring-primary/20"
-                                                placeholder="项目名称"
+                                                placeholder={ t('sidebar.projectNamePlaceholder') }
                                                 autoFocus
                                                 onKeyDown={ (e) => {
                                                     if (e.key === 'Enter') saveProjectName(project.name);
@@ -836,11 +958,13 @@ const Sidebar = memo(function Sidebar({
                                                 <div className="flex items-center gap-1">
                                                     <div className="w-1.5 h-1.5 rounded-full bg-muted-foreground/40"></div>
                                                     <span className="font-medium">
-                                                        { (() => {
-                                                            const sessionCount = getAllSessions(project).length;
-                                                            const hasMore = project.sessionMeta?.hasMore !== false;
-                                                            return hasMore && sessionCount >= 5 ? `${ sessionCount }+` : sessionCount;
-                                                        })() } 会话
+                                                        { t('sidebar.sessionCount', {
+                                                            count: (() => {
+                                                                const sessionCount = getAllSessions(project).length;
+                                                                const hasMore = project.sessionMeta?.hasMore !== false;
+                                                                return hasMore && sessionCount >= 5 ? `${ sessionCount }+` : sessionCount;
+                                                            })()
+                                                        }) }
                                                     </span>
                                                 </div>
                                                 { project.fullPath !== project.displayName && (
@@ -900,14 +1024,15 @@ const Sidebar = memo(function Sidebar({
                                         </div>
                                     </div>))) : getAllSessions(project).length === 0 && !loadingSessions[project.name] ? (
                                 <div className="py-2 px-3 text-left">
-                                    <p className="text-xs text-muted-foreground">暂无会话</p>
-                                </div>) : (getAllSessions(project).map((session) => {
+                                    <p className="text-xs text-muted-foreground">{ t('sidebar.noSessions') }</p>
+                                </div>) : (getSessionTree(project).map(({ session, depth }) => {
                                 // Calculate if session is active (within last 10 minutes)
                                 const sessionDate = new Date(session.lastActivity);
                                 const diffInMinutes = Math.floor((currentTime - sessionDate) / (1000 * 60));
                                 const isActive = diffInMinutes < 10;
 
-                                return (<div key={ session.id } className="group relative">
+                                return (<div key={ session.id } className="group relative"
+                                             style={ depth > 0 ? { marginLeft: `${ Math.min(depth, 3) * 12 }px` } : undefined }>
                                     {/* Mobile Session Item removed */ }
 
                                     {/* Desktop Session Item */ }
@@ -924,12 +1049,17 @@ const Sidebar = memo(function Sidebar({
                                                     <div className="w-2 h-2 bg-green-500 rounded-full animate-pulse"/>
                                                 </div>) }
                                                 <div className="flex items-start gap-2 min-w-0 w-full">
-                                                    <MessageSquare
-                                                        className="w-3 h-3 text-muted-foreground mt-0.5 flex-shrink-0"/>
+                                                    { session.forkedFrom ? (
+                                                        <GitBranch
+                                                            className="w-3 h-3 text-muted-foreground mt-0.5 flex-shrink-0"/>
+                                                    ) : (
+                                                        <MessageSquare
+                                                            className="w-3 h-3 text-muted-foreground mt-0.5 flex-shrink-0"/>
+                                                    ) }
                                                     <div className="min-w-0 flex-1">
                                                         <div
                                                             className="text-xs font-medium truncate text-foreground mb-1">
-                                                            { session.summary || '新会话' }
+                                                            { session.summary || t('sidebar.untitledSession') }
                                                         </div>
                                                         <div className="flex items-center justify-between">
                                                             <div className="flex items-center gap-1">
@@ -937,7 +1067,7 @@ const Sidebar = memo(function Sidebar({
                                                                     className="w-2.5 h-2.5 text-muted-foreground"/>
                                                                 <span
                                                                     className="text-xs text-muted-foreground">
-                                        { formatTimeAgo(session.lastActivity, currentTime) }
+                                        { formatTimeAgo(session.lastActivity, currentTime, language) }
                                       </span>
                                                             </div>
                                                             { session.messageCount > 0 && (
@@ -951,7 +1081,7 @@ const Sidebar = memo(function Sidebar({
                                             </Button>
                                             {/* Desktop hover buttons */ }
                                             <div
-                                                className="absolute right-2 top-1/2 transform -translate-y-1/2 flex items-center gap-1 opacity-0 group-hover/session:opacity-100 transition-all duration-200">
+                                                className={ cn("absolute right-2 top-1/2 transform -translate-y-1/2 flex items-center gap-1 opacity-0 group-hover/session:opacity-100 transition-all duration-200", (sessionMenuOpen === session.id || exportingSession === session.id) && "opacity-100") }>
                                                 { editingSession === session.id ? (<>
                                                     <input
                                                         type="text"
@@ -976,7 +1106,7 @@ const Sidebar = memo(function Sidebar({
                                                             e.stopPropagation();
                                                             updateSessionSummary(project.name, session.id, editingSessionName);
                                                         } }
-                                                        title="保存"
+                                                        title={ t('common.save') }
                                                     >
                                                         <Check
                                                             className="w-3 h-3 text-green-600 dark:text-green-400"/>
@@ -988,7 +1118,7 @@ const Sidebar = memo(function Sidebar({
                                                             setEditingSession(null);
                                                             setEditingSessionName('');
                                                         } }
-                                                        title="取消"
+                                                        title={ t('common.cancel') }
                                                     >
                                                         <X className="w-3 h-3 text-gray-600 dark:text-gray-400"/>
                                                     </button>
@@ -1015,13 +1145,51 @@ const Sidebar = memo(function Sidebar({
                                                         onClick={ (e) => {
                                                             e.stopPropagation();
                                                             setEditingSession(session.id);
-                                                            setEditingSessionName(session.summary || '新会话');
+                                                            setEditingSessionName(session.summary || t('sidebar.untitledSession'));
                                                         } }
-                                                        title="手动编辑会话名称"
+                                                        title={ t('sidebar.renameSession') }
                                                     >
                                                         <Edit2
                                                             className="w-3 h-3 text-gray-600 dark:text-gray-400"/>
                                                     </button>
+                                                    {/* More actions (export) */ }
+                                                    <div className="relative" data-session-menu>
+                                                        <button
+                                                            className="w-6 h-6 bg-gray-50 hover:bg-gray-100 dark:bg-gray-900/20 dark:hover:bg-gray-900/40 rounded flex items-center justify-center"
+                                                            onClick={ (e) => {
+                                                                e.stopPropagation();
+                                                                setSessionMenuOpen(sessionMenuOpen === session.id ? null : session.id);
+                                                            } }
+                                                            disabled={ exportingSession === session.id }
+                                                            title={ t('common.moreActions') }
+                                                        >
+                                                            { exportingSession === session.id ? (
+                                                                <div
+                                                                    className="w-3 h-3 animate-spin rounded-full border border-gray-600 dark:border-gray-400 border-t-transparent"/>
+                                                            ) : (
+                                                                <MoreHorizontal
+                                                                    className="w-3 h-3 text-gray-600 dark:text-gray-400"/>
+                                                            ) }
+                                                        </button>
+                                                        { sessionMenuOpen === session.id && (
+                                                            <div
+                                                                className="absolute top-full right-0 mt-1 py-1 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-600 rounded-md shadow-lg z-50 min-w-36"
+                                                                onClick={ (e) => e.stopPropagation() }
+                                                            >
+                                                                { SESSION_EXPORT_FORMATS.map(option => (
+                                                                    <div
+                                                                        key={ option.format }
+                                                                        className="flex items-center gap-2 px-3 py-1.5 text-xs cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors whitespace-nowrap"
+                                                                        onClick={ () => exportSession(project.name, session, option) }
+                                                                    >
+                                                                        <Download
+                                                                            className="w-3.5 h-3.5 text-muted-foreground"/>
+                                                                        <span className="text-foreground">{ t(option.labelKey) }</span>
+                                                                    </div>
+                                                                )) }
+                                                            </div>
+                                                        ) }
+                                                    </div>
                                                     {/* Delete button */ }
                                                     <button
                                                         className="w-6 h-6 bg-red-50 hover:bg-red-100 dark:bg-red-900/20 dark:hover:bg-red-900/40 rounded flex items-center justify-center"
@@ -1029,7 +1197,7 @@ const Sidebar = memo(function Sidebar({
                                                             e.stopPropagation();
                                                             deleteSession(project.name, session.id);
                                                         } }
-                                                        title="永久删除此会话"
+                                                        title={ t('sidebar.deleteSession') }
                                                     >
                                                         <Trash2
                                                             className="w-3 h-3 text-red-600 dark:text-red-400"/>
@@ -1053,10 +1221,10 @@ const Sidebar = memo(function Sidebar({
                                     { loadingSessions[project.name] ? (<>
                                         <div
                                             className="w-3 h-3 animate-spin rounded-full border border-muted-foreground border-t-transparent"/>
-                                        正在加载...
+                                        { t('common.loading') }
                                     </>) : (<>
                                         <ChevronDown className="w-3 h-3"/>
-                                        显示更多会话
+                                        { t('sidebar.showMore') }
                                     </>) }
                                 </Button>) }
 
@@ -1071,7 +1239,7 @@ const Sidebar = memo(function Sidebar({
                                     style={{ minWidth: 'fit-content' }}
                                 >
                                     <Plus className="w-3 h-3 flex-shrink-0"/>
-                                    <span>新建会话</span>
+                                    <span>{ t('sidebar.newSession') }</span>
                                 </Button>
                                 
                                 {/* Action buttons - flexible area */}
@@ -1124,9 +1292,9 @@ const Sidebar = memo(function Sidebar({
                             className="absolute -top-1 -right-1 w-2 h-2 bg-primary rounded-full animate-pulse"/>
                     </div>
                     <div className="min-w-0 flex-1">
-                        <div className="text-sm font-medium text-primary">有可用更新</div>
+                        <div className="text-sm font-medium text-primary">{ t('sidebar.updateAvailable') }</div>
                         <div
-                            className="text-xs text-primary">版本 { latestVersion } 已准备就绪
+                            className="text-xs text-primary">{ t('sidebar.versionReady', { version: latestVersion }) }
                         </div>
                     </div>
                 </Button>
@@ -1144,7 +1312,7 @@ const Sidebar = memo(function Sidebar({
                 onClick={ onShowSettings }
             >
                 <Settings className="w-3 h-3"/>
-                <span className="text-xs">设置</span>
+                <span className="text-xs">{ t('sidebar.settings') }</span>
             </Button>
         </div>
         
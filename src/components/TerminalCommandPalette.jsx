@@ -0,0 +1,329 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Bookmark, Pencil, Play, Plus, SquarePlus, Terminal, Trash2, X } from 'lucide-react';
+import { Badge } from './ui/badge';
+import { Button } from './ui/button';
+import { api } from '../utils/api';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const matches = (item, query) => {
+    const needle = query.trim().toLowerCase();
+    return !needle || item.name.toLowerCase().includes(needle) || item.command.toLowerCase().includes(needle);
+};
+
+/**
+ * Terminal command palette: the project's saved snippets plus detected package.json
+ * scripts and Makefile targets. onRun(command, { newTerminal, name }) runs the choice;
+ * snippets are added, edited and deleted in place and saved to the app settings.
+ */
+function TerminalCommandPalette({ isOpen, onClose, projectName, onRun }) {
+    const { t } = useLanguage();
+    const [query, setQuery] = useState('');
+    const [snippets, setSnippets] = useState([]);
+    const [detected, setDetected] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [activeIndex, setActiveIndex] = useState(0);
+    // Snippet being added or edited: { id?, name, command }
+    const [draft, setDraft] = useState(null);
+    const [saving, setSaving] = useState(false);
+    const inputRef = useRef(null);
+    const listRef = useRef(null);
+
+    useEffect(() => {
+        if (!isOpen || !projectName) return;
+        let cancelled = false;
+
+        const fetchCommands = async () => {
+            setLoading(true);
+            try {
+                const response = await api.getTerminalCommands(projectName);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || t('shell.palette.loadFailed'));
+                }
+                if (cancelled) return;
+                setSnippets(data.snippets);
+                setDetected(data.detected);
+                setError(null);
+            } catch (err) {
+                console.error('Error loading terminal commands:', err);
+                if (!cancelled) setError(err.message);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        setQuery('');
+        setDraft(null);
+        setActiveIndex(0);
+        fetchCommands();
+        setTimeout(() => inputRef.current?.focus(), 0);
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, projectName]);
+
+    const filteredSnippets = useMemo(() => snippets.filter(item => matches(item, query)), [snippets, query]);
+    const filteredDetected = useMemo(() => detected.filter(item => matches(item, query)), [detected, query]);
+    const items = useMemo(() => [
+        ...filteredSnippets.map(item => ({ ...item, source: 'snippet' })),
+        ...filteredDetected
+    ], [filteredSnippets, filteredDetected]);
+
+    useEffect(() => {
+        setActiveIndex(0);
+    }, [query]);
+
+    // Keep the highlighted command visible during keyboard navigation
+    useEffect(() => {
+        const item = listRef.current?.querySelector(`[data-command-index="${ activeIndex }"]`);
+        item?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    if (!isOpen) return null;
+
+    const run = (item, newTerminal) => {
+        if (!item) return;
+        onRun(item.command, { newTerminal, name: item.name });
+        onClose();
+    };
+
+    const persistSnippets = async (next) => {
+        setSaving(true);
+        try {
+            const response = await api.saveTerminalSnippets(projectName, next);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || t('shell.palette.saveFailed'));
+            }
+            setSnippets(data.snippets);
+            setDraft(null);
+            setError(null);
+        } catch (err) {
+            console.error('Error saving terminal snippets:', err);
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const saveDraft = () => {
+        const snippet = { ...draft, name: draft.name.trim(), command: draft.command.trim() };
+        if (!snippet.name || !snippet.command) return;
+        const next = snippet.id
+            ? snippets.map(item => item.id === snippet.id ? snippet : item)
+            : [...snippets, snippet];
+        persistSnippets(next);
+    };
+
+    const deleteSnippet = (snippet) => {
+        if (!window.confirm(t('shell.palette.confirmDelete', { name: snippet.name }))) return;
+        persistSnippets(snippets.filter(item => item.id !== snippet.id));
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            if (draft) {
+                setDraft(null);
+            } else {
+                onClose();
+            }
+        } else if (draft) {
+            // Keys belong to the snippet form while it is open
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActiveIndex(prev => Math.min(prev + 1, items.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(prev => Math.max(prev - 1, 0));
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            run(items[activeIndex], e.ctrlKey || e.metaKey);
+        }
+    };
+
+    const renderItem = (item, index) => (
+        <div
+            key={ `${ item.source }:${ item.id }` }
+            data-command-index={ index }
+            onMouseEnter={ () => setActiveIndex(index) }
+            onClick={ () => run(item, false) }
+            className={ `group flex items-center gap-3 px-4 py-2 cursor-pointer ${
+                index === activeIndex ? 'bg-gray-100 dark:bg-gray-800' : ''
+            }` }
+        >
+            <Terminal className="w-4 h-4 text-muted-foreground flex-shrink-0"/>
+            <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium text-gray-900 dark:text-white truncate">{ item.name }</span>
+                    { item.source !== 'snippet' && (
+                        <Badge variant="outline" className="text-[10px] px-1.5 py-0">{ item.source }</Badge>
+                    ) }
+                </div>
+                <div className="text-xs font-mono text-gray-500 dark:text-gray-400 truncate">
+                    { item.command }
+                    { item.description && item.description !== item.command && (
+                        <span className="ml-2 font-sans text-gray-400 dark:text-gray-500">{ item.description }</span>
+                    ) }
+                </div>
+            </div>
+            <div className={ `flex items-center gap-1 ${ index === activeIndex ? '' : 'opacity-0 group-hover:opacity-100' }` }>
+                { item.source === 'snippet' ? (
+                    <>
+                        <button
+                            onClick={ (e) => {
+                                e.stopPropagation();
+                                setDraft({ id: item.id, name: item.name, command: item.command });
+                            } }
+                            className="p-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 rounded"
+                            title={ t('shell.palette.editSnippet') }
+                        >
+                            <Pencil className="w-3.5 h-3.5"/>
+                        </button>
+                        <button
+                            onClick={ (e) => {
+                                e.stopPropagation();
+                                deleteSnippet(item);
+                            } }
+                            className="p-1 text-gray-400 hover:text-red-500 rounded"
+                            title={ t('shell.palette.deleteSnippet') }
+                        >
+                            <Trash2 className="w-3.5 h-3.5"/>
+                        </button>
+                    </>
+                ) : (
+                    <button
+                        onClick={ (e) => {
+                            e.stopPropagation();
+                            setDraft({ name: item.name, command: item.command });
+                        } }
+                        className="p-1 text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 rounded"
+                        title={ t('shell.palette.saveAsSnippet') }
+                    >
+                        <Bookmark className="w-3.5 h-3.5"/>
+                    </button>
+                ) }
+                <button
+                    onClick={ (e) => {
+                        e.stopPropagation();
+                        run(item, false);
+                    } }
+                    className="p-1 text-gray-400 hover:text-green-600 rounded"
+                    title={ t('shell.palette.run') }
+                >
+                    <Play className="w-3.5 h-3.5"/>
+                </button>
+                <button
+                    onClick={ (e) => {
+                        e.stopPropagation();
+                        run(item, true);
+                    } }
+                    className="p-1 text-gray-400 hover:text-green-600 rounded"
+                    title={ t('shell.palette.runNew') }
+                >
+                    <SquarePlus className="w-3.5 h-3.5"/>
+                </button>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-start justify-center pt-[10vh] px-4" onKeyDown={ handleKeyDown }>
+            <div className="fixed inset-0 bg-black/50 backdrop-blur-sm" onClick={ onClose }/>
+
+            <div
+                className="relative w-full max-w-2xl bg-white dark:bg-gray-900 rounded-lg shadow-xl border border-gray-200 dark:border-gray-700 flex flex-col max-h-[75vh]">
+                {/* Query */ }
+                <div className="flex items-center gap-2 px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+                    <Terminal className="w-4 h-4 text-muted-foreground flex-shrink-0"/>
+                    <input
+                        ref={ inputRef }
+                        type="text"
+                        value={ query }
+                        onChange={ (e) => setQuery(e.target.value) }
+                        placeholder={ t('shell.palette.placeholder') }
+                        className="flex-1 bg-transparent text-sm text-gray-900 dark:text-white placeholder:text-muted-foreground focus:outline-none"
+                    />
+                    { loading && (
+                        <div
+                            className="w-4 h-4 animate-spin rounded-full border-2 border-muted-foreground border-t-transparent"/>
+                    ) }
+                    <button
+                        onClick={ () => setDraft({ name: '', command: query.trim() }) }
+                        className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded hover:bg-gray-100 dark:hover:bg-gray-800"
+                        title={ t('shell.palette.addSnippet') }
+                    >
+                        <Plus className="w-4 h-4"/>
+                    </button>
+                    <button
+                        onClick={ onClose }
+                        className="p-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 rounded hover:bg-gray-100 dark:hover:bg-gray-800"
+                    >
+                        <X className="w-4 h-4"/>
+                    </button>
+                </div>
+
+                {/* Snippet form */ }
+                { draft && (
+                    <div className="px-4 py-3 border-b border-gray-200 dark:border-gray-700 space-y-2 text-sm">
+                        <div className="flex items-center gap-2">
+                            <label className="w-16 text-gray-600 dark:text-gray-400">{ t('shell.palette.name') }</label>
+                            <input
+                                autoFocus
+                                value={ draft.name }
+                                onChange={ (e) => setDraft({ ...draft, name: e.target.value }) }
+                                placeholder={ t('shell.palette.namePlaceholder') }
+                                className="flex-1 px-2 py-1 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white"
+                            />
+                        </div>
+                        <div className="flex items-center gap-2">
+                            <label className="w-16 text-gray-600 dark:text-gray-400">{ t('shell.palette.command') }</label>
+                            <input
+                                value={ draft.command }
+                                onChange={ (e) => setDraft({ ...draft, command: e.target.value }) }
+                                onKeyDown={ (e) => {
+                                    if (e.key === 'Enter') saveDraft();
+                                } }
+                                placeholder={ t('shell.palette.commandPlaceholder') }
+                                className="flex-1 px-2 py-1 rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white font-mono"
+                            />
+                        </div>
+                        <div className="flex justify-end gap-2">
+                            <Button size="sm" variant="outline" onClick={ () => setDraft(null) }>
+                                { t('common.cancel') }
+                            </Button>
+                            <Button size="sm" onClick={ saveDraft }
+                                    disabled={ saving || !draft.name.trim() || !draft.command.trim() }>
+                                { t('common.save') }
+                            </Button>
+                        </div>
+                    </div>
+                ) }
+
+                { error && <p className="px-4 py-2 text-sm text-red-600 dark:text-red-400">{ error }</p> }
+
+                {/* Commands */ }
+                <div ref={ listRef } className="flex-1 overflow-y-auto py-1">
+                    { filteredSnippets.length > 0 && (
+                        <div className="px-4 pt-2 pb-1 text-xs font-medium text-gray-500 uppercase">{ t('shell.palette.snippets') }</div>
+                    ) }
+                    { items.slice(0, filteredSnippets.length).map((item, index) => renderItem(item, index)) }
+                    { filteredDetected.length > 0 && (
+                        <div className="px-4 pt-2 pb-1 text-xs font-medium text-gray-500 uppercase">{ t('shell.palette.detected') }</div>
+                    ) }
+                    { items.slice(filteredSnippets.length).map((item, index) => renderItem(item, filteredSnippets.length + index)) }
+                    { !loading && items.length === 0 && (
+                        <p className="px-4 py-6 text-center text-sm text-gray-500">{ t('shell.palette.empty') }</p>
+                    ) }
+                </div>
+
+                <div className="px-4 py-2 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500">
+                    { t('shell.palette.hint') }
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default TerminalCommandPalette;
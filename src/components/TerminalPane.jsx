@@ -0,0 +1,318 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import { Terminal } from 'xterm';
+import { FitAddon } from 'xterm-addon-fit';
+import { ClipboardAddon } from '@xterm/addon-clipboard';
+import { WebglAddon } from '@xterm/addon-webgl';
+import 'xterm/css/xterm.css';
+import { useLanguage } from '../contexts/LanguageContext';
+
+// CSS to remove xterm focus outline
+const xtermStyles = `
+  .xterm .xterm-screen {
+    outline: none !important;
+  }
+  .xterm:focus .xterm-screen {
+    outline: none !important;
+  }
+  .xterm-screen:focus {
+    outline: none !important;
+  }
+`;
+
+// Inject styles
+if (typeof document !== 'undefined') {
+    const styleSheet = document.createElement('style');
+    styleSheet.type = 'text/css';
+    styleSheet.innerText = xtermStyles;
+    document.head.appendChild(styleSheet);
+}
+
+// Delay before reattaching after the socket drops, doubled per attempt up to the maximum
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 10000;
+
+const TERMINAL_OPTIONS = {
+    cursorBlink: true,
+    fontSize: 14,
+    fontFamily: 'Menlo, Monaco, "Courier New", monospace',
+    allowProposedApi: true, // Required for clipboard addon
+    allowTransparency: false,
+    convertEol: true,
+    scrollback: 10000,
+    tabStopWidth: 4,
+    // Enable full color support
+    windowsMode: false,
+    macOptionIsMeta: true,
+    macOptionClickForcesSelection: false,
+    // Enhanced theme with full 16-color ANSI support + true colors
+    theme: {
+        // Basic colors
+        background: '#1e1e1e',
+        foreground: '#d4d4d4',
+        cursor: '#ffffff',
+        cursorAccent: '#1e1e1e',
+        selection: '#264f78',
+        selectionForeground: '#ffffff',
+
+        // Standard ANSI colors (0-7)
+        black: '#000000',
+        red: '#cd3131',
+        green: '#0dbc79',
+        yellow: '#e5e510',
+        blue: '#2472c8',
+        magenta: '#bc3fbc',
+        cyan: '#11a8cd',
+        white: '#e5e5e5',
+
+        // Bright ANSI colors (8-15)
+        brightBlack: '#666666',
+        brightRed: '#f14c4c',
+        brightGreen: '#23d18b',
+        brightYellow: '#f5f543',
+        brightBlue: '#3b8eea',
+        brightMagenta: '#d670d6',
+        brightCyan: '#29b8db',
+        brightWhite: '#ffffff',
+
+        // Extended colors for better Claude output
+        extendedAnsi: [
+            // 16-color palette extension for 256-color support
+            '#000000', '#800000', '#008000', '#808000',
+            '#000080', '#800080', '#008080', '#c0c0c0',
+            '#808080', '#ff0000', '#00ff00', '#ffff00',
+            '#0000ff', '#ff00ff', '#00ffff', '#ffffff'
+        ]
+    }
+};
+
+// WebSocket URL of the terminal endpoint
+async function getShellWebSocketUrl() {
+    // 优先使用Electron配置，端口范围 30000-39999
+    const port = window.electronAPI?.getConfig?.()?.PORT || '30000';
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    let wsBaseUrl = `${ protocol }//localhost:${ port }`;
+
+    // 可选：尝试从服务器获取配置作为验证
+    try {
+        const configResponse = await fetch('/api/config');
+        const config = await configResponse.json();
+        if (config.wsUrl && config.wsUrl.trim() !== '') {
+            wsBaseUrl = config.wsUrl;
+        }
+    } catch (error) {
+        console.warn('Using default WebSocket URL:', wsBaseUrl);
+    }
+
+    const wsUrl = `${ wsBaseUrl }/shell`;
+    if (!wsUrl.startsWith('ws://') && !wsUrl.startsWith('wss://')) {
+        throw new Error('Invalid WebSocket URL format');
+    }
+    return wsUrl;
+}
+
+// One xterm attached to a server-side terminal. The server replays the scrollback on
+// every attach, so a dropped socket is simply reopened and the screen repainted.
+// Hidden panes stay attached, which keeps the terminal from hitting the server idle timeout.
+// The ref exposes sendInput(text) for typing commands into the terminal.
+const TerminalPane = forwardRef(function TerminalPane({ terminalId, isActive, visible, order, focused, onFocus, onExit, onClosed }, ref) {
+    const { t } = useLanguage();
+    const containerRef = useRef(null);
+    const terminal = useRef(null);
+    const fitAddon = useRef(null);
+    const ws = useRef(null);
+    const [connected, setConnected] = useState(false);
+    const [reconnecting, setReconnecting] = useState(false);
+
+    // Latest callbacks, so the socket handlers set up once never call stale ones
+    const callbacks = useRef({ onExit, onClosed });
+    callbacks.current = { onExit, onClosed };
+    const visibleRef = useRef(visible);
+    visibleRef.current = visible;
+
+    const sendMessage = (message) => {
+        if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+            ws.current.send(JSON.stringify(message));
+        }
+    };
+
+    useImperativeHandle(ref, () => ({
+        sendInput: (text) => {
+            sendMessage({ type: 'input', data: text });
+            terminal.current?.focus();
+        }
+    }), []);
+
+    const fitAndResize = () => {
+        // A hidden pane has no size; resizing would shrink the PTY under the visible clients
+        if (!fitAddon.current || !terminal.current || !visibleRef.current) return;
+        fitAddon.current.fit();
+        sendMessage({ type: 'resize', cols: terminal.current.cols, rows: terminal.current.rows });
+    };
+
+    useEffect(() => {
+        terminal.current = new Terminal(TERMINAL_OPTIONS);
+        fitAddon.current = new FitAddon();
+        terminal.current.loadAddon(fitAddon.current);
+        terminal.current.loadAddon(new ClipboardAddon());
+        try {
+            terminal.current.loadAddon(new WebglAddon());
+        } catch (error) {
+        }
+        terminal.current.open(containerRef.current);
+
+        // Add keyboard shortcuts for copy/paste
+        terminal.current.attachCustomKeyEventHandler((event) => {
+            // Ctrl+C or Cmd+C for copy (when text is selected)
+            if ((event.ctrlKey || event.metaKey) && event.key === 'c' && terminal.current.hasSelection()) {
+                document.execCommand('copy');
+                return false;
+            }
+
+            // Ctrl+V or Cmd+V for paste
+            if ((event.ctrlKey || event.metaKey) && event.key === 'v') {
+                navigator.clipboard.readText().then(text => {
+                    sendMessage({ type: 'input', data: text });
+                }).catch(err => {
+                    // Failed to read clipboard
+                });
+                return false;
+            }
+
+            return true;
+        });
+
+        terminal.current.onData((data) => {
+            sendMessage({ type: 'input', data });
+        });
+
+        let disposed = false;
+        let reconnectTimer = null;
+        let attempts = 0;
+
+        const connect = async () => {
+            let socket;
+            try {
+                socket = new WebSocket(await getShellWebSocketUrl());
+            } catch (error) {
+                console.error('Failed to connect to terminal:', error);
+                terminal.current?.writeln(`\x1b[31m✗ ${ t('shell.connectFailed') }: ${ error.message }\x1b[0m`);
+                return;
+            }
+            if (disposed) {
+                socket.close();
+                return;
+            }
+            ws.current = socket;
+            let closedByServer = false;
+
+            socket.onopen = () => {
+                const size = {};
+                if (visibleRef.current) {
+                    fitAddon.current?.fit();
+                    size.cols = terminal.current.cols;
+                    size.rows = terminal.current.rows;
+                }
+                socket.send(JSON.stringify({ type: 'attach', terminalId, ...size }));
+            };
+
+            socket.onmessage = (event) => {
+                try {
+                    const data = JSON.parse(event.data);
+                    if (data.type === 'attached') {
+                        attempts = 0;
+                        setConnected(true);
+                        setReconnecting(false);
+                        // The scrollback replay that follows repaints everything
+                        terminal.current.reset();
+                        if (data.terminal.exited) {
+                            callbacks.current.onExit?.(terminalId, data.terminal.exitCode);
+                        }
+                    } else if (data.type === 'output') {
+                        terminal.current.write(data.data);
+                    } else if (data.type === 'url_open') {
+                        // Handle explicit URL opening requests from server
+                        window.open(data.url, '_blank');
+                    } else if (data.type === 'exit') {
+                        callbacks.current.onExit?.(terminalId, data.exitCode);
+                    } else if (data.type === 'closed' || data.type === 'error') {
+                        closedByServer = true;
+                        socket.close();
+                        callbacks.current.onClosed?.(terminalId);
+                    }
+                } catch (error) {
+                }
+            };
+
+            socket.onclose = () => {
+                if (ws.current === socket) {
+                    ws.current = null;
+                }
+                setConnected(false);
+                if (disposed || closedByServer) return;
+
+                // The PTY is still running on the server; reattach after a short delay
+                setReconnecting(true);
+                const delay = Math.min(RECONNECT_DELAY * 2 ** attempts, MAX_RECONNECT_DELAY);
+                attempts += 1;
+                reconnectTimer = setTimeout(connect, delay);
+            };
+
+            socket.onerror = (error) => {
+                console.error('WebSocket error:', error);
+            };
+        };
+
+        connect();
+
+        // Add resize observer to handle container size changes
+        const resizeObserver = new ResizeObserver(() => {
+            setTimeout(fitAndResize, 50);
+        });
+        resizeObserver.observe(containerRef.current);
+
+        return () => {
+            disposed = true;
+            clearTimeout(reconnectTimer);
+            resizeObserver.disconnect();
+            ws.current?.close();
+            ws.current = null;
+            terminal.current.dispose();
+            terminal.current = null;
+            fitAddon.current = null;
+        };
+    }, [terminalId]);
+
+    // Fit terminal when tab or pane becomes visible and notify backend
+    useEffect(() => {
+        if (!isActive || !visible) return;
+        const timer = setTimeout(fitAndResize, 100);
+        return () => clearTimeout(timer);
+    }, [isActive, visible]);
+
+    useEffect(() => {
+        if (focused && isActive && visible) {
+            terminal.current?.focus();
+        }
+    }, [focused, isActive, visible]);
+
+    return (
+        <div
+            className={ `flex-1 min-w-0 p-2 overflow-hidden relative border-2 ${ visible ? '' : 'hidden' } ${ focused ? 'border-primary/40' : 'border-transparent' }` }
+            style={ { order } }
+            onMouseDown={ onFocus }
+        >
+            <div ref={ containerRef } className="h-full w-full focus:outline-none" style={ { outline: 'none' } }/>
+
+            { !connected && (
+                <div className="absolute inset-0 flex items-center justify-center bg-gray-900 bg-opacity-90">
+                    <div className="flex items-center space-x-3 text-yellow-400">
+                        <div className="w-5 h-5 animate-spin rounded-full border-2 border-yellow-400 border-t-transparent"/>
+                        <span className="text-sm">{ reconnecting ? t('shell.reconnecting') : t('shell.loading') }</span>
+                    </div>
+                </div>
+            ) }
+        </div>
+    );
+});
+
+export default TerminalPane;
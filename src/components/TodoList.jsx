@@ -1,8 +1,14 @@
 import React from 'react';
 import { Badge } from './ui/badge';
 import { CheckCircle2, Circle, Clock } from 'lucide-react';
+import { useLanguage } from '../contexts/LanguageContext';
+
+const STATUSES = ['completed', 'in_progress', 'pending'];
+const PRIORITIES = ['high', 'medium', 'low'];
 
 const TodoList = ({ todos, isResult = false }) => {
+    const { t } = useLanguage();
+
     if (!todos || !Array.isArray(todos)) {
         return null;
     }
@@ -47,7 +53,7 @@ const TodoList = ({ todos, isResult = false }) => {
         <div className="space-y-3">
             { isResult && (
                 <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-3">
-                    待办事项列表 ({ todos.length } 个{ todos.length === 1 ? '项目' : '项目' })
+                    { t('todos.title', { count: todos.length }) }
                 </div>
             ) }
 
@@ -71,13 +77,13 @@ const TodoList = ({ todos, isResult = false }) => {
                                     variant="outline"
                                     className={ `text-xs px-2 py-0.5 ${ getPriorityColor(todo.priority) }` }
                                 >
-                                    { todo.priority }
+                                    { PRIORITIES.includes(todo.priority) ? t(`todos.priority.${ todo.priority }`) : todo.priority }
                                 </Badge>
                                 <Badge
                                     variant="outline"
                                     className={ `text-xs px-2 py-0.5 ${ getStatusColor(todo.status) }` }
                                 >
-                                    { todo.status.replace('_', ' ') }
+                                    { STATUSES.includes(todo.status) ? t(`todos.status.${ todo.status }`) : todo.status.replace('_', ' ') }
                                 </Badge>
                             </div>
                         </div>
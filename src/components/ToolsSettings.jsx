@@ -29,14 +29,17 @@ import {
     Zap
 } from 'lucide-react';
 import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { SUPPORTED_LANGUAGES } from '../i18n';
 import DevTools from './DevTools';
 import { LazyUsageMonitor } from './UsageMonitor/LazyUsageMonitor';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import remarkBreaks from 'remark-breaks';
 
-function ToolsSettings({ isOpen, onClose }) {
+function ToolsSettings({ isOpen, onClose, onOpenSession }) {
     const { themeMode, setTheme } = useTheme();
+    const { language, setLanguage, t } = useLanguage();
     const [allowedTools, setAllowedTools] = useState([]);
     const [disallowedTools, setDisallowedTools] = useState([]);
     const [newAllowedTool, setNewAllowedTool] = useState('');
@@ -95,7 +98,8 @@ function ToolsSettings({ isOpen, onClose }) {
     // Git configuration state
     const [gitCommitLanguage, setGitCommitLanguage] = useState('chinese');
     const [gitCommitStandard, setGitCommitStandard] = useState('conventional');
-    const [gitClaudeIntegration, setGitClaudeIntegration] = useState(true);
+    const [gitGenerator, setGitGenerator] = useState('claude-cli');
+    const [gitGeneratorScript, setGitGeneratorScript] = useState('');
 
     // Function to fetch app information
     const fetchAppInfo = async () => {
@@ -127,7 +131,7 @@ function ToolsSettings({ isOpen, onClose }) {
             const response = await api.getGlobalMemory();
             const data = await response.json();
             const content = data.content || '';
-            setGlobalMemoryPreview(content || '全局 Memory 文件为空');
+            setGlobalMemoryPreview(content || t('settings.memory.globalEmpty'));
             setGlobalMemoryContent(content);
             setGlobalMemoryOriginal(content);
         } catch (error) {
@@ -142,14 +146,14 @@ function ToolsSettings({ isOpen, onClose }) {
             const response = await api.saveGlobalMemory(globalMemoryContent);
             if (response.ok) {
                 setGlobalMemoryOriginal(globalMemoryContent);
-                setGlobalMemoryPreview(globalMemoryContent || '全局 Memory 文件为空');
+                setGlobalMemoryPreview(globalMemoryContent || t('settings.memory.globalEmpty'));
                 setGlobalMemoryEditMode(false);
             } else {
-                throw new Error('保存失败');
+                throw new Error(t('settings.saveFailed'));
             }
         } catch (error) {
             console.error('Failed to save global memory:', error);
-            alert('保存失败: ' + error.message);
+            alert(t('settings.saveFailedWithError', { message: error.message }));
         } finally {
             setGlobalMemorySaving(false);
         }
@@ -368,9 +372,48 @@ function ToolsSettings({ isOpen, onClose }) {
         }
     };
 
+    // Git settings live on the server because commit messages are generated there
+    const loadGitSettings = async () => {
+        try {
+            const response = await apiFetch('/api/git/settings');
+            const settings = await response.json();
+            if (settings.messageLanguage) {
+                setGitCommitLanguage(settings.messageLanguage.startsWith('zh') ? 'chinese' : 'english');
+            }
+            if (settings.conventionType) {
+                setGitCommitStandard(settings.conventionType);
+            }
+            setGitGenerator(settings.generator || (settings.useClaudeCLI === false ? 'rule-based' : 'claude-cli'));
+            setGitGeneratorScript(settings.generatorScript || '');
+        } catch (error) {
+            console.error('Error loading Git settings:', error);
+        }
+    };
+
+    const saveGitSettings = async (patch = {}) => {
+        const settings = {
+            messageLanguage: gitCommitLanguage === 'english' ? 'en' : 'zh',
+            conventionType: gitCommitStandard,
+            generator: gitGenerator,
+            generatorScript: gitGeneratorScript,
+            ...patch
+        };
+        settings.useClaudeCLI = settings.generator === 'claude-cli';
+        try {
+            await apiFetch('/api/git/settings', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(settings)
+            });
+        } catch (error) {
+            console.error('Error saving Git settings:', error);
+        }
+    };
+
     useEffect(() => {
         if (isOpen) {
             loadSettings();
+            loadGitSettings();
             // Load app info when settings dialog opens
             if (!appInfo && !appInfoLoading) {
                 fetchAppInfo();
@@ -499,7 +542,7 @@ function ToolsSettings({ isOpen, onClose }) {
         if (!file) return;
         const allowed = ['image/png', 'image/svg+xml', 'image/jpeg'];
         if (!allowed.includes(file.type)) {
-            alert('仅支持 PNG、SVG 或 JPG 图片');
+            alert(t('settings.appearance.invalidImage'));
             return;
         }
         const reader = new FileReader();
@@ -521,7 +564,7 @@ function ToolsSettings({ isOpen, onClose }) {
         if (!file) return;
         const allowed = ['image/png', 'image/jpeg', 'image/svg+xml'];
         if (!allowed.includes(file.type)) {
-            alert('仅支持 PNG、SVG 或 JPG 头像');
+            alert(t('settings.appearance.invalidAvatar'));
             return;
         }
         const reader = new FileReader();
@@ -617,7 +660,7 @@ function ToolsSettings({ isOpen, onClose }) {
     };
 
     const handleMcpDelete = async (serverId, scope) => {
-        if (confirm('确定要删除这个 MCP 服务器吗？')) {
+        if (confirm(t('settings.mcp.confirmDelete'))) {
             try {
                 await deleteMcpServer(serverId, scope);
                 } catch (error) {
@@ -718,7 +761,7 @@ function ToolsSettings({ isOpen, onClose }) {
                     <div className="flex items-center gap-3">
                         <Settings className="w-5 h-5 md:w-6 md:h-6 text-primary"/>
                         <h2 className="text-lg md:text-xl font-semibold text-gray-900 dark:text-white">
-                            设置
+                            { t('settings.title') }
                         </h2>
                     </div>
                     <Button
@@ -743,7 +786,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                 }` }
                             >
-                                工具
+                                { t('settings.tabs.tools') }
                             </button>
                             <button
                                 onClick={ () => setActiveTab('security') }
@@ -753,7 +796,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                 }` }
                             >
-                                安全项
+                                { t('settings.tabs.security') }
                             </button>
                             <button
                                 onClick={ () => setActiveTab('memory') }
@@ -763,7 +806,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                 }` }
                             >
-                                记忆
+                                { t('settings.tabs.memory') }
                             </button>
                             <button
                                 onClick={ () => setActiveTab('git') }
@@ -773,7 +816,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                 }` }
                             >
-                                Git
+                                { t('settings.tabs.git') }
                             </button>
                             <button
                                 onClick={ () => setActiveTab('mcp') }
@@ -783,7 +826,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                 }` }
                             >
-                                MCP
+                                { t('settings.tabs.mcp') }
                             </button>
                             <button
                                 onClick={ () => setActiveTab('appearance') }
@@ -793,7 +836,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                 }` }
                             >
-                                外观
+                                { t('settings.tabs.appearance') }
                             </button>
                             <button
                                 onClick={ () => setActiveTab('usage') }
@@ -803,7 +846,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                 }` }
                             >
-                                使用量
+                                { t('settings.tabs.usage') }
                             </button>
                             {/* Only show developer tab in development mode */ }
                             { isDevelopmentMode && (
@@ -815,7 +858,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                             : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                     }` }
                                 >
-                                    开发者
+                                    { t('settings.tabs.developer') }
                                 </button>
                             ) }
                             {/* About tab */ }
@@ -827,7 +870,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         : 'border-transparent text-gray-500 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white'
                                 }` }
                             >
-                                关于
+                                { t('settings.tabs.about') }
                             </button>
                         </div>
                     </div>
@@ -841,11 +884,11 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div className="flex items-center gap-3">
                                         <Globe className="w-5 h-5 text-blue-500"/>
                                         <h3 className="text-lg font-medium text-foreground">
-                                            全局 Memory
+                                            { t('settings.memory.globalTitle') }
                                         </h3>
                                     </div>
                                     <p className="text-sm text-muted-foreground">
-                                        全局 Memory 文件适用于所有项目，包含通用的指令和偏好设置。文件位置：~/.claude/CLAUDE.md
+                                        { t('settings.memory.globalDescription') }
                                     </p>
                                     <div className="flex gap-3">
                                         {!globalMemoryEditMode ? (
@@ -856,7 +899,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     className="flex items-center gap-2"
                                                 >
                                                     <Edit3 className="w-4 h-4" />
-                                                    编辑全局 Memory
+                                                    { t('settings.memory.editGlobal') }
                                                 </Button>
                                                 <Button
                                                     variant="ghost"
@@ -864,7 +907,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     className="flex items-center gap-2"
                                                 >
                                                     <FileText className="w-4 h-4" />
-                                                    刷新
+                                                    { t('common.refresh') }
                                                 </Button>
                                             </>
                                         ) : (
@@ -876,7 +919,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     className="flex items-center gap-2"
                                                 >
                                                     <Save className="w-4 h-4" />
-                                                    {globalMemorySaving ? '保存中...' : '保存'}
+                                                    {globalMemorySaving ? t('common.saving') : t('common.save')}
                                                 </Button>
                                                 <Button
                                                     variant="outline"
@@ -885,7 +928,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     className="flex items-center gap-2"
                                                 >
                                                     <X className="w-4 h-4" />
-                                                    取消
+                                                    { t('common.cancel') }
                                                 </Button>
                                             </>
                                         )}
@@ -897,22 +940,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     <textarea
                                                         value={globalMemoryContent}
                                                         onChange={(e) => setGlobalMemoryContent(e.target.value)}
-                                                        placeholder="输入全局 Memory 内容...
-
-示例内容：
-# 全局 Memory
-
-## 偏好设置
-- 使用简洁的代码风格
-- 优先考虑性能和可读性
-
-## 上下文信息
-- 我是一个全栈开发者
-- 偏好使用 TypeScript 和 React
-
-## 特殊指令
-- 总是包含适当的错误处理
-- 代码应该有良好的注释"
+                                                        placeholder={ t('settings.memory.placeholder') }
                                                         className="w-full h-full p-3 border border-gray-200 dark:border-gray-600 rounded-lg font-mono text-sm bg-white dark:bg-gray-900 text-gray-900 dark:text-white placeholder-gray-400 resize-none focus:outline-none focus:ring-2 focus:ring-blue-500"
                                                         spellCheck={false}
                                                     />
@@ -962,8 +990,8 @@ function ToolsSettings({ isOpen, onClose }) {
                                                         ) : (
                                                             <div className="text-gray-500 dark:text-gray-400 text-center py-8">
                                                                 <FileText className="w-12 h-12 mx-auto mb-4 opacity-50" />
-                                                                <p>Memory 文件为空</p>
-                                                                <p className="text-sm">点击编辑按钮开始添加内容</p>
+                                                                <p>{ t('settings.memory.empty') }</p>
+                                                                <p className="text-sm">{ t('settings.memory.emptyHint') }</p>
                                                             </div>
                                                         )}
                                                     </div>
@@ -978,36 +1006,36 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div className="flex items-center gap-3">
                                         <Settings className="w-5 h-5 text-primary"/>
                                         <h3 className="text-lg font-medium text-foreground">
-                                            Memory 管理
+                                            { t('settings.memory.managementTitle') }
                                         </h3>
                                     </div>
                                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                                         <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
                                             <h4 className="font-medium text-gray-900 dark:text-white mb-2">
-                                                快速访问
+                                                { t('settings.memory.quickAccess') }
                                             </h4>
                                             <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
-                                                在聊天中使用 /memory 命令快速查看和管理 Memory 文件
+                                                { t('settings.memory.quickAccessHint') }
                                             </p>
                                             <div className="space-y-2 text-xs text-gray-500 dark:text-gray-400">
-                                                <div>• /memory - 查看项目 Memory</div>
-                                                <div>• /memory show global - 查看全局 Memory</div>
-                                                <div>• /memory edit - 编辑项目 Memory</div>
-                                                <div>• /memory edit global - 编辑全局 Memory</div>
+                                                <div>• /memory - { t('settings.memory.commands.viewProject') }</div>
+                                                <div>• /memory show global - { t('settings.memory.commands.viewGlobal') }</div>
+                                                <div>• /memory edit - { t('settings.memory.commands.editProject') }</div>
+                                                <div>• /memory edit global - { t('settings.memory.commands.editGlobal') }</div>
                                             </div>
                                         </div>
                                         <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
                                             <h4 className="font-medium text-gray-900 dark:text-white mb-2">
-                                                Memory 提示
+                                                { t('settings.memory.tipsTitle') }
                                             </h4>
                                             <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
-                                                有效使用 Memory 文件的建议
+                                                { t('settings.memory.tipsHint') }
                                             </p>
                                             <div className="space-y-2 text-xs text-gray-500 dark:text-gray-400">
-                                                <div>• 使用 Markdown 格式组织内容</div>
-                                                <div>• 包含项目背景和偏好设置</div>
-                                                <div>• 添加代码风格和约定</div>
-                                                <div>• 记录特殊需求和限制</div>
+                                                <div>• { t('settings.memory.tips.0') }</div>
+                                                <div>• { t('settings.memory.tips.1') }</div>
+                                                <div>• { t('settings.memory.tips.2') }</div>
+                                                <div>• { t('settings.memory.tips.3') }</div>
                                             </div>
                                         </div>
                                     </div>
@@ -1024,14 +1052,14 @@ function ToolsSettings({ isOpen, onClose }) {
                                         <div className="p-1.5 bg-primary/10 rounded-md">
                                             <Languages className="w-3.5 h-3.5 text-primary"/>
                                         </div>
-                                        <h3 className="text-base font-semibold text-foreground">提交消息语言</h3>
+                                        <h3 className="text-base font-semibold text-foreground">{ t('settings.git.languageTitle') }</h3>
                                     </div>
                                     <p className="text-xs text-muted-foreground mb-3">
-                                        选择生成提交消息时使用的语言
+                                        { t('settings.git.languageHint') }
                                     </p>
                                     <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
                                         {[
-                                            { value: 'chinese', title: '中文', icon: '🇨🇳', badge: '推荐' },
+                                            { value: 'chinese', title: '中文', icon: '🇨🇳', badge: t('settings.git.recommended') },
                                             { value: 'english', title: 'English', icon: '🇺🇸', badge: null }
                                         ].map((language) => (
                                             <div
@@ -1043,7 +1071,10 @@ function ToolsSettings({ isOpen, onClose }) {
                                                         : 'border-border hover:border-primary/50'
                                                     }
                                                 `}
-                                                onClick={() => setGitCommitLanguage(language.value)}
+                                                onClick={() => {
+                                                    setGitCommitLanguage(language.value);
+                                                    saveGitSettings({ messageLanguage: language.value === 'english' ? 'en' : 'zh' });
+                                                }}
                                             >
                                                 {language.badge && (
                                                     <div className="absolute -top-0.5 -right-0.5 px-1 py-0.5 bg-primary text-primary-foreground text-xs font-medium rounded">
@@ -1077,17 +1108,17 @@ function ToolsSettings({ isOpen, onClose }) {
                                         <div className="p-1.5 bg-primary/10 rounded-md">
                                             <MessageCircle className="w-3.5 h-3.5 text-primary"/>
                                         </div>
-                                        <h3 className="text-base font-semibold text-foreground">提交规范</h3>
+                                        <h3 className="text-base font-semibold text-foreground">{ t('settings.git.standardTitle') }</h3>
                                     </div>
                                     <p className="text-xs text-muted-foreground mb-3">
-                                        选择提交消息的格式规范和约束规则
+                                        { t('settings.git.standardHint') }
                                     </p>
                                     <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
                                         {[
-                                            { value: 'conventional', title: 'Conventional Commits', desc: 'feat:, fix:, docs:', icon: '🚀', badge: '推荐' },
-                                            { value: 'angular', title: 'Angular 规范', desc: '更严格的范围要求', icon: '📋' },
-                                            { value: 'simple', title: '简单格式', desc: '无固定格式要求', icon: '📝' },
-                                            { value: 'chinese', title: '中文标准格式', desc: '新增:, 修复:, 更新:', icon: '🇨🇳' }
+                                            { value: 'conventional', title: 'Conventional Commits', desc: 'feat:, fix:, docs:', icon: '🚀', badge: t('settings.git.recommended') },
+                                            { value: 'angular', title: t('settings.git.standards.angular.title'), desc: t('settings.git.standards.angular.desc'), icon: '📋' },
+                                            { value: 'simple', title: t('settings.git.standards.simple.title'), desc: t('settings.git.standards.simple.desc'), icon: '📝' },
+                                            { value: 'chinese', title: t('settings.git.standards.chinese.title'), desc: '新增:, 修复:, 更新:', icon: '🇨🇳' }
                                         ].map((standard) => (
                                             <div
                                                 key={standard.value}
@@ -1098,7 +1129,10 @@ function ToolsSettings({ isOpen, onClose }) {
                                                         : 'border-border hover:border-primary/50'
                                                     }
                                                 `}
-                                                onClick={() => setGitCommitStandard(standard.value)}
+                                                onClick={() => {
+                                                    setGitCommitStandard(standard.value);
+                                                    saveGitSettings({ conventionType: standard.value });
+                                                }}
                                             >
                                                 {standard.badge && (
                                                     <div className="absolute -top-0.5 -right-0.5 px-1 py-0.5 bg-primary text-primary-foreground text-xs font-medium rounded">
@@ -1127,47 +1161,77 @@ function ToolsSettings({ isOpen, onClose }) {
                                     </div>
                                 </div>
 
-                                {/* Claude CLI 集成卡片 */}
-                                <div className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
-                                    <div className="flex items-center gap-3 mb-3">
-                                        <div className="p-2 bg-primary/10 rounded-md">
-                                            <Terminal className="w-4 h-4 text-primary"/>
+                                {/* 提交消息生成器卡片 */}
+                                <div className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                                    <div className="flex items-center gap-2 mb-2">
+                                        <div className="p-1.5 bg-primary/10 rounded-md">
+                                            <Terminal className="w-3.5 h-3.5 text-primary"/>
                                         </div>
-                                        <h3 className="text-lg font-semibold text-foreground">Claude CLI 集成</h3>
+                                        <h3 className="text-base font-semibold text-foreground">{ t('settings.git.generatorTitle') }</h3>
                                     </div>
-                                    <p className="text-sm text-muted-foreground mb-4">
-                                        配置 Claude 与代码提交的自动化集成
+                                    <p className="text-xs text-muted-foreground mb-3">
+                                        { t('settings.git.generatorHint') }
                                     </p>
-                                    <div
-                                        className={`
-                                            p-3 border-2 rounded-lg cursor-pointer transition-all duration-200
-                                            ${gitClaudeIntegration
-                                                ? 'border-primary bg-primary/5'
-                                                : 'border-border hover:border-primary/50'
-                                            }
-                                        `}
-                                        onClick={() => setGitClaudeIntegration(!gitClaudeIntegration)}
-                                    >
-                                        <div className="flex items-start gap-3">
-                                            <div className="text-lg mt-0.5" role="img" aria-label="AI助手">
-                                                🤖
-                                            </div>
-                                            <div className="flex-1">
-                                                <h4 className="font-medium text-foreground mb-1">启用自动提交消息生成</h4>
-                                                <p className="text-xs text-muted-foreground">Claude 在提交代码时自动生成规范的提交消息</p>
-                                            </div>
-                                            <div className={`
-                                                w-4 h-4 rounded border-2 flex items-center justify-center transition-colors
-                                                ${gitClaudeIntegration ? 'border-primary bg-primary' : 'border-border'}
-                                            `}>
-                                                {gitClaudeIntegration && (
-                                                    <div className="w-2.5 h-2.5 text-primary-foreground flex items-center justify-center text-xs">
-                                                        ✓
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                                        {[
+                                            { value: 'claude-cli', title: 'Claude CLI', desc: t('settings.git.generators.claudeCli.desc'), icon: '🤖', badge: t('settings.git.recommended') },
+                                            { value: 'rule-based', title: t('settings.git.generators.ruleBased.title'), desc: t('settings.git.generators.ruleBased.desc'), icon: '📐' },
+                                            { value: 'template', title: t('settings.git.generators.template.title'), desc: t('settings.git.generators.template.desc'), icon: '📋' },
+                                            { value: 'script', title: t('settings.git.generators.script.title'), desc: t('settings.git.generators.script.desc'), icon: '🛠️' }
+                                        ].map((generator) => (
+                                            <div
+                                                key={generator.value}
+                                                className={`
+                                                    relative p-2 border rounded-md cursor-pointer transition-all duration-200
+                                                    ${gitGenerator === generator.value
+                                                        ? 'border-primary bg-primary/5'
+                                                        : 'border-border hover:border-primary/50'
+                                                    }
+                                                `}
+                                                onClick={() => {
+                                                    setGitGenerator(generator.value);
+                                                    saveGitSettings({ generator: generator.value });
+                                                }}
+                                            >
+                                                {generator.badge && (
+                                                    <div className="absolute -top-0.5 -right-0.5 px-1 py-0.5 bg-primary text-primary-foreground text-xs font-medium rounded">
+                                                        {generator.badge}
                                                     </div>
                                                 )}
+                                                <div className="flex items-start gap-2">
+                                                    <div className="text-sm mt-0.5" role="img" aria-label={generator.title}>
+                                                        {generator.icon}
+                                                    </div>
+                                                    <div className="flex-1">
+                                                        <h4 className="font-medium text-foreground text-sm mb-0.5">{generator.title}</h4>
+                                                        <p className="text-xs text-muted-foreground leading-tight">{generator.desc}</p>
+                                                    </div>
+                                                    <div className={`
+                                                        w-3 h-3 rounded-full border flex items-center justify-center transition-colors mt-0.5
+                                                        ${gitGenerator === generator.value ? 'border-primary bg-primary' : 'border-border'}
+                                                    `}>
+                                                        {gitGenerator === generator.value && (
+                                                            <div className="w-1 h-1 rounded-full bg-primary-foreground"></div>
+                                                        )}
+                                                    </div>
+                                                </div>
                                             </div>
-                                        </div>
+                                        ))}
                                     </div>
+                                    {gitGenerator === 'script' && (
+                                        <div className="mt-3 space-y-1">
+                                            <Input
+                                                value={gitGeneratorScript}
+                                                onChange={(e) => setGitGeneratorScript(e.target.value)}
+                                                onBlur={() => saveGitSettings()}
+                                                placeholder={ t('settings.git.scriptPlaceholder') }
+                                                className="text-sm"
+                                            />
+                                            <p className="text-xs text-muted-foreground">
+                                                { t('settings.git.scriptHint') }
+                                            </p>
+                                        </div>
+                                    )}
                                 </div>
 
                                 {/* Configuration Priority */}
@@ -1175,30 +1239,30 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div className="flex items-center gap-3">
                                         <Settings className="w-5 h-5 text-orange-500"/>
                                         <h3 className="text-lg font-medium text-foreground">
-                                            配置优先级说明
+                                            { t('settings.git.priorityTitle') }
                                         </h3>
                                     </div>
                                     <div className="bg-orange-50 dark:bg-orange-900/20 border border-orange-200 dark:border-orange-700 rounded-lg p-4">
                                         <div className="space-y-3">
                                             <h4 className="font-medium text-orange-800 dark:text-orange-200">
-                                                配置生效顺序
+                                                { t('settings.git.priorityOrder') }
                                             </h4>
                                             <div className="space-y-2 text-sm text-orange-700 dark:text-orange-300">
                                                 <div className="flex items-start gap-2">
                                                     <span className="font-medium">1.</span>
-                                                    <span>项目级 CLAUDE.md 文件中的 Git 配置（最高优先级）</span>
+                                                    <span>{ t('settings.git.priority.0') }</span>
                                                 </div>
                                                 <div className="flex items-start gap-2">
                                                     <span className="font-medium">2.</span>
-                                                    <span>全局 ~/.claude/CLAUDE.md 文件中的配置</span>
+                                                    <span>{ t('settings.git.priority.1') }</span>
                                                 </div>
                                                 <div className="flex items-start gap-2">
                                                     <span className="font-medium">3.</span>
-                                                    <span>此界面的设置（最低优先级）</span>
+                                                    <span>{ t('settings.git.priority.2') }</span>
                                                 </div>
                                             </div>
                                             <p className="text-xs text-orange-600 dark:text-orange-400 mt-2">
-                                                💡 建议在 CLAUDE.md 文件中配置项目特定的 Git 规范，在此处设置全局默认行为
+                                                { t('settings.git.priorityTip') }
                                             </p>
                                         </div>
                                     </div>
@@ -1211,57 +1275,42 @@ function ToolsSettings({ isOpen, onClose }) {
                                         <div>
                                             <div className="font-medium text-foreground mb-3 flex items-center gap-3">
                                                 <FileText className="w-5 h-5 text-blue-500"/>
-                                                CLAUDE.md 配置示例
+                                                { t('settings.git.exampleTitle') }
                                             </div>
                                             <div className="text-sm text-muted-foreground mb-4">
-                                                在项目的 CLAUDE.md 或全局 ~/.claude/CLAUDE.md 文件中添加以下配置
+                                                { t('settings.git.exampleHint') }
                                             </div>
                                             <div className="bg-gray-100 dark:bg-gray-800 border border-gray-200 dark:border-gray-600 rounded-lg p-3">
                                             <pre className="text-sm text-gray-800 dark:text-gray-200 overflow-x-auto">
-{`## Git 配置
-
-### 提交消息规范
-- **语言**: 中文
-- **格式**: Conventional Commits
-- **示例**: feat: 添加用户登录功能
-
-### 提交规则
-1. 使用规范的提交类型前缀
-2. 描述要简洁明了
-3. 包含必要的作者信息
-
-### Claude CLI 集成
-- 启用自动提交消息生成
-- 遵循项目代码规范
-- 包含 Co-Authored-By 信息`}
+{ t('settings.git.example') }
                                             </pre>
                                         </div>
                                         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
                                             <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
                                                 <h4 className="font-medium text-gray-900 dark:text-white mb-2">
-                                                    常用提交类型
+                                                    { t('settings.git.commitTypesTitle') }
                                                 </h4>
                                                 <div className="space-y-1 text-xs text-gray-600 dark:text-gray-400">
-                                                    <div><code>feat:</code> 新功能</div>
-                                                    <div><code>fix:</code> 修复问题</div>
-                                                    <div><code>docs:</code> 文档更新</div>
-                                                    <div><code>style:</code> 代码格式调整</div>
-                                                    <div><code>refactor:</code> 代码重构</div>
-                                                    <div><code>test:</code> 测试相关</div>
-                                                    <div><code>chore:</code> 构建/工具更新</div>
+                                                    <div><code>feat:</code> { t('settings.git.commitTypes.feat') }</div>
+                                                    <div><code>fix:</code> { t('settings.git.commitTypes.fix') }</div>
+                                                    <div><code>docs:</code> { t('settings.git.commitTypes.docs') }</div>
+                                                    <div><code>style:</code> { t('settings.git.commitTypes.style') }</div>
+                                                    <div><code>refactor:</code> { t('settings.git.commitTypes.refactor') }</div>
+                                                    <div><code>test:</code> { t('settings.git.commitTypes.test') }</div>
+                                                    <div><code>chore:</code> { t('settings.git.commitTypes.chore') }</div>
                                                 </div>
                                             </div>
                                             <div className="p-4 border border-gray-200 dark:border-gray-700 rounded-lg">
                                                 <h4 className="font-medium text-gray-900 dark:text-white mb-2">
-                                                    提交消息模板
+                                                    { t('settings.git.templatesTitle') }
                                                 </h4>
                                                 <div className="space-y-1 text-xs text-gray-600 dark:text-gray-400">
-                                                    <div>feat: 添加用户认证功能</div>
-                                                    <div>fix: 修复登录页面样式问题</div>
-                                                    <div>docs: 更新 API 文档</div>
-                                                    <div>refactor: 优化数据库查询</div>
-                                                    <div>test: 添加单元测试用例</div>
-                                                    <div>chore: 升级依赖版本</div>
+                                                    <div>feat: { t('settings.git.templates.feat') }</div>
+                                                    <div>fix: { t('settings.git.templates.fix') }</div>
+                                                    <div>docs: { t('settings.git.templates.docs') }</div>
+                                                    <div>refactor: { t('settings.git.templates.refactor') }</div>
+                                                    <div>test: { t('settings.git.templates.test') }</div>
+                                                    <div>chore: { t('settings.git.templates.chore') }</div>
                                                 </div>
                                             </div>
                                         </div>
@@ -1280,22 +1329,22 @@ function ToolsSettings({ isOpen, onClose }) {
                                         <div className="p-1.5 bg-primary/10 rounded-md">
                                             <Shield className="w-3.5 h-3.5 text-primary"/>
                                         </div>
-                                        <h3 className="text-base font-semibold text-foreground">权限模式</h3>
+                                        <h3 className="text-base font-semibold text-foreground">{ t('settings.security.modeTitle') }</h3>
                                     </div>
                                     <p className="text-xs text-muted-foreground mb-3">
-                                        选择工具权限的处理方式
+                                        { t('settings.security.modeHint') }
                                     </p>
                                     { skipPermissions && (
                                         <div className="mb-3 p-3 rounded-lg text-sm bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-200 border border-red-300 dark:border-red-700">
-                                            已启用 <code className="px-1 bg-red-100/70 dark:bg-red-800/40 rounded">--dangerously-skip-permissions</code>，权限模式已被忽略。请在下方关闭以恢复。
+                                            { t('settings.security.skipActiveBefore') }<code className="px-1 bg-red-100/70 dark:bg-red-800/40 rounded">--dangerously-skip-permissions</code>{ t('settings.security.skipActiveAfter') }
                                         </div>
                                     ) }
                                     <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
                                         {[
-                                            { value: 'default', title: '默认模式', icon: Shield, color: 'text-primary', desc: '每次使用工具时都会提示权限确认' },
-                                            { value: 'acceptEdits', title: '接受编辑', icon: Edit3, color: 'text-green-500', desc: '自动允许安全的编辑与读取类操作' },
-                                            { value: 'bypassPermissions', title: '绕过权限', icon: AlertTriangle, color: 'text-orange-500', desc: '尽量减少权限提示，保护高风险操作' },
-                                            { value: 'plan', title: '计划模式', icon: FileText, color: 'text-primary', desc: '仅生成计划，不直接执行潜在有副作用的操作' }
+                                            { value: 'default', title: t('settings.security.modes.default.title'), icon: Shield, color: 'text-primary', desc: t('settings.security.modes.default.desc') },
+                                            { value: 'acceptEdits', title: t('settings.security.modes.acceptEdits.title'), icon: Edit3, color: 'text-green-500', desc: t('settings.security.modes.acceptEdits.desc') },
+                                            { value: 'bypassPermissions', title: t('settings.security.modes.bypassPermissions.title'), icon: AlertTriangle, color: 'text-orange-500', desc: t('settings.security.modes.bypassPermissions.desc') },
+                                            { value: 'plan', title: t('settings.security.modes.plan.title'), icon: FileText, color: 'text-primary', desc: t('settings.security.modes.plan.desc') }
                                         ].map((mode) => {
                                             const IconComponent = mode.icon;
                                             return (
@@ -1346,10 +1395,10 @@ function ToolsSettings({ isOpen, onClose }) {
                                         <div className="p-1.5 bg-orange-100 dark:bg-orange-900/30 rounded-md">
                                             <AlertTriangle className="w-3.5 h-3.5 text-orange-500"/>
                                         </div>
-                                        <h3 className="text-base font-semibold text-orange-900 dark:text-orange-100">危险选项</h3>
+                                        <h3 className="text-base font-semibold text-orange-900 dark:text-orange-100">{ t('settings.security.dangerTitle') }</h3>
                                     </div>
                                     <p className="text-xs text-orange-700 dark:text-orange-300 mb-3">
-                                        高危设置，请谨慎使用
+                                        { t('settings.security.dangerHint') }
                                     </p>
                                     <div className="bg-orange-50 dark:bg-orange-900/20 border border-orange-200 dark:border-orange-700 rounded-md p-2">
                                         <label className="flex items-start gap-2 cursor-pointer">
@@ -1359,12 +1408,12 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 onChange={(e) => {
                                                     const checked = e.target.checked;
                                                     if (checked) {
-                                                        const first = confirm('危险操作：即将启用 --dangerously-skip-permissions。启用后将跳过所有权限确认，工具可能在无提示的情况下修改/删除文件、执行命令。确定继续？');
+                                                        const first = confirm(t('settings.security.confirmSkip'));
                                                         if (!first) {
                                                             e.preventDefault();
                                                             return;
                                                         }
-                                                        const second = confirm('再次确认：您确实要启用完全跳过权限提示吗？此选项极其危险，仅在完全信任的项目与环境中使用。');
+                                                        const second = confirm(t('settings.security.confirmSkipAgain'));
                                                         if (!second) {
                                                             e.preventDefault();
                                                             return;
@@ -1378,10 +1427,10 @@ function ToolsSettings({ isOpen, onClose }) {
                                             />
                                             <div className="flex-1">
                                                 <div className="font-medium text-orange-900 dark:text-orange-100 text-sm">
-                                                    跳过所有权限提示（极度危险）
+                                                    { t('settings.security.skipLabel') }
                                                 </div>
                                                 <div className="text-xs text-orange-700 dark:text-orange-300 mt-0.5 leading-tight">
-                                                    等同于 <code className="px-1 bg-orange-100 dark:bg-orange-800/40 rounded">--dangerously-skip-permissions</code> 标志。启用后，权限模式将被忽略。
+                                                    { t('settings.security.skipHintBefore') }<code className="px-1 bg-orange-100 dark:bg-orange-800/40 rounded">--dangerously-skip-permissions</code>{ t('settings.security.skipHintAfter') }
                                                 </div>
                                             </div>
                                         </label>
@@ -1392,16 +1441,43 @@ function ToolsSettings({ isOpen, onClose }) {
                         {/* Appearance Tab */ }
                         { activeTab === 'appearance' && (
                             <div className="space-y-6 md:space-y-8">
+                                {/* Language */ }
+                                <div className="space-y-4">
+                                    <div
+                                        className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+                                        <div className="flex items-center justify-between">
+                                            <div>
+                                                <div className="font-medium text-foreground flex items-center gap-2">
+                                                    <Languages className="w-4 h-4"/>
+                                                    { t('settings.appearance.language') }
+                                                </div>
+                                                <div className="text-sm text-muted-foreground">
+                                                    { t('settings.appearance.languageHint') }
+                                                </div>
+                                            </div>
+                                            <select
+                                                value={ language }
+                                                onChange={ (e) => setLanguage(e.target.value) }
+                                                className="text-sm bg-gray-50 dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-primary focus:border-blue-500 p-2 w-32"
+                                            >
+                                                { SUPPORTED_LANGUAGES.map(option => (
+                                                    <option key={ option.id } value={ option.id }>{ option.label }</option>
+                                                )) }
+                                            </select>
+                                        </div>
+                                    </div>
+                                </div>
+
                                 {/* Theme Settings */ }
                                 <div className="space-y-4">
                                     <div
                                         className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
                                         <div>
                                             <div className="font-medium text-foreground mb-3">
-                                                主题设置
+                                                { t('settings.appearance.theme') }
                                             </div>
                                             <div className="text-sm text-muted-foreground mb-4">
-                                                选择应用程序的外观主题
+                                                { t('settings.appearance.themeHint') }
                                             </div>
                                             <div className="space-y-3">
                                                 {/* Auto Theme */ }
@@ -1417,7 +1493,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     <div className="flex items-center space-x-2">
                                                         <Monitor className="w-4 h-4 text-gray-600 dark:text-gray-400"/>
                                                         <span className="text-sm text-gray-700 dark:text-gray-300">
-                                                                    自动 (跟随系统)
+                                                                    { t('settings.appearance.themeAuto') }
                                                                 </span>
                                                     </div>
                                                 </label>
@@ -1435,7 +1511,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     <div className="flex items-center space-x-2">
                                                         <Sun className="w-4 h-4 text-yellow-500"/>
                                                         <span className="text-sm text-gray-700 dark:text-gray-300">
-                                                                    浅色主题
+                                                                    { t('settings.appearance.themeLight') }
                                                                 </span>
                                                     </div>
                                                 </label>
@@ -1453,7 +1529,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     <div className="flex items-center space-x-2">
                                                         <Moon className="w-4 h-4 text-gray-600 dark:text-gray-400"/>
                                                         <span className="text-sm text-gray-700 dark:text-gray-300">
-                                                                    深色主题
+                                                                    { t('settings.appearance.themeDark') }
                                                                 </span>
                                                     </div>
                                                 </label>
@@ -1469,10 +1545,10 @@ function ToolsSettings({ isOpen, onClose }) {
                                         <div className="flex items-center justify-between">
                                             <div>
                                                 <div className="font-medium text-foreground">
-                                                    项目排序
+                                                    { t('settings.appearance.projectSort') }
                                                 </div>
                                                 <div className="text-sm text-muted-foreground">
-                                                    侧边栏中项目的排序方式
+                                                    { t('settings.appearance.projectSortHint') }
                                                 </div>
                                             </div>
                                             <select
@@ -1484,8 +1560,8 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 } }
                                                 className="text-sm bg-gray-50 dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-900 dark:text-gray-100 rounded-lg focus:ring-primary focus:border-blue-500 p-2 w-32"
                                             >
-                                                <option value="name">按字母顺序</option>
-                                                <option value="date">按最近活动</option>
+                                                <option value="name">{ t('settings.appearance.sortByName') }</option>
+                                                <option value="date">{ t('settings.appearance.sortByDate') }</option>
                                             </select>
                                         </div>
                                     </div>
@@ -1496,37 +1572,37 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div
                                         className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
                                         <div className="mb-3">
-                                            <div className="font-medium text-foreground">聊天背景</div>
+                                            <div className="font-medium text-foreground">{ t('settings.appearance.chatBackground') }</div>
                                             <div className="text-sm text-muted-foreground mb-4">
-                                                可选：上传自定义 PNG/SVG/JPG 作为聊天背景装饰（以 10% 透明度覆盖）
+                                                { t('settings.appearance.chatBackgroundHint') }
                                             </div>
                                         </div>
                                         <div className="flex items-center gap-4">
                                             <div
                                                 className="w-32 h-20 rounded border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 flex items-center justify-center overflow-hidden">
                                                 { chatBgImage ? (
-                                                    <img src={ chatBgImage } alt="背景预览"
+                                                    <img src={ chatBgImage } alt={ t('settings.appearance.backgroundPreview') }
                                                          className="w-full h-full object-cover"/>
                                                 ) : (
-                                                    <div className="text-xs text-gray-400">无自定义背景</div>
+                                                    <div className="text-xs text-gray-400">{ t('settings.appearance.noCustomBackground') }</div>
                                                 ) }
                                             </div>
                                             <div className="flex items-center gap-2">
                                                 <label
                                                     className="inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
-                                                    选择图片
+                                                    { t('settings.appearance.chooseImage') }
                                                     <input type="file" accept="image/png,image/svg+xml,image/jpeg"
                                                            className="hidden"
                                                            onChange={ (e) => handleChatBgFileChange(e.target.files?.[0]) }/>
                                                 </label>
                                                 <button type="button" onClick={ handleClearChatBg }
                                                         className="px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
-                                                        disabled={ !chatBgImage }>清除
+                                                        disabled={ !chatBgImage }>{ t('common.clear') }
                                                 </button>
                                             </div>
                                         </div>
-                                        <div className="text-[11px] text-gray-500 dark:text-gray-400 mt-2">未设置时使用内置背景图
-                                            bg-repeat.svg
+                                        <div className="text-[11px] text-gray-500 dark:text-gray-400 mt-2">
+                                            { t('settings.appearance.defaultBackground') }
                                         </div>
                                     </div>
                                 </div>
@@ -1536,37 +1612,37 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div
                                         className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
                                         <div className="mb-3">
-                                            <div className="font-medium text-foreground">用户头像</div>
+                                            <div className="font-medium text-foreground">{ t('settings.appearance.userAvatar') }</div>
                                             <div
-                                                className="text-sm text-muted-foreground">上传自定义头像（PNG/SVG/JPG），将在聊天中用于用户消息气泡旁显示
+                                                className="text-sm text-muted-foreground">{ t('settings.appearance.userAvatarHint') }
                                             </div>
                                         </div>
                                         <div className="flex items-center gap-4">
                                             <div
                                                 className="w-16 h-16 rounded-full border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 overflow-hidden">
                                                 { userAvatar ? (
-                                                    <img src={ userAvatar } alt="头像预览"
+                                                    <img src={ userAvatar } alt={ t('settings.appearance.avatarPreview') }
                                                          className="w-full h-full object-cover"/>
                                                 ) : (
                                                     <div
-                                                        className="w-full h-full flex items-center justify-center text-xs text-gray-400">无</div>
+                                                        className="w-full h-full flex items-center justify-center text-xs text-gray-400">{ t('common.none') }</div>
                                                 ) }
                                             </div>
                                             <div className="flex items-center gap-2">
                                                 <label
                                                     className="inline-flex items-center px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 cursor-pointer">
-                                                    选择头像
+                                                    { t('settings.appearance.chooseAvatar') }
                                                     <input type="file" accept="image/png,image/svg+xml,image/jpeg"
                                                            className="hidden"
                                                            onChange={ (e) => handleUserAvatarFileChange(e.target.files?.[0]) }/>
                                                 </label>
                                                 <button type="button" onClick={ handleClearUserAvatar }
                                                         className="px-3 py-1.5 text-sm rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
-                                                        disabled={ !userAvatar }>清除
+                                                        disabled={ !userAvatar }>{ t('common.clear') }
                                                 </button>
                                             </div>
                                         </div>
-                                        <div className="text-[11px] text-gray-500 dark:text-gray-400 mt-2">未设置时使用默认头像</div>
+                                        <div className="text-[11px] text-gray-500 dark:text-gray-400 mt-2">{ t('settings.appearance.defaultAvatar') }</div>
                                     </div>
                                 </div>
                             </div>
@@ -1582,23 +1658,23 @@ function ToolsSettings({ isOpen, onClose }) {
                                         <div>
                                             <div className="font-medium text-foreground mb-3 flex items-center gap-2">
                                                 <Bug className="w-4 h-4"/>
-                                                开发者工具
+                                                { t('settings.developer.toolsTitle') }
                                             </div>
                                             <div className="text-sm text-muted-foreground mb-4">
-                                                访问浏览器开发者控制台和调试工具
+                                                { t('settings.developer.toolsHint') }
                                             </div>
 
                                             <DevTools className="mb-4"/>
 
                                             <div
                                                 className="text-xs text-muted-foreground mt-4 p-3 bg-primary/5 rounded-lg border border-primary/20">
-                                                <div className="font-medium mb-2">使用提示：</div>
+                                                <div className="font-medium mb-2">{ t('settings.developer.tipsTitle') }</div>
                                                 <ul className="list-disc list-inside space-y-1">
-                                                    <li>在 Electron 应用中，您可以使用上方按钮控制开发者工具的显示</li>
-                                                    <li>在浏览器中，请使用 F12 键或右键菜单访问开发者工具</li>
-                                                    <li>Console 面板可以查看日志输出和执行 JavaScript 代码</li>
-                                                    <li>Network 面板可以监控网络请求</li>
-                                                    <li>Elements 面板可以检查和修改 DOM 结构</li>
+                                                    <li>{ t('settings.developer.tips.0') }</li>
+                                                    <li>{ t('settings.developer.tips.1') }</li>
+                                                    <li>{ t('settings.developer.tips.2') }</li>
+                                                    <li>{ t('settings.developer.tips.3') }</li>
+                                                    <li>{ t('settings.developer.tips.4') }</li>
                                                 </ul>
                                             </div>
                                         </div>
@@ -1612,22 +1688,22 @@ function ToolsSettings({ isOpen, onClose }) {
                                         <div>
                                             <div className="font-medium text-foreground mb-3 flex items-center gap-2">
                                                 <Terminal className="w-4 h-4"/>
-                                                环境信息
+                                                { t('settings.developer.environmentTitle') }
                                             </div>
                                             <div className="text-sm text-muted-foreground mb-4">
-                                                当前应用运行环境的详细信息
+                                                { t('settings.developer.environmentHint') }
                                             </div>
 
                                             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
                                                 <div className="space-y-2">
                                                     <div className="flex justify-between">
-                                                        <span className="text-muted-foreground">运行环境:</span>
+                                                        <span className="text-muted-foreground">{ t('settings.developer.runtime') }</span>
                                                         <span className="font-mono">
                                                             { window.electronAPI ? 'Electron Desktop' : 'Web Browser' }
                                                         </span>
                                                     </div>
                                                     <div className="flex justify-between">
-                                                        <span className="text-muted-foreground">用户代理:</span>
+                                                        <span className="text-muted-foreground">{ t('settings.developer.userAgent') }</span>
                                                         <span className="font-mono text-xs truncate max-w-32"
                                                               title={ navigator.userAgent }>
                                                             { navigator.userAgent.split(' ')[0] }
@@ -1636,21 +1712,21 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 </div>
                                                 <div className="space-y-2">
                                                     <div className="flex justify-between">
-                                                        <span className="text-muted-foreground">窗口尺寸:</span>
+                                                        <span className="text-muted-foreground">{ t('settings.developer.windowSize') }</span>
                                                         <span className="font-mono">
                                                             { window.innerWidth } × { window.innerHeight }
                                                         </span>
                                                     </div>
                                                     <div className="flex justify-between">
-                                                        <span className="text-muted-foreground">开发模式:</span>
+                                                        <span className="text-muted-foreground">{ t('settings.developer.devMode') }</span>
                                                         <span className="font-mono text-green-600">
-                                                            { isDevelopmentMode ? '是' : '否' }
+                                                            { isDevelopmentMode ? t('common.yes') : t('common.no') }
                                                         </span>
                                                     </div>
                                                 </div>
                                                 <div className="space-y-2">
                                                     <div className="flex justify-between">
-                                                        <span className="text-muted-foreground">语言:</span>
+                                                        <span className="text-muted-foreground">{ t('settings.developer.language') }</span>
                                                         <span className="font-mono">
                                                             { navigator.language }
                                                         </span>
@@ -1666,7 +1742,12 @@ function ToolsSettings({ isOpen, onClose }) {
                         {/* Usage Tab */ }
                         { activeTab === 'usage' && (
                             <div className="space-y-6 md:space-y-8">
-                                <LazyUsageMonitor />
+                                <LazyUsageMonitor
+                                    onOpenSession={ onOpenSession && ((projectName, sessionId) => {
+                                        onClose();
+                                        onOpenSession(projectName, sessionId);
+                                    }) }
+                                />
                             </div>
                         ) }
                         {/* About Tab */ }
@@ -1677,7 +1758,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div className="flex items-center gap-3">
                                         <Monitor className="w-5 h-5 text-green-500"/>
                                         <h3 className="text-lg font-medium text-foreground">
-                                            应用信息
+                                            { t('settings.about.title') }
                                         </h3>
                                     </div>
                                     
@@ -1685,14 +1766,14 @@ function ToolsSettings({ isOpen, onClose }) {
                                         {appInfoLoading && (
                                             <div className="text-center py-4">
                                                 <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-500 mx-auto mb-2"></div>
-                                                <p className="text-sm text-gray-600 dark:text-gray-400">正在获取应用信息...</p>
+                                                <p className="text-sm text-gray-600 dark:text-gray-400">{ t('settings.about.loading') }</p>
                                             </div>
                                         )}
                                         
                                         {appInfoError && !appInfoLoading && (
                                             <div className="text-center py-4">
                                                 <AlertTriangle className="w-8 h-8 text-red-500 mx-auto mb-2"/>
-                                                <p className="text-sm text-red-600 dark:text-red-400 mb-2">获取应用信息失败</p>
+                                                <p className="text-sm text-red-600 dark:text-red-400 mb-2">{ t('settings.about.loadFailed') }</p>
                                                 <p className="text-xs text-gray-600 dark:text-gray-400">{appInfoError}</p>
                                                 <Button
                                                     onClick={fetchAppInfo}
@@ -1700,7 +1781,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     size="sm"
                                                     className="mt-2"
                                                 >
-                                                    重试
+                                                    { t('common.retry') }
                                                 </Button>
                                             </div>
                                         )}
@@ -1708,34 +1789,34 @@ function ToolsSettings({ isOpen, onClose }) {
                                         {appInfo && !appInfoLoading && (
                                             <div className="space-y-3 text-sm">
                                                 <div className="flex justify-between">
-                                                    <span className="text-gray-600 dark:text-gray-400">应用名称:</span>
+                                                    <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.name') }</span>
                                                     <span className="font-medium">{appInfo.name}</span>
                                                 </div>
                                                 <div className="flex justify-between">
-                                                    <span className="text-gray-600 dark:text-gray-400">版本:</span>
+                                                    <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.version') }</span>
                                                     <span className="font-mono text-xs">{appInfo.version}</span>
                                                 </div>
                                                 {appInfo.description && (
                                                     <div className="flex justify-between">
-                                                        <span className="text-gray-600 dark:text-gray-400">描述:</span>
+                                                        <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.description') }</span>
                                                         <span className="font-medium text-right max-w-xs">{appInfo.description}</span>
                                                     </div>
                                                 )}
                                                 {appInfo.author && (
                                                     <div className="flex justify-between">
-                                                        <span className="text-gray-600 dark:text-gray-400">作者:</span>
+                                                        <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.author') }</span>
                                                         <span className="font-medium">{appInfo.author}</span>
                                                     </div>
                                                 )}
                                                 {appInfo.license && (
                                                     <div className="flex justify-between">
-                                                        <span className="text-gray-600 dark:text-gray-400">许可证:</span>
+                                                        <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.license') }</span>
                                                         <span className="font-mono text-xs">{appInfo.license}</span>
                                                     </div>
                                                 )}
                                                 {appInfo.git?.repository && (
                                                     <div className="flex justify-between">
-                                                        <span className="text-gray-600 dark:text-gray-400">仓库:</span>
+                                                        <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.repository') }</span>
                                                         <a 
                                                             href={appInfo.git.repository.replace('git@github.com:', 'https://github.com/').replace('.git', '')}
                                                             target="_blank"
@@ -1748,42 +1829,42 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 )}
                                                 {appInfo.git?.commit && (
                                                     <div className="flex justify-between">
-                                                        <span className="text-gray-600 dark:text-gray-400">提交:</span>
+                                                        <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.commit') }</span>
                                                         <span className="font-mono text-xs">{appInfo.git.commit}</span>
                                                     </div>
                                                 )}
                                                 <div className="flex justify-between">
-                                                    <span className="text-gray-600 dark:text-gray-400">运行环境:</span>
+                                                    <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.runtime') }</span>
                                                     <span className="font-medium">
                                                         {window.electronAPI?.isElectron?.() ? 'Electron Desktop' : 'Web Browser'}
                                                     </span>
                                                 </div>
                                                 <div className="flex justify-between">
-                                                    <span className="text-gray-600 dark:text-gray-400">平台:</span>
+                                                    <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.platform') }</span>
                                                     <span className="font-medium capitalize">
                                                         {appInfo.build?.platform || window.electronAPI?.platform || navigator.platform}
                                                     </span>
                                                 </div>
                                                 <div className="flex justify-between">
-                                                    <span className="text-gray-600 dark:text-gray-400">架构:</span>
+                                                    <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.arch') }</span>
                                                     <span className="font-mono text-xs">{appInfo.build?.arch}</span>
                                                 </div>
                                                 {window.environment && (
                                                     <>
                                                         <div className="flex justify-between">
-                                                            <span className="text-gray-600 dark:text-gray-400">Electron版本:</span>
+                                                            <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.electronVersion') }</span>
                                                             <span className="font-mono text-xs">
                                                                 {window.environment.electronVersion}
                                                             </span>
                                                         </div>
                                                         <div className="flex justify-between">
-                                                            <span className="text-gray-600 dark:text-gray-400">Node.js版本:</span>
+                                                            <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.nodeVersion') }</span>
                                                             <span className="font-mono text-xs">
                                                                 {appInfo.build?.nodeVersion || window.environment.nodeVersion}
                                                             </span>
                                                         </div>
                                                         <div className="flex justify-between">
-                                                            <span className="text-gray-600 dark:text-gray-400">Chrome版本:</span>
+                                                            <span className="text-gray-600 dark:text-gray-400">{ t('settings.about.chromeVersion') }</span>
                                                             <span className="font-mono text-xs">
                                                                 {window.environment.chromeVersion}
                                                             </span>
@@ -1796,13 +1877,13 @@ function ToolsSettings({ isOpen, onClose }) {
                                         {!appInfo && !appInfoLoading && !appInfoError && (
                                             <div className="text-center py-4">
                                                 <Monitor className="w-8 h-8 text-gray-400 mx-auto mb-2"/>
-                                                <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">应用信息未加载</p>
+                                                <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">{ t('settings.about.notLoaded') }</p>
                                                 <Button
                                                     onClick={fetchAppInfo}
                                                     variant="outline"
                                                     size="sm"
                                                 >
-                                                    获取应用信息
+                                                    { t('settings.about.load') }
                                                 </Button>
                                             </div>
                                         )}
@@ -1819,20 +1900,20 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div className="flex items-center gap-3">
                                         <Shield className="w-5 h-5 text-green-500"/>
                                         <h3 className="text-lg font-medium text-foreground">
-                                            允许的工具
+                                            { t('settings.tools.allowedTitle') }
                                         </h3>
                                     </div>
                                     <div
                                         className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
                                         <p className="text-sm text-muted-foreground mb-4">
-                                            无需提示权限即可自动允许的工具
+                                            { t('settings.tools.allowedHint') }
                                         </p>
 
                                         <div className="flex flex-col sm:flex-row gap-2">
                                             <Input
                                                 value={ newAllowedTool }
                                                 onChange={ (e) => setNewAllowedTool(e.target.value) }
-                                                placeholder='e.g., "Bash(git log:*)" or "Write"'
+                                                placeholder={ t('settings.tools.allowedPlaceholder') }
                                                 onKeyPress={ (e) => {
                                                     if (e.key === 'Enter') {
                                                         addAllowedTool(newAllowedTool);
@@ -1855,7 +1936,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                         {/* Common tools quick add */ }
                                         <div className="space-y-2 mt-4">
                                             <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
-                                                快速添加常用工具：
+                                                { t('settings.tools.quickAdd') }
                                             </p>
                                             <div className="grid grid-cols-2 sm:flex sm:flex-wrap gap-2">
                                                 { commonTools.map(tool => (
@@ -1893,7 +1974,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                             )) }
                                             { allowedTools.length === 0 && (
                                                 <div className="text-center py-8 text-gray-500 dark:text-gray-400">
-                                                    未配置允许的工具
+                                                    { t('settings.tools.noAllowed') }
                                                 </div>
                                             ) }
                                         </div>
@@ -1905,20 +1986,20 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div className="flex items-center gap-3">
                                         <AlertTriangle className="w-5 h-5 text-red-500"/>
                                         <h3 className="text-lg font-medium text-foreground">
-                                            禁用的工具
+                                            { t('settings.tools.disallowedTitle') }
                                         </h3>
                                     </div>
                                     <div
                                         className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-4">
                                         <p className="text-sm text-muted-foreground mb-4">
-                                            无需提示权限即可自动阻止的工具
+                                            { t('settings.tools.disallowedHint') }
                                         </p>
 
                                         <div className="flex flex-col sm:flex-row gap-2">
                                             <Input
                                                 value={ newDisallowedTool }
                                                 onChange={ (e) => setNewDisallowedTool(e.target.value) }
-                                                placeholder='e.g., "Bash(rm:*)" or "Write"'
+                                                placeholder={ t('settings.tools.disallowedPlaceholder') }
                                                 onKeyPress={ (e) => {
                                                     if (e.key === 'Enter') {
                                                         addDisallowedTool(newDisallowedTool);
@@ -1957,7 +2038,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                             )) }
                                             { disallowedTools.length === 0 && (
                                                 <div className="text-center py-8 text-gray-500 dark:text-gray-400">
-                                                    未配置禁用的工具
+                                                    { t('settings.tools.noDisallowed') }
                                                 </div>
                                             ) }
                                         </div>
@@ -1968,24 +2049,24 @@ function ToolsSettings({ isOpen, onClose }) {
                                 <div
                                     className="bg-primary/5 border border-primary/20 rounded-lg p-4">
                                     <h4 className="font-medium text-primary-foreground mb-2">
-                                        工具模式示例：
+                                        { t('settings.tools.examplesTitle') }
                                     </h4>
                                     <ul className="text-sm text-primary space-y-1">
                                         <li><code className="bg-primary/10 px-1 rounded">"Bash(git
-                                            log:*)"</code> - 允许所有 git log 命令
+                                            log:*)"</code> - { t('settings.tools.examples.gitLog') }
                                         </li>
                                         <li><code className="bg-primary/10 px-1 rounded">"Bash(git
-                                            diff:*)"</code> - 允许所有 git diff 命令
+                                            diff:*)"</code> - { t('settings.tools.examples.gitDiff') }
                                         </li>
                                         <li><code className="bg-primary/10 px-1 rounded">"Write"</code> -
-                                            允许所有写入工具使用
+                                            { t('settings.tools.examples.write') }
                                         </li>
                                         <li><code className="bg-primary/10 px-1 rounded">"Read"</code> -
-                                            允许所有读取工具使用
+                                            { t('settings.tools.examples.read') }
                                         </li>
                                         <li><code
                                             className="bg-primary/10 px-1 rounded">"Bash(rm:*)"</code> -
-                                            阻止所有 rm 命令（危险）
+                                            { t('settings.tools.examples.rm') }
                                         </li>
                                     </ul>
                                 </div>
@@ -1995,14 +2076,14 @@ function ToolsSettings({ isOpen, onClose }) {
                                     <div className="mt-4 p-4 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg">
                                         <div className="flex items-center justify-between">
                                             <div className="text-sm text-blue-800 dark:text-blue-200">
-                                                工具权限设置已修改，需要保存以生效。
+                                                { t('settings.tools.unsaved') }
                                             </div>
                                             <Button
                                                 onClick={saveToolsSettings}
                                                 className="bg-blue-600 hover:bg-blue-700 text-white"
                                                 size="sm"
                                             >
-                                                保存工具设置
+                                                { t('settings.tools.save') }
                                             </Button>
                                         </div>
                                     </div>
@@ -2018,18 +2099,17 @@ function ToolsSettings({ isOpen, onClose }) {
                                 <div className="space-y-4">
                                     <div className="flex items-center gap-3">
                                         <Server className="w-5 h-5 text-purple-500"/>
-                                        <h3 className="text-lg font-medium text-foreground">MCP 服务器</h3>
+                                        <h3 className="text-lg font-medium text-foreground">{ t('settings.mcp.title') }</h3>
                                     </div>
                                     <div
                                         className="bg-gray-50 dark:bg-gray-900/50 border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-4">
                                         <div className="space-y-2">
-                                            <p className="text-sm text-muted-foreground">模型上下文协议服务器为 Claude
-                                                提供额外的工具和数据源</p>
+                                            <p className="text-sm text-muted-foreground">{ t('settings.mcp.description') }</p>
                                         </div>
                                         <div className="flex justify-between items-center">
                                             <Button onClick={ () => openMcpForm() }
                                                     className="bg-purple-600 hover:bg-purple-700 text-white" size="sm">
-                                                <Plus className="w-4 h-4 mr-2"/>添加 MCP 服务器
+                                                <Plus className="w-4 h-4 mr-2"/>{ t('settings.mcp.add') }
                                             </Button>
                                         </div>
                                         {/* MCP Servers List */ }
@@ -2050,7 +2130,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                             </div>
                                                             <div className="text-sm text-muted-foreground space-y-1">
                                                                 { server.type === 'stdio' && server.config.command && (
-                                                                    <div>Command: <code
+                                                                    <div>{ t('settings.mcp.command') }: <code
                                                                         className="bg-gray-100 dark:bg-gray-800 px-1 rounded text-xs">{ server.config.command }</code>
                                                                     </div>) }
                                                                 { (server.type === 'sse' || server.type === 'http') && server.config.url && (
@@ -2058,7 +2138,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                                         className="bg-gray-100 dark:bg-gray-800 px-1 rounded text-xs">{ server.config.url }</code>
                                                                     </div>) }
                                                                 { server.config.args && server.config.args.length > 0 && (
-                                                                    <div>Args: <code
+                                                                    <div>{ t('settings.mcp.args') }: <code
                                                                         className="bg-gray-100 dark:bg-gray-800 px-1 rounded text-xs">{ server.config.args.join(' ') }</code>
                                                                     </div>) }
                                                             </div>
@@ -2080,14 +2160,12 @@ function ToolsSettings({ isOpen, onClose }) {
                                                             { mcpServerTools[server.id] && (
                                                                 <div
                                                                     className="mt-2 p-2 rounded text-xs bg-primary/5 text-primary border border-primary/20">
-                                                                    <div className="font-medium mb-2">Available Tools &
-                                                                        Resources
+                                                                    <div className="font-medium mb-2">{ t('settings.mcp.discovered') }
                                                                     </div>
                                                                     { mcpServerTools[server.id].tools && mcpServerTools[server.id].tools.length > 0 && (
                                                                         <div className="mb-2">
                                                                             <div
-                                                                                className="font-medium text-xs mb-1">Tools
-                                                                                ({ mcpServerTools[server.id].tools.length }):
+                                                                                className="font-medium text-xs mb-1">{ t('settings.mcp.tools', { count: mcpServerTools[server.id].tools.length }) }
                                                                             </div>
                                                                             <ul className="space-y-0.5">
                                                                                 { mcpServerTools[server.id].tools.map((tool, i) => (
@@ -2110,8 +2188,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                                     { mcpServerTools[server.id].resources && mcpServerTools[server.id].resources.length > 0 && (
                                                                         <div className="mb-2">
                                                                             <div
-                                                                                className="font-medium text-xs mb-1">Resources
-                                                                                ({ mcpServerTools[server.id].resources.length }):
+                                                                                className="font-medium text-xs mb-1">{ t('settings.mcp.resources', { count: mcpServerTools[server.id].resources.length }) }
                                                                             </div>
                                                                             <ul className="space-y-0.5">
                                                                                 { mcpServerTools[server.id].resources.map((resource, i) => (
@@ -2134,8 +2211,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                                     { mcpServerTools[server.id].prompts && mcpServerTools[server.id].prompts.length > 0 && (
                                                                         <div>
                                                                             <div
-                                                                                className="font-medium text-xs mb-1">Prompts
-                                                                                ({ mcpServerTools[server.id].prompts.length }):
+                                                                                className="font-medium text-xs mb-1">{ t('settings.mcp.prompts', { count: mcpServerTools[server.id].prompts.length }) }
                                                                             </div>
                                                                             <ul className="space-y-0.5">
                                                                                 { mcpServerTools[server.id].prompts.map((prompt, i) => (
@@ -2156,8 +2232,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                                         </div>
                                                                     ) }
                                                                     { (!mcpServerTools[server.id].tools || mcpServerTools[server.id].tools.length === 0) && (!mcpServerTools[server.id].resources || mcpServerTools[server.id].resources.length === 0) && (!mcpServerTools[server.id].prompts || mcpServerTools[server.id].prompts.length === 0) && (
-                                                                        <div className="text-xs opacity-75">No tools,
-                                                                            resources, or prompts discovered</div>
+                                                                        <div className="text-xs opacity-75">{ t('settings.mcp.nothingDiscovered') }</div>
                                                                     ) }
                                                                 </div>
                                                             ) }
@@ -2168,7 +2243,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                                 variant="ghost" size="sm"
                                                                 disabled={ mcpTestResults[server.id]?.loading }
                                                                 className="text-primary hover:text-primary/80"
-                                                                title="Test connection">
+                                                                title={ t('settings.mcp.test') }>
                                                                 { mcpTestResults[server.id]?.loading ? (<div
                                                                     className="w-4 h-4 animate-spin rounded-full border-2 border-primary border-t-transparent"/>) : (
                                                                     <Play className="w-4 h-4"/>) }
@@ -2178,7 +2253,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                                 variant="ghost" size="sm"
                                                                 disabled={ mcpToolsLoading[server.id] }
                                                                 className="text-purple-600 hover:text-purple-700 dark:text-purple-400 dark:hover:text-purple-300"
-                                                                title="Discover tools">
+                                                                title={ t('settings.mcp.discover') }>
                                                                 { mcpToolsLoading[server.id] ? (<div
                                                                     className="w-4 h-4 animate-spin rounded-full border-2 border-purple-600 border-t-transparent"/>) : (
                                                                     <Settings className="w-4 h-4"/>) }
@@ -2199,8 +2274,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 </div>
                                             )) }
                                             { mcpServers.length === 0 && (
-                                                <div className="text-center py-8 text-gray-500 dark:text-gray-400">未配置
-                                                    MCP 服务器</div>) }
+                                                <div className="text-center py-8 text-gray-500 dark:text-gray-400">{ t('settings.mcp.empty') }</div>) }
                                         </div>
                                     </div>
                                 </div>
@@ -2213,7 +2287,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                             className="bg-background border border-border rounded-lg w-full max-w-2xl max-h-[90vh] overflow-y-auto">
                                             <div
                                                 className="flex items-center justify-between p-4 border-b border-border">
-                                                <h3 className="text-lg font-medium text-foreground">{ editingMcpServer ? '编辑 MCP 服务器' : '添加 MCP 服务器' }</h3>
+                                                <h3 className="text-lg font-medium text-foreground">{ editingMcpServer ? t('settings.mcp.edit') : t('settings.mcp.add') }</h3>
                                                 <Button variant="ghost" size="sm" onClick={ resetMcpForm }>
                                                     <X className="w-4 h-4"/>
                                                 </Button>
@@ -2222,7 +2296,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                                                     <div>
                                                         <label
-                                                            className="block text-sm font-medium text-foreground mb-2">服务器名称
+                                                            className="block text-sm font-medium text-foreground mb-2">{ t('settings.mcp.name') }
                                                             *</label>
                                                         <Input value={ mcpFormData.name } onChange={ (e) => {
                                                             setMcpFormData(prev => ({ ...prev, name: e.target.value }));
@@ -2232,7 +2306,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     </div>
                                                     <div>
                                                         <label
-                                                            className="block text-sm font-medium text-foreground mb-2">传输类型
+                                                            className="block text-sm font-medium text-foreground mb-2">{ t('settings.mcp.transport') }
                                                             *</label>
                                                         <select value={ mcpFormData.type } onChange={ (e) => {
                                                             setMcpFormData(prev => ({ ...prev, type: e.target.value }));
@@ -2250,7 +2324,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                     <div className="space-y-4">
                                                         <div>
                                                             <label
-                                                                className="block text-sm font-medium text-foreground mb-2">命令
+                                                                className="block text-sm font-medium text-foreground mb-2">{ t('settings.mcp.command') }
                                                                 *</label>
                                                             <Input value={ mcpFormData.config.command }
                                                                    onChange={ (e) => updateMcpConfig('command', e.target.value) }
@@ -2258,7 +2332,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                         </div>
                                                         <div>
                                                             <label
-                                                                className="block text-sm font-medium text-foreground mb-2">参数（每行一个）</label>
+                                                                className="block text-sm font-medium text-foreground mb-2">{ t('settings.mcp.argsHint') }</label>
                                                             <textarea
                                                                 value={ Array.isArray(mcpFormData.config.args) ? mcpFormData.config.args.join('\n') : '' }
                                                                 onChange={ (e) => updateMcpConfig('args', e.target.value.split('\n').filter(arg => arg.trim())) }
@@ -2280,7 +2354,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 ) }
                                                 <div>
                                                     <label
-                                                        className="block text-sm font-medium text-foreground mb-2">环境变量（KEY=value，每行一个）</label>
+                                                        className="block text-sm font-medium text-foreground mb-2">{ t('settings.mcp.env') }</label>
                                                     <textarea
                                                         value={ Object.entries(mcpFormData.config.env || {}).map(([k, v]) => `${ k }=${ v }`).join('\n') }
                                                         onChange={ (e) => {
@@ -2299,7 +2373,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 { (mcpFormData.type === 'sse' || mcpFormData.type === 'http') && (
                                                     <div>
                                                         <label
-                                                            className="block text-sm font-medium text-foreground mb-2">请求头（KEY=value，每行一个）</label>
+                                                            className="block text-sm font-medium text-foreground mb-2">{ t('settings.mcp.headers') }</label>
                                                         <textarea
                                                             value={ Object.entries(mcpFormData.config.headers || {}).map(([k, v]) => `${ k }=${ v }`).join('\n') }
                                                             onChange={ (e) => {
@@ -2319,7 +2393,7 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 ) }
                                                 <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
                                                     <div className="flex items-center justify-between mb-3">
-                                                        <h4 className="font-medium text-foreground">配置测试</h4>
+                                                        <h4 className="font-medium text-foreground">{ t('settings.mcp.configTest') }</h4>
                                                         <Button type="button" onClick={ handleTestConfiguration }
                                                                 disabled={ mcpConfigTesting || !mcpFormData.name.trim() }
                                                                 variant="outline" size="sm"
@@ -2327,11 +2401,11 @@ function ToolsSettings({ isOpen, onClose }) {
                                                             { mcpConfigTesting ? (<>
                                                                 <div
                                                                     className="w-4 h-4 animate-spin rounded-full border-2 border-primary border-t-transparent mr-2"/>
-                                                                测试中...</>) : (<><Play
-                                                                className="w-4 h-4 mr-2"/>测试配置</>) }
+                                                                { t('settings.mcp.testing') }</>) : (<><Play
+                                                                className="w-4 h-4 mr-2"/>{ t('settings.mcp.testConfig') }</>) }
                                                         </Button>
                                                     </div>
-                                                    <p className="text-sm text-muted-foreground mb-3">您可以测试配置以验证其是否正常工作。</p>
+                                                    <p className="text-sm text-muted-foreground mb-3">{ t('settings.mcp.configTestHint') }</p>
                                                     { mcpConfigTestResult && (
                                                         <div
                                                             className={ `p-3 rounded-lg text-sm ${ mcpConfigTestResult.success ? 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-200 border border-green-200 dark:border-green-800' : 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-200 border border-red-200 dark:border-red-800' }` }>
@@ -2365,9 +2439,9 @@ function ToolsSettings({ isOpen, onClose }) {
                                                 </div>
                                                 <div className="flex justify-end gap-2 pt-4">
                                                     <Button type="button" variant="outline"
-                                                            onClick={ resetMcpForm }>取消</Button>
+                                                            onClick={ resetMcpForm }>{ t('common.cancel') }</Button>
                                                     <Button type="submit" disabled={ mcpLoading }
-                                                            className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50">{ mcpLoading ? '保存中...' : (editingMcpServer ? '更新服务器' : '添加服务器') }</Button>
+                                                            className="bg-purple-600 hover:bg-purple-700 disabled:opacity-50">{ mcpLoading ? t('common.saving') : (editingMcpServer ? t('settings.mcp.update') : t('settings.mcp.addShort')) }</Button>
                                                 </div>
                                             </form>
                                         </div>
@@ -2384,7 +2458,7 @@ function ToolsSettings({ isOpen, onClose }) {
                         onClick={ onClose }
                         className="h-10"
                     >
-                        关闭
+                        { t('common.close') }
                     </Button>
                 </div>
             </div>
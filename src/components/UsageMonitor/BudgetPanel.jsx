@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, BellRing, Plus, Save, Settings, Trash2, X } from 'lucide-react';
+import { Button } from '../ui/button';
+import { UsageProgressBar } from './UsageProgressBar';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const PERIOD_FIELDS = [
+    { key: 'dailyCost', step: '0.5' },
+    { key: 'weeklyCost', step: '1' },
+    { key: 'monthlyCost', step: '5' },
+    { key: 'windowTokens', step: '1000' }
+];
+
+/**
+ * 预算提醒面板 - 显示各预算的使用进度、服务端推送的提醒，并可编辑预算
+ * alerts 为 WebSocket 'usage-alert' 消息中的提醒列表
+ */
+export function BudgetPanel({ alerts = [], onDismissAlerts }) {
+    const [budgets, setBudgets] = useState([]);
+    const [config, setConfig] = useState(null);
+    const [editing, setEditing] = useState(false);
+    const [form, setForm] = useState(null);
+    const [projects, setProjects] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const { t, formatNumber, formatCurrency } = useLanguage();
+
+    const getBudgetLabel = (budget) => budget.type === 'projectCost'
+        ? t('usage.budget.projectLabel', { project: budget.projectDisplayName || budget.project })
+        : t(`usage.budget.labels.${budget.type}`);
+
+    const formatBudgetValue = (budget, value) => budget.unit === 'cost'
+        ? formatCurrency(value)
+        : formatNumber(Math.round(value));
+
+    const fetchBudgets = async () => {
+        try {
+            const [statusResponse, configResponse] = await Promise.all([
+                apiFetch('/api/usage/budgets'),
+                apiFetch('/api/usage/custom-limits')
+            ]);
+            const statusResult = await statusResponse.json();
+            const configResult = await configResponse.json();
+            if (statusResult.success) {
+                setBudgets(statusResult.data.budgets);
+            }
+            if (configResult.success) {
+                setConfig(configResult.data);
+            }
+        } catch (err) {
+            console.error('Error fetching usage budgets:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchBudgets();
+    }, []);
+
+    // 收到新提醒时刷新进度
+    useEffect(() => {
+        if (alerts.length > 0) {
+            fetchBudgets();
+        }
+    }, [alerts]);
+
+    const startEditing = async () => {
+        const { budgets: saved, alertSettings } = config;
+        setForm({
+            ...Object.fromEntries(PERIOD_FIELDS.map(({ key }) => [key, saved[key] ?? ''])),
+            projectCosts: Object.entries(saved.projectCosts || {}).map(([project, amount]) => ({ project, amount })),
+            thresholds: alertSettings.thresholds.join(', '),
+            cooldownMinutes: alertSettings.cooldownMinutes,
+            desktopNotifications: alertSettings.desktopNotifications
+        });
+        setError(null);
+        setEditing(true);
+
+        try {
+            const response = await apiFetch('/api/usage/projects?months=3');
+            const result = await response.json();
+            if (result.success) {
+                setProjects(result.data.projects);
+            }
+        } catch (err) {
+            console.error('Error fetching projects for budgets:', err);
+        }
+    };
+
+    const updateProjectCost = (index, changes) => {
+        setForm(prev => ({
+            ...prev,
+            projectCosts: prev.projectCosts.map((item, i) => i === index ? { ...item, ...changes } : item)
+        }));
+    };
+
+    const saveBudgets = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            const response = await apiFetch('/api/usage/custom-limits', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    budgets: {
+                        ...Object.fromEntries(PERIOD_FIELDS.map(({ key }) => [key, form[key] === '' ? null : Number(form[key])])),
+                        projectCosts: Object.fromEntries(form.projectCosts
+                            .filter(item => item.project && item.amount !== '')
+                            .map(item => [item.project, Number(item.amount)]))
+                    },
+                    alertSettings: {
+                        thresholds: form.thresholds.split(/[,，\s]+/).filter(Boolean).map(Number),
+                        cooldownMinutes: Number(form.cooldownMinutes),
+                        desktopNotifications: form.desktopNotifications
+                    }
+                })
+            });
+            const result = await response.json();
+            if (result.success) {
+                setEditing(false);
+                await fetchBudgets();
+            } else {
+                setError(result.error || t('usage.common.saveFailed'));
+            }
+        } catch (err) {
+            console.error('Error saving usage budgets:', err);
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="p-4 rounded-lg border border-gray-200 bg-white dark:bg-gray-800 space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="font-semibold flex items-center">
+                    <Bell className="w-4 h-4 mr-2 text-blue-500" />
+                    {t('usage.budget.title')}
+                </h3>
+                {!editing && config && (
+                    <Button onClick={startEditing} variant="outline" size="sm">
+                        <Settings className="w-4 h-4 mr-1" />
+                        {t('usage.budget.edit')}
+                    </Button>
+                )}
+            </div>
+
+            {/* 服务端推送的提醒 */}
+            {alerts.length > 0 && (
+                <div className="p-3 rounded-lg border border-red-200 bg-red-50 dark:bg-red-900/20 dark:border-red-800 text-sm">
+                    <div className="flex items-start justify-between">
+                        <div className="flex items-start space-x-2 text-red-700 dark:text-red-300">
+                            <BellRing className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                            <ul className="space-y-0.5">
+                                {alerts.map(alert => (
+                                    <li key={`${alert.id}-${alert.threshold}`}>
+                                        {t(alert.percent >= 100 ? 'usage.budget.exceeded' : 'usage.budget.reached', {
+                                            label: getBudgetLabel(alert),
+                                            percent: Math.round(alert.percent),
+                                            usage: formatBudgetValue(alert, alert.usage),
+                                            limit: formatBudgetValue(alert, alert.limit)
+                                        })}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                        {onDismissAlerts && (
+                            <button onClick={onDismissAlerts} className="text-red-500 hover:text-red-700" title={t('usage.common.close')}>
+                                <X className="w-4 h-4" />
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {editing && form ? (
+                <div className="space-y-4 text-sm">
+                    <div className="grid grid-cols-2 gap-3">
+                        {PERIOD_FIELDS.map(({ key, step }) => (
+                            <div key={key}>
+                                <label className="block font-medium mb-1">{t(`usage.budget.fields.${key}`)}</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    step={step}
+                                    value={form[key]}
+                                    placeholder={t('usage.budget.unlimited')}
+                                    onChange={(e) => setForm({ ...form, [key]: e.target.value })}
+                                    className="w-full p-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600"
+                                />
+                            </div>
+                        ))}
+                    </div>
+
+                    <div>
+                        <label className="block font-medium mb-1">{t('usage.budget.projectCosts')}</label>
+                        <div className="space-y-2">
+                            {form.projectCosts.map((item, index) => (
+                                <div key={index} className="flex items-center space-x-2">
+                                    <select
+                                        value={item.project}
+                                        onChange={(e) => updateProjectCost(index, { project: e.target.value })}
+                                        className="flex-1 p-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600"
+                                    >
+                                        <option value="">{t('usage.budget.selectProject')}</option>
+                                        {item.project && !projects.some(project => project.projectName === item.project) && (
+                                            <option value={item.project}>{item.project}</option>
+                                        )}
+                                        {projects.map(project => (
+                                            <option key={project.projectName} value={project.projectName}>
+                                                {project.displayName}
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="1"
+                                        value={item.amount}
+                                        onChange={(e) => updateProjectCost(index, { amount: e.target.value })}
+                                        className="w-28 p-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600"
+                                    />
+                                    <button
+                                        onClick={() => setForm(prev => ({ ...prev, projectCosts: prev.projectCosts.filter((_, i) => i !== index) }))}
+                                        className="text-gray-500 hover:text-red-600"
+                                        title={t('usage.common.remove')}
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ))}
+                            <Button
+                                onClick={() => setForm(prev => ({ ...prev, projectCosts: [...prev.projectCosts, { project: '', amount: '' }] }))}
+                                variant="outline"
+                                size="sm"
+                            >
+                                <Plus className="w-4 h-4 mr-1" />
+                                {t('usage.budget.addProject')}
+                            </Button>
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block font-medium mb-1">{t('usage.budget.thresholds')}</label>
+                            <input
+                                type="text"
+                                value={form.thresholds}
+                                onChange={(e) => setForm({ ...form, thresholds: e.target.value })}
+                                placeholder="80, 100"
+                                className="w-full p-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600"
+                            />
+                        </div>
+                        <div>
+                            <label className="block font-medium mb-1">{t('usage.budget.cooldown')}</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.cooldownMinutes}
+                                onChange={(e) => setForm({ ...form, cooldownMinutes: e.target.value })}
+                                className="w-full p-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600"
+                            />
+                        </div>
+                    </div>
+
+                    <label className="flex items-center space-x-2">
+                        <input
+                            type="checkbox"
+                            checked={form.desktopNotifications}
+                            onChange={(e) => setForm({ ...form, desktopNotifications: e.target.checked })}
+                        />
+                        <span>{t('usage.budget.desktopNotifications')}</span>
+                    </label>
+
+                    {error && <p className="text-red-600 dark:text-red-400">{error}</p>}
+
+                    <div className="flex justify-end space-x-2">
+                        <Button variant="outline" onClick={() => setEditing(false)}>
+                            {t('common.cancel')}
+                        </Button>
+                        <Button onClick={saveBudgets} disabled={saving}>
+                            <Save className="w-4 h-4 mr-2" />
+                            {t('usage.budget.save')}
+                        </Button>
+                    </div>
+                </div>
+            ) : budgets.length === 0 ? (
+                <p className="text-sm text-gray-500">
+                    {t('usage.budget.empty')}
+                </p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                    {budgets.map(budget => (
+                        <UsageProgressBar
+                            key={budget.id}
+                            label={getBudgetLabel(budget)}
+                            current={budget.usage}
+                            limit={budget.limit}
+                            type={budget.unit === 'cost' ? 'cost' : 'default'}
+                            formatValue={(value) => formatBudgetValue(budget, value || 0)}
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
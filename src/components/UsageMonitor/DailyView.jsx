@@ -16,29 +16,35 @@ import {
     Line
 } from 'recharts';
 import { SafeRechartsWrapper } from '../SafeRecharts';
+import { PricingNotice } from './PricingNotice';
+import { UsageBreakdownTable } from './UsageBreakdownTable';
+import { UsageExportDialog } from './UsageExportDialog';
+import { useLanguage } from '../../contexts/LanguageContext';
 
 /**
  * 每日使用量视图组件
  */
-export function DailyView() {
+export function DailyView({ source = '', onOpenSession }) {
     const [data, setData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [days, setDays] = useState(30);
     const [chartType, setChartType] = useState('bar'); // 'bar' 或 'line'
+    const [showExport, setShowExport] = useState(false);
+    const { t, formatNumber, formatCurrency, formatDate } = useLanguage();
 
     // 获取每日数据
     const fetchDailyData = async (dayCount = days) => {
         try {
             setLoading(true);
-            const response = await apiFetch(`/api/usage/daily?days=${dayCount}`);
+            const response = await apiFetch(`/api/usage/daily?days=${dayCount}${source ? `&sources=${encodeURIComponent(source)}` : ''}`);
             const result = await response.json();
             
             if (result.success) {
                 setData(result.data);
                 setError(null);
             } else {
-                setError(result.error || '获取数据失败');
+                setError(result.error || t('usage.common.fetchFailed'));
             }
         } catch (err) {
             console.error('Error fetching daily data:', err);
@@ -48,29 +54,6 @@ export function DailyView() {
         }
     };
 
-    // 导出数据
-    const exportData = async () => {
-        try {
-            const response = await apiFetch(`/api/usage/export?format=csv&type=daily&period=${days}`);
-            if (response.headers.get('content-type')?.includes('text/csv')) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `claude-usage-daily-${new Date().toISOString().split('T')[0]}.csv`;
-                document.body.appendChild(a);
-                a.click();
-                window.URL.revokeObjectURL(url);
-                document.body.removeChild(a);
-            } else {
-                const result = await response.json();
-                console.error('Export failed:', result);
-            }
-        } catch (err) {
-            console.error('Error exporting data:', err);
-        }
-    };
-
     useEffect(() => {
         fetchDailyData();
     }, []);
@@ -86,9 +69,9 @@ export function DailyView() {
         if (!data?.report) return [];
         
         return data.report.slice(0, 20).reverse().map(item => ({
-            date: new Date(item.date).toLocaleDateString('zh-CN', { 
-                month: 'short', 
-                day: 'numeric' 
+            date: formatDate(item.date, {
+                month: 'short',
+                day: 'numeric'
             }),
             tokens: item.stats.totalTokens,
             cost: item.stats.totalCost,
@@ -108,8 +91,8 @@ export function DailyView() {
                         <p key={index} style={{ color: entry.color }}>
                             {entry.name}: {
                                 entry.dataKey === 'cost' 
-                                    ? `$${entry.value.toFixed(4)}` 
-                                    : entry.value.toLocaleString()
+                                    ? formatCurrency(entry.value, 4)
+                                    : formatNumber(entry.value)
                             }
                         </p>
                     ))}
@@ -124,7 +107,7 @@ export function DailyView() {
             <div className="flex items-center justify-center h-64">
                 <div className="flex items-center space-x-2">
                     <RefreshCw className="w-5 h-5 animate-spin" />
-                    <span>加载每日数据...</span>
+                    <span>{t('usage.daily.loading')}</span>
                 </div>
             </div>
         );
@@ -135,7 +118,7 @@ export function DailyView() {
             <div className="p-4 border border-red-200 rounded-lg bg-red-50 dark:bg-red-900/20">
                 <p className="text-red-600 dark:text-red-400">{error}</p>
                 <Button onClick={() => fetchDailyData()} className="mt-3" size="sm">
-                    重试
+                    {t('usage.common.retry')}
                 </Button>
             </div>
         );
@@ -145,7 +128,7 @@ export function DailyView() {
         return (
             <div className="text-center py-8 text-gray-500">
                 <Calendar className="w-12 h-12 mx-auto mb-4 text-gray-300" />
-                <p>暂无每日使用数据</p>
+                <p>{t('usage.daily.empty')}</p>
             </div>
         );
     }
@@ -159,9 +142,9 @@ export function DailyView() {
             <div className="flex items-center justify-between">
                 <div className="flex items-center space-x-4">
                     <Calendar className="w-5 h-5" />
-                    <span className="font-semibold">每日使用统计</span>
+                    <span className="font-semibold">{t('usage.daily.title')}</span>
                     <Badge variant="outline">
-                        {data.totalDays} 天数据
+                        {t('usage.daily.totalDays', { count: data.totalDays })}
                     </Badge>
                 </div>
                 
@@ -171,11 +154,11 @@ export function DailyView() {
                         onChange={(e) => handleDaysChange(parseInt(e.target.value))}
                         className="text-sm border rounded px-2 py-1 dark:bg-gray-800"
                     >
-                        <option value={7}>7 天</option>
-                        <option value={14}>14 天</option>
-                        <option value={30}>30 天</option>
-                        <option value={60}>60 天</option>
-                        <option value={90}>90 天</option>
+                        <option value={7}>{t('usage.common.days', { count: 7 })}</option>
+                        <option value={14}>{t('usage.common.days', { count: 14 })}</option>
+                        <option value={30}>{t('usage.common.days', { count: 30 })}</option>
+                        <option value={60}>{t('usage.common.days', { count: 60 })}</option>
+                        <option value={90}>{t('usage.common.days', { count: 90 })}</option>
                     </select>
                     
                     <Button
@@ -184,12 +167,12 @@ export function DailyView() {
                         variant="outline"
                     >
                         <BarChart3 className="w-4 h-4 mr-1" />
-                        {chartType === 'bar' ? '线图' : '柱图'}
+                        {chartType === 'bar' ? t('usage.common.lineChart') : t('usage.common.barChart')}
                     </Button>
                     
-                    <Button onClick={exportData} size="sm" variant="outline">
+                    <Button onClick={() => setShowExport(true)} size="sm" variant="outline">
                         <Download className="w-4 h-4 mr-1" />
-                        导出
+                        {t('usage.common.export')}
                     </Button>
                     
                     <Button onClick={() => fetchDailyData()} size="sm" variant="outline">
@@ -198,13 +181,15 @@ export function DailyView() {
                 </div>
             </div>
 
+            <PricingNotice pricing={data.pricing} />
+
             {/* 摘要统计卡片 */}
             <div className="grid gap-4 md:grid-cols-4">
                 <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-600 dark:text-gray-400">总令牌数</p>
-                            <p className="text-2xl font-bold">{summary.totalTokens.toLocaleString()}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400">{t('usage.common.totalTokens')}</p>
+                            <p className="text-2xl font-bold">{formatNumber(summary.totalTokens)}</p>
                         </div>
                         <div className={`p-2 rounded-full ${
                             summary.trends.tokensChange > 0 ? 'bg-green-100 dark:bg-green-900' : 
@@ -223,7 +208,7 @@ export function DailyView() {
                         <p className={`text-xs mt-1 ${
                             summary.trends.tokensChange > 0 ? 'text-green-600' : 'text-red-600'
                         }`}>
-                            {summary.trends.tokensChange > 0 ? '+' : ''}{summary.trends.tokensChange.toFixed(1)}% 相比前期
+                            {t('usage.daily.changeFromPrevious', { change: `${summary.trends.tokensChange > 0 ? '+' : ''}${formatNumber(summary.trends.tokensChange, { maximumFractionDigits: 1, minimumFractionDigits: 1 })}` })}
                         </p>
                     )}
                 </div>
@@ -231,8 +216,11 @@ export function DailyView() {
                 <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-600 dark:text-gray-400">总成本</p>
-                            <p className="text-2xl font-bold">${summary.totalCost.toFixed(4)}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400 flex items-center gap-1">
+                                {t('usage.common.totalCost')}
+                                {data.pricing?.pricedWithFallback && <Badge variant="outline" className="text-xs">{t('usage.common.includesEstimate')}</Badge>}
+                            </p>
+                            <p className="text-2xl font-bold">{formatCurrency(summary.totalCost, 4)}</p>
                         </div>
                     </div>
                 </div>
@@ -240,8 +228,8 @@ export function DailyView() {
                 <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-600 dark:text-gray-400">日均令牌</p>
-                            <p className="text-2xl font-bold">{Math.round(summary.averageTokensPerDay).toLocaleString()}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400">{t('usage.daily.averageTokens')}</p>
+                            <p className="text-2xl font-bold">{formatNumber(Math.round(summary.averageTokensPerDay))}</p>
                         </div>
                     </div>
                 </div>
@@ -249,8 +237,8 @@ export function DailyView() {
                 <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-600 dark:text-gray-400">日均成本</p>
-                            <p className="text-2xl font-bold">${summary.averageCostPerDay.toFixed(4)}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400">{t('usage.daily.averageCost')}</p>
+                            <p className="text-2xl font-bold">{formatCurrency(summary.averageCostPerDay, 4)}</p>
                         </div>
                     </div>
                 </div>
@@ -258,7 +246,7 @@ export function DailyView() {
 
             {/* 使用量图表 */}
             <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border">
-                <h3 className="font-semibold mb-4">使用量趋势</h3>
+                <h3 className="font-semibold mb-4">{t('usage.common.usageTrend')}</h3>
                 <div className="h-80">
                     <SafeRechartsWrapper>
                         <ResponsiveContainer width="100%" height="100%">
@@ -268,7 +256,7 @@ export function DailyView() {
                                     <XAxis dataKey="date" />
                                     <YAxis />
                                     <Tooltip content={<CustomTooltip />} />
-                                    <Bar dataKey="tokens" fill="#3b82f6" name="令牌数" />
+                                    <Bar dataKey="tokens" fill="#3b82f6" name={t('usage.common.tokens')} />
                                 </BarChart>
                             ) : (
                                 <LineChart data={chartData}>
@@ -280,7 +268,7 @@ export function DailyView() {
                                         type="monotone" 
                                         dataKey="tokens" 
                                         stroke="#3b82f6" 
-                                        name="令牌数"
+                                        name={t('usage.common.tokens')}
                                         strokeWidth={2}
                                         dot={{ fill: '#3b82f6', strokeWidth: 2, r: 4 }}
                                     />
@@ -293,7 +281,7 @@ export function DailyView() {
 
             {/* 成本趋势图表 */}
             <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border">
-                <h3 className="font-semibold mb-4">成本趋势</h3>
+                <h3 className="font-semibold mb-4">{t('usage.common.costTrend')}</h3>
                 <div className="h-60">
                     <SafeRechartsWrapper>
                         <ResponsiveContainer width="100%" height="100%">
@@ -306,7 +294,7 @@ export function DailyView() {
                                     type="monotone" 
                                     dataKey="cost" 
                                     stroke="#10b981" 
-                                    name="成本"
+                                    name={t('usage.common.cost')}
                                     strokeWidth={2}
                                     dot={{ fill: '#10b981', strokeWidth: 2, r: 4 }}
                                 />
@@ -316,18 +304,29 @@ export function DailyView() {
                 </div>
             </div>
 
+            <UsageBreakdownTable range={{ days }} source={source} onOpenSession={onOpenSession} />
+
             {/* 峰值天数信息 */}
             {summary.peakDay && (
                 <div className="bg-blue-50 dark:bg-blue-900/20 p-4 rounded-lg border border-blue-200">
-                    <h3 className="font-semibold text-blue-800 dark:text-blue-200 mb-2">使用峰值</h3>
+                    <h3 className="font-semibold text-blue-800 dark:text-blue-200 mb-2">{t('usage.common.peak')}</h3>
                     <p className="text-blue-600 dark:text-blue-300">
-                        <strong>{summary.peakDay.date}</strong> - 
-                        {summary.peakDay.stats.totalTokens.toLocaleString()} 令牌, 
-                        ${summary.peakDay.stats.totalCost.toFixed(4)} 成本, 
-                        {summary.peakDay.sessionCount} 个会话
+                        <strong>{summary.peakDay.date}</strong> - {t('usage.common.peakDetails', {
+                            tokens: formatNumber(summary.peakDay.stats.totalTokens),
+                            cost: formatCurrency(summary.peakDay.stats.totalCost, 4),
+                            sessions: summary.peakDay.sessionCount
+                        })}
                     </p>
                 </div>
             )}
+
+            {showExport && (
+                <UsageExportDialog
+                    defaults={{ granularity: 'daily', days }}
+                    source={source}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
         </div>
     );
 }
\ No newline at end of file
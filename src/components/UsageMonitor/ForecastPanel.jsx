@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, TrendingUp } from 'lucide-react';
+import {
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    CartesianGrid,
+    Tooltip,
+    Legend,
+    ResponsiveContainer
+} from 'recharts';
+import { Badge } from '../ui/badge';
+import { apiFetch } from '../../utils/api';
+import { SafeRechartsWrapper } from '../SafeRecharts';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const changeClassName = (change) => change > 0
+    ? 'text-red-600 dark:text-red-400'
+    : change < 0 ? 'text-green-600 dark:text-green-400' : 'text-gray-600 dark:text-gray-400';
+
+/**
+ * 成本预测面板 - 按星期几的历史日均值预测本月月末成本，并与之前的月份 / 周在相同进度时对比
+ * source 为选中的使用量来源 id，空字符串表示全部已启用来源
+ */
+export function ForecastPanel({ source = '' }) {
+    const [forecast, setForecast] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const { t, formatNumber, formatCurrency } = useLanguage();
+
+    const seriesLabel = (key) => t(`usage.forecast.series.${key}`);
+
+    const formatCost = (value) => formatCurrency(value);
+
+    const formatChange = (change) => {
+        if (change === null || change === undefined) return '—';
+        return `${change > 0 ? '+' : ''}${formatNumber(change / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })}`;
+    };
+
+    const fetchForecast = async () => {
+        try {
+            setLoading(true);
+            const response = await apiFetch(`/api/usage/forecast${source ? `?sources=${encodeURIComponent(source)}` : ''}`);
+            const result = await response.json();
+            if (result.success) {
+                setForecast(result.data);
+                setError(null);
+            } else {
+                setError(result.error || t('usage.forecast.fetchFailed'));
+            }
+        } catch (err) {
+            console.error('Error fetching usage forecast:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchForecast();
+    }, []);
+
+    if (!forecast) {
+        return (
+            <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border text-sm text-gray-500">
+                {error ? <span className="text-red-600 dark:text-red-400">{error}</span> : t('usage.forecast.loading')}
+            </div>
+        );
+    }
+
+    const { month, comparisons, model } = forecast;
+    const monthChange = comparisons.month.change;
+    const previousMonths = comparisons.month.periods.filter(period => !period.current);
+
+    const CustomTooltip = ({ active, payload, label }) => {
+        if (active && payload && payload.length) {
+            return (
+                <div className="bg-white dark:bg-gray-800 p-3 border rounded shadow-lg text-sm">
+                    <p className="font-medium">{month.label}-{String(label).padStart(2, '0')}</p>
+                    {payload.map((entry) => (
+                        <p key={entry.dataKey} style={{ color: entry.color }}>
+                            {seriesLabel(entry.dataKey)}: {formatCost(entry.value)}
+                        </p>
+                    ))}
+                </div>
+            );
+        }
+        return null;
+    };
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="font-semibold flex items-center">
+                    <TrendingUp className="w-4 h-4 mr-2 text-blue-500" />
+                    {t('usage.forecast.title')}
+                    {forecast.pricing?.pricedWithFallback && <Badge variant="outline" className="ml-2 text-xs">{t('usage.common.includesEstimate')}</Badge>}
+                </h3>
+                <button
+                    onClick={fetchForecast}
+                    className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+                    title={t('usage.common.refresh')}
+                >
+                    <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                </button>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-4 text-sm">
+                <div>
+                    <p className="text-gray-600 dark:text-gray-400">{t('usage.forecast.monthToDate', { elapsed: month.daysElapsed, total: month.daysInMonth })}</p>
+                    <p className="text-xl font-bold">{formatCost(month.cost.monthToDate)}</p>
+                </div>
+                <div>
+                    <p className="text-gray-600 dark:text-gray-400">{t('usage.forecast.projected')}</p>
+                    <p className="text-xl font-bold">{formatCost(month.cost.projected)}</p>
+                    <p className="text-xs text-gray-500">
+                        {t('usage.forecast.interval', { low: formatCost(month.cost.low), high: formatCost(month.cost.high) })}
+                    </p>
+                </div>
+                <div>
+                    <p className="text-gray-600 dark:text-gray-400">{t('usage.forecast.vsPrevious')}</p>
+                    <p className={`text-xl font-bold ${changeClassName(monthChange.vsPrevious?.cost)}`}>
+                        {formatChange(monthChange.vsPrevious?.cost)}
+                    </p>
+                </div>
+                <div>
+                    <p className="text-gray-600 dark:text-gray-400">{t('usage.forecast.vsAverage', { count: previousMonths.length })}</p>
+                    <p className={`text-xl font-bold ${changeClassName(monthChange.vsAverage?.cost)}`}>
+                        {formatChange(monthChange.vsAverage?.cost)}
+                    </p>
+                </div>
+            </div>
+
+            <div className="h-72">
+                <SafeRechartsWrapper>
+                    <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={month.cost.series}>
+                            <CartesianGrid strokeDasharray="3 3" />
+                            <XAxis dataKey="day" />
+                            <YAxis tickFormatter={(value) => formatCurrency(value, 0)} />
+                            <Tooltip content={<CustomTooltip />} />
+                            <Legend formatter={seriesLabel} />
+                            <Line type="monotone" dataKey="previousMonth" stroke="#9ca3af" strokeWidth={2} dot={false} />
+                            <Line type="monotone" dataKey="high" stroke="#fca5a5" strokeDasharray="2 4" dot={false} />
+                            <Line type="monotone" dataKey="low" stroke="#fca5a5" strokeDasharray="2 4" dot={false} />
+                            <Line type="monotone" dataKey="projected" stroke="#ef4444" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+                            <Line type="monotone" dataKey="actual" stroke="#3b82f6" strokeWidth={3} dot={false} />
+                        </LineChart>
+                    </ResponsiveContainer>
+                </SafeRechartsWrapper>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2 text-sm">
+                {[
+                    { key: 'month', title: t('usage.forecast.monthComparison'), unit: t('usage.forecast.monthUnit') },
+                    { key: 'week', title: t('usage.forecast.weekComparison'), unit: t('usage.forecast.weekUnit') }
+                ].map(({ key, title, unit }) => (
+                    <div key={key}>
+                        <p className="font-medium mb-2">{title}</p>
+                        <table className="w-full">
+                            <thead>
+                                <tr className="text-left text-gray-500 dark:text-gray-400">
+                                    <th className="py-1 font-normal">{t('usage.forecast.period')}</th>
+                                    <th className="py-1 font-normal text-right">{t('usage.forecast.toDate', { unit })}</th>
+                                    <th className="py-1 font-normal text-right">{t('usage.forecast.total')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {comparisons[key].periods.map(period => (
+                                    <tr key={period.label} className={`border-t dark:border-gray-700 ${period.current ? 'font-semibold' : ''}`}>
+                                        <td className="py-1">
+                                            {key === 'week' ? t('usage.forecast.weekOf', { date: period.label }) : period.label}
+                                            {period.current && ` ${t('usage.forecast.current')}`}
+                                        </td>
+                                        <td className="py-1 text-right">{formatCost(period.toDate.cost)}</td>
+                                        <td className="py-1 text-right">{period.current ? '—' : formatCost(period.total.cost)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ))}
+            </div>
+
+            <p className="text-xs text-gray-500">
+                {model.weekdayAware
+                    ? t('usage.forecast.weekdayModel', { days: model.historyDays })
+                    : t('usage.forecast.flatModel', { days: model.historyDays })}
+            </p>
+        </div>
+    );
+}
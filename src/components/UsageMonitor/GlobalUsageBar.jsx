@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Activity, TrendingUp } from 'lucide-react';
 import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
 
 /**
  * 全局使用量进度条组件 - 显示在应用标题栏
@@ -9,6 +10,7 @@ export function GlobalUsageBar() {
     const [usageData, setUsageData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const { t } = useLanguage();
     const [selectedPlan, setSelectedPlan] = useState(() => {
         return localStorage.getItem('selectedUsagePlan') || 'custom';
     });
@@ -41,7 +43,7 @@ export function GlobalUsageBar() {
                 setUsageData(result.data);
                 console.log('🌐 GlobalUsageBar data set:', result.data);
             } else {
-                setError(result.error || 'API返回失败');
+                setError(result.error || t('usage.common.apiFailed'));
             }
         } catch (error) {
             console.error('🌐 GlobalUsageBar fetch error:', error);
@@ -87,7 +89,7 @@ export function GlobalUsageBar() {
         return (
             <div className="flex items-center space-x-2 px-3 text-red-500">
                 <Activity className="w-4 h-4" />
-                <span className="text-xs">Usage Error</span>
+                <span className="text-xs">{t('usage.globalBar.error')}</span>
             </div>
         );
     }
@@ -97,7 +99,7 @@ export function GlobalUsageBar() {
         return (
             <div className="flex items-center space-x-2 px-3">
                 <Activity className="w-4 h-4 text-gray-500 animate-pulse" />
-                <span className="text-xs text-gray-500">Loading...</span>
+                <span className="text-xs text-gray-500">{t('common.loading')}</span>
             </div>
         );
     }
@@ -106,7 +108,7 @@ export function GlobalUsageBar() {
         <div className="flex items-center space-x-2 px-2 bg-white/80 dark:bg-gray-800/80 backdrop-blur-sm rounded-md border border-gray-200/50 dark:border-gray-700/50 shadow-sm">
             <div className="flex items-center space-x-1">
                 <Activity className="w-3 h-3 text-gray-500" />
-                <span className="text-xs text-gray-600 dark:text-gray-400">Usage</span>
+                <span className="text-xs text-gray-600 dark:text-gray-400">{t('usage.globalBar.label')}</span>
             </div>
             
             <div className="flex items-center space-x-1 min-w-[120px]">
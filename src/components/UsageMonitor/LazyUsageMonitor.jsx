@@ -1,5 +1,6 @@
 import React, { lazy, Suspense } from 'react';
 import { RefreshCw } from 'lucide-react';
+import { useLanguage } from '../../contexts/LanguageContext';
 
 // 懒加载使用量监控组件
 const UsageMonitor = lazy(() => import('./UsageMonitor').then(module => ({ default: module.UsageMonitor })));
@@ -7,19 +8,21 @@ const UsageMonitor = lazy(() => import('./UsageMonitor').then(module => ({ defau
 /**
  * 懒加载使用量监控包装组件
  */
-export function LazyUsageMonitor() {
+export function LazyUsageMonitor({ onOpenSession }) {
+    const { t } = useLanguage();
+
     return (
         <Suspense 
             fallback={
                 <div className="flex items-center justify-center h-64">
                     <div className="flex items-center space-x-2 text-blue-600">
                         <RefreshCw className="w-6 h-6 animate-spin" />
-                        <span>正在加载使用量监控...</span>
+                        <span>{t('usage.monitor.loading')}</span>
                     </div>
                 </div>
             }
         >
-            <UsageMonitor />
+            <UsageMonitor onOpenSession={onOpenSession} />
         </Suspense>
     );
 }
\ No newline at end of file
@@ -3,6 +3,7 @@ import { Settings, Check, X, ChevronDown, Bot } from 'lucide-react';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
 
 /**
  * 模型配置按钮组件
@@ -14,6 +15,7 @@ export function ModelConfigButton() {
     const [availableStrategies, setAvailableStrategies] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
+    const { t } = useLanguage();
 
     // 策略颜色映射
     const getStrategyColor = (strategyId) => {
@@ -51,7 +53,7 @@ export function ModelConfigButton() {
                 if (result.success && result.data) {
                     setAvailableStrategies(result.data);
                 } else {
-                    throw new Error('无效的API响应');
+                    throw new Error(t('usage.model.invalidResponse'));
                 }
             }
         } catch (err) {
@@ -82,11 +84,11 @@ export function ModelConfigButton() {
                 setIsOpen(false);
             } else {
                 const errorData = await response.json();
-                setError(errorData.error || '设置策略失败');
+                setError(errorData.error || t('usage.model.setFailed'));
             }
         } catch (err) {
             console.error('设置策略失败:', err);
-            setError('网络错误');
+            setError(t('usage.model.networkError'));
         } finally {
             setLoading(false);
         }
@@ -122,7 +124,7 @@ export function ModelConfigButton() {
                         <div className="flex items-center justify-between mb-3">
                             <h3 className="font-medium flex items-center">
                                 <Settings className="w-4 h-4 mr-2" />
-                                模型策略配置
+                                {t('usage.model.title')}
                             </h3>
                             <Button
                                 variant="ghost"
@@ -167,10 +169,10 @@ export function ModelConfigButton() {
                                                             {strategy.name}
                                                         </div>
                                                         {strategy.recommended && (
-                                                            <Badge variant="outline" className="text-xs">推荐</Badge>
+                                                            <Badge variant="outline" className="text-xs">{t('usage.model.recommended')}</Badge>
                                                         )}
                                                         {isSelected && (
-                                                            <Badge variant="default" className="text-xs bg-blue-500 text-white">当前</Badge>
+                                                            <Badge variant="default" className="text-xs bg-blue-500 text-white">{t('usage.model.current')}</Badge>
                                                         )}
                                                     </div>
                                                     <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
@@ -189,7 +191,7 @@ export function ModelConfigButton() {
 
                         {loading && (
                             <div className="mt-3 text-center text-sm text-gray-500">
-                                正在设置策略...
+                                {t('usage.model.setting')}
                             </div>
                         )}
                     </div>
@@ -18,28 +18,40 @@ import {
     Line
 } from 'recharts';
 import { SafeRechartsWrapper } from '../SafeRecharts';
+import { PricingNotice } from './PricingNotice';
+import { UsageBreakdownTable } from './UsageBreakdownTable';
+import { UsageExportDialog } from './UsageExportDialog';
+import { ForecastPanel } from './ForecastPanel';
+import { useLanguage } from '../../contexts/LanguageContext';
 
 /**
  * 月度使用量视图组件
  */
-export function MonthlyView() {
+export function MonthlyView({ source = '', onOpenSession }) {
     const [data, setData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [months, setMonths] = useState(6);
+    const [showExport, setShowExport] = useState(false);
+    const { t, formatNumber, formatCurrency, formatDate } = useLanguage();
+
+    // '2025-03' 格式的月份按界面语言显示
+    const formatMonth = (month) => formatDate(`${month}-01T00:00:00`, { year: 'numeric', month: 'short' });
+
+    const formatGrowth = (value) => `${value > 0 ? '+' : ''}${formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}`;
 
     // 获取月度数据
     const fetchMonthlyData = async (monthCount = months) => {
         try {
             setLoading(true);
-            const response = await apiFetch(`/api/usage/monthly?months=${monthCount}`);
+            const response = await apiFetch(`/api/usage/monthly?months=${monthCount}${source ? `&sources=${encodeURIComponent(source)}` : ''}`);
             const result = await response.json();
             
             if (result.success) {
                 setData(result.data);
                 setError(null);
             } else {
-                setError(result.error || '获取数据失败');
+                setError(result.error || t('usage.common.fetchFailed'));
             }
         } catch (err) {
             console.error('Error fetching monthly data:', err);
@@ -49,26 +61,6 @@ export function MonthlyView() {
         }
     };
 
-    // 导出数据
-    const exportData = async () => {
-        try {
-            const response = await apiFetch(`/api/usage/export?format=csv&type=monthly&period=${months}`);
-            if (response.headers.get('content-type')?.includes('text/csv')) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `claude-usage-monthly-${new Date().toISOString().split('T')[0]}.csv`;
-                document.body.appendChild(a);
-                a.click();
-                window.URL.revokeObjectURL(url);
-                document.body.removeChild(a);
-            }
-        } catch (err) {
-            console.error('Error exporting data:', err);
-        }
-    };
-
     useEffect(() => {
         fetchMonthlyData();
     }, []);
@@ -84,7 +76,7 @@ export function MonthlyView() {
         if (!data?.report) return [];
         
         return data.report.reverse().map(item => ({
-            month: item.month.replace('-', '年') + '月',
+            month: formatMonth(item.month),
             tokens: item.stats.totalTokens,
             cost: item.stats.totalCost,
             sessions: item.sessionCount,
@@ -99,7 +91,7 @@ export function MonthlyView() {
         const colors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#06b6d4'];
         
         return data.report.slice(0, 3).map((item, index) => ({
-            name: item.month.replace('-', '年') + '月',
+            name: formatMonth(item.month),
             value: item.stats.totalTokens,
             cost: item.stats.totalCost,
             color: colors[index % colors.length]
@@ -116,8 +108,8 @@ export function MonthlyView() {
                         <p key={index} style={{ color: entry.color }}>
                             {entry.name}: {
                                 entry.dataKey === 'cost' 
-                                    ? `$${entry.value.toFixed(2)}` 
-                                    : entry.value.toLocaleString()
+                                    ? formatCurrency(entry.value)
+                                    : formatNumber(entry.value)
                             }
                         </p>
                     ))}
@@ -132,7 +124,7 @@ export function MonthlyView() {
             <div className="flex items-center justify-center h-64">
                 <div className="flex items-center space-x-2">
                     <RefreshCw className="w-5 h-5 animate-spin" />
-                    <span>加载月度数据...</span>
+                    <span>{t('usage.monthly.loading')}</span>
                 </div>
             </div>
         );
@@ -143,7 +135,7 @@ export function MonthlyView() {
             <div className="p-4 border border-red-200 rounded-lg bg-red-50 dark:bg-red-900/20">
                 <p className="text-red-600 dark:text-red-400">{error}</p>
                 <Button onClick={() => fetchMonthlyData()} className="mt-3" size="sm">
-                    重试
+                    {t('usage.common.retry')}
                 </Button>
             </div>
         );
@@ -153,7 +145,7 @@ export function MonthlyView() {
         return (
             <div className="text-center py-8 text-gray-500">
                 <Calendar className="w-12 h-12 mx-auto mb-4 text-gray-300" />
-                <p>暂无月度使用数据</p>
+                <p>{t('usage.monthly.empty')}</p>
             </div>
         );
     }
@@ -168,9 +160,9 @@ export function MonthlyView() {
             <div className="flex items-center justify-between">
                 <div className="flex items-center space-x-4">
                     <Calendar className="w-5 h-5" />
-                    <span className="font-semibold">月度使用统计</span>
+                    <span className="font-semibold">{t('usage.monthly.title')}</span>
                     <Badge variant="outline">
-                        {data.totalMonths} 月数据
+                        {t('usage.monthly.totalMonths', { count: data.totalMonths })}
                     </Badge>
                 </div>
                 
@@ -180,15 +172,15 @@ export function MonthlyView() {
                         onChange={(e) => handleMonthsChange(parseInt(e.target.value))}
                         className="text-sm border rounded px-2 py-1 dark:bg-gray-800"
                     >
-                        <option value={3}>3 个月</option>
-                        <option value={6}>6 个月</option>
-                        <option value={12}>12 个月</option>
-                        <option value={24}>24 个月</option>
+                        <option value={3}>{t('usage.common.months', { count: 3 })}</option>
+                        <option value={6}>{t('usage.common.months', { count: 6 })}</option>
+                        <option value={12}>{t('usage.common.months', { count: 12 })}</option>
+                        <option value={24}>{t('usage.common.months', { count: 24 })}</option>
                     </select>
                     
-                    <Button onClick={exportData} size="sm" variant="outline">
+                    <Button onClick={() => setShowExport(true)} size="sm" variant="outline">
                         <Download className="w-4 h-4 mr-1" />
-                        导出
+                        {t('usage.common.export')}
                     </Button>
                     
                     <Button onClick={() => fetchMonthlyData()} size="sm" variant="outline">
@@ -197,13 +189,15 @@ export function MonthlyView() {
                 </div>
             </div>
 
+            <PricingNotice pricing={data.pricing} />
+
             {/* 摘要统计卡片 */}
             <div className="grid gap-4 md:grid-cols-4">
                 <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-600 dark:text-gray-400">总令牌数</p>
-                            <p className="text-2xl font-bold">{summary.totalTokens.toLocaleString()}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400">{t('usage.common.totalTokens')}</p>
+                            <p className="text-2xl font-bold">{formatNumber(summary.totalTokens)}</p>
                         </div>
                         <div className={`p-2 rounded-full ${
                             summary.growth.tokensGrowth > 0 ? 'bg-green-100 dark:bg-green-900' : 
@@ -222,7 +216,7 @@ export function MonthlyView() {
                         <p className={`text-xs mt-1 ${
                             summary.growth.tokensGrowth > 0 ? 'text-green-600' : 'text-red-600'
                         }`}>
-                            {summary.growth.tokensGrowth > 0 ? '+' : ''}{summary.growth.tokensGrowth.toFixed(1)}% 月增长
+                            {t('usage.monthly.growth', { change: formatGrowth(summary.growth.tokensGrowth) })}
                         </p>
                     )}
                 </div>
@@ -230,15 +224,18 @@ export function MonthlyView() {
                 <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-600 dark:text-gray-400">总成本</p>
-                            <p className="text-2xl font-bold">${summary.totalCost.toFixed(2)}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400 flex items-center gap-1">
+                                {t('usage.common.totalCost')}
+                                {data.pricing?.pricedWithFallback && <Badge variant="outline" className="text-xs">{t('usage.common.includesEstimate')}</Badge>}
+                            </p>
+                            <p className="text-2xl font-bold">{formatCurrency(summary.totalCost)}</p>
                         </div>
                     </div>
                     {summary.growth.costGrowth !== 0 && (
                         <p className={`text-xs mt-1 ${
                             summary.growth.costGrowth > 0 ? 'text-red-600' : 'text-green-600'
                         }`}>
-                            {summary.growth.costGrowth > 0 ? '+' : ''}{summary.growth.costGrowth.toFixed(1)}% 月增长
+                            {t('usage.monthly.growth', { change: formatGrowth(summary.growth.costGrowth) })}
                         </p>
                     )}
                 </div>
@@ -246,8 +243,8 @@ export function MonthlyView() {
                 <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-600 dark:text-gray-400">月均令牌</p>
-                            <p className="text-2xl font-bold">{Math.round(summary.averageTokensPerMonth).toLocaleString()}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400">{t('usage.monthly.averageTokens')}</p>
+                            <p className="text-2xl font-bold">{formatNumber(Math.round(summary.averageTokensPerMonth))}</p>
                         </div>
                     </div>
                 </div>
@@ -255,8 +252,8 @@ export function MonthlyView() {
                 <div className="p-4 bg-white dark:bg-gray-800 rounded-lg border">
                     <div className="flex items-center justify-between">
                         <div>
-                            <p className="text-sm text-gray-600 dark:text-gray-400">月均成本</p>
-                            <p className="text-2xl font-bold">${summary.averageCostPerMonth.toFixed(2)}</p>
+                            <p className="text-sm text-gray-600 dark:text-gray-400">{t('usage.monthly.averageCost')}</p>
+                            <p className="text-2xl font-bold">{formatCurrency(summary.averageCostPerMonth)}</p>
                         </div>
                     </div>
                 </div>
@@ -266,7 +263,7 @@ export function MonthlyView() {
             <div className="grid gap-6 lg:grid-cols-2">
                 {/* 月度使用量柱状图 */}
                 <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border">
-                    <h3 className="font-semibold mb-4">月度使用量趋势</h3>
+                    <h3 className="font-semibold mb-4">{t('usage.monthly.usageTrend')}</h3>
                     <div className="h-80">
                         <SafeRechartsWrapper>
                             <ResponsiveContainer width="100%" height="100%">
@@ -275,7 +272,7 @@ export function MonthlyView() {
                                     <XAxis dataKey="month" />
                                     <YAxis />
                                     <Tooltip content={<CustomTooltip />} />
-                                    <Bar dataKey="tokens" fill="#3b82f6" name="令牌数" />
+                                    <Bar dataKey="tokens" fill="#3b82f6" name={t('usage.common.tokens')} />
                                 </BarChart>
                             </ResponsiveContainer>
                         </SafeRechartsWrapper>
@@ -284,7 +281,7 @@ export function MonthlyView() {
 
                 {/* 使用量分布饼图 */}
                 <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border">
-                    <h3 className="font-semibold mb-4">最近月份使用量分布</h3>
+                    <h3 className="font-semibold mb-4">{t('usage.monthly.distribution')}</h3>
                     <div className="h-80">
                         <SafeRechartsWrapper>
                             <ResponsiveContainer width="100%" height="100%">
@@ -295,14 +292,14 @@ export function MonthlyView() {
                                         cy="50%"
                                         outerRadius={80}
                                         dataKey="value"
-                                        label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
+                                        label={({ name, percent }) => `${name} ${formatNumber(percent, { style: 'percent' })}`}
                                     >
                                         {pieData.map((entry, index) => (
                                             <Cell key={`cell-${index}`} fill={entry.color} />
                                         ))}
                                     </Pie>
                                     <Tooltip 
-                                        formatter={[(value) => [value.toLocaleString(), '令牌数']]}
+                                        formatter={[(value) => [formatNumber(value), t('usage.common.tokens')]]}
                                     />
                                 </PieChart>
                             </ResponsiveContainer>
@@ -311,9 +308,12 @@ export function MonthlyView() {
                 </div>
             </div>
 
+            {/* 月末预测与同期对比 */}
+            <ForecastPanel source={source} />
+
             {/* 成本趋势图 */}
             <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border">
-                <h3 className="font-semibold mb-4">月度成本趋势</h3>
+                <h3 className="font-semibold mb-4">{t('usage.monthly.costTrend')}</h3>
                 <div className="h-60">
                     <SafeRechartsWrapper>
                         <ResponsiveContainer width="100%" height="100%">
@@ -326,7 +326,7 @@ export function MonthlyView() {
                                     type="monotone" 
                                     dataKey="cost" 
                                     stroke="#10b981" 
-                                    name="成本"
+                                    name={t('usage.common.cost')}
                                     strokeWidth={3}
                                     dot={{ fill: '#10b981', strokeWidth: 2, r: 5 }}
                                 />
@@ -339,49 +339,52 @@ export function MonthlyView() {
             {/* 峰值月份信息 */}
             {summary.peakMonth && (
                 <div className="bg-purple-50 dark:bg-purple-900/20 p-4 rounded-lg border border-purple-200">
-                    <h3 className="font-semibold text-purple-800 dark:text-purple-200 mb-2">使用峰值月份</h3>
+                    <h3 className="font-semibold text-purple-800 dark:text-purple-200 mb-2">{t('usage.monthly.peak')}</h3>
                     <p className="text-purple-600 dark:text-purple-300">
-                        <strong>{summary.peakMonth.month.replace('-', '年')}月</strong> - 
-                        {summary.peakMonth.stats.totalTokens.toLocaleString()} 令牌, 
-                        ${summary.peakMonth.stats.totalCost.toFixed(2)} 成本, 
-                        {summary.peakMonth.sessionCount} 个会话
+                        <strong>{formatMonth(summary.peakMonth.month)}</strong> - {t('usage.common.peakDetails', {
+                            tokens: formatNumber(summary.peakMonth.stats.totalTokens),
+                            cost: formatCurrency(summary.peakMonth.stats.totalCost),
+                            sessions: summary.peakMonth.sessionCount
+                        })}
                     </p>
                 </div>
             )}
 
+            <UsageBreakdownTable range={{ months }} source={source} onOpenSession={onOpenSession} />
+
             {/* 详细月份表格 */}
             <div className="bg-white dark:bg-gray-800 rounded-lg border overflow-hidden">
                 <div className="p-4 border-b bg-gray-50 dark:bg-gray-700">
-                    <h3 className="font-semibold">详细月度数据</h3>
+                    <h3 className="font-semibold">{t('usage.monthly.details')}</h3>
                 </div>
                 <div className="overflow-x-auto scrollbar-thin">
                     <table className="w-full text-sm">
                         <thead className="bg-gray-50 dark:bg-gray-700">
                             <tr>
-                                <th className="px-4 py-3 text-left">月份</th>
-                                <th className="px-4 py-3 text-right">令牌数</th>
-                                <th className="px-4 py-3 text-right">成本</th>
-                                <th className="px-4 py-3 text-right">会话数</th>
-                                <th className="px-4 py-3 text-right">日均令牌</th>
+                                <th className="px-4 py-3 text-left">{t('usage.monthly.month')}</th>
+                                <th className="px-4 py-3 text-right">{t('usage.common.tokens')}</th>
+                                <th className="px-4 py-3 text-right">{t('usage.common.cost')}</th>
+                                <th className="px-4 py-3 text-right">{t('usage.common.sessions')}</th>
+                                <th className="px-4 py-3 text-right">{t('usage.daily.averageTokens')}</th>
                             </tr>
                         </thead>
                         <tbody>
                             {data.report.map((item, index) => (
                                 <tr key={index} className={index % 2 === 0 ? 'bg-white dark:bg-gray-800' : 'bg-gray-50 dark:bg-gray-700'}>
                                     <td className="px-4 py-3 font-medium">
-                                        {item.month.replace('-', '年')}月
+                                        {formatMonth(item.month)}
                                     </td>
                                     <td className="px-4 py-3 text-right font-mono">
-                                        {item.stats.totalTokens.toLocaleString()}
+                                        {formatNumber(item.stats.totalTokens)}
                                     </td>
                                     <td className="px-4 py-3 text-right font-mono">
-                                        ${item.stats.totalCost.toFixed(4)}
+                                        {formatCurrency(item.stats.totalCost, 4)}
                                     </td>
                                     <td className="px-4 py-3 text-right">
                                         {item.sessionCount}
                                     </td>
                                     <td className="px-4 py-3 text-right font-mono text-gray-600">
-                                        {Math.round(item.stats.totalTokens / 30).toLocaleString()}
+                                        {formatNumber(Math.round(item.stats.totalTokens / 30))}
                                     </td>
                                 </tr>
                             ))}
@@ -389,6 +392,14 @@ export function MonthlyView() {
                     </table>
                 </div>
             </div>
+
+            {showExport && (
+                <UsageExportDialog
+                    defaults={{ granularity: 'monthly', months }}
+                    source={source}
+                    onClose={() => setShowExport(false)}
+                />
+            )}
         </div>
     );
 }
\ No newline at end of file
@@ -0,0 +1,45 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+/**
+ * 定价提示 - 有模型按回退价格估算成本，或用户定价覆盖文件有误时显示
+ */
+export function PricingNotice({ pricing }) {
+    const { t, formatCurrency } = useLanguage();
+
+    if (!pricing || (!pricing.pricedWithFallback && !pricing.overridesError)) {
+        return null;
+    }
+
+    return (
+        <div className="p-3 rounded-lg border border-amber-200 bg-amber-50 dark:bg-amber-900/20 dark:border-amber-800 text-sm">
+            <div className="flex items-start space-x-2">
+                <AlertTriangle className="w-4 h-4 mt-0.5 text-amber-600 flex-shrink-0" />
+                <div className="space-y-1 text-amber-800 dark:text-amber-200">
+                    {pricing.pricedWithFallback && (
+                        <>
+                            <p className="font-medium">{t('usage.pricing.fallbackTitle', { version: pricing.version })}</p>
+                            <ul className="text-xs space-y-0.5">
+                                {pricing.fallbackModels.map(item => (
+                                    <li key={item.model}>
+                                        <code>{item.model}</code> → <code>{item.pricedAs}</code>
+                                        {t('usage.pricing.fallbackItem', { messages: item.messages, cost: formatCurrency(item.cost, 4) })}
+                                    </li>
+                                ))}
+                            </ul>
+                            <p className="text-xs text-amber-700 dark:text-amber-300">
+                                {t('usage.pricing.overrideHint')}
+                            </p>
+                        </>
+                    )}
+                    {pricing.overridesError && (
+                        <p className="text-xs">
+                            {t('usage.pricing.overridesError', { error: pricing.overridesError })}
+                        </p>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -4,12 +4,15 @@ import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
 import { UsageProgressBar } from './UsageProgressBar';
 import { ModelConfigButton } from './ModelConfigButton';
+import { PricingNotice } from './PricingNotice';
+import { BudgetPanel } from './BudgetPanel';
 import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
 
 /**
  * 实时监控视图组件
  */
-export function RealTimeView() {
+export function RealTimeView({ source = '' }) {
     const [data, setData] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -27,21 +30,32 @@ export function RealTimeView() {
     const [customTokenLimit, setCustomTokenLimit] = useState(() => {
         return parseInt(localStorage.getItem('customTokenLimit')) || 50000;
     });
+    const [budgetAlerts, setBudgetAlerts] = useState([]);
+    const [now, setNow] = useState(Date.now());
+    const expiredWindowRef = useRef(null);
     const wsRef = useRef(null);
+    const { t, formatNumber, formatCurrency, formatTime } = useLanguage();
+
+    // 重置时间的来源说明
+    const resetSourceLabel = (resetSource) => resetSource ? t(`usage.realtime.resetSources.${resetSource}`) : null;
+
+    const formatClock = (value) => formatTime(value, { hour: '2-digit', minute: '2-digit' });
+
+    const formatPercent = (value) => formatNumber(value / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
     
     // 订阅计划配置
     const planOptions = [
         { id: 'pro', name: 'Claude Pro', tokens: 19000, cost: 18.00, messages: 250 },
         { id: 'max5', name: 'Claude Max5', tokens: 88000, cost: 35.00, messages: 1000 },
         { id: 'max20', name: 'Claude Max20', tokens: 220000, cost: 140.00, messages: 2000 },
-        { id: 'custom', name: '自定义', tokens: customTokenLimit, cost: customTokenLimit * 0.001, messages: 500 }
+        { id: 'custom', name: t('usage.realtime.customPlan'), tokens: customTokenLimit, cost: customTokenLimit * 0.001, messages: 500 }
     ];
 
     // 获取实时数据
     const fetchRealTimeData = async () => {
         try {
             setLoading(true);
-            const response = await apiFetch('/api/usage/realtime');
+            const response = await apiFetch(`/api/usage/realtime${source ? `?sources=${encodeURIComponent(source)}` : ''}`);
             const result = await response.json();
             
             if (result.success) {
@@ -49,7 +63,7 @@ export function RealTimeView() {
                 setLastUpdated(new Date());
                 setError(null);
             } else {
-                setError(result.error || '获取数据失败');
+                setError(result.error || t('usage.common.fetchFailed'));
             }
         } catch (err) {
             console.error('Error fetching real-time data:', err);
@@ -87,7 +101,8 @@ export function RealTimeView() {
                 
                 // 订阅使用量数据
                 wsRef.current.send(JSON.stringify({
-                    type: 'usage-subscribe'
+                    type: 'usage-subscribe',
+                    sources: source || undefined
                 }));
             };
             
@@ -100,6 +115,8 @@ export function RealTimeView() {
                         setLastUpdated(new Date(message.timestamp));
                         setLoading(false);
                         setError(null);
+                    } else if (message.type === 'usage-alert') {
+                        setBudgetAlerts(message.alerts);
                     } else if (message.type === 'usage-error') {
                         setError(message.error);
                         setLoading(false);
@@ -122,7 +139,7 @@ export function RealTimeView() {
             wsRef.current.onerror = (error) => {
                 console.error('WebSocket error:', error);
                 setWsConnected(false);
-                setError('WebSocket连接错误');
+                setError(t('usage.realtime.wsError'));
             };
         } catch (err) {
             console.error('Failed to create WebSocket:', err);
@@ -160,18 +177,45 @@ export function RealTimeView() {
         }
     }, [useWebSocket, autoRefresh, refreshInterval]);
 
+    // 每秒刷新重置倒计时
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    // 当前窗口到期后立即重新获取，不必等下一次推送
+    useEffect(() => {
+        const windowEnd = data?.sessionWindow?.active ? new Date(data.sessionWindow.end).getTime() : null;
+        if (windowEnd && now >= windowEnd && expiredWindowRef.current !== windowEnd) {
+            expiredWindowRef.current = windowEnd;
+            fetchRealTimeData();
+        }
+    }, [now, data]);
+
+    // 格式化重置倒计时 (H:MM:SS)
+    const formatCountdown = (endTime) => {
+        const remainingMs = new Date(endTime).getTime() - now;
+        if (remainingMs <= 0) return t('usage.realtime.resetDone');
+        const totalSeconds = Math.floor(remainingMs / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${hours}:${minutes}:${seconds}`;
+    };
+
     // 格式化燃烧率
     const formatBurnRate = (rate) => {
-        if (rate < 1) return (rate * 60).toFixed(1) + '/小时';
-        return rate.toFixed(1) + '/分钟';
+        const options = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+        if (rate < 1) return t('usage.realtime.perHour', { value: formatNumber(rate * 60, options) });
+        return t('usage.realtime.perMinute', { value: formatNumber(rate, options) });
     };
 
     // 格式化时间
     const formatTimeRemaining = (minutes) => {
-        if (minutes === Infinity || minutes <= 0) return '无限制';
-        if (minutes < 60) return `${Math.round(minutes)} 分钟`;
-        if (minutes < 1440) return `${Math.round(minutes / 60)} 小时`;
-        return `${Math.round(minutes / 1440)} 天`;
+        if (minutes === Infinity || minutes <= 0) return t('usage.realtime.unlimited');
+        if (minutes < 60) return t('usage.realtime.minutes', { count: Math.round(minutes) });
+        if (minutes < 1440) return t('usage.realtime.hours', { count: Math.round(minutes / 60) });
+        return t('usage.common.days', { count: Math.round(minutes / 1440) });
     };
     
     // 计算下一次重置时间 (5小时窗口)
@@ -181,15 +225,15 @@ export function RealTimeView() {
         if (!windowEnd) {
             // 默认为当前时间 + 5小时
             const nextReset = new Date(now.getTime() + 5 * 60 * 60 * 1000);
-            return nextReset.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+            return formatClock(nextReset);
         }
         // 使用窗口结束时间
-        return new Date(windowEnd).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+        return formatClock(windowEnd);
     };
 
     // 格式化成本
     const formatCost = (cost) => {
-        return `$${cost.toFixed(2)}`;
+        return formatCurrency(cost);
     };
 
     // 渲染文本进度条
@@ -226,8 +270,8 @@ export function RealTimeView() {
         const resetTime = new Date(Date.now() + 5 * 60 * 60 * 1000);
         
         return {
-            runOutTime: runOutTime.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' }),
-            resetTime: resetTime.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })
+            runOutTime: formatClock(runOutTime),
+            resetTime: formatClock(resetTime)
         };
     };
 
@@ -236,7 +280,7 @@ export function RealTimeView() {
             <div className="flex items-center justify-center h-64">
                 <div className="flex items-center space-x-2">
                     <RefreshCw className="w-5 h-5 animate-spin" />
-                    <span>加载实时数据...</span>
+                    <span>{t('usage.realtime.loading')}</span>
                 </div>
             </div>
         );
@@ -247,7 +291,7 @@ export function RealTimeView() {
             <div className="p-4 border border-red-200 rounded-lg bg-red-50 dark:bg-red-900/20">
                 <div className="flex items-center space-x-2 text-red-600 dark:text-red-400">
                     <AlertCircle className="w-5 h-5" />
-                    <span className="font-semibold">错误</span>
+                    <span className="font-semibold">{t('usage.realtime.error')}</span>
                 </div>
                 <p className="mt-2 text-red-600 dark:text-red-400">{error}</p>
                 <Button 
@@ -255,7 +299,7 @@ export function RealTimeView() {
                     className="mt-3 bg-red-600 hover:bg-red-700"
                     size="sm"
                 >
-                    重试
+                    {t('usage.common.retry')}
                 </Button>
             </div>
         );
@@ -264,7 +308,7 @@ export function RealTimeView() {
     if (!data) {
         return (
             <div className="text-center py-8 text-gray-500">
-                暂无数据
+                {t('usage.realtime.empty')}
             </div>
         );
     }
@@ -301,7 +345,7 @@ export function RealTimeView() {
                 <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
                     <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
                         <div className="flex items-center justify-between mb-4">
-                            <h3 className="text-lg font-semibold">订阅计划配置</h3>
+                            <h3 className="text-lg font-semibold">{t('usage.realtime.planConfig')}</h3>
                             <button
                                 onClick={() => setShowPlanConfig(false)}
                                 className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
@@ -312,7 +356,7 @@ export function RealTimeView() {
                         
                         <div className="space-y-4">
                             <div>
-                                <label className="block text-sm font-medium mb-2">选择订阅计划</label>
+                                <label className="block text-sm font-medium mb-2">{t('usage.realtime.selectPlan')}</label>
                                 <select
                                     value={tempSelectedPlan}
                                     onChange={(e) => setTempSelectedPlan(e.target.value)}
@@ -320,7 +364,7 @@ export function RealTimeView() {
                                 >
                                     {planOptions.map(plan => (
                                         <option key={plan.id} value={plan.id}>
-                                            {plan.name} ({plan.tokens.toLocaleString()} tokens)
+                                            {t('usage.realtime.planOption', { name: plan.name, tokens: formatNumber(plan.tokens) })}
                                         </option>
                                     ))}
                                 </select>
@@ -328,7 +372,7 @@ export function RealTimeView() {
                             
                             {tempSelectedPlan === 'custom' && (
                                 <div>
-                                    <label className="block text-sm font-medium mb-2">自定义Token限额</label>
+                                    <label className="block text-sm font-medium mb-2">{t('usage.realtime.customTokenLimit')}</label>
                                     <input
                                         type="number"
                                         value={customTokenLimit}
@@ -342,13 +386,13 @@ export function RealTimeView() {
                             
                             <div className="bg-blue-50 dark:bg-blue-900/20 p-3 rounded-lg">
                                 <p className="text-sm">
-                                    <strong>当前选择：</strong> {tempPlan.name}
+                                    <strong>{t('usage.realtime.currentSelection')}</strong> {tempPlan.name}
                                 </p>
                                 <p className="text-sm mt-1">
-                                    <strong>Token限额：</strong> {tempPlan.tokens.toLocaleString()}
+                                    <strong>{t('usage.realtime.tokenLimit')}</strong> {formatNumber(tempPlan.tokens)}
                                 </p>
                                 <p className="text-sm">
-                                    <strong>成本限额：</strong> ${tempPlan.cost.toFixed(2)}
+                                    <strong>{t('usage.realtime.costLimit')}</strong> {formatCurrency(tempPlan.cost)}
                                 </p>
                             </div>
                         </div>
@@ -361,11 +405,11 @@ export function RealTimeView() {
                                     setShowPlanConfig(false);
                                 }}
                             >
-                                取消
+                                {t('common.cancel')}
                             </Button>
                             <Button onClick={savePlanConfig}>
                                 <Save className="w-4 h-4 mr-2" />
-                                保存配置
+                                {t('usage.realtime.savePlan')}
                             </Button>
                         </div>
                     </div>
@@ -378,7 +422,7 @@ export function RealTimeView() {
                     <div className="flex items-center space-x-3">
                         <div className="flex items-center space-x-2">
                             <Activity className="w-5 h-5 text-blue-500" />
-                            <span className="font-semibold">实时监控</span>
+                            <span className="font-semibold">{t('usage.monitor.tabs.realtime')}</span>
                         </div>
                         <Badge variant="outline" className="text-xs">
                             {currentPlan.name}
@@ -392,14 +436,14 @@ export function RealTimeView() {
                             size="sm"
                         >
                             <Settings className="w-4 h-4 mr-1" />
-                            配置计划
+                            {t('usage.realtime.configurePlan')}
                         </Button>
                         {useWebSocket && (
                             <Badge variant={wsConnected ? "default" : "secondary"} className="text-xs">
                                 {wsConnected ? (
-                                    <><Wifi className="w-3 h-3 inline mr-1" />实时</>
+                                    <><Wifi className="w-3 h-3 inline mr-1" />{t('usage.realtime.live')}</>
                                 ) : (
-                                    <><WifiOff className="w-3 h-3 inline mr-1" />离线</>
+                                    <><WifiOff className="w-3 h-3 inline mr-1" />{t('usage.realtime.offline')}</>
                                 )}
                             </Badge>
                         )}
@@ -409,15 +453,20 @@ export function RealTimeView() {
                 
                 {/* 使用量进度条 */}
                 <div className="space-y-4">
+                    <PricingNotice pricing={data?.pricing} />
+
                     {/* Cost Usage */}
                     <div>
                         <div className="flex justify-between items-center mb-1">
                             <span className="text-sm font-medium flex items-center">
                                 <DollarSign className="w-4 h-4 mr-1 text-purple-500" />
-                                Cost 使用量
+                                {t('usage.realtime.costUsage')}
+                                {data?.pricing?.pricedWithFallback && (
+                                    <Badge variant="outline" className="text-xs ml-2">{t('usage.common.includesEstimate')}</Badge>
+                                )}
                             </span>
                             <span className="text-sm text-gray-600 dark:text-gray-400">
-                                ${(data?.currentUsage?.totalCost || 0).toFixed(2)} / ${currentPlan.cost.toFixed(2)}
+                                {formatCurrency(data?.currentUsage?.totalCost || 0)} / {formatCurrency(currentPlan.cost)}
                             </span>
                         </div>
                         <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 overflow-hidden">
@@ -438,10 +487,10 @@ export function RealTimeView() {
                         <div className="flex justify-between items-center mb-1">
                             <span className="text-sm font-medium flex items-center">
                                 <Activity className="w-4 h-4 mr-1 text-blue-500" />
-                                Token 使用量
+                                {t('usage.realtime.tokenUsage')}
                             </span>
                             <span className="text-sm text-gray-600 dark:text-gray-400">
-                                {(data?.currentUsage?.totalTokens || 0).toLocaleString()} / {currentPlan.tokens.toLocaleString()}
+                                {formatNumber(data?.currentUsage?.totalTokens || 0)} / {formatNumber(currentPlan.tokens)}
                             </span>
                         </div>
                         <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 overflow-hidden">
@@ -462,10 +511,10 @@ export function RealTimeView() {
                         <div className="flex justify-between items-center mb-1">
                             <span className="text-sm font-medium flex items-center">
                                 <MessageSquare className="w-4 h-4 mr-1 text-emerald-500" />
-                                Messages 使用量
+                                {t('usage.realtime.messageUsage')}
                             </span>
                             <span className="text-sm text-gray-600 dark:text-gray-400">
-                                {data?.currentUsage?.totalMessages || 0} / {currentPlan.messages.toLocaleString()}
+                                {formatNumber(data?.currentUsage?.totalMessages || 0)} / {formatNumber(currentPlan.messages)}
                             </span>
                         </div>
                         <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 overflow-hidden">
@@ -486,7 +535,7 @@ export function RealTimeView() {
                         <div className="flex items-center justify-between mb-1">
                             <span className="text-sm font-medium flex items-center">
                                 <Bot className="w-4 h-4 mr-1 text-blue-500" />
-                                模型分布
+                                {t('usage.realtime.modelDistribution')}
                             </span>
                             {/* 颜色图例 - 简化版 */}
                             <div className="flex items-center space-x-2 text-xs">
@@ -510,7 +559,7 @@ export function RealTimeView() {
                                                     style={{ backgroundColor: color }}
                                                 ></div>
                                                 <span className="text-gray-600 dark:text-gray-400">
-                                                    {model} {percentage.toFixed(1)}%
+                                                    {model} {formatPercent(percentage)}
                                                 </span>
                                             </div>
                                         );
@@ -544,7 +593,7 @@ export function RealTimeView() {
                                                 backgroundColor: color,
                                                 width: `${percentage}%`
                                             }}
-                                            title={`${model}: ${percentage.toFixed(1)}%`}
+                                            title={`${model}: ${formatPercent(percentage)}`}
                                         />
                                     );
                                 });
@@ -556,26 +605,26 @@ export function RealTimeView() {
                         <div>
                             <span className="text-gray-500 dark:text-gray-400 flex items-center">
                                 <Zap className="w-3 h-3 mr-1" />
-                                燃烧率
+                                {t('usage.realtime.burnRate')}
                             </span>
-                            <p className="font-semibold">{(data?.burnRate?.tokensPerMinute || 0).toFixed(1)} /min</p>
+                            <p className="font-semibold">{formatNumber(data?.burnRate?.tokensPerMinute || 0, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} /min</p>
                         </div>
                         <div>
                             <span className="text-gray-500 dark:text-gray-400 flex items-center">
                                 <CreditCard className="w-3 h-3 mr-1" />
-                                成本率
+                                {t('usage.realtime.costRate')}
                             </span>
-                            <p className="font-semibold">${(() => {
+                            <p className="font-semibold">{(() => {
                                 // 基于Sonnet模型的平均成本计算（输入0.003 + 输出0.015 = 平均约0.009每千token）
                                 const burnRate = data?.burnRate?.tokensPerMinute || 0;
                                 const avgCostPerK = 0.009; // 平均每千token成本
-                                return (burnRate * avgCostPerK / 1000).toFixed(4);
+                                return formatCurrency(burnRate * avgCostPerK / 1000, 4);
                             })()} /min</p>
                         </div>
                         <div>
                             <span className="text-gray-500 dark:text-gray-400 flex items-center">
                                 <Target className="w-3 h-3 mr-1" />
-                                预计耗尽
+                                {t('usage.realtime.runOut')}
                             </span>
                             <p className="font-semibold">{(() => {
                                 const burnRate = data?.burnRate?.tokensPerMinute || 0;
@@ -588,34 +637,33 @@ export function RealTimeView() {
                                 const minutesToRunOut = remainingTokens / burnRate;
                                 const runOutTime = new Date(Date.now() + minutesToRunOut * 60 * 1000);
                                 
-                                return runOutTime.toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
+                                return formatClock(runOutTime);
                             })()}</p>
                         </div>
                         <div>
                             <span className="text-gray-500 dark:text-gray-400 flex items-center">
                                 <Clock className="w-3 h-3 mr-1" />
-                                重置时间
+                                {t('usage.realtime.resetTime')}
                             </span>
-                            <p className="font-semibold">{(() => {
-                                // 使用真实的会话窗口结束时间
-                                const windowEnd = data?.sessionWindow?.end;
-                                if (windowEnd) {
-                                    return new Date(windowEnd).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' });
-                                }
-                                // 回退到默认计算
-                                return getNextResetTime();
-                            })()}</p>
+                            <p className="font-semibold" title={resetSourceLabel(data?.sessionWindow?.resetSource) || t('usage.realtime.noActiveWindowYet')}>
+                                {data?.sessionWindow?.active
+                                    ? t('usage.realtime.resetAt', { time: getNextResetTime(), countdown: formatCountdown(data.sessionWindow.end) })
+                                    : t('usage.realtime.startsWithNextMessage')}
+                            </p>
                         </div>
                     </div>
                 </div>
             </div>
 
+            {/* 预算提醒 */}
+            <BudgetPanel alerts={budgetAlerts} onDismissAlerts={() => setBudgetAlerts([])} />
+
             {/* 模型使用详情 */}
             <div className="p-4 rounded-lg border border-gray-200 bg-white dark:bg-gray-800">
                 <div className="flex items-center justify-between mb-3">
                     <div className="flex items-center space-x-2">
                         <Bot className="w-5 h-5 text-blue-500" />
-                        <span className="font-medium">模型使用详情</span>
+                        <span className="font-medium">{t('usage.realtime.modelDetails')}</span>
                     </div>
                     <div className="flex items-center space-x-2">
                         <ModelConfigButton />
@@ -629,7 +677,7 @@ export function RealTimeView() {
                         if (models.length === 0) {
                             return (
                                 <div className="text-center text-gray-500 py-4">
-                                    暂无模型使用数据
+                                    {t('usage.realtime.noModelData')}
                                 </div>
                             );
                         }
@@ -653,9 +701,9 @@ export function RealTimeView() {
                                             {model}
                                         </span>
                                         <div className="text-right">
-                                            <div className="text-sm font-semibold">{percentage.toFixed(1)}%</div>
+                                            <div className="text-sm font-semibold">{formatPercent(percentage)}</div>
                                             <div className="text-xs text-gray-500">
-                                                {stats.tokens.toLocaleString()} tokens
+                                                {t('usage.realtime.tokenCount', { count: formatNumber(stats.tokens) })}
                                             </div>
                                         </div>
                                     </div>
@@ -672,16 +720,16 @@ export function RealTimeView() {
                                     </div>
                                     <div className="grid grid-cols-3 gap-2 text-xs text-gray-600 dark:text-gray-400">
                                         <div>
-                                            <span className="block">成本</span>
-                                            <span className="font-semibold">${stats.cost.toFixed(4)}</span>
+                                            <span className="block">{t('usage.common.cost')}</span>
+                                            <span className="font-semibold">{formatCurrency(stats.cost, 4)}</span>
                                         </div>
                                         <div>
-                                            <span className="block">消息</span>
+                                            <span className="block">{t('usage.realtime.messages')}</span>
                                             <span className="font-semibold">{stats.messages}</span>
                                         </div>
                                         <div>
-                                            <span className="block">占比</span>
-                                            <span className="font-semibold">{percentage.toFixed(1)}%</span>
+                                            <span className="block">{t('usage.realtime.share')}</span>
+                                            <span className="font-semibold">{formatPercent(percentage)}</span>
                                         </div>
                                     </div>
                                 </div>
@@ -695,42 +743,56 @@ export function RealTimeView() {
             <div className="p-4 rounded-lg border border-gray-200 bg-white dark:bg-gray-800">
                 <div className="flex items-center space-x-2 mb-3">
                     <Timer className="w-5 h-5 text-purple-500" />
-                    <span className="font-medium">会话窗口信息</span>
+                    <span className="font-medium">{t('usage.realtime.windowInfo')}</span>
                 </div>
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
                     <div>
-                        <span className="text-sm text-gray-600 dark:text-gray-400 block">窗口开始</span>
+                        <span className="text-sm text-gray-600 dark:text-gray-400 block">{t('usage.realtime.windowStart')}</span>
                         <span className="font-mono text-sm font-semibold">
-                            {new Date(data.sessionWindow.start).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })}
+                            {formatClock(data.sessionWindow.start)}
                         </span>
                     </div>
                     <div>
-                        <span className="text-sm text-gray-600 dark:text-gray-400 block">窗口结束</span>
+                        <span className="text-sm text-gray-600 dark:text-gray-400 block">{t('usage.realtime.windowEnd')}</span>
                         <span className="font-mono text-sm font-semibold">
-                            {new Date(data.sessionWindow.end).toLocaleTimeString('zh-CN', { hour: '2-digit', minute: '2-digit' })}
+                            {formatClock(data.sessionWindow.end)}
                         </span>
                     </div>
                     <div>
-                        <span className="text-sm text-gray-600 dark:text-gray-400 block">活动会话</span>
+                        <span className="text-sm text-gray-600 dark:text-gray-400 block">{t('usage.realtime.activeSessions')}</span>
                         <span className="font-mono text-sm font-semibold">
-                            {data.activeSessions} 个
+                            {formatNumber(data.activeSessions)}
                         </span>
                     </div>
                     <div>
-                        <span className="text-sm text-gray-600 dark:text-gray-400 block">剩余时长</span>
+                        <span className="text-sm text-gray-600 dark:text-gray-400 block">{t('usage.realtime.untilReset')}</span>
                         <span className="font-mono text-sm font-semibold">
-                            {(() => {
-                                const now = new Date();
-                                const end = new Date(data.sessionWindow.end);
-                                const remainingMs = end - now;
-                                if (remainingMs <= 0) return '已结束';
-                                const hours = Math.floor(remainingMs / (1000 * 60 * 60));
-                                const minutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
-                                return `${hours}小时${minutes}分钟`;
-                            })()}
+                            {data.sessionWindow.active ? formatCountdown(data.sessionWindow.end) : t('usage.realtime.noActiveWindow')}
                         </span>
+                        {data.sessionWindow.resetSource && (
+                            <span className={`block text-xs ${data.sessionWindow.resetSource === 'usage-limit' ? 'text-red-500' : 'text-gray-500'}`}>
+                                {resetSourceLabel(data.sessionWindow.resetSource)}
+                            </span>
+                        )}
                     </div>
                 </div>
+
+                {/* 合并多个来源时按来源拆分当前窗口 */}
+                {data.sources?.length > 1 && (
+                    <div className="mt-4 pt-3 border-t dark:border-gray-700 grid grid-cols-2 md:grid-cols-4 gap-4">
+                        {data.sources.map(({ id, label }) => {
+                            const usage = data.currentUsage.sourceUsage?.[id];
+                            return (
+                                <div key={id}>
+                                    <span className="text-sm text-gray-600 dark:text-gray-400 block">{label}</span>
+                                    <span className="font-mono text-sm font-semibold">
+                                        {t('usage.realtime.sourceUsage', { tokens: formatNumber(usage?.tokens || 0), cost: formatCurrency(usage?.cost || 0) })}
+                                    </span>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
             </div>
 
             {/* 警告信息 */}
@@ -738,7 +800,7 @@ export function RealTimeView() {
                 <div className="space-y-2">
                     <h3 className="font-semibold text-yellow-600 dark:text-yellow-400 flex items-center">
                         <AlertCircle className="w-5 h-5 mr-2" />
-                        使用量警告
+                        {t('usage.realtime.warnings')}
                     </h3>
                     <div className="space-y-2">
                         {data.warnings.map((warning, index) => (
@@ -759,7 +821,7 @@ export function RealTimeView() {
                                             ? 'text-red-800 dark:text-red-200' 
                                             : 'text-yellow-800 dark:text-yellow-200'
                                     }`}>
-                                        {warning.message}
+                                        {warning.code ? t(`usage.warnings.${warning.code}`, warning.params) : warning.message}
                                     </span>
                                 </div>
                             </div>
@@ -770,15 +832,19 @@ export function RealTimeView() {
 
             {/* 状态信息 */}
             <div className="text-xs text-gray-500 dark:text-gray-400 text-center">
-                最后更新: {lastUpdated?.toLocaleTimeString()} | 
-                连接模式: {useWebSocket ? (wsConnected ? 'WebSocket已连接' : 'WebSocket连接中...') : 'HTTP轮询'} |
+                {t('usage.realtime.lastUpdated', { time: lastUpdated ? formatTime(lastUpdated) : '' })} |{' '}
+                {t('usage.realtime.connectionMode', {
+                    mode: useWebSocket
+                        ? (wsConnected ? t('usage.realtime.wsConnected') : t('usage.realtime.wsConnecting'))
+                        : t('usage.realtime.httpPolling')
+                })} |{' '}
                 {!useWebSocket && (
                     <>
-                        自动刷新: {autoRefresh ? '开启' : '关闭'} | 
-                        刷新间隔: {refreshInterval / 1000}秒
+                        {t('usage.realtime.autoRefresh', { state: autoRefresh ? t('usage.realtime.on') : t('usage.realtime.off') })} |{' '}
+                        {t('usage.realtime.refreshInterval', { seconds: refreshInterval / 1000 })}
                     </>
                 )}
-                {useWebSocket && wsConnected && '实时数据推送: 开启'}
+                {useWebSocket && wsConnected && t('usage.realtime.pushEnabled')}
             </div>
         </div>
     );
@@ -0,0 +1,224 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowDown, ArrowUp, ExternalLink, FolderOpen, MessageSquare, RefreshCw, X } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const PAGE_SIZE = 20;
+
+/**
+ * 按项目/会话的成本分解表
+ * range 为 { days } 或 { from, to }，与所在视图的统计范围一致；source 为选中的使用量来源 id
+ */
+export function UsageBreakdownTable({ range, source = '', onOpenSession }) {
+    const [groupBy, setGroupBy] = useState('project'); // 'project' 或 'session'
+    const [sort, setSort] = useState('cost');
+    const [order, setOrder] = useState('desc');
+    const [projectFilter, setProjectFilter] = useState(null); // { name, displayName }
+    const [rows, setRows] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [hasMore, setHasMore] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const { t, formatNumber, formatCurrency, formatDateTime } = useLanguage();
+
+    const rangeQuery = new URLSearchParams(
+        Object.entries(range).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+
+    const fetchRows = async (offset = 0) => {
+        try {
+            setLoading(true);
+            const params = new URLSearchParams(rangeQuery);
+            params.set('sort', sort);
+            params.set('order', order);
+            if (source) {
+                params.set('sources', source);
+            }
+
+            let response;
+            if (groupBy === 'project') {
+                response = await apiFetch(`/api/usage/projects?${params}`);
+            } else {
+                params.set('limit', PAGE_SIZE);
+                params.set('offset', offset);
+                if (projectFilter) {
+                    params.set('project', projectFilter.name);
+                }
+                response = await apiFetch(`/api/usage/sessions?${params}`);
+            }
+            const result = await response.json();
+
+            if (result.success) {
+                const items = groupBy === 'project' ? result.data.projects : result.data.sessions;
+                setRows(prev => offset > 0 ? [...prev, ...items] : items);
+                setTotal(groupBy === 'project' ? items.length : result.data.total);
+                setHasMore(groupBy === 'session' && result.data.hasMore);
+                setError(null);
+            } else {
+                setError(result.error || t('usage.common.fetchFailed'));
+            }
+        } catch (err) {
+            console.error('Error fetching usage breakdown:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        fetchRows();
+    }, [groupBy, sort, order, projectFilter, rangeQuery, source]);
+
+    const handleSort = (field) => {
+        if (sort === field) {
+            setOrder(order === 'desc' ? 'asc' : 'desc');
+        } else {
+            setSort(field);
+            setOrder('desc');
+        }
+    };
+
+    const showProjectSessions = (project) => {
+        setProjectFilter({ name: project.projectName, displayName: project.displayName });
+        setGroupBy('session');
+    };
+
+    const formatTime = (value) => value
+        ? formatDateTime(value, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+        : '-';
+
+    const SortHeader = ({ field, children, className = '' }) => (
+        <th className={`px-3 py-2 font-medium text-right ${className}`}>
+            <button
+                onClick={() => handleSort(field)}
+                className="inline-flex items-center space-x-1 hover:text-gray-900 dark:hover:text-gray-100"
+            >
+                <span>{children}</span>
+                {sort === field && (order === 'desc' ? <ArrowDown className="w-3 h-3" /> : <ArrowUp className="w-3 h-3" />)}
+            </button>
+        </th>
+    );
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg border">
+            <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-3">
+                    <h3 className="font-semibold">{t('usage.breakdown.title')}</h3>
+                    <div className="flex rounded-md border overflow-hidden text-sm">
+                        <button
+                            onClick={() => setGroupBy('project')}
+                            className={`px-3 py-1 flex items-center space-x-1 ${groupBy === 'project' ? 'bg-blue-500 text-white' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                        >
+                            <FolderOpen className="w-3 h-3" />
+                            <span>{t('usage.breakdown.byProject')}</span>
+                        </button>
+                        <button
+                            onClick={() => setGroupBy('session')}
+                            className={`px-3 py-1 flex items-center space-x-1 ${groupBy === 'session' ? 'bg-blue-500 text-white' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                        >
+                            <MessageSquare className="w-3 h-3" />
+                            <span>{t('usage.breakdown.bySession')}</span>
+                        </button>
+                    </div>
+                    {groupBy === 'session' && projectFilter && (
+                        <Badge variant="secondary" className="flex items-center space-x-1">
+                            <span>{projectFilter.displayName}</span>
+                            <button onClick={() => setProjectFilter(null)} title={t('usage.breakdown.allProjects')}>
+                                <X className="w-3 h-3" />
+                            </button>
+                        </Badge>
+                    )}
+                </div>
+                <div className="flex items-center space-x-2 text-sm text-gray-500">
+                    <span>{t(groupBy === 'project' ? 'usage.breakdown.projectTotal' : 'usage.breakdown.sessionTotal', { count: total })}</span>
+                    <Button onClick={() => fetchRows()} size="sm" variant="outline">
+                        <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                    </Button>
+                </div>
+            </div>
+
+            {error ? (
+                <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+            ) : rows.length === 0 && !loading ? (
+                <p className="text-sm text-gray-500 text-center py-6">{t('usage.breakdown.empty')}</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="border-b text-gray-600 dark:text-gray-400">
+                                <th className="px-3 py-2 font-medium text-left">{groupBy === 'project' ? t('usage.breakdown.project') : t('usage.breakdown.session')}</th>
+                                {groupBy === 'project' && <SortHeader field="sessions">{t('usage.common.sessions')}</SortHeader>}
+                                <SortHeader field="messages">{t('usage.common.messages')}</SortHeader>
+                                <SortHeader field="tokens">{t('usage.common.tokens')}</SortHeader>
+                                <SortHeader field="cost">{t('usage.common.cost')}</SortHeader>
+                                <SortHeader field="lastActivity">{t('usage.breakdown.lastActivity')}</SortHeader>
+                                <th className="px-3 py-2" />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => (
+                                <tr
+                                    key={groupBy === 'project' ? row.projectName : `${row.projectName}/${row.sessionId}`}
+                                    className="border-b last:border-b-0 hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                                >
+                                    <td className="px-3 py-2 max-w-xs">
+                                        {groupBy === 'project' ? (
+                                            <>
+                                                <p className="font-medium truncate">{row.displayName}</p>
+                                                <p className="text-xs text-gray-500 truncate">{row.projectPath || row.projectName}</p>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <p className="font-medium truncate">{row.summary || row.sessionId.slice(0, 8)}</p>
+                                                <p className="text-xs text-gray-500 truncate">
+                                                    {row.projectDisplayName} · {row.models.join(', ')}
+                                                </p>
+                                            </>
+                                        )}
+                                    </td>
+                                    {groupBy === 'project' && <td className="px-3 py-2 text-right">{row.sessionCount}</td>}
+                                    <td className="px-3 py-2 text-right">{formatNumber(row.stats.totalMessages)}</td>
+                                    <td className="px-3 py-2 text-right">{formatNumber(row.stats.totalTokens)}</td>
+                                    <td className="px-3 py-2 text-right font-medium">
+                                        {formatCurrency(row.stats.totalCost, 4)}
+                                        {row.stats.fallbackPricedCost > 0 && (
+                                            <span className="ml-1 text-amber-600" title={t('usage.breakdown.fallbackCost')}>*</span>
+                                        )}
+                                    </td>
+                                    <td className="px-3 py-2 text-right text-gray-500 whitespace-nowrap">{formatTime(row.lastActivity)}</td>
+                                    <td className="px-3 py-2 text-right">
+                                        {groupBy === 'project' ? (
+                                            <button
+                                                onClick={() => showProjectSessions(row)}
+                                                className="text-blue-600 dark:text-blue-400 hover:underline whitespace-nowrap"
+                                            >
+                                                {t('usage.breakdown.viewSessions')}
+                                            </button>
+                                        ) : onOpenSession && (
+                                            <button
+                                                onClick={() => onOpenSession(row.projectName, row.sessionId)}
+                                                className="text-blue-600 dark:text-blue-400 hover:underline inline-flex items-center space-x-1 whitespace-nowrap"
+                                            >
+                                                <span>{t('usage.breakdown.open')}</span>
+                                                <ExternalLink className="w-3 h-3" />
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {hasMore && (
+                        <div className="text-center mt-3">
+                            <Button onClick={() => fetchRows(rows.length)} size="sm" variant="outline" disabled={loading}>
+                                {t('usage.breakdown.loadMore')}
+                            </Button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
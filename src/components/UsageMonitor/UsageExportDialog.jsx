@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react';
+import { Download, X } from 'lucide-react';
+import { Button } from '../ui/button';
+import { apiFetch } from '../../utils/api';
+import { useElectron } from '../../utils/electron';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+const GRANULARITY_OPTIONS = ['request', 'daily', 'monthly'];
+
+const FORMAT_OPTIONS = [
+    { id: 'csv', filterName: 'CSV', extension: 'csv' },
+    { id: 'excel', filterName: 'CSV (Excel)', extension: 'csv' },
+    { id: 'jsonl', filterName: 'JSON Lines', extension: 'jsonl' }
+];
+
+const formatDateInput = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * 根据粒度和最近天数/月数生成默认的导出范围
+ */
+const getDefaultRange = ({ days, months }) => {
+    const from = new Date();
+    if (months) {
+        from.setMonth(from.getMonth() - months);
+    } else {
+        from.setDate(from.getDate() - (days || 30));
+    }
+    return { from: formatDateInput(from), to: formatDateInput(new Date()) };
+};
+
+/**
+ * 使用量导出对话框 - 选择粒度、日期范围、项目、格式和表头语言，
+ * 在 Electron 中通过保存对话框写入文件，浏览器中直接下载
+ * defaults 可包含 granularity、days、months；source 为选中的使用量来源 id
+ */
+export function UsageExportDialog({ defaults = {}, source = '', onClose }) {
+    const electron = useElectron();
+    const { t, language } = useLanguage();
+    const [form, setForm] = useState(() => ({
+        granularity: defaults.granularity || 'daily',
+        ...getDefaultRange(defaults),
+        project: '',
+        format: 'csv',
+        // 表头语言默认跟随界面语言
+        lang: language === 'en' ? 'en' : 'zh'
+    }));
+    const [projects, setProjects] = useState([]);
+    const [exporting, setExporting] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        const fetchProjects = async () => {
+            try {
+                const response = await apiFetch(`/api/usage/projects?months=12${source ? `&sources=${encodeURIComponent(source)}` : ''}`);
+                const result = await response.json();
+                if (result.success) {
+                    setProjects(result.data.projects);
+                }
+            } catch (err) {
+                console.error('Error fetching projects for export:', err);
+            }
+        };
+        fetchProjects();
+    }, []);
+
+    const exportUsage = async () => {
+        setExporting(true);
+        setError(null);
+        try {
+            const params = new URLSearchParams({
+                granularity: form.granularity,
+                from: form.from,
+                to: form.to,
+                format: form.format,
+                lang: form.lang
+            });
+            if (form.project) {
+                params.set('project', form.project);
+            }
+            if (source) {
+                params.set('sources', source);
+            }
+
+            const response = await apiFetch(`/api/usage/export?${params}`);
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || t('usage.export.failed'));
+            }
+            const content = await response.text();
+            const option = FORMAT_OPTIONS.find(item => item.id === form.format);
+            const fileName = `claude-usage-${form.granularity}-${form.from}_${form.to}.${option.extension}`;
+
+            if (electron.isElectronApp()) {
+                const result = await electron.showSaveDialog({
+                    title: t('usage.export.title'),
+                    defaultPath: fileName,
+                    filters: [{ name: option.filterName, extensions: [option.extension] }]
+                });
+                if (!result || result.canceled || !result.filePath) return;
+
+                const writeResult = await electron.writeFile(result.filePath, content);
+                if (!writeResult?.success) {
+                    throw new Error(writeResult?.error || t('usage.export.writeFailed'));
+                }
+            } else {
+                const url = URL.createObjectURL(new Blob([content], { type: response.headers.get('Content-Type') || 'text/plain' }));
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = fileName;
+                link.click();
+                URL.revokeObjectURL(url);
+            }
+            onClose();
+        } catch (err) {
+            console.error('Error exporting usage data:', err);
+            setError(err.message);
+        } finally {
+            setExporting(false);
+        }
+    };
+
+    const selectClassName = 'w-full p-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600';
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+            <div className="bg-white dark:bg-gray-800 rounded-lg p-6 max-w-md w-full mx-4">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-semibold">{t('usage.export.title')}</h3>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300"
+                    >
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="space-y-4 text-sm">
+                    <div>
+                        <label className="block font-medium mb-2">{t('usage.export.granularity')}</label>
+                        <select
+                            value={form.granularity}
+                            onChange={(e) => setForm({ ...form, granularity: e.target.value })}
+                            className={selectClassName}
+                        >
+                            {GRANULARITY_OPTIONS.map(option => (
+                                <option key={option} value={option}>{t(`usage.export.granularities.${option}`)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block font-medium mb-2">{t('usage.export.from')}</label>
+                            <input
+                                type="date"
+                                value={form.from}
+                                max={form.to}
+                                onChange={(e) => setForm({ ...form, from: e.target.value })}
+                                className={selectClassName}
+                            />
+                        </div>
+                        <div>
+                            <label className="block font-medium mb-2">{t('usage.export.to')}</label>
+                            <input
+                                type="date"
+                                value={form.to}
+                                min={form.from}
+                                onChange={(e) => setForm({ ...form, to: e.target.value })}
+                                className={selectClassName}
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block font-medium mb-2">{t('usage.breakdown.project')}</label>
+                        <select
+                            value={form.project}
+                            onChange={(e) => setForm({ ...form, project: e.target.value })}
+                            className={selectClassName}
+                        >
+                            <option value="">{t('usage.export.allProjects')}</option>
+                            {projects.map(project => (
+                                <option key={project.projectName} value={project.projectName}>
+                                    {project.displayName}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-3">
+                        <div>
+                            <label className="block font-medium mb-2">{t('usage.export.format')}</label>
+                            <select
+                                value={form.format}
+                                onChange={(e) => setForm({ ...form, format: e.target.value })}
+                                className={selectClassName}
+                            >
+                                {FORMAT_OPTIONS.map(option => (
+                                    <option key={option.id} value={option.id}>{t(`usage.export.formats.${option.id}`)}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block font-medium mb-2">{t('usage.export.headerLanguage')}</label>
+                            <select
+                                value={form.lang}
+                                disabled={form.format === 'jsonl'}
+                                onChange={(e) => setForm({ ...form, lang: e.target.value })}
+                                className={`${selectClassName} disabled:opacity-50`}
+                            >
+                                <option value="zh">中文</option>
+                                <option value="en">English</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    {error && <p className="text-red-600 dark:text-red-400">{error}</p>}
+
+                    <div className="flex justify-end space-x-2">
+                        <Button variant="outline" onClick={onClose}>
+                            {t('common.cancel')}
+                        </Button>
+                        <Button onClick={exportUsage} disabled={exporting || !form.from || !form.to}>
+                            <Download className="w-4 h-4 mr-2" />
+                            {exporting ? t('usage.export.exporting') : t('usage.common.export')}
+                        </Button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,36 +1,72 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Activity, Calendar, BarChart3, Settings, TrendingUp } from 'lucide-react';
 import { RealTimeView } from './RealTimeView';
 import { DailyView } from './DailyView';
 import { MonthlyView } from './MonthlyView';
+import { UsageSourcesPanel } from './UsageSourcesPanel';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
 
 /**
  * 使用量监控主组件 - 包含多个视图的标签页界面
+ * onOpenSession(projectName, sessionId) 用于从成本分解表跳转到会话
+ * 配置了多个使用量来源时，可以只看其中一个来源或合并查看全部已启用来源
  */
-export function UsageMonitor() {
+export function UsageMonitor({ onOpenSession }) {
     const [activeTab, setActiveTab] = useState('realtime');
+    const [sources, setSources] = useState([]);
+    const [source, setSource] = useState(''); // 空字符串表示全部已启用来源
+    const [sourcesRevision, setSourcesRevision] = useState(0);
+    const { t } = useLanguage();
+
+    const fetchSources = async () => {
+        try {
+            const response = await apiFetch('/api/usage/sources');
+            const result = await response.json();
+            if (result.success) {
+                setSources(result.data.sources);
+            }
+        } catch (err) {
+            console.error('Error fetching usage sources:', err);
+        }
+    };
+
+    useEffect(() => {
+        fetchSources();
+    }, []);
+
+    const enabledSources = sources.filter(item => item.enabled);
+
+    const handleSourcesSaved = (saved) => {
+        setSources(saved);
+        setSourcesRevision(prev => prev + 1);
+        // 选中的来源被停用或删除时回到全部来源
+        if (source && !saved.some(item => item.id === source && item.enabled)) {
+            setSource('');
+        }
+    };
 
     const tabs = [
         {
             id: 'realtime',
-            label: '实时监控',
+            label: t('usage.monitor.tabs.realtime'),
             icon: Activity,
             component: RealTimeView,
-            description: '当前5小时窗口的实时使用情况'
+            description: t('usage.monitor.descriptions.realtime')
         },
         {
             id: 'daily',
-            label: '每日统计',
+            label: t('usage.monitor.tabs.daily'),
             icon: Calendar,
             component: DailyView,
-            description: '按日期统计的使用量和成本'
+            description: t('usage.monitor.descriptions.daily')
         },
         {
             id: 'monthly',
-            label: '月度分析',
+            label: t('usage.monitor.tabs.monthly'),
             icon: BarChart3,
             component: MonthlyView,
-            description: '月度趋势和长期使用分析'
+            description: t('usage.monitor.descriptions.monthly')
         }
     ];
 
@@ -44,18 +80,21 @@ export function UsageMonitor() {
                     <TrendingUp className="w-6 h-6 text-blue-600 mt-0.5" />
                     <div>
                         <h3 className="font-semibold text-blue-800 dark:text-blue-200">
-                            Claude Code 使用量监控
+                            {t('usage.monitor.title')}
                         </h3>
                         <p className="text-sm text-blue-600 dark:text-blue-300 mt-1">
-                            实时跟踪您的Claude AI令牌使用情况、成本分析和会话统计。
-                            基于您的本地Claude配置文件分析，完全离线运行。
+                            {t('usage.monitor.subtitle')}
                         </p>
                     </div>
                 </div>
             </div>
 
+            {sources.length > 0 && (
+                <UsageSourcesPanel sources={sources} onSaved={handleSourcesSaved} />
+            )}
+
             {/* 标签页导航 */}
-            <div className="border-b border-gray-200 dark:border-gray-700">
+            <div className="border-b border-gray-200 dark:border-gray-700 flex items-center justify-between">
                 <nav className="flex space-x-8">
                     {tabs.map((tab) => {
                         const Icon = tab.icon;
@@ -79,6 +118,18 @@ export function UsageMonitor() {
                         );
                     })}
                 </nav>
+                {enabledSources.length > 1 && (
+                    <select
+                        value={source}
+                        onChange={(e) => setSource(e.target.value)}
+                        className="p-1.5 text-sm border rounded-lg dark:bg-gray-700 dark:border-gray-600"
+                    >
+                        <option value="">{t('usage.monitor.allSources')}</option>
+                        {enabledSources.map(item => (
+                            <option key={item.id} value={item.id}>{item.label}</option>
+                        ))}
+                    </select>
+                )}
             </div>
 
             {/* 当前标签页说明 */}
@@ -88,7 +139,10 @@ export function UsageMonitor() {
 
             {/* 标签页内容 */}
             <div className="min-h-[500px]">
-                {ActiveComponent && <ActiveComponent />}
+                {/* 切换或修改来源时重新挂载，视图和 WebSocket 订阅按新来源重新加载 */}
+                {ActiveComponent && (
+                    <ActiveComponent key={`${source}:${sourcesRevision}`} source={source} onOpenSession={onOpenSession} />
+                )}
             </div>
         </div>
     );
@@ -1,5 +1,6 @@
 import React from 'react';
 import { AlertTriangle, TrendingUp, Clock, DollarSign } from 'lucide-react';
+import { useLanguage } from '../../contexts/LanguageContext';
 
 /**
  * 使用量进度条组件 - 显示令牌、成本、消息使用情况
@@ -12,8 +13,10 @@ export function UsageProgressBar({
     type = 'default',
     showPercentage = true,
     showWarnings = true,
-    formatValue = (value) => value?.toLocaleString() || '0'
+    formatValue
 }) {
+    const { t, formatNumber } = useLanguage();
+    const format = formatValue || ((value) => formatNumber(value || 0));
     const percentage = limit > 0 ? Math.min((current / limit) * 100, 100) : 0;
     
     // 根据使用量百分比确定颜色主题
@@ -79,7 +82,7 @@ export function UsageProgressBar({
                 </div>
                 {showPercentage && (
                     <span className={`text-sm font-semibold ${colors.text}`}>
-                        {percentage.toFixed(1)}%
+                        {formatNumber(percentage / 100, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })}
                     </span>
                 )}
             </div>
@@ -95,10 +98,10 @@ export function UsageProgressBar({
             {/* 数值显示 */}
             <div className="flex justify-between items-center text-sm">
                 <span className="text-gray-600 dark:text-gray-400">
-                    {formatValue(current)}{unit} / {formatValue(limit)}{unit}
+                    {format(current)}{unit} / {format(limit)}{unit}
                 </span>
                 <span className="text-gray-500 dark:text-gray-500">
-                    剩余: {formatValue(Math.max(0, limit - current))}{unit}
+                    {t('usage.common.remaining', { value: `${format(Math.max(0, limit - current))}${unit}` })}
                 </span>
             </div>
         </div>
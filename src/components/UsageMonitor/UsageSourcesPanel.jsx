@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { AlertTriangle, FolderOpen, Plus, Save, Settings, Trash2 } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { apiFetch } from '../../utils/api';
+import { useLanguage } from '../../contexts/LanguageContext';
+
+/**
+ * 使用量来源面板 - 管理要统计的 Claude 配置目录（例如工作/个人账户、挂载到宿主机的容器目录）
+ * 默认来源 ~/.claude 只能改名称和启用状态；保存后通过 onSaved(sources) 通知上层刷新
+ */
+export function UsageSourcesPanel({ sources, onSaved }) {
+    const [editing, setEditing] = useState(false);
+    const [form, setForm] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+    const { t } = useLanguage();
+
+    const startEditing = () => {
+        setForm(sources.map(({ id, label, claudeConfigDir, enabled, builtIn }) => ({ id, label, claudeConfigDir, enabled, builtIn })));
+        setError(null);
+        setEditing(true);
+    };
+
+    const updateSource = (index, changes) => {
+        setForm(prev => prev.map((item, i) => i === index ? { ...item, ...changes } : item));
+    };
+
+    const saveSources = async () => {
+        setSaving(true);
+        setError(null);
+        try {
+            const response = await apiFetch('/api/usage/sources', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sources: form.map(({ builtIn, ...source }) => source)
+                })
+            });
+            const result = await response.json();
+            if (result.success) {
+                setEditing(false);
+                onSaved(result.data.sources);
+            } else {
+                setError(result.error || t('usage.common.saveFailed'));
+            }
+        } catch (err) {
+            console.error('Error saving usage sources:', err);
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const inputClassName = 'p-2 border rounded-lg dark:bg-gray-700 dark:border-gray-600';
+
+    return (
+        <div className="p-4 rounded-lg border border-gray-200 bg-white dark:bg-gray-800 space-y-4">
+            <div className="flex items-center justify-between">
+                <h3 className="font-semibold flex items-center">
+                    <FolderOpen className="w-4 h-4 mr-2 text-blue-500" />
+                    {t('usage.sources.title')}
+                </h3>
+                {!editing && (
+                    <Button onClick={startEditing} variant="outline" size="sm">
+                        <Settings className="w-4 h-4 mr-1" />
+                        {t('usage.sources.manage')}
+                    </Button>
+                )}
+            </div>
+
+            {editing ? (
+                <div className="space-y-3 text-sm">
+                    {form.map((source, index) => (
+                        <div key={source.id || `new-${index}`} className="flex items-center space-x-2">
+                            <input
+                                type="checkbox"
+                                checked={source.enabled}
+                                onChange={(e) => updateSource(index, { enabled: e.target.checked })}
+                                title={t('usage.sources.enabled')}
+                            />
+                            <input
+                                type="text"
+                                value={source.label}
+                                placeholder={t('usage.sources.label')}
+                                onChange={(e) => updateSource(index, { label: e.target.value })}
+                                className={`w-32 ${inputClassName}`}
+                            />
+                            <input
+                                type="text"
+                                value={source.claudeConfigDir}
+                                placeholder={t('usage.sources.configDir')}
+                                disabled={source.builtIn}
+                                onChange={(e) => updateSource(index, { claudeConfigDir: e.target.value })}
+                                className={`flex-1 font-mono disabled:opacity-60 ${inputClassName}`}
+                            />
+                            {source.builtIn ? (
+                                <span className="w-4" />
+                            ) : (
+                                <button
+                                    onClick={() => setForm(prev => prev.filter((_, i) => i !== index))}
+                                    className="text-gray-500 hover:text-red-600"
+                                    title={t('usage.common.remove')}
+                                >
+                                    <Trash2 className="w-4 h-4" />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+
+                    <Button
+                        onClick={() => setForm(prev => [...prev, { label: '', claudeConfigDir: '', enabled: true, builtIn: false }])}
+                        variant="outline"
+                        size="sm"
+                    >
+                        <Plus className="w-4 h-4 mr-1" />
+                        {t('usage.sources.add')}
+                    </Button>
+
+                    {error && <p className="text-red-600 dark:text-red-400">{error}</p>}
+
+                    <div className="flex justify-end space-x-2">
+                        <Button variant="outline" onClick={() => setEditing(false)}>
+                            {t('common.cancel')}
+                        </Button>
+                        <Button onClick={saveSources} disabled={saving}>
+                            <Save className="w-4 h-4 mr-2" />
+                            {t('usage.sources.save')}
+                        </Button>
+                    </div>
+                </div>
+            ) : (
+                <ul className="space-y-2 text-sm">
+                    {sources.map(source => (
+                        <li key={source.id} className="flex items-center space-x-2">
+                            <span className={`font-medium ${source.enabled ? '' : 'text-gray-400'}`}>{source.label}</span>
+                            <span className="font-mono text-xs text-gray-500 truncate">{source.claudeConfigDir}</span>
+                            {!source.enabled && <Badge variant="outline" className="text-xs">{t('usage.sources.disabled')}</Badge>}
+                            {source.enabled && !source.exists && (
+                                <span className="flex items-center text-xs text-yellow-600 dark:text-yellow-400">
+                                    <AlertTriangle className="w-3 h-3 mr-1" />
+                                    {t('usage.sources.missing')}
+                                </span>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,56 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import {
+    DEFAULT_LANGUAGE,
+    detectLanguage,
+    formatCurrency,
+    formatDate,
+    formatDateTime,
+    formatNumber,
+    formatTime,
+    normalizeLanguage,
+    setCurrentLanguage,
+    translate
+} from '../i18n';
+
+const LanguageContext = createContext();
+
+export const useLanguage = () => {
+    const context = useContext(LanguageContext);
+    if (!context) {
+        throw new Error('useLanguage must be used within a LanguageProvider');
+    }
+    return context;
+};
+
+export const LanguageProvider = ({ children }) => {
+    const [language, setLanguageState] = useState(detectLanguage);
+
+    useEffect(() => {
+        setCurrentLanguage(language);
+        localStorage.setItem('language', language);
+        document.documentElement.lang = language;
+        // Keep the native Electron menu in the same language
+        window.electronAPI?.setLanguage?.(language);
+    }, [language]);
+
+    const setLanguage = useCallback((next) => {
+        setLanguageState(normalizeLanguage(next) || DEFAULT_LANGUAGE);
+    }, []);
+
+    const value = useMemo(() => ({
+        language,
+        setLanguage,
+        t: (key, params) => translate(language, key, params),
+        formatNumber: (value, options) => formatNumber(language, value, options),
+        formatCurrency: (value, digits) => formatCurrency(language, value, digits),
+        formatDate: (value, options) => formatDate(language, value, options),
+        formatTime: (value, options) => formatTime(language, value, options),
+        formatDateTime: (value, options) => formatDateTime(language, value, options)
+    }), [language, setLanguage]);
+
+    return (
+        <LanguageContext.Provider value={ value }>
+            { children }
+        </LanguageContext.Provider>
+    );
+};
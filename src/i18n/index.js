@@ -0,0 +1,87 @@
+import zhCN from './locales/zh-CN';
+import en from './locales/en';
+
+export const DEFAULT_LANGUAGE = 'zh-CN';
+
+export const SUPPORTED_LANGUAGES = [
+    { id: 'zh-CN', label: '简体中文' },
+    { id: 'en', label: 'English' }
+];
+
+const catalogs = {
+    'zh-CN': zhCN,
+    en
+};
+
+// Map browser/OS locales such as 'zh', 'zh-TW' or 'en-US' onto a supported catalog
+export const normalizeLanguage = (language) => {
+    if (!language || typeof language !== 'string') return null;
+    const lower = language.toLowerCase();
+    if (lower.startsWith('zh')) return 'zh-CN';
+    if (lower.startsWith('en')) return 'en';
+    return null;
+};
+
+export const detectLanguage = () => {
+    const saved = normalizeLanguage(localStorage.getItem('language'));
+    if (saved) return saved;
+    return normalizeLanguage(navigator.language) || DEFAULT_LANGUAGE;
+};
+
+// Module-level copy of the active language for code outside React (e.g. apiFetch)
+let currentLanguage = detectLanguage();
+
+export const getCurrentLanguage = () => currentLanguage;
+
+export const setCurrentLanguage = (language) => {
+    currentLanguage = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce(
+    (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    catalog
+);
+
+// Resolve a dotted key, falling back to the default catalog and then to the key itself.
+// Placeholders like {count} are replaced from params.
+export const translate = (language, key, params = {}) => {
+    let message = lookup(catalogs[language], key);
+    if (typeof message !== 'string') {
+        message = lookup(catalogs[DEFAULT_LANGUAGE], key);
+    }
+    if (typeof message !== 'string') {
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (
+        params[name] !== undefined ? String(params[name]) : match
+    ));
+};
+
+export const t = (key, params) => translate(currentLanguage, key, params);
+
+export const formatNumber = (language, value, options = {}) => (
+    new Intl.NumberFormat(language, options).format(Number(value) || 0)
+);
+
+export const formatCurrency = (language, value, digits = 2) => (
+    new Intl.NumberFormat(language, {
+        style: 'currency',
+        currency: 'USD',
+        // Always '$' rather than 'US$' in non-US locales
+        currencyDisplay: 'narrowSymbol',
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(Number(value) || 0)
+);
+
+export const formatDate = (language, value, options = {}) => (
+    new Date(value).toLocaleDateString(language, options)
+);
+
+export const formatTime = (language, value, options = {}) => (
+    new Date(value).toLocaleTimeString(language, options)
+);
+
+export const formatDateTime = (language, value, options = {}) => (
+    new Date(value).toLocaleString(language, options)
+);
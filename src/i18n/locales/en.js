@@ -0,0 +1,1180 @@
+// English message catalog
+export default {
+    common: {
+        cancel: 'Cancel',
+        save: 'Save',
+        clear: 'Clear',
+        none: 'None',
+        loading: 'Loading...',
+        saving: 'Saving...',
+        refresh: 'Refresh',
+        retry: 'Retry',
+        close: 'Close',
+        yes: 'Yes',
+        no: 'No',
+        moreActions: 'More actions'
+    },
+    time: {
+        unknown: 'Unknown',
+        justNow: 'Just now',
+        minutesAgo: '{count} min ago',
+        hoursAgo: '{count} h ago',
+        daysAgo: '{count} d ago'
+    },
+    chat: {
+        forkHint: 'Fork from here: start a new session from the conversation before this message',
+        fork: {
+            busy: 'Wait for the current reply to finish before forking the session',
+            failed: 'Failed to fork the session',
+            failedWithError: 'Failed to fork the session: {error}'
+        },
+        error: 'Error',
+        errorMessage: 'Error: {error}',
+        settings: 'Settings',
+        modelHint: 'Model used for this reply',
+        interrupted: 'Session interrupted by user',
+        usageLimit: 'Claude usage limit reached',
+        usageLimitReset: 'Resets at {time}.',
+        selectProject: 'Select a project to start chatting with Claude',
+        loadingMessages: 'Loading session messages...',
+        emptyTitle: 'Start a conversation with Claude',
+        emptyHint: 'Ask questions about your code, request changes, or get help with development tasks',
+        showingLast: 'Showing the last {count} of {total} messages',
+        loadEarlier: 'Load earlier messages',
+        thinking: 'Thinking...',
+        selectModel: 'Choose the model for this session',
+        scrollToBottom: 'Scroll to bottom',
+        placeholder: 'Ask Claude to help with your code... (@ to reference files)',
+        clearInput: 'Clear input',
+        mode: {
+            hint: 'Click to change the permission mode (or press Tab in the input)',
+            skip: 'Dangerous mode (skip permissions)',
+            default: 'Default mode',
+            acceptEdits: 'Accept edits',
+            bypassPermissions: 'Bypass permissions',
+            plan: 'Plan mode'
+        },
+        tool: {
+            viewEditDiff: 'View edit diff for',
+            diff: 'Diff',
+            viewRawInput: 'View input parameters (raw)',
+            viewRawParameters: 'View raw parameters',
+            viewInputParameters: 'View input parameters',
+            creatingFile: 'Creating new file:',
+            newFile: 'New file',
+            updateTasks: 'Update task list',
+            runningCommand: 'Running command',
+            terminal: 'Terminal',
+            error: 'Tool error',
+            result: 'Tool result',
+            fileUpdated: 'File updated successfully',
+            fileCreated: 'File created successfully',
+            fileWritten: 'File written successfully',
+            contentInDiff: 'The file content is displayed in the diff view above',
+            viewFileContent: 'View file content',
+            viewFullOutput: 'View full output ({count} chars)',
+            read: 'Read',
+            readFile: 'Read file',
+            updateTodos: 'Update todo list',
+            readTodos: 'Read todo list'
+        },
+        prompt: {
+            title: 'Interactive Prompt',
+            selected: 'Claude selected option {option}',
+            cliHint: 'In the CLI, you would select this option interactively using arrow keys or by typing the number.',
+            waiting: 'Waiting for your response in the CLI',
+            waitingHint: 'Choose an option in the terminal where Claude is running.'
+        },
+        permission: {
+            title: 'Claude wants to use {tool}',
+            allowOnce: 'Allow once',
+            allowAlways: 'Always allow',
+            allowAlwaysHint: 'Add {rule} to the allowed tools in Tools settings',
+            deny: 'Deny',
+            allowed: 'Allowed this time',
+            allowedAlways: 'Always allowed {rule}',
+            denied: 'Denied',
+            cancelled: 'Request expired (the Claude process has exited)'
+        },
+        images: {
+            attach: 'Attach images',
+            drop: 'Drop images here',
+            unknownFile: 'Unknown file',
+            tooLarge: 'File too large (max 5MB)',
+            uploadFailed: 'Failed to upload images',
+            uploadFailedWithError: 'Failed to upload images: {error}'
+        },
+        memory: {
+            global: 'Global Memory (CLAUDE.md):',
+            project: 'Project Memory (CLAUDE.md):',
+            empty: 'Empty',
+            openingGlobal: 'Opening global memory editor...',
+            openingProject: 'Opening project memory editor...',
+            editor: 'Memory Editor:',
+            editGlobalHint: 'Use the project file browser to edit ~/.claude/CLAUDE.md.',
+            editProjectHint: 'Use the project file browser to edit CLAUDE.md in your project directory.',
+            help: 'Memory Command Help:',
+            helpShow: 'Show project memory',
+            helpShowGlobal: 'Show global memory',
+            helpEdit: 'Edit project memory',
+            helpEditGlobal: 'Edit global memory',
+            failed: 'Memory command failed: {error}'
+        },
+        usageMeter: {
+            title: 'Session usage',
+            input: 'In {value}',
+            inputHint: 'Uncached input tokens',
+            output: 'Out {value}',
+            cache: 'Cache R {read} / W {write}',
+            cacheHint: 'Cache read / cache write tokens',
+            fallbackHint: 'Some models are not in the pricing table; cost is estimated from similar models',
+            context: 'Context',
+            contextHint: 'Context used by the latest request: {used} / {total} tokens'
+        }
+    },
+    files: {
+        access: {
+            PATH_OUTSIDE_PROJECT: 'Access denied: the path is outside the project directory',
+            PROJECT_NOT_FOUND: 'Project not found',
+            PROJECT_PATH_NOT_FOUND: 'The project directory does not exist or is not accessible',
+            INVALID_FILE_PATH: 'Invalid file path',
+            path: 'Path: {path}',
+            projectRoot: 'Project directory: {path}',
+            allowedRoots: 'Other allowed directories: {paths}',
+            allow: 'Allow this project to access {path}',
+            allowHint: 'The directory is added to this project\'s allowlist so its files can be read and saved'
+        },
+        tree: {
+            title: 'Files',
+            loading: 'Loading files...',
+            simpleView: 'Simple view',
+            compactView: 'Compact view',
+            detailedView: 'Detailed view',
+            name: 'Name',
+            size: 'Size',
+            modified: 'Modified',
+            permissions: 'Permissions',
+            empty: 'No files found',
+            emptyHint: 'Check if the project path is accessible'
+        },
+        editor: {
+            loading: 'Loading {name}...',
+            hasChanges: 'Has changes',
+            enableWrap: 'Enable word wrap',
+            disableWrap: 'Disable word wrap',
+            toggleTheme: 'Toggle theme',
+            download: 'Download file',
+            fullscreen: 'Fullscreen',
+            exitFullscreen: 'Exit fullscreen',
+            saved: 'Saved!',
+            saveFailed: 'Error saving file: {error}',
+            saveFailedStatus: 'Save failed: {status}',
+            lines: 'Lines: {count}',
+            characters: 'Characters: {count}',
+            language: 'Language: {language}',
+            shortcuts: 'Press {key}+S to save • Esc to close'
+        },
+        history: {
+            title: 'Local History',
+            toggle: 'Local history',
+            loading: 'Loading versions...',
+            empty: 'No versions yet. The file is recorded every time it is saved from the editor.',
+            loadFailed: 'Failed to load local history',
+            sources: {
+                'before-save': 'Before save',
+                save: 'Saved'
+            },
+            size: '{size} bytes',
+            noChanges: 'This version matches the current buffer',
+            diffTitle: 'This version → current buffer',
+            diffStats: '+{added} / -{removed}',
+            restore: 'Restore this version',
+            restoring: 'Restoring...',
+            confirmRestore: 'Replace the current content with this version and save? The current content stays in local history.'
+        }
+    },
+    shell: {
+        selectProject: 'Choose a project',
+        selectProjectHint: 'Select a project to open an interactive terminal in its directory',
+        loading: 'Loading terminal...',
+        newShell: 'New terminal',
+        newClaude: 'New Claude session',
+        resumeClaude: 'Continue the current session in a terminal',
+        empty: 'No terminals are open for this project',
+        emptyHint: 'Terminals run on the server and keep running when you disconnect or reload; they are closed after a long time without a connection',
+        split: 'Split pane',
+        unsplit: 'Close split',
+        close: 'Close terminal',
+        confirmClose: 'Close terminal "{name}"? Its running process will be terminated.',
+        kill: 'Kill process',
+        confirmKill: 'Kill the process running in terminal "{name}"? Its output is kept until the terminal is closed.',
+        renameHint: 'Double-click to rename',
+        exited: 'Exited ({code})',
+        reconnecting: 'Connection lost, reconnecting...',
+        connectFailed: 'Failed to connect to the terminal',
+        createFailed: 'Failed to create the terminal',
+        loadFailed: 'Failed to load terminals',
+        palette: {
+            open: 'Command palette (Ctrl/⌘+Shift+P)',
+            placeholder: 'Search snippets, scripts and make targets…',
+            loading: 'Loading commands...',
+            loadFailed: 'Failed to load commands',
+            saveFailed: 'Failed to save snippets',
+            empty: 'No matching commands',
+            snippets: 'Saved snippets',
+            detected: 'Project scripts',
+            run: 'Run in current terminal',
+            runNew: 'Run in new terminal',
+            hint: 'Enter runs in the current terminal · Ctrl/⌘+Enter runs in a new one',
+            addSnippet: 'New snippet',
+            saveAsSnippet: 'Save as snippet',
+            editSnippet: 'Edit snippet',
+            deleteSnippet: 'Delete snippet',
+            confirmDelete: 'Delete snippet "{name}"?',
+            name: 'Name',
+            namePlaceholder: 'e.g. Test',
+            command: 'Command',
+            commandPlaceholder: 'e.g. npm test'
+        }
+    },
+    mainContent: {
+        loadingTitle: 'Loading Claude Code UI',
+        loadingSubtitle: 'Setting up your workspace...',
+        chooseProject: 'Choose your project',
+        chooseProjectHint: 'Select a project from the sidebar to start coding with Claude. Each project keeps its chat sessions and file history.',
+        tip: 'Tip:',
+        tipMobile: 'Tap the menu button above to open your projects',
+        tipDesktop: 'Click the folder icon in the sidebar to create a new project',
+        newSession: 'New session',
+        projectFiles: 'Project files',
+        sourceControl: 'Source control',
+        project: 'Project',
+        tabs: {
+            chat: 'Chat',
+            shell: 'Shell',
+            files: 'Files',
+            git: 'Source control'
+        }
+    },
+    sidebar: {
+        logoAlt: 'AI coding assistant',
+        subtitle: 'AI coding assistant',
+        searchAll: 'Search all sessions ({shortcut})',
+        importSession: 'Import session (JSONL)',
+        refresh: 'Refresh projects and sessions ({shortcut})',
+        createProject: 'Create new project ({shortcut})',
+        newProjectTitle: 'Create new project',
+        newProjectPlaceholder: '/path/to/project or relative/path',
+        creating: 'Creating...',
+        createButton: 'Create project',
+        searchProjects: 'Search projects...',
+        loadingProjects: 'Loading projects...',
+        loadingProjectsHint: 'Fetching your Claude projects and sessions',
+        noProjects: 'No projects found',
+        noProjectsHint: 'Run the Claude CLI in a project directory to get started',
+        noMatches: 'No matching projects',
+        noMatchesHint: 'Try a different search term',
+        projectNamePlaceholder: 'Project name',
+        sessionCount: '{count} sessions',
+        noSessions: 'No sessions yet',
+        untitledSession: 'New session',
+        renameSession: 'Rename session',
+        deleteSession: 'Delete this session permanently',
+        showMore: 'Show more sessions',
+        newSession: 'New session',
+        updateAvailable: 'Update available',
+        versionReady: 'Version {version} is ready',
+        settings: 'Settings',
+        actions: {
+            unstar: 'Remove from favorites',
+            star: 'Add to favorites',
+            rename: 'Rename project',
+            memory: 'Edit project memory',
+            deleteEmpty: 'Delete empty project',
+            deleteWithSessions: 'Delete project completely ({count} sessions)'
+        },
+        export: {
+            markdown: 'Export as Markdown',
+            html: 'Export as HTML',
+            json: 'Export as JSON',
+            dialogTitle: 'Export session',
+            failed: 'Export failed',
+            writeFailed: 'Failed to write file',
+            error: 'Failed to export session: {message}'
+        },
+        confirmDeleteSession: 'Delete this session? This cannot be undone.',
+        deleteSessionFailed: 'Failed to delete the session. Please try again.',
+        deleteSessionError: 'An error occurred while deleting the session. Please try again.',
+        confirmDeleteProject: 'Delete project "{name}" completely?\n\n⚠️ This permanently removes from Claude:\n• {count} sessions\n• All chat history\n• Project configuration\n\nThis cannot be undone!',
+        confirmDeleteEmptyProject: 'Delete this empty project? This cannot be undone.',
+        deleteProjectFailed: 'Failed to delete the project. Please try again.',
+        deleteProjectError: 'An error occurred while deleting the project. Please try again.',
+        projectPathRequired: 'Please enter a project path',
+        createProjectFailed: 'Failed to create the project. Please try again.',
+        createProjectError: 'An error occurred while creating the project. Please try again.'
+    },
+    settings: {
+        title: 'Settings',
+        tabs: {
+            tools: 'Tools',
+            security: 'Security',
+            memory: 'Memory',
+            git: 'Git',
+            mcp: 'MCP',
+            appearance: 'Appearance',
+            usage: 'Usage',
+            developer: 'Developer',
+            about: 'About'
+        },
+        appearance: {
+            language: 'Language',
+            languageHint: 'Language used by the interface, menus and server messages',
+            theme: 'Theme',
+            themeHint: 'Choose the appearance of the application',
+            themeAuto: 'Auto (follow system)',
+            themeLight: 'Light',
+            themeDark: 'Dark',
+            projectSort: 'Project sorting',
+            projectSortHint: 'How projects are ordered in the sidebar',
+            sortByName: 'Alphabetical',
+            sortByDate: 'Recent activity',
+            chatBackground: 'Chat background',
+            chatBackgroundHint: 'Optional: upload a PNG/SVG/JPG to decorate the chat background (overlaid at 10% opacity)',
+            backgroundPreview: 'Background preview',
+            noCustomBackground: 'No custom background',
+            chooseImage: 'Choose image',
+            defaultBackground: 'The built-in bg-repeat.svg is used when none is set',
+            userAvatar: 'User avatar',
+            userAvatarHint: 'Upload a custom avatar (PNG/SVG/JPG) shown next to your messages in the chat',
+            avatarPreview: 'Avatar preview',
+            chooseAvatar: 'Choose avatar',
+            defaultAvatar: 'The default avatar is used when none is set',
+            invalidImage: 'Only PNG, SVG or JPG images are supported',
+            invalidAvatar: 'Only PNG, SVG or JPG avatars are supported'
+        },
+        saveFailed: 'Failed to save',
+        saveFailedWithError: 'Failed to save: {message}',
+        memory: {
+            globalTitle: 'Global memory',
+            globalDescription: 'The global memory file applies to every project and holds general instructions and preferences. Location: ~/.claude/CLAUDE.md',
+            globalEmpty: 'The global memory file is empty',
+            editGlobal: 'Edit global memory',
+            placeholder: 'Enter global memory content...\n\nExample:\n# Global memory\n\n## Preferences\n- Keep the code style concise\n- Favor performance and readability\n\n## Context\n- I am a full-stack developer\n- I prefer TypeScript and React\n\n## Special instructions\n- Always include proper error handling\n- Code should be well commented',
+            empty: 'The memory file is empty',
+            emptyHint: 'Click the edit button to start adding content',
+            managementTitle: 'Memory management',
+            quickAccess: 'Quick access',
+            quickAccessHint: 'Use the /memory command in the chat to view and manage memory files',
+            commands: {
+                viewProject: 'show project memory',
+                viewGlobal: 'show global memory',
+                editProject: 'edit project memory',
+                editGlobal: 'edit global memory'
+            },
+            tipsTitle: 'Memory tips',
+            tipsHint: 'Suggestions for effective memory files',
+            tips: [
+                'Organize content with Markdown',
+                'Include project background and preferences',
+                'Add code style and conventions',
+                'Record special requirements and constraints'
+            ]
+        },
+        git: {
+            recommended: 'Recommended',
+            languageTitle: 'Commit message language',
+            languageHint: 'Language used when generating commit messages',
+            standardTitle: 'Commit convention',
+            standardHint: 'Format and rules for commit messages',
+            standards: {
+                angular: { title: 'Angular convention', desc: 'Stricter scope requirements' },
+                simple: { title: 'Simple format', desc: 'No fixed format' },
+                chinese: { title: 'Chinese standard format' }
+            },
+            generatorTitle: 'Commit message generator',
+            generatorHint: 'Used by the generate button in the Git panel; falls back to rule-based generation when unavailable or failing',
+            generators: {
+                claudeCli: { desc: 'Claude analyzes the changes and suggests several candidates' },
+                ruleBased: { title: 'Rule-based', desc: 'Generated locally from the files and changed line counts' },
+                template: { title: '.gitmessage template', desc: 'Fills in the placeholders of the project commit template' },
+                script: { title: 'Custom script', desc: 'Runs a local script to generate candidate messages' }
+            },
+            scriptPlaceholder: '~/bin/commit-msg.sh or a path relative to the project root',
+            scriptHint: 'The script reads JSON (files, diff, conventions, language) from stdin and prints a JSON array of strings, or several messages separated by a line containing ---',
+            priorityTitle: 'Configuration priority',
+            priorityOrder: 'Order of precedence',
+            priority: [
+                'Git settings in the project CLAUDE.md (highest priority)',
+                'Settings in the global ~/.claude/CLAUDE.md',
+                'Settings on this page (lowest priority)'
+            ],
+            priorityTip: '💡 Configure project-specific Git conventions in CLAUDE.md and use this page for global defaults',
+            exampleTitle: 'CLAUDE.md example',
+            exampleHint: 'Add the following to the project CLAUDE.md or the global ~/.claude/CLAUDE.md',
+            example: '## Git settings\n\n### Commit messages\n- **Language**: English\n- **Format**: Conventional Commits\n- **Example**: feat: add user login\n\n### Commit rules\n1. Use a conventional type prefix\n2. Keep the description short and clear\n3. Include the necessary author information\n\n### Claude CLI integration\n- Generate commit messages automatically\n- Follow the project code conventions\n- Include Co-Authored-By information',
+            commitTypesTitle: 'Common commit types',
+            commitTypes: {
+                feat: 'New feature',
+                fix: 'Bug fix',
+                docs: 'Documentation',
+                style: 'Formatting',
+                refactor: 'Refactoring',
+                test: 'Tests',
+                chore: 'Build / tooling'
+            },
+            templatesTitle: 'Commit message examples',
+            templates: {
+                feat: 'add user authentication',
+                fix: 'fix login page styles',
+                docs: 'update API docs',
+                refactor: 'optimize database queries',
+                test: 'add unit tests',
+                chore: 'upgrade dependencies'
+            }
+        },
+        security: {
+            modeTitle: 'Permission mode',
+            modeHint: 'How tool permissions are handled',
+            skipActiveBefore: '',
+            skipActiveAfter: ' is enabled, so the permission mode is ignored. Turn it off below to restore it.',
+            modes: {
+                default: { title: 'Default', desc: 'Asks for permission every time a tool is used' },
+                acceptEdits: { title: 'Accept edits', desc: 'Automatically allows safe edit and read operations' },
+                bypassPermissions: { title: 'Bypass permissions', desc: 'Keeps prompts to a minimum while guarding high-risk operations' },
+                plan: { title: 'Plan mode', desc: 'Only produces a plan without running operations that have side effects' }
+            },
+            dangerTitle: 'Dangerous options',
+            dangerHint: 'High-risk settings, use with care',
+            confirmSkip: 'Dangerous: this enables --dangerously-skip-permissions. All permission prompts are skipped and tools may modify or delete files and run commands without asking. Continue?',
+            confirmSkipAgain: 'Please confirm again: skip all permission prompts? This is extremely dangerous and should only be used in fully trusted projects and environments.',
+            skipLabel: 'Skip all permission prompts (extremely dangerous)',
+            skipHintBefore: 'Same as the ',
+            skipHintAfter: ' flag. The permission mode is ignored while it is enabled.'
+        },
+        developer: {
+            toolsTitle: 'Developer tools',
+            toolsHint: 'Open the browser developer console and debugging tools',
+            tipsTitle: 'Tips:',
+            tips: [
+                'In the Electron app, use the buttons above to show or hide the developer tools',
+                'In a browser, press F12 or use the context menu to open the developer tools',
+                'The Console panel shows log output and runs JavaScript',
+                'The Network panel monitors network requests',
+                'The Elements panel inspects and edits the DOM'
+            ],
+            environmentTitle: 'Environment',
+            environmentHint: 'Details about the environment the app is running in',
+            runtime: 'Runtime:',
+            userAgent: 'User agent:',
+            windowSize: 'Window size:',
+            devMode: 'Development mode:',
+            language: 'Language:'
+        },
+        about: {
+            title: 'Application',
+            loading: 'Loading application info...',
+            loadFailed: 'Failed to load application info',
+            notLoaded: 'Application info not loaded',
+            load: 'Load application info',
+            name: 'Name:',
+            version: 'Version:',
+            description: 'Description:',
+            author: 'Author:',
+            license: 'License:',
+            repository: 'Repository:',
+            commit: 'Commit:',
+            runtime: 'Runtime:',
+            platform: 'Platform:',
+            arch: 'Architecture:',
+            electronVersion: 'Electron version:',
+            nodeVersion: 'Node.js version:',
+            chromeVersion: 'Chrome version:'
+        },
+        tools: {
+            allowedTitle: 'Allowed tools',
+            allowedHint: 'Tools that are allowed automatically without a permission prompt',
+            allowedPlaceholder: 'e.g. "Bash(git log:*)" or "Write"',
+            quickAdd: 'Quick add common tools:',
+            noAllowed: 'No allowed tools configured',
+            disallowedTitle: 'Disallowed tools',
+            disallowedHint: 'Tools that are blocked automatically without a permission prompt',
+            disallowedPlaceholder: 'e.g. "Bash(rm:*)" or "Write"',
+            noDisallowed: 'No disallowed tools configured',
+            examplesTitle: 'Tool pattern examples:',
+            examples: {
+                gitLog: 'allow all git log commands',
+                gitDiff: 'allow all git diff commands',
+                write: 'allow all write tools',
+                read: 'allow all read tools',
+                rm: 'block all rm commands (dangerous)'
+            },
+            unsaved: 'Tool permissions changed. Save to apply them.',
+            save: 'Save tool settings'
+        },
+        mcp: {
+            title: 'MCP servers',
+            description: 'Model Context Protocol servers give Claude additional tools and data sources',
+            add: 'Add MCP server',
+            edit: 'Edit MCP server',
+            empty: 'No MCP servers configured',
+            confirmDelete: 'Delete this MCP server?',
+            command: 'Command',
+            args: 'Args',
+            discovered: 'Available tools & resources',
+            tools: 'Tools ({count}):',
+            resources: 'Resources ({count}):',
+            prompts: 'Prompts ({count}):',
+            nothingDiscovered: 'No tools, resources or prompts discovered',
+            test: 'Test connection',
+            discover: 'Discover tools',
+            name: 'Server name',
+            transport: 'Transport',
+            argsHint: 'Arguments (one per line)',
+            env: 'Environment variables (KEY=value, one per line)',
+            headers: 'Headers (KEY=value, one per line)',
+            configTest: 'Configuration test',
+            configTestHint: 'Test the configuration to check that it works.',
+            testing: 'Testing...',
+            testConfig: 'Test configuration',
+            update: 'Update server',
+            addShort: 'Add server'
+        }
+    },
+    git: {
+        operations: {
+            merge: 'merge',
+            rebase: 'rebase',
+            'cherry-pick': 'cherry-pick',
+            revert: 'revert'
+        },
+        generators: {
+            'claude-cli': 'Claude CLI',
+            'rule-based': 'rule-based generator',
+            template: '.gitmessage template',
+            script: 'custom script',
+            simple: 'simple rules'
+        },
+        status: {
+            modified: 'Modified',
+            added: 'Added',
+            deleted: 'Deleted',
+            untracked: 'Untracked'
+        },
+        tabs: {
+            changes: 'Changes',
+            history: 'History',
+            stashes: 'Stashes'
+        },
+        selectProject: 'Select a project to view source control',
+        initTip: 'Tip:',
+        initHintBefore: 'Run ',
+        initHintAfter: ' in the project directory to initialize git source control.',
+        discard: 'Discard',
+        delete: 'Delete',
+        discardChanges: 'Discard changes',
+        deleteUntracked: 'Delete untracked file',
+        confirmDiscardFile: 'Discard all changes to "{file}"? This cannot be undone.',
+        confirmDeleteUntracked: 'Delete untracked file "{file}"? This cannot be undone.',
+        partiallyStaged: 'Partially staged',
+        partiallyStagedHint: 'The staged content is used when committing',
+        switchToScroll: 'Switch to horizontal scrolling',
+        switchToWrap: 'Switch to text wrapping',
+        scroll: 'Scroll',
+        wrap: 'Wrap',
+        selectAll: 'Select all',
+        selectNone: 'Deselect all',
+        legend: 'File status guide',
+        noChanges: 'No changes detected',
+        noCommits: 'No commits found',
+        hunks: {
+            toggle: 'Stage by hunk',
+            toggleHint: 'Stage, unstage and discard changes by hunk or by line',
+            stage: 'Stage',
+            stageHunk: 'Stage this hunk',
+            stageLines: 'Stage selected lines',
+            stageCount: 'Stage {count} line(s)',
+            unstage: 'Unstage',
+            unstageHunk: 'Unstage this hunk',
+            unstageLines: 'Unstage selected lines',
+            unstageCount: 'Unstage {count} line(s)',
+            discardHunk: 'Discard this hunk',
+            discardLines: 'Discard selected lines',
+            confirmDiscardHunk: 'Discard the changes in this hunk of "{file}"? This cannot be undone.',
+            confirmDiscardLines: 'Discard the {count} selected line(s) in "{file}"? This cannot be undone.',
+            selectLine: 'Click to select this line',
+            unstaged: 'Unstaged changes',
+            staged: 'Staged changes',
+            groupTitle: '{title} ({count} hunks)',
+            empty: 'No text changes to stage'
+        },
+        merge: {
+            conflicts: '{count} file(s) have conflicts',
+            conflictsDuring: '{operation} in progress, {count} file(s) have conflicts',
+            resolved: 'All conflicts are resolved, you can continue the {operation}',
+            newConflicts: 'New conflicts appeared, keep resolving them',
+            resolve: 'Resolve',
+            continue: 'Continue {operation}',
+            abort: 'Abort',
+            abortTitle: 'Abort {operation}',
+            confirmAbort: 'Aborting the {operation} discards all conflict resolutions and restores the state from before the {operation}.'
+        },
+        remote: {
+            ahead: '{count} commit(s) ahead',
+            behind: '{count} commit(s) behind',
+            upToDate: 'Up to date with remote',
+            publish: 'Publish',
+            publishing: 'Publishing...',
+            publishTitle: 'Publish branch "{branch}" to {remote}',
+            confirmPublish: 'Publish branch "{branch}" to {remote}?',
+            pull: 'Pull',
+            pulling: 'Pulling...',
+            pullCount: 'Pull {count}',
+            pullTitle: 'Pull {count} commit(s) from {remote}',
+            confirmPull: 'Pull {count} commit(s) from {remote}?',
+            push: 'Push',
+            pushing: 'Pushing...',
+            pushCount: 'Push {count}',
+            pushTitle: 'Push {count} commit(s) to {remote}',
+            confirmPush: 'Push {count} commit(s) to {remote}?',
+            fetch: 'Fetch',
+            fetching: 'Fetching...',
+            fetchTitle: 'Fetch from {remote}'
+        },
+        branch: {
+            create: 'Create new branch',
+            createButton: 'Create branch',
+            creating: 'Creating...',
+            name: 'Branch name',
+            fromCurrent: 'The new branch will be created from the current branch ({branch})'
+        },
+        checkout: {
+            title: 'Local changes would be overwritten',
+            message: 'Switching to "{branch}" would overwrite local changes in the following files. Stash the changes before switching?',
+            stashAndSwitch: 'Stash and switch'
+        },
+        commit: {
+            title: 'Commit changes',
+            button: 'Commit',
+            committing: 'Committing...',
+            commitFiles: 'Commit {count} file(s)',
+            placeholder: 'Commit message ({key}+Enter to commit)',
+            generate: 'Generate commit message',
+            candidates: '{count} candidate message(s)',
+            fallback: ' ({from} unavailable, used {to} instead)',
+            hideCandidates: 'Hide candidates',
+            selected: '{count} file(s) selected',
+            selectedOfTotal: '{count} / {total} files selected',
+            confirm: 'Commit {count} file(s) with the message "{message}"?'
+        },
+        smartCommit: {
+            button: 'Smart commit',
+            running: 'Smart committing...',
+            hint: 'Smart commit - let Claude Code analyze the changes and commit them',
+            title: 'Smart commit in progress',
+            wait: 'Please wait, Claude Code is processing your request',
+            abort: 'Interrupt smart commit',
+            abortTask: 'Interrupt task',
+            starting: 'Starting smart commit...',
+            analyzing: 'Analyzing code changes...',
+            generating: 'Generating commit message...',
+            runningGit: 'Running git operations...',
+            updatingFiles: 'Updating files...',
+            processing: 'Processing...',
+            done: 'Smart commit complete!',
+            doneWithWarnings: 'Smart commit complete (possibly with warnings)',
+            failed: 'Smart commit failed'
+        },
+        stash: {
+            count: '{count} stash(es)',
+            create: 'Stash changes',
+            stash: 'Stash',
+            stashing: 'Stashing...',
+            empty: 'No stashes',
+            apply: 'Apply',
+            applyHint: 'Apply the stash and keep it',
+            pop: 'Pop',
+            popHint: 'Apply the stash and delete it',
+            drop: 'Delete stash',
+            confirmDrop: 'Delete stash "{name}"? This cannot be undone.',
+            applyConflict: 'Applying the stash caused conflicts. The stash was kept; resolve the conflicts first',
+            message: 'Stash message (optional)',
+            messagePlaceholder: 'WIP: work in progress',
+            includeUntracked: 'Include untracked files'
+        },
+        confirm: {
+            discard: 'Discard changes',
+            delete: 'Delete file',
+            dropStash: 'Delete stash',
+            commit: 'Confirm commit',
+            pull: 'Confirm pull',
+            publish: 'Publish branch',
+            push: 'Confirm push'
+        }
+    },
+    conflict: {
+        title: 'Resolve conflict',
+        toggleTheme: 'Toggle theme',
+        ours: 'Ours (current branch)',
+        theirs: 'Theirs (incoming)',
+        rebaseOurs: 'Upstream (rebase target)',
+        rebaseTheirs: 'Current commit',
+        base: 'Common ancestor',
+        viewBase: 'View common ancestor',
+        viewOurs: 'View ours',
+        result: 'Merge result (editable)',
+        deletedInVersion: 'The file was deleted in this version',
+        deletedBy: '{side} deleted this file and the other side modified it. Keep the modified file or delete it.',
+        tooLarge: 'The file is too large to compare here. Resolve the conflict in another editor, then mark it as resolved.',
+        noBlocks: 'No conflict blocks left',
+        block: 'Conflict {index} (line {line})',
+        acceptOurs: 'Accept ours',
+        acceptTheirs: 'Accept theirs',
+        acceptBoth: 'Keep both',
+        acceptAllOurs: 'Accept all ours',
+        acceptAllTheirs: 'Accept all theirs',
+        unresolved: '{count} conflict(s) are still unresolved',
+        markersRemain: 'The file still contains conflict markers',
+        saveAnyway: 'Save anyway',
+        deleteFile: 'Delete file',
+        keepAndResolve: 'Keep file and mark as resolved',
+        markResolved: 'Mark as resolved'
+    },
+    sessionImport: {
+        title: 'Import session',
+        validating: 'Validating session file...',
+        readFailed: 'Unable to read the session file',
+        importFailed: 'Import failed',
+        imported: 'Imported {count} / {total} lines into {path}',
+        renamed: 'A session with the same ID already exists in the target project, so it was imported as a new session.',
+        issuesTitle: '{title} ({count} lines)',
+        line: 'Line {line}',
+        reason: ': {reason}',
+        invalidSkipped: 'These lines could not be parsed and were not imported',
+        repairedImported: 'These lines were imported after their format was repaired',
+        invalidWillSkip: 'These lines could not be parsed and will not be imported',
+        needsRepair: 'These lines need their format repaired before they can be parsed',
+        unparsable: 'Unparsable lines',
+        totalLines: 'Total lines',
+        validLines: 'Importable',
+        invalidLines: 'Unparsable',
+        sessions: 'Sessions in the file',
+        target: 'Import into',
+        existingProject: 'Existing project',
+        byPath: 'By project path (creates a new project if it does not exist)',
+        open: 'Open session',
+        import: 'Import',
+        importing: 'Importing...'
+    },
+    search: {
+        placeholder: 'Search all sessions… supports "phrases", role:user, from:2025-01-01',
+        hint: 'Type keywords to search messages across all sessions',
+        noResults: 'No matching messages',
+        failed: 'Search failed',
+        session: 'Session {id}',
+        from: 'From',
+        to: 'To',
+        truncated: 'Showing the first {count} of {total} matches',
+        roles: {
+            all: 'All',
+            user: 'User',
+            assistant: 'Assistant',
+            tool: 'Tool'
+        }
+    },
+    app: {
+        sessionFallback: 'Session {id}',
+        commitPrompt: 'Commit the current changes\n\nProject: {project}\nFiles: {count}\n\nAnalyze these changes, write a suitable commit message, and then commit them.',
+        import: {
+            title: 'Import session',
+            filter: 'Claude sessions',
+            desktopOnly: 'Importing sessions is only supported in the desktop app'
+        },
+        update: {
+            title: 'Update available',
+            subtitle: 'A new version is ready',
+            current: 'Current version',
+            latest: 'Latest version',
+            howTo: 'How to upgrade:',
+            autoUpdate: 'The desktop app updates automatically',
+            autoUpdateHint: 'Click "Update now" to download and install the latest version. The app restarts when it is done.',
+            commandHint: 'Run this command in your Claude Code UI directory to update to the latest version.',
+            later: 'Later',
+            now: 'Update now',
+            copyCommand: 'Copy command'
+        }
+    },
+    quickSettings: {
+        title: 'Quick settings',
+        appearance: 'Appearance',
+        darkMode: 'Dark mode',
+        toggleDarkMode: 'Toggle dark mode',
+        followSystem: 'Following system',
+        toolDisplay: 'Tool display',
+        autoExpandTools: 'Auto-expand tools',
+        showRawParameters: 'Show raw parameters',
+        viewOptions: 'View options',
+        autoScroll: 'Auto-scroll to bottom',
+        chatBackground: 'Chat background decoration',
+        input: 'Input',
+        sendByShortcut: '{key}+Enter to send',
+        sendByShortcutHint: 'When enabled, {key}+Enter sends the message instead of Enter alone. Useful with input methods to avoid sending by accident.',
+        performance: 'Performance monitor',
+        performanceToggle: 'Toggle the performance monitor panel',
+        performancePanel: 'Performance panel',
+        performanceHint: 'Shows live memory usage, cache statistics and performance metrics',
+        devTools: 'Developer tools'
+    },
+    errorBoundary: {
+        title: 'Something went wrong',
+        message: 'An error occurred while loading the chat interface.',
+        details: 'Error details',
+        unknown: 'Unknown error'
+    },
+    todos: {
+        title: 'Todo list ({count} items)',
+        status: {
+            completed: 'completed',
+            in_progress: 'in progress',
+            pending: 'pending'
+        },
+        priority: {
+            high: 'high',
+            medium: 'medium',
+            low: 'low'
+        }
+    },
+    memoryEditor: {
+        globalTitle: 'Global Memory (CLAUDE.md)',
+        projectTitle: 'Project Memory ({project})',
+        globalDescription: 'The global memory file applies to every project and holds general instructions and preferences.',
+        projectDescription: 'The project memory file applies only to the current project and holds project-specific context and instructions.',
+        unsaved: 'Unsaved',
+        editMode: 'Edit mode',
+        previewMode: 'Preview mode',
+        reset: 'Reset',
+        saved: 'Saved',
+        empty: 'The memory file is empty',
+        emptyHint: 'Switch to edit mode to start adding content',
+        confirmClose: 'You have unsaved changes. Close anyway?',
+        confirmReset: 'Reset to the original content?',
+        loadFailed: 'Failed to load memory: {error}',
+        saveFailed: 'Failed to save memory: {error}',
+        characters: 'Characters: {count}',
+        lines: 'Lines: {count}',
+        path: 'Path: {path}',
+        placeholderGlobal: 'Enter global memory content...\n\nExample:\n# Global Memory\n\n## Preferences\n- Keep the code style concise\n- Favor performance and readability\n\n## Context\n- I am a full-stack developer\n- I prefer TypeScript and React\n\n## Special instructions\n- Always include proper error handling\n- Code should be well commented',
+        placeholderProject: 'Enter project memory content...\n\nExample:\n# Project Memory\n\n## Preferences\n- Keep the code style concise\n- Favor performance and readability\n\n## Context\n- This is a React application\n- Vite is the build tool\n\n## Special instructions\n- Always include proper error handling\n- Code should be well commented'
+    },
+    devTools: {
+        browserConsole: 'Browser console',
+        browserHint: 'Right-click and choose "Inspect", or use the menu to open the developer tools',
+        open: 'Developer console',
+        close: 'Close console',
+        closeHint: 'Close the developer tools',
+        bottom: 'Bottom',
+        bottomHint: 'Open at the bottom',
+        right: 'Right',
+        rightHint: 'Open on the right',
+        detached: 'Detached',
+        detachedHint: 'Open in a separate window'
+    },
+    performance: {
+        title: 'Performance monitor',
+        cleanup: 'Clean up',
+        cleanupHint: 'Free memory',
+        clearCache: 'Clear cache',
+        clearCacheHint: 'Clear the cache',
+        memory: 'Memory usage',
+        used: 'Used',
+        total: 'Total',
+        usage: 'Usage',
+        trend: 'Trend:',
+        trends: {
+            increasing: 'Rising',
+            decreasing: 'Falling',
+            stable: 'Stable'
+        },
+        cache: 'Cache statistics',
+        hitRate: 'Hit rate',
+        cacheItems: 'Cached items',
+        page: 'Page performance',
+        domContentLoaded: 'DOM loaded',
+        pageLoad: 'Fully loaded',
+        firstPaint: 'First paint',
+        recommendations: 'Recommendations',
+        types: {
+            memory: 'Memory',
+            cache: 'Cache',
+            leak: 'Leak'
+        },
+        advice: {
+            memoryHigh: 'Memory usage is very high. Consider closing unused tabs or clearing cache.',
+            memoryElevated: 'Memory usage is elevated. Monitor for potential leaks.',
+            cacheHitRateLow: 'Cache hit rate is low. This may indicate inefficient caching strategy.',
+            memoryLeak: 'Potential memory leak detected. Check for uncleaned resources.'
+        },
+        lastUpdated: 'Last updated: {time}'
+    },
+    usage: {
+        common: {
+            chartUnavailable: 'The chart is temporarily unavailable',
+            chartUnavailableHint: 'A React compatibility issue; other features are unaffected',
+            fetchFailed: 'Failed to load data',
+            apiFailed: 'The API returned an error',
+            saveFailed: 'Failed to save',
+            retry: 'Retry',
+            refresh: 'Refresh',
+            close: 'Close',
+            remove: 'Remove',
+            days: '{count} days',
+            months: '{count} months',
+            lineChart: 'Line',
+            barChart: 'Bar',
+            export: 'Export',
+            totalTokens: 'Total tokens',
+            totalCost: 'Total cost',
+            includesEstimate: 'Includes estimates',
+            usageTrend: 'Usage trend',
+            costTrend: 'Cost trend',
+            tokens: 'Tokens',
+            cost: 'Cost',
+            sessions: 'Sessions',
+            messages: 'Messages',
+            peak: 'Peak usage',
+            peakDetails: '{tokens} tokens, {cost} cost, {sessions} sessions',
+            remaining: 'Remaining: {value}'
+        },
+        daily: {
+            loading: 'Loading daily data...',
+            empty: 'No daily usage data yet',
+            title: 'Daily usage',
+            totalDays: '{count} days of data',
+            changeFromPrevious: '{change}% vs previous period',
+            averageTokens: 'Tokens per day',
+            averageCost: 'Cost per day'
+        },
+        monthly: {
+            loading: 'Loading monthly data...',
+            empty: 'No monthly usage data yet',
+            title: 'Monthly usage',
+            totalMonths: '{count} months of data',
+            growth: '{change}% month over month',
+            averageTokens: 'Tokens per month',
+            averageCost: 'Cost per month',
+            usageTrend: 'Monthly usage trend',
+            distribution: 'Usage in recent months',
+            costTrend: 'Monthly cost trend',
+            peak: 'Peak month',
+            details: 'Monthly details',
+            month: 'Month'
+        },
+        forecast: {
+            fetchFailed: 'Failed to load forecast',
+            loading: 'Loading cost forecast...',
+            title: 'Month-end cost forecast',
+            monthToDate: 'Month to date ({elapsed}/{total} days)',
+            projected: 'Projected month end',
+            interval: '80% interval {low} – {high}',
+            vsPrevious: 'vs last month to date',
+            vsAverage: 'vs average of previous {count} months to date',
+            monthComparison: 'Month-to-date comparison',
+            monthUnit: 'through day N',
+            weekComparison: 'Week-to-date comparison',
+            weekUnit: 'Monday through today',
+            period: 'Period',
+            toDate: 'To date ({unit})',
+            total: 'Full period',
+            weekOf: 'Week of {date}',
+            current: '(current)',
+            weekdayModel: 'Remaining days are projected from the average cost of each weekday over the last {days} days.',
+            flatModel: 'Only {days} days of history so far; projecting from the overall daily average.',
+            series: {
+                actual: 'Actual (cumulative)',
+                projected: 'Projected (cumulative)',
+                high: 'Projection high',
+                low: 'Projection low',
+                previousMonth: 'Last month to date'
+            }
+        },
+        breakdown: {
+            title: 'Cost breakdown',
+            byProject: 'By project',
+            bySession: 'By session',
+            allProjects: 'Show all projects',
+            projectTotal: '{count} projects',
+            sessionTotal: '{count} sessions',
+            empty: 'No usage in the selected range',
+            project: 'Project',
+            session: 'Session',
+            lastActivity: 'Last activity',
+            fallbackCost: 'Includes cost estimated with fallback pricing',
+            viewSessions: 'View sessions',
+            open: 'Open',
+            loadMore: 'Load more'
+        },
+        pricing: {
+            fallbackTitle: 'Some costs are estimates: these models are not in the pricing table (v{version}) and were priced as similar models',
+            fallbackItem: ' pricing, {messages} messages, {cost}',
+            overrideHint: 'Add prices for these models in ~/.claude-code-ui/pricing.json',
+            overridesError: 'Failed to load the pricing overrides file, using built-in pricing: {error}'
+        },
+        budget: {
+            title: 'Budget alerts',
+            edit: 'Set budgets',
+            projectLabel: '{project} (this month)',
+            labels: {
+                dailyCost: 'Cost today',
+                weeklyCost: 'Cost this week',
+                monthlyCost: 'Cost this month',
+                windowTokens: 'Tokens in current 5-hour window'
+            },
+            exceeded: '{label} is over budget: {usage} / {limit}',
+            reached: '{label} has reached {percent}% of budget: {usage} / {limit}',
+            fields: {
+                dailyCost: 'Daily cost budget ($)',
+                weeklyCost: 'Weekly cost budget ($)',
+                monthlyCost: 'Monthly cost budget ($)',
+                windowTokens: '5-hour window token budget'
+            },
+            unlimited: 'No limit',
+            projectCosts: 'Monthly project cost budgets ($)',
+            selectProject: 'Select a project',
+            addProject: 'Add project budget',
+            thresholds: 'Alert thresholds (%)',
+            cooldown: 'Alert cooldown (minutes)',
+            desktopNotifications: 'Also show desktop notifications',
+            save: 'Save budgets',
+            empty: 'No budgets set. Set daily/weekly/monthly cost, project cost or 5-hour window token budgets to be alerted when a threshold is crossed.'
+        },
+        export: {
+            failed: 'Export failed',
+            title: 'Export usage',
+            writeFailed: 'Failed to write file',
+            granularity: 'Contents',
+            granularities: {
+                request: 'Individual requests',
+                daily: 'Daily totals',
+                monthly: 'Monthly totals'
+            },
+            from: 'From',
+            to: 'To',
+            allProjects: 'All projects',
+            format: 'File format',
+            formats: {
+                csv: 'CSV',
+                excel: 'Excel-compatible CSV',
+                jsonl: 'JSON Lines'
+            },
+            headerLanguage: 'Header language',
+            exporting: 'Exporting...'
+        },
+        monitor: {
+            loading: 'Loading usage monitor...',
+            title: 'Claude Code usage monitor',
+            subtitle: 'Track your Claude token usage, costs and sessions in real time. Analyzes your local Claude configuration files and runs fully offline.',
+            allSources: 'All sources',
+            tabs: {
+                realtime: 'Real time',
+                daily: 'Daily',
+                monthly: 'Monthly'
+            },
+            descriptions: {
+                realtime: 'Live usage for the current 5-hour window',
+                daily: 'Usage and cost by day',
+                monthly: 'Monthly trends and long-term usage'
+            }
+        },
+        model: {
+            setFailed: 'Failed to set strategy',
+            networkError: 'Network error',
+            invalidResponse: 'Invalid API response',
+            title: 'Model strategy',
+            recommended: 'Recommended',
+            current: 'Current',
+            setting: 'Setting strategy...'
+        },
+        globalBar: {
+            label: 'Usage',
+            error: 'Usage error'
+        },
+        sources: {
+            title: 'Usage sources',
+            manage: 'Manage sources',
+            enabled: 'Enabled',
+            label: 'Name',
+            configDir: 'Claude config directory, e.g. ~/.claude-work',
+            add: 'Add source',
+            save: 'Save sources',
+            disabled: 'Disabled',
+            missing: 'projects directory not found'
+        },
+        realtime: {
+            customPlan: 'Custom',
+            planConfig: 'Subscription plan',
+            selectPlan: 'Select a plan',
+            planOption: '{name} ({tokens} tokens)',
+            customTokenLimit: 'Custom token limit',
+            currentSelection: 'Current selection: ',
+            tokenLimit: 'Token limit: ',
+            costLimit: 'Cost limit: ',
+            savePlan: 'Save',
+            configurePlan: 'Configure plan',
+            wsError: 'WebSocket connection error',
+            loading: 'Loading real-time data...',
+            error: 'Error',
+            empty: 'No data yet',
+            live: 'Live',
+            offline: 'Offline',
+            resetDone: 'Reset',
+            perHour: '{value}/hour',
+            perMinute: '{value}/min',
+            unlimited: 'Unlimited',
+            minutes: '{count} min',
+            hours: '{count} h',
+            costUsage: 'Cost usage',
+            tokenUsage: 'Token usage',
+            messageUsage: 'Message usage',
+            modelDistribution: 'Models',
+            burnRate: 'Burn rate',
+            costRate: 'Cost rate',
+            runOut: 'Runs out',
+            resetTime: 'Resets at',
+            noActiveWindowYet: 'No active window yet',
+            resetAt: '{time} ({countdown})',
+            startsWithNextMessage: 'Starts with your next message',
+            modelDetails: 'Usage by model',
+            noModelData: 'No model usage yet',
+            tokenCount: '{count} tokens',
+            messages: 'Messages',
+            share: 'Share',
+            windowInfo: 'Session window',
+            windowStart: 'Window start',
+            windowEnd: 'Window end',
+            activeSessions: 'Active sessions',
+            untilReset: 'Until reset',
+            noActiveWindow: 'No active window',
+            sourceUsage: '{tokens} tokens · {cost}',
+            warnings: 'Usage warnings',
+            lastUpdated: 'Last updated: {time}',
+            connectionMode: 'Connection: {mode}',
+            wsConnected: 'WebSocket connected',
+            wsConnecting: 'WebSocket connecting...',
+            httpPolling: 'HTTP polling',
+            autoRefresh: 'Auto refresh: {state}',
+            on: 'on',
+            off: 'off',
+            refreshInterval: 'Refresh interval: {seconds}s',
+            pushEnabled: 'Live push: on',
+            resetSources: {
+                'usage-limit': 'from usage limit message',
+                'first-message': 'estimated from first message in window'
+            }
+        },
+        warnings: {
+            TOKEN_USAGE_HIGH: 'Token usage has reached {percent}%',
+            COST_USAGE_HIGH: 'Cost has reached {percent}%',
+            LIMIT_SOON: 'At the current rate, the limit will be reached in about {minutes} minutes',
+            DATA_LOAD_FAILED: 'Failed to load data: {error}'
+        }
+    }
+};
@@ -0,0 +1,1180 @@
+// 简体中文消息目录；键缺失时其他语言回退到这里
+export default {
+    common: {
+        cancel: '取消',
+        save: '保存',
+        clear: '清除',
+        none: '无',
+        loading: '正在加载...',
+        saving: '保存中...',
+        refresh: '刷新',
+        retry: '重试',
+        close: '关闭',
+        yes: '是',
+        no: '否',
+        moreActions: '更多操作'
+    },
+    time: {
+        unknown: '未知',
+        justNow: '刚刚',
+        minutesAgo: '{count}分钟前',
+        hoursAgo: '{count}小时前',
+        daysAgo: '{count}天前'
+    },
+    chat: {
+        forkHint: '从这里分支：以此消息之前的对话创建新会话',
+        fork: {
+            busy: '请等待当前回复完成后再分支会话',
+            failed: '分支会话失败',
+            failedWithError: '分支会话失败：{error}'
+        },
+        error: '错误',
+        errorMessage: '错误：{error}',
+        settings: '设置',
+        modelHint: '该回复使用的模型',
+        interrupted: '会话已被用户中断',
+        usageLimit: '已达到 Claude 使用限额',
+        usageLimitReset: '将于 {time} 重置。',
+        selectProject: '选择一个项目开始与 Claude 聊天',
+        loadingMessages: '正在加载会话消息...',
+        emptyTitle: '与 Claude 开始对话',
+        emptyHint: '提问有关您代码的问题，请求更改，或获取开发任务的帮助',
+        showingLast: '显示最后 {count} 条消息（共 {total} 条）',
+        loadEarlier: '加载更早的消息',
+        thinking: '正在思考...',
+        selectModel: '选择本会话使用的模型',
+        scrollToBottom: '滚动到底部',
+        placeholder: '询问 Claude 协助您的代码... (@ 引用文件)',
+        clearInput: '清空输入',
+        mode: {
+            hint: '点击更改权限模式（或在输入框中按 Tab）',
+            skip: '危险模式（跳过权限）',
+            default: '默认模式',
+            acceptEdits: '接受编辑',
+            bypassPermissions: '绕过权限',
+            plan: '计划模式'
+        },
+        tool: {
+            viewEditDiff: '查看编辑差异为',
+            diff: '差异',
+            viewRawInput: '查看输入参数 (原始)',
+            viewRawParameters: '查看原始参数',
+            viewInputParameters: '查看输入参数',
+            creatingFile: '正在创建新文件:',
+            newFile: '新文件',
+            updateTasks: '更新任务列表',
+            runningCommand: '正在运行命令',
+            terminal: '终端',
+            error: '工具错误',
+            result: '工具结果',
+            fileUpdated: '文件更新成功',
+            fileCreated: '文件创建成功',
+            fileWritten: '文件写入成功',
+            contentInDiff: '文件内容显示在上方的差异视图中',
+            viewFileContent: '查看文件内容',
+            viewFullOutput: '查看完整输出（{count} 个字符）',
+            read: '读取',
+            readFile: '读取文件',
+            updateTodos: '更新待办事项列表',
+            readTodos: '读取待办事项列表'
+        },
+        prompt: {
+            title: '交互式提示',
+            selected: 'Claude 选择了选项 {option}',
+            cliHint: '在 CLI 中，您可以使用方向键或输入数字来交互式地选择此选项。',
+            waiting: '等待您在 CLI 中响应',
+            waitingHint: '请在您运行 Claude 的终端中选择一个选项。'
+        },
+        permission: {
+            title: 'Claude 请求使用 {tool}',
+            allowOnce: '允许一次',
+            allowAlways: '始终允许',
+            allowAlwaysHint: '将 {rule} 加入工具设置中的允许工具列表',
+            deny: '拒绝',
+            allowed: '已允许本次使用',
+            allowedAlways: '已始终允许 {rule}',
+            denied: '已拒绝',
+            cancelled: '请求已失效（Claude 进程已结束）'
+        },
+        images: {
+            attach: '附加图片',
+            drop: '在此放置图像',
+            unknownFile: '未知文件',
+            tooLarge: '文件过大（最大 5MB）',
+            uploadFailed: '上传图片失败',
+            uploadFailedWithError: '上传图片失败：{error}'
+        },
+        memory: {
+            global: '全局记忆 (CLAUDE.md)：',
+            project: '项目记忆 (CLAUDE.md)：',
+            empty: '空',
+            openingGlobal: '正在打开全局记忆编辑器...',
+            openingProject: '正在打开项目记忆编辑器...',
+            editor: '记忆编辑器：',
+            editGlobalHint: '请使用项目文件浏览器编辑 ~/.claude/CLAUDE.md。',
+            editProjectHint: '请使用项目文件浏览器编辑项目目录中的 CLAUDE.md。',
+            help: '记忆命令帮助：',
+            helpShow: '显示项目记忆',
+            helpShowGlobal: '显示全局记忆',
+            helpEdit: '编辑项目记忆',
+            helpEditGlobal: '编辑全局记忆',
+            failed: '记忆命令失败：{error}'
+        },
+        usageMeter: {
+            title: '本会话用量',
+            input: '输入 {value}',
+            inputHint: '未命中缓存的输入令牌',
+            output: '输出 {value}',
+            cache: '缓存 读 {read} / 写 {write}',
+            cacheHint: '缓存读取 / 缓存写入令牌',
+            fallbackHint: '部分模型不在定价表中，成本按相近模型估算',
+            context: '上下文',
+            contextHint: '最近一次请求的上下文占用：{used} / {total} 令牌'
+        }
+    },
+    files: {
+        access: {
+            PATH_OUTSIDE_PROJECT: '无法访问：该路径位于项目目录之外',
+            PROJECT_NOT_FOUND: '未找到该项目',
+            PROJECT_PATH_NOT_FOUND: '项目目录不存在或无法访问',
+            INVALID_FILE_PATH: '文件路径无效',
+            path: '路径：{path}',
+            projectRoot: '项目目录：{path}',
+            allowedRoots: '已允许的其它目录：{paths}',
+            allow: '允许此项目访问 {path}',
+            allowHint: '该目录会加入此项目的允许列表，之后可读取和保存其中的文件'
+        },
+        tree: {
+            title: '文件',
+            loading: '加载文件中...',
+            simpleView: '简单视图',
+            compactView: '紧凑视图',
+            detailedView: '详细视图',
+            name: '名称',
+            size: '大小',
+            modified: '修改时间',
+            permissions: '权限',
+            empty: '未找到文件',
+            emptyHint: '请检查项目路径是否可以访问'
+        },
+        editor: {
+            loading: '正在加载 {name}...',
+            hasChanges: '有更改',
+            enableWrap: '启用自动换行',
+            disableWrap: '关闭自动换行',
+            toggleTheme: '切换主题',
+            download: '下载文件',
+            fullscreen: '全屏',
+            exitFullscreen: '退出全屏',
+            saved: '已保存！',
+            saveFailed: '保存文件出错：{error}',
+            saveFailedStatus: '保存失败：{status}',
+            lines: '行数：{count}',
+            characters: '字符数：{count}',
+            language: '语言：{language}',
+            shortcuts: '按 {key}+S 保存 • Esc 关闭'
+        },
+        history: {
+            title: '本地历史',
+            toggle: '本地历史',
+            loading: '加载历史版本...',
+            empty: '还没有历史版本。每次在编辑器中保存时会记录文件内容。',
+            loadFailed: '加载本地历史失败',
+            sources: {
+                'before-save': '保存前的内容',
+                save: '保存'
+            },
+            size: '{size} 字节',
+            noChanges: '此版本与当前编辑内容没有差异',
+            diffTitle: '此版本 → 当前编辑内容',
+            diffStats: '+{added} / -{removed}',
+            restore: '恢复此版本',
+            restoring: '恢复中...',
+            confirmRestore: '用此版本替换当前内容并保存？当前内容会保留在本地历史中。'
+        }
+    },
+    shell: {
+        selectProject: '选择项目',
+        selectProjectHint: '选择一个项目在该目录中打开交互式终端',
+        loading: '加载终端中...',
+        newShell: '新建终端',
+        newClaude: '新建 Claude 会话',
+        resumeClaude: '在终端中继续当前会话',
+        empty: '此项目还没有打开的终端',
+        emptyHint: '终端在服务器端运行，断开连接或重新加载页面后仍会保留；长时间无人连接时自动关闭',
+        split: '拆分窗格',
+        unsplit: '关闭拆分',
+        close: '关闭终端',
+        confirmClose: '关闭终端“{name}”？其中运行的进程会被结束。',
+        kill: '结束进程',
+        confirmKill: '结束终端“{name}”中运行的进程？输出会保留，直到关闭该终端。',
+        renameHint: '双击重命名',
+        exited: '已退出（{code}）',
+        reconnecting: '连接已断开，正在重新连接...',
+        connectFailed: '连接终端失败',
+        createFailed: '创建终端失败',
+        loadFailed: '加载终端列表失败',
+        palette: {
+            open: '命令面板 (Ctrl/⌘+Shift+P)',
+            placeholder: '搜索片段、脚本和 Make 目标…',
+            loading: '正在加载命令...',
+            loadFailed: '加载命令失败',
+            saveFailed: '保存片段失败',
+            empty: '没有匹配的命令',
+            snippets: '已保存的片段',
+            detected: '项目脚本',
+            run: '在当前终端运行',
+            runNew: '在新终端运行',
+            hint: 'Enter 在当前终端运行 · Ctrl/⌘+Enter 在新终端运行',
+            addSnippet: '新建片段',
+            saveAsSnippet: '保存为片段',
+            editSnippet: '编辑片段',
+            deleteSnippet: '删除片段',
+            confirmDelete: '删除片段“{name}”？',
+            name: '名称',
+            namePlaceholder: '例如：测试',
+            command: '命令',
+            commandPlaceholder: '例如：npm test'
+        }
+    },
+    mainContent: {
+        loadingTitle: '正在加载 Claude Code UI',
+        loadingSubtitle: '正在设置您的工作空间...',
+        chooseProject: '选择您的项目',
+        chooseProjectHint: '从侧边栏选择一个项目以开始与 Claude 编程。每个项目包含您的聊天会话和文件历史记录。',
+        tip: '提示：',
+        tipMobile: '点击上方菜单按钮访问项目',
+        tipDesktop: '点击侧边栏中的文件夹图标创建新项目',
+        newSession: '新建会话',
+        projectFiles: '项目文件',
+        sourceControl: '源代码控制',
+        project: '项目',
+        tabs: {
+            chat: '聊天',
+            shell: '终端',
+            files: '文件',
+            git: '源代码控制'
+        }
+    },
+    sidebar: {
+        logoAlt: 'AI 编程助手',
+        subtitle: 'AI编程助手',
+        searchAll: '搜索所有会话 ({shortcut})',
+        importSession: '导入会话 (JSONL)',
+        refresh: '刷新项目和会话 ({shortcut})',
+        createProject: '创建新项目 ({shortcut})',
+        newProjectTitle: '创建新项目',
+        newProjectPlaceholder: '/path/to/project 或 relative/path',
+        creating: '正在创建...',
+        createButton: '创建项目',
+        searchProjects: '搜索项目...',
+        loadingProjects: '正在加载项目...',
+        loadingProjectsHint: '正在获取您的 Claude 项目和会话',
+        noProjects: '未找到项目',
+        noProjectsHint: '在项目目录中运行 Claude CLI 以开始使用',
+        noMatches: '没有匹配的项目',
+        noMatchesHint: '请尝试调整搜索关键词',
+        projectNamePlaceholder: '项目名称',
+        sessionCount: '{count} 会话',
+        noSessions: '暂无会话',
+        untitledSession: '新会话',
+        renameSession: '手动编辑会话名称',
+        deleteSession: '永久删除此会话',
+        showMore: '显示更多会话',
+        newSession: '新建会话',
+        updateAvailable: '有可用更新',
+        versionReady: '版本 {version} 已准备就绪',
+        settings: '设置',
+        actions: {
+            unstar: '从收藏夹中移除',
+            star: '添加到收藏夹',
+            rename: '重命名项目',
+            memory: '编辑项目 Memory',
+            deleteEmpty: '删除空项目',
+            deleteWithSessions: '完全删除项目 ({count} 个会话)'
+        },
+        export: {
+            markdown: '导出为 Markdown',
+            html: '导出为 HTML',
+            json: '导出为 JSON',
+            dialogTitle: '导出会话',
+            failed: '导出失败',
+            writeFailed: '写入文件失败',
+            error: '导出会话失败：{message}'
+        },
+        confirmDeleteSession: '确定要删除这个会话吗？此操作无法撤销。',
+        deleteSessionFailed: '删除会话失败，请重试。',
+        deleteSessionError: '删除会话时发生错误，请重试。',
+        confirmDeleteProject: '确定要完全删除项目 "{name}" 吗？\n\n⚠️ 这将从 Claude 空间中永久删除：\n• {count} 个会话\n• 所有聊天记录\n• 项目配置\n\n此操作无法撤销！',
+        confirmDeleteEmptyProject: '确定要删除这个空项目吗？此操作无法撤销。',
+        deleteProjectFailed: '删除项目失败，请重试。',
+        deleteProjectError: '删除项目时发生错误，请重试。',
+        projectPathRequired: '请输入项目路径',
+        createProjectFailed: '创建项目失败，请重试。',
+        createProjectError: '创建项目时发生错误，请重试。'
+    },
+    settings: {
+        title: '设置',
+        tabs: {
+            tools: '工具',
+            security: '安全项',
+            memory: '记忆',
+            git: 'Git',
+            mcp: 'MCP',
+            appearance: '外观',
+            usage: '使用量',
+            developer: '开发者',
+            about: '关于'
+        },
+        appearance: {
+            language: '界面语言',
+            languageHint: '界面、菜单和服务端提示使用的语言',
+            theme: '主题设置',
+            themeHint: '选择应用程序的外观主题',
+            themeAuto: '自动 (跟随系统)',
+            themeLight: '浅色主题',
+            themeDark: '深色主题',
+            projectSort: '项目排序',
+            projectSortHint: '侧边栏中项目的排序方式',
+            sortByName: '按字母顺序',
+            sortByDate: '按最近活动',
+            chatBackground: '聊天背景',
+            chatBackgroundHint: '可选：上传自定义 PNG/SVG/JPG 作为聊天背景装饰（以 10% 透明度覆盖）',
+            backgroundPreview: '背景预览',
+            noCustomBackground: '无自定义背景',
+            chooseImage: '选择图片',
+            defaultBackground: '未设置时使用内置背景图 bg-repeat.svg',
+            userAvatar: '用户头像',
+            userAvatarHint: '上传自定义头像（PNG/SVG/JPG），将在聊天中用于用户消息气泡旁显示',
+            avatarPreview: '头像预览',
+            chooseAvatar: '选择头像',
+            defaultAvatar: '未设置时使用默认头像',
+            invalidImage: '仅支持 PNG、SVG 或 JPG 图片',
+            invalidAvatar: '仅支持 PNG、SVG 或 JPG 头像'
+        },
+        saveFailed: '保存失败',
+        saveFailedWithError: '保存失败: {message}',
+        memory: {
+            globalTitle: '全局 Memory',
+            globalDescription: '全局 Memory 文件适用于所有项目，包含通用的指令和偏好设置。文件位置：~/.claude/CLAUDE.md',
+            globalEmpty: '全局 Memory 文件为空',
+            editGlobal: '编辑全局 Memory',
+            placeholder: '输入全局 Memory 内容...\n\n示例内容：\n# 全局 Memory\n\n## 偏好设置\n- 使用简洁的代码风格\n- 优先考虑性能和可读性\n\n## 上下文信息\n- 我是一个全栈开发者\n- 偏好使用 TypeScript 和 React\n\n## 特殊指令\n- 总是包含适当的错误处理\n- 代码应该有良好的注释',
+            empty: 'Memory 文件为空',
+            emptyHint: '点击编辑按钮开始添加内容',
+            managementTitle: 'Memory 管理',
+            quickAccess: '快速访问',
+            quickAccessHint: '在聊天中使用 /memory 命令快速查看和管理 Memory 文件',
+            commands: {
+                viewProject: '查看项目 Memory',
+                viewGlobal: '查看全局 Memory',
+                editProject: '编辑项目 Memory',
+                editGlobal: '编辑全局 Memory'
+            },
+            tipsTitle: 'Memory 提示',
+            tipsHint: '有效使用 Memory 文件的建议',
+            tips: [
+                '使用 Markdown 格式组织内容',
+                '包含项目背景和偏好设置',
+                '添加代码风格和约定',
+                '记录特殊需求和限制'
+            ]
+        },
+        git: {
+            recommended: '推荐',
+            languageTitle: '提交消息语言',
+            languageHint: '选择生成提交消息时使用的语言',
+            standardTitle: '提交规范',
+            standardHint: '选择提交消息的格式规范和约束规则',
+            standards: {
+                angular: { title: 'Angular 规范', desc: '更严格的范围要求' },
+                simple: { title: '简单格式', desc: '无固定格式要求' },
+                chinese: { title: '中文标准格式' }
+            },
+            generatorTitle: '提交消息生成器',
+            generatorHint: '点击 Git 面板中的生成按钮时使用的方式，不可用或失败时回退到规则生成',
+            generators: {
+                claudeCli: { desc: '由 Claude 分析变更生成多个候选' },
+                ruleBased: { title: '规则生成', desc: '根据文件和增删行数本地生成' },
+                template: { title: '.gitmessage 模板', desc: '填充项目提交模板中的占位符' },
+                script: { title: '自定义脚本', desc: '运行本地脚本生成候选消息' }
+            },
+            scriptPlaceholder: '~/bin/commit-msg.sh 或相对项目根目录的路径',
+            scriptHint: '脚本从 stdin 读取 JSON（files、diff、conventions、language），输出 JSON 字符串数组，或用单独一行 --- 分隔的多条消息',
+            priorityTitle: '配置优先级说明',
+            priorityOrder: '配置生效顺序',
+            priority: [
+                '项目级 CLAUDE.md 文件中的 Git 配置（最高优先级）',
+                '全局 ~/.claude/CLAUDE.md 文件中的配置',
+                '此界面的设置（最低优先级）'
+            ],
+            priorityTip: '💡 建议在 CLAUDE.md 文件中配置项目特定的 Git 规范，在此处设置全局默认行为',
+            exampleTitle: 'CLAUDE.md 配置示例',
+            exampleHint: '在项目的 CLAUDE.md 或全局 ~/.claude/CLAUDE.md 文件中添加以下配置',
+            example: '## Git 配置\n\n### 提交消息规范\n- **语言**: 中文\n- **格式**: Conventional Commits\n- **示例**: feat: 添加用户登录功能\n\n### 提交规则\n1. 使用规范的提交类型前缀\n2. 描述要简洁明了\n3. 包含必要的作者信息\n\n### Claude CLI 集成\n- 启用自动提交消息生成\n- 遵循项目代码规范\n- 包含 Co-Authored-By 信息',
+            commitTypesTitle: '常用提交类型',
+            commitTypes: {
+                feat: '新功能',
+                fix: '修复问题',
+                docs: '文档更新',
+                style: '代码格式调整',
+                refactor: '代码重构',
+                test: '测试相关',
+                chore: '构建/工具更新'
+            },
+            templatesTitle: '提交消息模板',
+            templates: {
+                feat: '添加用户认证功能',
+                fix: '修复登录页面样式问题',
+                docs: '更新 API 文档',
+                refactor: '优化数据库查询',
+                test: '添加单元测试用例',
+                chore: '升级依赖版本'
+            }
+        },
+        security: {
+            modeTitle: '权限模式',
+            modeHint: '选择工具权限的处理方式',
+            skipActiveBefore: '已启用 ',
+            skipActiveAfter: '，权限模式已被忽略。请在下方关闭以恢复。',
+            modes: {
+                default: { title: '默认模式', desc: '每次使用工具时都会提示权限确认' },
+                acceptEdits: { title: '接受编辑', desc: '自动允许安全的编辑与读取类操作' },
+                bypassPermissions: { title: '绕过权限', desc: '尽量减少权限提示，保护高风险操作' },
+                plan: { title: '计划模式', desc: '仅生成计划，不直接执行潜在有副作用的操作' }
+            },
+            dangerTitle: '危险选项',
+            dangerHint: '高危设置，请谨慎使用',
+            confirmSkip: '危险操作：即将启用 --dangerously-skip-permissions。启用后将跳过所有权限确认，工具可能在无提示的情况下修改/删除文件、执行命令。确定继续？',
+            confirmSkipAgain: '再次确认：您确实要启用完全跳过权限提示吗？此选项极其危险，仅在完全信任的项目与环境中使用。',
+            skipLabel: '跳过所有权限提示（极度危险）',
+            skipHintBefore: '等同于 ',
+            skipHintAfter: ' 标志。启用后，权限模式将被忽略。'
+        },
+        developer: {
+            toolsTitle: '开发者工具',
+            toolsHint: '访问浏览器开发者控制台和调试工具',
+            tipsTitle: '使用提示：',
+            tips: [
+                '在 Electron 应用中，您可以使用上方按钮控制开发者工具的显示',
+                '在浏览器中，请使用 F12 键或右键菜单访问开发者工具',
+                'Console 面板可以查看日志输出和执行 JavaScript 代码',
+                'Network 面板可以监控网络请求',
+                'Elements 面板可以检查和修改 DOM 结构'
+            ],
+            environmentTitle: '环境信息',
+            environmentHint: '当前应用运行环境的详细信息',
+            runtime: '运行环境:',
+            userAgent: '用户代理:',
+            windowSize: '窗口尺寸:',
+            devMode: '开发模式:',
+            language: '语言:'
+        },
+        about: {
+            title: '应用信息',
+            loading: '正在获取应用信息...',
+            loadFailed: '获取应用信息失败',
+            notLoaded: '应用信息未加载',
+            load: '获取应用信息',
+            name: '应用名称:',
+            version: '版本:',
+            description: '描述:',
+            author: '作者:',
+            license: '许可证:',
+            repository: '仓库:',
+            commit: '提交:',
+            runtime: '运行环境:',
+            platform: '平台:',
+            arch: '架构:',
+            electronVersion: 'Electron版本:',
+            nodeVersion: 'Node.js版本:',
+            chromeVersion: 'Chrome版本:'
+        },
+        tools: {
+            allowedTitle: '允许的工具',
+            allowedHint: '无需提示权限即可自动允许的工具',
+            allowedPlaceholder: '例如 "Bash(git log:*)" 或 "Write"',
+            quickAdd: '快速添加常用工具：',
+            noAllowed: '未配置允许的工具',
+            disallowedTitle: '禁用的工具',
+            disallowedHint: '无需提示权限即可自动阻止的工具',
+            disallowedPlaceholder: '例如 "Bash(rm:*)" 或 "Write"',
+            noDisallowed: '未配置禁用的工具',
+            examplesTitle: '工具模式示例：',
+            examples: {
+                gitLog: '允许所有 git log 命令',
+                gitDiff: '允许所有 git diff 命令',
+                write: '允许所有写入工具使用',
+                read: '允许所有读取工具使用',
+                rm: '阻止所有 rm 命令（危险）'
+            },
+            unsaved: '工具权限设置已修改，需要保存以生效。',
+            save: '保存工具设置'
+        },
+        mcp: {
+            title: 'MCP 服务器',
+            description: '模型上下文协议服务器为 Claude 提供额外的工具和数据源',
+            add: '添加 MCP 服务器',
+            edit: '编辑 MCP 服务器',
+            empty: '未配置 MCP 服务器',
+            confirmDelete: '确定要删除这个 MCP 服务器吗？',
+            command: '命令',
+            args: '参数',
+            discovered: '可用的工具和资源',
+            tools: '工具（{count}）：',
+            resources: '资源（{count}）：',
+            prompts: '提示词（{count}）：',
+            nothingDiscovered: '未发现工具、资源或提示词',
+            test: '测试连接',
+            discover: '发现工具',
+            name: '服务器名称',
+            transport: '传输类型',
+            argsHint: '参数（每行一个）',
+            env: '环境变量（KEY=value，每行一个）',
+            headers: '请求头（KEY=value，每行一个）',
+            configTest: '配置测试',
+            configTestHint: '您可以测试配置以验证其是否正常工作。',
+            testing: '测试中...',
+            testConfig: '测试配置',
+            update: '更新服务器',
+            addShort: '添加服务器'
+        }
+    },
+    git: {
+        operations: {
+            merge: '合并',
+            rebase: '变基',
+            'cherry-pick': '拣选',
+            revert: '还原'
+        },
+        generators: {
+            'claude-cli': 'Claude CLI',
+            'rule-based': '规则生成',
+            template: '.gitmessage 模板',
+            script: '自定义脚本',
+            simple: '简单规则'
+        },
+        status: {
+            modified: '已修改',
+            added: '已添加',
+            deleted: '已删除',
+            untracked: '未跟踪'
+        },
+        tabs: {
+            changes: '更改',
+            history: '历史',
+            stashes: '储藏'
+        },
+        selectProject: '选择一个项目以查看源代码控制',
+        initTip: '提示：',
+        initHintBefore: '在项目目录中运行 ',
+        initHintAfter: ' 来初始化git源代码控制。',
+        discard: '放弃',
+        delete: '删除',
+        discardChanges: '放弃更改',
+        deleteUntracked: '删除未跟踪文件',
+        confirmDiscardFile: '放弃对 "{file}" 的所有更改？此操作无法撤销。',
+        confirmDeleteUntracked: '删除未跟踪文件 "{file}"？此操作无法撤销。',
+        partiallyStaged: '部分暂存',
+        partiallyStagedHint: '提交时使用已暂存的内容',
+        switchToScroll: '切换到水平滚动',
+        switchToWrap: '切换到文本折行',
+        scroll: '滚动',
+        wrap: '折行',
+        selectAll: '全选',
+        selectNone: '取消全选',
+        legend: '文件状态指南',
+        noChanges: '未检测到变更',
+        noCommits: '未找到提交',
+        hunks: {
+            toggle: '按块暂存',
+            toggleHint: '按块或按行暂存、取消暂存和放弃更改',
+            stage: '暂存',
+            stageHunk: '暂存此块',
+            stageLines: '暂存选中的行',
+            stageCount: '暂存 {count} 行',
+            unstage: '取消暂存',
+            unstageHunk: '取消暂存此块',
+            unstageLines: '取消暂存选中的行',
+            unstageCount: '取消暂存 {count} 行',
+            discardHunk: '放弃此块',
+            discardLines: '放弃选中的行',
+            confirmDiscardHunk: '放弃 "{file}" 中此块的更改？此操作无法撤销。',
+            confirmDiscardLines: '放弃 "{file}" 中选中的 {count} 行更改？此操作无法撤销。',
+            selectLine: '点击选择此行',
+            unstaged: '未暂存的更改',
+            staged: '已暂存的更改',
+            groupTitle: '{title}（{count} 块）',
+            empty: '没有可暂存的文本更改'
+        },
+        merge: {
+            conflicts: '{count} 个文件存在冲突',
+            conflictsDuring: '正在{operation}，{count} 个文件存在冲突',
+            resolved: '冲突已全部解决，可以继续{operation}',
+            newConflicts: '出现新的冲突，请继续解决',
+            resolve: '解决',
+            continue: '继续{operation}',
+            abort: '中止',
+            abortTitle: '中止{operation}',
+            confirmAbort: '中止{operation}将丢弃所有冲突解决结果，并恢复到{operation}之前的状态。'
+        },
+        remote: {
+            ahead: '领先 {count} 个提交',
+            behind: '落后 {count} 个提交',
+            upToDate: '与远程保持同步',
+            publish: '发布',
+            publishing: '正在发布...',
+            publishTitle: '将分支 "{branch}" 发布到 {remote}',
+            confirmPublish: '将分支 "{branch}" 发布到 {remote}？',
+            pull: '拉取',
+            pulling: '正在拉取...',
+            pullCount: '拉取 {count}',
+            pullTitle: '从 {remote} 拉取 {count} 个提交',
+            confirmPull: '从 {remote} 拉取 {count} 个提交？',
+            push: '推送',
+            pushing: '正在推送...',
+            pushCount: '推送 {count}',
+            pushTitle: '推送 {count} 个提交到 {remote}',
+            confirmPush: '推送 {count} 个提交到 {remote}？',
+            fetch: '获取',
+            fetching: '正在获取...',
+            fetchTitle: '从 {remote} 获取'
+        },
+        branch: {
+            create: '创建新分支',
+            createButton: '创建分支',
+            creating: '正在创建...',
+            name: '分支名称',
+            fromCurrent: '将从当前分支（{branch}）创建新分支'
+        },
+        checkout: {
+            title: '本地更改会被覆盖',
+            message: '切换到 "{branch}" 会覆盖以下文件的本地更改。是否先储藏更改再切换？',
+            stashAndSwitch: '储藏并切换'
+        },
+        commit: {
+            title: '提交更改',
+            button: '提交',
+            committing: '正在提交...',
+            commitFiles: '提交 {count} 个文件',
+            placeholder: '提交消息 ({key}+Enter 提交)',
+            generate: '生成提交消息',
+            candidates: '{count} 个候选消息',
+            fallback: '（{from} 不可用，已使用{to}）',
+            hideCandidates: '隐藏候选',
+            selected: '已选择 {count} 个文件',
+            selectedOfTotal: '已选择 {count} / {total} 个文件',
+            confirm: '提交 {count} 个文件，消息为："{message}"？'
+        },
+        smartCommit: {
+            button: '智能提交',
+            running: '智能提交中...',
+            hint: '智能提交 - 让 Claude Code 分析变动并提交',
+            title: '智能提交中',
+            wait: '请稍候，Claude Code 正在处理您的请求',
+            abort: '中断智能提交',
+            abortTask: '中断任务',
+            starting: '正在启动智能提交...',
+            analyzing: '正在分析代码变动...',
+            generating: '正在生成提交消息...',
+            runningGit: '正在执行Git操作...',
+            updatingFiles: '正在更新文件...',
+            processing: '正在处理操作...',
+            done: '智能提交完成！',
+            doneWithWarnings: '智能提交完成（可能有警告）',
+            failed: '智能提交失败'
+        },
+        stash: {
+            count: '{count} 个储藏',
+            create: '储藏更改',
+            stash: '储藏',
+            stashing: '正在储藏...',
+            empty: '没有储藏',
+            apply: '应用',
+            applyHint: '应用储藏并保留',
+            pop: '弹出',
+            popHint: '应用储藏并删除',
+            drop: '删除储藏',
+            confirmDrop: '删除储藏 "{name}"？此操作无法撤销。',
+            applyConflict: '应用储藏时发生冲突，储藏已保留，请先解决冲突',
+            message: '储藏说明（可选）',
+            messagePlaceholder: 'WIP: 正在进行的工作',
+            includeUntracked: '包含未跟踪文件'
+        },
+        confirm: {
+            discard: '放弃更改',
+            delete: '删除文件',
+            dropStash: '删除储藏',
+            commit: '确认提交',
+            pull: '确认拉取',
+            publish: '发布分支',
+            push: '确认推送'
+        }
+    },
+    conflict: {
+        title: '解决冲突',
+        toggleTheme: '切换主题',
+        ours: '我方（当前分支）',
+        theirs: '对方（合并进来的）',
+        rebaseOurs: '上游（变基目标）',
+        rebaseTheirs: '当前提交',
+        base: '共同祖先',
+        viewBase: '查看共同祖先',
+        viewOurs: '查看我方',
+        result: '合并结果（可编辑）',
+        deletedInVersion: '此版本中文件已删除',
+        deletedBy: '{side}删除了此文件，另一方修改了它。请选择保留修改后的文件或删除它。',
+        tooLarge: '文件过大，无法在此处对比。请在其他编辑器中解决冲突后再标记为已解决。',
+        noBlocks: '没有剩余的冲突块',
+        block: '冲突 {index}（第 {line} 行）',
+        acceptOurs: '采用我方',
+        acceptTheirs: '采用对方',
+        acceptBoth: '两者都保留',
+        acceptAllOurs: '全部采用我方',
+        acceptAllTheirs: '全部采用对方',
+        unresolved: '还有 {count} 处冲突未解决',
+        markersRemain: '文件中仍有冲突标记',
+        saveAnyway: '仍然保存',
+        deleteFile: '删除文件',
+        keepAndResolve: '保留文件并标记为已解决',
+        markResolved: '标记为已解决'
+    },
+    sessionImport: {
+        title: '导入会话',
+        validating: '正在校验会话文件...',
+        readFailed: '无法读取会话文件',
+        importFailed: '导入失败',
+        imported: '已导入 {count} / {total} 行到 {path}',
+        renamed: '目标项目中已存在相同 ID 的会话，已作为新会话导入。',
+        issuesTitle: '{title}（{count} 行）',
+        line: '第 {line} 行',
+        reason: '：{reason}',
+        invalidSkipped: '以下行无法解析，未被导入',
+        repairedImported: '以下行经过格式修复后导入',
+        invalidWillSkip: '以下行无法解析，将不会被导入',
+        needsRepair: '以下行需要修复格式后才能解析',
+        unparsable: '无法解析的行',
+        totalLines: '总行数',
+        validLines: '可导入',
+        invalidLines: '无法解析',
+        sessions: '文件中的会话',
+        target: '导入到',
+        existingProject: '已有项目',
+        byPath: '按项目路径（不存在时创建新项目）',
+        open: '打开会话',
+        import: '导入',
+        importing: '正在导入...'
+    },
+    search: {
+        placeholder: '搜索所有会话… 支持 "短语"、role:user、from:2025-01-01',
+        hint: '输入关键词以搜索所有会话中的消息',
+        noResults: '没有匹配的消息',
+        failed: '搜索失败',
+        session: '会话 {id}',
+        from: '从',
+        to: '至',
+        truncated: '显示前 {count} 条，共 {total} 条匹配',
+        roles: {
+            all: '全部',
+            user: '用户',
+            assistant: '助手',
+            tool: '工具'
+        }
+    },
+    app: {
+        sessionFallback: '会话 {id}',
+        commitPrompt: '提交当前变动\n\n项目: {project}\n文件: {count} 个\n\n请分析这些变动并创建合适的提交消息，然后提交这些更改。',
+        import: {
+            title: '导入会话',
+            filter: 'Claude 会话',
+            desktopOnly: '仅桌面应用支持导入会话'
+        },
+        update: {
+            title: '有可用更新',
+            subtitle: '新版本已准备就绪',
+            current: '当前版本',
+            latest: '最新版本',
+            howTo: '升级方式：',
+            autoUpdate: '桌面应用支持自动更新',
+            autoUpdateHint: '点击"立即更新"按钮将自动下载并安装最新版本，完成后应用将重启。',
+            commandHint: '在您的 Claude Code UI 目录中运行此命令以更新到最新版本。',
+            later: '稍后',
+            now: '立即更新',
+            copyCommand: '复制命令'
+        }
+    },
+    quickSettings: {
+        title: '快速设置',
+        appearance: '外观设置',
+        darkMode: '深色模式',
+        toggleDarkMode: '切换深色模式',
+        followSystem: '跟随系统已启用',
+        toolDisplay: '工具显示',
+        autoExpandTools: '自动展开工具',
+        showRawParameters: '显示原始参数',
+        viewOptions: '显示选项',
+        autoScroll: '自动滚动到底部',
+        chatBackground: '聊天背景装饰',
+        input: '输入设置',
+        sendByShortcut: '{key}+Enter 发送',
+        sendByShortcutHint: '启用后，使用 {key}+Enter 发送消息而不是单独的 Enter 键。这对输入法用户有用，可避免意外发送。',
+        performance: '性能监控',
+        performanceToggle: '切换性能监控面板',
+        performancePanel: '性能面板',
+        performanceHint: '显示实时内存使用、缓存统计和性能指标',
+        devTools: '开发者工具'
+    },
+    errorBoundary: {
+        title: '出现错误了',
+        message: '加载聊天界面时出现错误。',
+        details: '错误详情',
+        unknown: '未知错误'
+    },
+    todos: {
+        title: '待办事项列表 ({count} 个项目)',
+        status: {
+            completed: '已完成',
+            in_progress: '进行中',
+            pending: '待处理'
+        },
+        priority: {
+            high: '高',
+            medium: '中',
+            low: '低'
+        }
+    },
+    memoryEditor: {
+        globalTitle: '全局 Memory (CLAUDE.md)',
+        projectTitle: '项目 Memory ({project})',
+        globalDescription: '全局 Memory 文件适用于所有项目，包含通用的指令和偏好设置。',
+        projectDescription: '项目 Memory 文件仅适用于当前项目，包含项目特定的上下文和指令。',
+        unsaved: '未保存',
+        editMode: '编辑模式',
+        previewMode: '预览模式',
+        reset: '重置',
+        saved: '保存成功',
+        empty: 'Memory 文件为空',
+        emptyHint: '切换到编辑模式开始添加内容',
+        confirmClose: '您有未保存的更改。确定要关闭吗？',
+        confirmReset: '确定要重置为原始内容吗？',
+        loadFailed: '加载 Memory 失败：{error}',
+        saveFailed: '保存 Memory 失败：{error}',
+        characters: '字符数: {count}',
+        lines: '行数: {count}',
+        path: '路径: {path}',
+        placeholderGlobal: '输入 全局 Memory 内容...\n\n示例内容：\n# 全局 Memory\n\n## 偏好设置\n- 使用简洁的代码风格\n- 优先考虑性能和可读性\n\n## 上下文信息\n- 我是一个全栈开发者\n- 偏好使用 TypeScript 和 React\n\n## 特殊指令\n- 总是包含适当的错误处理\n- 代码应该有良好的注释',
+        placeholderProject: '输入 项目 Memory 内容...\n\n示例内容：\n# 项目 Memory\n\n## 偏好设置\n- 使用简洁的代码风格\n- 优先考虑性能和可读性\n\n## 上下文信息\n- 这是一个 React 应用项目\n- 使用 Vite 作为构建工具\n\n## 特殊指令\n- 总是包含适当的错误处理\n- 代码应该有良好的注释'
+    },
+    devTools: {
+        browserConsole: '浏览器控制台',
+        browserHint: '按右键选择"检查元素"或使用菜单打开开发者工具',
+        open: '开发者控制台',
+        close: '关闭控制台',
+        closeHint: '关闭开发者工具',
+        bottom: '底部',
+        bottomHint: '在底部打开',
+        right: '右侧',
+        rightHint: '在右侧打开',
+        detached: '独立',
+        detachedHint: '独立窗口打开'
+    },
+    performance: {
+        title: '性能监控',
+        cleanup: '清理',
+        cleanupHint: '清理内存',
+        clearCache: '清缓存',
+        clearCacheHint: '清空缓存',
+        memory: '内存使用',
+        used: '已用',
+        total: '总计',
+        usage: '使用率',
+        trend: '趋势:',
+        trends: {
+            increasing: '上升',
+            decreasing: '下降',
+            stable: '稳定'
+        },
+        cache: '缓存统计',
+        hitRate: '命中率',
+        cacheItems: '缓存项',
+        page: '页面性能',
+        domContentLoaded: 'DOM加载',
+        pageLoad: '完全加载',
+        firstPaint: '首次绘制',
+        recommendations: '优化建议',
+        types: {
+            memory: '内存',
+            cache: '缓存',
+            leak: '泄漏'
+        },
+        advice: {
+            memoryHigh: '内存使用率很高。建议关闭不用的标签页或清理缓存。',
+            memoryElevated: '内存使用率偏高。请留意潜在的内存泄漏。',
+            cacheHitRateLow: '缓存命中率较低，缓存策略可能不够高效。',
+            memoryLeak: '检测到可能的内存泄漏。请检查未清理的资源。'
+        },
+        lastUpdated: '上次更新: {time}'
+    },
+    usage: {
+        common: {
+            chartUnavailable: '图表组件暂时不可用',
+            chartUnavailableHint: 'React兼容性问题，功能不受影响',
+            fetchFailed: '获取数据失败',
+            apiFailed: 'API返回失败',
+            saveFailed: '保存失败',
+            retry: '重试',
+            refresh: '刷新',
+            close: '关闭',
+            remove: '移除',
+            days: '{count} 天',
+            months: '{count} 个月',
+            lineChart: '线图',
+            barChart: '柱图',
+            export: '导出',
+            totalTokens: '总令牌数',
+            totalCost: '总成本',
+            includesEstimate: '含估算',
+            usageTrend: '使用量趋势',
+            costTrend: '成本趋势',
+            tokens: '令牌数',
+            cost: '成本',
+            sessions: '会话数',
+            messages: '消息数',
+            peak: '使用峰值',
+            peakDetails: '{tokens} 令牌, {cost} 成本, {sessions} 个会话',
+            remaining: '剩余: {value}'
+        },
+        daily: {
+            loading: '加载每日数据...',
+            empty: '暂无每日使用数据',
+            title: '每日使用统计',
+            totalDays: '{count} 天数据',
+            changeFromPrevious: '{change}% 相比前期',
+            averageTokens: '日均令牌',
+            averageCost: '日均成本'
+        },
+        monthly: {
+            loading: '加载月度数据...',
+            empty: '暂无月度使用数据',
+            title: '月度使用统计',
+            totalMonths: '{count} 月数据',
+            growth: '{change}% 月增长',
+            averageTokens: '月均令牌',
+            averageCost: '月均成本',
+            usageTrend: '月度使用量趋势',
+            distribution: '最近月份使用量分布',
+            costTrend: '月度成本趋势',
+            peak: '使用峰值月份',
+            details: '详细月度数据',
+            month: '月份'
+        },
+        forecast: {
+            fetchFailed: '获取预测失败',
+            loading: '加载成本预测...',
+            title: '本月成本预测',
+            monthToDate: '本月至今（{elapsed}/{total} 天）',
+            projected: '预计月末',
+            interval: '80% 区间 {low} – {high}',
+            vsPrevious: '较上月同期',
+            vsAverage: '较前 {count} 个月同期均值',
+            monthComparison: '月度同期对比',
+            monthUnit: '至第 N 天',
+            weekComparison: '周同期对比',
+            weekUnit: '周一至今天',
+            period: '周期',
+            toDate: '同期（{unit}）',
+            total: '全周期',
+            weekOf: '{date} 起',
+            current: '(当前)',
+            weekdayModel: '按最近 {days} 天中每个星期几的日均成本预测剩余天数。',
+            flatModel: '历史数据只有 {days} 天，暂按整体日均成本预测。',
+            series: {
+                actual: '实际累计',
+                projected: '预测累计',
+                high: '预测上限',
+                low: '预测下限',
+                previousMonth: '上月同期'
+            }
+        },
+        breakdown: {
+            title: '成本分解',
+            byProject: '按项目',
+            bySession: '按会话',
+            allProjects: '显示所有项目',
+            projectTotal: '共 {count} 个项目',
+            sessionTotal: '共 {count} 个会话',
+            empty: '所选时间范围内没有使用记录',
+            project: '项目',
+            session: '会话',
+            lastActivity: '最近活动',
+            fallbackCost: '包含按回退价格估算的成本',
+            viewSessions: '查看会话',
+            open: '打开',
+            loadMore: '加载更多'
+        },
+        pricing: {
+            fallbackTitle: '部分成本为估算值：以下模型不在定价表（v{version}）中，已按相近模型计价',
+            fallbackItem: ' 计价，{messages} 条消息，{cost}',
+            overrideHint: '可在 ~/.claude-code-ui/pricing.json 中补充这些模型的价格',
+            overridesError: '用户定价覆盖文件加载失败，已使用内置定价：{error}'
+        },
+        budget: {
+            title: '预算提醒',
+            edit: '设置预算',
+            projectLabel: '{project}（本月）',
+            labels: {
+                dailyCost: '今日成本',
+                weeklyCost: '本周成本',
+                monthlyCost: '本月成本',
+                windowTokens: '当前5小时窗口令牌'
+            },
+            exceeded: '{label}已超出预算：{usage} / {limit}',
+            reached: '{label}已达到预算的 {percent}%：{usage} / {limit}',
+            fields: {
+                dailyCost: '每日成本预算 ($)',
+                weeklyCost: '每周成本预算 ($)',
+                monthlyCost: '每月成本预算 ($)',
+                windowTokens: '5小时窗口令牌预算'
+            },
+            unlimited: '不限制',
+            projectCosts: '项目月度成本预算 ($)',
+            selectProject: '选择项目',
+            addProject: '添加项目预算',
+            thresholds: '提醒阈值 (%)',
+            cooldown: '提醒冷却时间 (分钟)',
+            desktopNotifications: '同时显示桌面通知',
+            save: '保存预算',
+            empty: '尚未设置预算。设置每日/每周/每月成本、项目成本或5小时窗口令牌预算后，超过阈值时会收到提醒。'
+        },
+        export: {
+            failed: '导出失败',
+            title: '导出使用量',
+            writeFailed: '写入文件失败',
+            granularity: '导出内容',
+            granularities: {
+                request: '逐条请求',
+                daily: '按日汇总',
+                monthly: '按月汇总'
+            },
+            from: '开始日期',
+            to: '结束日期',
+            allProjects: '全部项目',
+            format: '文件格式',
+            formats: {
+                csv: 'CSV',
+                excel: 'Excel 兼容 CSV',
+                jsonl: 'JSON Lines'
+            },
+            headerLanguage: '表头语言',
+            exporting: '导出中...'
+        },
+        monitor: {
+            loading: '正在加载使用量监控...',
+            title: 'Claude Code 使用量监控',
+            subtitle: '实时跟踪您的Claude AI令牌使用情况、成本分析和会话统计。基于您的本地Claude配置文件分析，完全离线运行。',
+            allSources: '全部来源',
+            tabs: {
+                realtime: '实时监控',
+                daily: '每日统计',
+                monthly: '月度分析'
+            },
+            descriptions: {
+                realtime: '当前5小时窗口的实时使用情况',
+                daily: '按日期统计的使用量和成本',
+                monthly: '月度趋势和长期使用分析'
+            }
+        },
+        model: {
+            setFailed: '设置策略失败',
+            networkError: '网络错误',
+            invalidResponse: '无效的API响应',
+            title: '模型策略配置',
+            recommended: '推荐',
+            current: '当前',
+            setting: '正在设置策略...'
+        },
+        globalBar: {
+            label: '使用量',
+            error: '使用量错误'
+        },
+        sources: {
+            title: '使用量来源',
+            manage: '管理来源',
+            enabled: '启用',
+            label: '名称',
+            configDir: 'Claude 配置目录，例如 ~/.claude-work',
+            add: '添加来源',
+            save: '保存来源',
+            disabled: '已停用',
+            missing: '未找到 projects 目录'
+        },
+        realtime: {
+            customPlan: '自定义',
+            planConfig: '订阅计划配置',
+            selectPlan: '选择订阅计划',
+            planOption: '{name} ({tokens} tokens)',
+            customTokenLimit: '自定义Token限额',
+            currentSelection: '当前选择：',
+            tokenLimit: 'Token限额：',
+            costLimit: '成本限额：',
+            savePlan: '保存配置',
+            configurePlan: '配置计划',
+            wsError: 'WebSocket连接错误',
+            loading: '加载实时数据...',
+            error: '错误',
+            empty: '暂无数据',
+            live: '实时',
+            offline: '离线',
+            resetDone: '已重置',
+            perHour: '{value}/小时',
+            perMinute: '{value}/分钟',
+            unlimited: '无限制',
+            minutes: '{count} 分钟',
+            hours: '{count} 小时',
+            costUsage: 'Cost 使用量',
+            tokenUsage: 'Token 使用量',
+            messageUsage: 'Messages 使用量',
+            modelDistribution: '模型分布',
+            burnRate: '燃烧率',
+            costRate: '成本率',
+            runOut: '预计耗尽',
+            resetTime: '重置时间',
+            noActiveWindowYet: '尚无活跃窗口',
+            resetAt: '{time}（{countdown}）',
+            startsWithNextMessage: '下一条消息开始计时',
+            modelDetails: '模型使用详情',
+            noModelData: '暂无模型使用数据',
+            tokenCount: '{count} tokens',
+            messages: '消息',
+            share: '占比',
+            windowInfo: '会话窗口信息',
+            windowStart: '窗口开始',
+            windowEnd: '窗口结束',
+            activeSessions: '活动会话',
+            untilReset: '距离重置',
+            noActiveWindow: '无活跃窗口',
+            sourceUsage: '{tokens} 令牌 · {cost}',
+            warnings: '使用量警告',
+            lastUpdated: '最后更新: {time}',
+            connectionMode: '连接模式: {mode}',
+            wsConnected: 'WebSocket已连接',
+            wsConnecting: 'WebSocket连接中...',
+            httpPolling: 'HTTP轮询',
+            autoRefresh: '自动刷新: {state}',
+            on: '开启',
+            off: '关闭',
+            refreshInterval: '刷新间隔: {seconds}秒',
+            pushEnabled: '实时数据推送: 开启',
+            resetSources: {
+                'usage-limit': '来自限额提示',
+                'first-message': '按窗口首条消息推算'
+            }
+        },
+        warnings: {
+            TOKEN_USAGE_HIGH: '令牌使用量已达 {percent}%',
+            COST_USAGE_HIGH: '成本已达 {percent}%',
+            LIMIT_SOON: '按当前速度，约 {minutes} 分钟后达到限制',
+            DATA_LOAD_FAILED: '数据加载失败: {error}'
+        }
+    }
+};
@@ -1,3 +1,5 @@
+import { getCurrentLanguage } from '../i18n';
+
 // Get the base URL for API calls - Electron desktop app
 const getBaseUrl = () => {
     // Use configured port or default to 30000-39999 range for Electron desktop app
@@ -12,6 +14,8 @@ export const apiFetch = (url, options = {}) => {
 
     const defaultHeaders = {
         'Content-Type': 'application/json',
+        // Server error messages are localized from this header
+        'Accept-Language': getCurrentLanguage(),
     };
 
     return fetch(fullUrl, {
@@ -31,6 +35,23 @@ export const api = {
         apiFetch(`/api/projects/${ projectName }/sessions?limit=${ limit }&offset=${ offset }`),
     sessionMessages: (projectName, sessionId) =>
         apiFetch(`/api/projects/${ projectName }/sessions/${ sessionId }/messages`),
+    forkSession: (projectName, sessionId, messageUuid) =>
+        apiFetch(`/api/projects/${ projectName }/sessions/${ sessionId }/fork`, {
+            method: 'POST',
+            body: JSON.stringify({ messageUuid }),
+        }),
+    exportSession: (projectName, sessionId, format) =>
+        apiFetch(`/api/projects/${ projectName }/sessions/${ sessionId }/export?format=${ format }`),
+    previewSessionImport: (filePath) =>
+        apiFetch('/api/sessions/import/preview', {
+            method: 'POST',
+            body: JSON.stringify({ filePath }),
+        }),
+    importSession: (filePath, { targetProject, projectPath } = {}) =>
+        apiFetch('/api/sessions/import', {
+            method: 'POST',
+            body: JSON.stringify({ filePath, targetProject, projectPath }),
+        }),
     renameProject: (projectName, displayName) =>
         apiFetch(`/api/projects/${ projectName }/rename`, {
             method: 'PUT',
@@ -62,6 +83,49 @@ export const api = {
         }),
     getFiles: (projectName) =>
         apiFetch(`/api/projects/${ projectName }/files`),
+    getFileHistory: (projectName, filePath) =>
+        apiFetch(`/api/projects/${ projectName }/file/history?filePath=${ encodeURIComponent(filePath) }`),
+    getFileHistoryVersion: (projectName, filePath, versionId) =>
+        apiFetch(`/api/projects/${ projectName }/file/history/${ versionId }?filePath=${ encodeURIComponent(filePath) }`),
+    diffFileHistoryVersion: (projectName, filePath, versionId, content) =>
+        apiFetch(`/api/projects/${ projectName }/file/history/${ versionId }/diff`, {
+            method: 'POST',
+            body: JSON.stringify({ filePath, content }),
+        }),
+    getAllowedRoots: (projectName) =>
+        apiFetch(`/api/projects/${ projectName }/allowed-roots`),
+    setAllowedRoots: (projectName, allowedRoots) =>
+        apiFetch(`/api/projects/${ projectName }/allowed-roots`, {
+            method: 'PUT',
+            body: JSON.stringify({ allowedRoots }),
+        }),
+    listTerminals: (projectName) =>
+        apiFetch(`/api/projects/${ projectName }/terminals`),
+    createTerminal: (projectName, { kind, name, sessionId, command, cols, rows } = {}) =>
+        apiFetch(`/api/projects/${ projectName }/terminals`, {
+            method: 'POST',
+            body: JSON.stringify({ kind, name, sessionId, command, cols, rows }),
+        }),
+    getTerminalCommands: (projectName) =>
+        apiFetch(`/api/projects/${ projectName }/terminal-commands`),
+    saveTerminalSnippets: (projectName, snippets) =>
+        apiFetch(`/api/projects/${ projectName }/terminal-snippets`, {
+            method: 'PUT',
+            body: JSON.stringify({ snippets }),
+        }),
+    renameTerminal: (projectName, terminalId, name) =>
+        apiFetch(`/api/projects/${ projectName }/terminals/${ terminalId }`, {
+            method: 'PATCH',
+            body: JSON.stringify({ name }),
+        }),
+    killTerminal: (projectName, terminalId) =>
+        apiFetch(`/api/projects/${ projectName }/terminals/${ terminalId }/kill`, {
+            method: 'POST',
+        }),
+    closeTerminal: (projectName, terminalId) =>
+        apiFetch(`/api/projects/${ projectName }/terminals/${ terminalId }`, {
+            method: 'DELETE',
+        }),
     transcribe: (formData) =>
         apiFetch('/api/transcribe', {
             method: 'POST',
@@ -90,6 +154,14 @@ export const api = {
             method: 'POST',
             body: JSON.stringify({ content }),
         }),
+    search: (query, { role, from, to, limit } = {}) => {
+        const params = new URLSearchParams({ q: query });
+        if (role) params.set('role', role);
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (limit) params.set('limit', String(limit));
+        return apiFetch(`/api/search?${ params }`);
+    },
 
     // Model configuration API
     model: {